@@ -4,10 +4,10 @@
 // Server creation and WebSocket attachment moved to server.js
 // HTTP routes moved to http/index.js (first-class HTTP subsystem)
 
-const path = require('path');
 const express = require('express');
 const helmet = require('helmet');
 const httpRouter = require('./http');
+const { serveUpload } = require('./http/controllers/uploads.controller');
 const { corsMiddleware } = require('./http/middleware/cors.middleware');
 const { allowedOrigins } = require('./config/origins');
 
@@ -16,9 +16,9 @@ if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1);
 }
 
-// Serve uploaded files (e.g. group thumbnails) at /uploads
-const uploadsDir = path.resolve(__dirname, 'storage', '_data', 'uploads');
-app.use('/uploads', express.static(uploadsDir));
+// Serve profile avatars and group thumbnails at /uploads from the blob store (unguessable names, no listing).
+// Chat files never land here: /api/attachments checks chat membership or a signed URL on every download.
+app.get('/uploads/:filename', serveUpload);
 
 const isDev = process.env.NODE_ENV !== 'production';
 // CSP connect-src: allow self + WebSocket. Dev: localhost origins (Vite 5173, backend 3001). Prod: exact allowedOrigins only (no wildcard patterns; CSP does not support host wildcards).
@@ -3,15 +3,24 @@
 /**
  * DB-backed read cursor per user per chat for persistent unread counts.
  * Collection: chat_read_cursors.
- * Document: { userId, chatId, lastReadMessageId, lastReadAt, updatedAt }
+ * Document: { userId, chatId, lastReadMessageId, lastReadAt, mentionCount, updatedAt }
  * Unique index: (userId, chatId).
+ * mentionCount: unread @mentions of the user in a room; incremented per mentioning message, reset whenever the
+ * cursor moves (reading the room clears its mentions).
+ * Room threads keep their own cursor under chatId "thread:<threadRootId>" so thread reads
+ * never move the room cursor (and vice versa).
  */
 
 const mongoClient = require('../storage/mongo.client');
 
 const COLLECTION = 'chat_read_cursors';
+const THREAD_PREFIX = 'thread:';
 let indexesEnsured = false;
 
+function toThreadCursorKey(threadRootId) {
+  return `${THREAD_PREFIX}${String(threadRootId).trim()}`;
+}
+
 async function getDb() {
   const db = await mongoClient.getDb();
   if (!indexesEnsured) {
@@ -60,6 +69,7 @@ async function upsertCursor(userId, chatId, lastReadMessageId, lastReadAt) {
       $set: {
         lastReadMessageId: lastReadMessageId ?? null,
         lastReadAt: lastReadAt ?? now,
+        mentionCount: 0,
         updatedAt: now,
       },
     },
@@ -93,8 +103,84 @@ async function bulkGetCursors(userId, chatIds) {
   return map;
 }
 
+/**
+ * Upsert the read cursor of a room thread.
+ * @param {string} userId
+ * @param {string} threadRootId - Root roomMessageId
+ * @param {string|null} lastReadMessageId - Last read reply
+ * @param {number|null} lastReadAt
+ * @returns {Promise<{ ok: boolean }>}
+ */
+async function upsertThreadCursor(userId, threadRootId, lastReadMessageId, lastReadAt) {
+  if (!threadRootId) return { ok: false };
+  return upsertCursor(userId, toThreadCursorKey(threadRootId), lastReadMessageId, lastReadAt);
+}
+
+/**
+ * Bulk get thread cursors for a user.
+ * @param {string} userId
+ * @param {string[]} threadRootIds
+ * @returns {Promise<Object<string, { lastReadMessageId: string|null, lastReadAt: number|null }>>} Keyed by threadRootId
+ */
+async function bulkGetThreadCursors(userId, threadRootIds) {
+  const ids = Array.isArray(threadRootIds) ? threadRootIds.filter(Boolean) : [];
+  const byKey = await bulkGetCursors(userId, ids.map(toThreadCursorKey));
+  const byRootId = {};
+  for (const [key, cursor] of byKey) {
+    byRootId[key.slice(THREAD_PREFIX.length)] = cursor;
+  }
+  return byRootId;
+}
+
+/**
+ * Count one unread mention for each user in a chat (creates the cursor document when missing).
+ * @param {string[]} userIds
+ * @param {string} chatId - room:<roomId>
+ * @returns {Promise<{ ok: boolean }>}
+ */
+async function incrementMentionCount(userIds, chatId) {
+  const ids = (Array.isArray(userIds) ? userIds : []).map((u) => u && String(u).trim()).filter((id, i, all) => id && all.indexOf(id) === i);
+  if (ids.length === 0 || !chatId) return { ok: false };
+  const now = Date.now();
+  const db = await getDb();
+  await db.collection(COLLECTION).bulkWrite(
+    ids.map((userId) => ({
+      updateOne: {
+        filter: { userId, chatId: chatId.trim() },
+        update: { $inc: { mentionCount: 1 }, $set: { updatedAt: now } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return { ok: true };
+}
+
+/**
+ * Unread mention counts of a user, only chats with at least one.
+ * @param {string} userId
+ * @returns {Promise<Object<string, number>>} chatId -> mentionCount
+ */
+async function getMentionCounts(userId) {
+  const counts = {};
+  if (!userId) return counts;
+  const db = await getDb();
+  const cursor = db.collection(COLLECTION).find(
+    { userId: userId.trim(), mentionCount: { $gt: 0 } },
+    { projection: { chatId: 1, mentionCount: 1 } }
+  );
+  for await (const doc of cursor) {
+    counts[doc.chatId] = doc.mentionCount;
+  }
+  return counts;
+}
+
 module.exports = {
   getCursor,
   upsertCursor,
   bulkGetCursors,
+  upsertThreadCursor,
+  bulkGetThreadCursors,
+  incrementMentionCount,
+  getMentionCounts,
 };
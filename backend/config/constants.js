@@ -171,6 +171,184 @@ const LOGGING = {
  */
 const MAX_CONTENT_LENGTH = parseInt(process.env.WS_MAX_CONTENT_LENGTH || '10000', 10);
 
+/**
+ * Message reactions
+ */
+const REACTIONS = {
+  // Max length of a single reaction (emoji sequences with modifiers/ZWJ can be several code units)
+  maxEmojiLength: parseInt(process.env.WS_REACTION_MAX_EMOJI_LENGTH || '32', 10),
+  // Max distinct emojis on one message; reacting with an existing emoji is always allowed
+  maxDistinctPerMessage: parseInt(process.env.WS_REACTION_MAX_DISTINCT || '20', 10),
+};
+
+/** Replies: parent content is denormalized into history/live payloads, truncated to this many characters. */
+const REPLIES = {
+  snippetMaxLength: parseInt(process.env.REPLY_SNIPPET_MAX_LENGTH || '160', 10),
+};
+
+/** MESSAGE_FORWARD: one request creates up to maxMessages × maxTargets messages. */
+const FORWARD = {
+  maxMessages: parseInt(process.env.WS_FORWARD_MAX_MESSAGES || '20', 10),
+  maxTargets: parseInt(process.env.WS_FORWARD_MAX_TARGETS || '5', 10),
+};
+
+/** Pinned messages: per-chat cap (DMs and rooms). */
+const PINS = {
+  maxPerChat: parseInt(process.env.CHAT_PINS_MAX_PER_CHAT || '10', 10),
+};
+
+/** Starred (bookmarked) messages: per-user cap across all chats. */
+const BOOKMARKS = {
+  maxPerUser: parseInt(process.env.BOOKMARKS_MAX_PER_USER || '500', 10),
+};
+
+/** Blocked users: per-user cap on the block list. */
+const BLOCKS = {
+  maxPerUser: parseInt(process.env.BLOCKS_MAX_PER_USER || '1000', 10),
+};
+
+/** Archived chats: how many chats one archive / unarchive request may change. */
+const ARCHIVE = {
+  maxBulk: parseInt(process.env.CHAT_ARCHIVE_MAX_BULK || '100', 10),
+};
+
+/**
+ * Muted chats (per user). durationMsByMode: how long each CHAT_MUTE_SET mode mutes for; null = until unmuted.
+ */
+const MUTE = {
+  durationMsByMode: {
+    '1h': 60 * 60 * 1000,
+    '8h': 8 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000,
+    forever: null,
+  },
+};
+
+/**
+ * Scheduled ("send later") messages. The scheduler polls the scheduled_messages collection every
+ * pollIntervalMs; a claimed item is exclusive to one instance for leaseMs (crashed sends are retried after it).
+ */
+const SCHEDULED_MESSAGES = {
+  pollIntervalMs: parseInt(process.env.SCHEDULED_POLL_INTERVAL_MS || '5000', 10),
+  leaseMs: parseInt(process.env.SCHEDULED_LEASE_MS || '60000', 10),
+  batchSize: parseInt(process.env.SCHEDULED_BATCH_SIZE || '50', 10),
+  maxAttempts: parseInt(process.env.SCHEDULED_MAX_ATTEMPTS || '3', 10),
+  maxPendingPerUser: parseInt(process.env.SCHEDULED_MAX_PENDING_PER_USER || '100', 10),
+  maxDelayMs: parseInt(process.env.SCHEDULED_MAX_DELAY_DAYS || '365', 10) * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Disappearing messages. A chat's ephemeral mode (set by a DM participant or room admin) stamps expiresAt on
+ * new messages; the sweeper hard-deletes expired messages every sweepIntervalMs, at most batchSize per pass.
+ */
+const EPHEMERAL = {
+  ttlByMode: {
+    off: 0,
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+  },
+  sweepIntervalMs: parseInt(process.env.EPHEMERAL_SWEEP_INTERVAL_MS || '30000', 10),
+  batchSize: parseInt(process.env.EPHEMERAL_SWEEP_BATCH_SIZE || '500', 10),
+};
+
+/** @mentions in room messages: at most maxPerMessage distinct @username tokens are resolved per message. */
+const MENTIONS = {
+  maxPerMessage: parseInt(process.env.MENTIONS_MAX_PER_MESSAGE || '20', 10),
+};
+
+/**
+ * Message edits: the sender may edit a message for windowMs after sending it (0 = no limit).
+ * Every edit keeps the replaced content as a revision, so the trail is never rewritten.
+ */
+const MESSAGE_EDITS = {
+  windowMs: parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10) * 60 * 1000,
+};
+
+/** Room polls: option count/length limits and the latest allowed close time (closesAt) after creation. */
+const POLLS = {
+  minOptions: 2,
+  maxOptions: parseInt(process.env.POLL_MAX_OPTIONS || '10', 10),
+  maxOptionLength: parseInt(process.env.POLL_MAX_OPTION_LENGTH || '100', 10),
+  maxDurationMs: parseInt(process.env.POLL_MAX_DURATION_MS || String(30 * 24 * 60 * 60 * 1000), 10),
+};
+
+/**
+ * Generic file attachments (POST /api/uploads/file). Size caps are per category of the type detected from
+ * the file's magic bytes (the client mimetype is ignored), in MB via env. signedUrlTtlMs bounds how long a
+ * cookie-less download URL (GET /api/attachments/:id/signed-url) stays valid.
+ */
+const ATTACHMENTS = {
+  maxBytesByCategory: {
+    image: parseInt(process.env.ATTACHMENT_MAX_IMAGE_MB || '10', 10) * 1024 * 1024,
+    document: parseInt(process.env.ATTACHMENT_MAX_DOCUMENT_MB || '25', 10) * 1024 * 1024,
+    archive: parseInt(process.env.ATTACHMENT_MAX_ARCHIVE_MB || '50', 10) * 1024 * 1024,
+    audio: parseInt(process.env.ATTACHMENT_MAX_AUDIO_MB || '25', 10) * 1024 * 1024,
+    video: parseInt(process.env.ATTACHMENT_MAX_VIDEO_MB || '100', 10) * 1024 * 1024,
+  },
+  maxPerMessage: parseInt(process.env.ATTACHMENT_MAX_PER_MESSAGE || '10', 10),
+  maxNameLength: 200,
+  signedUrlTtlMs: parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS || '300', 10) * 1000,
+  /** Stored bytes a user may have uploaded in total, and that may have been uploaded to one room (0 = unlimited). */
+  userQuotaBytes: parseInt(process.env.ATTACHMENT_USER_QUOTA_MB || '1024', 10) * 1024 * 1024,
+  roomQuotaBytes: parseInt(process.env.ATTACHMENT_ROOM_QUOTA_MB || '5120', 10) * 1024 * 1024,
+  /** Uploads no message references are deleted once they are this old (attachmentSweeper). */
+  orphanTtlMs: parseInt(process.env.ATTACHMENT_ORPHAN_TTL_HOURS || '24', 10) * 60 * 60 * 1000,
+  sweepIntervalMs: parseInt(process.env.ATTACHMENT_SWEEP_INTERVAL_MS || '3600000', 10),
+  sweepBatchSize: parseInt(process.env.ATTACHMENT_SWEEP_BATCH_SIZE || '200', 10),
+};
+
+/**
+ * Server-side image processing (services/image.service): every stored image is re-encoded without
+ * EXIF/GPS metadata and gets webp thumbnails at these widths (only those smaller than the image).
+ * maxInputPixels rejects decompression bombs before decoding.
+ */
+const IMAGES = {
+  thumbnailWidths: (process.env.IMAGE_THUMBNAIL_WIDTHS || '160,480,1024')
+    .split(',')
+    .map((w) => parseInt(w, 10))
+    .filter((w) => w > 0)
+    .sort((a, b) => a - b),
+  avatarSize: parseInt(process.env.IMAGE_AVATAR_SIZE || '256', 10),
+  maxInputPixels: parseInt(process.env.IMAGE_MAX_INPUT_PIXELS || '50000000', 10),
+};
+
+/**
+ * Voice notes (POST /api/uploads/voice, contentType 'voice'): Opus in WebM/Ogg or PCM WAV, measured and
+ * summarized server-side (services/voice.service) into waveformBars amplitudes of 0–100.
+ */
+const VOICE = {
+  maxBytes: parseInt(process.env.VOICE_MAX_MB || '10', 10) * 1024 * 1024,
+  maxDurationMs: parseInt(process.env.VOICE_MAX_DURATION_SECONDS || '300', 10) * 1000,
+  minDurationMs: 300,
+  waveformBars: 64,
+};
+
+/**
+ * Room read receipts ("seen by"). Each per-recipient row carries its own deliveredAt/readAt, so the data grows
+ * with the room's message rows, never with a list on the message. Reads and the sender's push are bounded:
+ * a ROOM_READ marks at most readBatchSize of the reader's newest unread messages, GET .../receipts lists at
+ * most maxListed members per state (counts are always exact), and ROOM_RECEIPTS_UPDATED is sent at most once
+ * per pushThrottleMs per message with a previewCount-long readBy preview.
+ */
+const RECEIPTS = {
+  maxListed: parseInt(process.env.RECEIPTS_MAX_LISTED || '50', 10),
+  previewCount: 5,
+  readBatchSize: parseInt(process.env.RECEIPTS_READ_BATCH_SIZE || '200', 10),
+  pushThrottleMs: parseInt(process.env.RECEIPTS_PUSH_THROTTLE_MS || '2000', 10),
+};
+
+/**
+ * Room invite links. Tokens are tokenBytes random bytes (base64url). An invite may expire (at most maxExpiryMs
+ * ahead) and be limited to maxUses joins; a room has at most maxActivePerRoom usable invites at a time.
+ */
+const ROOM_INVITES = {
+  tokenBytes: 18,
+  maxExpiryMs: parseInt(process.env.ROOM_INVITES_MAX_EXPIRY_MS || String(30 * 24 * 60 * 60 * 1000), 10),
+  maxUses: parseInt(process.env.ROOM_INVITES_MAX_USES || '10000', 10),
+  maxActivePerRoom: parseInt(process.env.ROOM_INVITES_MAX_ACTIVE_PER_ROOM || '50', 10),
+};
+
 /** Search read-after-write: recent fallback window (minutes) and max messages to scan. */
 const SEARCH_RECENT_FALLBACK_MINUTES = parseInt(process.env.SEARCH_RECENT_FALLBACK_MINUTES || '2', 10);
 const SEARCH_RECENT_FALLBACK_MAX = parseInt(process.env.SEARCH_RECENT_FALLBACK_MAX || '200', 10);
@@ -179,6 +357,29 @@ const SEARCH_RECENT_FALLBACK_MAX = parseInt(process.env.SEARCH_RECENT_FALLBACK_M
 const MAX_ROOM_NAME_LENGTH = parseInt(process.env.WS_MAX_ROOM_NAME_LENGTH || '200', 10);
 /** Max length for room thumbnail URL (metadata). */
 const MAX_THUMBNAIL_URL_LENGTH = parseInt(process.env.WS_MAX_THUMBNAIL_URL_LENGTH || '2048', 10);
+/** Max length for room topic (metadata). */
+const MAX_ROOM_TOPIC_LENGTH = parseInt(process.env.WS_MAX_ROOM_TOPIC_LENGTH || '500', 10);
+
+/**
+ * Public room directory (GET /api/rooms/directory). Pages of pageSize (at most maxPageSize) public rooms, ranked
+ * by messages in the last activityWindowMs, then member count. Global search adds at most maxSearchResults public
+ * rooms the user has not joined.
+ */
+const ROOM_DIRECTORY = {
+  pageSize: 20,
+  maxPageSize: 50,
+  activityWindowMs: parseInt(process.env.ROOM_DIRECTORY_ACTIVITY_WINDOW_MS || String(7 * 24 * 60 * 60 * 1000), 10),
+  maxSearchResults: 10,
+};
+
+/**
+ * Join requests ("knock") for rooms with visibility 'knock'. A room holds at most maxPendingPerRoom pending
+ * requests; the requester's note and a reviewer's deny reason are cut to maxMessageLength.
+ */
+const ROOM_JOIN_REQUESTS = {
+  maxPendingPerRoom: parseInt(process.env.ROOM_JOIN_REQUESTS_MAX_PENDING || '200', 10),
+  maxMessageLength: 500,
+};
 
 /**
  * Room configuration
@@ -218,8 +419,29 @@ module.exports = {
   PRESENCE_OFFLINE_GRACE_MS,
   ROOMS,
   MAX_CONTENT_LENGTH,
+  REACTIONS,
+  REPLIES,
+  FORWARD,
+  PINS,
+  BOOKMARKS,
+  BLOCKS,
+  ARCHIVE,
+  MUTE,
+  SCHEDULED_MESSAGES,
+  EPHEMERAL,
+  MENTIONS,
+  POLLS,
+  MESSAGE_EDITS,
+  ATTACHMENTS,
+  IMAGES,
+  VOICE,
+  RECEIPTS,
+  ROOM_INVITES,
+  ROOM_DIRECTORY,
+  ROOM_JOIN_REQUESTS,
   MAX_ROOM_NAME_LENGTH,
   MAX_THUMBNAIL_URL_LENGTH,
+  MAX_ROOM_TOPIC_LENGTH,
   SEARCH_RECENT_FALLBACK_MINUTES,
   SEARCH_RECENT_FALLBACK_MAX,
 };
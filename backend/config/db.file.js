@@ -78,9 +78,11 @@ async function searchMessagesInChats(chatIds, query, limit = 20, options = {}) {
   const trimmed = (query && typeof query === 'string' ? query.trim() : '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   const regex = trimmed.length > 0 ? new RegExp(trimmed, 'i') : null;
   const byId = new Map();
+  const now = Date.now();
   for (const chatId of chatIds) {
     const list = fileStore.getMessagesByChatIdSync(chatId);
     for (const m of list) {
+      if (m.expiresAt != null && m.expiresAt <= now) continue;
       if (regex && !regex.test(m.content || '')) continue;
       if (!byId.has(m.messageId)) byId.set(m.messageId, toSearchResult(m));
     }
@@ -94,8 +96,59 @@ module.exports = {
   persistMessage,
   updateMessageState: p(fileStore.updateMessageStateSync),
   getMessage,
+  getMessages: p(fileStore.getMessagesSync),
   editMessageContent: p(fileStore.editMessageContentSync),
   softDeleteMessage: p(fileStore.softDeleteMessageSync),
+  addReaction: p(fileStore.addReactionSync),
+  removeReaction: p(fileStore.removeReactionSync),
+  setPollVote: p(fileStore.setPollVoteSync),
+  recordVoiceListen: p(fileStore.recordVoiceListenSync),
+  recordThreadReply: p(fileStore.recordThreadReplySync),
+  addPin: p(fileStore.addPinSync),
+  removePin: p(fileStore.removePinSync),
+  getPins: p(fileStore.getPinsSync),
+  addBookmark: p(fileStore.addBookmarkSync),
+  removeBookmark: p(fileStore.removeBookmarkSync),
+  getBookmarks: p(fileStore.getBookmarksSync),
+  countBookmarks: p(fileStore.countBookmarksSync),
+  removeBookmarksForMessages: p(fileStore.removeBookmarksForMessagesSync),
+  archiveChats: p(fileStore.archiveChatsSync),
+  unarchiveChats: p(fileStore.unarchiveChatsSync),
+  getArchivedChats: p(fileStore.getArchivedChatsSync),
+  releaseArchivedChat: p(fileStore.releaseArchivedChatSync),
+  setChatMute: p(fileStore.setChatMuteSync),
+  removeChatMute: p(fileStore.removeChatMuteSync),
+  getChatMutes: p(fileStore.getChatMutesSync),
+  addBlock: p(fileStore.addBlockSync),
+  removeBlock: p(fileStore.removeBlockSync),
+  getBlocks: p(fileStore.getBlocksSync),
+  listAllBlocks: p(fileStore.listAllBlocksSync),
+  upsertMessageRequest: p(fileStore.upsertMessageRequestSync),
+  listAllMessageRequests: p(fileStore.listAllMessageRequestsSync),
+  createRoomInvite: p(fileStore.createRoomInviteSync),
+  getRoomInvite: p(fileStore.getRoomInviteSync),
+  listRoomInvites: p(fileStore.listRoomInvitesSync),
+  claimRoomInviteUse: p(fileStore.claimRoomInviteUseSync),
+  releaseRoomInviteUse: p(fileStore.releaseRoomInviteUseSync),
+  revokeRoomInvite: p(fileStore.revokeRoomInviteSync),
+  createAttachment: p(fileStore.createAttachmentSync),
+  getAttachment: p(fileStore.getAttachmentSync),
+  getAttachments: p(fileStore.getAttachmentsSync),
+  linkAttachments: p(fileStore.linkAttachmentsSync),
+  getAttachmentUsage: p(fileStore.getAttachmentUsageSync),
+  listOrphanAttachments: p(fileStore.listOrphanAttachmentsSync),
+  deleteOrphanAttachment: p(fileStore.deleteOrphanAttachmentSync),
+  createScheduledMessage: p(fileStore.createScheduledMessageSync),
+  getScheduledMessage: p(fileStore.getScheduledMessageSync),
+  listScheduledMessages: p(fileStore.listScheduledMessagesSync),
+  countPendingScheduledMessages: p(fileStore.countPendingScheduledMessagesSync),
+  updateScheduledMessage: p(fileStore.updateScheduledMessageSync),
+  cancelScheduledMessage: p(fileStore.cancelScheduledMessageSync),
+  claimDueScheduledMessage: p(fileStore.claimDueScheduledMessageSync),
+  completeScheduledMessage: p(fileStore.completeScheduledMessageSync),
+  getChatSettings: p(fileStore.getChatSettingsSync),
+  setChatEphemeral: p(fileStore.setChatEphemeralSync),
+  deleteExpiredMessages: p(fileStore.deleteExpiredMessagesSync),
   markMessageDelivered: p(fileStore.markMessageDeliveredSync),
   isMessageDelivered: p(fileStore.isMessageDeliveredSync),
   getUndeliveredMessages: p(fileStore.getUndeliveredMessagesSync),
@@ -103,7 +156,11 @@ module.exports = {
   getMessagesForRecipient: p(fileStore.getMessagesForRecipientSync),
   getMessagesForSender: p(fileStore.getMessagesForSenderSync),
   getMessagesByRoom: p(fileStore.getMessagesByRoomIdSync),
+  getRoomActivity: p(fileStore.getRoomActivitySync),
   getDeliveredRecipientIdsForRoomMessage: p(fileStore.getDeliveredRecipientIdsForRoomMessageSync),
+  recordRoomDelivery: p(fileStore.recordRoomDeliverySync),
+  markRoomMessagesRead: p(fileStore.markRoomMessagesReadSync),
+  getRoomReceipts: p(fileStore.getRoomReceiptsSync),
   getHistoryPaginated: p(fileStore.getHistoryPaginatedSync),
   getAllHistory,
   getContextWindow,
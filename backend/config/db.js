@@ -34,6 +34,10 @@ async function getMessage(messageId) {
   return store.getMessage(messageId);
 }
 
+async function getMessages(messageIds) {
+  return store.getMessages(messageIds);
+}
+
 async function editMessageContent(messageId, actorUserId, newContent) {
   return store.editMessageContent(messageId, actorUserId, newContent);
 }
@@ -42,6 +46,206 @@ async function softDeleteMessage(messageId, actorUserId) {
   return store.softDeleteMessage(messageId, actorUserId);
 }
 
+async function addReaction(messageId, userId, emoji) {
+  return store.addReaction(messageId, userId, emoji);
+}
+
+async function removeReaction(messageId, userId, emoji) {
+  return store.removeReaction(messageId, userId, emoji);
+}
+
+async function setPollVote(messageId, userId, optionIds) {
+  return store.setPollVote(messageId, userId, optionIds);
+}
+
+async function recordVoiceListen(messageId, userId, listenedAt) {
+  return store.recordVoiceListen(messageId, userId, listenedAt);
+}
+
+async function recordThreadReply(threadRootId, userId, timestamp) {
+  return store.recordThreadReply(threadRootId, userId, timestamp);
+}
+
+async function addPin(chatId, messageId, userId) {
+  return store.addPin(chatId, messageId, userId);
+}
+
+async function removePin(chatId, messageId) {
+  return store.removePin(chatId, messageId);
+}
+
+async function getPins(chatId) {
+  return store.getPins(chatId);
+}
+
+async function addBookmark(userId, chatId, messageId) {
+  return store.addBookmark(userId, chatId, messageId);
+}
+
+async function removeBookmark(userId, messageId) {
+  return store.removeBookmark(userId, messageId);
+}
+
+async function getBookmarks(userId) {
+  return store.getBookmarks(userId);
+}
+
+async function countBookmarks(userId) {
+  return store.countBookmarks(userId);
+}
+
+async function removeBookmarksForMessages(messageIds) {
+  return store.removeBookmarksForMessages(messageIds);
+}
+
+async function archiveChats(userId, chatIds, keepArchived) {
+  return store.archiveChats(userId, chatIds, keepArchived);
+}
+
+async function unarchiveChats(userId, chatIds) {
+  return store.unarchiveChats(userId, chatIds);
+}
+
+async function getArchivedChats(userId) {
+  return store.getArchivedChats(userId);
+}
+
+async function releaseArchivedChat(chatId, userIds) {
+  return store.releaseArchivedChat(chatId, userIds);
+}
+
+async function setChatMute(userId, chatId, mutedUntil) {
+  return store.setChatMute(userId, chatId, mutedUntil);
+}
+
+async function removeChatMute(userId, chatId) {
+  return store.removeChatMute(userId, chatId);
+}
+
+async function getChatMutes(userId, now) {
+  return store.getChatMutes(userId, now);
+}
+
+async function addBlock(userId, blockedUserId) {
+  return store.addBlock(userId, blockedUserId);
+}
+
+async function removeBlock(userId, blockedUserId) {
+  return store.removeBlock(userId, blockedUserId);
+}
+
+async function getBlocks(userId) {
+  return store.getBlocks(userId);
+}
+
+async function listAllBlocks() {
+  return store.listAllBlocks();
+}
+
+async function upsertMessageRequest(request) {
+  return store.upsertMessageRequest(request);
+}
+
+async function listAllMessageRequests() {
+  return store.listAllMessageRequests();
+}
+
+async function createRoomInvite(invite) {
+  return store.createRoomInvite(invite);
+}
+
+async function getRoomInvite(token) {
+  return store.getRoomInvite(token);
+}
+
+async function listRoomInvites(roomId) {
+  return store.listRoomInvites(roomId);
+}
+
+async function claimRoomInviteUse(token, now) {
+  return store.claimRoomInviteUse(token, now);
+}
+
+async function releaseRoomInviteUse(token) {
+  return store.releaseRoomInviteUse(token);
+}
+
+async function revokeRoomInvite(token, revokedAt) {
+  return store.revokeRoomInvite(token, revokedAt);
+}
+
+async function createAttachment(doc) {
+  return store.createAttachment(doc);
+}
+
+async function getAttachment(attachmentId) {
+  return store.getAttachment(attachmentId);
+}
+
+async function getAttachments(attachmentIds) {
+  return store.getAttachments(attachmentIds);
+}
+
+async function linkAttachments(attachmentIds, messageId, chatId) {
+  return store.linkAttachments(attachmentIds, messageId, chatId);
+}
+
+async function getAttachmentUsage(field, keys) {
+  return store.getAttachmentUsage(field, keys);
+}
+
+async function listOrphanAttachments(before, limit) {
+  return store.listOrphanAttachments(before, limit);
+}
+
+async function deleteOrphanAttachment(attachmentId) {
+  return store.deleteOrphanAttachment(attachmentId);
+}
+
+async function createScheduledMessage(doc) {
+  return store.createScheduledMessage(doc);
+}
+
+async function getScheduledMessage(scheduledId) {
+  return store.getScheduledMessage(scheduledId);
+}
+
+async function listScheduledMessages(senderId, chatId = null) {
+  return store.listScheduledMessages(senderId, chatId);
+}
+
+async function countPendingScheduledMessages(senderId) {
+  return store.countPendingScheduledMessages(senderId);
+}
+
+async function updateScheduledMessage(scheduledId, senderId, patch) {
+  return store.updateScheduledMessage(scheduledId, senderId, patch);
+}
+
+async function cancelScheduledMessage(scheduledId, senderId) {
+  return store.cancelScheduledMessage(scheduledId, senderId);
+}
+
+async function claimDueScheduledMessage(now, ownerId, leaseMs) {
+  return store.claimDueScheduledMessage(now, ownerId, leaseMs);
+}
+
+async function completeScheduledMessage(scheduledId, ownerId, outcome) {
+  return store.completeScheduledMessage(scheduledId, ownerId, outcome);
+}
+
+async function getChatSettings(chatId) {
+  return store.getChatSettings(chatId);
+}
+
+async function setChatEphemeral(chatId, mode, userId) {
+  return store.setChatEphemeral(chatId, mode, userId);
+}
+
+async function deleteExpiredMessages(now, limit) {
+  return store.deleteExpiredMessages(now, limit);
+}
+
 async function markMessageDelivered(messageId, userId) {
   return store.markMessageDelivered(messageId, userId);
 }
@@ -70,10 +274,26 @@ async function getMessagesByRoom(roomId) {
   return store.getMessagesByRoom(roomId);
 }
 
+async function getRoomActivity(roomIds, since) {
+  return store.getRoomActivity(roomIds, since);
+}
+
 async function getDeliveredRecipientIdsForRoomMessage(roomMessageId) {
   return store.getDeliveredRecipientIdsForRoomMessage(roomMessageId);
 }
 
+async function recordRoomDelivery(roomMessageId, userIds, deliveredAt) {
+  return store.recordRoomDelivery(roomMessageId, userIds, deliveredAt);
+}
+
+async function markRoomMessagesRead(roomId, userId, upToTimestamp, readAt, limit) {
+  return store.markRoomMessagesRead(roomId, userId, upToTimestamp, readAt, limit);
+}
+
+async function getRoomReceipts(roomMessageId, senderId, limit) {
+  return store.getRoomReceipts(roomMessageId, senderId, limit);
+}
+
 async function getHistoryPaginated(recipientId, options = {}) {
   return store.getHistoryPaginated(recipientId, options);
 }
@@ -111,8 +331,59 @@ module.exports = {
   persistMessage,
   updateMessageState,
   getMessage,
+  getMessages,
   editMessageContent,
   softDeleteMessage,
+  addReaction,
+  removeReaction,
+  setPollVote,
+  recordVoiceListen,
+  recordThreadReply,
+  addPin,
+  removePin,
+  getPins,
+  addBookmark,
+  removeBookmark,
+  getBookmarks,
+  countBookmarks,
+  removeBookmarksForMessages,
+  archiveChats,
+  unarchiveChats,
+  getArchivedChats,
+  releaseArchivedChat,
+  setChatMute,
+  removeChatMute,
+  getChatMutes,
+  addBlock,
+  removeBlock,
+  getBlocks,
+  listAllBlocks,
+  upsertMessageRequest,
+  listAllMessageRequests,
+  createRoomInvite,
+  getRoomInvite,
+  listRoomInvites,
+  claimRoomInviteUse,
+  releaseRoomInviteUse,
+  revokeRoomInvite,
+  createAttachment,
+  getAttachment,
+  getAttachments,
+  linkAttachments,
+  getAttachmentUsage,
+  listOrphanAttachments,
+  deleteOrphanAttachment,
+  createScheduledMessage,
+  getScheduledMessage,
+  listScheduledMessages,
+  countPendingScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  claimDueScheduledMessage,
+  completeScheduledMessage,
+  getChatSettings,
+  setChatEphemeral,
+  deleteExpiredMessages,
   markMessageDelivered,
   isMessageDelivered,
   getUndeliveredMessages,
@@ -120,7 +391,11 @@ module.exports = {
   getMessagesForRecipient,
   getMessagesForSender,
   getMessagesByRoom,
+  getRoomActivity,
   getDeliveredRecipientIdsForRoomMessage,
+  recordRoomDelivery,
+  markRoomMessagesRead,
+  getRoomReceipts,
   getHistoryPaginated,
   getAllHistory,
   getContextWindow,
@@ -29,7 +29,7 @@ const {
 const userStoreStorage = require('../../storage/user.store');
 const reportsStore = require('../../storage/reports.store');
 const messageStore = require('../../services/message.store');
-const { toApiShape } = require('../../models/Message.model');
+const { toApiShape, toRevisionTrail } = require('../../models/Message.model');
 const { toApiMessage } = require('../../utils/apiShape');
 const warningsStore = require('../../storage/warnings.store');
 const config = require('../../config/constants');
@@ -40,6 +40,7 @@ const adminActivityBuffer = require('../../observability/adminActivityBuffer');
 const messagesAggregator = require('../../observability/aggregators/messages');
 const { getLiveWindowMs, isLiveSession } = require('../../utils/sessionLive');
 const { normalizeIp } = require('../../utils/ip');
+const attachmentService = require('../../services/attachment.service');
 
 /**
  * List users for root admin (id, email, username, role, createdAt).
@@ -511,7 +512,8 @@ function roleToStableKey(role) {
  * GET /api/admin/users?q=...&limit=...&cursor=...
  * ADMIN only.
  * Returns stable UI-ready shape: every user has id, username, role, status, banned, flagged,
- * lastSeen, messages, reconnects, failures, violations, avgLatencyMs, email (all keys present).
+ * lastSeen, messages, reconnects, failures, violations, avgLatencyMs, email, storageBytes (all keys present;
+ * storageBytes is the size of the user's stored uploads, null when unavailable).
  */
 async function getUsers(req, res) {
   try {
@@ -541,6 +543,13 @@ async function getUsers(req, res) {
       /* ignore */
     }
 
+    let storageByUserId = {};
+    try {
+      storageByUserId = await attachmentService.getUsersStorageUsage(page.map((u) => String(u.id)));
+    } catch (err) {
+      logger.warn('Admin', 'users_storage_error', { error: err.message });
+    }
+
     const usersOut = await Promise.all(page.map(async (u) => {
       const diag = userDiagnostics.getUserDiagnostics(u.id);
       const flags = suspiciousDetector.getUserFlags(u.id);
@@ -573,6 +582,7 @@ async function getUsers(req, res) {
         avgLatencyMs: (diag && typeof diag.avgLatencyMs === 'number' && diag.avgLatencyMs >= 0) ? Math.round(diag.avgLatencyMs) : null,
         email: u.email ?? null,
         isRootAdmin,
+        storageBytes: storageByUserId[String(u.id)]?.bytes ?? null,
       };
     }));
 
@@ -812,6 +822,9 @@ function clampMessageForReport(msg) {
   if (typeof out.content === 'string' && out.content.length > REPORT_CONTENT_MAX_LENGTH) {
     out.content = out.content.slice(0, REPORT_CONTENT_MAX_LENGTH) + '…[truncated]';
   }
+  if (Array.isArray(out.revisions)) {
+    out.revisions = out.revisions.map((r) => clampMessageForReport(r));
+  }
   if (Array.isArray(out.attachments) && out.attachments.length > REPORT_ATTACHMENTS_MAX) {
     out.attachments = out.attachments.slice(0, REPORT_ATTACHMENTS_MAX).map((a) => {
       if (a == null || typeof a !== 'object') return a;
@@ -980,7 +993,8 @@ async function getReportDetails(req, res) {
     context = context.slice(0, REPORT_CONTEXT_MAX);
   }
   context = context.map((m) => clampMessageForReport(m));
-  const clampedAnchor = clampMessageForReport(toApiShape(anchor));
+  // Reported message carries its full edit trail so moderators see what was originally said
+  const clampedAnchor = clampMessageForReport({ ...toApiShape(anchor), revisions: toRevisionTrail(anchor) });
 
   // Logs: ids, lengths, flags only; no message content (no content/reason/attachments).
   if (config.ADMIN_REPORTS_DEBUG) {
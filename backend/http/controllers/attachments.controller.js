@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * HTTP attachments controller.
+ * Metadata and download of chat file attachments. attachmentService authorizes every request
+ * (validateChatOwnership on any chat the file was posted to, or a signed URL issued after that check);
+ * the stored mime from magic-byte detection is the only Content-Type ever sent.
+ */
+
+const logger = require('../../utils/logger');
+const attachmentService = require('../../services/attachment.service');
+const { toAttachmentDto } = require('../../models/Attachment.model');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/** attachmentService failure code -> HTTP status */
+const STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  FORBIDDEN: 403,
+  INVALID_SIGNATURE: 403,
+  URL_EXPIRED: 403,
+  NOT_FOUND: 404,
+};
+
+/** Categories browsers may render in place; everything else is always a download. */
+const INLINE_CATEGORIES = ['image', 'audio', 'video'];
+
+function getUserId(req) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') return null;
+  return typeof userId === 'string' ? userId.trim() : String(userId);
+}
+
+function sendFailure(res, result) {
+  return sendError(res, STATUS_BY_CODE[result.code] || 400, result.error || 'Request failed', result.code || 'INVALID_PAYLOAD');
+}
+
+/**
+ * Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266 / RFC 5987).
+ * @param {'inline'|'attachment'} type
+ * @param {string} name
+ * @returns {string}
+ */
+function contentDisposition(type, name) {
+  const fallback = String(name).replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * GET /api/attachments/:attachmentId
+ * Attachment record (name, size, mime, category, sha256, uploader, chat, url).
+ */
+async function getAttachment(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await attachmentService.getAttachmentForDownload(userId, req.params.attachmentId);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { attachment: toAttachmentDto(result.attachment) });
+  } catch (err) {
+    logger.error('Attachments', 'getAttachment_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch attachment', 'ATTACHMENTS_ERROR');
+  }
+}
+
+/**
+ * GET /api/attachments/:attachmentId/signed-url[?width=]
+ * Short-lived URL that downloads the file (or, with width, one of its image thumbnails) without cookies
+ * (for <img>/<video>/<audio> src).
+ */
+async function getSignedUrl(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const width = req.query?.width != null ? req.query.width : undefined;
+    const result = await attachmentService.createSignedDownloadUrl(userId, req.params.attachmentId, { width });
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { url: result.url, expiresAt: result.expiresAt });
+  } catch (err) {
+    logger.error('Attachments', 'getSignedUrl_error', { error: err.message });
+    sendError(res, 500, 'Failed to sign attachment url', 'ATTACHMENTS_ERROR');
+  }
+}
+
+/**
+ * Single byte range of a Range header (RFC 9110): "bytes=start-end", "bytes=start-" or "bytes=-suffix".
+ * @param {string|undefined} header
+ * @param {number} size - File size
+ * @returns {{ start: number, end: number }|null|false} null = serve the whole file (no or unsupported range),
+ *   false = unsatisfiable
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  if (m[1] === '') {
+    const suffix = Number(m[2]);
+    if (suffix === 0 || size === 0) return false;
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+  const start = Number(m[1]);
+  const end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  if (start >= size || end < start) return false;
+  return { start, end };
+}
+
+/**
+ * Attachment for a download request (session + chat membership, or a signed URL for this exact path),
+ * or null after sending the error response.
+ * @param {{ width?: string }} [options] - Thumbnail width when authorizing a thumbnail path
+ */
+async function authorizeDownload(req, res, { width } = {}) {
+  const signed = req.query.sig != null;
+  const userId = getUserId(req);
+  if (!signed && !userId) {
+    sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+    return null;
+  }
+  let result;
+  try {
+    result = signed
+      ? await attachmentService.getAttachmentForSignedDownload(req.params.attachmentId, { expires: req.query.expires, sig: req.query.sig, width })
+      : await attachmentService.getAttachmentForDownload(userId, req.params.attachmentId);
+  } catch (err) {
+    logger.error('Attachments', 'downloadAttachment_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch attachment', 'ATTACHMENTS_ERROR');
+    return null;
+  }
+  if (!result.ok) {
+    sendFailure(res, result);
+    return null;
+  }
+  return result.attachment;
+}
+
+/**
+ * GET /api/attachments/:attachmentId/download[?expires=&sig=]
+ * Streams the file: with a session (chat membership checked) or with a signed URL from /signed-url.
+ * Supports single Range requests (206) so media can seek. Images, audio and video are served inline,
+ * everything else as a download; nosniff keeps browsers from reinterpreting the content.
+ */
+async function downloadAttachment(req, res) {
+  const attachment = await authorizeDownload(req, res);
+  if (!attachment) return;
+  const etag = `"${attachment.sha256}"`;
+
+  // If-Range with a different validator: the client's partial copy is stale, send the whole file
+  const ifRange = req.headers['if-range'];
+  const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, attachment.size);
+  if (range === false) {
+    res.setHeader('Content-Range', `bytes */${attachment.size}`);
+    return sendError(res, 416, 'Range not satisfiable', 'RANGE_NOT_SATISFIABLE');
+  }
+
+  let stream;
+  try {
+    stream = await attachmentService.openAttachmentStream(attachment, range || undefined);
+  } catch (err) {
+    logger.error('Attachments', 'download_open_error', { attachmentId: attachment.attachmentId, error: err.message });
+    return sendError(res, 500, 'Failed to read attachment', 'ATTACHMENTS_ERROR');
+  }
+  if (!stream) return sendError(res, 404, 'Attachment not found', 'NOT_FOUND');
+
+  const disposition = INLINE_CATEGORIES.includes(attachment.category) ? 'inline' : 'attachment';
+  res.setHeader('Content-Type', attachment.mime);
+  res.setHeader('Content-Disposition', contentDisposition(disposition, attachment.name));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('ETag', etag);
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${attachment.size}`);
+    res.setHeader('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.setHeader('Content-Length', String(attachment.size));
+  }
+  stream
+    .on('error', (err) => {
+      logger.error('Attachments', 'download_stream_error', { attachmentId: attachment.attachmentId, error: err.message });
+      res.destroy(err);
+    })
+    .pipe(res);
+}
+
+/**
+ * GET /api/attachments/:attachmentId/thumbnails/:width[?expires=&sig=]
+ * webp thumbnail of an image attachment; same authorization as the download. Thumbnails are small,
+ * so there is no Range support.
+ */
+async function downloadThumbnail(req, res) {
+  const attachment = await authorizeDownload(req, res, { width: req.params.width });
+  if (!attachment) return;
+  let stream;
+  try {
+    stream = await attachmentService.openThumbnailStream(attachment, req.params.width);
+  } catch (err) {
+    logger.error('Attachments', 'thumbnail_open_error', { attachmentId: attachment.attachmentId, error: err.message });
+    return sendError(res, 500, 'Failed to read attachment', 'ATTACHMENTS_ERROR');
+  }
+  if (!stream) return sendError(res, 404, 'Thumbnail not found', 'NOT_FOUND');
+  res.setHeader('Content-Type', 'image/webp');
+  res.setHeader('Content-Disposition', 'inline');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('ETag', `"${attachment.sha256}-w${Number(req.params.width)}"`);
+  stream
+    .on('error', (err) => {
+      logger.error('Attachments', 'thumbnail_stream_error', { attachmentId: attachment.attachmentId, error: err.message });
+      res.destroy(err);
+    })
+    .pipe(res);
+}
+
+module.exports = {
+  getAttachment,
+  getSignedUrl,
+  downloadAttachment,
+  downloadThumbnail,
+};
@@ -39,6 +39,7 @@ const { toApiUser } = require('../../utils/apiShape');
 const { ROLES } = require('../../auth/roles');
 const userService = require('../../services/user.service');
 const userLookup = require('../../users/user.service');
+const imageService = require('../../services/image.service');
 const sessionStore = require('../../auth/sessionStore');
 const userStoreStorage = require('../../storage/user.store');
 const tokenService = require('../../auth/tokenService');
@@ -307,6 +308,7 @@ const DISPLAY_NAME_MAX = 40;
 
 /**
  * PATCH /me — Update profile (displayName, avatarUrl only). requireAuth. Reject email.
+ * /uploads avatars are cropped to IMAGES.avatarSize squares; the response carries the resulting avatarUrl.
  */
 async function patchMe(req, res) {
   if (!req.user || !req.user.userId) {
@@ -341,7 +343,10 @@ async function patchMe(req, res) {
       patch.avatarUrl = null;
     } else {
       if (urlVal.startsWith('/uploads/')) {
-        patch.avatarUrl = urlVal;
+        // Our own uploads are normalized to a square crop (stored as a new upload)
+        const normalized = await imageService.normalizeAvatarUrl(urlVal);
+        if (!normalized.ok) return sendError(res, 400, normalized.error, normalized.code);
+        patch.avatarUrl = normalized.url;
       } else {
         try {
           const parsed = new URL(urlVal);
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * HTTP blocked users controller.
+ * Block / unblock a user and list the users the caller blocked. blockService owns validation and the
+ * in-memory mirror that the DM, typing and presence paths check. Nothing is pushed over WebSocket:
+ * the blocked user is not told.
+ */
+
+const logger = require('../../utils/logger');
+const blockService = require('../../services/block.service');
+const { toApiUser } = require('../../utils/apiShape');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/** blockService failure code -> HTTP status */
+const STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  USER_NOT_FOUND: 404,
+  BLOCK_LIMIT: 409,
+};
+
+function getUserId(req) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') return null;
+  return typeof userId === 'string' ? userId.trim() : String(userId);
+}
+
+function sendFailure(res, result) {
+  return sendError(res, STATUS_BY_CODE[result.code] || 400, result.error || 'Request failed', result.code || 'INVALID_PAYLOAD');
+}
+
+/**
+ * GET /api/users/blocked
+ * { blocked: { userId, blockedAt, user: ApiUser|null }[] } — most recently blocked first; user is null once deleted.
+ */
+async function listBlockedUsers(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const blocked = await blockService.getBlockedUsers(userId);
+    sendSuccess(res, { blocked: blocked.map((b) => ({ ...b, user: b.user ? toApiUser(b.user) : null })) });
+  } catch (err) {
+    logger.error('Blocks', 'listBlockedUsers_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch blocked users', 'BLOCKS_ERROR');
+  }
+}
+
+/**
+ * POST /api/users/:id/block
+ * Block a user (idempotent: 201 when created, 200 when already blocked).
+ */
+async function blockUser(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await blockService.blockUser(userId, req.params.id);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { userId: result.userId, blocked: true }, result.changed ? 201 : 200);
+  } catch (err) {
+    logger.error('Blocks', 'blockUser_error', { error: err.message });
+    sendError(res, 500, 'Failed to block user', 'BLOCKS_ERROR');
+  }
+}
+
+/**
+ * DELETE /api/users/:id/block
+ * Unblock a user (idempotent).
+ */
+async function unblockUser(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await blockService.unblockUser(userId, req.params.id);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { userId: result.userId, blocked: false });
+  } catch (err) {
+    logger.error('Blocks', 'unblockUser_error', { error: err.message });
+    sendError(res, 500, 'Failed to unblock user', 'BLOCKS_ERROR');
+  }
+}
+
+module.exports = {
+  listBlockedUsers,
+  blockUser,
+  unblockUser,
+};
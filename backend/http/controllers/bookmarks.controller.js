@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * HTTP bookmarks ("Saved messages") controller.
+ * Star / unstar any message the user can see and list the starred messages across all chats.
+ * Bookmarks are private to the user, so nothing is pushed over WebSocket. messageService owns
+ * validation (validateChatOwnership on the message's chat); listing prunes bookmarks whose
+ * message was deleted or expired.
+ */
+
+const logger = require('../../utils/logger');
+const messageService = require('../../services/message.service');
+const historyService = require('../../services/history.service');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/** messageService failure code -> HTTP status */
+const STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  MESSAGE_DELETED: 409,
+  BOOKMARK_LIMIT: 409,
+};
+
+function getUserId(req) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') return null;
+  return typeof userId === 'string' ? userId.trim() : String(userId);
+}
+
+function sendFailure(res, result) {
+  return sendError(res, STATUS_BY_CODE[result.code] || 400, result.error || 'Request failed', result.code || 'INVALID_PAYLOAD');
+}
+
+/**
+ * GET /api/bookmarks?q=
+ * Saved messages of the user across DMs and rooms, most recently starred first, with snippets.
+ * q filters by message content (case-insensitive).
+ */
+async function listBookmarks(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+  try {
+    const { bookmarks, staleMessageIds } = await historyService.getBookmarks(userId, { q });
+    if (staleMessageIds.length > 0) await messageService.removeMessageBookmarks(staleMessageIds);
+    sendSuccess(res, { bookmarks });
+  } catch (err) {
+    logger.error('Bookmarks', 'listBookmarks_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch saved messages', 'BOOKMARKS_ERROR');
+  }
+}
+
+/**
+ * POST /api/bookmarks { messageId }
+ * Star a message (idempotent). Room messages may be referenced by roomMessageId or per-recipient id.
+ */
+async function addBookmark(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const { messageId } = req.body || {};
+  try {
+    const result = await messageService.setMessageBookmark(userId, messageId, true);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { messageId: result.messageId, chatId: result.chatId, bookmarked: true }, result.changed ? 201 : 200);
+  } catch (err) {
+    logger.error('Bookmarks', 'addBookmark_error', { error: err.message });
+    sendError(res, 500, 'Failed to save message', 'BOOKMARKS_ERROR');
+  }
+}
+
+/**
+ * DELETE /api/bookmarks/:messageId
+ * Unstar a message (idempotent).
+ */
+async function removeBookmark(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await messageService.setMessageBookmark(userId, req.params.messageId, false);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { messageId: result.messageId, chatId: result.chatId, bookmarked: false });
+  } catch (err) {
+    logger.error('Bookmarks', 'removeBookmark_error', { error: err.message });
+    sendError(res, 500, 'Failed to remove saved message', 'BOOKMARKS_ERROR');
+  }
+}
+
+module.exports = {
+  listBookmarks,
+  addBookmark,
+  removeBookmark,
+};
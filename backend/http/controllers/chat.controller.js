@@ -40,13 +40,16 @@
 
 const messageStore = require('../../services/message.store');
 const messageService = require('../../services/message.service');
+const messageRequestService = require('../../services/messageRequest.service');
 const deliveryService = require('../../services/delivery.service');
 const readCursorStore = require('../../chat/readCursorStore.mongo');
+const { validateChatOwnership } = require('../../services/history.service');
 const { MAX_CONTENT_LENGTH } = require('../../config/constants');
 const { attemptRealtimeDelivery } = require('../../services/delivery.trigger');
 const redisBus = require('../../services/redisBus');
 const { sendError, sendSuccess } = require('../../utils/errorResponse');
 const { toApiMessage } = require('../../utils/apiShape');
+const { toDirectChatId } = require('../../utils/chatId');
 
 /**
  * Send a message (HTTP wrapper around message service)
@@ -60,7 +63,7 @@ async function sendMessage(req, res) {
     return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
   }
 
-  const { recipientId, content, clientMessageId } = req.body;
+  const { recipientId, content, clientMessageId, replyToMessageId } = req.body;
 
   // Lightweight validation
   if (!recipientId || typeof recipientId !== 'string' || recipientId.trim().length === 0) {
@@ -82,11 +85,16 @@ async function sendMessage(req, res) {
   try {
     // Accept incoming message (validates and deduplicates)
     const trimmedRecipientId = recipientId.trim();
+    const reply = await messageService.resolveReplyTarget(replyToMessageId, toDirectChatId(userId, trimmedRecipientId));
+    if (!reply.ok) {
+      return sendError(res, 400, reply.error, reply.code);
+    }
     const intake = messageService.acceptIncomingMessage({
       senderId: userId,
       receiverId: trimmedRecipientId,
       clientMessageId,
       content: content.trim(),
+      replyToMessageId: reply.replyToMessageId,
     });
 
     if (!intake.ok) {
@@ -96,14 +104,14 @@ async function sendMessage(req, res) {
         const apiMessage = toApiMessage(existingMessage);
         return sendSuccess(res, { message: apiMessage });
       }
-      return sendError(res, 400, intake.error || 'Invalid payload', intake.code || 'INVALID_PAYLOAD');
+      return sendError(res, intake.code === 'USER_BLOCKED' ? 403 : 400, intake.error || 'Invalid payload', intake.code || 'INVALID_PAYLOAD');
     }
 
     // Persist and get ACK (ack has messageId, state, timestamp; not full message)
     const ack = await messageService.persistAndReturnAck(intake.message, { correlationId: null });
 
     // Build stable API message from intake + ack
-    const { messageId, senderId, recipientId: recvId, content: msgContent } = intake.message;
+    const { messageId, senderId, recipientId: recvId, content: msgContent, replyToMessageId: replyId } = intake.message;
     const builtMessage = {
       messageId: ack.messageId || messageId,
       senderId,
@@ -111,9 +119,11 @@ async function sendMessage(req, res) {
       content: msgContent,
       timestamp: ack.timestamp,
       state: ack.state,
+      replyToMessageId: replyId || null,
+      replyTo: replyId ? reply.replyTo : null,
     };
     const apiMessage = toApiMessage(builtMessage);
-    sendSuccess(res, { message: apiMessage }, 201);
+    sendSuccess(res, { message: apiMessage, messageRequest: ack.messageRequest === true }, 201);
 
     // Realtime: attempt delivery to recipient if online (same as WS handler)
     const receivePayload = {
@@ -124,6 +134,9 @@ async function sendMessage(req, res) {
       content: builtMessage.content,
       timestamp: builtMessage.timestamp,
       state: builtMessage.state,
+      replyToMessageId: builtMessage.replyToMessageId,
+      replyTo: builtMessage.replyTo,
+      messageRequest: ack.messageRequest === true,
     };
     attemptRealtimeDelivery(builtMessage.messageId, receivePayload, { correlationId: null });
 
@@ -289,7 +302,10 @@ async function getLastMessagePreview(chatId, userId) {
 }
 
 /**
- * Get all chats for authenticated user
+ * Get all chats for authenticated user.
+ * Archived chats are still listed (search and deep links need them), flagged archived / keepArchived.
+ * messageRequest: 'incoming' (in my Requests inbox, not counted as unread chats), 'outgoing' (waiting for the
+ * other user to accept) or null. Requests I declined are left out.
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -323,7 +339,11 @@ async function getChats(req, res) {
     }
 
     const chatIds = Object.keys(chatMap);
-    const cursorMap = await readCursorStore.bulkGetCursors(userId, chatIds);
+    const [cursorMap, archivedChats] = await Promise.all([
+      readCursorStore.bulkGetCursors(userId, chatIds),
+      messageService.getArchivedChats(userId),
+    ]);
+    const archiveByChat = Object.fromEntries(archivedChats.map((a) => [a.chatId, a]));
 
     // Last message per chat from direct messages only (room/group must not affect DM preview)
     const lastMessageByChat = {};
@@ -341,10 +361,14 @@ async function getChats(req, res) {
 
     const chats = [];
     for (const chatId of chatIds) {
+      // Message requests: 'incoming' ones belong in the Requests inbox; declined ones are hidden
+      const messageRequest = messageRequestService.getRequestState(userId, chatId);
+      if (messageRequest === 'declined') continue;
       const chat = chatMap[chatId];
       const cursor = cursorMap.get(chatId) || null;
       const unreadCount = await getUnreadCountWithCursor(chatId, userId, cursor, recipientMessages);
       const lastMessage = lastMessageByChat[chatId] || await getLastMessagePreview(chatId, userId);
+      const archive = archiveByChat[chatId];
 
       chats.push({
         chatId: chat.chatId,
@@ -352,6 +376,9 @@ async function getChats(req, res) {
         participants: chat.participants.filter(id => id !== userId),
         unreadCount,
         lastMessage: lastMessage || null,
+        archived: Boolean(archive),
+        keepArchived: archive ? archive.keepArchived === true : false,
+        messageRequest,
       });
     }
 
@@ -407,6 +434,7 @@ async function getChatById(req, res) {
           participants: participants.filter(id => id !== userId), // Exclude self
           unreadCount,
           lastMessage: lastMessage || null,
+          messageRequest: messageRequestService.getRequestState(userId, chatId),
         },
       });
     } else {
@@ -456,7 +484,29 @@ async function markRead(req, res) {
 }
 
 /**
- * POST read: persist read cursor for a direct chat (DB-backed; unread survives refresh/restart).
+ * POST read for a room: persist the member's room cursor (lastReadMessageId is a roomMessageId).
+ * Moving the cursor also clears the room's unread mention count.
+ */
+async function markRoomRead(res, userId, chatId, lastReadMessageId) {
+  if (!validateChatOwnership(chatId, userId)) {
+    return sendError(res, 403, 'Access denied to this chat', 'CHAT_ACCESS_DENIED');
+  }
+  try {
+    const message = await messageStore.getById(lastReadMessageId);
+    if (!message || message.roomId !== chatId.slice('room:'.length)) {
+      return sendError(res, 400, 'Message not found or not in this chat', 'INVALID_MESSAGE_ID');
+    }
+    const lastReadAt = message.timestamp ?? message.createdAt ?? Date.now();
+    await readCursorStore.upsertCursor(userId, chatId, lastReadMessageId, lastReadAt);
+    return sendSuccess(res, { ok: true });
+  } catch (error) {
+    console.error('Error persisting room read cursor:', error);
+    return sendError(res, 500, 'Failed to update read cursor', 'MARK_READ_ERROR');
+  }
+}
+
+/**
+ * POST read: persist read cursor for a direct chat or room (DB-backed; unread survives refresh/restart).
  * Body: { lastReadMessageId: string }. Validates message belongs to chat and user is participant.
  * @param {Object} req - Express request
  * @param {Object} res - Express response
@@ -472,6 +522,10 @@ async function markChatRead(req, res) {
     return sendError(res, 400, 'lastReadMessageId is required', 'INVALID_PAYLOAD');
   }
 
+  if (chatId.startsWith('room:')) {
+    return markRoomRead(res, userId, chatId, lastReadMessageId);
+  }
+
   if (!chatId || !chatId.startsWith('direct:')) {
     return sendError(res, 400, 'Invalid chat ID', 'INVALID_CHAT_ID');
   }
@@ -510,9 +564,94 @@ async function markChatRead(req, res) {
   }
 }
 
+/**
+ * GET mentions: unread @mention counts per room ({ mentions: { 'room:<id>': n } }); rooms without any are omitted.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getMentionCounts(req, res) {
+  const userId = req.user?.userId;
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const mentions = await messageService.getMentionCounts(userId);
+    return sendSuccess(res, { mentions });
+  } catch (error) {
+    console.error('Error fetching mention counts:', error);
+    return sendError(res, 500, 'Failed to fetch mention counts', 'CHAT_FETCH_ERROR');
+  }
+}
+
+/** messageService failure code -> HTTP status (archive endpoints) */
+const ARCHIVE_STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  FORBIDDEN: 403,
+};
+
+/**
+ * GET archived: the user's archived DMs and rooms ({ archived: [{ chatId, archivedAt, keepArchived }] }),
+ * most recently archived first. Rooms are not in GET /chats, so clients read their archive state here.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getArchivedChats(req, res) {
+  const userId = req.user?.userId;
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const archived = await messageService.getArchivedChats(userId);
+    return sendSuccess(res, { archived });
+  } catch (error) {
+    console.error('Error fetching archived chats:', error);
+    return sendError(res, 500, 'Failed to fetch archived chats', 'CHAT_FETCH_ERROR');
+  }
+}
+
+/**
+ * POST archive: archive one or more chats. Body: { chatIds: string[], keepArchived?: boolean }.
+ * Without keepArchived the next message in a chat unarchives it again. Idempotent.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function archiveChats(req, res) {
+  return setArchived(req, res, true);
+}
+
+/**
+ * POST unarchive: unarchive one or more chats. Body: { chatIds: string[] }. Idempotent.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function unarchiveChats(req, res) {
+  return setArchived(req, res, false);
+}
+
+async function setArchived(req, res, archived) {
+  const userId = req.user?.userId;
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const body = req.body || {};
+  try {
+    const result = await messageService.setChatsArchived(userId, body.chatIds, archived, { keepArchived: body.keepArchived === true });
+    if (!result.ok) {
+      return sendError(res, ARCHIVE_STATUS_BY_CODE[result.code] || 400, result.error, result.code);
+    }
+    return sendSuccess(res, {
+      chatIds: result.chatIds,
+      archived: result.archived,
+      keepArchived: result.keepArchived === true,
+      changed: result.changed,
+    });
+  } catch (error) {
+    console.error('Error updating archived chats:', error);
+    return sendError(res, 500, 'Failed to update archived chats', 'ARCHIVE_ERROR');
+  }
+}
+
 module.exports = {
   sendMessage,
   getChats,
+  getArchivedChats,
+  archiveChats,
+  unarchiveChats,
+  getMentionCounts,
   getChatById,
   markRead,
   markChatRead,
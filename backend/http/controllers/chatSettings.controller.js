@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * HTTP chat settings controller.
+ * The disappearing messages mode is changed over WebSocket (CHAT_EPHEMERAL_SET); this endpoint
+ * serves the current settings when a chat is opened. Mutes are likewise set with CHAT_MUTE_SET and
+ * listed here once per session.
+ *
+ * Same boundaries as pin.controller: DB only, no WebSocket events.
+ */
+
+const logger = require('../../utils/logger');
+const messageService = require('../../services/message.service');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/**
+ * GET /api/chats/:chatId/settings
+ * { chatId, ephemeral: off|1h|24h|7d, ephemeralTtlMs, updatedBy, updatedAt }
+ */
+async function getChatSettings(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  }
+  const uid = typeof userId === 'string' ? userId.trim() : String(userId);
+
+  try {
+    const result = await messageService.getChatSettings(uid, req.params.chatId);
+    if (!result.ok) {
+      return result.code === 'FORBIDDEN'
+        ? sendError(res, 403, 'Access denied to this chat', 'CHAT_ACCESS_DENIED')
+        : sendError(res, 400, result.error, 'INVALID_CHAT_ID');
+    }
+    sendSuccess(res, result.settings);
+  } catch (err) {
+    logger.error('ChatSettings', 'getChatSettings_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch chat settings', 'HISTORY_ERROR');
+  }
+}
+
+/**
+ * GET /api/chats/mutes
+ * { mutes: { chatId, mutedAt, mutedUntil }[] } — the caller's active mutes; mutedUntil null = until unmuted
+ */
+async function getChatMutes(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  }
+  const uid = typeof userId === 'string' ? userId.trim() : String(userId);
+
+  try {
+    sendSuccess(res, { mutes: await messageService.getChatMutes(uid) });
+  } catch (err) {
+    logger.error('ChatSettings', 'getChatMutes_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch muted chats', 'CHAT_FETCH_ERROR');
+  }
+}
+
+module.exports = {
+  getChatSettings,
+  getChatMutes,
+};
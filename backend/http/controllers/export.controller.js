@@ -6,11 +6,13 @@
 
 const PDFDocument = require('pdfkit');
 const { sendError } = require('../../utils/errorResponse');
-const { validateChatOwnership } = require('../../services/history.service');
+const { validateChatOwnership, parseDirectChatId } = require('../../services/history.service');
 const messageStore = require('../../services/message.store');
 const roomManager = require('../../websocket/state/roomManager');
-const { parseDirectChatId, toRoomId } = require('../../utils/chatId');
+const { toRoomId } = require('../../utils/chatId');
 const userLookup = require('../../users/user.service');
+const { isExpired, toPollSummary } = require('../../models/Message.model');
+const { toMessageAttachments } = require('../../models/Attachment.model');
 
 function safeFilename(chatId) {
   return String(chatId).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 80);
@@ -26,9 +28,30 @@ function toExportMessage(msg) {
     state: msg.state,
     roomId: msg.roomId,
     roomMessageId: msg.roomMessageId,
+    contentType: msg.contentType || 'text',
+    poll: toPollSummary(msg.poll),
+    attachments: toMessageAttachments(msg.attachments),
   };
 }
 
+/** Poll tallies as PDF lines, e.g. "  Yes: 3" (closed polls are final results). */
+function pollTallyLines(poll) {
+  const summary = toPollSummary(poll);
+  if (!summary) return [];
+  const status = summary.closed ? 'final results' : 'open';
+  return [
+    `  Poll (${status}, ${summary.totalVoters} voter${summary.totalVoters === 1 ? '' : 's'})`,
+    ...summary.options.map((o) => `  ${o.text}: ${o.count}`),
+  ];
+}
+
+/** Full chat history minus disappearing messages past expiresAt (the sweeper may not have deleted them yet). */
+async function getExportableHistory(chatId) {
+  const now = Date.now();
+  const messages = await messageStore.getAllHistory(chatId);
+  return messages.filter((m) => !isExpired(m, now));
+}
+
 async function getParticipantsOrMembers(chatId) {
   if (!chatId || typeof chatId !== 'string') return [];
   const t = chatId.trim();
@@ -66,7 +89,7 @@ async function exportChatJson(req, res) {
   }
 
   try {
-    const messages = await messageStore.getAllHistory(chatId);
+    const messages = await getExportableHistory(chatId);
     const participantsOrMembers = await getParticipantsOrMembers(chatId);
     const chatType = chatId.startsWith('direct:') ? 'direct' : 'room';
     const payload = {
@@ -109,7 +132,7 @@ async function exportChatPdf(req, res) {
   }
 
   try {
-    const messages = await messageStore.getAllHistory(chatId);
+    const messages = await getExportableHistory(chatId);
     const chatType = chatId.startsWith('direct:') ? 'direct' : 'room';
     const exportedAt = new Date().toISOString();
 
@@ -138,6 +161,8 @@ async function exportChatPdf(req, res) {
       const content = (msg.content || '').toString().replace(/\r?\n/g, ' ');
       doc.fontSize(9).fillColor('#333').text(`[${dateStr}] ${senderLabel}:`, { continued: true });
       doc.fillColor('#000').text(` ${content}`, { lineGap: 2 });
+      for (const line of pollTallyLines(msg.poll)) doc.fontSize(9).fillColor('#333').text(line);
+      for (const a of toMessageAttachments(msg.attachments)) doc.fontSize(9).fillColor('#333').text(`  [file] ${a.name} (${a.size} bytes)`);
       doc.moveDown(0.3);
     }
 
@@ -115,6 +115,85 @@ async function getHistory(req, res) {
   }
 }
 
+/**
+ * Get a bounded window of messages around one message (e.g. jump to a replied-to parent).
+ * GET /api/chat/:conversationId/context/:messageId?before=&after=
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getMessageContext(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  }
+  const uid = typeof userId === 'string' ? userId.trim() : String(userId);
+  const chatId = typeof req.params.conversationId === 'string' ? req.params.conversationId.trim() : '';
+  const messageId = typeof req.params.messageId === 'string' ? req.params.messageId.trim() : '';
+  if (!chatId) {
+    return sendError(res, 400, 'chatId is required', 'INVALID_CHAT_ID');
+  }
+  if (!messageId) {
+    return sendError(res, 400, 'messageId is required', 'INVALID_PAYLOAD');
+  }
+  if (!historyService.validateChatOwnership(chatId, uid)) {
+    return sendError(res, 403, 'Access denied to this chat', 'CHAT_ACCESS_DENIED');
+  }
+
+  try {
+    const { anchor, messages } = await historyService.getMessageContext(uid, chatId, messageId, {
+      before: req.query.before,
+      after: req.query.after,
+    });
+    if (!anchor) {
+      return sendError(res, 404, 'Message not found', 'MESSAGE_NOT_FOUND');
+    }
+    sendSuccess(res, {
+      chatId,
+      anchorId: anchor.roomMessageId || anchor.messageId,
+      messages: messages.map(toApiMessage).filter(Boolean),
+    });
+  } catch (err) {
+    logger.error('History', 'getMessageContext_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch message context', 'HISTORY_ERROR');
+  }
+}
+
+/**
+ * Edit trail of one message ("edited" popover): earlier versions, oldest first, then the current content.
+ * GET /api/chat/:conversationId/revisions/:messageId
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getMessageRevisions(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  }
+  const uid = typeof userId === 'string' ? userId.trim() : String(userId);
+  const chatId = typeof req.params.conversationId === 'string' ? req.params.conversationId.trim() : '';
+  const messageId = typeof req.params.messageId === 'string' ? req.params.messageId.trim() : '';
+  if (!chatId) {
+    return sendError(res, 400, 'chatId is required', 'INVALID_CHAT_ID');
+  }
+  if (!messageId) {
+    return sendError(res, 400, 'messageId is required', 'INVALID_PAYLOAD');
+  }
+  if (!historyService.validateChatOwnership(chatId, uid)) {
+    return sendError(res, 403, 'Access denied to this chat', 'CHAT_ACCESS_DENIED');
+  }
+
+  try {
+    const result = await historyService.getMessageRevisions(uid, chatId, messageId);
+    if (!result) {
+      return sendError(res, 404, 'Message not found', 'MESSAGE_NOT_FOUND');
+    }
+    sendSuccess(res, { chatId, ...result });
+  } catch (err) {
+    logger.error('History', 'getMessageRevisions_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch message revisions', 'HISTORY_ERROR');
+  }
+}
+
 /**
  * Get chat history by path parameter (conversationId)
  * @param {Object} req - Express request
@@ -130,4 +209,6 @@ async function getHistoryByPath(req, res) {
 module.exports = {
   getHistory,
   getHistoryByPath,
+  getMessageContext,
+  getMessageRevisions,
 };
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * HTTP room invites controller.
+ * Room owners and admins create, list and revoke invite links; anyone can preview one; a signed-in user accepts
+ * one to join the room. roomInviteService owns permissions, limits and the join (and its ROOM_MEMBER_JOINED /
+ * ROOM_MEMBERS_UPDATED notifications), so nothing here touches WebSocket state.
+ */
+
+const logger = require('../../utils/logger');
+const roomInviteService = require('../../services/roomInvite.service');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/** roomInviteService failure code -> HTTP status */
+const STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  INVITE_NOT_FOUND: 404,
+  INVITE_LIMIT: 409,
+  ROOM_FULL: 409,
+  JOIN_FAILED: 409,
+  INVITE_EXPIRED: 410,
+  INVITE_USED_UP: 410,
+  INVITE_REVOKED: 410,
+};
+
+function getUserId(req) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') return null;
+  return typeof userId === 'string' ? userId.trim() : String(userId);
+}
+
+function sendFailure(res, result) {
+  return sendError(res, STATUS_BY_CODE[result.code] || 400, result.error || 'Request failed', result.code || 'INVALID_PAYLOAD');
+}
+
+/**
+ * GET /api/invites?roomId=
+ * { invites: Invite[] } — newest first, with status active | expired | used_up | revoked. Owners and admins only.
+ */
+async function listInvites(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await roomInviteService.listInvites(userId, req.query.roomId);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { invites: result.invites });
+  } catch (err) {
+    logger.error('Invites', 'listInvites_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch invites', 'INVITES_ERROR');
+  }
+}
+
+/**
+ * POST /api/invites { roomId, expiresInMs?, maxUses? }
+ * 201 { invite }. Omitted / null expiresInMs and maxUses: never expires, unlimited uses.
+ */
+async function createInvite(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const { roomId, expiresInMs, maxUses } = req.body || {};
+  try {
+    const result = await roomInviteService.createInvite(userId, { roomId, expiresInMs, maxUses });
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { invite: result.invite }, 201);
+  } catch (err) {
+    logger.error('Invites', 'createInvite_error', { error: err.message });
+    sendError(res, 500, 'Failed to create invite', 'INVITES_ERROR');
+  }
+}
+
+/**
+ * GET /api/invites/:token (public)
+ * { invite: { name, thumbnailUrl, memberCount, expiresAt } }. Expired, used up and revoked invites: 410.
+ */
+async function previewInvite(req, res) {
+  try {
+    const result = await roomInviteService.previewInvite(req.params.token);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { invite: result.preview });
+  } catch (err) {
+    logger.error('Invites', 'previewInvite_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch invite', 'INVITES_ERROR');
+  }
+}
+
+/**
+ * POST /api/invites/:token/accept
+ * { roomId, alreadyMember } — joins the room; a member accepting again takes no use.
+ */
+async function acceptInvite(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await roomInviteService.acceptInvite(userId, req.params.token);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { roomId: result.roomId, alreadyMember: result.alreadyMember });
+  } catch (err) {
+    logger.error('Invites', 'acceptInvite_error', { error: err.message });
+    sendError(res, 500, 'Failed to accept invite', 'INVITES_ERROR');
+  }
+}
+
+/**
+ * DELETE /api/invites/:token
+ * { invite } — revoked (idempotent). Owners and admins of the invite's room only.
+ */
+async function revokeInvite(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await roomInviteService.revokeInvite(userId, req.params.token);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { invite: result.invite });
+  } catch (err) {
+    logger.error('Invites', 'revokeInvite_error', { error: err.message });
+    sendError(res, 500, 'Failed to revoke invite', 'INVITES_ERROR');
+  }
+}
+
+module.exports = {
+  listInvites,
+  createInvite,
+  previewInvite,
+  acceptInvite,
+  revokeInvite,
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * HTTP pinned messages controller.
+ * Pins are created and removed over WebSocket (MESSAGE_PIN / MESSAGE_UNPIN); this endpoint
+ * serves the current pin list when a chat is opened.
+ *
+ * Same boundaries as thread.controller: DB only, no WebSocket events. Participation is checked
+ * via validateChatOwnership.
+ */
+
+const logger = require('../../utils/logger');
+const historyService = require('../../services/history.service');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/**
+ * GET /api/chats/:chatId/pins
+ * Pinned messages of a DM or room, most recently pinned first, with snippets.
+ */
+async function getPins(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  }
+  const uid = typeof userId === 'string' ? userId.trim() : String(userId);
+  const chatId = typeof req.params.chatId === 'string' ? req.params.chatId.trim() : '';
+  if (!chatId.startsWith('direct:') && !chatId.startsWith('room:')) {
+    return sendError(res, 400, 'chatId must be direct:<u1>:<u2> or room:<roomId>', 'INVALID_CHAT_ID');
+  }
+  if (!historyService.validateChatOwnership(chatId, uid)) {
+    return sendError(res, 403, 'Access denied to this chat', 'CHAT_ACCESS_DENIED');
+  }
+
+  try {
+    const pins = await historyService.getChatPins(chatId);
+    sendSuccess(res, { chatId, pins });
+  } catch (err) {
+    logger.error('Pins', 'getPins_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch pinned messages', 'HISTORY_ERROR');
+  }
+}
+
+module.exports = {
+  getPins,
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * HTTP room read receipts controller.
+ * Members mark rooms read over WebSocket (ROOM_READ) and senders get ROOM_RECEIPTS_UPDATED pushes with counts;
+ * this endpoint serves the full "delivered to / read by" detail of one message when the sender opens it.
+ *
+ * Same boundaries as pin.controller: DB only, no WebSocket events.
+ */
+
+const logger = require('../../utils/logger');
+const messageService = require('../../services/message.service');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/** messageService failure code -> HTTP status */
+const STATUS_BY_CODE = {
+  INVALID_CHAT_ID: 400,
+  INVALID_PAYLOAD: 400,
+  CHAT_ACCESS_DENIED: 403,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+};
+
+/**
+ * GET /api/chats/:chatId/messages/:messageId/receipts
+ * Sender only. { receipts: { roomMessageId, totalCount, deliveredCount, readCount, readBy, deliveredTo, maxListed } };
+ * counts are exact, readBy / deliveredTo hold at most maxListed members each, most recent first.
+ */
+async function getMessageReceipts(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  }
+  const chatId = typeof req.params.chatId === 'string' ? req.params.chatId.trim() : '';
+  try {
+    const result = await messageService.getRoomMessageReceipts(String(userId), chatId, req.params.messageId);
+    if (!result.ok) {
+      return sendError(res, STATUS_BY_CODE[result.code] || 400, result.error, result.code);
+    }
+    return sendSuccess(res, { receipts: result.receipts });
+  } catch (err) {
+    logger.error('Receipts', 'getMessageReceipts_error', { error: err.message });
+    return sendError(res, 500, 'Failed to fetch receipts', 'HISTORY_ERROR');
+  }
+}
+
+module.exports = {
+  getMessageReceipts,
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * HTTP rooms controller: public room directory and one-click join.
+ * roomDirectoryService owns visibility rules and the join (and its ROOM_MEMBER_JOINED / ROOM_MEMBERS_UPDATED
+ * notifications), so nothing here touches WebSocket state.
+ */
+
+const logger = require('../../utils/logger');
+const roomDirectoryService = require('../../services/roomDirectory.service');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/** roomDirectoryService failure code -> HTTP status */
+const STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  APPROVAL_REQUIRED: 403,
+  NOT_FOUND: 404,
+  ROOM_FULL: 409,
+  JOIN_FAILED: 409,
+};
+
+function getUserId(req) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') return null;
+  return typeof userId === 'string' ? userId.trim() : String(userId);
+}
+
+function sendFailure(res, result) {
+  return sendError(res, STATUS_BY_CODE[result.code] || 400, result.error || 'Request failed', result.code || 'INVALID_PAYLOAD');
+}
+
+/**
+ * GET /api/rooms/directory?q=&limit=&cursor=
+ * { rooms: DirectoryRoom[], nextCursor, total } — public rooms matching q (name or topic), most active first.
+ */
+async function getDirectory(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const { q, limit, cursor } = req.query;
+  try {
+    const result = await roomDirectoryService.listDirectory(userId, { q, limit, cursor });
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { rooms: result.rooms, nextCursor: result.nextCursor, total: result.total });
+  } catch (err) {
+    logger.error('Rooms', 'getDirectory_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch room directory', 'ROOMS_ERROR');
+  }
+}
+
+/**
+ * POST /api/rooms/:roomId/join
+ * { roomId, alreadyMember } — public and unlisted rooms only; knock rooms are 403 APPROVAL_REQUIRED, private rooms 404.
+ */
+async function joinRoom(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await roomDirectoryService.joinRoom(userId, req.params.roomId);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { roomId: result.roomId, alreadyMember: result.alreadyMember });
+  } catch (err) {
+    logger.error('Rooms', 'joinRoom_error', { error: err.message });
+    sendError(res, 500, 'Failed to join room', 'ROOMS_ERROR');
+  }
+}
+
+module.exports = {
+  getDirectory,
+  joinRoom,
+};
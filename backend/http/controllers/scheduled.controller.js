@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * HTTP scheduled ("send later") messages controller.
+ * List, create, edit and cancel the user's scheduled messages. Same rules as the WebSocket
+ * SCHEDULED_MESSAGE_* handlers (messageService owns validation); DB only, so unlike the WebSocket
+ * path no SCHEDULED_MESSAGE_UPDATED is pushed to other tabs. Sending at sendAt is the scheduler's job.
+ */
+
+const logger = require('../../utils/logger');
+const messageService = require('../../services/message.service');
+const { toScheduledMessageDto } = require('../../models/ScheduledMessage.model');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+
+/** messageService failure code -> HTTP status */
+const STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  CONTENT_TOO_LONG: 400,
+  FORBIDDEN: 403,
+  USER_BLOCKED: 403,
+  NOT_FOUND: 404,
+  SCHEDULE_LOCKED: 409,
+  SCHEDULE_LIMIT: 409,
+};
+
+function getUserId(req) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') return null;
+  return typeof userId === 'string' ? userId.trim() : String(userId);
+}
+
+function sendFailure(res, result) {
+  return sendError(res, STATUS_BY_CODE[result.code] || 400, result.error || 'Request failed', result.code || 'INVALID_PAYLOAD');
+}
+
+/**
+ * GET /api/scheduled-messages?chatId=
+ * Pending, sending and failed scheduled messages of the user, soonest first.
+ */
+async function listScheduled(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const chatId = typeof req.query.chatId === 'string' && req.query.chatId.trim() ? req.query.chatId.trim() : null;
+  try {
+    const items = await messageService.listScheduledMessages(userId, chatId);
+    sendSuccess(res, { chatId, items: items.map(toScheduledMessageDto) });
+  } catch (err) {
+    logger.error('Scheduled', 'listScheduled_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch scheduled messages', 'SCHEDULED_ERROR');
+  }
+}
+
+/**
+ * POST /api/scheduled-messages { chatId, content, sendAt }
+ * sendAt: epoch milliseconds or ISO date string, in the future.
+ */
+async function createScheduled(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const { chatId, content, sendAt } = req.body || {};
+  try {
+    const result = await messageService.scheduleMessage(userId, { chatId, content, sendAt });
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { scheduled: toScheduledMessageDto(result.scheduled) }, 201);
+  } catch (err) {
+    logger.error('Scheduled', 'createScheduled_error', { error: err.message });
+    sendError(res, 500, 'Failed to schedule message', 'SCHEDULED_ERROR');
+  }
+}
+
+/**
+ * PATCH /api/scheduled-messages/:scheduledId { content?, sendAt? }
+ * Only while the item is still pending (409 SCHEDULE_LOCKED once sending started).
+ */
+async function updateScheduled(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  const { content, sendAt } = req.body || {};
+  try {
+    const result = await messageService.updateScheduledMessage(userId, req.params.scheduledId, { content, sendAt });
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { scheduled: toScheduledMessageDto(result.scheduled) });
+  } catch (err) {
+    logger.error('Scheduled', 'updateScheduled_error', { error: err.message });
+    sendError(res, 500, 'Failed to update scheduled message', 'SCHEDULED_ERROR');
+  }
+}
+
+/**
+ * DELETE /api/scheduled-messages/:scheduledId
+ * Cancel a pending or failed item.
+ */
+async function cancelScheduled(req, res) {
+  const userId = getUserId(req);
+  if (!userId) return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  try {
+    const result = await messageService.cancelScheduledMessage(userId, req.params.scheduledId);
+    if (!result.ok) return sendFailure(res, result);
+    sendSuccess(res, { scheduled: toScheduledMessageDto(result.scheduled) });
+  } catch (err) {
+    logger.error('Scheduled', 'cancelScheduled_error', { error: err.message });
+    sendError(res, 500, 'Failed to cancel scheduled message', 'SCHEDULED_ERROR');
+  }
+}
+
+module.exports = {
+  listScheduled,
+  createScheduled,
+  updateScheduled,
+  cancelScheduled,
+};
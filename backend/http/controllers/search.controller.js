@@ -3,6 +3,8 @@
 /**
  * Global search controller: GET /api/search?q=<query>
  * Returns groups (by name), contacts (by username/displayName), and messages (content search).
+ * Groups are the user's rooms (joined: true) followed by public rooms they have not joined that match by name or
+ * topic (joined: false, with topic and memberCount).
  * Message search is case-insensitive, partial match, limit 20, only in user-visible chats.
  */
 
@@ -11,6 +13,7 @@ const { toApiUser } = require('../../utils/apiShape');
 const userLookup = require('../../users/user.service');
 const messageStore = require('../../services/message.store');
 const roomStore = require('../../storage/room.mongo');
+const roomDirectoryService = require('../../services/roomDirectory.service');
 
 function generateDirectChatId(userId1, userId2) {
   const sorted = [String(userId1), String(userId2)].sort();
@@ -73,7 +76,20 @@ async function getSearch(req, res) {
         id: r.id,
         name: (r.meta && r.meta.name) ? String(r.meta.name) : `Group ${r.id || ''}`,
         thumbnailUrl: (r.meta && r.meta.thumbnailUrl) ? String(r.meta.thumbnailUrl) : null,
+        joined: true,
       }));
+    const memberGroupIds = groups.map((g) => g.id);
+    for (const r of roomDirectoryService.searchPublicRooms(String(userId), query)) {
+      if (memberGroupIds.includes(r.roomId)) continue;
+      groups.push({
+        id: r.roomId,
+        name: r.name,
+        thumbnailUrl: r.thumbnailUrl,
+        topic: r.topic,
+        memberCount: r.memberCount,
+        joined: false,
+      });
+    }
 
     const includeClientMsgId = typeof req.query.includeClientMsgId === 'string' ? req.query.includeClientMsgId.trim() : null;
     const searchOptions = includeClientMsgId ? { includeClientMsgId } : {};
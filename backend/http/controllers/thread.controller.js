@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * HTTP room thread controller.
+ * Thread replies (messages with threadRootId) are kept out of the room timeline;
+ * these endpoints page through one thread and track per-thread unread state.
+ *
+ * Same boundaries as history.controller: DB only, no WebSocket events, no in-memory
+ * delivery state. Room membership is checked via validateChatOwnership.
+ */
+
+const logger = require('../../utils/logger');
+const historyService = require('../../services/history.service');
+const messageStore = require('../../services/message.store');
+const readCursorStore = require('../../chat/readCursorStore.mongo');
+const { sendError, sendSuccess } = require('../../utils/errorResponse');
+const { toApiMessage } = require('../../utils/apiShape');
+
+/**
+ * Resolve authenticated user + room chatId from the request, or send the error response.
+ * @returns {{ uid: string, chatId: string }|null}
+ */
+function resolveThreadRequest(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+    return null;
+  }
+  const uid = typeof userId === 'string' ? userId.trim() : String(userId);
+  const raw = req.params.conversationId ?? req.params.chatId;
+  const chatId = typeof raw === 'string' ? raw.trim() : '';
+  if (!chatId || !chatId.startsWith('room:')) {
+    sendError(res, 400, 'Threads are only available in rooms', 'INVALID_CHAT_ID');
+    return null;
+  }
+  if (!historyService.validateChatOwnership(chatId, uid)) {
+    sendError(res, 403, 'Access denied to this chat', 'CHAT_ACCESS_DENIED');
+    return null;
+  }
+  return { uid, chatId };
+}
+
+/**
+ * GET /api/chat/:conversationId/threads/:threadRootId?limit=&beforeId=
+ * Paginated thread replies (newest first) plus the root message.
+ */
+async function getThreadHistory(req, res) {
+  const ctx = resolveThreadRequest(req, res);
+  if (!ctx) return;
+  const threadRootId = typeof req.params.threadRootId === 'string' ? req.params.threadRootId.trim() : '';
+  if (!threadRootId) {
+    return sendError(res, 400, 'threadRootId is required', 'INVALID_PAYLOAD');
+  }
+  const { limit, beforeId } = req.query;
+  if (!limit) {
+    return sendError(res, 400, 'limit query parameter is required', 'PAGINATION_REQUIRED');
+  }
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(limitNum) || limitNum < 1) {
+    return sendError(res, 400, 'limit must be a positive number', 'INVALID_LIMIT');
+  }
+
+  try {
+    const result = await historyService.getThreadHistory(ctx.uid, ctx.chatId, threadRootId, {
+      limit: limitNum,
+      beforeId: beforeId && typeof beforeId === 'string' ? beforeId.trim() : undefined,
+    });
+    if (!result.root) {
+      return sendError(res, 404, 'Thread not found', 'MESSAGE_NOT_FOUND');
+    }
+    sendSuccess(res, {
+      chatId: ctx.chatId,
+      threadRootId: result.root.roomMessageId || result.root.messageId,
+      root: toApiMessage(result.root),
+      messages: result.messages.map(toApiMessage).filter(Boolean),
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+    });
+  } catch (err) {
+    logger.error('Thread', 'getThreadHistory_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch thread', 'HISTORY_ERROR');
+  }
+}
+
+/**
+ * GET /api/chat/:conversationId/threads/unread
+ * Unread reply counts for the threads the user follows in this room.
+ */
+async function getThreadUnread(req, res) {
+  const ctx = resolveThreadRequest(req, res);
+  if (!ctx) return;
+  try {
+    const threads = await historyService.getThreadUnreadCounts(ctx.uid, ctx.chatId, (rootIds) =>
+      readCursorStore.bulkGetThreadCursors(ctx.uid, rootIds)
+    );
+    sendSuccess(res, { chatId: ctx.chatId, threads });
+  } catch (err) {
+    logger.error('Thread', 'getThreadUnread_error', { error: err.message });
+    sendError(res, 500, 'Failed to fetch thread unread counts', 'HISTORY_ERROR');
+  }
+}
+
+/**
+ * POST /api/chats/:chatId/threads/:threadRootId/read
+ * Body: { lastReadMessageId }. Persists the thread cursor; the room cursor is untouched.
+ */
+async function markThreadRead(req, res) {
+  const ctx = resolveThreadRequest(req, res);
+  if (!ctx) return;
+  const threadRootId = typeof req.params.threadRootId === 'string' ? req.params.threadRootId.trim() : '';
+  const body = req.body || {};
+  const lastReadMessageId = (body.lastReadMessageId || body.messageId || '').trim();
+  if (!threadRootId || !lastReadMessageId) {
+    return sendError(res, 400, 'threadRootId and lastReadMessageId are required', 'INVALID_PAYLOAD');
+  }
+
+  try {
+    const message = await messageStore.getById(lastReadMessageId);
+    const rootId = message ? message.threadRootId || message.roomMessageId || message.messageId : null;
+    if (!message || rootId !== threadRootId || message.chatId !== ctx.chatId) {
+      return sendError(res, 400, 'Message not found or not in this thread', 'INVALID_MESSAGE_ID');
+    }
+    const lastReadAt = message.timestamp ?? message.createdAt ?? Date.now();
+    await readCursorStore.upsertThreadCursor(ctx.uid, threadRootId, lastReadMessageId, lastReadAt);
+    return sendSuccess(res, { ok: true });
+  } catch (err) {
+    logger.error('Thread', 'markThreadRead_error', { error: err.message });
+    return sendError(res, 500, 'Failed to update thread read cursor', 'MARK_READ_ERROR');
+  }
+}
+
+module.exports = {
+  getThreadHistory,
+  getThreadUnread,
+  markThreadRead,
+};
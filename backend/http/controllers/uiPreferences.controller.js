@@ -7,6 +7,7 @@
  */
 
 const userStoreStorage = require('../../storage/user.store');
+const messageRequestService = require('../../services/messageRequest.service');
 const { sendError, sendSuccess } = require('../../utils/errorResponse');
 
 /**
@@ -29,7 +30,8 @@ async function getMyUiPreferences(req, res) {
 /**
  * PATCH /api/me/ui-preferences
  * Updates current user's UI preferences.
- * Body: { soundNotifications?: boolean, desktopNotifications?: boolean }
+ * Body: { soundNotifications?: boolean, desktopNotifications?: boolean, messageRequests?: boolean }
+ * messageRequests: first DMs from non-contacts go to a Requests inbox until accepted.
  */
 async function patchMyUiPreferences(req, res) {
   if (!req.user || !req.user.userId) {
@@ -53,6 +55,13 @@ async function patchMyUiPreferences(req, res) {
     patch.desktopNotifications = body.desktopNotifications;
   }
 
+  if (body.hasOwnProperty('messageRequests')) {
+    if (typeof body.messageRequests !== 'boolean') {
+      return sendError(res, 400, 'messageRequests must be a boolean', 'INVALID_PREFERENCE');
+    }
+    patch.messageRequests = body.messageRequests;
+  }
+
   if (Object.keys(patch).length === 0) {
     // No changes, return current preferences
     try {
@@ -68,6 +77,9 @@ async function patchMyUiPreferences(req, res) {
     if (!updated) {
       return sendError(res, 404, 'User not found', 'USER_NOT_FOUND');
     }
+    if (patch.hasOwnProperty('messageRequests')) {
+      messageRequestService.setRequestsEnabled(req.user.userId, patch.messageRequests);
+    }
     const uiPreferences = await userStoreStorage.getUiPreferences(req.user.userId);
     sendSuccess(res, { uiPreferences });
   } catch (err) {
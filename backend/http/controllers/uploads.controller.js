@@ -2,59 +2,164 @@
 
 /**
  * Uploads controller.
- * POST /api/uploads/image — multipart form "file", image only, max 2MB.
- * Stores to storage/_data/uploads/<random>.<ext>, returns { url: "/uploads/<filename>" }.
+ * POST /api/uploads/image — multipart form "file", image only, max 2MB. imageService strips EXIF and makes
+ * thumbnails; returns { url: "/uploads/<filename>", width, height, blurhash, dominantColor, thumbnails }.
+ * GET /uploads/:filename — public read of those images and thumbnails (mounted outside /api in app.js).
+ * POST /api/uploads/file — multipart form "file" + "chatId", any supported attachment type
+ * (attachmentService: magic-byte detection, per-category size caps). Returns { attachment }.
+ * POST /api/uploads/voice — multipart form "file" + "chatId", a recorded voice note (Opus WebM/Ogg or WAV,
+ * duration-limited). Returns { attachment } with attachment.voice = { durationMs, waveform }.
+ * Both fail with 413 QUOTA_EXCEEDED when the upload would put the user or the room over its storage quota.
+ * GET /api/uploads/usage — the caller's stored upload bytes and quota: { usage: { bytes, count, quotaBytes } }.
  */
 
-const path = require('path');
 const fs = require('fs');
 const { sendError, sendSuccess } = require('../../utils/errorResponse');
+const logger = require('../../utils/logger');
+const attachmentService = require('../../services/attachment.service');
+const { toAttachmentDto } = require('../../models/Attachment.model');
+const imageService = require('../../services/image.service');
+const { blobStore } = require('../../storage/blob.store');
 
-const UPLOADS_DIR = path.resolve(__dirname, '../../storage/_data/uploads');
 const MAX_SIZE_BYTES = 2 * 1024 * 1024; // 2MB
 const ALLOWED_MIMES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 
-function ensureUploadsDir() {
-  if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+/**
+ * POST /api/uploads/image
+ * Expects multer to have run (single file field "file"); the temp file is always deleted.
+ */
+async function uploadImage(req, res) {
+  const file = req.file;
+  if (!file) {
+    return sendError(res, 400, 'No file uploaded. Use multipart field "file".', 'MISSING_FILE');
+  }
+  try {
+    if (file.size > MAX_SIZE_BYTES) {
+      return sendError(res, 400, `File too large. Max ${MAX_SIZE_BYTES / 1024 / 1024}MB.`, 'FILE_TOO_LARGE');
+    }
+    const mime = (file.mimetype || '').toLowerCase();
+    if (!ALLOWED_MIMES.includes(mime)) {
+      return sendError(res, 400, 'Invalid file type. Allowed: image/jpeg, image/png, image/gif, image/webp.', 'INVALID_TYPE');
+    }
+    const result = await imageService.storePublicImage(await fs.promises.readFile(file.path));
+    if (!result.ok) {
+      return sendError(res, 400, 'Invalid file type. Allowed: image/jpeg, image/png, image/gif, image/webp.', result.code);
+    }
+    return sendSuccess(res, result.upload);
+  } catch (err) {
+    logger.error('Uploads', 'uploadImage_error', { error: err.message });
+    return sendError(res, 500, 'Failed to save file.', 'UPLOAD_FAILED');
+  } finally {
+    fs.promises.unlink(file.path).catch(() => {});
   }
 }
 
-function randomFilename(ext) {
-  const safe = (Math.random().toString(36).slice(2) + Date.now().toString(36)).replace(/[^a-z0-9]/g, '');
-  return `${safe}.${ext}`;
+/**
+ * GET /uploads/:filename
+ * Public avatars and group thumbnails. Names are random and never reused, so responses are cacheable
+ * forever; the Content-Type comes from the extension uploadImage chose, never from the stored bytes.
+ */
+async function serveUpload(req, res) {
+  const upload = imageService.resolveUpload(req.params.filename);
+  if (!upload) return sendError(res, 404, 'Not found', 'NOT_FOUND');
+  let stream;
+  try {
+    stream = await blobStore.get(upload.key);
+  } catch (err) {
+    logger.error('Uploads', 'serveUpload_error', { error: err.message });
+    return sendError(res, 500, 'Failed to read file.', 'UPLOAD_READ_FAILED');
+  }
+  if (!stream) return sendError(res, 404, 'Not found', 'NOT_FOUND');
+  res.setHeader('Content-Type', upload.contentType);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  stream
+    .on('error', (err) => {
+      logger.error('Uploads', 'serveUpload_stream_error', { error: err.message });
+      res.destroy(err);
+    })
+    .pipe(res);
 }
 
+/** attachmentService failure code -> HTTP status */
+const FILE_STATUS_BY_CODE = {
+  INVALID_CHAT_ID: 400,
+  MISSING_FILE: 400,
+  INVALID_TYPE: 400,
+  FILE_TOO_LARGE: 400,
+  VOICE_TOO_LONG: 400,
+  VOICE_TOO_SHORT: 400,
+  FORBIDDEN: 403,
+  QUOTA_EXCEEDED: 413,
+};
+
 /**
- * POST /api/uploads/image
- * Expects multer to have run (single file field "file").
+ * POST /api/uploads/file
+ * Expects multer to have run (single file field "file", text field "chatId"). The uploader must belong
+ * to the chat; the returned attachmentId is then sent with a contentType 'file' message to that chat.
+ */
+async function uploadFile(req, res) {
+  return storeChatUpload(req, res, { voice: false });
+}
+
+/**
+ * POST /api/uploads/voice
+ * Same fields as /file; the returned attachmentId is sent with a contentType 'voice' message.
  */
-function uploadImage(req, res) {
+async function uploadVoice(req, res) {
+  return storeChatUpload(req, res, { voice: true });
+}
+
+async function storeChatUpload(req, res, { voice }) {
   const file = req.file;
   if (!file) {
     return sendError(res, 400, 'No file uploaded. Use multipart field "file".', 'MISSING_FILE');
   }
-  if (file.size > MAX_SIZE_BYTES) {
-    return sendError(res, 400, `File too large. Max ${MAX_SIZE_BYTES / 1024 / 1024}MB.`, 'FILE_TOO_LARGE');
-  }
-  const mime = (file.mimetype || '').toLowerCase();
-  if (!ALLOWED_MIMES.includes(mime)) {
-    return sendError(res, 400, 'Invalid file type. Allowed: image/jpeg, image/png, image/gif, image/webp.', 'INVALID_TYPE');
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    fs.promises.unlink(file.path).catch(() => {});
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
   }
-  const ext = mime === 'image/jpeg' ? 'jpg' : mime.split('/')[1] || 'png';
-  ensureUploadsDir();
-  const filename = randomFilename(ext);
-  const destPath = path.join(UPLOADS_DIR, filename);
   try {
-    fs.renameSync(file.path, destPath);
+    const result = await attachmentService.storeUpload(String(userId), {
+      chatId: req.body?.chatId,
+      tempPath: file.path,
+      originalName: file.originalname,
+      size: file.size,
+      voice,
+    });
+    if (!result.ok) {
+      return sendError(res, FILE_STATUS_BY_CODE[result.code] || 400, result.error, result.code);
+    }
+    return sendSuccess(res, { attachment: toAttachmentDto(result.attachment) }, 201);
   } catch (err) {
-    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    logger.error('Uploads', voice ? 'uploadVoice_error' : 'uploadFile_error', { error: err.message });
     return sendError(res, 500, 'Failed to save file.', 'UPLOAD_FAILED');
   }
-  const url = `/uploads/${filename}`;
-  return sendSuccess(res, { url });
+}
+
+/**
+ * GET /api/uploads/usage
+ * quotaBytes 0 means unlimited.
+ */
+async function getStorageUsage(req, res) {
+  const userId = req.user?.userId ?? req.user?.id;
+  if (userId == null || userId === '') {
+    return sendError(res, 401, 'Not authenticated', 'UNAUTHORIZED');
+  }
+  try {
+    const usage = await attachmentService.getUsersStorageUsage([String(userId)]);
+    return sendSuccess(res, { usage: usage[String(userId)] });
+  } catch (err) {
+    logger.error('Uploads', 'usage_error', { error: err.message });
+    return sendError(res, 500, 'Storage usage unavailable', 'USAGE_ERROR');
+  }
 }
 
 module.exports = {
+  getStorageUsage,
   uploadImage,
+  serveUpload,
+  uploadFile,
+  uploadVoice,
 };
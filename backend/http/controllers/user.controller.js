@@ -22,6 +22,7 @@ const { toApiUser } = require('../../utils/apiShape');
 const userLookup = require('../../users/user.service');
 const sessionStore = require('../../auth/sessionStore');
 const connectionManager = require('../../websocket/connection/connectionManager');
+const blockService = require('../../services/block.service');
 
 const JWT_COOKIE_NAME = config.JWT_COOKIE_NAME;
 const REFRESH_COOKIE_NAME = config.REFRESH_COOKIE_NAME;
@@ -58,6 +59,7 @@ async function listUsers(req, res) {
 
 /**
  * Search users by username or email. GET /api/users/search?q=query
+ * Users the caller blocked are left out.
  */
 async function searchUsers(req, res) {
   const { q } = req.query;
@@ -66,8 +68,12 @@ async function searchUsers(req, res) {
     return sendError(res, 400, 'Query parameter "q" is required', 'INVALID_QUERY');
   }
 
+  const me = req.user?.userId ?? req.user?.id;
   const results = await userLookup.searchUsers(q);
-  const users = results.map((u) => toApiUser(u)).filter(Boolean);
+  const users = results
+    .filter((u) => !blockService.hasBlocked(me, u.id))
+    .map((u) => toApiUser(u))
+    .filter(Boolean);
   return sendSuccess(res, { users });
 }
 
@@ -50,6 +50,11 @@ const uploadsRoutes = require('./routes/uploads.routes');
 const adminRoutes = require('./routes/admin.routes');
 const exportRoutes = require('./routes/export.routes');
 const searchRoutes = require('./routes/search.routes');
+const scheduledRoutes = require('./routes/scheduled.routes');
+const bookmarksRoutes = require('./routes/bookmarks.routes');
+const attachmentsRoutes = require('./routes/attachments.routes');
+const invitesRoutes = require('./routes/invites.routes');
+const roomsRoutes = require('./routes/rooms.routes');
 const chatController = require('./controllers/chat.controller');
 const devController = require('./controllers/dev.controller');
 const { messageLimiter } = require('./middleware/rateLimit.middleware');
@@ -93,6 +98,11 @@ httpRouter.use('/uploads', uploadsRoutes);
 httpRouter.use('/admin', adminRoutes);
 httpRouter.use('/export', exportRoutes);
 httpRouter.use('/search', searchRoutes);
+httpRouter.use('/scheduled-messages', scheduledRoutes); // GET/POST /scheduled-messages, PATCH/DELETE /scheduled-messages/:scheduledId
+httpRouter.use('/bookmarks', bookmarksRoutes); // GET/POST /bookmarks, DELETE /bookmarks/:messageId
+httpRouter.use('/attachments', attachmentsRoutes); // GET /attachments/:attachmentId, /signed-url, /download, /thumbnails/:width (session or signed URL)
+httpRouter.use('/invites', invitesRoutes); // GET/POST /invites, GET/DELETE /invites/:token (preview is public), POST /invites/:token/accept
+httpRouter.use('/rooms', roomsRoutes); // GET /rooms/directory, POST /rooms/:roomId/join
 
 // Optional admin-only metrics (browser/cookie): same JSON contract as GET /metrics
 if (process.env.METRICS_ENABLE_ADMIN_ROUTE === 'true') {
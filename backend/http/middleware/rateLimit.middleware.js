@@ -11,6 +11,8 @@
  * - RATE_LIMIT_LOGOUT_WINDOW_MS (default 60000 = 1 min)
  * - RATE_LIMIT_MESSAGE_MAX (default 60)
  * - RATE_LIMIT_MESSAGE_WINDOW_MS (default 60000 = 1 min)
+ * - RATE_LIMIT_INVITE_MAX (default 30) - invite previews and accepts per IP (slows token guessing)
+ * - RATE_LIMIT_INVITE_WINDOW_MS (default 60000 = 1 min)
  */
 
 const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
@@ -39,6 +41,8 @@ const logoutMax = parseInt(process.env.RATE_LIMIT_LOGOUT_MAX || '30', 10);
 const logoutWindowMs = parseInt(process.env.RATE_LIMIT_LOGOUT_WINDOW_MS || '60000', 10); // 1 min
 const messageMax = parseInt(process.env.RATE_LIMIT_MESSAGE_MAX || '60', 10);
 const messageWindowMs = parseInt(process.env.RATE_LIMIT_MESSAGE_WINDOW_MS || '60000', 10); // 1 min
+const inviteMax = parseInt(process.env.RATE_LIMIT_INVITE_MAX || '30', 10);
+const inviteWindowMs = parseInt(process.env.RATE_LIMIT_INVITE_WINDOW_MS || '60000', 10); // 1 min
 const reportMax = parseInt(process.env.RATE_LIMIT_REPORT_MAX || '10', 10);
 const reportWindowMs = parseInt(process.env.RATE_LIMIT_REPORT_WINDOW_MS || '3600000', 10); // 1 hour
 
@@ -51,6 +55,9 @@ const logoutLimiter = createLimiter(logoutMax, logoutWindowMs);
 /** Chat send: 60 req / 1 min per IP (configurable) */
 const messageLimiter = createLimiter(messageMax, messageWindowMs);
 
+/** Invite preview and accept: 30 req / 1 min per IP (configurable) */
+const inviteLimiter = createLimiter(inviteMax, inviteWindowMs);
+
 /** Report creation: 10 req / hour per user (must run after requireAuth) */
 const reportLimiter = rateLimit({
   windowMs: reportWindowMs,
@@ -78,6 +85,7 @@ module.exports = {
   authLimiter,
   logoutLimiter,
   messageLimiter,
+  inviteLimiter,
   reportLimiter,
   adminActionLimiter,
 };
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Attachment routes. Uploads go through POST /api/uploads/file.
+ * GET /api/attachments/:attachmentId - attachment metadata
+ * GET /api/attachments/:attachmentId/signed-url - short-lived cookie-less download URL (?width= for a thumbnail)
+ * GET /api/attachments/:attachmentId/download - file content (session, or ?expires=&sig= from signed-url; Range supported)
+ * GET /api/attachments/:attachmentId/thumbnails/:width - webp thumbnail of an image (same authorization as download)
+ */
+
+const express = require('express');
+const attachmentsController = require('../controllers/attachments.controller');
+const { requireAuth } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Before requireAuth: signed URLs carry their own authorization (the controller requires a session otherwise)
+router.get('/:attachmentId/download', attachmentsController.downloadAttachment);
+router.get('/:attachmentId/thumbnails/:width', attachmentsController.downloadThumbnail);
+
+router.use(requireAuth);
+
+router.get('/:attachmentId', attachmentsController.getAttachment);
+router.get('/:attachmentId/signed-url', attachmentsController.getSignedUrl);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Bookmark ("Saved messages") routes.
+ * GET /api/bookmarks - list the user's starred messages across all chats (optional ?q=)
+ * POST /api/bookmarks - star a message { messageId }
+ * DELETE /api/bookmarks/:messageId - unstar
+ */
+
+const express = require('express');
+const bookmarksController = require('../controllers/bookmarks.controller');
+const { requireAuth } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', bookmarksController.listBookmarks);
+router.post('/', bookmarksController.addBookmark);
+router.delete('/:messageId', bookmarksController.removeBookmark);
+
+module.exports = router;
@@ -6,7 +6,16 @@
  * 
  * Routes:
  * - GET /chats - List all chats for authenticated user
+ * - GET /chats/mentions - Unread @mention counts per room
+ * - GET /chats/archived - Archived DMs and rooms of the user
+ * - POST /chats/archive, POST /chats/unarchive - Bulk archive / unarchive ({ chatIds, keepArchived? })
+ * - GET /chats/mutes - Active mutes of the user
  * - GET /chats/:chatId - Get specific chat metadata
+ * - POST /chats/:chatId/read - Persist the read cursor of a DM or room (rooms: also clears unread mentions)
+ * - POST /chats/:chatId/threads/:threadRootId/read - Persist a room thread read cursor
+ * - GET /chats/:chatId/pins - Pinned messages of a DM or room
+ * - GET /chats/:chatId/messages/:messageId/receipts - "Delivered to / read by" of a room message (sender only)
+ * - GET /chats/:chatId/settings - Chat settings (disappearing messages mode)
  * 
  * All routes require authentication.
  * Controllers may query DB but may NOT emit WebSocket events.
@@ -14,6 +23,10 @@
 
 const express = require('express');
 const chatController = require('../controllers/chat.controller');
+const threadController = require('../controllers/thread.controller');
+const pinController = require('../controllers/pin.controller');
+const receiptController = require('../controllers/receipt.controller');
+const chatSettingsController = require('../controllers/chatSettings.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 
 const router = express.Router();
@@ -24,9 +37,32 @@ router.use(requireAuth);
 // GET /chats - List all chats
 router.get('/', chatController.getChats);
 
+// GET /chats/mentions - Unread mention counts (before /:chatId so "mentions" is not read as a chat id)
+router.get('/mentions', chatController.getMentionCounts);
+
+// GET /chats/archived - Archived chats (before /:chatId); POST archive / unarchive change them in bulk
+router.get('/archived', chatController.getArchivedChats);
+router.post('/archive', chatController.archiveChats);
+router.post('/unarchive', chatController.unarchiveChats);
+
+// GET /chats/mutes - Muted chats of the user (before /:chatId); mutes are set with WS CHAT_MUTE_SET
+router.get('/mutes', chatSettingsController.getChatMutes);
+
 // POST /chats/:chatId/read - Persist read cursor (DB-backed; unread persists across refresh)
 router.post('/:chatId/read', chatController.markChatRead);
 
+// POST /chats/:chatId/threads/:threadRootId/read - Thread read cursor (separate from the room cursor)
+router.post('/:chatId/threads/:threadRootId/read', threadController.markThreadRead);
+
+// GET /chats/:chatId/pins - Pinned messages (pin/unpin is MESSAGE_PIN / MESSAGE_UNPIN over WebSocket)
+router.get('/:chatId/pins', pinController.getPins);
+
+// GET /chats/:chatId/messages/:messageId/receipts - Room read receipts (reads are ROOM_READ over WebSocket)
+router.get('/:chatId/messages/:messageId/receipts', receiptController.getMessageReceipts);
+
+// GET /chats/:chatId/settings - Disappearing messages mode (changed via CHAT_EPHEMERAL_SET over WebSocket)
+router.get('/:chatId/settings', chatSettingsController.getChatSettings);
+
 // POST /chats/:chatId/mark-read - Mark messages as read (delivery store; legacy)
 router.post('/:chatId/mark-read', chatController.markRead);
 
@@ -7,6 +7,10 @@
  * Routes (mounted at /api/chat):
  * - GET /api/chat?chatId=...&limit=...&beforeId=... - Paginated chat history
  * - GET /api/chat/:conversationId?limit=...&beforeId=... - Same, chatId from path
+ * - GET /api/chat/:conversationId/context/:messageId?before=...&after=... - Messages around one message
+ * - GET /api/chat/:conversationId/revisions/:messageId - Edit trail of one message
+ * - GET /api/chat/:conversationId/threads/unread - Unread reply counts for threads the user follows (rooms)
+ * - GET /api/chat/:conversationId/threads/:threadRootId?limit=...&beforeId=... - Paginated thread replies (rooms)
  *
  * chatId formats:
  * - direct:u1:u2 - DM history (user must be participant)
@@ -18,6 +22,7 @@
 
 const express = require('express');
 const historyController = require('../controllers/history.controller');
+const threadController = require('../controllers/thread.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 
 const router = express.Router();
@@ -31,4 +36,16 @@ router.get('/', historyController.getHistory);
 // GET /history/:conversationId - Get paginated chat history for a specific chat (path param)
 router.get('/:conversationId', historyController.getHistoryByPath);
 
+// GET /history/:conversationId/context/:messageId - Bounded window around a message (reply jump)
+router.get('/:conversationId/context/:messageId', historyController.getMessageContext);
+
+// GET /history/:conversationId/revisions/:messageId - Edit trail of one message ("edited" popover)
+router.get('/:conversationId/revisions/:messageId', historyController.getMessageRevisions);
+
+// GET /history/:conversationId/threads/unread - Per-thread unread counts (before :threadRootId)
+router.get('/:conversationId/threads/unread', threadController.getThreadUnread);
+
+// GET /history/:conversationId/threads/:threadRootId - Paginated replies of one thread
+router.get('/:conversationId/threads/:threadRootId', threadController.getThreadHistory);
+
 module.exports = router;
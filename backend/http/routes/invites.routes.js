@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Room invite link routes.
+ * GET /api/invites?roomId= - list a room's invites (owners / admins)
+ * POST /api/invites - create an invite { roomId, expiresInMs?, maxUses? } (owners / admins)
+ * GET /api/invites/:token - public preview (room name, thumbnail, member count); rate limited per IP
+ * POST /api/invites/:token/accept - join the room
+ * DELETE /api/invites/:token - revoke (owners / admins)
+ */
+
+const express = require('express');
+const invitesController = require('../controllers/invites.controller');
+const { requireAuth } = require('../middleware/auth.middleware');
+const { inviteLimiter } = require('../middleware/rateLimit.middleware');
+
+const router = express.Router();
+
+router.get('/', requireAuth, invitesController.listInvites);
+router.post('/', requireAuth, invitesController.createInvite);
+router.get('/:token', inviteLimiter, invitesController.previewInvite);
+router.post('/:token/accept', inviteLimiter, requireAuth, invitesController.acceptInvite);
+router.delete('/:token', requireAuth, invitesController.revokeInvite);
+
+module.exports = router;
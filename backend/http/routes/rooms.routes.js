@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Room routes.
+ * GET /api/rooms/directory?q=&limit=&cursor= - public room directory (search by name / topic, ranked by activity)
+ * POST /api/rooms/:roomId/join - join a public or unlisted room
+ */
+
+const express = require('express');
+const roomsController = require('../controllers/rooms.controller');
+const { requireAuth } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.get('/directory', requireAuth, roomsController.getDirectory);
+router.post('/:roomId/join', requireAuth, roomsController.joinRoom);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Scheduled ("send later") message routes.
+ * GET /api/scheduled-messages - list (optional ?chatId=)
+ * POST /api/scheduled-messages - schedule a message
+ * PATCH /api/scheduled-messages/:scheduledId - edit content / sendAt while pending
+ * DELETE /api/scheduled-messages/:scheduledId - cancel
+ */
+
+const express = require('express');
+const scheduledController = require('../controllers/scheduled.controller');
+const { requireAuth } = require('../middleware/auth.middleware');
+const { messageLimiter } = require('../middleware/rateLimit.middleware');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', scheduledController.listScheduled);
+router.post('/', messageLimiter, scheduledController.createScheduled);
+router.patch('/:scheduledId', scheduledController.updateScheduled);
+router.delete('/:scheduledId', scheduledController.cancelScheduled);
+
+module.exports = router;
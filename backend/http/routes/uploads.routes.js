@@ -3,31 +3,40 @@
 /**
  * Uploads routes.
  * POST /api/uploads/image — multipart "file", image only, max 2MB.
+ * POST /api/uploads/file — multipart "file" + "chatId", chat attachment (documents, archives, audio, video, images).
+ * POST /api/uploads/voice — multipart "file" + "chatId", voice note (max VOICE.maxBytes; duration checked after upload).
+ * GET /api/uploads/usage — caller's storage usage and quota.
  */
 
-const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const uploadsController = require('../controllers/uploads.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 const { sendError } = require('../../utils/errorResponse');
+const { UPLOAD_TMP_DIR, MAX_UPLOAD_BYTES } = require('../../services/attachment.service');
+const { VOICE } = require('../../config/constants');
 
-const UPLOADS_DIR = path.resolve(__dirname, '../../storage/_data/uploads');
 const MAX_SIZE_BYTES = 2 * 1024 * 1024;
 
-function ensureUploadsDir() {
-  if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-  }
-}
-
-ensureUploadsDir();
+// multer only buffers to local temp files; controllers stream them to the blob store and delete them
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
 
 const upload = multer({
-  dest: UPLOADS_DIR,
+  dest: UPLOAD_TMP_DIR,
   limits: { fileSize: MAX_SIZE_BYTES },
 });
 
+// Per-category caps are checked after type detection; multer only enforces the largest one
+const fileUpload = multer({
+  dest: UPLOAD_TMP_DIR,
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+const voiceUpload = multer({
+  dest: UPLOAD_TMP_DIR,
+  limits: { fileSize: VOICE.maxBytes, files: 1 },
+});
+
 const router = require('express').Router();
 
 router.post('/image', requireAuth, (req, res, next) => {
@@ -40,4 +49,26 @@ router.post('/image', requireAuth, (req, res, next) => {
   });
 }, uploadsController.uploadImage);
 
+router.post('/file', requireAuth, (req, res, next) => {
+  fileUpload.single('file')(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') return sendError(res, 400, `File too large. Max ${MAX_UPLOAD_BYTES / 1024 / 1024}MB.`, 'FILE_TOO_LARGE');
+      return sendError(res, 400, err.message || 'Upload failed', err.code || 'UPLOAD_ERROR');
+    }
+    next();
+  });
+}, uploadsController.uploadFile);
+
+router.post('/voice', requireAuth, (req, res, next) => {
+  voiceUpload.single('file')(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') return sendError(res, 400, `Voice note too large. Max ${VOICE.maxBytes / 1024 / 1024}MB.`, 'FILE_TOO_LARGE');
+      return sendError(res, 400, err.message || 'Upload failed', err.code || 'UPLOAD_ERROR');
+    }
+    next();
+  });
+}, uploadsController.uploadVoice);
+
+router.get('/usage', requireAuth, uploadsController.getStorageUsage);
+
 module.exports = router;
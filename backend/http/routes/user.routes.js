@@ -6,7 +6,9 @@
  * 
  * Routes:
  * - GET /users - List all users (id, username, displayName, role); includes self
- * - GET /users/search?q=query - Search users by username
+ * - GET /users/search?q=query - Search users by username (users I blocked are left out)
+ * - GET /users/blocked - Users I blocked
+ * - POST /users/:id/block, DELETE /users/:id/block - Block / unblock a user
  * - GET /users/:id - Get user by ID
  * - GET /users/me - Get current authenticated user
  * - DELETE /users/me - Soft-delete current user (body: { confirm: "DELETE" })
@@ -17,6 +19,7 @@
 
 const express = require('express');
 const userController = require('../controllers/user.controller');
+const blocksController = require('../controllers/blocks.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 
 const router = express.Router();
@@ -30,6 +33,9 @@ router.get('/', userController.listUsers);
 // GET /users/search?q=query - Search users
 router.get('/search', userController.searchUsers);
 
+// GET /users/blocked - Users I blocked (before /:id)
+router.get('/blocked', blocksController.listBlockedUsers);
+
 // GET /users/me - Get current user (must be before /:id to avoid route conflict)
 router.get('/me', userController.getMe);
 
@@ -39,4 +45,8 @@ router.delete('/me', userController.deleteMe);
 // GET /users/:id - Get user by ID
 router.get('/:id', userController.getUserById);
 
+// POST /users/:id/block, DELETE /users/:id/block - Block / unblock a user
+router.post('/:id/block', blocksController.blockUser);
+router.delete('/:id/block', blocksController.unblockUser);
+
 module.exports = router;
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * File attachment model.
+ *
+ * Lifecycle: uploaded for a chat (POST /api/uploads/file) → referenced by one or more messages
+ * (contentType 'file', attachmentIds). The record keeps every chat it was posted to (chatIds), so a
+ * forwarded file stays downloadable from the chats it was forwarded into.
+ *
+ * Images also carry `image`: { width, height, blurhash, dominantColor, thumbnails: [{ width, height }] }
+ * (services/image.service), so clients can reserve layout space and paint a placeholder before loading.
+ * Voice notes (POST /api/uploads/voice) carry `voice`: { durationMs, waveform } (services/voice.service) and are
+ * sent alone in a message with contentType 'voice'.
+ */
+
+/**
+ * Download path of an attachment (authenticated; the chat is checked on every request).
+ * @param {string} attachmentId
+ * @returns {string}
+ */
+function toAttachmentUrl(attachmentId) {
+  return `/api/attachments/${encodeURIComponent(attachmentId)}/download`;
+}
+
+/**
+ * Download path of one thumbnail width of an image attachment (same authorization as the file).
+ * @param {string} attachmentId
+ * @param {number} width
+ * @returns {string}
+ */
+function toThumbnailUrl(attachmentId, width) {
+  return `/api/attachments/${encodeURIComponent(attachmentId)}/thumbnails/${width}`;
+}
+
+/** Stored image metadata, copied (thumbnails get urls when attachmentId is given). */
+function toImageInfo(image, attachmentId) {
+  if (!image) return null;
+  return {
+    width: image.width,
+    height: image.height,
+    blurhash: image.blurhash,
+    dominantColor: image.dominantColor,
+    thumbnails: (image.thumbnails || []).map((t) => (attachmentId
+      ? { width: t.width, height: t.height, url: toThumbnailUrl(attachmentId, t.width) }
+      : { width: t.width, height: t.height })),
+  };
+}
+
+/** Stored voice note metadata, copied. */
+function toVoiceInfo(voice) {
+  if (!voice) return null;
+  return { durationMs: voice.durationMs, waveform: Array.isArray(voice.waveform) ? [...voice.waveform] : [] };
+}
+
+/**
+ * contentType of a message with these (resolved) attachments: 'voice' for a single voice note, else 'file'.
+ * @param {Array<Object>} attachments
+ * @returns {'file'|'voice'}
+ */
+function toAttachmentContentType(attachments) {
+  return attachments.length === 1 && attachments[0].voice ? 'voice' : 'file';
+}
+
+/**
+ * Client-facing shape of an attachment record (no storage path).
+ * @param {Object} doc - Stored attachment
+ * @returns {Object|null} { attachmentId, name, size, mime, category, sha256, uploaderId, chatId, createdAt, url, image, voice }
+ */
+function toAttachmentDto(doc) {
+  if (!doc) return null;
+  return {
+    attachmentId: doc.attachmentId,
+    name: doc.name,
+    size: doc.size,
+    mime: doc.mime,
+    category: doc.category,
+    sha256: doc.sha256,
+    uploaderId: doc.uploaderId,
+    chatId: doc.chatId,
+    createdAt: doc.createdAt,
+    url: toAttachmentUrl(doc.attachmentId),
+    image: toImageInfo(doc.image, doc.attachmentId),
+    voice: toVoiceInfo(doc.voice),
+  };
+}
+
+/**
+ * Denormalized copy stored on a message so timelines render file cards without a lookup.
+ * @param {Object} doc - Stored attachment
+ * @returns {{ attachmentId: string, name: string, size: number, mime: string, category: string, image?: Object, voice?: Object }}
+ */
+function toMessageAttachment(doc) {
+  const attachment = {
+    attachmentId: doc.attachmentId,
+    name: doc.name,
+    size: doc.size,
+    mime: doc.mime,
+    category: doc.category,
+  };
+  if (doc.image) attachment.image = toImageInfo(doc.image);
+  if (doc.voice) attachment.voice = toVoiceInfo(doc.voice);
+  return attachment;
+}
+
+/**
+ * Message attachments for API payloads, with download urls. Tolerates messages without attachments.
+ * @param {Array|null|undefined} attachments - Stored message attachments
+ * @returns {Array<{ attachmentId: string, name: string, size: number, mime: string, category: string, url: string, image?: Object, voice?: Object }>}
+ */
+function toMessageAttachments(attachments) {
+  if (!Array.isArray(attachments)) return [];
+  return attachments
+    .filter((a) => a && a.attachmentId)
+    .map((a) => {
+      const attachment = { ...toMessageAttachment(a), url: toAttachmentUrl(a.attachmentId) };
+      if (a.image) attachment.image = toImageInfo(a.image, a.attachmentId);
+      return attachment;
+    });
+}
+
+/**
+ * Display name for an uploaded file: base name only, control and path characters removed, length capped.
+ * @param {string} name - Client-supplied original name
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function sanitizeFileName(name, maxLength) {
+  const base = String(name || '').split(/[\\/]/).pop();
+  const cleaned = base.replace(/[\u0000-\u001f\u007f"<>|:*?]/g, '').trim();
+  if (!cleaned || cleaned === '.' || cleaned === '..') return 'file';
+  if (cleaned.length <= maxLength) return cleaned;
+  const dot = cleaned.lastIndexOf('.');
+  const ext = dot > 0 && cleaned.length - dot <= 11 ? cleaned.slice(dot) : '';
+  return cleaned.slice(0, maxLength - ext.length) + ext;
+}
+
+module.exports = {
+  toAttachmentUrl,
+  toThumbnailUrl,
+  toAttachmentDto,
+  toMessageAttachment,
+  toMessageAttachments,
+  toAttachmentContentType,
+  sanitizeFileName,
+};
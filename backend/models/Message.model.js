@@ -6,6 +6,8 @@
  */
 
 const MessageState = require('./message.state').MessageState;
+const { REPLIES } = require('../config/constants');
+const { toMessageAttachments } = require('./Attachment.model');
 
 /**
  * Required fields for a persisted message (DB + delivery)
@@ -70,6 +72,181 @@ function normalizeForStorage(msg) {
     roomMessageId: msg.roomMessageId != null ? String(msg.roomMessageId) : undefined,
     contentType: msg.contentType != null ? String(msg.contentType) : 'text',
     clientMessageId: msg.clientMessageId != null ? String(msg.clientMessageId) : undefined,
+    replyToMessageId: msg.replyToMessageId != null ? String(msg.replyToMessageId) : undefined,
+    threadRootId: msg.threadRootId != null ? String(msg.threadRootId) : undefined,
+    alsoSendToRoom: msg.threadRootId != null ? msg.alsoSendToRoom === true : undefined,
+    forwardedFrom: toForwardedFrom(msg.forwardedFrom) || undefined,
+  };
+}
+
+/**
+ * Aggregate stored reactions ({ [emoji]: userId[] }) into API chips.
+ * Already-aggregated arrays pass through so API shapers can be chained.
+ * Emojis with no remaining users are dropped; order is first-reacted first (insertion order).
+ * @param {Object|Array|null|undefined} reactions - Stored reactions map or aggregated list
+ * @returns {Array<{ emoji: string, count: number, userIds: string[] }>}
+ */
+function toReactionSummary(reactions) {
+  if (Array.isArray(reactions)) return reactions;
+  if (!reactions || typeof reactions !== 'object') return [];
+  const out = [];
+  for (const [emoji, userIds] of Object.entries(reactions)) {
+    if (!Array.isArray(userIds) || userIds.length === 0) continue;
+    out.push({ emoji, count: userIds.length, userIds: userIds.map(String) });
+  }
+  return out;
+}
+
+/**
+ * Denormalized snippet of a replied-to (parent) message: sender and truncated content.
+ * Parent missing or deleted → tombstone (deleted: true, content: null) so the quote still renders.
+ * @param {string|null|undefined} replyToMessageId - Parent id as stored on the reply
+ * @param {Object|null} parent - Stored parent message (null if not found)
+ * @returns {{ messageId: string, senderId: string|null, content: string|null, deleted: boolean }|null}
+ */
+function toReplySnippet(replyToMessageId, parent) {
+  if (!replyToMessageId) return null;
+  if (!parent || parent.deleted === true) {
+    return { messageId: replyToMessageId, senderId: parent ? parent.senderId : null, content: null, deleted: true };
+  }
+  const content = typeof parent.content === 'string' ? parent.content : '';
+  const max = REPLIES.snippetMaxLength;
+  return {
+    messageId: replyToMessageId,
+    senderId: parent.senderId,
+    content: content.length > max ? `${content.slice(0, max)}…` : content,
+    deleted: false,
+  };
+}
+
+/**
+ * Origin of a forwarded message: original sender and timestamp.
+ * Forwarding a forwarded message keeps the first origin, so the chain never grows.
+ * @param {Object|null|undefined} forwardedFrom - Stored { senderId, timestamp }
+ * @returns {{ senderId: string, timestamp: number|null }|null}
+ */
+function toForwardedFrom(forwardedFrom) {
+  if (!forwardedFrom || typeof forwardedFrom !== 'object' || !forwardedFrom.senderId) return null;
+  return {
+    senderId: String(forwardedFrom.senderId),
+    timestamp: forwardedFrom.timestamp != null ? Number(forwardedFrom.timestamp) : null,
+  };
+}
+
+/**
+ * Who has played a voice message, first listener first. Stored as { [userId]: listenedAt }.
+ * @param {Object|null|undefined} listenedBy
+ * @returns {Array<{ userId: string, listenedAt: number }>}
+ */
+function toListenedBy(listenedBy) {
+  if (!listenedBy || typeof listenedBy !== 'object') return [];
+  return Object.entries(listenedBy)
+    .map(([userId, listenedAt]) => ({ userId, listenedAt }))
+    .sort((a, b) => a.listenedAt - b.listenedAt);
+}
+
+/**
+ * Poll tallies for API/live payloads. Stored as { options: [{ id, text }], multiple, anonymous, closesAt,
+ * votes: { [userId]: optionId[] } }; votes are never sent raw. Named polls list voterIds per option;
+ * anonymous polls only send counts. myOptionIds is the viewer's own selection (only when the viewer is known).
+ * @param {Object|null|undefined} poll - Stored poll
+ * @param {string} [viewerId] - User the summary is shaped for
+ * @param {number} [now]
+ * @returns {{ options: Array<{ id: string, text: string, count: number, voterIds?: string[] }>, multiple: boolean, anonymous: boolean, closesAt: number|null, closed: boolean, totalVoters: number, myOptionIds?: string[] }|null}
+ */
+function toPollSummary(poll, viewerId, now = Date.now()) {
+  if (!poll || typeof poll !== 'object' || !Array.isArray(poll.options)) return null;
+  const votes = poll.votes && typeof poll.votes === 'object' ? poll.votes : {};
+  const voters = Object.entries(votes).filter(([, optionIds]) => Array.isArray(optionIds) && optionIds.length > 0);
+  const anonymous = poll.anonymous === true;
+  const summary = {
+    options: poll.options.map((option) => {
+      const voterIds = voters.filter(([, optionIds]) => optionIds.includes(option.id)).map(([userId]) => userId);
+      return anonymous
+        ? { id: option.id, text: option.text, count: voterIds.length }
+        : { id: option.id, text: option.text, count: voterIds.length, voterIds };
+    }),
+    multiple: poll.multiple === true,
+    anonymous,
+    closesAt: poll.closesAt ?? null,
+    closed: poll.closesAt != null && poll.closesAt <= now,
+    totalVoters: voters.length,
+  };
+  if (viewerId) summary.myOptionIds = Array.isArray(votes[viewerId]) ? votes[viewerId] : [];
+  return summary;
+}
+
+/**
+ * Saved-messages entry: reply-style snippet of the bookmarked message plus where and when it was starred.
+ * @param {{ messageId: string, chatId: string, bookmarkedAt: number }} bookmark - Stored bookmark
+ * @param {Object} message - Stored message (canonical row)
+ * @returns {{ messageId: string, chatId: string, roomId: string|null, senderId: string|null, content: string|null, deleted: boolean, contentType: string, timestamp: number|null, bookmarkedAt: number }}
+ */
+function toBookmarkSummary(bookmark, message) {
+  return {
+    ...toReplySnippet(bookmark.messageId, message),
+    chatId: bookmark.chatId,
+    roomId: message ? message.roomId || null : null,
+    contentType: (message && message.contentType) || 'text',
+    timestamp: message ? message.timestamp ?? null : null,
+    bookmarkedAt: bookmark.bookmarkedAt,
+  };
+}
+
+/**
+ * Edit trail of a message, oldest first: the stored revisions (replaced contents, append-only) followed by the
+ * current content. createdAt is when that version was written (the send time, then each edit's time).
+ * @param {Object|null|undefined} msg - Stored message
+ * @returns {Array<{ content: string, createdAt: number|null, current: boolean }>}
+ */
+function toRevisionTrail(msg) {
+  if (!msg) return [];
+  const revisions = Array.isArray(msg.revisions) ? msg.revisions : [];
+  return [
+    ...revisions.map((r) => ({ content: r.content, createdAt: r.createdAt ?? null, current: false })),
+    { content: msg.content, createdAt: msg.editedAt ?? msg.timestamp ?? null, current: true },
+  ];
+}
+
+/**
+ * Thread summary stored on a root message ({ replyCount, lastReplyAt, participantIds }).
+ * @param {Object|null|undefined} thread - Stored thread summary
+ * @returns {{ replyCount: number, lastReplyAt: number|null, participantIds: string[] }|null} null when the message has no replies
+ */
+function toThreadSummary(thread) {
+  if (!thread || typeof thread !== 'object' || !(thread.replyCount > 0)) return null;
+  return {
+    replyCount: thread.replyCount,
+    lastReplyAt: thread.lastReplyAt ?? null,
+    participantIds: Array.isArray(thread.participantIds) ? thread.participantIds.map(String) : [],
+  };
+}
+
+/**
+ * Users following a thread: the root sender plus everyone who replied.
+ * @param {Object} root - Stored root message
+ * @returns {string[]}
+ */
+function getThreadParticipantIds(root) {
+  if (!root) return [];
+  const ids = root.senderId ? [String(root.senderId)] : [];
+  const summary = toThreadSummary(root.thread);
+  if (summary) summary.participantIds.forEach((id) => { if (!ids.includes(id)) ids.push(id); });
+  return ids;
+}
+
+/**
+ * Pinned message for the pinned banner: reply-style snippet of the message plus who pinned it and when.
+ * @param {{ messageId: string, pinnedBy: string, pinnedAt: number }} pin - Stored pin
+ * @param {Object|null} message - Stored message (null if not found)
+ * @returns {{ messageId: string, senderId: string|null, content: string|null, deleted: boolean, timestamp: number|null, pinnedBy: string, pinnedAt: number }}
+ */
+function toPinSummary(pin, message) {
+  return {
+    ...toReplySnippet(pin.messageId, message),
+    timestamp: message ? message.timestamp ?? null : null,
+    pinnedBy: pin.pinnedBy,
+    pinnedAt: pin.pinnedAt,
   };
 }
 
@@ -94,13 +271,47 @@ function toApiShape(msg) {
     editedAt: msg.editedAt ?? null,
     deleted: msg.deleted === true,
     deletedAt: msg.deletedAt ?? null,
+    reactions: toReactionSummary(msg.reactions),
+    replyToMessageId: msg.replyToMessageId ?? null,
+    replyTo: msg.replyTo ?? null,
+    threadRootId: msg.threadRootId ?? null,
+    alsoSendToRoom: msg.alsoSendToRoom === true,
+    thread: toThreadSummary(msg.thread),
+    forwardedFrom: toForwardedFrom(msg.forwardedFrom),
+    expiresAt: msg.expiresAt ?? null,
+    mentions: Array.isArray(msg.mentions) ? msg.mentions : [],
+    poll: toPollSummary(msg.poll),
+    attachments: toMessageAttachments(msg.attachments),
+    listenedBy: toListenedBy(msg.listenedBy),
   };
 }
 
+/**
+ * True once a disappearing message is past its expiresAt. Expired messages are never served, even before
+ * the sweeper has hard-deleted them.
+ * @param {Object} msg - Stored message
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isExpired(msg, now = Date.now()) {
+  return !!msg && msg.expiresAt != null && msg.expiresAt <= now;
+}
+
 module.exports = {
   validateMessage,
   normalizeForStorage,
   toApiShape,
+  toReactionSummary,
+  toReplySnippet,
+  toForwardedFrom,
+  toPinSummary,
+  toBookmarkSummary,
+  toPollSummary,
+  toListenedBy,
+  toRevisionTrail,
+  toThreadSummary,
+  getThreadParticipantIds,
+  isExpired,
   REQUIRED_FIELDS,
   VALID_STATES,
 };
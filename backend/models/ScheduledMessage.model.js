@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Scheduled ("send later") message model.
+ *
+ * Lifecycle: PENDING → SENDING (claimed by one instance under a lease) → SENT | FAILED.
+ * PENDING / FAILED items can be CANCELLED by their sender; only PENDING items can be edited.
+ * A SENDING item whose lease expired (instance crashed mid-send) is claimed again.
+ */
+
+const ScheduledStatus = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+/** Statuses still shown to the sender (GET /api/scheduled-messages, SCHEDULED_MESSAGE_LIST). */
+const VISIBLE_STATUSES = [ScheduledStatus.PENDING, ScheduledStatus.SENDING, ScheduledStatus.FAILED];
+
+/**
+ * Client-facing shape of a scheduled message (no lease bookkeeping).
+ * @param {Object} doc - Stored scheduled message
+ * @returns {Object|null} { scheduledId, chatId, content, sendAt, status, messageId, createdAt, updatedAt, sentAt, error }
+ */
+function toScheduledMessageDto(doc) {
+  if (!doc) return null;
+  return {
+    scheduledId: doc.scheduledId,
+    chatId: doc.chatId,
+    content: doc.content,
+    sendAt: doc.sendAt,
+    status: doc.status,
+    messageId: doc.status === ScheduledStatus.SENT ? doc.messageId : null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    sentAt: doc.sentAt ?? null,
+    error: doc.error ?? null,
+  };
+}
+
+module.exports = {
+  ScheduledStatus,
+  VISIBLE_STATUSES,
+  toScheduledMessageDto,
+};
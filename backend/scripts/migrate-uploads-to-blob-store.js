@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * One-off migration: copy files from local disk into the configured blob store (BLOB_STORE, see
+ * storage/blob.store.js). Idempotent: blobs that already exist with the same size are skipped.
+ * Does NOT run on boot.
+ *
+ *   storage/_data/uploads/<filename>         → uploads/<filename>
+ *   storage/_data/attachments/<attachmentId> → attachments/<attachmentId>
+ *
+ * Run manually: node -r dotenv/config scripts/migrate-uploads-to-blob-store.js [--dry-run] [--delete] [--source <dir>]
+ *   --dry-run  list what would be copied
+ *   --delete   remove each local file once its copy is verified (size match), completing the move
+ *   --source   data directory to read (default storage/_data)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NAMESPACES = ['uploads', 'attachments'];
+
+/**
+ * @param {{ sourceDir: string, store: Object, dryRun?: boolean, deleteAfter?: boolean, log?: Function }} options
+ * @returns {Promise<{ copied: number, skipped: number, deleted: number, failed: number }>}
+ */
+async function migrateLocalUploads({ sourceDir, store, dryRun = false, deleteAfter = false, log = console.log }) {
+  const summary = { copied: 0, skipped: 0, deleted: 0, failed: 0 };
+  for (const namespace of NAMESPACES) {
+    const dir = path.join(sourceDir, namespace);
+    if (!fs.existsSync(dir)) continue;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      // Subdirectories (e.g. the old attachments/tmp) and multer/driver temp files are not blobs
+      if (!entry.isFile() || entry.name.includes('.part-')) continue;
+      const key = `${namespace}/${entry.name}`;
+      const filePath = path.join(dir, entry.name);
+      try {
+        const { size } = fs.statSync(filePath);
+        const existing = await store.head(key);
+        if (existing && existing.size === size) {
+          summary.skipped++;
+        } else if (dryRun) {
+          log('would copy', key, size);
+          summary.copied++;
+          continue;
+        } else {
+          await store.put(key, fs.createReadStream(filePath), { contentLength: size });
+          const copied = await store.head(key);
+          if (!copied || copied.size !== size) throw new Error(`size mismatch after copy (${copied?.size} != ${size})`);
+          log('copied', key, size);
+          summary.copied++;
+        }
+        if (deleteAfter && !dryRun) {
+          fs.unlinkSync(filePath);
+          summary.deleted++;
+        }
+      } catch (err) {
+        log('failed', key, err.message);
+        summary.failed++;
+      }
+    }
+  }
+  return summary;
+}
+
+function parseArgs(argv) {
+  const args = { dryRun: argv.includes('--dry-run'), deleteAfter: argv.includes('--delete'), source: null };
+  const i = argv.indexOf('--source');
+  if (i !== -1) args.source = argv[i + 1];
+  return args;
+}
+
+async function main() {
+  const { blobStore, DEFAULT_LOCAL_DIR } = require('../storage/blob.store');
+  const args = parseArgs(process.argv.slice(2));
+  const sourceDir = path.resolve(args.source || DEFAULT_LOCAL_DIR);
+  if (blobStore.name === 'local' && path.resolve(blobStore.rootDir) === sourceDir) {
+    console.log('BLOB_STORE is local and reads', sourceDir, '- nothing to migrate. Set BLOB_STORE=s3 (or BLOB_LOCAL_DIR) first.');
+    return;
+  }
+  console.log(`Migrating ${sourceDir} → ${blobStore.name}${args.dryRun ? ' (dry run)' : ''}`);
+  const summary = await migrateLocalUploads({ sourceDir, store: blobStore, dryRun: args.dryRun, deleteAfter: args.deleteAfter });
+  console.log('Done:', summary);
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrateLocalUploads };
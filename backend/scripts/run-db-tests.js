@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Run every tests/db-*.test.js in name order, one process each (the scripts exit when done), and stop at the
+ * first failure. Each script prints SKIP: and exits 0 when no message store is configured (tests/helpers/dbTest.js).
+ *
+ * Usage: node -r dotenv/config scripts/run-db-tests.js [name filter]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const testsDir = path.resolve(__dirname, '..', 'tests');
+const filter = process.argv[2] || '';
+
+const files = fs.readdirSync(testsDir)
+  .filter((name) => name.startsWith('db-') && name.endsWith('.test.js') && name.includes(filter))
+  .sort();
+
+if (files.length === 0) {
+  console.log(`FAIL: no tests/db-*.test.js matches "${filter}"`);
+  process.exit(1);
+}
+
+for (const name of files) {
+  console.log(`\n▶ tests/${name}`);
+  const result = spawnSync(process.execPath, ['-r', 'dotenv/config', path.join(testsDir, name)], { stdio: 'inherit' });
+  if (result.status !== 0) {
+    console.log(`FAIL: tests/${name} exited with ${result.status ?? result.signal}`);
+    process.exit(1);
+  }
+}
@@ -14,9 +14,11 @@ if (process.env.NODE_ENV === 'production') {
 }
 const { attachWebSocketServer } = require('./websocket');
 const redisBus = require('./services/redisBus');
-const { createOnChatMessage, createOnAdminKick } = require('./services/redisBusHandlers');
+const { createOnChatMessage, createOnAdminKick, createOnStateSync, createOnChatExpired } = require('./services/redisBusHandlers');
 const roomManager = require('./websocket/state/roomManager');
 const userService = require('./services/user.service');
+const blockService = require('./services/block.service');
+const messageRequestService = require('./services/messageRequest.service');
 
 // Readiness flag
 let READY = false;
@@ -35,6 +37,8 @@ async function startRedisWithRetry() {
       await redisBus.startRedisBus({
         onChatMessage: createOnChatMessage({ instanceId: localInstanceId }),
         onAdminKick: createOnAdminKick({ instanceId: localInstanceId }),
+        onStateSync: createOnStateSync({ instanceId: localInstanceId }),
+        onChatExpired: createOnChatExpired({ instanceId: localInstanceId }),
       });
       console.log('Redis bus started successfully.');
       return;
@@ -80,6 +84,8 @@ async function start() {
     console.log('Starting background initialization (DB, Redis)...');
     
     await roomManager.loadFromStore();
+    await blockService.loadFromStore();
+    await messageRequestService.loadFromStore();
     await userService.ensureDevAdminUser();
 
     // Start Redis with the robust retry loop
@@ -87,6 +93,12 @@ async function start() {
 
     const snapshotWriter = require('./observability/snapshotWriter');
     snapshotWriter.start();
+
+    // Scheduled messages: start after rooms are loaded (room sends need membership) and the instance id is known
+    const scheduledDelivery = require('./websocket/services/scheduledDelivery.service');
+    scheduledDelivery.start();
+    require('./websocket/services/ephemeralSweeper.service').start();
+    require('./services/attachmentSweeper.service').start();
     
     // Mark as fully ready!
     READY = true;
@@ -105,6 +117,9 @@ async function start() {
         if (snapshotWriter && typeof snapshotWriter.stop === 'function') {
            snapshotWriter.stop();
         }
+        require('./websocket/services/scheduledDelivery.service').stop();
+        require('./websocket/services/ephemeralSweeper.service').stop();
+        require('./services/attachmentSweeper.service').stop();
         if (wsCore && typeof wsCore.shutdown === 'function') {
           await wsCore.shutdown();
         }
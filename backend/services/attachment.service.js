@@ -0,0 +1,458 @@
+'use strict';
+
+/**
+ * File attachments: store uploads, resolve the attachments a message references, authorize downloads
+ * (session + chat membership, or a short-lived signed URL issued after that same check).
+ *
+ * The type of an upload comes from its magic bytes (utils/fileType), never from the client mimetype;
+ * size caps are per detected category (ATTACHMENTS.maxBytesByCategory). Uploads arrive as temp files in
+ * UPLOAD_TMP_DIR and are streamed to the blob store (storage/blob.store) as "attachments/<storageKey>";
+ * the record (dbAdapter attachments) holds name, size, mime, sha256, uploader and the chats the file was posted to.
+ * Images are stored re-encoded without EXIF/GPS (imageService), with webp thumbnails as
+ * "attachments/<storageKey>-w<width>.webp" and their dimensions and placeholder in record.image.
+ * Voice notes (POST /api/uploads/voice) are audio attachments with record.voice = { durationMs, waveform }
+ * (voiceService); a message with contentType 'voice' carries exactly one of them.
+ *
+ * Quotas: the stored bytes of a user's uploads, and of all uploads to a room, are capped
+ * (ATTACHMENTS.userQuotaBytes / roomQuotaBytes); an upload that would go over fails with QUOTA_EXCEEDED.
+ * Stored bytes are the file plus what was derived from it (image thumbnails, record.derivedBytes).
+ * Uploads never sent with a message stop counting once deleteOrphanAttachments removes them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dbAdapter = require('../config/db');
+const { ATTACHMENTS, VOICE } = require('../config/constants');
+const { validateChatOwnership, parseDirectChatId } = require('./history.service');
+const { toDirectChatId } = require('../utils/chatId');
+const { SNIFF_BYTES, detectFileType } = require('../utils/fileType');
+const { toMessageAttachment, toAttachmentUrl, toThumbnailUrl, sanitizeFileName } = require('../models/Attachment.model');
+const imageService = require('./image.service');
+const voiceService = require('./voice.service');
+const { signPath, verifySignedPath } = require('../utils/signedUrl');
+const { blobStore } = require('../storage/blob.store');
+const { logger } = require('../utils/logger');
+const ErrorCodes = require('../utils/errorCodes');
+
+/** Multipart uploads land here before they are checked and streamed to the blob store. */
+const UPLOAD_TMP_DIR = path.resolve(__dirname, '../storage/_data/tmp');
+
+/** Largest cap of any category: the multipart parser's hard limit before the type is known. */
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(ATTACHMENTS.maxBytesByCategory));
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/** direct:<u1>:<u2> in canonical (sorted) order so it matches the chatId of the messages; rooms as-is. */
+function canonicalChatId(chatId) {
+  const participants = parseDirectChatId(chatId);
+  return participants ? toDirectChatId(participants[0], participants[1]) : chatId;
+}
+
+/** Blob key of an attachment's file. */
+function toBlobKey(storageKey) {
+  return `attachments/${storageKey}`;
+}
+
+/** Blob key of one thumbnail width of an image attachment. */
+function toThumbnailBlobKey(storageKey, width) {
+  return `attachments/${storageKey}-w${width}.webp`;
+}
+
+function generateAttachmentId() {
+  return `att_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buf, 0, SNIFF_BYTES, 0);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+async function removeQuietly(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (_) { /* already gone */ }
+}
+
+/**
+ * Store an uploaded temp file as an attachment of a chat the uploader belongs to.
+ * The temp file is streamed to the blob store and always deleted afterwards.
+ * With voice set the file must be a voice note (voiceService); it is stored with its duration and waveform.
+ *
+ * @param {string} uploaderId
+ * @param {{ chatId: string, tempPath: string, originalName: string, size: number, voice?: boolean }} upload
+ * @returns {Promise<{ ok: boolean, attachment?: Object, error?: string, code?: string }>}
+ */
+async function storeUpload(uploaderId, { chatId, tempPath, originalName, size, voice = false } = {}) {
+  try {
+    const chat = isNonEmptyString(chatId) ? canonicalChatId(chatId.trim()) : '';
+    if (!chat.startsWith('direct:') && !chat.startsWith('room:')) {
+      return { ok: false, error: 'chatId must be direct:<u1>:<u2> or room:<roomId>', code: 'INVALID_CHAT_ID' };
+    }
+    if (!validateChatOwnership(chat, uploaderId)) {
+      return { ok: false, error: 'Not a member of this chat', code: 'FORBIDDEN' };
+    }
+    if (!tempPath || !Number.isFinite(size) || size <= 0) {
+      return { ok: false, error: 'File is empty', code: 'MISSING_FILE' };
+    }
+    const overQuota = await checkQuota(uploaderId, chat, size);
+    if (overQuota) return overQuota;
+    if (voice) return await storeVoiceNote(uploaderId, chat, tempPath, size);
+
+    const type = detectFileType(await readHead(tempPath), originalName);
+    if (!type) {
+      return { ok: false, error: 'Unsupported file type', code: 'INVALID_TYPE' };
+    }
+    const maxBytes = ATTACHMENTS.maxBytesByCategory[type.category];
+    if (size > maxBytes) {
+      return { ok: false, error: `File too large. Max ${Math.floor(maxBytes / 1024 / 1024)}MB for ${type.category} files.`, code: 'FILE_TOO_LARGE' };
+    }
+
+    const attachmentId = generateAttachmentId();
+    let stored;
+    if (type.category === 'image') {
+      stored = await storeImage(attachmentId, tempPath);
+      if (!stored.ok) return stored;
+    } else {
+      const sha256 = await sha256File(tempPath);
+      await blobStore.put(toBlobKey(attachmentId), fs.createReadStream(tempPath), { contentLength: size, contentType: type.mime });
+      stored = { size, sha256, image: null };
+    }
+
+    const attachment = await dbAdapter.createAttachment({
+      attachmentId,
+      uploaderId,
+      chatId: chat,
+      name: sanitizeFileName(originalName, ATTACHMENTS.maxNameLength),
+      size: stored.size,
+      mime: type.mime,
+      category: type.category,
+      sha256: stored.sha256,
+      storageKey: attachmentId,
+      derivedBytes: stored.derivedBytes || 0,
+      image: stored.image,
+    });
+    return { ok: true, attachment };
+  } finally {
+    if (tempPath) await removeQuietly(tempPath);
+  }
+}
+
+function formatMb(bytes) {
+  return `${Math.floor(bytes / 1024 / 1024)}MB`;
+}
+
+/** QUOTA_EXCEEDED result when storing size more bytes would put the uploader or the room over quota, else null. */
+async function checkQuota(uploaderId, chatId, size) {
+  if (ATTACHMENTS.userQuotaBytes > 0) {
+    const used = (await dbAdapter.getAttachmentUsage('uploaderId', [uploaderId]))[uploaderId].bytes;
+    if (used + size > ATTACHMENTS.userQuotaBytes) {
+      return { ok: false, error: `Storage quota exceeded: you have used ${formatMb(used)} of ${formatMb(ATTACHMENTS.userQuotaBytes)}`, code: ErrorCodes.QUOTA_EXCEEDED };
+    }
+  }
+  if (ATTACHMENTS.roomQuotaBytes > 0 && chatId.startsWith('room:')) {
+    const used = (await dbAdapter.getAttachmentUsage('chatId', [chatId]))[chatId].bytes;
+    if (used + size > ATTACHMENTS.roomQuotaBytes) {
+      return { ok: false, error: `Room storage quota exceeded: ${formatMb(used)} of ${formatMb(ATTACHMENTS.roomQuotaBytes)} used`, code: ErrorCodes.QUOTA_EXCEEDED };
+    }
+  }
+  return null;
+}
+
+async function storeVoiceNote(uploaderId, chatId, tempPath, size) {
+  if (size > VOICE.maxBytes) {
+    return { ok: false, error: `Voice note too large. Max ${Math.floor(VOICE.maxBytes / 1024 / 1024)}MB.`, code: 'FILE_TOO_LARGE' };
+  }
+  const data = await fs.promises.readFile(tempPath);
+  const analyzed = voiceService.analyzeVoiceNote(data);
+  if (!analyzed.ok) return analyzed;
+  const { mime, ext, durationMs, waveform } = analyzed.voice;
+  const attachmentId = generateAttachmentId();
+  await blobStore.put(toBlobKey(attachmentId), data, { contentType: mime });
+  const attachment = await dbAdapter.createAttachment({
+    attachmentId,
+    uploaderId,
+    chatId,
+    name: `voice-message.${ext}`,
+    size: data.length,
+    mime,
+    category: 'audio',
+    sha256: sha256Hex(data),
+    storageKey: attachmentId,
+    voice: { durationMs, waveform },
+  });
+  return { ok: true, attachment };
+}
+
+/**
+ * Store an image attachment without metadata (size and sha256 describe the stored bytes) plus its thumbnails
+ * (derivedBytes: their total size).
+ * @returns {Promise<{ ok: boolean, size?: number, sha256?: string, derivedBytes?: number, image?: Object, error?: string, code?: string }>}
+ */
+async function storeImage(storageKey, tempPath) {
+  const processed = await imageService.processImage(await fs.promises.readFile(tempPath));
+  if (!processed.ok) return processed;
+  const { data, mime, width, height, blurhash, dominantColor, thumbnails } = processed.image;
+  await blobStore.put(toBlobKey(storageKey), data, { contentType: mime });
+  for (const thumb of thumbnails) {
+    await blobStore.put(toThumbnailBlobKey(storageKey, thumb.width), thumb.data, { contentType: 'image/webp' });
+  }
+  return {
+    ok: true,
+    size: data.length,
+    sha256: sha256Hex(data),
+    derivedBytes: thumbnails.reduce((sum, t) => sum + t.data.length, 0),
+    image: { width, height, blurhash, dominantColor, thumbnails: thumbnails.map((t) => ({ width: t.width, height: t.height })) },
+  };
+}
+
+/**
+ * Thumbnail entry of an image attachment for a requested width, or null.
+ * @param {Object} attachment
+ * @param {number|string} width
+ */
+function findThumbnail(attachment, width) {
+  const w = Number(width);
+  return (attachment.image?.thumbnails || []).find((t) => t.width === w) || null;
+}
+
+/**
+ * Resolve the attachments a new message references. Each must exist, have been uploaded by the sender
+ * and belong to the chat the message goes to; order follows attachmentIds.
+ * Voice messages (contentType 'voice') take exactly one voice note; file messages take none.
+ *
+ * @param {string} senderId
+ * @param {string} chatId - direct:u1:u2 | room:roomId
+ * @param {string[]} attachmentIds
+ * @param {'file'|'voice'} [contentType]
+ * @returns {Promise<{ ok: boolean, attachments?: Array<Object>, error?: string, code?: string }>} toMessageAttachment entries
+ */
+async function resolveMessageAttachments(senderId, chatId, attachmentIds, contentType = 'file') {
+  if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) {
+    return { ok: false, error: `attachmentIds are required for ${contentType} messages`, code: 'INVALID_PAYLOAD' };
+  }
+  if (contentType === 'voice' && attachmentIds.length !== 1) {
+    return { ok: false, error: 'A voice message carries exactly one voice note', code: 'INVALID_PAYLOAD' };
+  }
+  if (attachmentIds.length > ATTACHMENTS.maxPerMessage) {
+    return { ok: false, error: `At most ${ATTACHMENTS.maxPerMessage} files per message`, code: 'INVALID_PAYLOAD' };
+  }
+  const ids = attachmentIds.map((id) => (isNonEmptyString(id) ? id.trim() : ''));
+  if (ids.some((id, i) => !id || ids.indexOf(id) !== i)) {
+    return { ok: false, error: 'attachmentIds must be distinct ids', code: 'INVALID_PAYLOAD' };
+  }
+  const docs = await dbAdapter.getAttachments(ids);
+  const attachments = [];
+  for (const id of ids) {
+    const doc = docs.find((d) => d.attachmentId === id);
+    if (!doc || doc.uploaderId !== senderId || !(doc.chatIds || [doc.chatId]).includes(chatId)) {
+      return { ok: false, error: `Attachment ${id} not found`, code: 'ATTACHMENT_NOT_FOUND' };
+    }
+    if ((contentType === 'voice') !== Boolean(doc.voice)) {
+      const error = contentType === 'voice' ? 'Attachment is not a voice note' : 'Voice notes are sent as voice messages';
+      return { ok: false, error, code: 'INVALID_PAYLOAD' };
+    }
+    attachments.push(toMessageAttachment(doc));
+  }
+  return { ok: true, attachments };
+}
+
+/**
+ * Attachment record for a download, if the user belongs to any chat it was posted to.
+ * Stream the file with openAttachmentStream.
+ * @param {string} userId
+ * @param {string} attachmentId
+ * @returns {Promise<{ ok: boolean, attachment?: Object, error?: string, code?: string }>}
+ */
+async function getAttachmentForDownload(userId, attachmentId) {
+  if (!isNonEmptyString(attachmentId)) {
+    return { ok: false, error: 'attachmentId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const attachment = await dbAdapter.getAttachment(attachmentId.trim());
+  if (!attachment) {
+    return { ok: false, error: 'Attachment not found', code: 'NOT_FOUND' };
+  }
+  const chatIds = attachment.chatIds || [attachment.chatId];
+  if (!chatIds.some((chatId) => validateChatOwnership(chatId, userId))) {
+    return { ok: false, error: 'Access denied to this attachment', code: 'FORBIDDEN' };
+  }
+  return { ok: true, attachment };
+}
+
+/**
+ * Stream of an attachment's file (or of one byte range of it).
+ * @param {Object} attachment - Record from getAttachmentForDownload / getAttachmentForSignedDownload
+ * @param {{ start: number, end: number }} [range] - Inclusive byte range
+ * @returns {Promise<import('stream').Readable|null>} null when the file is missing from the blob store
+ */
+async function openAttachmentStream(attachment, range) {
+  const stream = await blobStore.get(toBlobKey(attachment.storageKey), range);
+  if (!stream) {
+    logger.warn('Attachments', 'file_missing', { attachmentId: attachment.attachmentId });
+  }
+  return stream;
+}
+
+/**
+ * Stream of one thumbnail of an image attachment.
+ * @param {Object} attachment
+ * @param {number|string} width
+ * @returns {Promise<import('stream').Readable|null>} null when the attachment has no such thumbnail
+ */
+async function openThumbnailStream(attachment, width) {
+  const thumb = findThumbnail(attachment, width);
+  if (!thumb) return null;
+  const stream = await blobStore.get(toThumbnailBlobKey(attachment.storageKey, thumb.width));
+  if (!stream) {
+    logger.warn('Attachments', 'thumbnail_missing', { attachmentId: attachment.attachmentId, width: thumb.width });
+  }
+  return stream;
+}
+
+/**
+ * Signed download URL for a user allowed to download the attachment (same check as getAttachmentForDownload),
+ * of the file or of one of its thumbnails. The URL works without cookies until expiresAt (ATTACHMENTS.signedUrlTtlMs).
+ * @param {string} userId
+ * @param {string} attachmentId
+ * @param {{ width?: number|string }} [options] - Thumbnail width (see record.image.thumbnails)
+ * @returns {Promise<{ ok: boolean, url?: string, expiresAt?: number, error?: string, code?: string }>}
+ */
+async function createSignedDownloadUrl(userId, attachmentId, { width } = {}) {
+  const result = await getAttachmentForDownload(userId, attachmentId);
+  if (!result.ok) return result;
+  const id = result.attachment.attachmentId;
+  let pathname = toAttachmentUrl(id);
+  if (width != null) {
+    const thumb = findThumbnail(result.attachment, width);
+    if (!thumb) return { ok: false, error: 'Thumbnail not found', code: 'NOT_FOUND' };
+    pathname = toThumbnailUrl(id, thumb.width);
+  }
+  const { url, expiresAt } = signPath(pathname, ATTACHMENTS.signedUrlTtlMs);
+  return { ok: true, url, expiresAt };
+}
+
+/**
+ * Attachment record for a signed download (no session: the signature is the authorization).
+ * @param {string} attachmentId
+ * @param {{ expires: string, sig: string, width?: number|string }} query - Query parameters of the signed URL;
+ *   width when the URL is for a thumbnail
+ * @returns {Promise<{ ok: boolean, attachment?: Object, error?: string, code?: string }>}
+ */
+async function getAttachmentForSignedDownload(attachmentId, { expires, sig, width } = {}) {
+  if (!isNonEmptyString(attachmentId)) {
+    return { ok: false, error: 'attachmentId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const id = attachmentId.trim();
+  const pathname = width != null ? toThumbnailUrl(id, width) : toAttachmentUrl(id);
+  const check = verifySignedPath(pathname, expires, sig);
+  if (!check.ok) {
+    return { ok: false, error: check.code === 'URL_EXPIRED' ? 'Download link expired' : 'Invalid download link', code: check.code };
+  }
+  const attachment = await dbAdapter.getAttachment(id);
+  if (!attachment) {
+    return { ok: false, error: 'Attachment not found', code: 'NOT_FOUND' };
+  }
+  return { ok: true, attachment };
+}
+
+/**
+ * Storage used by users' uploads.
+ * @param {string[]} userIds
+ * @returns {Promise<Object<string, { bytes: number, count: number, quotaBytes: number }>>} quotaBytes 0 = unlimited
+ */
+async function getUsersStorageUsage(userIds) {
+  const usage = await dbAdapter.getAttachmentUsage('uploaderId', (userIds || []).map(String));
+  for (const entry of Object.values(usage)) entry.quotaBytes = ATTACHMENTS.userQuotaBytes;
+  return usage;
+}
+
+/** Delete an unreferenced attachment record, then its file and thumbnails. @returns {Promise<boolean>} */
+async function deleteAttachmentAndBlobs(doc) {
+  if (!(await dbAdapter.deleteOrphanAttachment(doc.attachmentId))) return false;
+  const keys = [toBlobKey(doc.storageKey), ...(doc.image?.thumbnails || []).map((t) => toThumbnailBlobKey(doc.storageKey, t.width))];
+  for (const key of keys) {
+    try {
+      await blobStore.delete(key);
+    } catch (err) {
+      logger.warn('Attachments', 'orphan_blob_delete_failed', { attachmentId: doc.attachmentId, key, error: err.message });
+    }
+  }
+  return true;
+}
+
+/**
+ * Delete uploads that were never sent with a message and are older than ATTACHMENTS.orphanTtlMs: the record
+ * first (only while still unreferenced), then the file and thumbnails. One batch of at most sweepBatchSize.
+ * @param {number} [now]
+ * @returns {Promise<{ scanned: number, deleted: number, bytes: number }>}
+ */
+async function deleteOrphanAttachments(now = Date.now()) {
+  const orphans = await dbAdapter.listOrphanAttachments(now - ATTACHMENTS.orphanTtlMs, ATTACHMENTS.sweepBatchSize);
+  let deleted = 0;
+  let bytes = 0;
+  for (const doc of orphans) {
+    if (!(await deleteAttachmentAndBlobs(doc))) continue;
+    deleted++;
+    bytes += (doc.size || 0) + (doc.derivedBytes || 0);
+  }
+  return { scanned: orphans.length, deleted, bytes };
+}
+
+/**
+ * Delete the given attachments right away when no message references them any more (the last message that
+ * carried them expired), without waiting for the orphan TTL. Attachments still linked (e.g. forwarded copies)
+ * are kept.
+ * @param {string[]} attachmentIds
+ * @returns {Promise<{ deleted: number, bytes: number }>}
+ */
+async function deleteUnreferencedAttachments(attachmentIds) {
+  const ids = (Array.isArray(attachmentIds) ? attachmentIds : []).filter((id, i, all) => id && all.indexOf(id) === i);
+  let deleted = 0;
+  let bytes = 0;
+  if (ids.length === 0) return { deleted, bytes };
+  for (const doc of await dbAdapter.getAttachments(ids)) {
+    if (doc.messageIds.length > 0 || !(await deleteAttachmentAndBlobs(doc))) continue;
+    deleted++;
+    bytes += (doc.size || 0) + (doc.derivedBytes || 0);
+  }
+  return { deleted, bytes };
+}
+
+module.exports = {
+  UPLOAD_TMP_DIR,
+  MAX_UPLOAD_BYTES,
+  toBlobKey,
+  toThumbnailBlobKey,
+  storeUpload,
+  resolveMessageAttachments,
+  getAttachmentForDownload,
+  createSignedDownloadUrl,
+  getAttachmentForSignedDownload,
+  openAttachmentStream,
+  openThumbnailStream,
+  getUsersStorageUsage,
+  deleteOrphanAttachments,
+  deleteUnreferencedAttachments,
+};
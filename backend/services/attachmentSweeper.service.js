@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Orphaned upload sweeper.
+ *
+ * Every ATTACHMENTS.sweepIntervalMs, deletes uploads that no message references and that are older than
+ * ATTACHMENTS.orphanTtlMs (attachmentService.deleteOrphanAttachments), so abandoned uploads neither fill the
+ * blob store nor count against quotas. Clients send the message right after uploading; the TTL leaves room
+ * for sends queued while offline.
+ *
+ * Multi-instance: every instance runs the sweeper; records are deleted conditionally, so each orphan is
+ * removed (and its files deleted) by one of them.
+ */
+
+const attachmentService = require('./attachment.service');
+const { ATTACHMENTS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+let intervalId = null;
+let running = false;
+
+/**
+ * Delete orphaned uploads until none are left (or a batch deletes nothing). Never throws.
+ * @param {number} [now]
+ * @returns {Promise<number>} Number of attachments deleted
+ */
+async function runOnce(now = Date.now()) {
+  if (running) return 0;
+  running = true;
+  let total = 0;
+  let bytes = 0;
+  try {
+    for (;;) {
+      const batch = await attachmentService.deleteOrphanAttachments(now);
+      total += batch.deleted;
+      bytes += batch.bytes;
+      if (batch.deleted === 0 || batch.scanned < ATTACHMENTS.sweepBatchSize) break;
+    }
+    if (total > 0) logger.info('AttachmentSweeper', 'orphans_deleted', { count: total, bytes });
+  } catch (err) {
+    logger.error('AttachmentSweeper', 'sweep_failed', { error: err.message });
+  } finally {
+    running = false;
+  }
+  return total;
+}
+
+function start() {
+  if (intervalId != null) return;
+  intervalId = setInterval(() => { runOnce().catch(() => {}); }, ATTACHMENTS.sweepIntervalMs);
+  runOnce().catch(() => {});
+}
+
+function stop() {
+  if (intervalId != null) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
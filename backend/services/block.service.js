@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Blocked users.
+ *
+ * A block is stored one way (blocker -> blocked) but cuts both ways: no DMs in either direction (USER_BLOCKED),
+ * no typing or presence between the two users, and the blocked user is left out of the blocker's user search.
+ * Shared rooms and existing history are untouched.
+ *
+ * All blocks are mirrored in memory (websocket/state/blockStore, loaded at startup like room membership) so DM
+ * sends and the typing / presence fan-outs can check a pair without a DB round trip. Changes are published on the
+ * Redis bus (state.sync) so the other instances update their mirror.
+ */
+
+const dbAdapter = require('../config/db');
+const userLookup = require('../users/user.service');
+const blockStore = require('../websocket/state/blockStore');
+const redisBus = require('./redisBus');
+const { BLOCKS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/** Tell the other instances; best-effort, the DB stays the source of truth for their next restart. */
+function publishChange(kind, userId, targetUserId) {
+  try {
+    redisBus.publishStateSync({
+      type: 'state.sync',
+      originInstanceId: redisBus.getInstanceId(),
+      kind,
+      userId,
+      targetUserId,
+      ts: Date.now(),
+    }).catch(() => {});
+  } catch (_) { /* local mirror is already updated */ }
+}
+
+/**
+ * Load every block into memory. Call once at startup, before accepting connections.
+ * @returns {Promise<number>} Blocks loaded
+ */
+async function loadFromStore() {
+  const all = await dbAdapter.listAllBlocks();
+  blockStore.replaceAll(all);
+  logger.info('Blocks', 'loaded', { count: all.length });
+  return all.length;
+}
+
+/**
+ * True when userId blocked targetId (one direction).
+ * @param {string} userId
+ * @param {string} targetId
+ * @returns {boolean}
+ */
+function hasBlocked(userId, targetId) {
+  return blockStore.has(userId, targetId);
+}
+
+/**
+ * True when either user blocked the other: DMs, typing and presence are cut between them.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isBlockedBetween(a, b) {
+  if (!a || !b || a === b) return false;
+  return hasBlocked(a, b) || hasBlocked(b, a);
+}
+
+/**
+ * Check a DM before it is accepted.
+ * @param {string} senderId
+ * @param {string} recipientId
+ * @returns {{ ok: boolean, error?: string, code?: string }}
+ */
+function checkDirectMessage(senderId, recipientId) {
+  if (hasBlocked(recipientId, senderId)) {
+    return { ok: false, error: 'This user is not accepting your messages', code: 'USER_BLOCKED' };
+  }
+  if (hasBlocked(senderId, recipientId)) {
+    return { ok: false, error: 'Unblock this user to send them messages', code: 'USER_BLOCKED' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Block a user (idempotent).
+ * @param {string} userId - Blocker
+ * @param {string} targetId - User to block
+ * @returns {Promise<{ ok: boolean, userId?: string, blocked?: boolean, changed?: boolean, error?: string, code?: string }>}
+ */
+async function blockUser(userId, targetId) {
+  if (!isNonEmptyString(targetId)) {
+    return { ok: false, error: 'userId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const target = targetId.trim();
+  if (target === userId) {
+    return { ok: false, error: 'You cannot block yourself', code: 'INVALID_PAYLOAD' };
+  }
+  if (hasBlocked(userId, target)) {
+    return { ok: true, userId: target, blocked: true, changed: false };
+  }
+  if (!(await userLookup.getUserById(target))) {
+    return { ok: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+  }
+  if (blockStore.count(userId) >= BLOCKS.maxPerUser) {
+    return { ok: false, error: `At most ${BLOCKS.maxPerUser} blocked users`, code: 'BLOCK_LIMIT' };
+  }
+  const changed = await dbAdapter.addBlock(userId, target);
+  blockStore.add(userId, target);
+  publishChange(redisBus.StateSyncKind.BLOCK_ADDED, userId, target);
+  return { ok: true, userId: target, blocked: true, changed };
+}
+
+/**
+ * Unblock a user (idempotent; unknown users are simply not blocked).
+ * @returns {Promise<{ ok: boolean, userId?: string, blocked?: boolean, changed?: boolean, error?: string, code?: string }>}
+ */
+async function unblockUser(userId, targetId) {
+  if (!isNonEmptyString(targetId)) {
+    return { ok: false, error: 'userId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const target = targetId.trim();
+  const changed = await dbAdapter.removeBlock(userId, target);
+  blockStore.remove(userId, target);
+  if (changed) publishChange(redisBus.StateSyncKind.BLOCK_REMOVED, userId, target);
+  return { ok: true, userId: target, blocked: false, changed };
+}
+
+/**
+ * Users blocked by userId, most recently blocked first, with their public profile (null once deleted).
+ * @param {string} userId
+ * @returns {Promise<Array<{ userId: string, blockedAt: number, user: Object|null }>>}
+ */
+async function getBlockedUsers(userId) {
+  const blocks = await dbAdapter.getBlocks(userId);
+  return Promise.all(blocks.map(async (b) => ({
+    userId: b.blockedUserId,
+    blockedAt: b.blockedAt,
+    user: await userLookup.getUserById(b.blockedUserId),
+  })));
+}
+
+/** Drop the in-memory mirror (tests). */
+function clear() {
+  blockStore.clear();
+}
+
+module.exports = {
+  loadFromStore,
+  hasBlocked,
+  isBlockedBetween,
+  checkDirectMessage,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  clear,
+};
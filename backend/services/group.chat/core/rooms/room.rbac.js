@@ -9,6 +9,7 @@
  * - who can send messages
  * - who can delete messages
  * - who can add/remove users
+ * - who can pin messages
  */
 
 "use strict";
@@ -41,21 +42,47 @@ const ROLE_PERMISSIONS = {
     PERMISSION.ADD_MEMBER,
     PERMISSION.REMOVE_MEMBER,
     PERMISSION.MODIFY_ROOM,
+    PERMISSION.PIN_MESSAGE,
+    PERMISSION.REVIEW_JOIN_REQUESTS,
   ],
   [ROLE.MODERATOR]: [
     PERMISSION.SEND_MESSAGE,
     PERMISSION.DELETE_MESSAGE,
     PERMISSION.REMOVE_MEMBER, // Cannot remove admins
+    PERMISSION.PIN_MESSAGE,
+    PERMISSION.REVIEW_JOIN_REQUESTS,
   ],
   [ROLE.MEMBER]: [
     PERMISSION.SEND_MESSAGE,
   ],
 };
 
+// Persisted room roles (websocket/state/roomManager: OWNER/ADMIN/MEMBER) → RBAC roles.
+// OWNER has every ADMIN permission; there is no persisted moderator role yet.
+const MANAGED_ROLE_TO_ROLE = {
+  OWNER: ROLE.ADMIN,
+  ADMIN: ROLE.ADMIN,
+  MODERATOR: ROLE.MODERATOR,
+  MEMBER: ROLE.MEMBER,
+};
+
 // -----------------------------------------------------------------------------
 // Permission Checks
 // -----------------------------------------------------------------------------
 
+/**
+ * Check a role against the permission matrix (no membership lookup).
+ * Accepts RBAC roles (admin/moderator/member) and persisted roomManager roles (OWNER/ADMIN/MEMBER).
+ */
+function roleHasPermission(role, permission) {
+  if (!isValidPermission(permission)) {
+    throw new TypeError(`Invalid permission: ${permission}`);
+  }
+  const normalized = MANAGED_ROLE_TO_ROLE[role] || role;
+  const permissions = ROLE_PERMISSIONS[normalized] || [];
+  return permissions.includes(permission);
+}
+
 /**
  * Check if connection has permission in room.
  * Returns false if not a member or lacks permission.
@@ -157,6 +184,15 @@ function canDeleteMessage(options) {
   return hasPermission({ roomId, connectionId, permission: PERMISSION.DELETE_MESSAGE });
 }
 
+/**
+ * Check if connection can pin/unpin messages in room.
+ * Admins and moderators can pin.
+ */
+function canPinMessage(options) {
+  const { roomId, connectionId } = options;
+  return hasPermission({ roomId, connectionId, permission: PERMISSION.PIN_MESSAGE });
+}
+
 // -----------------------------------------------------------------------------
 // Exports
 // -----------------------------------------------------------------------------
@@ -168,5 +204,7 @@ module.exports = {
   canModifyRoom,
   canSendMessage,
   canDeleteMessage,
+  canPinMessage,
+  roleHasPermission,
   PermissionDeniedError,
 };
@@ -34,6 +34,8 @@ const PERMISSION = {
   ADD_MEMBER: "add_member",               // Can add users to room
   REMOVE_MEMBER: "remove_member",         // Can remove users from room
   MODIFY_ROOM: "modify_room",             // Can change room settings/metadata
+  PIN_MESSAGE: "pin_message",             // Can pin/unpin messages in room
+  REVIEW_JOIN_REQUESTS: "review_join_requests", // Can approve/deny requests to join a knock room
 };
 
 // -----------------------------------------------------------------------------
@@ -7,12 +7,17 @@
 
 const messageStore = require('./message.store');
 const roomManager = require('../websocket/state/roomManager');
-const { toApiShape } = require('../models/Message.model');
-const { toRoomId } = require('../utils/chatId');
+const messageRequestService = require('./messageRequest.service');
+const { MessageState } = require('../models/message.state');
+const { toApiShape, toReplySnippet, toPinSummary, toBookmarkSummary, toPollSummary, toRevisionTrail, getThreadParticipantIds, isExpired } = require('../models/Message.model');
+const { toRoomId, toDirectChatId } = require('../utils/chatId');
+const { RECEIPTS } = require('../config/constants');
 
 const MAX_PAGE_SIZE = 100;
 const DEFAULT_PAGE_SIZE = 50;
 const MIN_PAGE_SIZE = 1;
+const DEFAULT_CONTEXT_SIDE = 10;
+const MAX_CONTEXT_SIDE = 25;
 
 /**
  * Generate chatId for direct messages
@@ -42,6 +47,16 @@ function parseDirectChatId(chatId) {
   return [parts[1], parts[2]];
 }
 
+/**
+ * Distinct participants of a direct chat (one for a chat with yourself), for fan-outs to both sides.
+ * @param {string} chatId - Chat ID (format: "direct:userId1:userId2")
+ * @returns {Array<string>} Empty when chatId is not a direct chat
+ */
+function getDirectChatParticipants(chatId) {
+  const participants = parseDirectChatId(chatId) || [];
+  return participants[0] === participants[1] ? participants.slice(0, 1) : participants;
+}
+
 /**
  * Validate that user belongs to chat
  * @param {string} chatId - Chat ID (direct:u1:u2 for DM, or room:<roomId> for room)
@@ -110,6 +125,108 @@ function filterMessagesByChatId(messages, chatId, userId) {
   return messages.filter(msg => msg.roomId === roomId);
 }
 
+/**
+ * True if a room message belongs in the main timeline: top-level messages and thread replies
+ * that were also sent to the room. Other thread replies only appear in their thread.
+ * @param {Object} msg - Stored message
+ * @returns {boolean}
+ */
+function isInRoomTimeline(msg) {
+  return !msg.threadRootId || msg.alsoSendToRoom === true;
+}
+
+/**
+ * Attach denormalized parent snippets (replyTo) to messages that are replies.
+ * All parents come from one lookup; a missing or deleted parent yields a tombstone snippet.
+ * @param {Array<Object>} messages - Stored messages (page or context window)
+ * @returns {Promise<Array<Object>>} Same messages with replyTo set where replyToMessageId is present
+ */
+async function attachReplySnippets(messages) {
+  const parentIds = messages.map((m) => m && m.replyToMessageId).filter(Boolean);
+  if (parentIds.length === 0) return messages;
+  const parents = await messageStore.getByIds(parentIds);
+  return messages.map((m) => (
+    m && m.replyToMessageId ? { ...m, replyTo: toReplySnippet(m.replyToMessageId, parents[m.replyToMessageId] || null) } : m
+  ));
+}
+
+/**
+ * API shape for one reader: polls carry the reader's own selection (myOptionIds), which anonymous tallies hide.
+ * Room history dedupes to an arbitrary row of each room message, so this never relies on recipientId.
+ * The sender of an unaccepted message request sees their DMs as sent, never delivered / read / listened.
+ * @param {Object} msg - Stored message
+ * @param {string} userId - Reader
+ * @returns {Object|null}
+ */
+function toViewerApiShape(msg, userId) {
+  const shape = toApiShape(msg);
+  if (!shape) return shape;
+  const withPoll = msg.poll ? { ...shape, poll: toPollSummary(msg.poll, userId) } : shape;
+  const withheld = !msg.roomId && msg.senderId === userId && shape.state !== MessageState.SENDING
+    && messageRequestService.isUnaccepted(toDirectChatId(msg.senderId, msg.recipientId));
+  return withheld ? { ...withPoll, state: MessageState.SENT, listenedBy: [] } : withPoll;
+}
+
+/**
+ * Get a context window around a message for a participant (e.g. jumping to a replied-to parent).
+ * @param {string} userId - Current user ID
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Anchor messageId (or roomMessageId in rooms)
+ * @param {{ before?: number, after?: number }} options - Messages on each side (capped at MAX_CONTEXT_SIDE)
+ * @returns {Promise<{ anchor: Object|null, messages: Array<Object> }>} messages oldest→newest in API shape
+ */
+async function getMessageContext(userId, chatId, messageId, options = {}) {
+  if (!userId || !chatId || !messageId || !validateChatOwnership(chatId, userId)) {
+    return { anchor: null, messages: [] };
+  }
+  const clamp = (v) => Math.min(MAX_CONTEXT_SIDE, Math.max(0, parseInt(v, 10) || DEFAULT_CONTEXT_SIDE));
+  const { anchor, context } = await messageStore.getContextWindow(chatId, messageId, {
+    before: clamp(options.before),
+    after: clamp(options.after),
+  });
+  const now = Date.now();
+  if (!anchor || isExpired(anchor, now)) return { anchor: null, messages: [] };
+  const anchorId = anchor.roomMessageId || anchor.messageId;
+  const timeline = (chatId.startsWith('room:')
+    ? context.filter((m) => isInRoomTimeline(m) || (m.roomMessageId || m.messageId) === anchorId)
+    : context).filter((m) => !isExpired(m, now));
+  const withReplies = await attachReplySnippets(timeline);
+  return {
+    anchor: toViewerApiShape(anchor, userId),
+    messages: withReplies.map((m) => toViewerApiShape(m, userId)).filter(Boolean),
+  };
+}
+
+/**
+ * Edit trail of one message for the "edited" popover (chat participants only).
+ * Per-recipient room rows resolve to the room message; deleted and expired messages have no trail.
+ * @param {string} userId - Current user ID
+ * @param {string} chatId - direct:u1:u2 or room:<roomId>
+ * @param {string} messageId - Message ID (DM messageId, roomMessageId or a per-recipient room row id)
+ * @returns {Promise<{ messageId: string, editedAt: number|null, revisions: Array<{ content: string, createdAt: number|null, current: boolean }> }|null>}
+ *   null when the message is not part of this chat
+ */
+async function getMessageRevisions(userId, chatId, messageId) {
+  if (!userId || !chatId || !messageId || !validateChatOwnership(chatId, userId)) return null;
+  const row = await messageStore.getById(messageId);
+  const message = row && row.roomMessageId && row.roomMessageId !== row.messageId
+    ? (await messageStore.getById(row.roomMessageId)) || row
+    : row;
+  if (!message || message.deleted === true || isExpired(message)) return null;
+  if (chatId.startsWith('room:')) {
+    if (!message.roomId || message.roomId !== toRoomId(chatId)) return null;
+  } else {
+    const participants = parseDirectChatId(chatId);
+    const inChat = participants && participants.includes(String(message.senderId)) && participants.includes(String(message.recipientId));
+    if (message.roomId || !inChat) return null;
+  }
+  return {
+    messageId: message.roomMessageId || message.messageId,
+    editedAt: message.editedAt ?? null,
+    revisions: toRevisionTrail(message),
+  };
+}
+
 /**
  * Get paginated chat history for a specific chat.
  * HTTP-owned: works without WebSocket, survives server restarts.
@@ -163,8 +280,10 @@ async function getHistory(userId, chatId, options = {}) {
     }
   }
 
-  const chatMessages = filterMessagesByChatId(allMessages, chatId, userId);
   const isRoom = chatId.startsWith('room:');
+  const now = Date.now();
+  const chatMessages = filterMessagesByChatId(allMessages, chatId, userId)
+    .filter((m) => (!isRoom || isInRoomTimeline(m)) && !isExpired(m, now));
 
   // Sort by timestamp descending (newest first)
   chatMessages.sort((a, b) => {
@@ -182,15 +301,16 @@ async function getHistory(userId, chatId, options = {}) {
     startIndex = idx === -1 ? 0 : idx + 1;
   }
 
-  // Get page
-  const page = chatMessages.slice(startIndex, startIndex + limit);
+  // Get page (reply parents resolved for the page only)
+  const page = await attachReplySnippets(chatMessages.slice(startIndex, startIndex + limit));
   const hasMore = startIndex + limit < chatMessages.length;
   const lastInPage = page.length > 0 ? page[page.length - 1] : null;
   const nextCursor = hasMore && lastInPage
     ? (isRoom && lastInPage.roomMessageId ? lastInPage.roomMessageId : lastInPage.messageId)
     : null;
 
-  // Room: delivery summary for sender's messages (so frontend can reconstruct roomDeliveryByRoomMessageId on refresh)
+  // Room: delivery summary for sender's messages (so frontend can reconstruct roomDeliveryByRoomMessageId on refresh),
+  // with the read count and newest readers for "Seen by"
   let deliverySummaries = {};
   if (isRoom && page.length > 0) {
     const roomId = toRoomId(chatId);
@@ -199,13 +319,19 @@ async function getHistory(userId, chatId, options = {}) {
     const senderRoomMsgIds = [...new Set(page.filter((m) => m.senderId === userId && m.roomMessageId).map((m) => m.roomMessageId))];
     for (const rid of senderRoomMsgIds) {
       const ids = await messageStore.getDeliveredRecipientIdsForRoomMessage(rid);
-      deliverySummaries[rid] = { deliveredCount: ids.length, totalCount: totalCountBase };
+      const receipts = await messageStore.getRoomReceipts(rid, userId, RECEIPTS.previewCount);
+      deliverySummaries[rid] = {
+        deliveredCount: ids.length,
+        totalCount: totalCountBase,
+        readCount: receipts ? receipts.readCount : 0,
+        readBy: receipts ? receipts.readBy : [],
+      };
     }
   }
 
   return {
     messages: page.map((m) => {
-      const shape = toApiShape(m);
+      const shape = toViewerApiShape(m, userId);
       const summary = deliverySummaries[m.roomMessageId];
       return summary ? { ...shape, deliverySummary: summary } : shape;
     }).filter(Boolean),
@@ -214,9 +340,128 @@ async function getHistory(userId, chatId, options = {}) {
   };
 }
 
+/**
+ * Get paginated replies of one room thread (newest first, same cursor contract as getHistory).
+ * Any room member may read a thread; only participants are notified of new replies.
+ * @param {string} userId - Current user ID
+ * @param {string} chatId - room:<roomId>
+ * @param {string} threadRootId - Root roomMessageId (a per-recipient row id also resolves)
+ * @param {{ beforeId?: string, limit?: number }} options - Pagination options
+ * @returns {Promise<{ root: Object|null, messages: Array<Object>, nextCursor: string|null, hasMore: boolean }>}
+ */
+async function getThreadHistory(userId, chatId, threadRootId, options = {}) {
+  const empty = { root: null, messages: [], nextCursor: null, hasMore: false };
+  if (!userId || !chatId || !chatId.startsWith('room:') || !threadRootId || !validateChatOwnership(chatId, userId)) {
+    return empty;
+  }
+  const roomId = toRoomId(chatId);
+  const rootRow = await messageStore.getById(threadRootId);
+  if (!rootRow || rootRow.roomId !== roomId || rootRow.threadRootId) return empty;
+  const rootId = rootRow.roomMessageId || rootRow.messageId;
+
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(MIN_PAGE_SIZE, parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE)
+  );
+  const replies = (await messageStore.getMessagesByRoom(roomId)).filter((m) => m.threadRootId === rootId);
+  replies.sort((a, b) => {
+    if (b.timestamp !== a.timestamp) return b.timestamp - a.timestamp;
+    return (b.roomMessageId || b.messageId || '').localeCompare(a.roomMessageId || a.messageId || '');
+  });
+
+  let startIndex = 0;
+  if (options.beforeId && typeof options.beforeId === 'string') {
+    const beforeId = options.beforeId.trim();
+    const idx = replies.findIndex((m) => m.messageId === beforeId || m.roomMessageId === beforeId);
+    startIndex = idx === -1 ? 0 : idx + 1;
+  }
+  const page = await attachReplySnippets(replies.slice(startIndex, startIndex + limit));
+  const hasMore = startIndex + limit < replies.length;
+  const lastInPage = page.length > 0 ? page[page.length - 1] : null;
+  const [root] = await attachReplySnippets([rootRow]);
+
+  return {
+    root: toViewerApiShape(root, userId),
+    messages: page.map((m) => toViewerApiShape(m, userId)).filter(Boolean),
+    nextCursor: hasMore && lastInPage ? lastInPage.roomMessageId || lastInPage.messageId : null,
+    hasMore,
+  };
+}
+
+/**
+ * Unread reply counts for the threads a user follows in one room (root sender or replier).
+ * Cursors are per thread (readCursorStore thread cursors); without one, every reply from others is unread.
+ * @param {string} userId - Current user ID
+ * @param {string} chatId - room:<roomId>
+ * @param {function(string[]): Promise<Object<string, { lastReadAt: number|null }>>} [loadCursors] - Thread cursors keyed by threadRootId
+ * @returns {Promise<Array<{ threadRootId: string, unreadCount: number, lastReplyAt: number|null }>>}
+ */
+async function getThreadUnreadCounts(userId, chatId, loadCursors = async () => ({})) {
+  if (!userId || !chatId || !chatId.startsWith('room:') || !validateChatOwnership(chatId, userId)) return [];
+  const messages = await messageStore.getMessagesByRoom(toRoomId(chatId));
+  const followed = messages.filter((m) => !m.threadRootId && m.thread && getThreadParticipantIds(m).includes(userId));
+  if (followed.length === 0) return [];
+  const cursorsByRootId = await loadCursors(followed.map((m) => m.roomMessageId || m.messageId));
+  const out = [];
+  for (const root of followed) {
+    const rootId = root.roomMessageId || root.messageId;
+    const lastReadAt = cursorsByRootId[rootId]?.lastReadAt ?? 0;
+    const unreadCount = messages.filter((m) =>
+      m.threadRootId === rootId && m.senderId !== userId && m.deleted !== true && (m.timestamp ?? 0) > lastReadAt
+    ).length;
+    out.push({ threadRootId: rootId, unreadCount, lastReplyAt: root.thread.lastReplyAt ?? null });
+  }
+  return out;
+}
+
+/**
+ * Pinned messages of a chat with their snippets, most recently pinned first.
+ * Callers check validateChatOwnership; a pinned message that was deleted comes back as a tombstone.
+ * @param {string} chatId - direct:u1:u2 or room:roomId
+ * @returns {Promise<Array<Object>>} toPinSummary entries
+ */
+async function getChatPins(chatId) {
+  const pins = await messageStore.getPins(chatId);
+  return Promise.all(pins.map(async (pin) => toPinSummary(pin, await messageStore.getById(pin.messageId))));
+}
+
+/**
+ * A user's saved (starred) messages across DMs and rooms, most recently starred first.
+ * Bookmarks in chats the user can no longer access are hidden (kept, so they come back on rejoin);
+ * bookmarks whose message is gone, deleted or expired are returned in staleMessageIds for the caller to prune.
+ * @param {string} userId - Current user ID
+ * @param {{ q?: string }} [options] - q: case-insensitive substring filter on the message content
+ * @returns {Promise<{ bookmarks: Array<Object>, staleMessageIds: string[] }>} toBookmarkSummary entries
+ */
+async function getBookmarks(userId, options = {}) {
+  const query = typeof options.q === 'string' ? options.q.trim().toLowerCase() : '';
+  const bookmarks = [];
+  const staleMessageIds = [];
+  for (const bookmark of await messageStore.getBookmarks(userId)) {
+    if (!validateChatOwnership(bookmark.chatId, userId)) continue;
+    const message = await messageStore.getById(bookmark.messageId);
+    if (!message || message.deleted === true || isExpired(message)) {
+      staleMessageIds.push(bookmark.messageId);
+      continue;
+    }
+    if (query && !String(message.content || '').toLowerCase().includes(query)) continue;
+    bookmarks.push(toBookmarkSummary(bookmark, message));
+  }
+  return { bookmarks, staleMessageIds };
+}
+
 module.exports = {
   getHistory,
+  getChatPins,
+  getBookmarks,
+  getThreadHistory,
+  getThreadUnreadCounts,
+  isInRoomTimeline,
+  getMessageContext,
+  getMessageRevisions,
+  attachReplySnippets,
   validateChatOwnership,
   generateDirectChatId,
   parseDirectChatId,
+  getDirectChatParticipants,
 };
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * Server-side image processing (sharp): EXIF/GPS stripping, dimensions, blurhash + dominant color
+ * placeholders, webp thumbnails and square avatar crops.
+ *
+ * Chat attachments go through processImage from attachmentService. Public images (avatars, group
+ * thumbnails) are stored here as blobs "uploads/<name>.<ext>" with thumbnails "uploads/<name>-w<width>.webp"
+ * and served by GET /uploads/:filename.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { IMAGES } = require('../config/constants');
+const { blobStore } = require('../storage/blob.store');
+const { logger } = require('../utils/logger');
+
+/** Formats we store, keyed by sharp's format name. */
+const FORMATS = {
+  jpeg: { mime: 'image/jpeg', ext: 'jpg' },
+  png: { mime: 'image/png', ext: 'png' },
+  webp: { mime: 'image/webp', ext: 'webp' },
+  gif: { mime: 'image/gif', ext: 'gif' },
+};
+const MIME_BY_EXT = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+
+/** <random>.<ext> as issued by storePublicImage (older uploads have shorter random parts), -w<width> for thumbnails. */
+const UPLOAD_FILENAME = /^([a-z0-9]+)(?:-w(\d+))?\.([a-z]+)$/;
+const UPLOAD_URL_PREFIX = '/uploads/';
+
+const INVALID_IMAGE = { ok: false, error: 'Image could not be decoded', code: 'INVALID_TYPE' };
+
+function openImage(input, options) {
+  return sharp(input, { limitInputPixels: IMAGES.maxInputPixels, ...options });
+}
+
+/** Re-encode in the source format. Output never carries EXIF/XMP/IPTC: sharp drops metadata unless asked to keep it. */
+function encodeAs(pipeline, format) {
+  if (format === 'jpeg') return pipeline.jpeg({ quality: 90, mozjpeg: true });
+  if (format === 'png') return pipeline.png();
+  if (format === 'webp') return pipeline.webp({ quality: 90 });
+  return pipeline.gif();
+}
+
+function toHexColor({ r, g, b }) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function placeholderOf(data) {
+  const { data: pixels, info } = await openImage(data)
+    .resize(32, 32, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const landscape = info.width >= info.height;
+  const blurhash = encode(new Uint8ClampedArray(pixels), info.width, info.height, landscape ? 4 : 3, landscape ? 3 : 4);
+  const { dominant } = await openImage(data).stats();
+  return { blurhash, dominantColor: toHexColor(dominant) };
+}
+
+async function thumbnailsOf(data, width) {
+  const thumbnails = [];
+  for (const thumbWidth of IMAGES.thumbnailWidths) {
+    if (thumbWidth >= width) break;
+    const { data: thumb, info } = await openImage(data)
+      .resize({ width: thumbWidth })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    thumbnails.push({ width: info.width, height: info.height, data: thumb });
+  }
+  return thumbnails;
+}
+
+/**
+ * Strip metadata (after applying the EXIF orientation), measure, and build placeholder + thumbnails.
+ * Animated GIF/WebP keep all frames; their thumbnails show the first frame.
+ *
+ * @param {Buffer} input - JPEG, PNG, WebP or GIF
+ * @returns {Promise<{ ok: boolean, image?: { data: Buffer, mime: string, ext: string, width: number, height: number,
+ *   blurhash: string, dominantColor: string, thumbnails: Array<{ width: number, height: number, data: Buffer }> },
+ *   error?: string, code?: string }>}
+ */
+async function processImage(input) {
+  let meta;
+  try {
+    meta = await openImage(input).metadata();
+  } catch (_) {
+    return INVALID_IMAGE;
+  }
+  const format = FORMATS[meta.format];
+  if (!format) return INVALID_IMAGE;
+  try {
+    const animated = (meta.pages || 1) > 1;
+    const source = animated ? openImage(input, { animated: true }) : openImage(input).rotate();
+    const { data, info } = await encodeAs(source, meta.format).toBuffer({ resolveWithObject: true });
+    const width = info.width;
+    const height = animated ? meta.pageHeight || info.height : info.height;
+    const { blurhash, dominantColor } = await placeholderOf(data);
+    const thumbnails = await thumbnailsOf(data, width);
+    return { ok: true, image: { data, mime: format.mime, ext: format.ext, width, height, blurhash, dominantColor, thumbnails } };
+  } catch (err) {
+    logger.warn('Images', 'process_failed', { format: meta.format, error: err.message });
+    return INVALID_IMAGE;
+  }
+}
+
+/**
+ * Square crop (center of interest) at size × size, as webp without metadata.
+ * @param {Buffer} input
+ * @param {number} size
+ * @returns {Promise<{ ok: boolean, data?: Buffer, error?: string, code?: string }>}
+ */
+async function squareCrop(input, size) {
+  try {
+    const data = await openImage(input)
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: sharp.strategy.attention })
+      .webp({ quality: 85 })
+      .toBuffer();
+    return { ok: true, data };
+  } catch (_) {
+    return INVALID_IMAGE;
+  }
+}
+
+function randomName() {
+  // 128 random bits: /uploads is public, so names must not be guessable
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Blob key and Content-Type of a public upload filename, or null when it is not one we issue.
+ * @param {string} filename - e.g. "3f9c….jpg" or "3f9c…-w480.webp"
+ * @returns {{ key: string, contentType: string }|null}
+ */
+function resolveUpload(filename) {
+  const m = UPLOAD_FILENAME.exec(String(filename || ''));
+  const contentType = m && MIME_BY_EXT[m[3]];
+  return contentType ? { key: `uploads/${m[0]}`, contentType } : null;
+}
+
+/**
+ * Process and store a public image; returns its /uploads url with dimensions, placeholder and thumbnails.
+ * @param {Buffer} input
+ * @returns {Promise<{ ok: boolean, upload?: { url: string, width: number, height: number, blurhash: string,
+ *   dominantColor: string, thumbnails: Array<{ width: number, height: number, url: string }> }, error?: string, code?: string }>}
+ */
+async function storePublicImage(input) {
+  const processed = await processImage(input);
+  if (!processed.ok) return processed;
+  const { data, mime, ext, width, height, blurhash, dominantColor } = processed.image;
+  const name = randomName();
+  const filename = `${name}.${ext}`;
+  await blobStore.put(`uploads/${filename}`, data, { contentType: mime });
+  const thumbnails = [];
+  for (const thumb of processed.image.thumbnails) {
+    const thumbName = `${name}-w${thumb.width}.webp`;
+    await blobStore.put(`uploads/${thumbName}`, thumb.data, { contentType: 'image/webp' });
+    thumbnails.push({ width: thumb.width, height: thumb.height, url: `${UPLOAD_URL_PREFIX}${thumbName}` });
+  }
+  return { ok: true, upload: { url: `${UPLOAD_URL_PREFIX}${filename}`, width, height, blurhash, dominantColor, thumbnails } };
+}
+
+function readStream(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    stream.on('data', (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        stream.destroy();
+        reject(new Error('Image too large'));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Avatar url for PATCH /api/me. Our own /uploads images become an avatarSize square crop (stored as a new
+ * upload; already-normalized avatars are kept as-is). External http(s) urls are returned unchanged.
+ *
+ * @param {string} url
+ * @returns {Promise<{ ok: boolean, url?: string, error?: string, code?: string }>}
+ */
+async function normalizeAvatarUrl(url) {
+  if (!url.startsWith(UPLOAD_URL_PREFIX)) return { ok: true, url };
+  const upload = resolveUpload(url.slice(UPLOAD_URL_PREFIX.length));
+  const stream = upload ? await blobStore.get(upload.key) : null;
+  if (!stream) {
+    return { ok: false, error: 'avatarUrl must be an uploaded image', code: 'INVALID_AVATAR_URL' };
+  }
+  let input;
+  try {
+    input = await readStream(stream, 20 * 1024 * 1024);
+  } catch (_) {
+    return { ok: false, error: 'Avatar image is too large', code: 'INVALID_AVATAR_URL' };
+  }
+  let meta = null;
+  try {
+    meta = await openImage(input).metadata();
+  } catch (_) { /* handled below */ }
+  if (!meta) return { ok: false, error: 'Avatar is not a valid image', code: 'INVALID_AVATAR_URL' };
+  if (meta.format === 'webp' && meta.width === IMAGES.avatarSize && meta.height === IMAGES.avatarSize && !meta.exif) {
+    return { ok: true, url };
+  }
+  const cropped = await squareCrop(input, IMAGES.avatarSize);
+  if (!cropped.ok) return { ok: false, error: 'Avatar is not a valid image', code: 'INVALID_AVATAR_URL' };
+  const filename = `${randomName()}.webp`;
+  await blobStore.put(`uploads/${filename}`, cropped.data, { contentType: 'image/webp' });
+  return { ok: true, url: `${UPLOAD_URL_PREFIX}${filename}` };
+}
+
+module.exports = {
+  processImage,
+  squareCrop,
+  resolveUpload,
+  storePublicImage,
+  normalizeAvatarUrl,
+};
@@ -13,10 +13,21 @@
  */
 
 const dbAdapter = require('../config/db');
-const { MAX_CONTENT_LENGTH } = require('../config/constants');
-const { toRoomChatId, toDirectChatId } = require('../utils/chatId');
+const { MAX_CONTENT_LENGTH, FORWARD, PINS, BOOKMARKS, ARCHIVE, MUTE, SCHEDULED_MESSAGES, EPHEMERAL, MENTIONS, POLLS, RECEIPTS } = require('../config/constants');
+const { toRoomChatId, toRoomId, toDirectChatId } = require('../utils/chatId');
+const { validateChatOwnership } = require('./history.service');
 const readCursorStore = require('../chat/readCursorStore.mongo');
+const userStore = require('../storage/user.store');
+const roomManager = require('../websocket/state/roomManager');
+const blockService = require('./block.service');
+const messageRequestService = require('./messageRequest.service');
+const roomRbac = require('./group.chat/core/rooms/room.rbac');
+const { PERMISSION } = require('./group.chat/core/rooms/room.types');
 const { MessageState, isValidTransition } = require('../models/message.state');
+const { toReplySnippet, toForwardedFrom, isExpired } = require('../models/Message.model');
+const { toAttachmentContentType } = require('../models/Attachment.model');
+const { ScheduledStatus } = require('../models/ScheduledMessage.model');
+const messageValidator = require('./message.core/core/messaging/message.validator');
 const { logStateTransition, transition, TRANSITION_EVENT, logger } = require('../utils/logger');
 
 // Room delivery state: service owns all delivery state updates so handlers never mutate (Tier-0.3)
@@ -78,9 +89,14 @@ function hasValidMessageShape(message) {
  * @param {string} params.receiverId
  * @param {string} [params.clientMessageId]
  * @param {string} params.content
- * @returns {{ ok: boolean, duplicate?: boolean, message?: Object, error?: string, code?: string }}
+ * @param {string|null} [params.replyToMessageId] - Already resolved via resolveReplyTarget
+ * @param {Object|null} [params.forwardedFrom] - Already resolved via resolveForwardRequest
+ * @param {Array<Object>} [params.attachments] - File messages: already resolved via attachmentService.resolveMessageAttachments
+ *   (or copied from the forwarded source); the message gets contentType 'file' ('voice' for a voice note) and content is the caption
+ * @returns {{ ok: boolean, duplicate?: boolean, message?: Object, error?: string, code?: string }} code USER_BLOCKED when
+ *   either user blocked the other
  */
-function acceptIncomingMessage({ senderId, receiverId, clientMessageId, content }) {
+function acceptIncomingMessage({ senderId, receiverId, clientMessageId, content, replyToMessageId, forwardedFrom, attachments }) {
   if (!isNonEmptyString(senderId)) {
     return { ok: false, error: 'senderId is required', code: 'INVALID_PAYLOAD' };
   }
@@ -96,6 +112,8 @@ function acceptIncomingMessage({ senderId, receiverId, clientMessageId, content
   if (content.length > MAX_CONTENT_LENGTH) {
     return { ok: false, error: `content exceeds maximum length of ${MAX_CONTENT_LENGTH} characters`, code: 'CONTENT_TOO_LONG' };
   }
+  const blockCheck = blockService.checkDirectMessage(senderId, receiverId);
+  if (!blockCheck.ok) return blockCheck;
 
   // Deduplication: if clientMessageId was already seen, return existing message
   if (clientMessageId && isNonEmptyString(clientMessageId)) {
@@ -120,6 +138,10 @@ function acceptIncomingMessage({ senderId, receiverId, clientMessageId, content
     state: MessageState.SENDING,
     clientMessageId: clientMessageId || undefined,
     messageType: 'direct',
+    replyToMessageId: replyToMessageId || null,
+    forwardedFrom: forwardedFrom || null,
+    contentType: Array.isArray(attachments) && attachments.length > 0 ? toAttachmentContentType(attachments) : 'text',
+    attachments: Array.isArray(attachments) ? attachments : [],
   };
 
   messageStore.set(messageId, { ...message });
@@ -130,6 +152,826 @@ function acceptIncomingMessage({ senderId, receiverId, clientMessageId, content
   return { ok: true, message: { ...message } };
 }
 
+/**
+ * Resolve an optional reply reference against the chat the reply is sent to.
+ * Validation (exists, same chat, not deleted) is message.validator's validateReplyTarget.
+ * Room parents are normalized to the canonical roomMessageId so every member row points at the same parent.
+ *
+ * @param {string|null|undefined} replyToMessageId - As sent by the client (messageId or roomMessageId)
+ * @param {string} chatId - direct:u1:u2 | room:<roomId>
+ * @returns {Promise<{ ok: boolean, replyToMessageId?: string|null, replyTo?: Object|null, error?: string, code?: string }>}
+ */
+async function resolveReplyTarget(replyToMessageId, chatId) {
+  if (replyToMessageId == null || replyToMessageId === '') {
+    return { ok: true, replyToMessageId: null, replyTo: null };
+  }
+  const parent = isNonEmptyString(replyToMessageId) ? await dbAdapter.getMessage(replyToMessageId.trim()) : null;
+  const parentChatId = parent
+    ? parent.chatId || (parent.roomId ? toRoomChatId(parent.roomId) : toDirectChatId(parent.senderId, parent.recipientId))
+    : null;
+  try {
+    messageValidator.validateReplyTarget(replyToMessageId, parent && { ...parent, chatId: parentChatId }, chatId);
+  } catch (err) {
+    return { ok: false, error: err.message, code: 'INVALID_PAYLOAD' };
+  }
+  const canonicalId = parent.roomMessageId || parent.messageId;
+  return { ok: true, replyToMessageId: canonicalId, replyTo: toReplySnippet(canonicalId, parent) };
+}
+
+/**
+ * Resolve an optional thread root for a room reply.
+ * Validation (exists, same room, top-level, not deleted) is message.validator's validateThreadRoot.
+ * The root is normalized to its canonical roomMessageId and returned so callers can address thread participants.
+ *
+ * @param {string|null|undefined} threadRootId - As sent by the client (messageId or roomMessageId)
+ * @param {string} chatId - room:<roomId>
+ * @returns {Promise<{ ok: boolean, threadRootId?: string|null, root?: Object|null, error?: string, code?: string }>}
+ */
+async function resolveThreadRoot(threadRootId, chatId) {
+  if (threadRootId == null || threadRootId === '') {
+    return { ok: true, threadRootId: null, root: null };
+  }
+  const root = isNonEmptyString(threadRootId) ? await dbAdapter.getMessage(threadRootId.trim()) : null;
+  const rootChatId = root ? root.chatId || (root.roomId ? toRoomChatId(root.roomId) : null) : null;
+  try {
+    messageValidator.validateThreadRoot(threadRootId, root && { ...root, chatId: rootChatId }, chatId);
+  } catch (err) {
+    return { ok: false, error: err.message, code: 'INVALID_PAYLOAD' };
+  }
+  return { ok: true, threadRootId: root.roomMessageId || root.messageId, root };
+}
+
+/**
+ * Resolve a MESSAGE_FORWARD request. Every source must be a live message in a chat the user belongs to,
+ * every target a DM or room the user belongs to (validateChatOwnership on both sides).
+ * Sources are deduped by canonical id (room per-recipient rows collapse to the roomMessageId) and returned
+ * oldest first so forwarded copies keep their original order.
+ *
+ * @param {string} userId - Forwarding user
+ * @param {string[]} messageIds - Source messageIds or roomMessageIds
+ * @param {string[]} targetChatIds - direct:u1:u2 | room:<roomId>
+ * File and voice messages keep their attachments (the copies reference the same files).
+ *
+ * @returns {Promise<{ ok: boolean, sources?: Array<{ messageId: string, content: string, attachments: Array<Object>, forwardedFrom: Object }>, targetChatIds?: string[], error?: string, code?: string }>}
+ */
+async function resolveForwardRequest(userId, messageIds, targetChatIds) {
+  if (!Array.isArray(messageIds) || messageIds.length === 0 || !Array.isArray(targetChatIds) || targetChatIds.length === 0) {
+    return { ok: false, error: 'messageIds and targetChatIds are required', code: 'INVALID_PAYLOAD' };
+  }
+  if (messageIds.length > FORWARD.maxMessages || targetChatIds.length > FORWARD.maxTargets) {
+    return { ok: false, error: `Forward at most ${FORWARD.maxMessages} messages to ${FORWARD.maxTargets} chats`, code: 'INVALID_PAYLOAD' };
+  }
+
+  const targets = [];
+  for (const raw of targetChatIds) {
+    const chatId = isNonEmptyString(raw) ? raw.trim() : '';
+    const isDirect = chatId.startsWith('direct:');
+    if (!isDirect && !chatId.startsWith('room:')) {
+      return { ok: false, error: 'targetChatIds must be direct:<u1>:<u2> or room:<roomId>', code: 'INVALID_PAYLOAD' };
+    }
+    if (!validateChatOwnership(chatId, userId)) {
+      return { ok: false, error: `Not a member of ${chatId}`, code: 'FORBIDDEN' };
+    }
+    if (isDirect && chatId.split(':').slice(1).every((id) => id === userId)) {
+      return { ok: false, error: 'Cannot forward to a chat with yourself', code: 'INVALID_PAYLOAD' };
+    }
+    if (!targets.includes(chatId)) targets.push(chatId);
+  }
+
+  const byCanonicalId = new Map();
+  for (const messageId of messageIds) {
+    const source = isNonEmptyString(messageId) ? await dbAdapter.getMessage(messageId.trim()) : null;
+    try {
+      messageValidator.validateForwardSource(messageId, source);
+    } catch (err) {
+      return { ok: false, error: err.message, code: 'INVALID_PAYLOAD' };
+    }
+    const sourceChatId = source.chatId || (source.roomId ? toRoomChatId(source.roomId) : toDirectChatId(source.senderId, source.recipientId));
+    if (!validateChatOwnership(sourceChatId, userId)) {
+      return { ok: false, error: 'Not allowed to forward this message', code: 'FORBIDDEN' };
+    }
+    const canonicalId = source.roomMessageId || source.messageId;
+    if (byCanonicalId.has(canonicalId)) continue;
+    byCanonicalId.set(canonicalId, {
+      messageId: canonicalId,
+      content: source.content,
+      attachments: (source.contentType === 'file' || source.contentType === 'voice') && Array.isArray(source.attachments) ? source.attachments : [],
+      timestamp: source.timestamp,
+      forwardedFrom: toForwardedFrom(source.forwardedFrom) || { senderId: String(source.senderId), timestamp: source.timestamp ?? null },
+    });
+  }
+  const sources = Array.from(byCanonicalId.values()).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  return { ok: true, sources, targetChatIds: targets };
+}
+
+/**
+ * Pin or unpin a message in its chat. DMs: either participant. Rooms: roles with PIN_MESSAGE (room.rbac).
+ * Pins are keyed by chatId and the canonical id (roomMessageId in rooms); thread-only replies are not pinnable.
+ * Idempotent: pinning a pinned message / unpinning an unpinned one succeeds with changed: false.
+ *
+ * @param {string} userId - Acting user
+ * @param {string} messageId - messageId (DM) or roomMessageId / per-recipient row id (room)
+ * @param {boolean} pinned - true to pin, false to unpin
+ * @returns {Promise<{ ok: boolean, chatId?: string, roomId?: string|null, messageId?: string, changed?: boolean, error?: string, code?: string }>}
+ */
+async function setMessagePin(userId, messageId, pinned) {
+  if (!isNonEmptyString(messageId)) {
+    return { ok: false, error: 'messageId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const message = await dbAdapter.getMessage(messageId.trim());
+  if (!message) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  const chatId = message.chatId || (message.roomId ? toRoomChatId(message.roomId) : toDirectChatId(message.senderId, message.recipientId));
+  if (!validateChatOwnership(chatId, userId)) {
+    return { ok: false, error: 'Not a member of this chat', code: 'FORBIDDEN' };
+  }
+  if (message.roomId && !roomRbac.roleHasPermission(roomManager.getRole(message.roomId, userId), PERMISSION.PIN_MESSAGE)) {
+    return { ok: false, error: 'Only room admins and moderators can pin messages', code: 'FORBIDDEN' };
+  }
+
+  const canonicalId = message.roomMessageId || message.messageId;
+  let changed;
+  if (pinned) {
+    if (message.deleted === true) {
+      return { ok: false, error: 'Cannot pin a deleted message', code: 'MESSAGE_DELETED' };
+    }
+    if (message.threadRootId && message.alsoSendToRoom !== true) {
+      return { ok: false, error: 'Thread replies cannot be pinned', code: 'INVALID_PAYLOAD' };
+    }
+    const existing = await dbAdapter.getPins(chatId);
+    if (!existing.some((p) => p.messageId === canonicalId) && existing.length >= PINS.maxPerChat) {
+      return { ok: false, error: `At most ${PINS.maxPerChat} pinned messages per chat`, code: 'PIN_LIMIT' };
+    }
+    changed = await dbAdapter.addPin(chatId, canonicalId, userId);
+  } else {
+    changed = await dbAdapter.removePin(chatId, canonicalId);
+  }
+  return { ok: true, chatId, roomId: message.roomId || null, messageId: canonicalId, changed };
+}
+
+// -----------------------------------------------------------------------------
+// Bookmarks ("Saved messages")
+// -----------------------------------------------------------------------------
+
+/**
+ * Star or unstar a message for the acting user. Any message the user can see (validateChatOwnership on its chat)
+ * can be starred; bookmarks are keyed by the canonical id (roomMessageId in rooms). Idempotent like pins.
+ *
+ * @param {string} userId - Acting user
+ * @param {string} messageId - messageId (DM) or roomMessageId / per-recipient row id (room)
+ * @param {boolean} bookmarked - true to star, false to unstar
+ * @returns {Promise<{ ok: boolean, chatId?: string, messageId?: string, changed?: boolean, error?: string, code?: string }>}
+ */
+async function setMessageBookmark(userId, messageId, bookmarked) {
+  if (!isNonEmptyString(messageId)) {
+    return { ok: false, error: 'messageId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const message = await dbAdapter.getMessage(messageId.trim());
+  if (!message || isExpired(message)) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  const chatId = message.chatId || (message.roomId ? toRoomChatId(message.roomId) : toDirectChatId(message.senderId, message.recipientId));
+  if (!validateChatOwnership(chatId, userId)) {
+    return { ok: false, error: 'Not a member of this chat', code: 'FORBIDDEN' };
+  }
+
+  const canonicalId = message.roomMessageId || message.messageId;
+  if (!bookmarked) {
+    const changed = await dbAdapter.removeBookmark(userId, canonicalId);
+    return { ok: true, chatId, messageId: canonicalId, changed };
+  }
+  if (message.deleted === true) {
+    return { ok: false, error: 'Cannot save a deleted message', code: 'MESSAGE_DELETED' };
+  }
+  if ((await dbAdapter.countBookmarks(userId)) >= BOOKMARKS.maxPerUser) {
+    const existing = await dbAdapter.getBookmarks(userId);
+    if (!existing.some((b) => b.messageId === canonicalId)) {
+      return { ok: false, error: `At most ${BOOKMARKS.maxPerUser} saved messages`, code: 'BOOKMARK_LIMIT' };
+    }
+  }
+  const changed = await dbAdapter.addBookmark(userId, chatId, canonicalId);
+  return { ok: true, chatId, messageId: canonicalId, changed };
+}
+
+/**
+ * Drop every user's bookmarks of messages that were deleted (or are gone / expired). Failures are only logged:
+ * stale bookmarks are also skipped and pruned when the list is read.
+ * @param {string[]} messageIds - Canonical ids (messageId / roomMessageId)
+ * @returns {Promise<number>} Number of bookmarks removed
+ */
+async function removeMessageBookmarks(messageIds) {
+  try {
+    return await dbAdapter.removeBookmarksForMessages(messageIds);
+  } catch (err) {
+    logger.warn('MessageService', 'bookmark_cleanup_failed', { count: Array.isArray(messageIds) ? messageIds.length : 0, error: err.message });
+    return 0;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Archived chats
+// -----------------------------------------------------------------------------
+
+/**
+ * Archive or unarchive chats for the acting user (per user: nobody else's list changes). Archiving needs access to
+ * every chat (validateChatOwnership); unarchiving accepts any chat so a left room can still be cleaned up.
+ * An archived chat is unarchived by the next message it receives unless keepArchived is set.
+ *
+ * @param {string} userId - Acting user
+ * @param {string[]} chatIds - direct:u1:u2 | room:roomId, at most ARCHIVE.maxBulk
+ * @param {boolean} archived - true to archive, false to unarchive
+ * @param {{ keepArchived?: boolean }} [options] - Archiving only
+ * @returns {Promise<{ ok: boolean, chatIds?: string[], archived?: boolean, keepArchived?: boolean, changed?: number, error?: string, code?: string }>}
+ */
+async function setChatsArchived(userId, chatIds, archived, { keepArchived = false } = {}) {
+  if (!Array.isArray(chatIds) || chatIds.length === 0 || !chatIds.every(isNonEmptyString)) {
+    return { ok: false, error: 'chatIds must be a non-empty array of chat ids', code: 'INVALID_PAYLOAD' };
+  }
+  const ids = [...new Set(chatIds.map((id) => id.trim()))];
+  if (ids.length > ARCHIVE.maxBulk) {
+    return { ok: false, error: `At most ${ARCHIVE.maxBulk} chats at once`, code: 'INVALID_PAYLOAD' };
+  }
+  if (!archived) {
+    const changed = await dbAdapter.unarchiveChats(userId, ids);
+    return { ok: true, chatIds: ids, archived: false, changed };
+  }
+  const denied = ids.find((chatId) => !validateChatOwnership(chatId, userId));
+  if (denied) {
+    return { ok: false, error: `Not a member of chat ${denied}`, code: 'FORBIDDEN' };
+  }
+  const changed = await dbAdapter.archiveChats(userId, ids, keepArchived === true);
+  return { ok: true, chatIds: ids, archived: true, keepArchived: keepArchived === true, changed };
+}
+
+/**
+ * Archived chats of a user, most recently archived first.
+ * @param {string} userId
+ * @returns {Promise<Array<{ chatId: string, archivedAt: number, keepArchived: boolean }>>}
+ */
+async function getArchivedChats(userId) {
+  return dbAdapter.getArchivedChats(userId);
+}
+
+/**
+ * A message arrived in a chat: unarchive it for its recipients that did not choose "keep archived".
+ * Failures are only logged: the chat then simply stays archived.
+ * @param {string} chatId
+ * @param {string[]} recipientIds - Users that received the message (never the sender)
+ * @returns {Promise<string[]>} Users whose chat was unarchived
+ */
+async function releaseArchivedChat(chatId, recipientIds) {
+  try {
+    return await dbAdapter.releaseArchivedChat(chatId, recipientIds);
+  } catch (err) {
+    logger.warn('MessageService', 'archive_release_failed', { chatId, error: err.message });
+    return [];
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Muted chats
+// -----------------------------------------------------------------------------
+
+/**
+ * Mute or unmute a chat for the acting user only. Muting needs access to the chat; unmuting is always allowed
+ * so a left room can still be unmuted. Notification suppression happens on the clients, which get every mute.
+ *
+ * @param {string} userId - Acting user
+ * @param {string} chatId - direct:u1:u2 | room:roomId
+ * @param {string} mode - 1h | 8h | 1w | forever (MUTE.durationMsByMode) or off to unmute
+ * @returns {Promise<{ ok: boolean, mute?: { chatId: string, muted: boolean, mutedUntil: number|null }, changed?: boolean, error?: string, code?: string }>}
+ */
+async function setChatMute(userId, chatId, mode) {
+  const target = isNonEmptyString(chatId) ? chatId.trim() : '';
+  if (!target.startsWith('direct:') && !target.startsWith('room:')) {
+    return { ok: false, error: 'chatId must be direct:<u1>:<u2> or room:<roomId>', code: 'INVALID_PAYLOAD' };
+  }
+  if (mode === 'off') {
+    const changed = await dbAdapter.removeChatMute(userId, target);
+    return { ok: true, mute: { chatId: target, muted: false, mutedUntil: null }, changed };
+  }
+  if (!isNonEmptyString(mode) || !Object.prototype.hasOwnProperty.call(MUTE.durationMsByMode, mode)) {
+    return { ok: false, error: `mode must be one of off, ${Object.keys(MUTE.durationMsByMode).join(', ')}`, code: 'INVALID_PAYLOAD' };
+  }
+  if (!validateChatOwnership(target, userId)) {
+    return { ok: false, error: 'Not a member of this chat', code: 'FORBIDDEN' };
+  }
+  const durationMs = MUTE.durationMsByMode[mode];
+  const doc = await dbAdapter.setChatMute(userId, target, durationMs == null ? null : Date.now() + durationMs);
+  return { ok: true, mute: { chatId: target, muted: true, mutedUntil: doc.mutedUntil }, changed: true };
+}
+
+/**
+ * Chats a user has muted right now (expired mutes are left out).
+ * @param {string} userId
+ * @returns {Promise<Array<{ chatId: string, mutedAt: number, mutedUntil: number|null }>>}
+ */
+async function getChatMutes(userId) {
+  return dbAdapter.getChatMutes(userId, Date.now());
+}
+
+// -----------------------------------------------------------------------------
+// Scheduled ("send later") messages
+// -----------------------------------------------------------------------------
+
+/**
+ * Validate content and sendAt (epoch ms or ISO string) of a scheduled message.
+ * @returns {{ ok: boolean, content?: string, sendAt?: number, error?: string, code?: string }}
+ */
+function validateScheduleFields(content, sendAt, now) {
+  const out = { ok: true };
+  if (content !== undefined) {
+    if (!isNonEmptyString(content)) {
+      return { ok: false, error: 'content is required and must be non-empty string', code: 'INVALID_PAYLOAD' };
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      return { ok: false, error: `content exceeds maximum length of ${MAX_CONTENT_LENGTH} characters`, code: 'CONTENT_TOO_LONG' };
+    }
+    out.content = content;
+  }
+  if (sendAt !== undefined) {
+    const ts = typeof sendAt === 'number' ? sendAt : Date.parse(sendAt);
+    if (!Number.isFinite(ts) || ts <= now) {
+      return { ok: false, error: 'sendAt must be a time in the future', code: 'INVALID_PAYLOAD' };
+    }
+    if (ts > now + SCHEDULED_MESSAGES.maxDelayMs) {
+      return { ok: false, error: 'sendAt is too far in the future', code: 'INVALID_PAYLOAD' };
+    }
+    out.sendAt = Math.floor(ts);
+  }
+  return out;
+}
+
+/**
+ * Schedule a message for later delivery into a DM or room the user belongs to.
+ * The id of the message it becomes is reserved now, so a retried send (lease expired mid-send) persists the same message.
+ *
+ * @param {string} userId - Sender
+ * @param {{ chatId: string, content: string, sendAt: number|string }} params
+ * @returns {Promise<{ ok: boolean, scheduled?: Object, error?: string, code?: string }>}
+ */
+async function scheduleMessage(userId, { chatId, content, sendAt } = {}) {
+  const target = isNonEmptyString(chatId) ? chatId.trim() : '';
+  const isDirect = target.startsWith('direct:');
+  if (!isDirect && !target.startsWith('room:')) {
+    return { ok: false, error: 'chatId must be direct:<u1>:<u2> or room:<roomId>', code: 'INVALID_PAYLOAD' };
+  }
+  if (!validateChatOwnership(target, userId)) {
+    return { ok: false, error: 'Not a member of this chat', code: 'FORBIDDEN' };
+  }
+  if (isDirect && target.split(':').slice(1).every((id) => id === userId)) {
+    return { ok: false, error: 'Cannot schedule a message to yourself', code: 'INVALID_PAYLOAD' };
+  }
+  if (isDirect) {
+    const blockCheck = blockService.checkDirectMessage(userId, target.split(':').slice(1).find((id) => id !== userId));
+    if (!blockCheck.ok) return blockCheck;
+  }
+  const fields = validateScheduleFields(content ?? '', sendAt ?? null, Date.now());
+  if (!fields.ok) return fields;
+  if (await dbAdapter.countPendingScheduledMessages(userId) >= SCHEDULED_MESSAGES.maxPendingPerUser) {
+    return { ok: false, error: `At most ${SCHEDULED_MESSAGES.maxPendingPerUser} scheduled messages`, code: 'SCHEDULE_LIMIT' };
+  }
+  const scheduled = await dbAdapter.createScheduledMessage({
+    scheduledId: generateMessageId().replace(/^msg_/, 'sch_'),
+    senderId: userId,
+    chatId: target,
+    content: fields.content,
+    sendAt: fields.sendAt,
+    messageId: isDirect ? generateMessageId() : generateMessageId().replace(/^msg_/, 'rm_'),
+  });
+  return { ok: true, scheduled };
+}
+
+/**
+ * Scheduled messages of a user (pending, sending, failed), soonest first.
+ * @param {string} userId
+ * @param {string|null} [chatId] - Restrict to one chat
+ * @returns {Promise<Object[]>}
+ */
+async function listScheduledMessages(userId, chatId = null) {
+  return dbAdapter.listScheduledMessages(userId, isNonEmptyString(chatId) ? chatId.trim() : null);
+}
+
+/**
+ * Edit content and/or sendAt of the user's own PENDING scheduled message.
+ * @returns {Promise<{ ok: boolean, scheduled?: Object, error?: string, code?: string }>}
+ */
+async function updateScheduledMessage(userId, scheduledId, { content, sendAt } = {}) {
+  if (!isNonEmptyString(scheduledId) || (content === undefined && sendAt === undefined)) {
+    return { ok: false, error: 'scheduledId and content or sendAt are required', code: 'INVALID_PAYLOAD' };
+  }
+  const fields = validateScheduleFields(content, sendAt, Date.now());
+  if (!fields.ok) return fields;
+  const scheduled = await dbAdapter.updateScheduledMessage(scheduledId, userId, { content: fields.content, sendAt: fields.sendAt });
+  if (!scheduled) return scheduledNotChangeable(userId, scheduledId);
+  return { ok: true, scheduled };
+}
+
+/**
+ * Cancel the user's own PENDING (or FAILED) scheduled message.
+ * @returns {Promise<{ ok: boolean, scheduled?: Object, error?: string, code?: string }>}
+ */
+async function cancelScheduledMessage(userId, scheduledId) {
+  if (!isNonEmptyString(scheduledId)) {
+    return { ok: false, error: 'scheduledId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const scheduled = await dbAdapter.cancelScheduledMessage(scheduledId, userId);
+  if (!scheduled) return scheduledNotChangeable(userId, scheduledId);
+  return { ok: true, scheduled };
+}
+
+/** Failure for edit/cancel: NOT_FOUND for missing or foreign items, SCHEDULE_LOCKED once sending has started. */
+async function scheduledNotChangeable(userId, scheduledId) {
+  const existing = await dbAdapter.getScheduledMessage(scheduledId);
+  if (!existing || existing.senderId !== userId || existing.status === ScheduledStatus.CANCELLED) {
+    return { ok: false, error: 'Scheduled message not found', code: 'NOT_FOUND' };
+  }
+  return { ok: false, error: `Scheduled message is already ${existing.status}`, code: 'SCHEDULE_LOCKED' };
+}
+
+/**
+ * Claim the next due scheduled message for this instance (exclusive for SCHEDULED_MESSAGES.leaseMs).
+ * @param {string} ownerId - Instance id
+ * @returns {Promise<Object|null>}
+ */
+async function claimDueScheduledMessage(ownerId) {
+  return dbAdapter.claimDueScheduledMessage(Date.now(), ownerId, SCHEDULED_MESSAGES.leaseMs);
+}
+
+/**
+ * Mark a claimed scheduled message SENT or FAILED. Returns null when this instance no longer holds the claim.
+ * @param {{ status: string, error?: string }} outcome
+ */
+async function completeScheduledMessage(scheduledId, ownerId, outcome) {
+  return dbAdapter.completeScheduledMessage(scheduledId, ownerId, outcome);
+}
+
+// -----------------------------------------------------------------------------
+// Disappearing messages (per-chat ephemeral mode)
+// -----------------------------------------------------------------------------
+
+/**
+ * Client-facing chat settings; chats without a stored document are 'off'.
+ * @returns {{ chatId: string, ephemeral: string, ephemeralTtlMs: number, updatedBy: string|null, updatedAt: number|null }}
+ */
+function toChatSettings(chatId, doc) {
+  const mode = doc && EPHEMERAL.ttlByMode[doc.ephemeral] != null ? doc.ephemeral : 'off';
+  return {
+    chatId,
+    ephemeral: mode,
+    ephemeralTtlMs: EPHEMERAL.ttlByMode[mode],
+    updatedBy: doc?.updatedBy ?? null,
+    updatedAt: doc?.updatedAt ?? null,
+  };
+}
+
+/**
+ * Settings of a chat the user belongs to.
+ * @returns {Promise<{ ok: boolean, settings?: Object, error?: string, code?: string }>}
+ */
+async function getChatSettings(userId, chatId) {
+  const target = isNonEmptyString(chatId) ? chatId.trim() : '';
+  if (!target.startsWith('direct:') && !target.startsWith('room:')) {
+    return { ok: false, error: 'chatId must be direct:<u1>:<u2> or room:<roomId>', code: 'INVALID_PAYLOAD' };
+  }
+  if (!validateChatOwnership(target, userId)) {
+    return { ok: false, error: 'Not a member of this chat', code: 'FORBIDDEN' };
+  }
+  return { ok: true, settings: toChatSettings(target, await dbAdapter.getChatSettings(target)) };
+}
+
+/**
+ * Set a chat's disappearing messages mode (off, 1h, 24h, 7d). DMs: either participant; rooms: MODIFY_ROOM (admins).
+ * Only messages sent afterwards get an expiresAt; existing messages keep theirs.
+ * @returns {Promise<{ ok: boolean, settings?: Object, roomId?: string|null, changed?: boolean, error?: string, code?: string }>}
+ */
+async function setChatEphemeral(userId, chatId, mode) {
+  if (!isNonEmptyString(mode) || EPHEMERAL.ttlByMode[mode] == null) {
+    return { ok: false, error: `mode must be one of ${Object.keys(EPHEMERAL.ttlByMode).join(', ')}`, code: 'INVALID_PAYLOAD' };
+  }
+  const current = await getChatSettings(userId, chatId);
+  if (!current.ok) return current;
+  const target = current.settings.chatId;
+  const roomId = target.startsWith('room:') ? target.slice('room:'.length) : null;
+  if (roomId && !roomRbac.roleHasPermission(roomManager.getRole(roomId, userId), PERMISSION.MODIFY_ROOM)) {
+    return { ok: false, error: 'Only room admins can change disappearing messages', code: 'FORBIDDEN' };
+  }
+  if (current.settings.ephemeral === mode) {
+    return { ok: true, settings: current.settings, roomId, changed: false };
+  }
+  const doc = await dbAdapter.setChatEphemeral(target, mode, userId);
+  return { ok: true, settings: toChatSettings(target, doc), roomId, changed: true };
+}
+
+/**
+ * expiresAt for a message sent into chatId at timestamp, or null when the chat's ephemeral mode is off.
+ * @param {string} chatId
+ * @param {number} timestamp
+ * @returns {Promise<number|null>}
+ */
+async function resolveMessageExpiry(chatId, timestamp) {
+  const doc = await dbAdapter.getChatSettings(chatId);
+  const ttlMs = toChatSettings(chatId, doc).ephemeralTtlMs;
+  return ttlMs > 0 ? timestamp + ttlMs : null;
+}
+
+/**
+ * Hard-delete one batch of expired messages (rows, delivery records, pins, attachment links) and drop them from the
+ * in-memory cache.
+ * @returns {Promise<Array<{ messageId, chatId, roomId, roomMessageId, senderId, recipientId, attachmentIds }>>} Deleted rows
+ */
+async function deleteExpiredMessages(now = Date.now()) {
+  const deleted = await dbAdapter.deleteExpiredMessages(now, EPHEMERAL.batchSize);
+  for (const row of deleted) messageStore.delete(row.messageId);
+  return deleted;
+}
+
+// -----------------------------------------------------------------------------
+// @mentions (rooms)
+// -----------------------------------------------------------------------------
+
+/** @username token: start of text or after a non-word character; trailing dots/dashes are punctuation. */
+const MENTION_TOKEN_RE = /(^|[^\w@])@([\w.-]+)/g;
+
+/**
+ * Distinct lowercased @username tokens of a message, at most MENTIONS.maxPerMessage.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function extractMentionTokens(content) {
+  const tokens = [];
+  if (!isNonEmptyString(content)) return tokens;
+  for (const match of content.matchAll(MENTION_TOKEN_RE)) {
+    const token = match[2].replace(/[.-]+$/, '').toLowerCase();
+    if (token && !tokens.includes(token)) tokens.push(token);
+    if (tokens.length >= MENTIONS.maxPerMessage) break;
+  }
+  return tokens;
+}
+
+/**
+ * User ids @mentioned in a room message: tokens that name a current room member (roomManager.getRoomMembers).
+ * The sender and unknown usernames are ignored; lookups that fail count as no match.
+ * @param {string} roomId
+ * @param {string} senderId
+ * @param {string} content
+ * @returns {Promise<string[]>}
+ */
+async function resolveMentions(roomId, senderId, content) {
+  const tokens = extractMentionTokens(content);
+  if (tokens.length === 0) return [];
+  const members = new Set(roomManager.getRoomMembers(roomId) || []);
+  const mentioned = [];
+  for (const token of tokens) {
+    const user = await userStore.findByUsername(token).catch(() => null);
+    if (!user || !members.has(user.id) || user.id === senderId || mentioned.includes(user.id)) continue;
+    mentioned.push(user.id);
+  }
+  return mentioned;
+}
+
+/**
+ * Count an unread mention for each mentioned user (kept next to their room read cursor; reading the room resets it).
+ * @param {string} roomId
+ * @param {string[]} userIds
+ */
+async function recordMentions(roomId, userIds) {
+  if (!Array.isArray(userIds) || userIds.length === 0) return;
+  await readCursorStore.incrementMentionCount(userIds, toRoomChatId(roomId));
+}
+
+/**
+ * Unread mention counts of a user for rooms they are still a member of.
+ * @param {string} userId
+ * @returns {Promise<Object<string, number>>} room chatId -> count
+ */
+async function getMentionCounts(userId) {
+  const counts = await readCursorStore.getMentionCounts(userId);
+  const result = {};
+  for (const [chatId, count] of Object.entries(counts)) {
+    if (chatId.startsWith('room:') && validateChatOwnership(chatId, userId)) result[chatId] = count;
+  }
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Polls (rooms)
+// -----------------------------------------------------------------------------
+
+/**
+ * Validate a poll sent with a room message (contentType 'poll'; the message content is the question).
+ * Option ids are assigned here (o1, o2, ...) so votes never depend on option text.
+ * @param {{ options: string[], multiple?: boolean, anonymous?: boolean, closesAt?: number|null }} poll
+ * @param {number} [now]
+ * @returns {{ ok: boolean, poll?: Object, error?: string, code?: string }} poll as stored (with empty votes)
+ */
+function normalizePollDefinition(poll, now = Date.now()) {
+  if (!poll || typeof poll !== 'object' || !Array.isArray(poll.options)) {
+    return { ok: false, error: 'poll.options is required', code: 'INVALID_PAYLOAD' };
+  }
+  const texts = poll.options.map((o) => (typeof o === 'string' ? o.trim() : ''));
+  if (texts.length < POLLS.minOptions || texts.length > POLLS.maxOptions) {
+    return { ok: false, error: `A poll needs ${POLLS.minOptions} to ${POLLS.maxOptions} options`, code: 'INVALID_PAYLOAD' };
+  }
+  if (texts.some((t) => !t || t.length > POLLS.maxOptionLength)) {
+    return { ok: false, error: `Poll options must be 1 to ${POLLS.maxOptionLength} characters`, code: 'INVALID_PAYLOAD' };
+  }
+  if (new Set(texts.map((t) => t.toLowerCase())).size !== texts.length) {
+    return { ok: false, error: 'Poll options must be distinct', code: 'INVALID_PAYLOAD' };
+  }
+  let closesAt = null;
+  if (poll.closesAt != null) {
+    closesAt = Number(poll.closesAt);
+    if (!Number.isFinite(closesAt) || closesAt <= now || closesAt > now + POLLS.maxDurationMs) {
+      return { ok: false, error: 'poll.closesAt must be in the future and within the maximum poll duration', code: 'INVALID_PAYLOAD' };
+    }
+  }
+  return {
+    ok: true,
+    poll: {
+      options: texts.map((text, i) => ({ id: `o${i + 1}`, text })),
+      multiple: poll.multiple === true,
+      anonymous: poll.anonymous === true,
+      closesAt,
+      votes: {},
+    },
+  };
+}
+
+/**
+ * Set a user's vote on a room poll, replacing any previous vote; an empty optionIds retracts it.
+ * Only current room members (roomManager.isRoomMember) may vote, and only until closesAt.
+ * @param {string} userId
+ * @param {string} messageId - roomMessageId of the poll (a per-recipient row id also resolves)
+ * @param {string[]} optionIds
+ * @returns {Promise<{ ok: boolean, roomId?: string, messageId?: string, poll?: Object, optionIds?: string[], error?: string, code?: string }>}
+ */
+async function castPollVote(userId, messageId, optionIds) {
+  if (!isNonEmptyString(messageId) || !Array.isArray(optionIds) || !optionIds.every(isNonEmptyString)) {
+    return { ok: false, error: 'messageId and optionIds are required', code: 'INVALID_PAYLOAD' };
+  }
+  const message = await dbAdapter.getMessage(messageId.trim());
+  if (!message) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  if (!message.roomId || !message.poll || message.contentType !== 'poll') {
+    return { ok: false, error: 'Message is not a poll', code: 'NOT_A_POLL' };
+  }
+  if (!roomManager.isRoomMember(message.roomId, userId)) {
+    return { ok: false, error: 'Not a member of this room', code: 'FORBIDDEN' };
+  }
+  if (message.deleted === true) {
+    return { ok: false, error: 'Poll was deleted', code: 'MESSAGE_DELETED' };
+  }
+  if (message.poll.closesAt != null && message.poll.closesAt <= Date.now()) {
+    return { ok: false, error: 'Poll is closed', code: 'POLL_CLOSED' };
+  }
+  const selected = [...new Set(optionIds)];
+  const known = new Set(message.poll.options.map((o) => o.id));
+  if (selected.some((id) => !known.has(id))) {
+    return { ok: false, error: 'Unknown poll option', code: 'INVALID_OPTION' };
+  }
+  if (message.poll.multiple !== true && selected.length > 1) {
+    return { ok: false, error: 'This poll allows a single choice', code: 'INVALID_OPTION' };
+  }
+  const canonicalId = message.roomMessageId || message.messageId;
+  const updated = await dbAdapter.setPollVote(canonicalId, userId, selected);
+  if (!updated) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  return { ok: true, roomId: message.roomId, messageId: canonicalId, poll: updated.poll, optionIds: selected };
+}
+
+// -----------------------------------------------------------------------------
+// Voice messages
+// -----------------------------------------------------------------------------
+
+/**
+ * Record that a user played a voice message ("listened"), separate from read state. DMs: the recipient;
+ * rooms: any current member except the sender. Only the first listen is kept (changed: false afterwards).
+ * @param {string} userId
+ * @param {string} messageId - DM messageId, or roomMessageId / per-recipient row id in rooms
+ * @returns {Promise<{ ok: boolean, changed?: boolean, messageId?: string, roomId?: string|null, senderId?: string, notifySender?: boolean, listenedAt?: number, error?: string, code?: string }>}
+ *   notifySender false for unaccepted message requests
+ */
+async function markVoiceListened(userId, messageId) {
+  if (!isNonEmptyString(messageId)) {
+    return { ok: false, error: 'messageId is required', code: 'INVALID_PAYLOAD' };
+  }
+  const message = await dbAdapter.getMessage(messageId.trim());
+  if (!message || isExpired(message)) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  if (message.contentType !== 'voice') {
+    return { ok: false, error: 'Message is not a voice message', code: 'NOT_A_VOICE_MESSAGE' };
+  }
+  if (message.deleted === true) {
+    return { ok: false, error: 'Message was deleted', code: 'MESSAGE_DELETED' };
+  }
+  const allowed = message.roomId
+    ? roomManager.isRoomMember(message.roomId, userId) && message.senderId !== userId
+    : message.recipientId === userId;
+  if (!allowed) {
+    return { ok: false, error: 'Not allowed to acknowledge this voice message', code: 'FORBIDDEN' };
+  }
+  const canonicalId = message.roomMessageId || message.messageId;
+  const previous = message.listenedBy && message.listenedBy[userId];
+  const updated = previous != null ? message : await dbAdapter.recordVoiceListen(canonicalId, userId, Date.now());
+  if (!updated) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  return {
+    ok: true,
+    changed: previous == null,
+    messageId: canonicalId,
+    roomId: message.roomId || null,
+    senderId: message.senderId,
+    notifySender: !withholdsReceipts(message),
+    listenedAt: updated.listenedBy[userId],
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Room read receipts
+// -----------------------------------------------------------------------------
+
+/**
+ * Stamp deliveredAt on the rows of members whose socket received a room message (live fan-out or replay).
+ * @param {string} roomMessageId
+ * @param {string[]} userIds
+ * @returns {Promise<number>} Rows stamped
+ */
+async function recordRoomDelivered(roomMessageId, userIds) {
+  if (!isNonEmptyString(roomMessageId) || !Array.isArray(userIds) || userIds.length === 0) return 0;
+  return dbAdapter.recordRoomDelivery(roomMessageId, userIds, Date.now());
+}
+
+/**
+ * A member has seen a room up to messageId: their unread rows up to that message get readAt (at most
+ * RECEIPTS.readBatchSize, newest first). `changed` lists the messages whose receipts moved, for the senders' push.
+ * @param {string} userId - Reader
+ * @param {string} roomId
+ * @param {string} messageId - roomMessageId or per-recipient row id of the newest message seen
+ * @returns {Promise<{ ok: boolean, roomId?: string, messageId?: string, readAt?: number, changed?: Array<{ roomMessageId: string, senderId: string }>, error?: string, code?: string }>}
+ */
+async function markRoomRead(userId, roomId, messageId) {
+  if (!isNonEmptyString(roomId) || !isNonEmptyString(messageId)) {
+    return { ok: false, error: 'roomId and messageId are required', code: 'INVALID_PAYLOAD' };
+  }
+  if (!roomManager.isRoomMember(roomId, userId)) {
+    return { ok: false, error: 'Not a member of this room', code: 'FORBIDDEN' };
+  }
+  const message = await dbAdapter.getMessage(messageId.trim());
+  if (!message || message.roomId !== roomId || isExpired(message)) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  const readAt = Date.now();
+  const upTo = message.timestamp ?? message.createdAt ?? readAt;
+  const changed = await dbAdapter.markRoomMessagesRead(roomId, userId, upTo, readAt, RECEIPTS.readBatchSize);
+  return { ok: true, roomId, messageId: message.roomMessageId || message.messageId, readAt, changed };
+}
+
+/**
+ * Receipts summary of a room message (counts plus the newest `limit` readers and delivered-only members).
+ * @param {string} roomMessageId
+ * @param {string} senderId
+ * @param {number} [limit]
+ */
+async function getRoomReceiptsSummary(roomMessageId, senderId, limit = RECEIPTS.maxListed) {
+  return dbAdapter.getRoomReceipts(roomMessageId, senderId, limit);
+}
+
+/**
+ * "Seen by" detail of a room message for its sender (other members get FORBIDDEN; receipts are the
+ * sender's, like DM ticks).
+ * @param {string} userId - Requesting user
+ * @param {string} chatId - room:<roomId>
+ * @param {string} messageId - roomMessageId or per-recipient row id
+ * @returns {Promise<{ ok: boolean, receipts?: Object, error?: string, code?: string }>}
+ */
+async function getRoomMessageReceipts(userId, chatId, messageId) {
+  if (!isNonEmptyString(chatId) || !chatId.startsWith('room:')) {
+    return { ok: false, error: 'Receipts are only available for room messages', code: 'INVALID_CHAT_ID' };
+  }
+  if (!isNonEmptyString(messageId)) {
+    return { ok: false, error: 'messageId is required', code: 'INVALID_PAYLOAD' };
+  }
+  if (!validateChatOwnership(chatId, userId)) {
+    return { ok: false, error: 'Not a member of this chat', code: 'CHAT_ACCESS_DENIED' };
+  }
+  const message = await dbAdapter.getMessage(messageId.trim());
+  if (!message || message.roomId !== toRoomId(chatId) || isExpired(message)) {
+    return { ok: false, error: 'Message not found', code: 'NOT_FOUND' };
+  }
+  if (message.senderId !== userId) {
+    return { ok: false, error: 'Only the sender can see who received a message', code: 'FORBIDDEN' };
+  }
+  const roomMessageId = message.roomMessageId || message.messageId;
+  const summary = await getRoomReceiptsSummary(roomMessageId, userId);
+  return { ok: true, receipts: { roomMessageId, ...summary, maxListed: RECEIPTS.maxListed } };
+}
+
 /**
  * Persist message to DB, transition state to SENT, return SENT ACK payload.
  * Idempotent: if message already SENT/DELIVERED/READ, skip persist, return ACK.
@@ -144,7 +986,8 @@ function acceptIncomingMessage({ senderId, receiverId, clientMessageId, content
  *
  * @param {Object} message - Message domain object from acceptIncomingMessage
  * @param {Object} context - Context object with correlationId
- * @returns {Promise<{ type: string, messageId: string, clientMessageId?: string, state: string, timestamp: number, duplicate?: boolean }>}
+ * @returns {Promise<{ type: string, messageId: string, clientMessageId?: string, state: string, timestamp: number, expiresAt: number|null, messageRequest: boolean, duplicate?: boolean }>}
+ *   messageRequest: the DM went to the recipient's Requests inbox (no delivered / read signal until accepted)
  */
 async function persistAndReturnAck(message, context = {}) {
   const correlationId = context.correlationId || null;
@@ -152,7 +995,7 @@ async function persistAndReturnAck(message, context = {}) {
     throw new Error('Invalid message shape for persistence');
   }
 
-  const { messageId, senderId, recipientId, content, timestamp, clientMessageId } = message;
+  const { messageId, senderId, recipientId, content, timestamp, clientMessageId, replyToMessageId, forwardedFrom, attachments } = message;
   const stored = messageStore.get(messageId);
 
   // Idempotent: already persisted (state SENT or beyond) — return SENT ACK without re-persisting
@@ -163,10 +1006,19 @@ async function persistAndReturnAck(message, context = {}) {
       clientMessageId,
       state: MessageState.SENT,
       timestamp: stored.timestamp || timestamp,
+      expiresAt: stored.expiresAt ?? null,
+      messageRequest: messageRequestService.getRequestState(senderId, toDirectChatId(senderId, recipientId)) === 'outgoing',
       duplicate: true,
     };
   }
 
+  // Message requests: a first DM to a user with requests on lands in their Requests inbox; a reply accepts
+  const { request: messageRequest } = await messageRequestService.classifyDirectMessage(senderId, recipientId);
+
+  // Disappearing messages: expiry comes from the chat's mode at send time
+  const chatId = toDirectChatId(senderId, recipientId);
+  const expiresAt = message.expiresAt !== undefined ? message.expiresAt : await resolveMessageExpiry(chatId, timestamp);
+
   // (1) Persist to DB — ONLY place for direct-message write on SENT path
   await dbAdapter.persistMessage({
     messageId,
@@ -177,8 +1029,14 @@ async function persistAndReturnAck(message, context = {}) {
     state: MessageState.SENT,
     messageType: 'direct',
     clientMessageId,
-    chatId: toDirectChatId(senderId, recipientId),
+    chatId,
+    replyToMessageId: replyToMessageId || null,
+    forwardedFrom: forwardedFrom || null,
+    expiresAt,
+    contentType: message.contentType || 'text',
+    attachments: Array.isArray(attachments) ? attachments : [],
   });
+  await linkMessageAttachments(attachments, messageId, chatId);
 
   // Per-recipient delivery record (atomic with message persistence). Initial state PERSISTED.
   deliveryService.createDelivery(messageId, recipientId);
@@ -189,13 +1047,16 @@ async function persistAndReturnAck(message, context = {}) {
   if (stored) {
     stored.state = MessageState.SENT;
   } else {
-    messageStore.set(messageId, { ...message, state: MessageState.SENT });
+    messageStore.set(messageId, { ...message, expiresAt, state: MessageState.SENT });
   }
 
   // (3) Mark delivery in DB if applicable (e.g. self-message)
   if (recipientId === senderId) {
     await dbAdapter.markMessageDelivered(messageId, senderId);
   }
+  if (recipientId !== senderId) {
+    await releaseArchivedChat(chatId, [recipientId]);
+  }
 
   logStateTransition({ messageId, userId: senderId, fromState: 'RECEIVED', toState: 'SENT', reason: 'persisted' });
   transition({
@@ -230,18 +1091,37 @@ async function persistAndReturnAck(message, context = {}) {
     clientMessageId,
     state: MessageState.SENT,
     timestamp,
+    expiresAt,
+    messageRequest,
   };
 }
 
+/**
+ * Record on the attachment records that a persisted message (canonical id) references them in a chat.
+ * Only bookkeeping for downloads from forwarded copies: failures are logged, never fail the send.
+ * @param {Array<Object>|undefined} attachments - Message attachments
+ * @param {string} messageId - messageId (DM) / roomMessageId (room)
+ * @param {string} chatId
+ * @returns {Promise<void>}
+ */
+async function linkMessageAttachments(attachments, messageId, chatId) {
+  if (!Array.isArray(attachments) || attachments.length === 0) return;
+  try {
+    await dbAdapter.linkAttachments(attachments.map((a) => a.attachmentId), messageId, chatId);
+  } catch (err) {
+    logger.warn('MessageService', 'attachment_link_failed', { messageId, error: err.message });
+  }
+}
+
 /**
  * Persist a room message for a single recipient. Used by room handler.
  * message.service is the ONLY place that calls dbAdapter.persistMessage.
  *
- * @param {Object} params - { messageId, senderId, recipientId, content, timestamp, roomId, roomMessageId, messageType }
+ * @param {Object} params - { messageId, senderId, recipientId, content, timestamp, roomId, roomMessageId, messageType, replyToMessageId?, forwardedFrom?, expiresAt?, mentions?, contentType?, poll?, attachments? }
  * @returns {Promise<void>}
  */
 async function persistRoomMessageForRecipient(params) {
-  const { messageId, senderId, recipientId, content, timestamp, roomId, roomMessageId, messageType, clientMessageId } = params;
+  const { messageId, senderId, recipientId, content, timestamp, roomId, roomMessageId, messageType, clientMessageId, replyToMessageId, threadRootId, alsoSendToRoom, forwardedFrom, expiresAt, mentions, contentType, poll, attachments } = params;
   if (!messageId || !senderId || !recipientId || !content || timestamp == null) {
     throw new Error('persistRoomMessageForRecipient: missing required fields');
   }
@@ -259,6 +1139,15 @@ async function persistRoomMessageForRecipient(params) {
     roomMessageId,
     chatId: toRoomChatId(roomId),
     clientMessageId: effectiveClientMessageId,
+    replyToMessageId: replyToMessageId || null,
+    threadRootId: threadRootId || null,
+    alsoSendToRoom: alsoSendToRoom === true,
+    forwardedFrom: forwardedFrom || null,
+    expiresAt: expiresAt || null,
+    mentions: Array.isArray(mentions) ? mentions : [],
+    contentType: contentType || 'text',
+    poll: poll || null,
+    attachments: Array.isArray(attachments) ? attachments : [],
   });
   // Per-recipient delivery record (atomic with message persistence). Initial state PERSISTED.
   deliveryService.createDelivery(messageId, recipientId);
@@ -277,11 +1166,11 @@ async function persistRoomMessageForRecipient(params) {
  * Persist a single canonical room message row for history (chatId=room:roomId).
  * One row per room message so GET /api/chat?chatId=room:<id> returns messages.
  *
- * @param {Object} params - { roomId, roomMessageId, senderId, content, timestamp, clientMessageId? }
- * @returns {Promise<void>}
+ * @param {Object} params - { roomId, roomMessageId, senderId, content, timestamp, clientMessageId?, replyToMessageId?, threadRootId?, alsoSendToRoom?, forwardedFrom?, expiresAt?, mentions?, contentType?, poll?, attachments? }
+ * @returns {Promise<Object|null>} Updated thread root when the message is a thread reply, else null
  */
 async function persistRoomMessageCanonical(params) {
-  const { roomId, roomMessageId, senderId, content, timestamp, clientMessageId } = params;
+  const { roomId, roomMessageId, senderId, content, timestamp, clientMessageId, replyToMessageId, threadRootId, alsoSendToRoom, forwardedFrom, expiresAt, mentions, contentType, poll, attachments } = params;
   if (!roomId || !roomMessageId || !senderId || content == null || timestamp == null) {
     throw new Error('persistRoomMessageCanonical: missing required fields');
   }
@@ -300,7 +1189,19 @@ async function persistRoomMessageCanonical(params) {
     roomMessageId,
     chatId,
     clientMessageId: effectiveClientMessageId,
+    replyToMessageId: replyToMessageId || null,
+    threadRootId: threadRootId || null,
+    alsoSendToRoom: alsoSendToRoom === true,
+    forwardedFrom: forwardedFrom || null,
+    expiresAt: expiresAt || null,
+    mentions: Array.isArray(mentions) ? mentions : [],
+    contentType: contentType || 'text',
+    poll: poll || null,
+    attachments: Array.isArray(attachments) ? attachments : [],
   });
+  await linkMessageAttachments(attachments, roomMessageId, chatId);
+  // Thread reply: bump the root's summary (reply count, last reply, participants)
+  const threadRoot = threadRootId ? await dbAdapter.recordThreadReply(threadRootId, senderId, timestamp) : null;
   try {
     metrics.increment('messages_persisted_total');
     if (process.env.DEBUG_ADMIN_MPS === '1') {
@@ -310,6 +1211,7 @@ async function persistRoomMessageCanonical(params) {
   try { require('../observability/aggregators/messages').trackPersistedMessageTimestamp('persistRoomMessageCanonical'); } catch (_) { /* no-op */ }
   try { userDiagnostics.onMessageSent(senderId); userDiagnostics.onActivity(senderId); } catch (_) { /* no-op */ }
   try { suspiciousDetector.recordMessage(senderId); } catch (_) { /* no-op */ }
+  return threadRoot;
 }
 
 /**
@@ -354,6 +1256,23 @@ async function _markDeliveredStateOnly(messageId, userId) {
   }
 }
 
+/**
+ * True when the sender of a message must get no delivered / read / listened signal for it: a DM that is an
+ * unaccepted message request.
+ * @param {Object} dbMessage
+ * @returns {boolean}
+ */
+function withholdsReceipts(dbMessage) {
+  if (!dbMessage || dbMessage.roomId || dbMessage.messageType === 'room') return false;
+  return messageRequestService.isUnaccepted(toDirectChatId(dbMessage.senderId, dbMessage.recipientId));
+}
+
+/** Sender-facing payloads of a delivered / read ACK, dropped while withholdsReceipts. */
+function senderSignals(dbMessage, senderNotification, senderStateUpdate) {
+  if (withholdsReceipts(dbMessage)) return { senderNotification: null, senderStateUpdate: null };
+  return { senderNotification, senderStateUpdate };
+}
+
 /**
  * Confirm delivery and return DELIVERED ACK payloads.
  * DB-first: message must exist in DB before any ACK. Performs state transition.
@@ -393,7 +1312,7 @@ async function confirmDeliveredAndReturnAck(messageId, userId, context = {}) {
     };
     const senderStateUpdate = { type: 'MESSAGE_STATE_UPDATE', messageId, state: MessageState.DELIVERED, timestamp: ts, roomId: dbMessage.roomId, roomMessageId: dbMessage.roomMessageId };
     const clientAckResponse = { type: 'ACK_RESPONSE', messageId, state: currentState, success: true, alreadyInState: true };
-    return { ok: true, recipientResponse, senderNotification, senderStateUpdate, clientAckResponse };
+    return { ok: true, recipientResponse, ...senderSignals(dbMessage, senderNotification, senderStateUpdate), clientAckResponse };
   }
 
   if (!isValidTransition(currentState, MessageState.DELIVERED)) {
@@ -441,7 +1360,7 @@ async function confirmDeliveredAndReturnAck(messageId, userId, context = {}) {
   };
   const senderStateUpdate = { type: 'MESSAGE_STATE_UPDATE', messageId, state: MessageState.DELIVERED, timestamp: ts, roomId: dbMessage.roomId, roomMessageId: dbMessage.roomMessageId };
   const clientAckResponse = { type: 'ACK_RESPONSE', messageId, state: MessageState.DELIVERED, success: true, alreadyInState: false };
-  return { ok: true, recipientResponse, senderNotification, senderStateUpdate, clientAckResponse };
+  return { ok: true, recipientResponse, ...senderSignals(dbMessage, senderNotification, senderStateUpdate), clientAckResponse };
 }
 
 /**
@@ -510,7 +1429,7 @@ async function confirmReadAndReturnAck(messageId, userId, context = {}) {
     };
     const senderStateUpdate = { type: 'MESSAGE_STATE_UPDATE', messageId, state: MessageState.READ, timestamp: ts, roomId: dbMessage.roomId, roomMessageId: dbMessage.roomMessageId };
     const clientAckResponse = { type: 'ACK_RESPONSE', messageId, state: MessageState.READ, success: true, alreadyInState: true };
-    return { ok: true, recipientResponse, senderNotification, senderStateUpdate, clientAckResponse };
+    return { ok: true, recipientResponse, ...senderSignals(dbMessage, senderNotification, senderStateUpdate), clientAckResponse };
   }
 
   if (!isValidTransition(currentState, MessageState.READ)) {
@@ -563,7 +1482,7 @@ async function confirmReadAndReturnAck(messageId, userId, context = {}) {
   };
   const senderStateUpdate = { type: 'MESSAGE_STATE_UPDATE', messageId, state: MessageState.READ, timestamp: ts, roomId: dbMessage.roomId, roomMessageId: dbMessage.roomMessageId };
   const clientAckResponse = { type: 'ACK_RESPONSE', messageId, state: MessageState.READ, success: true, alreadyInState: false };
-  return { ok: true, recipientResponse, senderNotification, senderStateUpdate, clientAckResponse };
+  return { ok: true, recipientResponse, ...senderSignals(dbMessage, senderNotification, senderStateUpdate), clientAckResponse };
 }
 
 // -----------------------------------------------------------------------------
@@ -584,6 +1503,38 @@ async function rollbackPersistedMessages(messageIds) {
 
 module.exports = {
   acceptIncomingMessage,
+  resolveReplyTarget,
+  resolveThreadRoot,
+  resolveForwardRequest,
+  setMessagePin,
+  setMessageBookmark,
+  removeMessageBookmarks,
+  setChatsArchived,
+  getArchivedChats,
+  releaseArchivedChat,
+  setChatMute,
+  getChatMutes,
+  scheduleMessage,
+  listScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  claimDueScheduledMessage,
+  completeScheduledMessage,
+  getChatSettings,
+  setChatEphemeral,
+  resolveMessageExpiry,
+  extractMentionTokens,
+  resolveMentions,
+  recordMentions,
+  getMentionCounts,
+  normalizePollDefinition,
+  castPollVote,
+  markVoiceListened,
+  recordRoomDelivered,
+  markRoomRead,
+  getRoomReceiptsSummary,
+  getRoomMessageReceipts,
+  deleteExpiredMessages,
   persistAndReturnAck,
   persistRoomMessageForRecipient,
   persistRoomMessageCanonical,
@@ -42,6 +42,23 @@ async function getById(messageId) {
   }
 }
 
+/**
+ * Get several messages in one lookup
+ * @param {string[]} messageIds - Falsy and repeated ids are ignored
+ * @returns {Promise<Object<string, Object>>} messageId -> message, for the ones that exist
+ */
+async function getByIds(messageIds) {
+  const ids = (Array.isArray(messageIds) ? messageIds : []).filter((id, i, all) => typeof id === 'string' && id && all.indexOf(id) === i);
+  const byId = {};
+  if (ids.length === 0) return byId;
+  try {
+    for (const message of await dbAdapter.getMessages(ids)) byId[message.messageId] = message;
+  } catch (err) {
+    logger.error('MessageStore', 'get_many_failed', { count: ids.length, error: err.message });
+  }
+  return byId;
+}
+
 /**
  * Check if message was already delivered to user (for idempotent replay)
  * @param {string} messageId
@@ -146,6 +163,23 @@ async function getDeliveredRecipientIdsForRoomMessage(roomMessageId) {
   }
 }
 
+/**
+ * Receipts summary of a room message (exact counts, newest `limit` readers). Null when the store fails.
+ * @param {string} roomMessageId
+ * @param {string} senderId
+ * @param {number} limit
+ * @returns {Promise<Object|null>}
+ */
+async function getRoomReceipts(roomMessageId, senderId, limit) {
+  if (!roomMessageId || typeof roomMessageId !== 'string') return null;
+  try {
+    return await dbAdapter.getRoomReceipts(roomMessageId, senderId, limit);
+  } catch (err) {
+    logger.error('MessageStore', 'get_room_receipts_failed', { roomMessageId, error: err.message });
+    return null;
+  }
+}
+
 /**
  * Get full history for a chat (no pagination). Used for export.
  * @param {string} chatId - direct:u1:u2 or room:roomId
@@ -161,6 +195,36 @@ async function getAllHistory(chatId) {
   }
 }
 
+/**
+ * Get the pins of a chat, most recently pinned first.
+ * @param {string} chatId - direct:u1:u2 or room:roomId
+ * @returns {Promise<Array<{ messageId: string, pinnedBy: string, pinnedAt: number }>>}
+ */
+async function getPins(chatId) {
+  if (!chatId || typeof chatId !== 'string') return [];
+  try {
+    return await dbAdapter.getPins(chatId.trim());
+  } catch (err) {
+    logger.error('MessageStore', 'get_pins_failed', { chatId, error: err.message });
+    return [];
+  }
+}
+
+/**
+ * Get a user's bookmarks across all chats, most recently starred first.
+ * @param {string} userId
+ * @returns {Promise<Array<{ messageId: string, chatId: string, bookmarkedAt: number }>>}
+ */
+async function getBookmarks(userId) {
+  if (!userId || typeof userId !== 'string') return [];
+  try {
+    return await dbAdapter.getBookmarks(userId);
+  } catch (err) {
+    logger.error('MessageStore', 'get_bookmarks_failed', { userId, error: err.message });
+    return [];
+  }
+}
+
 /**
  * Get bounded context window around an anchor message (O(1) bounded queries instead of O(N) history scan).
  * @param {string} chatId - direct:u1:u2 or room:roomId
@@ -225,6 +289,7 @@ async function searchMessagesInChats(chatIds, query, limit = 20, options = {}) {
 
 module.exports = {
   getById,
+  getByIds,
   isDeliveredTo,
   getUndelivered,
   getHistoryPaginated,
@@ -232,8 +297,11 @@ module.exports = {
   getMessagesForSender,
   getMessagesByRoom,
   getDeliveredRecipientIdsForRoomMessage,
+  getRoomReceipts,
   getAllHistory,
   getContextWindow,
+  getPins,
+  getBookmarks,
   getReadStates,
   searchMessagesInChats,
 };
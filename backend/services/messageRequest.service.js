@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Message requests.
+ *
+ * Users can turn on message requests (uiPreferences.messageRequests). A DM from someone who is not a contact
+ * then opens a request: the chat sits in the recipient's Requests inbox, and the sender gets no delivered, read
+ * or listened signal until the recipient accepts. Accepting (or simply replying) makes the pair contacts.
+ * Declining hides the chat from the recipient (the sender is not told) and can block the sender.
+ * A new message from a declined sender reopens the request, or accepts it once the recipient has turned
+ * requests off.
+ *
+ * One request record per DM chat: { chatId, requesterId, recipientId, status, createdAt, respondedAt }.
+ * Accepted records are the contact list. Pairs that already talked before requests were turned on have no
+ * record; the first message checks the history once and records them as contacts.
+ *
+ * Records and the set of users with requests on are mirrored in memory (websocket/state/messageRequestStore,
+ * loaded at startup like blocks) so delivery, replay and history can check a chat without a DB round trip.
+ * Changes are published on the Redis bus (state.sync) so the other instances update their mirror.
+ */
+
+const dbAdapter = require('../config/db');
+const userStore = require('../storage/user.store');
+const blockService = require('./block.service');
+const messageRequestStore = require('../websocket/state/messageRequestStore');
+const redisBus = require('./redisBus');
+const { toDirectChatId } = require('../utils/chatId');
+const logger = require('../utils/logger');
+
+const RequestStatus = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+};
+
+/** Tell the other instances; best-effort, the DB stays the source of truth for their next restart. */
+function publishChange(kind, userId, fields) {
+  try {
+    redisBus.publishStateSync({
+      type: 'state.sync',
+      originInstanceId: redisBus.getInstanceId(),
+      kind,
+      userId,
+      ...fields,
+      ts: Date.now(),
+    }).catch(() => {});
+  } catch (_) { /* local mirror is already updated */ }
+}
+
+/**
+ * Load every request and the users with requests on into memory. Call once at startup.
+ * @returns {Promise<number>} Requests loaded
+ */
+async function loadFromStore() {
+  const [requests, userIds] = await Promise.all([
+    dbAdapter.listAllMessageRequests(),
+    userStore.listMessageRequestUserIds(),
+  ]);
+  messageRequestStore.replaceAll(requests, userIds);
+  logger.info('MessageRequests', 'loaded', { count: requests.length, enabledUsers: userIds.length });
+  return requests.length;
+}
+
+/**
+ * Mirror a change of the user's messageRequests preference (already persisted by the caller).
+ * @param {string} userId
+ * @param {boolean} enabled
+ */
+function setRequestsEnabled(userId, enabled) {
+  messageRequestStore.setEnabled(userId, enabled);
+  publishChange(redisBus.StateSyncKind.MESSAGE_REQUESTS_ENABLED, userId, { enabled: enabled === true });
+}
+
+/** @returns {boolean} */
+function isRequestsEnabled(userId) {
+  return messageRequestStore.isEnabled(userId);
+}
+
+/**
+ * The request of a DM chat, if any.
+ * @param {string} chatId
+ * @returns {Object|null}
+ */
+function getRequest(chatId) {
+  return messageRequestStore.getRequest(chatId);
+}
+
+/**
+ * True while the chat is a request the recipient has not accepted (pending, or declined without a reply).
+ * The requester gets no delivered, read or listened signal for it.
+ * @param {string} chatId
+ * @returns {boolean}
+ */
+function isUnaccepted(chatId) {
+  const request = messageRequestStore.getRequest(chatId);
+  return !!request && request.status !== RequestStatus.ACCEPTED;
+}
+
+/**
+ * How a DM chat looks to one of its participants.
+ * @param {string} userId
+ * @param {string} chatId
+ * @returns {'incoming'|'outgoing'|'declined'|null} declined: declined by this user (hidden from their chat list);
+ *   the requester keeps seeing 'outgoing'
+ */
+function getRequestState(userId, chatId) {
+  const request = messageRequestStore.getRequest(chatId);
+  if (!request || request.status === RequestStatus.ACCEPTED) return null;
+  if (request.requesterId === userId) return 'outgoing';
+  if (request.recipientId !== userId) return null;
+  return request.status === RequestStatus.PENDING ? 'incoming' : 'declined';
+}
+
+async function save(request) {
+  await dbAdapter.upsertMessageRequest(request);
+  messageRequestStore.setRequest(request);
+  publishChange(redisBus.StateSyncKind.MESSAGE_REQUEST_SAVED, request.recipientId, { request });
+  return { ...request };
+}
+
+async function haveTalked(fromId, toId) {
+  const sent = await dbAdapter.getMessagesForSender(fromId);
+  return sent.some((m) => m.recipientId === toId && !m.roomId);
+}
+
+/**
+ * Decide whether a DM about to be persisted is a message request. Called once per new DM (message.service).
+ * Side effects: opens or reopens a request; a reply from the recipient accepts it; records existing
+ * conversations as contacts.
+ * @param {string} senderId
+ * @param {string} recipientId
+ * @returns {Promise<{ request: boolean }>}
+ */
+async function classifyDirectMessage(senderId, recipientId) {
+  if (!senderId || !recipientId || senderId === recipientId) return { request: false };
+  const chatId = toDirectChatId(senderId, recipientId);
+  const now = Date.now();
+  const existing = messageRequestStore.getRequest(chatId);
+
+  if (existing) {
+    if (existing.status === RequestStatus.ACCEPTED) return { request: false };
+    if (existing.recipientId === senderId) {
+      await save({ ...existing, status: RequestStatus.ACCEPTED, respondedAt: now });
+      return { request: false };
+    }
+    if (existing.status === RequestStatus.DECLINED) {
+      if (!isRequestsEnabled(recipientId)) {
+        // Requests were turned off since the decline: the chat becomes a normal one (visible, receipts restored)
+        await save({ ...existing, status: RequestStatus.ACCEPTED, respondedAt: now });
+        return { request: false };
+      }
+      await save({ ...existing, status: RequestStatus.PENDING, createdAt: now, respondedAt: null });
+    }
+    return { request: true };
+  }
+
+  if (!isRequestsEnabled(recipientId)) return { request: false };
+  if (await haveTalked(recipientId, senderId)) {
+    await save({ chatId, requesterId: recipientId, recipientId: senderId, status: RequestStatus.ACCEPTED, createdAt: now, respondedAt: now });
+    return { request: false };
+  }
+  await save({ chatId, requesterId: senderId, recipientId, status: RequestStatus.PENDING, createdAt: now, respondedAt: null });
+  return { request: true };
+}
+
+/**
+ * Accept or decline a pending request (recipient only). Declining with block also blocks the requester.
+ * @param {string} userId - Recipient
+ * @param {string} chatId
+ * @param {'accept'|'decline'} action
+ * @param {{ block?: boolean }} [options]
+ * @returns {Promise<{ ok: boolean, request?: Object, blocked?: boolean, error?: string, code?: string }>}
+ */
+async function respondToRequest(userId, chatId, action, { block = false } = {}) {
+  if (action !== 'accept' && action !== 'decline') {
+    return { ok: false, error: 'action must be accept or decline', code: 'INVALID_PAYLOAD' };
+  }
+  const request = typeof chatId === 'string' ? messageRequestStore.getRequest(chatId.trim()) : null;
+  if (!request || request.recipientId !== userId || request.status !== RequestStatus.PENDING) {
+    return { ok: false, error: 'No pending message request for this chat', code: 'REQUEST_NOT_FOUND' };
+  }
+  if (action === 'accept' && block) {
+    return { ok: false, error: 'block is only allowed when declining', code: 'INVALID_PAYLOAD' };
+  }
+  const status = action === 'accept' ? RequestStatus.ACCEPTED : RequestStatus.DECLINED;
+  const saved = await save({ ...request, status, respondedAt: Date.now() });
+  let blocked = false;
+  if (block) {
+    const result = await blockService.blockUser(userId, request.requesterId);
+    blocked = result.ok === true;
+  }
+  return { ok: true, request: saved, blocked };
+}
+
+/** Drop the in-memory mirror (tests). */
+function clear() {
+  messageRequestStore.clear();
+}
+
+module.exports = {
+  RequestStatus,
+  loadFromStore,
+  setRequestsEnabled,
+  isRequestsEnabled,
+  getRequest,
+  isUnaccepted,
+  getRequestState,
+  classifyDirectMessage,
+  respondToRequest,
+  clear,
+};
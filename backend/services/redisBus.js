@@ -15,6 +15,16 @@ function getAdapter() {
 
 const CHAT_MESSAGE_CHANNEL = 'chat.message';
 const ADMIN_KICK_CHANNEL = 'admin.kick';
+const STATE_SYNC_CHANNEL = 'state.sync';
+const CHAT_EXPIRED_CHANNEL = 'chat.expired';
+
+/** state.sync kinds: changes to in-memory mirrors (websocket/state) that every instance must apply. */
+const StateSyncKind = Object.freeze({
+  BLOCK_ADDED: 'block.added',
+  BLOCK_REMOVED: 'block.removed',
+  MESSAGE_REQUEST_SAVED: 'messageRequest.saved',
+  MESSAGE_REQUESTS_ENABLED: 'messageRequests.enabled',
+});
 
 /** Max wait for Redis to connect before treating as unavailable (avoids hang when Redis is down). */
 // 🔥 INCREASED TIMEOUT: Changed from 5000 to 30000 to accommodate slow free-tier Redis spin-ups
@@ -24,12 +34,14 @@ let busDisabled = false;
 let started = false;
 
 /**
- * Start Redis bus: connect and subscribe to chat.message and admin.kick.
+ * Start Redis bus: connect and subscribe to chat.message, admin.kick, state.sync and chat.expired.
  * If Redis unavailable: production => throw (fail boot); else => log warn, bus disabled.
  * @param {Object} [opts] - Options
  * @param {string} [opts.instanceId] - Optional instance id override
  * @param {Function} [opts.onChatMessage] - Callback for chat.message events
  * @param {Function} [opts.onAdminKick] - Callback for admin.kick events
+ * @param {Function} [opts.onStateSync] - Callback for state.sync events
+ * @param {Function} [opts.onChatExpired] - Callback for chat.expired events
  */
 async function startRedisBus(opts = {}) {
   if (started) {
@@ -39,6 +51,8 @@ async function startRedisBus(opts = {}) {
 
   const onChatMessage = typeof opts.onChatMessage === 'function' ? opts.onChatMessage : () => {};
   const onAdminKick = typeof opts.onAdminKick === 'function' ? opts.onAdminKick : () => {};
+  const onStateSync = typeof opts.onStateSync === 'function' ? opts.onStateSync : () => {};
+  const onChatExpired = typeof opts.onChatExpired === 'function' ? opts.onChatExpired : () => {};
 
   const initPromise = getAdapter().initialize();
   const timeoutPromise = new Promise((_, reject) =>
@@ -97,11 +111,25 @@ async function startRedisBus(opts = {}) {
       logger.error('RedisBus', 'onAdminKick_error', { error: err.message });
     }
   });
+  await getAdapter().subscribe(STATE_SYNC_CHANNEL, (parsedEvent) => {
+    try {
+      onStateSync(parsedEvent);
+    } catch (err) {
+      logger.error('RedisBus', 'onStateSync_error', { error: err.message });
+    }
+  });
+  await getAdapter().subscribe(CHAT_EXPIRED_CHANNEL, (parsedEvent) => {
+    try {
+      onChatExpired(parsedEvent);
+    } catch (err) {
+      logger.error('RedisBus', 'onChatExpired_error', { error: err.message });
+    }
+  });
 
   started = true;
   logger.info('RedisBus', 'started', {
     instanceId: getAdapter().getInstanceId(),
-    channels: [CHAT_MESSAGE_CHANNEL, ADMIN_KICK_CHANNEL],
+    channels: [CHAT_MESSAGE_CHANNEL, ADMIN_KICK_CHANNEL, STATE_SYNC_CHANNEL, CHAT_EXPIRED_CHANNEL],
   });
 }
 
@@ -200,6 +228,60 @@ async function publishAdminKick(event) {
   return published;
 }
 
+function validateStateSyncEvent(event) {
+  if (!event || typeof event !== 'object') return false;
+  if (event.type !== 'state.sync') return false;
+  if (typeof event.originInstanceId !== 'string' || typeof event.userId !== 'string') return false;
+  if (!Object.values(StateSyncKind).includes(event.kind)) return false;
+  if (typeof event.ts !== 'number') return false;
+  return true;
+}
+
+/**
+ * Publish state.sync event so the other instances apply the same change to their in-memory mirror.
+ * @param {Object} event - { type, originInstanceId, kind, userId, ts, ...kind fields }
+ * @returns {Promise<boolean>} true if published
+ */
+async function publishStateSync(event) {
+  if (busDisabled || !getAdapter().isConnected()) return false;
+  if (!validateStateSyncEvent(event)) {
+    logger.warn('RedisBus', 'publish_state_sync_invalid', {
+      kind: event?.kind,
+      userId: event?.userId,
+      originInstanceId: event?.originInstanceId,
+    });
+    return false;
+  }
+  return getAdapter().publish(STATE_SYNC_CHANNEL, event);
+}
+
+function validateChatExpiredEvent(event) {
+  if (!event || typeof event !== 'object') return false;
+  if (event.type !== 'chat.expired') return false;
+  if (typeof event.originInstanceId !== 'string' || typeof event.chatId !== 'string') return false;
+  if (event.roomId != null && typeof event.roomId !== 'string') return false;
+  if (!Array.isArray(event.messageIds) || event.messageIds.length === 0) return false;
+  if (typeof event.ts !== 'number') return false;
+  return true;
+}
+
+/**
+ * Publish chat.expired event so the other instances send MESSAGES_EXPIRED to the sockets they hold.
+ * @param {Object} event - { type, originInstanceId, chatId, roomId, messageIds, ts }
+ * @returns {Promise<boolean>} true if published
+ */
+async function publishChatExpired(event) {
+  if (busDisabled || !getAdapter().isConnected()) return false;
+  if (!validateChatExpiredEvent(event)) {
+    logger.warn('RedisBus', 'publish_chat_expired_invalid', {
+      chatId: event?.chatId,
+      originInstanceId: event?.originInstanceId,
+    });
+    return false;
+  }
+  return getAdapter().publish(CHAT_EXPIRED_CHANNEL, event);
+}
+
 /**
  * @returns {string} Instance ID from adapter
  */
@@ -221,6 +303,9 @@ module.exports = {
   stopRedisBus,
   publishChatMessage,
   publishAdminKick,
+  publishStateSync,
+  publishChatExpired,
+  StateSyncKind,
   getInstanceId,
   __testables,
 };
\ No newline at end of file
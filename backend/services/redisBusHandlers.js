@@ -1,14 +1,18 @@
 'use strict';
 
 /**
- * Redis bus subscriber handlers for chat.message and admin.kick.
- * Depends on connectionManager and wsMessageService; used only by server.js to avoid circular deps.
+ * Redis bus subscriber handlers for chat.message, admin.kick, state.sync and chat.expired.
+ * Depends on connectionManager, wsMessageService and ephemeralSweeper; used only by server.js to avoid circular deps.
  * Log only messageId, recipientId, originInstanceId — never content.
  */
 
 const config = require('../config/constants');
 const connectionManager = require('../websocket/connection/connectionManager');
 const wsMessageService = require('../websocket/services/message.service');
+const blockStore = require('../websocket/state/blockStore');
+const messageRequestStore = require('../websocket/state/messageRequestStore');
+const ephemeralSweeper = require('../websocket/services/ephemeralSweeper.service');
+const { StateSyncKind } = require('./redisBus');
 const logger = require('../utils/logger');
 
 const ADMIN_KICK_ACTIONS = new Set(['BAN', 'REVOKE_ALL', 'REVOKE_ONE']);
@@ -173,7 +177,7 @@ function createOnChatMessage(deps) {
       const delivered = await wsMsg.attemptDelivery(messageId, receivePayload, {
         correlationId: 'redis:' + messageId,
       });
-      if (delivered) {
+      if (delivered && receivePayload.messageRequest !== true) {
         const senderId = receivePayload.senderId;
         if (senderId) {
           wsMsg.sendToUserSocket(senderId, {
@@ -305,8 +309,137 @@ function createOnAdminKick(deps) {
   };
 }
 
+/**
+ * Strict validation for state.sync event: originInstanceId and userId non-empty strings, known kind, ts number,
+ * and the fields of that kind.
+ */
+function validateStateSyncEvent(ev) {
+  if (!isObject(ev)) return false;
+  if (!isNonEmptyString(ev.originInstanceId) || !isNonEmptyString(ev.userId)) return false;
+  if (typeof ev.ts !== 'number') return false;
+  switch (ev.kind) {
+    case StateSyncKind.BLOCK_ADDED:
+    case StateSyncKind.BLOCK_REMOVED:
+      return isNonEmptyString(ev.targetUserId);
+    case StateSyncKind.MESSAGE_REQUEST_SAVED:
+      return isObject(ev.request) && isNonEmptyString(ev.request.chatId);
+    case StateSyncKind.MESSAGE_REQUESTS_ENABLED:
+      return typeof ev.enabled === 'boolean';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Create onStateSync handler for Redis bus (testable via DI). Applies another instance's change to the local
+ * in-memory mirrors; the origin instance already applied it.
+ * @param {Object} deps - Dependencies
+ * @param {string} deps.instanceId - This instance's ID (to ignore self-origin)
+ * @param {Object} [deps.blockStore] - blockStore (default: real)
+ * @param {Object} [deps.messageRequestStore] - messageRequestStore (default: real)
+ * @param {Object} [deps.logger] - logger (default: real)
+ * @returns {Function} Handler(parsedEvent)
+ */
+function createOnStateSync(deps) {
+  const instanceId = deps.instanceId;
+  const blocks = deps.blockStore || blockStore;
+  const requests = deps.messageRequestStore || messageRequestStore;
+  const log = deps.logger || logger;
+
+  return function onStateSync(parsedEvent) {
+    try {
+      if (!validateStateSyncEvent(parsedEvent)) {
+        log.warn('RedisBusHandler', 'state_sync_invalid', {
+          kind: parsedEvent?.kind,
+          userId: parsedEvent?.userId,
+          originInstanceId: parsedEvent?.originInstanceId,
+        });
+        return;
+      }
+      const { originInstanceId, kind, userId } = parsedEvent;
+      if (originInstanceId === instanceId) return;
+
+      switch (kind) {
+        case StateSyncKind.BLOCK_ADDED:
+          blocks.add(userId, parsedEvent.targetUserId);
+          break;
+        case StateSyncKind.BLOCK_REMOVED:
+          blocks.remove(userId, parsedEvent.targetUserId);
+          break;
+        case StateSyncKind.MESSAGE_REQUEST_SAVED:
+          requests.setRequest(parsedEvent.request);
+          break;
+        case StateSyncKind.MESSAGE_REQUESTS_ENABLED:
+          requests.setEnabled(userId, parsedEvent.enabled);
+          break;
+        default:
+          break;
+      }
+      log.info('RedisBusHandler', 'state_sync_applied', { kind, userId, originInstanceId });
+    } catch (err) {
+      log.error('RedisBusHandler', 'state_sync_error', {
+        kind: parsedEvent?.kind,
+        originInstanceId: parsedEvent?.originInstanceId,
+        error: err.message,
+      });
+    }
+  };
+}
+
+/**
+ * Strict validation for chat.expired event: originInstanceId and chatId non-empty strings, roomId string or null,
+ * messageIds non-empty array of non-empty strings, ts number.
+ */
+function validateChatExpiredEvent(ev) {
+  if (!isObject(ev)) return false;
+  if (!isNonEmptyString(ev.originInstanceId) || !isNonEmptyString(ev.chatId)) return false;
+  if (ev.roomId != null && !isNonEmptyString(ev.roomId)) return false;
+  if (!Array.isArray(ev.messageIds) || ev.messageIds.length === 0 || !ev.messageIds.every(isNonEmptyString)) return false;
+  if (typeof ev.ts !== 'number') return false;
+  return true;
+}
+
+/**
+ * Create onChatExpired handler for Redis bus (testable via DI). Sends MESSAGES_EXPIRED for messages another
+ * instance's sweeper deleted to the chat's sockets held here; the origin instance already notified its own.
+ * @param {Object} deps - Dependencies
+ * @param {string} deps.instanceId - This instance's ID (to ignore self-origin)
+ * @param {Function} [deps.notifyLocalSockets] - (chatId, roomId, messageIds) => void (default: ephemeralSweeper)
+ * @param {Object} [deps.logger] - logger (default: real)
+ * @returns {Function} Handler(parsedEvent)
+ */
+function createOnChatExpired(deps) {
+  const instanceId = deps.instanceId;
+  const notifyLocalSockets = deps.notifyLocalSockets || ephemeralSweeper.notifyLocalSockets;
+  const log = deps.logger || logger;
+
+  return function onChatExpired(parsedEvent) {
+    try {
+      if (!validateChatExpiredEvent(parsedEvent)) {
+        log.warn('RedisBusHandler', 'chat_expired_invalid', {
+          chatId: parsedEvent?.chatId,
+          originInstanceId: parsedEvent?.originInstanceId,
+        });
+        return;
+      }
+      const { originInstanceId, chatId, roomId, messageIds } = parsedEvent;
+      if (originInstanceId === instanceId) return;
+      notifyLocalSockets(chatId, roomId || null, messageIds);
+      log.info('RedisBusHandler', 'chat_expired_notified', { chatId, count: messageIds.length, originInstanceId });
+    } catch (err) {
+      log.error('RedisBusHandler', 'chat_expired_error', {
+        chatId: parsedEvent?.chatId,
+        originInstanceId: parsedEvent?.originInstanceId,
+        error: err.message,
+      });
+    }
+  };
+}
+
 module.exports = {
   createOnChatMessage,
   createOnAdminKick,
+  createOnStateSync,
+  createOnChatExpired,
   createDedupe,
 };
@@ -38,9 +38,13 @@ const userDiagnostics = require('../diagnostics/userDiagnosticsAggregator');
 // MOVED IN PHASE 4 — OWNERSHIP ONLY: use canonical messageStore
 const messageStore = require('../websocket/state/messageStore');
 const { MessageState } = require('../models/message.state');
+const { toReactionSummary, toReplySnippet, toForwardedFrom, toPollSummary, isExpired } = require('../models/Message.model');
+const { toMessageAttachments } = require('../models/Attachment.model');
 const deliveryService = require('./delivery.service');
 const roomManager = require('../websocket/state/roomManager');
 const roomDeliveryStore = require('../websocket/state/roomDeliveryStore');
+const messageRequestService = require('./messageRequest.service');
+const { toDirectChatId } = require('../utils/chatId');
 // Lazy require to avoid circular dependency: message.store → replay.service → message.store
 function getMessageStoreService() {
   if (!getMessageStoreService._cache) {
@@ -156,19 +160,25 @@ async function replayMessages(userId, lastMessageId, limit, context = {}) {
   });
 
   // Align with DB (read-only; no persist). DB query already filtered and ordered.
+  // Disappearing messages past expiresAt are never replayed, even before the sweeper deleted them.
   const validMessages = [];
+  const now = Date.now();
   for (const msg of undeliveredMessages) {
+    if (isExpired(msg, now)) continue;
     let dbMessage;
     try {
       dbMessage = await dbAdapter.getMessage(msg.messageId);
     } catch {
       continue;
     }
-    if (!dbMessage) continue;
+    if (!dbMessage || isExpired(dbMessage, now)) continue;
     if (dbMessage.state !== msg.state) msg.state = dbMessage.state;
     validMessages.push(msg);
   }
 
+  // Reply parents of the whole batch in one lookup
+  const replyParents = await getMessageStoreService().getByIds(validMessages.map((m) => m.replyToMessageId));
+
   const messagesToEmit = [];
   let lastReplayedId = null;
 
@@ -208,6 +218,7 @@ async function replayMessages(userId, lastMessageId, limit, context = {}) {
         roomId: msg.roomId,
         roomMessageId: msg.roomMessageId,
         contentType: msg.contentType,
+        attachments: msg.attachments,
       });
     }
 
@@ -237,14 +248,30 @@ async function replayMessages(userId, lastMessageId, limit, context = {}) {
       isReplay: true,
       roomId: msg.roomId,
       roomMessageId: msg.roomMessageId,
+      reactions: toReactionSummary(msg.reactions),
+      replyToMessageId: msg.replyToMessageId || null,
+      replyTo: msg.replyToMessageId ? toReplySnippet(msg.replyToMessageId, replyParents[msg.replyToMessageId] || null) : null,
+      threadRootId: msg.threadRootId || null,
+      alsoSendToRoom: msg.alsoSendToRoom === true,
+      forwardedFrom: toForwardedFrom(msg.forwardedFrom),
+      expiresAt: msg.expiresAt ?? null,
+      mentions: Array.isArray(msg.mentions) ? msg.mentions : [],
+      contentType: msg.contentType || 'text',
+      poll: toPollSummary(msg.poll, userId),
+      attachments: toMessageAttachments(msg.attachments),
     };
-    if (replayType === 'MESSAGE_RECEIVE') payload.recipientId = msg.recipientId;
+    const withheld = replayType === 'MESSAGE_RECEIVE' && messageRequestService.isUnaccepted(toDirectChatId(msg.senderId, msg.recipientId));
+    if (replayType === 'MESSAGE_RECEIVE') {
+      payload.recipientId = msg.recipientId;
+      payload.messageRequest = withheld;
+    }
     messagesToEmit.push(payload);
     lastReplayedId = msg.messageId;
 
     // DM only: notify sender so ticks become double without refresh. Idempotent: we only reach
     // this block when we actually transitioned (alreadyDeliveredInDb and isDeliveredInMemory were false).
-    if (replayType === 'MESSAGE_RECEIVE' && msg.senderId) {
+    // Message requests the recipient has not accepted stay without a delivered signal.
+    if (replayType === 'MESSAGE_RECEIVE' && msg.senderId && !withheld) {
       const senderUpdate = {
         type: 'MESSAGE_STATE_UPDATE',
         messageId: msg.messageId,
@@ -270,6 +297,11 @@ async function replayMessages(userId, lastMessageId, limit, context = {}) {
           logger.warn('replay', 'room_delivery_hydrate_failed', { roomMessageId: msg.roomMessageId, error: hydrateErr.message });
         }
       }
+      try {
+        await dbAdapter.recordRoomDelivery(msg.roomMessageId, [userId], Date.now());
+      } catch (recordErr) {
+        logger.warn('replay', 'room_delivery_record_failed', { roomMessageId: msg.roomMessageId, error: recordErr.message });
+      }
       const { complete, deliveredCount, totalCount } = roomDeliveryStore.recordDelivery(
         msg.roomMessageId,
         msg.roomId,
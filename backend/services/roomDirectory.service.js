@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Public room directory.
+ *
+ * Room owners and admins set a room's visibility with ROOM_UPDATE_META: unlisted (default), private, public or knock.
+ * Public rooms are listed in the directory (searchable by name and topic, ranked by recent activity then size)
+ * and in global search for users who have not joined them. Public and unlisted rooms can be joined in one
+ * click by roomId; knock rooms need an approved join request and private rooms look like they do not exist here.
+ */
+
+const dbAdapter = require('../config/db');
+const roomManager = require('../websocket/state/roomManager');
+const roomInviteService = require('./roomInvite.service');
+const { ROOM_DIRECTORY } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const ROOM_NOT_FOUND = { ok: false, error: 'Room not found', code: 'NOT_FOUND' };
+
+function matchesQuery(room, query) {
+  if (!query) return true;
+  const name = String(room.name || '').toLowerCase();
+  const topic = String(room.topic || '').toLowerCase();
+  return name.includes(query) || topic.includes(query);
+}
+
+function listPublicRooms(query) {
+  const q = typeof query === 'string' ? query.trim().toLowerCase() : '';
+  return roomManager.getAllRooms().filter((r) => roomManager.getVisibility(r.roomId) === roomManager.VISIBILITY_PUBLIC && matchesQuery(r, q));
+}
+
+function toDirectoryEntry(room, userId, activity) {
+  return {
+    roomId: room.roomId,
+    name: room.name || room.roomId,
+    topic: room.topic ?? null,
+    thumbnailUrl: room.thumbnailUrl ?? null,
+    memberCount: room.memberCount,
+    lastActivityAt: activity?.lastMessageAt || null,
+    recentMessageCount: activity?.recentMessageCount || 0,
+    joined: roomManager.isRoomMember(room.roomId, userId),
+  };
+}
+
+/**
+ * One page of the directory: public rooms matching q (name or topic, case-insensitive), most messages in the
+ * activity window first, then most members, then most recent message.
+ * @param {string} userId
+ * @param {{ q?: string, limit?: string|number, cursor?: string }} [options] - cursor: offset from the previous page's nextCursor
+ * @returns {Promise<{ ok: boolean, rooms?: Object[], nextCursor?: string|null, total?: number, error?: string, code?: string }>}
+ */
+async function listDirectory(userId, { q, limit, cursor } = {}) {
+  const pageSize = limit == null || limit === '' ? ROOM_DIRECTORY.pageSize : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > ROOM_DIRECTORY.maxPageSize) {
+    return { ok: false, error: `limit must be between 1 and ${ROOM_DIRECTORY.maxPageSize}`, code: 'INVALID_PAYLOAD' };
+  }
+  const offset = cursor == null || cursor === '' ? 0 : Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { ok: false, error: 'Invalid cursor', code: 'INVALID_PAYLOAD' };
+  }
+
+  const rooms = listPublicRooms(q);
+  const since = Date.now() - ROOM_DIRECTORY.activityWindowMs;
+  // Room ids are free-form: no prototype, so an id like "constructor" never resolves to an inherited value
+  const activity = Object.create(null);
+  for (const a of await dbAdapter.getRoomActivity(rooms.map((r) => r.roomId), since)) activity[a.roomId] = a;
+  const entries = rooms.map((r) => toDirectoryEntry(r, userId, activity[r.roomId]));
+  entries.sort((a, b) => (b.recentMessageCount - a.recentMessageCount)
+    || (b.memberCount - a.memberCount)
+    || ((b.lastActivityAt || 0) - (a.lastActivityAt || 0))
+    || a.name.localeCompare(b.name));
+
+  const page = entries.slice(offset, offset + pageSize);
+  const nextCursor = offset + pageSize < entries.length ? String(offset + pageSize) : null;
+  return { ok: true, rooms: page, nextCursor, total: entries.length };
+}
+
+/**
+ * Public rooms the user has not joined whose name or topic matches the query (global search), largest first.
+ * @param {string} userId
+ * @param {string} query
+ * @returns {Object[]} Directory entries (joined: false)
+ */
+function searchPublicRooms(userId, query) {
+  if (typeof query !== 'string' || !query.trim()) return [];
+  return listPublicRooms(query)
+    .filter((r) => !roomManager.isRoomMember(r.roomId, userId))
+    .sort((a, b) => (b.memberCount - a.memberCount) || String(a.name || '').localeCompare(String(b.name || '')))
+    .slice(0, ROOM_DIRECTORY.maxSearchResults)
+    .map((r) => toDirectoryEntry(r, userId, null));
+}
+
+/**
+ * Join a public or unlisted room. Joining a room one is already in succeeds with alreadyMember; knock rooms
+ * answer APPROVAL_REQUIRED (ROOM_JOIN_REQUEST instead).
+ * @param {string} userId
+ * @param {string} roomId
+ * @returns {Promise<{ ok: boolean, roomId?: string, alreadyMember?: boolean, error?: string, code?: string }>}
+ */
+async function joinRoom(userId, roomId) {
+  const id = typeof roomId === 'string' ? roomId.trim() : '';
+  const visibility = id ? roomManager.getVisibility(id) : null;
+  if (!visibility) return ROOM_NOT_FOUND;
+  if (roomManager.isRoomMember(id, userId)) return { ok: true, roomId: id, alreadyMember: true };
+  if (visibility === roomManager.VISIBILITY_PRIVATE) return ROOM_NOT_FOUND;
+  if (visibility === roomManager.VISIBILITY_KNOCK) {
+    return { ok: false, error: 'This room requires approval to join; send a join request', code: 'APPROVAL_REQUIRED' };
+  }
+
+  const joined = await roomManager.joinRoom(id, userId);
+  if (!joined.success) {
+    const code = joined.error === 'Room is full' ? 'ROOM_FULL' : 'JOIN_FAILED';
+    return { ok: false, error: joined.error || 'Could not join the room', code };
+  }
+  if (joined.alreadyMember) return { ok: true, roomId: id, alreadyMember: true };
+  roomInviteService.notifyMemberJoined(id, userId);
+  logger.info('RoomDirectory', 'joined', { roomId: id, userId, visibility });
+  return { ok: true, roomId: id, alreadyMember: false };
+}
+
+module.exports = {
+  listDirectory,
+  searchPublicRooms,
+  joinRoom,
+};
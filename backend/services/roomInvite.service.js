@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * Room invite links.
+ *
+ * Room OWNERs and ADMINs (PERMISSION.ADD_MEMBER) create shareable invite tokens with an optional expiry and use
+ * limit, list them and revoke them. Anyone with the token can preview the room (name, thumbnail, member count;
+ * never the roomId, which ROOM_JOIN would accept directly); a signed-in user accepts it to join through
+ * roomManager.joinRoom.
+ *
+ * A use is taken atomically before joining (claimRoomInviteUse) so concurrent accepts cannot go over maxUses,
+ * and given back when the join fails. Accepting while already a member takes no use.
+ */
+
+const crypto = require('crypto');
+const dbAdapter = require('../config/db');
+const roomManager = require('../websocket/state/roomManager');
+const roomRbac = require('./group.chat/core/rooms/room.rbac');
+const { PERMISSION } = require('./group.chat/core/rooms/room.types');
+const { ROOM_INVITES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const InviteStatus = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  USED_UP: 'used_up',
+  REVOKED: 'revoked',
+};
+
+/** Invite status -> failure returned to preview / accept */
+const UNUSABLE = {
+  [InviteStatus.EXPIRED]: { error: 'This invite has expired', code: 'INVITE_EXPIRED' },
+  [InviteStatus.USED_UP]: { error: 'This invite has reached its use limit', code: 'INVITE_USED_UP' },
+  [InviteStatus.REVOKED]: { error: 'This invite was revoked', code: 'INVITE_REVOKED' },
+};
+
+const NOT_FOUND = { ok: false, error: 'Invite not found', code: 'INVITE_NOT_FOUND' };
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function generateToken() {
+  return crypto.randomBytes(ROOM_INVITES.tokenBytes).toString('base64url');
+}
+
+/**
+ * @param {Object} invite
+ * @param {number} [now]
+ * @returns {string} InviteStatus
+ */
+function getInviteStatus(invite, now = Date.now()) {
+  if (invite.revokedAt != null) return InviteStatus.REVOKED;
+  if (invite.expiresAt != null && invite.expiresAt <= now) return InviteStatus.EXPIRED;
+  if (invite.maxUses != null && invite.uses >= invite.maxUses) return InviteStatus.USED_UP;
+  return InviteStatus.ACTIVE;
+}
+
+function toInviteDto(invite, now = Date.now()) {
+  return {
+    token: invite.token,
+    roomId: invite.roomId,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt ?? null,
+    maxUses: invite.maxUses ?? null,
+    uses: invite.uses || 0,
+    revokedAt: invite.revokedAt ?? null,
+    status: getInviteStatus(invite, now),
+  };
+}
+
+function canManageInvites(roomId, userId) {
+  return roomRbac.roleHasPermission(roomManager.getRole(roomId, userId), PERMISSION.ADD_MEMBER);
+}
+
+/** Room must exist and the user must be allowed to add members. */
+function checkManager(roomId, userId) {
+  if (!isNonEmptyString(roomId)) return { ok: false, error: 'roomId is required', code: 'INVALID_PAYLOAD' };
+  if (!roomManager.getRoomInfo(roomId)) return { ok: false, error: 'Room not found', code: 'NOT_FOUND' };
+  if (!canManageInvites(roomId, userId)) {
+    return { ok: false, error: 'Only room owners and admins can manage invites', code: 'FORBIDDEN' };
+  }
+  return { ok: true };
+}
+
+function optionalPositiveInteger(value, max, field) {
+  if (value == null) return { ok: true, value: null };
+  if (!Number.isInteger(value) || value <= 0 || value > max) {
+    return { ok: false, error: `${field} must be a whole number between 1 and ${max}`, code: 'INVALID_PAYLOAD' };
+  }
+  return { ok: true, value };
+}
+
+/**
+ * Create an invite for a room.
+ * @param {string} userId - OWNER or ADMIN of the room
+ * @param {{ roomId: string, expiresInMs?: number|null, maxUses?: number|null }} options - null / omitted: never
+ *   expires / unlimited uses
+ * @returns {Promise<{ ok: boolean, invite?: Object, error?: string, code?: string }>}
+ */
+async function createInvite(userId, { roomId, expiresInMs = null, maxUses = null } = {}) {
+  const manager = checkManager(roomId, userId);
+  if (!manager.ok) return manager;
+  const expiry = optionalPositiveInteger(expiresInMs, ROOM_INVITES.maxExpiryMs, 'expiresInMs');
+  if (!expiry.ok) return expiry;
+  const uses = optionalPositiveInteger(maxUses, ROOM_INVITES.maxUses, 'maxUses');
+  if (!uses.ok) return uses;
+
+  const now = Date.now();
+  const existing = await dbAdapter.listRoomInvites(roomId);
+  if (existing.filter((i) => getInviteStatus(i, now) === InviteStatus.ACTIVE).length >= ROOM_INVITES.maxActivePerRoom) {
+    return { ok: false, error: `A room can have at most ${ROOM_INVITES.maxActivePerRoom} active invites`, code: 'INVITE_LIMIT' };
+  }
+  const invite = await dbAdapter.createRoomInvite({
+    token: generateToken(),
+    roomId,
+    createdBy: userId,
+    createdAt: now,
+    expiresAt: expiry.value == null ? null : now + expiry.value,
+    maxUses: uses.value,
+  });
+  logger.info('RoomInvites', 'created', { roomId, userId, expiresAt: invite.expiresAt, maxUses: invite.maxUses });
+  return { ok: true, invite: toInviteDto(invite, now) };
+}
+
+/**
+ * Every invite of a room, newest first, with its status (revoked, expired and used up ones included).
+ * @param {string} userId - OWNER or ADMIN of the room
+ * @param {string} roomId
+ * @returns {Promise<{ ok: boolean, invites?: Object[], error?: string, code?: string }>}
+ */
+async function listInvites(userId, roomId) {
+  const manager = checkManager(roomId, userId);
+  if (!manager.ok) return manager;
+  const now = Date.now();
+  const invites = await dbAdapter.listRoomInvites(roomId);
+  return { ok: true, invites: invites.map((i) => toInviteDto(i, now)) };
+}
+
+/**
+ * Revoke an invite (idempotent). Only managers of the invite's room; others get INVITE_NOT_FOUND.
+ * @param {string} userId
+ * @param {string} token
+ * @returns {Promise<{ ok: boolean, invite?: Object, error?: string, code?: string }>}
+ */
+async function revokeInvite(userId, token) {
+  if (!isNonEmptyString(token)) return NOT_FOUND;
+  const invite = await dbAdapter.getRoomInvite(token);
+  if (!invite || !canManageInvites(invite.roomId, userId)) return NOT_FOUND;
+  const revoked = await dbAdapter.revokeRoomInvite(token, Date.now());
+  logger.info('RoomInvites', 'revoked', { roomId: invite.roomId, userId });
+  return { ok: true, invite: toInviteDto(revoked) };
+}
+
+/** Invite plus its room, or the failure to return for it. */
+async function loadUsableInvite(token, now) {
+  if (!isNonEmptyString(token)) return NOT_FOUND;
+  const invite = await dbAdapter.getRoomInvite(token);
+  if (!invite) return NOT_FOUND;
+  const room = roomManager.getRoomInfo(invite.roomId);
+  if (!room) return NOT_FOUND;
+  const status = getInviteStatus(invite, now);
+  if (status !== InviteStatus.ACTIVE) return { ok: false, ...UNUSABLE[status] };
+  return { ok: true, invite, room };
+}
+
+/**
+ * Public preview of an invite: what the user would join. Does not include the roomId.
+ * @param {string} token
+ * @returns {Promise<{ ok: boolean, preview?: { name: string, thumbnailUrl: string|null, memberCount: number, expiresAt: number|null }, error?: string, code?: string }>}
+ */
+async function previewInvite(token) {
+  const loaded = await loadUsableInvite(token, Date.now());
+  if (!loaded.ok) return loaded;
+  const { invite, room } = loaded;
+  return {
+    ok: true,
+    preview: {
+      name: room.name,
+      thumbnailUrl: room.thumbnailUrl ?? null,
+      memberCount: room.memberCount,
+      expiresAt: invite.expiresAt ?? null,
+    },
+  };
+}
+
+/**
+ * Notify a room that a user joined outside a WS ROOM_JOIN (invite, directory): same events as ROOM_JOIN,
+ * ROOM_MEMBER_JOINED to the others and ROOM_MEMBERS_UPDATED (with name and thumbnail) to everyone.
+ * @param {string} roomId
+ * @param {string} userId
+ */
+function notifyMemberJoined(roomId, userId) {
+  roomManager.broadcastToRoom(roomId, { type: 'ROOM_MEMBER_JOINED', roomId, userId, timestamp: Date.now() }, userId);
+  const snap = roomManager.getRoomSnapshot(roomId);
+  if (!snap) return;
+  roomManager.broadcastToRoom(roomId, {
+    type: 'ROOM_MEMBERS_UPDATED',
+    roomId,
+    members: snap.members,
+    roles: snap.roles,
+    version: snap.version,
+    updatedAt: snap.updatedAt,
+    name: snap.meta?.name ?? null,
+    thumbnailUrl: snap.meta?.thumbnailUrl ?? null,
+  });
+}
+
+/**
+ * Join a room with an invite.
+ * @param {string} userId
+ * @param {string} token
+ * @returns {Promise<{ ok: boolean, roomId?: string, alreadyMember?: boolean, error?: string, code?: string }>}
+ */
+async function acceptInvite(userId, token) {
+  const now = Date.now();
+  const loaded = await loadUsableInvite(token, now);
+  if (!loaded.ok) {
+    // A member following an old link just opens the room
+    const invite = loaded.code !== 'INVITE_NOT_FOUND' ? await dbAdapter.getRoomInvite(token) : null;
+    if (invite && roomManager.isRoomMember(invite.roomId, userId)) return { ok: true, roomId: invite.roomId, alreadyMember: true };
+    return loaded;
+  }
+  const { roomId } = loaded.invite;
+  if (roomManager.isRoomMember(roomId, userId)) return { ok: true, roomId, alreadyMember: true };
+
+  const claimed = await dbAdapter.claimRoomInviteUse(token, now);
+  if (!claimed) {
+    // Lost a race for the last use, or revoked in between
+    const latest = await dbAdapter.getRoomInvite(token);
+    const status = latest ? getInviteStatus(latest, now) : InviteStatus.REVOKED;
+    return { ok: false, ...(UNUSABLE[status] || UNUSABLE[InviteStatus.USED_UP]) };
+  }
+
+  const joined = await roomManager.joinRoom(roomId, userId);
+  if (!joined.success || joined.alreadyMember) {
+    await dbAdapter.releaseRoomInviteUse(token);
+    if (joined.success) return { ok: true, roomId, alreadyMember: true };
+    const code = joined.error === 'Room is full' ? 'ROOM_FULL' : 'JOIN_FAILED';
+    return { ok: false, error: joined.error || 'Could not join the room', code };
+  }
+  notifyMemberJoined(roomId, userId);
+  logger.info('RoomInvites', 'accepted', { roomId, userId, uses: claimed.uses });
+  return { ok: true, roomId, alreadyMember: false };
+}
+
+module.exports = {
+  InviteStatus,
+  getInviteStatus,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  previewInvite,
+  acceptInvite,
+  notifyMemberJoined,
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Room join requests ("knock").
+ *
+ * Rooms with visibility 'knock' are not joined directly (ROOM_JOIN and POST /api/rooms/:roomId/join answer
+ * APPROVAL_REQUIRED). A user asks with ROOM_JOIN_REQUEST, optionally with a note; the request waits on the room
+ * record until an OWNER, ADMIN or MODERATOR (PERMISSION.REVIEW_JOIN_REQUESTS) approves it, which adds the user as a MEMBER, or denies
+ * it, both with an optional reason. One pending request per user and room: asking again while pending changes
+ * nothing, asking again after a denial opens a new request.
+ *
+ * Nothing here sends to sockets; the WS handler tells reviewers and requesters (getReviewerIds).
+ */
+
+const roomManager = require('../websocket/state/roomManager');
+const roomRbac = require('./group.chat/core/rooms/room.rbac');
+const { PERMISSION } = require('./group.chat/core/rooms/room.types');
+const roomInviteService = require('./roomInvite.service');
+const { ROOM_JOIN_REQUESTS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const ReviewAction = {
+  APPROVE: 'approve',
+  DENY: 'deny',
+};
+
+const RequestStatus = {
+  PENDING: 'pending',
+  MEMBER: 'member',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+};
+
+const ROOM_NOT_FOUND = { ok: false, error: 'Room not found', code: 'NOT_FOUND' };
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/** Optional free text (note / reason): trimmed, cut to maxMessageLength, null when empty. */
+function normalizeNote(value) {
+  if (typeof value !== 'string') return null;
+  return value.trim().slice(0, ROOM_JOIN_REQUESTS.maxMessageLength) || null;
+}
+
+function canReview(roomId, userId) {
+  return roomRbac.roleHasPermission(roomManager.getRole(roomId, userId), PERMISSION.REVIEW_JOIN_REQUESTS);
+}
+
+/** Room must exist and the user must be allowed to review join requests. */
+function checkReviewer(roomId, userId) {
+  if (!isNonEmptyString(roomId)) return { ok: false, error: 'roomId is required', code: 'INVALID_PAYLOAD' };
+  if (!roomManager.getRoomInfo(roomId)) return ROOM_NOT_FOUND;
+  if (!canReview(roomId, userId)) {
+    return { ok: false, error: 'Only room owners, admins and moderators can review join requests', code: 'FORBIDDEN' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Members who are told about new requests and decisions (owners, admins and moderators).
+ * @param {string} roomId
+ * @returns {string[]}
+ */
+function getReviewerIds(roomId) {
+  return roomManager.getRoomMembers(roomId).filter((memberId) => canReview(roomId, memberId));
+}
+
+/**
+ * Ask to join a knock room.
+ * @param {string} userId
+ * @param {string} roomId
+ * @param {string} [message] - note for the reviewers
+ * @returns {{ ok: boolean, status?: 'pending'|'member', request?: Object, alreadyPending?: boolean, error?: string, code?: string }}
+ */
+function requestToJoin(userId, roomId, message) {
+  if (!isNonEmptyString(roomId)) return { ok: false, error: 'roomId is required', code: 'INVALID_PAYLOAD' };
+  const visibility = roomManager.getVisibility(roomId);
+  if (!visibility) return ROOM_NOT_FOUND;
+  if (roomManager.isRoomMember(roomId, userId)) return { ok: true, status: RequestStatus.MEMBER };
+  if (visibility === roomManager.VISIBILITY_PRIVATE) return ROOM_NOT_FOUND;
+  if (visibility !== roomManager.VISIBILITY_KNOCK) {
+    return { ok: false, error: 'This room can be joined directly', code: 'APPROVAL_NOT_REQUIRED' };
+  }
+
+  const added = roomManager.addJoinRequest(roomId, userId, normalizeNote(message));
+  if (!added.success) {
+    const code = added.error === 'Room not found' ? 'NOT_FOUND' : 'REQUEST_LIMIT';
+    return { ok: false, error: added.error, code };
+  }
+  if (!added.alreadyPending) logger.info('RoomJoinRequests', 'requested', { roomId, userId });
+  return { ok: true, status: RequestStatus.PENDING, request: added.request, alreadyPending: added.alreadyPending };
+}
+
+/**
+ * Pending requests of a room, oldest first.
+ * @param {string} userId - OWNER or ADMIN of the room
+ * @param {string} roomId
+ * @returns {{ ok: boolean, requests?: Object[], error?: string, code?: string }}
+ */
+function listRequests(userId, roomId) {
+  const reviewer = checkReviewer(roomId, userId);
+  if (!reviewer.ok) return reviewer;
+  return { ok: true, requests: roomManager.getJoinRequests(roomId) };
+}
+
+/**
+ * Approve (join as MEMBER, room notified) or deny a pending request. A failed join keeps the request pending.
+ * @param {string} actorId - OWNER or ADMIN of the room
+ * @param {string} roomId
+ * @param {string} targetUserId - the requester
+ * @param {'approve'|'deny'} action
+ * @param {string} [reason] - shown to the requester
+ * @returns {Promise<{ ok: boolean, request?: Object, status?: 'approved'|'denied', reason?: string|null, error?: string, code?: string }>}
+ */
+async function reviewRequest(actorId, roomId, targetUserId, action, reason) {
+  const reviewer = checkReviewer(roomId, actorId);
+  if (!reviewer.ok) return reviewer;
+  if (action !== ReviewAction.APPROVE && action !== ReviewAction.DENY) {
+    return { ok: false, error: "action must be 'approve' or 'deny'", code: 'INVALID_PAYLOAD' };
+  }
+  const request = isNonEmptyString(targetUserId) ? roomManager.getJoinRequest(roomId, targetUserId) : null;
+  if (!request) return { ok: false, error: 'No pending join request from this user', code: 'REQUEST_NOT_FOUND' };
+  const note = normalizeNote(reason);
+
+  if (action === ReviewAction.DENY) {
+    roomManager.removeJoinRequest(roomId, request.userId);
+    logger.info('RoomJoinRequests', 'denied', { roomId, userId: request.userId, actorId });
+    return { ok: true, request, status: RequestStatus.DENIED, reason: note };
+  }
+
+  const joined = await roomManager.joinRoom(roomId, request.userId);
+  if (!joined.success) {
+    const code = joined.error === 'Room is full' ? 'ROOM_FULL' : 'JOIN_FAILED';
+    return { ok: false, error: joined.error || 'Could not join the room', code };
+  }
+  if (joined.alreadyMember) {
+    roomManager.removeJoinRequest(roomId, request.userId);
+  } else {
+    roomInviteService.notifyMemberJoined(roomId, request.userId);
+  }
+  logger.info('RoomJoinRequests', 'approved', { roomId, userId: request.userId, actorId });
+  return { ok: true, request, status: RequestStatus.APPROVED, reason: note };
+}
+
+module.exports = {
+  ReviewAction,
+  RequestStatus,
+  getReviewerIds,
+  requestToJoin,
+  listRequests,
+  reviewRequest,
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Voice notes: duration and waveform summary of a recorded clip, computed server-side so every client
+ * draws the same bars without downloading the audio first.
+ *
+ * Opus (WebM/Ogg, as recorded by MediaRecorder) is decoded with opusscript (libopus as wasm) at 8 kHz mono,
+ * which is plenty for an amplitude envelope; the duration comes from the packet headers. WAV is read directly.
+ */
+
+const OpusScript = require('opusscript');
+const { VOICE } = require('../config/constants');
+const { parseVoiceContainer, opusPacketSamples } = require('../utils/audioContainer');
+const { logger } = require('../utils/logger');
+
+const OPUS_RATE = 48000;
+const DECODE_RATE = 8000;
+
+const UNSUPPORTED = { ok: false, error: 'Voice notes must be Opus (WebM/Ogg) or PCM WAV audio', code: 'INVALID_TYPE' };
+
+/**
+ * Bars of RMS amplitude over equal slices of the clip, scaled to 0–100 against the loudest slice.
+ * The square root lifts quiet speech so it stays visible next to peaks.
+ * @param {(i: number) => number} sampleAt - Sample in [-1, 1]
+ * @param {number} count - Number of samples
+ * @param {number} bars
+ * @returns {number[]}
+ */
+function waveformOf(sampleAt, count, bars) {
+  const energy = new Array(bars).fill(0);
+  const sizes = new Array(bars).fill(0);
+  for (let i = 0; i < count; i++) {
+    const bar = Math.min(bars - 1, Math.floor((i * bars) / count));
+    const s = sampleAt(i);
+    energy[bar] += s * s;
+    sizes[bar]++;
+  }
+  const rms = energy.map((e, i) => (sizes[i] > 0 ? Math.sqrt(e / sizes[i]) : 0));
+  const peak = Math.max(...rms);
+  if (!(peak > 0)) return new Array(bars).fill(0);
+  return rms.map((r) => Math.round(100 * Math.sqrt(r / peak)));
+}
+
+/** Decode Opus packets to 8 kHz mono PCM; packets libopus rejects become silence of the same length. */
+function decodeOpus(packets, channels) {
+  const decoder = new OpusScript(DECODE_RATE, 1);
+  const chunks = [];
+  let failed = 0;
+  try {
+    for (const packet of packets) {
+      try {
+        chunks.push(Buffer.from(decoder.decode(packet)));
+      } catch (_) {
+        failed++;
+        chunks.push(Buffer.alloc((opusPacketSamples(packet) / (OPUS_RATE / DECODE_RATE)) * 2));
+      }
+    }
+  } finally {
+    decoder.delete();
+  }
+  if (failed > 0) logger.warn('Voice', 'opus_packets_undecodable', { failed, total: packets.length, channels });
+  return { pcm: Buffer.concat(chunks), failed };
+}
+
+/**
+ * Validate and summarize a voice note.
+ * @param {Buffer} input - Whole file
+ * @returns {{ ok: boolean, voice?: { mime: string, ext: string, durationMs: number, waveform: number[] }, error?: string, code?: string }}
+ */
+function analyzeVoiceNote(input) {
+  const audio = parseVoiceContainer(input);
+  if (!audio || audio.channels > 2) return UNSUPPORTED;
+
+  let durationMs;
+  let waveform;
+  if (audio.codec === 'opus') {
+    const samples = audio.packets.reduce((sum, p) => sum + opusPacketSamples(p), 0) - audio.preSkip;
+    durationMs = Math.round((Math.max(0, samples) / OPUS_RATE) * 1000);
+    if (durationMs > VOICE.maxDurationMs) return tooLong();
+    const { pcm, failed } = decodeOpus(audio.packets, audio.channels);
+    if (audio.packets.length > 0 && failed === audio.packets.length) {
+      return { ok: false, error: 'Voice note could not be decoded', code: 'INVALID_TYPE' };
+    }
+    // Drop the encoder's pre-skip so the bars line up with what is heard
+    const offset = Math.min(pcm.length >> 1, Math.round(audio.preSkip / (OPUS_RATE / DECODE_RATE)));
+    const count = (pcm.length >> 1) - offset;
+    waveform = waveformOf((i) => pcm.readInt16LE((offset + i) * 2) / 32768, count, VOICE.waveformBars);
+  } else {
+    const bytesPerSample = audio.float ? 4 : 2;
+    const count = Math.floor(audio.data.length / bytesPerSample);
+    durationMs = Math.round((count / audio.channels / audio.sampleRate) * 1000);
+    if (durationMs > VOICE.maxDurationMs) return tooLong();
+    const sampleAt = audio.float
+      ? (i) => audio.data.readFloatLE(i * 4)
+      : (i) => audio.data.readInt16LE(i * 2) / 32768;
+    waveform = waveformOf(sampleAt, count, VOICE.waveformBars);
+  }
+  if (durationMs < VOICE.minDurationMs) {
+    return { ok: false, error: 'Voice note is too short', code: 'VOICE_TOO_SHORT' };
+  }
+  return { ok: true, voice: { mime: audio.mime, ext: audio.ext, durationMs, waveform } };
+}
+
+function tooLong() {
+  return { ok: false, error: `Voice notes can be at most ${Math.floor(VOICE.maxDurationMs / 1000)} seconds long`, code: 'VOICE_TOO_LONG' };
+}
+
+module.exports = {
+  analyzeVoiceNote,
+};
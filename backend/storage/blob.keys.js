@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Blob keys: "/"-separated segments of [A-Za-z0-9._-], no empty, "." or ".." segments.
+ * Both drivers reject anything else, so a key can never escape the local root or the bucket prefix.
+ */
+
+const SEGMENT = /^[A-Za-z0-9._-]+$/;
+
+function isValidKey(key) {
+  if (typeof key !== 'string' || key.length === 0 || key.length > 512) return false;
+  return key.split('/').every((segment) => SEGMENT.test(segment) && segment !== '.' && segment !== '..');
+}
+
+function assertValidKey(key) {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid blob key: ${JSON.stringify(key)}`);
+  }
+}
+
+module.exports = { isValidKey, assertValidKey };
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Local-disk blob driver: key "a/b" is the file <rootDir>/a/b. Writes go to a temp file in the same
+ * directory and are renamed into place, so readers never see a partial blob.
+ * Only for a single instance with a persistent disk (files are lost on Render restarts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { assertValidKey } = require('./blob.keys');
+
+/**
+ * @param {{ rootDir: string }} options
+ */
+function createLocalBlobStore({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  function filePathOf(key) {
+    assertValidKey(key);
+    return path.join(root, ...key.split('/'));
+  }
+
+  async function put(key, body, { contentLength } = {}) {
+    const filePath = filePathOf(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const partPath = `${filePath}.part-${crypto.randomBytes(6).toString('hex')}`;
+    try {
+      const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+      await pipeline(source, fs.createWriteStream(partPath, { flags: 'wx' }));
+      const { size } = await fs.promises.stat(partPath);
+      if (contentLength != null && size !== contentLength) {
+        throw new Error(`Blob ${key}: wrote ${size} bytes, expected ${contentLength}`);
+      }
+      await fs.promises.rename(partPath, filePath);
+      return { size };
+    } catch (err) {
+      await fs.promises.unlink(partPath).catch(() => {});
+      throw err;
+    }
+  }
+
+  async function get(key, range) {
+    const filePath = filePathOf(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch (_) {
+      return null;
+    }
+    return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  async function head(key) {
+    try {
+      const stat = await fs.promises.stat(filePathOf(key));
+      return stat.isFile() ? { size: stat.size } : null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function remove(key) {
+    try {
+      await fs.promises.unlink(filePathOf(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  return { name: 'local', rootDir: root, put, get, head, delete: remove };
+}
+
+module.exports = { createLocalBlobStore };
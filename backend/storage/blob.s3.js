@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * S3-compatible blob driver (AWS S3, MinIO, Cloudflare R2, ...) over plain http/https with
+ * Signature Version 4. Bodies are streamed both ways: uploads send UNSIGNED-PAYLOAD with a known
+ * Content-Length (S3 rejects chunked uploads without aws-chunked signing), downloads return the
+ * response stream, with a Range header for partial reads.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { assertValidKey } = require('./blob.keys');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/** RFC 3986 encoding of one path segment (encodeURIComponent leaves !'()* alone; SigV4 does not). */
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * SigV4 Authorization header for an S3 request. Every header in `headers` is signed; it must include
+ * host, x-amz-date and x-amz-content-sha256.
+ *
+ * @param {{ method: string, path: string, headers: Object<string,string>, region: string,
+ *   accessKeyId: string, secretAccessKey: string }} request - path already URI-encoded, no query string
+ * @returns {string}
+ */
+function signRequest({ method, path: canonicalUri, headers, region, accessKeyId, secretAccessKey }) {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const names = Object.keys(headers).map((n) => n.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([n, v]) => [n.toLowerCase(), v]));
+  const canonicalHeaders = names.map((n) => `${n}:${String(lower[n]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [method, canonicalUri, '', canonicalHeaders, signedHeaders, lower['x-amz-content-sha256']].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function readBody(res) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    res.on('data', (c) => chunks.push(c));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    res.on('error', () => resolve(''));
+  });
+}
+
+async function toS3Error(res, key) {
+  const body = await readBody(res);
+  const code = /<Code>([^<]+)<\/Code>/.exec(body)?.[1] || `HTTP_${res.statusCode}`;
+  const err = new Error(`S3 ${code} for ${key} (${res.statusCode})`);
+  err.code = code;
+  err.statusCode = res.statusCode;
+  return err;
+}
+
+/**
+ * @param {{ bucket: string, region?: string, endpoint?: string, accessKeyId: string, secretAccessKey: string,
+ *   forcePathStyle?: boolean, keyPrefix?: string, timeoutMs?: number }} options - endpoint defaults to AWS
+ *   (https://s3.<region>.amazonaws.com); custom endpoints (MinIO) default to path-style addressing
+ */
+function createS3BlobStore({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  keyPrefix = '',
+  timeoutMs = 30000,
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 blob store needs a bucket, access key id and secret access key');
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = forcePathStyle ?? Boolean(endpoint);
+  const host = pathStyle ? base.host : `${bucket}.${base.host}`;
+  const transport = base.protocol === 'http:' ? http : https;
+  const agent = new transport.Agent({ keepAlive: true });
+  const prefix = keyPrefix.replace(/^\/+|\/+$/g, '');
+
+  function objectPath(key) {
+    assertValidKey(key);
+    const fullKey = prefix ? `${prefix}/${key}` : key;
+    const encoded = fullKey.split('/').map(encodeSegment).join('/');
+    return pathStyle ? `/${encodeSegment(bucket)}/${encoded}` : `/${encoded}`;
+  }
+
+  /**
+   * Signed request; resolves with the response once headers arrive (body not consumed).
+   * @param {string} method
+   * @param {string} key
+   * @param {{ headers?: Object, body?: Buffer|import('stream').Readable }} [opts]
+   */
+  function request(method, key, { headers = {}, body } = {}) {
+    const reqPath = objectPath(key);
+    const signed = {
+      host,
+      'x-amz-date': toAmzDate(new Date()),
+      'x-amz-content-sha256': body ? UNSIGNED_PAYLOAD : EMPTY_SHA256,
+      ...Object.fromEntries(Object.entries(headers).filter(([n]) => n.toLowerCase() === 'range')),
+    };
+    const allHeaders = { ...headers, ...signed };
+    allHeaders.authorization = signRequest({ method, path: reqPath, headers: signed, region, accessKeyId, secretAccessKey });
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: base.protocol,
+        hostname: pathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+        port: base.port || undefined,
+        method,
+        path: reqPath,
+        headers: allHeaders,
+        agent,
+      }, resolve);
+      req.setTimeout(timeoutMs, () => req.destroy(new Error(`S3 ${method} ${key} timed out`)));
+      req.on('error', reject);
+      if (!body) {
+        req.end();
+      } else if (Buffer.isBuffer(body)) {
+        req.end(body);
+      } else {
+        pipeline(body, req, (err) => { if (err) req.destroy(err); });
+      }
+    });
+  }
+
+  async function put(key, body, { contentLength, contentType } = {}) {
+    const size = Buffer.isBuffer(body) ? body.length : contentLength;
+    if (!Number.isFinite(size)) {
+      throw new Error(`Blob ${key}: contentLength is required for streamed S3 uploads`);
+    }
+    const headers = { 'content-length': String(size), 'content-type': contentType || 'application/octet-stream' };
+    const res = await request('PUT', key, { headers, body });
+    if (res.statusCode !== 200) throw await toS3Error(res, key);
+    res.resume();
+    return { size };
+  }
+
+  async function get(key, range) {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    const res = await request('GET', key, { headers });
+    if (res.statusCode === 404) {
+      res.resume();
+      return null;
+    }
+    if (res.statusCode !== 200 && res.statusCode !== 206) throw await toS3Error(res, key);
+    return res;
+  }
+
+  async function head(key) {
+    const res = await request('HEAD', key);
+    res.resume();
+    if (res.statusCode === 404) return null;
+    if (res.statusCode !== 200) throw await toS3Error(res, key);
+    return { size: Number(res.headers['content-length']) };
+  }
+
+  async function remove(key) {
+    const res = await request('DELETE', key);
+    if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) throw await toS3Error(res, key);
+    res.resume();
+  }
+
+  return { name: 's3', bucket, put, get, head, delete: remove };
+}
+
+module.exports = { createS3BlobStore, signRequest };
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Blob storage for uploaded files: avatars and group thumbnails under "uploads/<filename>",
+ * chat attachments under "attachments/<attachmentId>".
+ *
+ * BLOB_STORE selects the driver:
+ * - local (default): files under BLOB_LOCAL_DIR (default storage/_data). Single instance only.
+ * - s3: any S3-compatible service. S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required;
+ *   S3_REGION (default us-east-1), S3_ENDPOINT (e.g. http://localhost:9000 for MinIO; path-style unless
+ *   S3_FORCE_PATH_STYLE=false), S3_KEY_PREFIX and S3_TIMEOUT_MS are optional.
+ * A misconfigured driver throws at require time, so the server fails at startup rather than on first upload.
+ *
+ * Driver interface (all async):
+ * - put(key, body: Buffer|Readable, { contentLength?, contentType? }) → { size }; streams need contentLength for s3
+ * - get(key, { start, end }?) → Readable | null (no such blob); end is inclusive
+ * - head(key) → { size } | null
+ * - delete(key) → void (missing keys are fine)
+ */
+
+const path = require('path');
+const { createLocalBlobStore } = require('./blob.local');
+const { createS3BlobStore } = require('./blob.s3');
+
+const DEFAULT_LOCAL_DIR = path.resolve(__dirname, '_data');
+
+/**
+ * Driver for an environment (process.env shape).
+ * @param {Object<string,string|undefined>} env
+ */
+function createBlobStore(env) {
+  const driver = (env.BLOB_STORE || 'local').trim().toLowerCase();
+  if (driver === 'local') {
+    return createLocalBlobStore({ rootDir: env.BLOB_LOCAL_DIR || DEFAULT_LOCAL_DIR });
+  }
+  if (driver === 's3') {
+    return createS3BlobStore({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || undefined,
+      endpoint: env.S3_ENDPOINT || undefined,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === undefined ? undefined : env.S3_FORCE_PATH_STYLE !== 'false',
+      keyPrefix: env.S3_KEY_PREFIX || '',
+      timeoutMs: env.S3_TIMEOUT_MS ? parseInt(env.S3_TIMEOUT_MS, 10) : undefined,
+    });
+  }
+  throw new Error(`Unknown BLOB_STORE "${driver}" (expected local or s3)`);
+}
+
+const blobStore = createBlobStore(process.env);
+
+module.exports = {
+  blobStore,
+  createBlobStore,
+  DEFAULT_LOCAL_DIR,
+};
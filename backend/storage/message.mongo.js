@@ -10,9 +10,20 @@ const { ObjectId } = require('mongodb');
 const { ReadPreference } = require('mongodb');
 const { toRoomChatId } = require('../utils/chatId');
 const mongoClient = require('./mongo.client');
+const { ScheduledStatus, VISIBLE_STATUSES } = require('../models/ScheduledMessage.model');
 
 const COLLECTION = 'messages';
 const DELIVERY_COLLECTION = 'deliveries';
+const PINS_COLLECTION = 'chat_pins';
+const SCHEDULED_COLLECTION = 'scheduled_messages';
+const CHAT_SETTINGS_COLLECTION = 'chat_settings';
+const BOOKMARKS_COLLECTION = 'message_bookmarks';
+const ATTACHMENTS_COLLECTION = 'attachments';
+const ARCHIVES_COLLECTION = 'chat_archives';
+const MUTES_COLLECTION = 'chat_mutes';
+const BLOCKS_COLLECTION = 'user_blocks';
+const MESSAGE_REQUESTS_COLLECTION = 'message_requests';
+const ROOM_INVITES_COLLECTION = 'room_invites';
 
 let indexesEnsured = false;
 
@@ -35,6 +46,9 @@ async function ensureIndexes(database) {
   await col.createIndex({ roomId: 1 });
   await col.createIndex({ chatId: 1, messageId: 1 });
   await col.createIndex({ chatId: 1, roomMessageId: 1 }, { sparse: true });
+  await col.createIndex({ roomMessageId: 1, readAt: -1 }, { sparse: true });
+  await col.createIndex({ recipientId: 1, roomId: 1, timestamp: -1 });
+  await col.createIndex({ expiresAt: 1 }, { sparse: true });
   // Content index for global message search (regex / text); supports efficient scan + sort by createdAt
   try {
     await col.createIndex({ content: 1 });
@@ -43,6 +57,35 @@ async function ensureIndexes(database) {
   }
   const delCol = database.collection(DELIVERY_COLLECTION);
   await delCol.createIndex({ messageId: 1, userId: 1 }, { unique: true });
+  const pinCol = database.collection(PINS_COLLECTION);
+  await pinCol.createIndex({ chatId: 1, messageId: 1 }, { unique: true });
+  await pinCol.createIndex({ chatId: 1, pinnedAt: -1 });
+  const schedCol = database.collection(SCHEDULED_COLLECTION);
+  await schedCol.createIndex({ scheduledId: 1 }, { unique: true });
+  await schedCol.createIndex({ senderId: 1, status: 1, sendAt: 1 });
+  await schedCol.createIndex({ status: 1, sendAt: 1 });
+  await schedCol.createIndex({ status: 1, leaseUntil: 1 });
+  await database.collection(CHAT_SETTINGS_COLLECTION).createIndex({ chatId: 1 }, { unique: true });
+  const bookmarkCol = database.collection(BOOKMARKS_COLLECTION);
+  await bookmarkCol.createIndex({ userId: 1, messageId: 1 }, { unique: true });
+  await bookmarkCol.createIndex({ userId: 1, bookmarkedAt: -1 });
+  await bookmarkCol.createIndex({ messageId: 1 });
+  const archiveCol = database.collection(ARCHIVES_COLLECTION);
+  await archiveCol.createIndex({ userId: 1, chatId: 1 }, { unique: true });
+  await archiveCol.createIndex({ chatId: 1, keepArchived: 1 });
+  await database.collection(MUTES_COLLECTION).createIndex({ userId: 1, chatId: 1 }, { unique: true });
+  const blockCol = database.collection(BLOCKS_COLLECTION);
+  await blockCol.createIndex({ userId: 1, blockedUserId: 1 }, { unique: true });
+  await blockCol.createIndex({ userId: 1, blockedAt: -1 });
+  await database.collection(MESSAGE_REQUESTS_COLLECTION).createIndex({ chatId: 1 }, { unique: true });
+  const inviteCol = database.collection(ROOM_INVITES_COLLECTION);
+  await inviteCol.createIndex({ token: 1 }, { unique: true });
+  await inviteCol.createIndex({ roomId: 1, createdAt: -1 });
+  const attachmentCol = database.collection(ATTACHMENTS_COLLECTION);
+  await attachmentCol.createIndex({ attachmentId: 1 }, { unique: true });
+  await attachmentCol.createIndex({ uploaderId: 1, createdAt: -1 });
+  await attachmentCol.createIndex({ chatId: 1 });
+  await attachmentCol.createIndex({ createdAt: 1 });
 }
 
 function normalizeMessage(doc) {
@@ -68,6 +111,14 @@ async function persistMessage(messageData) {
     chatId,
     contentType,
     clientMessageId,
+    replyToMessageId,
+    threadRootId,
+    alsoSendToRoom,
+    forwardedFrom,
+    expiresAt,
+    mentions,
+    poll,
+    attachments,
   } = messageData;
 
   if (!messageId || !senderId || !content) {
@@ -109,9 +160,18 @@ async function persistMessage(messageData) {
     chatId: chatId || null,
     contentType: contentType || 'text',
     clientMessageId: clientMessageId || null,
+    replyToMessageId: replyToMessageId || null,
+    threadRootId: threadRootId || null,
+    alsoSendToRoom: threadRootId ? alsoSendToRoom === true : false,
+    forwardedFrom: forwardedFrom || null,
+    expiresAt: expiresAt || null,
+    mentions: Array.isArray(mentions) ? mentions : [],
+    poll: poll || null,
+    attachments: Array.isArray(attachments) ? attachments : [],
     editedAt: null,
     deleted: false,
     deletedAt: null,
+    reactions: {},
   };
   await col.insertOne(doc, { writeConcern: { w: 'majority' } });
 
@@ -129,6 +189,8 @@ async function updateMessageState(messageId, newState) {
 
 /**
  * Edit message content. Only the sender may edit.
+ * The replaced content is appended to revisions ({ content, createdAt }) in the same update, so the trail is
+ * append-only even under concurrent edits. Room messages: pass the roomMessageId to edit all rows of the message.
  * @param {string} messageId - Message ID
  * @param {string} actorUserId - User ID (must equal message.senderId)
  * @param {string} newContent - New content
@@ -139,13 +201,26 @@ async function editMessageContent(messageId, actorUserId, newContent) {
   const database = await getDb();
   const col = database.collection(COLLECTION);
   const now = Date.now();
-  const result = await col.findOneAndUpdate(
-    { messageId, senderId: actorUserId },
-    { $set: { content: String(newContent), editedAt: now, updatedAt: now } },
-    { returnDocument: 'after' }
+  const result = await col.updateMany(
+    { $or: [{ messageId }, { roomMessageId: messageId }], senderId: actorUserId },
+    [
+      {
+        $set: {
+          revisions: {
+            $concatArrays: [
+              { $ifNull: ['$revisions', []] },
+              [{ content: '$content', createdAt: { $ifNull: ['$editedAt', '$timestamp'] } }],
+            ],
+          },
+          content: { $literal: String(newContent) },
+          editedAt: now,
+          updatedAt: now,
+        },
+      },
+    ]
   );
-  const doc = result?.value ?? result;
-  return doc ? normalizeMessage(doc) : null;
+  if (result.matchedCount === 0) return null;
+  return getMessage(messageId);
 }
 
 /**
@@ -168,12 +243,137 @@ async function softDeleteMessage(messageId, actorUserId) {
   return doc ? normalizeMessage(doc) : null;
 }
 
+/**
+ * Add a user's reaction. Stored as reactions.<emoji> = [userId, ...] ($addToSet, so idempotent).
+ * Room messages: applied to the canonical row and every per-recipient row sharing the roomMessageId,
+ * so whichever row history/replay dedupes to carries the same reactions.
+ * @param {string} messageId - messageId (DM) or roomMessageId (room)
+ * @param {string} userId - Reacting user
+ * @param {string} emoji - Reaction (validated upstream; safe as a field name)
+ * @returns {Promise<Object|null>} Updated message doc (normalized) or null if not found
+ */
+async function addReaction(messageId, userId, emoji) {
+  if (!messageId || !userId || !emoji) return null;
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const result = await col.updateMany(
+    { $or: [{ messageId }, { roomMessageId: messageId }] },
+    { $addToSet: { [`reactions.${emoji}`]: userId }, $set: { updatedAt: Date.now() } }
+  );
+  if (result.matchedCount === 0) return null;
+  return getMessage(messageId);
+}
+
+/**
+ * Record a thread reply on its root: bumps thread.replyCount, advances thread.lastReplyAt and adds
+ * the replier to thread.participantIds. Applied to the canonical row and every per-recipient row of
+ * the root so whichever row history dedupes to carries the same summary.
+ * @param {string} threadRootId - Root roomMessageId
+ * @param {string} userId - Replier
+ * @param {number} timestamp - Reply timestamp
+ * @returns {Promise<Object|null>} Updated root doc (normalized) or null if not found
+ */
+async function recordThreadReply(threadRootId, userId, timestamp) {
+  if (!threadRootId || !userId) return null;
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const result = await col.updateMany(
+    { $or: [{ messageId: threadRootId }, { roomMessageId: threadRootId }] },
+    {
+      $inc: { 'thread.replyCount': 1 },
+      $max: { 'thread.lastReplyAt': timestamp || Date.now() },
+      $addToSet: { 'thread.participantIds': userId },
+      $set: { updatedAt: Date.now() },
+    }
+  );
+  if (result.matchedCount === 0) return null;
+  return getMessage(threadRootId);
+}
+
+/**
+ * Remove a user's reaction. No-op (still returns the doc) if the user had not reacted with emoji.
+ * @param {string} messageId - messageId (DM) or roomMessageId (room)
+ * @param {string} userId - Reacting user
+ * @param {string} emoji - Reaction
+ * @returns {Promise<Object|null>} Updated message doc (normalized) or null if not found
+ */
+async function removeReaction(messageId, userId, emoji) {
+  if (!messageId || !userId || !emoji) return null;
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const filter = { $or: [{ messageId }, { roomMessageId: messageId }] };
+  const result = await col.updateMany(
+    filter,
+    { $pull: { [`reactions.${emoji}`]: userId }, $set: { updatedAt: Date.now() } }
+  );
+  if (result.matchedCount === 0) return null;
+  await col.updateMany({ ...filter, [`reactions.${emoji}`]: { $size: 0 } }, { $unset: { [`reactions.${emoji}`]: '' } });
+  return getMessage(messageId);
+}
+
+/**
+ * Replace a user's poll vote (poll.votes.<userId> = optionIds); an empty list retracts the vote.
+ * Applied to the canonical row and every per-recipient row of the room message, like reactions.
+ * @param {string} messageId - roomMessageId of the poll
+ * @param {string} userId - Voter
+ * @param {string[]} optionIds - Selected option ids (validated upstream)
+ * @returns {Promise<Object|null>} Updated message doc (normalized) or null if not found / not a poll
+ */
+async function setPollVote(messageId, userId, optionIds) {
+  if (!messageId || !userId || !Array.isArray(optionIds)) return null;
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const update = optionIds.length > 0
+    ? { $set: { [`poll.votes.${userId}`]: optionIds, updatedAt: Date.now() } }
+    : { $unset: { [`poll.votes.${userId}`]: '' }, $set: { updatedAt: Date.now() } };
+  const result = await col.updateMany(
+    { $or: [{ messageId }, { roomMessageId: messageId }], poll: { $type: 'object' } },
+    update
+  );
+  if (result.matchedCount === 0) return null;
+  return getMessage(messageId);
+}
+
+/**
+ * Record the first time a user played a voice message, on every row of the logical message
+ * (DM row, or room canonical + per-recipient rows). Later listens keep the first timestamp.
+ * @param {string} messageId - messageId or roomMessageId
+ * @param {string} userId
+ * @param {number} listenedAt
+ * @returns {Promise<Object|null>} Updated message, or null if it is not a voice message
+ */
+async function recordVoiceListen(messageId, userId, listenedAt) {
+  if (!messageId || !userId) return null;
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const filter = { $or: [{ messageId }, { roomMessageId: messageId }], contentType: 'voice' };
+  const matched = await col.countDocuments(filter, { limit: 1 });
+  if (matched === 0) return null;
+  await col.updateMany(
+    { ...filter, [`listenedBy.${userId}`]: { $exists: false } },
+    { $set: { [`listenedBy.${userId}`]: listenedAt, updatedAt: Date.now() } }
+  );
+  return getMessage(messageId);
+}
+
 async function getMessage(messageId) {
   const database = await getDb();
   const doc = await database.collection(COLLECTION).findOne({ messageId });
   return normalizeMessage(doc);
 }
 
+/**
+ * @param {string[]} messageIds
+ * @returns {Promise<Object[]>} Stored messages that exist (any order)
+ */
+async function getMessages(messageIds) {
+  const ids = (Array.isArray(messageIds) ? messageIds : []).filter(Boolean);
+  if (ids.length === 0) return [];
+  const database = await getDb();
+  const docs = await database.collection(COLLECTION).find({ messageId: { $in: ids } }).toArray();
+  return docs.map(normalizeMessage);
+}
+
 async function markMessageDelivered(messageId, userId) {
   const database = await getDb();
   const delCol = database.collection(DELIVERY_COLLECTION);
@@ -184,6 +384,737 @@ async function markMessageDelivered(messageId, userId) {
   );
 }
 
+/**
+ * Pin a message in a chat. Idempotent: pinning an already pinned message keeps the first pin.
+ * @param {string} chatId - direct:u1:u2 | room:roomId
+ * @param {string} messageId - messageId (DM) or roomMessageId (room)
+ * @param {string} userId - Pinning user
+ * @returns {Promise<boolean>} true if a new pin was created
+ */
+async function addPin(chatId, messageId, userId) {
+  if (!chatId || !messageId || !userId) return false;
+  const database = await getDb();
+  const result = await database.collection(PINS_COLLECTION).updateOne(
+    { chatId, messageId },
+    { $setOnInsert: { chatId, messageId, pinnedBy: userId, pinnedAt: Date.now() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Unpin a message. No-op if it was not pinned.
+ * @returns {Promise<boolean>} true if a pin was removed
+ */
+async function removePin(chatId, messageId) {
+  if (!chatId || !messageId) return false;
+  const database = await getDb();
+  const result = await database.collection(PINS_COLLECTION).deleteOne({ chatId, messageId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Pins of a chat, most recently pinned first.
+ * @param {string} chatId
+ * @returns {Promise<Array<{ messageId: string, pinnedBy: string, pinnedAt: number }>>}
+ */
+async function getPins(chatId) {
+  if (!chatId) return [];
+  const database = await getDb();
+  const docs = await database.collection(PINS_COLLECTION)
+    .find({ chatId }, { projection: { _id: 0, messageId: 1, pinnedBy: 1, pinnedAt: 1 } })
+    .sort({ pinnedAt: -1, messageId: 1 })
+    .toArray();
+  return docs;
+}
+
+/**
+ * Bookmark (star) a message for one user. Idempotent: re-bookmarking keeps the first bookmarkedAt.
+ * @param {string} userId
+ * @param {string} chatId - direct:u1:u2 | room:roomId
+ * @param {string} messageId - messageId (DM) or roomMessageId (room)
+ * @returns {Promise<boolean>} true if a new bookmark was created
+ */
+async function addBookmark(userId, chatId, messageId) {
+  if (!userId || !chatId || !messageId) return false;
+  const database = await getDb();
+  const result = await database.collection(BOOKMARKS_COLLECTION).updateOne(
+    { userId, messageId },
+    { $setOnInsert: { userId, chatId, messageId, bookmarkedAt: Date.now() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Remove one user's bookmark. No-op if the message was not bookmarked.
+ * @returns {Promise<boolean>} true if a bookmark was removed
+ */
+async function removeBookmark(userId, messageId) {
+  if (!userId || !messageId) return false;
+  const database = await getDb();
+  const result = await database.collection(BOOKMARKS_COLLECTION).deleteOne({ userId, messageId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Bookmarks of one user, most recently bookmarked first.
+ * @param {string} userId
+ * @returns {Promise<Array<{ messageId: string, chatId: string, bookmarkedAt: number }>>}
+ */
+async function getBookmarks(userId) {
+  if (!userId) return [];
+  const database = await getDb();
+  return database.collection(BOOKMARKS_COLLECTION)
+    .find({ userId }, { projection: { _id: 0, messageId: 1, chatId: 1, bookmarkedAt: 1 } })
+    .sort({ bookmarkedAt: -1, messageId: 1 })
+    .toArray();
+}
+
+/** @returns {Promise<number>} Number of bookmarks the user has */
+async function countBookmarks(userId) {
+  if (!userId) return 0;
+  const database = await getDb();
+  return database.collection(BOOKMARKS_COLLECTION).countDocuments({ userId });
+}
+
+/**
+ * Remove every user's bookmarks of the given messages (deleted or expired messages).
+ * @param {string[]} messageIds - messageId (DM) / roomMessageId (room)
+ * @returns {Promise<number>} Number of bookmarks removed
+ */
+async function removeBookmarksForMessages(messageIds) {
+  const ids = (Array.isArray(messageIds) ? messageIds : []).filter(Boolean);
+  if (ids.length === 0) return 0;
+  const database = await getDb();
+  const result = await database.collection(BOOKMARKS_COLLECTION).deleteMany({ messageId: { $in: ids } });
+  return result.deletedCount;
+}
+
+/**
+ * Archive chats for one user. Re-archiving keeps the first archivedAt and only updates keepArchived.
+ * @param {string} userId
+ * @param {string[]} chatIds - direct:u1:u2 | room:roomId
+ * @param {boolean} keepArchived - true: new messages do not unarchive the chats
+ * @returns {Promise<number>} Number of chats archived or changed
+ */
+async function archiveChats(userId, chatIds, keepArchived) {
+  const ids = (Array.isArray(chatIds) ? chatIds : []).filter(Boolean);
+  if (!userId || ids.length === 0) return 0;
+  const database = await getDb();
+  const now = Date.now();
+  const result = await database.collection(ARCHIVES_COLLECTION).bulkWrite(
+    ids.map((chatId) => ({
+      updateOne: {
+        filter: { userId, chatId },
+        update: { $setOnInsert: { userId, chatId, archivedAt: now }, $set: { keepArchived: keepArchived === true } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return result.upsertedCount + result.modifiedCount;
+}
+
+/**
+ * Unarchive chats for one user. No-op for chats that were not archived.
+ * @returns {Promise<number>} Number of chats unarchived
+ */
+async function unarchiveChats(userId, chatIds) {
+  const ids = (Array.isArray(chatIds) ? chatIds : []).filter(Boolean);
+  if (!userId || ids.length === 0) return 0;
+  const database = await getDb();
+  const result = await database.collection(ARCHIVES_COLLECTION).deleteMany({ userId, chatId: { $in: ids } });
+  return result.deletedCount;
+}
+
+/**
+ * Archived chats of one user, most recently archived first.
+ * @param {string} userId
+ * @returns {Promise<Array<{ chatId: string, archivedAt: number, keepArchived: boolean }>>}
+ */
+async function getArchivedChats(userId) {
+  if (!userId) return [];
+  const database = await getDb();
+  return database.collection(ARCHIVES_COLLECTION)
+    .find({ userId }, { projection: { _id: 0, chatId: 1, archivedAt: 1, keepArchived: 1 } })
+    .sort({ archivedAt: -1, chatId: 1 })
+    .toArray();
+}
+
+/**
+ * A new message arrived in a chat: unarchive it for the given users unless they chose to keep it archived.
+ * @param {string} chatId
+ * @param {string[]} userIds - Recipients of the message
+ * @returns {Promise<string[]>} Users whose chat was unarchived
+ */
+async function releaseArchivedChat(chatId, userIds) {
+  const ids = (Array.isArray(userIds) ? userIds : []).filter((id, i, all) => id && all.indexOf(id) === i);
+  if (!chatId || ids.length === 0) return [];
+  const database = await getDb();
+  const col = database.collection(ARCHIVES_COLLECTION);
+  const filter = { chatId, userId: { $in: ids }, keepArchived: { $ne: true } };
+  const docs = await col.find(filter, { projection: { _id: 0, userId: 1 } }).toArray();
+  if (docs.length === 0) return [];
+  await col.deleteMany({ chatId, userId: { $in: docs.map((d) => d.userId) }, keepArchived: { $ne: true } });
+  return docs.map((d) => d.userId);
+}
+
+/**
+ * Mute a chat for one user, replacing any previous mute of it.
+ * @param {string} userId
+ * @param {string} chatId - direct:u1:u2 | room:roomId
+ * @param {number|null} mutedUntil - Epoch ms the mute ends; null mutes until unmuted
+ * @returns {Promise<{ chatId: string, mutedAt: number, mutedUntil: number|null }|null>}
+ */
+async function setChatMute(userId, chatId, mutedUntil) {
+  if (!userId || !chatId) return null;
+  const database = await getDb();
+  const mute = { chatId, mutedAt: Date.now(), mutedUntil: mutedUntil ?? null };
+  await database.collection(MUTES_COLLECTION).updateOne(
+    { userId, chatId },
+    { $set: { userId, ...mute } },
+    { upsert: true }
+  );
+  return mute;
+}
+
+/**
+ * Unmute a chat for one user.
+ * @returns {Promise<boolean>} false when the chat was not muted
+ */
+async function removeChatMute(userId, chatId) {
+  if (!userId || !chatId) return false;
+  const database = await getDb();
+  const result = await database.collection(MUTES_COLLECTION).deleteOne({ userId, chatId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Chats one user has muted, leaving out mutes that ended before now.
+ * @param {string} userId
+ * @param {number} [now]
+ * @returns {Promise<Array<{ chatId: string, mutedAt: number, mutedUntil: number|null }>>}
+ */
+async function getChatMutes(userId, now = Date.now()) {
+  if (!userId) return [];
+  const database = await getDb();
+  return database.collection(MUTES_COLLECTION)
+    .find(
+      { userId, $or: [{ mutedUntil: null }, { mutedUntil: { $gt: now } }] },
+      { projection: { _id: 0, chatId: 1, mutedAt: 1, mutedUntil: 1 } }
+    )
+    .sort({ chatId: 1 })
+    .toArray();
+}
+
+/**
+ * Block a user. Idempotent: blocking again keeps the first blockedAt.
+ * @param {string} userId - Blocker
+ * @param {string} blockedUserId
+ * @returns {Promise<boolean>} false when the block already existed
+ */
+async function addBlock(userId, blockedUserId) {
+  if (!userId || !blockedUserId) return false;
+  const database = await getDb();
+  const result = await database.collection(BLOCKS_COLLECTION).updateOne(
+    { userId, blockedUserId },
+    { $setOnInsert: { userId, blockedUserId, blockedAt: Date.now() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Unblock a user.
+ * @returns {Promise<boolean>} false when the user was not blocked
+ */
+async function removeBlock(userId, blockedUserId) {
+  if (!userId || !blockedUserId) return false;
+  const database = await getDb();
+  const result = await database.collection(BLOCKS_COLLECTION).deleteOne({ userId, blockedUserId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Users one user has blocked, most recently blocked first.
+ * @param {string} userId
+ * @returns {Promise<Array<{ blockedUserId: string, blockedAt: number }>>}
+ */
+async function getBlocks(userId) {
+  if (!userId) return [];
+  const database = await getDb();
+  return database.collection(BLOCKS_COLLECTION)
+    .find({ userId }, { projection: { _id: 0, blockedUserId: 1, blockedAt: 1 } })
+    .sort({ blockedAt: -1, blockedUserId: 1 })
+    .toArray();
+}
+
+/**
+ * Every block, for the in-memory mirror loaded at startup.
+ * @returns {Promise<Array<{ userId: string, blockedUserId: string, blockedAt: number }>>}
+ */
+async function listAllBlocks() {
+  const database = await getDb();
+  return database.collection(BLOCKS_COLLECTION)
+    .find({}, { projection: { _id: 0, userId: 1, blockedUserId: 1, blockedAt: 1 } })
+    .toArray();
+}
+
+/**
+ * Create or replace the message request of a DM chat (one per chat).
+ * @param {{ chatId: string, requesterId: string, recipientId: string, status: string, createdAt: number, respondedAt?: number|null }} request
+ * @returns {Promise<Object|null>} Stored request
+ */
+async function upsertMessageRequest(request) {
+  if (!request || !request.chatId) return null;
+  const doc = {
+    chatId: request.chatId,
+    requesterId: request.requesterId,
+    recipientId: request.recipientId,
+    status: request.status,
+    createdAt: request.createdAt,
+    respondedAt: request.respondedAt ?? null,
+  };
+  const database = await getDb();
+  await database.collection(MESSAGE_REQUESTS_COLLECTION).replaceOne({ chatId: doc.chatId }, doc, { upsert: true });
+  return { ...doc };
+}
+
+/**
+ * Every message request, for the in-memory mirror loaded at startup.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAllMessageRequests() {
+  const database = await getDb();
+  return database.collection(MESSAGE_REQUESTS_COLLECTION).find({}, { projection: { _id: 0 } }).toArray();
+}
+
+/**
+ * Store a new room invite (uses 0, not revoked).
+ * @param {{ token: string, roomId: string, createdBy: string, createdAt: number, expiresAt?: number|null, maxUses?: number|null }} invite
+ * @returns {Promise<Object|null>} Stored invite
+ */
+async function createRoomInvite(invite) {
+  if (!invite || !invite.token || !invite.roomId) return null;
+  const doc = {
+    token: invite.token,
+    roomId: invite.roomId,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt ?? null,
+    maxUses: invite.maxUses ?? null,
+    uses: 0,
+    revokedAt: null,
+  };
+  const database = await getDb();
+  await database.collection(ROOM_INVITES_COLLECTION).insertOne({ ...doc });
+  return doc;
+}
+
+/**
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+async function getRoomInvite(token) {
+  const database = await getDb();
+  return database.collection(ROOM_INVITES_COLLECTION).findOne({ token }, { projection: { _id: 0 } });
+}
+
+/**
+ * Every invite of a room (including revoked and used up ones), newest first.
+ * @param {string} roomId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listRoomInvites(roomId) {
+  const database = await getDb();
+  return database.collection(ROOM_INVITES_COLLECTION)
+    .find({ roomId }, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * Take one use of an invite if it is still usable (not revoked, not expired, uses below maxUses).
+ * findOneAndUpdate keeps concurrent accepts from going over maxUses.
+ * @param {string} token
+ * @param {number} now
+ * @returns {Promise<Object|null>} Invite after the use, or null when not usable
+ */
+async function claimRoomInviteUse(token, now) {
+  const database = await getDb();
+  const result = await database.collection(ROOM_INVITES_COLLECTION).findOneAndUpdate(
+    {
+      token,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+  return result?.value ?? result;
+}
+
+/**
+ * Give back a use taken by claimRoomInviteUse (the join failed).
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+async function releaseRoomInviteUse(token) {
+  const database = await getDb();
+  const result = await database.collection(ROOM_INVITES_COLLECTION).findOneAndUpdate(
+    { token, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+  return result?.value ?? result;
+}
+
+/**
+ * Revoke an invite. Revoking twice keeps the first revokedAt.
+ * @param {string} token
+ * @param {number} revokedAt
+ * @returns {Promise<Object|null>} Invite, or null when not found
+ */
+async function revokeRoomInvite(token, revokedAt) {
+  const database = await getDb();
+  const col = database.collection(ROOM_INVITES_COLLECTION);
+  await col.updateOne({ token, revokedAt: null }, { $set: { revokedAt } });
+  return col.findOne({ token }, { projection: { _id: 0 } });
+}
+
+/**
+ * Store a new attachment record (uploaded, not yet referenced by a message).
+ * @param {Object} doc - { attachmentId, uploaderId, chatId, name, size, mime, category, sha256, storageKey, derivedBytes?, image?, voice? }
+ *   derivedBytes: bytes stored besides the file itself (image thumbnails); counts towards quotas with size
+ *   image: { width, height, blurhash, dominantColor, thumbnails: [{ width, height }] } for processed images
+ *   voice: { durationMs, waveform: number[] } for voice notes
+ * @returns {Promise<Object>} Stored attachment
+ */
+async function createAttachment(doc) {
+  const { attachmentId, uploaderId, chatId, name, size, mime, category, sha256, storageKey, derivedBytes, image, voice } = doc || {};
+  if (!attachmentId || !uploaderId || !chatId || !storageKey) {
+    throw new Error('Missing required fields for attachment');
+  }
+  const database = await getDb();
+  const record = {
+    attachmentId,
+    uploaderId,
+    chatId,
+    chatIds: [chatId],
+    messageIds: [],
+    name,
+    size,
+    mime,
+    category,
+    sha256,
+    storageKey,
+    derivedBytes: derivedBytes || 0,
+    image: image || null,
+    voice: voice || null,
+    createdAt: Date.now(),
+  };
+  await database.collection(ATTACHMENTS_COLLECTION).insertOne({ ...record });
+  return record;
+}
+
+/**
+ * @param {string} attachmentId
+ * @returns {Promise<Object|null>} Stored attachment
+ */
+async function getAttachment(attachmentId) {
+  if (!attachmentId) return null;
+  const database = await getDb();
+  return database.collection(ATTACHMENTS_COLLECTION).findOne({ attachmentId }, { projection: { _id: 0 } });
+}
+
+/**
+ * @param {string[]} attachmentIds
+ * @returns {Promise<Object[]>} Stored attachments that exist (any order)
+ */
+async function getAttachments(attachmentIds) {
+  const ids = (Array.isArray(attachmentIds) ? attachmentIds : []).filter(Boolean);
+  if (ids.length === 0) return [];
+  const database = await getDb();
+  return database.collection(ATTACHMENTS_COLLECTION).find({ attachmentId: { $in: ids } }, { projection: { _id: 0 } }).toArray();
+}
+
+/**
+ * Record that a message (canonical id) in a chat references the attachments.
+ * @param {string[]} attachmentIds
+ * @param {string} messageId - messageId (DM) / roomMessageId (room)
+ * @param {string} chatId - Chat the message was posted to (forwarded files add their target chat)
+ * @returns {Promise<number>} Number of attachment records updated
+ */
+async function linkAttachments(attachmentIds, messageId, chatId) {
+  const ids = (Array.isArray(attachmentIds) ? attachmentIds : []).filter(Boolean);
+  if (ids.length === 0 || !messageId || !chatId) return 0;
+  const database = await getDb();
+  const result = await database.collection(ATTACHMENTS_COLLECTION).updateMany(
+    { attachmentId: { $in: ids } },
+    { $addToSet: { messageIds: messageId, chatIds: chatId } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Stored bytes (file plus derivedBytes) and number of attachments per uploader or per chat uploaded to
+ * (forwarded copies share the original record, so they count once, for the original uploader and chat).
+ * @param {'uploaderId'|'chatId'} field
+ * @param {string[]} keys
+ * @returns {Promise<Object<string, { bytes: number, count: number }>>} Every key, 0 when it has none
+ */
+async function getAttachmentUsage(field, keys) {
+  const usage = {};
+  const ids = (Array.isArray(keys) ? keys : []).filter(Boolean);
+  for (const key of ids) usage[key] = { bytes: 0, count: 0 };
+  if (ids.length === 0 || (field !== 'uploaderId' && field !== 'chatId')) return usage;
+  const database = await getDb();
+  const rows = await database.collection(ATTACHMENTS_COLLECTION).aggregate([
+    { $match: { [field]: { $in: ids } } },
+    { $group: { _id: `$${field}`, bytes: { $sum: { $add: [{ $ifNull: ['$size', 0] }, { $ifNull: ['$derivedBytes', 0] }] } }, count: { $sum: 1 } } },
+  ]).toArray();
+  for (const row of rows) usage[row._id] = { bytes: row.bytes, count: row.count };
+  return usage;
+}
+
+/**
+ * Attachments no message references, uploaded before a cutoff.
+ * @param {number} before - createdAt cutoff (epoch ms)
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+async function listOrphanAttachments(before, limit) {
+  const database = await getDb();
+  return database.collection(ATTACHMENTS_COLLECTION)
+    .find({ createdAt: { $lt: before }, messageIds: { $size: 0 } }, { projection: { _id: 0 } })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Delete an attachment record if it is still unreferenced (a send may have linked it since it was listed).
+ * @param {string} attachmentId
+ * @returns {Promise<boolean>} true when the record was deleted
+ */
+async function deleteOrphanAttachment(attachmentId) {
+  if (!attachmentId) return false;
+  const database = await getDb();
+  const result = await database.collection(ATTACHMENTS_COLLECTION).deleteOne({ attachmentId, messageIds: { $size: 0 } });
+  return result.deletedCount === 1;
+}
+
+/**
+ * Store a new scheduled message (status PENDING).
+ * @param {Object} doc - { scheduledId, senderId, chatId, content, sendAt, messageId }
+ * @returns {Promise<Object>} Stored scheduled message
+ */
+async function createScheduledMessage(doc) {
+  const { scheduledId, senderId, chatId, content, sendAt, messageId } = doc || {};
+  if (!scheduledId || !senderId || !chatId || !content || sendAt == null || !messageId) {
+    throw new Error('Missing required fields for scheduled message');
+  }
+  const now = Date.now();
+  const row = {
+    scheduledId,
+    senderId,
+    chatId,
+    content,
+    sendAt,
+    messageId,
+    status: ScheduledStatus.PENDING,
+    attempts: 0,
+    claimedBy: null,
+    leaseUntil: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const database = await getDb();
+  await database.collection(SCHEDULED_COLLECTION).insertOne({ ...row });
+  return row;
+}
+
+async function getScheduledMessage(scheduledId) {
+  if (!scheduledId) return null;
+  const database = await getDb();
+  return database.collection(SCHEDULED_COLLECTION).findOne({ scheduledId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Scheduled messages of a sender that are still pending, sending or failed; soonest first.
+ * @param {string} senderId
+ * @param {string} [chatId] - Restrict to one chat
+ * @returns {Promise<Object[]>}
+ */
+async function listScheduledMessages(senderId, chatId = null) {
+  if (!senderId) return [];
+  const query = { senderId, status: { $in: VISIBLE_STATUSES } };
+  if (chatId) query.chatId = chatId;
+  const database = await getDb();
+  return database.collection(SCHEDULED_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ sendAt: 1, scheduledId: 1 })
+    .toArray();
+}
+
+/** Number of PENDING scheduled messages of a sender (per-user limit). */
+async function countPendingScheduledMessages(senderId) {
+  if (!senderId) return 0;
+  const database = await getDb();
+  return database.collection(SCHEDULED_COLLECTION).countDocuments({ senderId, status: ScheduledStatus.PENDING });
+}
+
+/**
+ * Edit content and/or sendAt of a PENDING scheduled message owned by senderId.
+ * @param {Object} patch - { content?, sendAt? }
+ * @returns {Promise<Object|null>} Updated doc, or null when not found / not owned / no longer pending
+ */
+async function updateScheduledMessage(scheduledId, senderId, patch) {
+  if (!scheduledId || !senderId) return null;
+  const $set = { updatedAt: Date.now() };
+  if (patch && patch.content != null) $set.content = patch.content;
+  if (patch && patch.sendAt != null) $set.sendAt = patch.sendAt;
+  const database = await getDb();
+  const result = await database.collection(SCHEDULED_COLLECTION).findOneAndUpdate(
+    { scheduledId, senderId, status: ScheduledStatus.PENDING },
+    { $set },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+  return result?.value ?? result;
+}
+
+/**
+ * Cancel a PENDING or FAILED scheduled message owned by senderId.
+ * @returns {Promise<Object|null>} Updated doc, or null when not found / not owned / already sending or sent
+ */
+async function cancelScheduledMessage(scheduledId, senderId) {
+  if (!scheduledId || !senderId) return null;
+  const database = await getDb();
+  const result = await database.collection(SCHEDULED_COLLECTION).findOneAndUpdate(
+    { scheduledId, senderId, status: { $in: [ScheduledStatus.PENDING, ScheduledStatus.FAILED] } },
+    { $set: { status: ScheduledStatus.CANCELLED, updatedAt: Date.now() } },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+  return result?.value ?? result;
+}
+
+/**
+ * Atomically claim the next due scheduled message for one instance.
+ * Due = PENDING with sendAt <= now, or SENDING whose lease expired (previous owner died mid-send).
+ * findOneAndUpdate makes the claim exclusive across instances sharing the collection.
+ * @param {number} now
+ * @param {string} ownerId - Claiming instance id
+ * @param {number} leaseMs - How long the claim is exclusive
+ * @returns {Promise<Object|null>} Claimed doc (status SENDING, attempts incremented) or null
+ */
+async function claimDueScheduledMessage(now, ownerId, leaseMs) {
+  const database = await getDb();
+  const result = await database.collection(SCHEDULED_COLLECTION).findOneAndUpdate(
+    {
+      $or: [
+        { status: ScheduledStatus.PENDING, sendAt: { $lte: now } },
+        { status: ScheduledStatus.SENDING, leaseUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: ScheduledStatus.SENDING, claimedBy: ownerId, leaseUntil: now + leaseMs, updatedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { sendAt: 1 }, returnDocument: 'after', projection: { _id: 0 } }
+  );
+  return result?.value ?? result;
+}
+
+/**
+ * Finish a claimed scheduled message (SENT or FAILED). Only the current lease owner can finish it.
+ * @param {Object} outcome - { status: 'sent'|'failed', error? }
+ * @returns {Promise<Object|null>} Updated doc, or null when the claim was lost
+ */
+async function completeScheduledMessage(scheduledId, ownerId, outcome) {
+  const now = Date.now();
+  const $set = { status: outcome.status, claimedBy: null, leaseUntil: null, updatedAt: now };
+  if (outcome.status === ScheduledStatus.SENT) $set.sentAt = now;
+  if (outcome.error) $set.error = outcome.error;
+  const database = await getDb();
+  const result = await database.collection(SCHEDULED_COLLECTION).findOneAndUpdate(
+    { scheduledId, status: ScheduledStatus.SENDING, claimedBy: ownerId },
+    { $set },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+  return result?.value ?? result;
+}
+
+/**
+ * Per-chat settings (disappearing messages mode).
+ * @param {string} chatId
+ * @returns {Promise<{ chatId: string, ephemeral: string, updatedBy: string|null, updatedAt: number|null }|null>}
+ */
+async function getChatSettings(chatId) {
+  const database = await getDb();
+  const doc = await database.collection(CHAT_SETTINGS_COLLECTION).findOne({ chatId });
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * Set the disappearing messages mode of a chat (upsert).
+ * @returns {Promise<Object>} Updated settings
+ */
+async function setChatEphemeral(chatId, mode, userId) {
+  const database = await getDb();
+  const now = Date.now();
+  const result = await database.collection(CHAT_SETTINGS_COLLECTION).findOneAndUpdate(
+    { chatId },
+    { $set: { ephemeral: mode, updatedBy: userId, updatedAt: now }, $setOnInsert: { chatId } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  const doc = result?.value ?? result;
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * Hard-delete up to `limit` messages whose expiresAt has passed, with their delivery records, pins and bookmarks,
+ * and unlink them from the attachments they carried (attachments no message references any more are left to the
+ * caller to delete, see attachmentService.deleteUnreferencedAttachments).
+ * Safe to run concurrently on several instances: each message is deleted (and returned) by one of them.
+ * @returns {Promise<Array<{ messageId, chatId, roomId, roomMessageId, senderId, recipientId, attachmentIds }>>} Deleted rows
+ */
+async function deleteExpiredMessages(now, limit) {
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const docs = await col
+    .find({ expiresAt: { $ne: null, $lte: now } })
+    .project({ messageId: 1, chatId: 1, roomId: 1, roomMessageId: 1, senderId: 1, recipientId: 1, 'attachments.attachmentId': 1 })
+    .sort({ expiresAt: 1 })
+    .limit(limit)
+    .toArray();
+  const deleted = [];
+  for (const d of docs) {
+    const r = await col.deleteOne({ messageId: d.messageId, expiresAt: { $lte: now } });
+    if (r.deletedCount === 0) continue;
+    const { _id, attachments, ...row } = d;
+    deleted.push({ ...row, attachmentIds: (attachments || []).map((a) => a.attachmentId).filter(Boolean) });
+  }
+  if (deleted.length === 0) return deleted;
+  const ids = deleted.map((d) => d.messageId);
+  await database.collection(DELIVERY_COLLECTION).deleteMany({ messageId: { $in: ids } });
+  await database.collection(PINS_COLLECTION).deleteMany({ messageId: { $in: ids } });
+  await database.collection(BOOKMARKS_COLLECTION).deleteMany({ messageId: { $in: ids } });
+  // Attachments are linked by canonical id (roomMessageId in rooms)
+  const canonicalIds = deleted.map((d) => d.roomMessageId || d.messageId);
+  await database.collection(ATTACHMENTS_COLLECTION).updateMany(
+    { messageIds: { $in: canonicalIds } },
+    { $pull: { messageIds: { $in: canonicalIds } } }
+  );
+  return deleted;
+}
+
 async function isMessageDelivered(messageId, userId) {
   const database = await getDb();
   const doc = await database.collection(DELIVERY_COLLECTION).findOne({ messageId, userId });
@@ -243,6 +1174,30 @@ async function getMessagesByRoom(roomId) {
   return Array.from(byRoomMessageId.values()).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
 }
 
+/**
+ * Message activity of rooms: newest message time and how many messages were sent since `since` (one per
+ * roomMessageId, not per recipient row). Rooms without messages are left out.
+ * @param {string[]} roomIds
+ * @param {number} since - Epoch ms
+ * @returns {Promise<Array<{ roomId: string, lastMessageAt: number, recentMessageCount: number }>>}
+ */
+async function getRoomActivity(roomIds, since) {
+  if (!Array.isArray(roomIds) || roomIds.length === 0) return [];
+  const database = await getDb();
+  const rows = await database.collection(COLLECTION).aggregate([
+    { $match: { roomId: { $in: roomIds } } },
+    { $group: { _id: { roomId: '$roomId', rid: { $ifNull: ['$roomMessageId', '$messageId'] } }, timestamp: { $max: '$timestamp' } } },
+    {
+      $group: {
+        _id: '$_id.roomId',
+        lastMessageAt: { $max: '$timestamp' },
+        recentMessageCount: { $sum: { $cond: [{ $gte: ['$timestamp', since] }, 1, 0] } },
+      },
+    },
+  ]).toArray();
+  return rows.map((r) => ({ roomId: r._id, lastMessageAt: r.lastMessageAt || 0, recentMessageCount: r.recentMessageCount }));
+}
+
 /**
  * Get recipient IDs who have received (state delivered/read) for a given room message.
  * Scoped to one roomMessageId for safe fallback after cache loss.
@@ -254,13 +1209,98 @@ async function getDeliveredRecipientIdsForRoomMessage(roomMessageId) {
   const database = await getDb();
   const docs = await database
     .collection(COLLECTION)
-    .find({ roomMessageId, state: { $in: ['delivered', 'read'] } })
+    .find({ roomMessageId, $or: [{ state: { $in: ['delivered', 'read'] } }, { deliveredAt: { $ne: null } }] })
     .project({ recipientId: 1 })
     .toArray();
   const ids = [...new Set(docs.map((d) => d.recipientId).filter(Boolean))];
   return ids;
 }
 
+/**
+ * Stamp deliveredAt on the per-recipient rows of a room message (first delivery wins).
+ * @param {string} roomMessageId
+ * @param {string[]} userIds - Members whose socket received the message
+ * @param {number} deliveredAt
+ * @returns {Promise<number>} Rows stamped
+ */
+async function recordRoomDelivery(roomMessageId, userIds, deliveredAt) {
+  if (!roomMessageId || !Array.isArray(userIds) || userIds.length === 0) return 0;
+  const database = await getDb();
+  const result = await database.collection(COLLECTION).updateMany(
+    { messageId: { $in: userIds.map((userId) => `rm_${roomMessageId}_${userId}`) }, deliveredAt: null },
+    { $set: { deliveredAt } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Mark a member's rows in a room as read up to a timestamp: the newest `limit` rows from other senders without
+ * readAt (thread-only replies excluded) get readAt, and deliveredAt when it was missing.
+ * @param {string} roomId
+ * @param {string} userId - Reader
+ * @param {number} upToTimestamp - Timestamp of the newest message read
+ * @param {number} readAt
+ * @param {number} limit
+ * @returns {Promise<Array<{ roomMessageId: string, senderId: string }>>} Messages that changed, newest first
+ */
+async function markRoomMessagesRead(roomId, userId, upToTimestamp, readAt, limit) {
+  if (!roomId || !userId) return [];
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const docs = await col
+    .find({
+      recipientId: userId,
+      roomId,
+      senderId: { $ne: userId },
+      timestamp: { $lte: upToTimestamp },
+      readAt: null,
+      $or: [{ threadRootId: null }, { alsoSendToRoom: true }],
+    })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .project({ messageId: 1, roomMessageId: 1, senderId: 1 })
+    .toArray();
+  if (docs.length === 0) return [];
+  const messageIds = docs.map((d) => d.messageId);
+  await col.updateMany({ messageId: { $in: messageIds }, readAt: null }, { $set: { readAt } });
+  await col.updateMany({ messageId: { $in: messageIds }, deliveredAt: null }, { $set: { deliveredAt: readAt } });
+  return docs.map((d) => ({ roomMessageId: d.roomMessageId, senderId: d.senderId }));
+}
+
+/**
+ * Receipts of a room message over its per-recipient rows (the sender's own row excluded). Counts are exact;
+ * each list holds at most `limit` members, most recent first. Delivered-only members are those not yet read.
+ * @param {string} roomMessageId
+ * @param {string} senderId
+ * @param {number} limit
+ * @returns {Promise<{ totalCount: number, deliveredCount: number, readCount: number, readBy: Array<{ userId: string, readAt: number }>, deliveredTo: Array<{ userId: string, deliveredAt: number|null }> }>}
+ */
+async function getRoomReceipts(roomMessageId, senderId, limit) {
+  const database = await getDb();
+  const col = database.collection(COLLECTION);
+  const rows = { roomMessageId, messageId: { $ne: roomMessageId }, recipientId: { $ne: senderId } };
+  const read = { ...rows, readAt: { $ne: null } };
+  const deliveredOnly = {
+    ...rows,
+    readAt: null,
+    $or: [{ deliveredAt: { $ne: null } }, { state: { $in: ['delivered', 'read'] } }],
+  };
+  const [totalCount, readCount, deliveredOnlyCount, readDocs, deliveredDocs] = await Promise.all([
+    col.countDocuments(rows),
+    col.countDocuments(read),
+    col.countDocuments(deliveredOnly),
+    col.find(read).sort({ readAt: -1 }).limit(limit).project({ recipientId: 1, readAt: 1 }).toArray(),
+    col.find(deliveredOnly).sort({ deliveredAt: -1 }).limit(limit).project({ recipientId: 1, deliveredAt: 1 }).toArray(),
+  ]);
+  return {
+    totalCount,
+    deliveredCount: readCount + deliveredOnlyCount,
+    readCount,
+    readBy: readDocs.map((d) => ({ userId: d.recipientId, readAt: d.readAt })),
+    deliveredTo: deliveredDocs.map((d) => ({ userId: d.recipientId, deliveredAt: d.deliveredAt ?? null })),
+  };
+}
+
 async function getHistory(chatId, options = {}) {
   const limit = Math.min(100, Math.max(1, parseInt(options.limit, 10) || 50));
   const beforeId = options.beforeId && typeof options.beforeId === 'string' ? options.beforeId.trim() : null;
@@ -398,6 +1438,16 @@ async function clearStore() {
   const database = await getDb();
   await database.collection(COLLECTION).deleteMany({});
   await database.collection(DELIVERY_COLLECTION).deleteMany({});
+  await database.collection(PINS_COLLECTION).deleteMany({});
+  await database.collection(SCHEDULED_COLLECTION).deleteMany({});
+  await database.collection(CHAT_SETTINGS_COLLECTION).deleteMany({});
+  await database.collection(BOOKMARKS_COLLECTION).deleteMany({});
+  await database.collection(ATTACHMENTS_COLLECTION).deleteMany({});
+  await database.collection(ARCHIVES_COLLECTION).deleteMany({});
+  await database.collection(MUTES_COLLECTION).deleteMany({});
+  await database.collection(BLOCKS_COLLECTION).deleteMany({});
+  await database.collection(MESSAGE_REQUESTS_COLLECTION).deleteMany({});
+  await database.collection(ROOM_INVITES_COLLECTION).deleteMany({});
 }
 
 async function getMessageCount() {
@@ -454,12 +1504,14 @@ async function searchMessagesInChats(chatIds, query, limit = 20, options = {}) {
   const regex = hasQuery ? new RegExp(escaped, 'i') : null;
 
   const byId = new Map();
+  // Disappearing messages: never return expired content, even before the sweeper deleted it
+  const notExpired = { $or: [{ expiresAt: null }, { expiresAt: { $gt: Date.now() } }] };
 
   // 1) Optional: force-include by clientMessageId (read-your-write)
   const includeClientMsgId = options && typeof options.includeClientMsgId === 'string' ? options.includeClientMsgId.trim() : null;
   if (includeClientMsgId) {
     const one = await col.findOne(
-      { clientMessageId: includeClientMsgId, chatId: { $in: chatIds } },
+      { clientMessageId: includeClientMsgId, chatId: { $in: chatIds }, ...notExpired },
       { readPreference: ReadPreference.primary }
     );
     if (one) {
@@ -470,7 +1522,7 @@ async function searchMessagesInChats(chatIds, query, limit = 20, options = {}) {
   // 2) Main search: text/regex with primary read (avoids secondary lag)
   if (hasQuery) {
     const cursor = col.find(
-      { chatId: { $in: chatIds }, content: { $regex: regex } },
+      { chatId: { $in: chatIds }, content: { $regex: regex }, ...notExpired },
       { ...readOpts, sort: { createdAt: -1 }, limit: cap }
     );
     const docs = await cursor.toArray();
@@ -486,6 +1538,7 @@ async function searchMessagesInChats(chatIds, query, limit = 20, options = {}) {
       chatId: { $in: chatIds },
       createdAt: { $gte: recentWindowStart },
       content: { $regex: regex },
+      ...notExpired,
     };
     const recentCursor = col.find(recentFilter, {
       ...readOpts,
@@ -512,8 +1565,59 @@ module.exports = {
   persistMessage,
   updateMessageState,
   getMessage,
+  getMessages,
   editMessageContent,
   softDeleteMessage,
+  addReaction,
+  removeReaction,
+  setPollVote,
+  recordVoiceListen,
+  recordThreadReply,
+  addPin,
+  removePin,
+  getPins,
+  addBookmark,
+  removeBookmark,
+  getBookmarks,
+  countBookmarks,
+  removeBookmarksForMessages,
+  archiveChats,
+  unarchiveChats,
+  getArchivedChats,
+  releaseArchivedChat,
+  setChatMute,
+  removeChatMute,
+  getChatMutes,
+  addBlock,
+  removeBlock,
+  getBlocks,
+  listAllBlocks,
+  upsertMessageRequest,
+  listAllMessageRequests,
+  createRoomInvite,
+  getRoomInvite,
+  listRoomInvites,
+  claimRoomInviteUse,
+  releaseRoomInviteUse,
+  revokeRoomInvite,
+  createAttachment,
+  getAttachment,
+  getAttachments,
+  linkAttachments,
+  getAttachmentUsage,
+  listOrphanAttachments,
+  deleteOrphanAttachment,
+  createScheduledMessage,
+  getScheduledMessage,
+  listScheduledMessages,
+  countPendingScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  claimDueScheduledMessage,
+  completeScheduledMessage,
+  getChatSettings,
+  setChatEphemeral,
+  deleteExpiredMessages,
   markMessageDelivered,
   isMessageDelivered,
   getUndeliveredMessages,
@@ -521,7 +1625,11 @@ module.exports = {
   getMessagesForRecipient,
   getMessagesForSender,
   getMessagesByRoom,
+  getRoomActivity,
   getDeliveredRecipientIdsForRoomMessage,
+  recordRoomDelivery,
+  markRoomMessagesRead,
+  getRoomReceipts,
   getHistory,
   getAllHistory,
   getContextWindow,
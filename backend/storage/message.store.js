@@ -16,6 +16,7 @@ if (process.env.NODE_ENV === 'production') {
 
 const fs = require('fs');
 const path = require('path');
+const { ScheduledStatus, VISIBLE_STATUSES } = require('../models/ScheduledMessage.model');
 
 const DATA_DIR = path.join(__dirname, '_data');
 const DATA_FILE = path.join(DATA_DIR, 'messages.json');
@@ -27,6 +28,31 @@ const messageById = new Map();
 const clientMessageIdIndex = new Map();
 /** @type {Map<string, Set<string>>} messageId -> Set of userIds delivered */
 const deliveryTracking = new Map();
+/** @type {Object<string, Array<{ messageId: string, pinnedBy: string, pinnedAt: number }>>} chatId -> pins */
+const pinsByChatId = Object.create(null);
+/** @type {Object<string, Object>} scheduledId -> scheduled message */
+const scheduledById = Object.create(null);
+/** @type {Object<string, Object>} chatId -> chat settings (disappearing messages mode) */
+const settingsByChatId = Object.create(null);
+/** @type {Object<string, Array<{ messageId: string, chatId: string, bookmarkedAt: number }>>} userId -> bookmarks */
+const bookmarksByUserId = Object.create(null);
+/** @type {Object<string, Object>} attachmentId -> attachment record */
+const attachmentsById = Object.create(null);
+/** @type {Object<string, Array<{ chatId: string, archivedAt: number, keepArchived: boolean }>>} userId -> archived chats */
+const archivesByUserId = Object.create(null);
+/** @type {Object<string, Array<{ chatId: string, mutedAt: number, mutedUntil: number|null }>>} userId -> muted chats */
+const mutesByUserId = Object.create(null);
+/** @type {Object<string, Array<{ blockedUserId: string, blockedAt: number }>>} userId -> users they blocked */
+const blocksByUserId = Object.create(null);
+/** @type {Object<string, Object>} chatId -> message request { chatId, requesterId, recipientId, status, createdAt, respondedAt } */
+const messageRequestsByChatId = Object.create(null);
+/** @type {Object<string, Object>} token -> room invite { token, roomId, createdBy, createdAt, expiresAt, maxUses, uses, revokedAt } */
+const roomInvitesByToken = Object.create(null);
+
+/** Empty a table in place; the tables added next to the baseline Maps are null-prototype objects keyed by id. */
+function clearTable(table) {
+  for (const key of Object.keys(table)) delete table[key];
+}
 
 let writeInProgress = false;
 
@@ -51,7 +77,41 @@ function persist() {
     for (const [mid, set] of deliveryTracking) {
       delivered[mid] = Array.from(set);
     }
-    const payload = { messages, delivered };
+    const pins = {};
+    for (const [chatId, list] of Object.entries(pinsByChatId)) {
+      pins[chatId] = list.map((p) => ({ ...p }));
+    }
+    const scheduled = [];
+    for (const item of Object.values(scheduledById)) {
+      scheduled.push({ ...item });
+    }
+    const settings = {};
+    for (const [chatId, doc] of Object.entries(settingsByChatId)) {
+      settings[chatId] = { ...doc };
+    }
+    const bookmarks = {};
+    for (const [userId, list] of Object.entries(bookmarksByUserId)) {
+      bookmarks[userId] = list.map((b) => ({ ...b }));
+    }
+    const attachments = [];
+    for (const doc of Object.values(attachmentsById)) {
+      attachments.push({ ...doc });
+    }
+    const archives = {};
+    for (const [userId, list] of Object.entries(archivesByUserId)) {
+      archives[userId] = list.map((a) => ({ ...a }));
+    }
+    const mutes = {};
+    for (const [userId, list] of Object.entries(mutesByUserId)) {
+      mutes[userId] = list.map((m) => ({ ...m }));
+    }
+    const blocks = {};
+    for (const [userId, list] of Object.entries(blocksByUserId)) {
+      blocks[userId] = list.map((b) => ({ ...b }));
+    }
+    const messageRequests = Object.values(messageRequestsByChatId).map((r) => ({ ...r }));
+    const roomInvites = Object.values(roomInvitesByToken).map((i) => ({ ...i }));
+    const payload = { messages, delivered, pins, scheduled, settings, bookmarks, attachments, archives, mutes, blocks, messageRequests, roomInvites };
     fs.writeFileSync(TMP_FILE, JSON.stringify(payload, null, 0), 'utf8');
     fs.renameSync(TMP_FILE, DATA_FILE);
   } finally {
@@ -63,6 +123,16 @@ function hydrate() {
   messageById.clear();
   clientMessageIdIndex.clear();
   deliveryTracking.clear();
+  clearTable(pinsByChatId);
+  clearTable(scheduledById);
+  clearTable(settingsByChatId);
+  clearTable(bookmarksByUserId);
+  clearTable(attachmentsById);
+  clearTable(archivesByUserId);
+  clearTable(mutesByUserId);
+  clearTable(blocksByUserId);
+  clearTable(messageRequestsByChatId);
+  clearTable(roomInvitesByToken);
   try {
     const raw = fs.readFileSync(DATA_FILE, 'utf8');
     const data = JSON.parse(raw);
@@ -82,6 +152,44 @@ function hydrate() {
         deliveryTracking.set(record.messageId, new Set());
       }
     }
+    const pins = data.pins && typeof data.pins === 'object' ? data.pins : {};
+    for (const [chatId, list] of Object.entries(pins)) {
+      if (Array.isArray(list) && list.length > 0) pinsByChatId[chatId] = list.map((p) => ({ ...p }));
+    }
+    const scheduled = Array.isArray(data.scheduled) ? data.scheduled : [];
+    for (const item of scheduled) {
+      if (item && item.scheduledId) scheduledById[item.scheduledId] = { ...item };
+    }
+    const settings = data.settings && typeof data.settings === 'object' ? data.settings : {};
+    for (const [chatId, doc] of Object.entries(settings)) {
+      if (doc) settingsByChatId[chatId] = { ...doc };
+    }
+    const bookmarks = data.bookmarks && typeof data.bookmarks === 'object' ? data.bookmarks : {};
+    for (const [userId, list] of Object.entries(bookmarks)) {
+      if (Array.isArray(list) && list.length > 0) bookmarksByUserId[userId] = list.map((b) => ({ ...b }));
+    }
+    const attachments = Array.isArray(data.attachments) ? data.attachments : [];
+    for (const doc of attachments) {
+      if (doc && doc.attachmentId) attachmentsById[doc.attachmentId] = { ...doc };
+    }
+    const archives = data.archives && typeof data.archives === 'object' ? data.archives : {};
+    for (const [userId, list] of Object.entries(archives)) {
+      if (Array.isArray(list) && list.length > 0) archivesByUserId[userId] = list.map((a) => ({ ...a }));
+    }
+    const mutes = data.mutes && typeof data.mutes === 'object' ? data.mutes : {};
+    for (const [userId, list] of Object.entries(mutes)) {
+      if (Array.isArray(list) && list.length > 0) mutesByUserId[userId] = list.map((m) => ({ ...m }));
+    }
+    const blocks = data.blocks && typeof data.blocks === 'object' ? data.blocks : {};
+    for (const [userId, list] of Object.entries(blocks)) {
+      if (Array.isArray(list) && list.length > 0) blocksByUserId[userId] = list.map((b) => ({ ...b }));
+    }
+    for (const doc of Array.isArray(data.messageRequests) ? data.messageRequests : []) {
+      if (doc && doc.chatId) messageRequestsByChatId[doc.chatId] = { ...doc };
+    }
+    for (const doc of Array.isArray(data.roomInvites) ? data.roomInvites : []) {
+      if (doc && doc.token) roomInvitesByToken[doc.token] = { ...doc };
+    }
   } catch (err) {
     if (err.code !== 'ENOENT') throw err;
   }
@@ -106,6 +214,14 @@ function persistMessageSync(messageData) {
     chatId,
     contentType,
     clientMessageId,
+    replyToMessageId,
+    threadRootId,
+    alsoSendToRoom,
+    forwardedFrom,
+    expiresAt,
+    mentions,
+    poll,
+    attachments,
   } = messageData;
 
   if (!messageId || !senderId || !recipientId || !content) {
@@ -140,6 +256,14 @@ function persistMessageSync(messageData) {
     chatId,
     contentType,
     clientMessageId,
+    replyToMessageId: replyToMessageId || null,
+    threadRootId: threadRootId || null,
+    alsoSendToRoom: threadRootId ? alsoSendToRoom === true : false,
+    forwardedFrom: forwardedFrom || null,
+    expiresAt: expiresAt || null,
+    mentions: Array.isArray(mentions) ? mentions : [],
+    poll: poll || null,
+    attachments: Array.isArray(attachments) ? attachments : [],
     createdAt: now,
     updatedAt: now,
   };
@@ -164,6 +288,11 @@ function getMessageSync(messageId) {
   return message ? { ...message } : null;
 }
 
+function getMessagesSync(messageIds) {
+  const ids = Array.isArray(messageIds) ? messageIds : [];
+  return ids.filter((id) => messageById.has(id)).map((id) => ({ ...messageById.get(id) }));
+}
+
 function markMessageDeliveredSync(messageId, userId) {
   if (!deliveryTracking.has(messageId)) deliveryTracking.set(messageId, new Set());
   deliveryTracking.get(messageId).add(userId);
@@ -250,6 +379,24 @@ function getMessagesByRoomIdSync(roomId) {
   return messages;
 }
 
+function getRoomActivitySync(roomIds, since) {
+  const wanted = Array.isArray(roomIds) ? roomIds : [];
+  const byRoom = Object.create(null);
+  const counted = Object.create(null);
+  for (const [messageId, message] of messageById) {
+    if (!wanted.includes(message.roomId)) continue;
+    const activity = byRoom[message.roomId] || { roomId: message.roomId, lastMessageAt: 0, recentMessageCount: 0 };
+    activity.lastMessageAt = Math.max(activity.lastMessageAt, message.timestamp || 0);
+    const rid = message.roomMessageId || messageId;
+    if ((message.timestamp || 0) >= since && !counted[rid]) {
+      counted[rid] = true;
+      activity.recentMessageCount += 1;
+    }
+    byRoom[message.roomId] = activity;
+  }
+  return Object.values(byRoom);
+}
+
 function getHistoryPaginatedSync(recipientId, options = {}) {
   const limit = Math.min(100, Math.max(1, parseInt(options.limit, 10) || 50));
   const beforeId = options.beforeId && typeof options.beforeId === 'string' ? options.beforeId.trim() : null;
@@ -287,30 +434,661 @@ function deleteMessageSync(messageId) {
   return existed;
 }
 
+/** Edit all rows of a message (see getReactionTargetsSync); the replaced content is appended to revisions. */
 function editMessageContentSync(messageId, actorUserId, newContent) {
-  const message = messageById.get(messageId);
-  if (!message) return null;
-  message.content = newContent != null ? String(newContent) : message.content;
-  message.updatedAt = Date.now();
-  messageById.set(messageId, message);
+  const targets = getReactionTargetsSync(messageId).filter((msg) => msg.senderId === actorUserId);
+  if (targets.length === 0 || newContent == null) return null;
+  const now = Date.now();
+  for (const msg of targets) {
+    const revisions = Array.isArray(msg.revisions) ? msg.revisions : [];
+    msg.revisions = [...revisions, { content: msg.content, createdAt: msg.editedAt ?? msg.timestamp ?? null }];
+    msg.content = String(newContent);
+    msg.editedAt = now;
+    msg.updatedAt = now;
+  }
   persist();
-  return { ...message };
+  const message = messageById.get(messageId);
+  return message ? { ...message } : null;
 }
 
 function softDeleteMessageSync(messageId, actorUserId) {
   const message = messageById.get(messageId);
-  if (!message) return null;
-  message.state = 'deleted';
-  message.updatedAt = Date.now();
+  if (!message || message.senderId !== actorUserId) return null;
+  const now = Date.now();
+  message.deleted = true;
+  message.deletedAt = now;
+  message.updatedAt = now;
   messageById.set(messageId, message);
   persist();
   return { ...message };
 }
 
+/** Rows sharing a logical message: DM row, or room canonical row + per-recipient rows (by roomMessageId). */
+function getReactionTargetsSync(messageId) {
+  const targets = [];
+  for (const [mid, msg] of messageById) {
+    if (mid === messageId || msg.roomMessageId === messageId) targets.push(msg);
+  }
+  return targets;
+}
+
+function addReactionSync(messageId, userId, emoji) {
+  const targets = getReactionTargetsSync(messageId);
+  if (targets.length === 0) return null;
+  const now = Date.now();
+  for (const msg of targets) {
+    const reactions = { ...(msg.reactions || {}) };
+    const userIds = Array.isArray(reactions[emoji]) ? reactions[emoji] : [];
+    if (!userIds.includes(userId)) reactions[emoji] = [...userIds, userId];
+    msg.reactions = reactions;
+    msg.updatedAt = now;
+  }
+  persist();
+  return getMessageSync(messageId);
+}
+
+function recordThreadReplySync(threadRootId, userId, timestamp) {
+  const targets = getReactionTargetsSync(threadRootId);
+  if (targets.length === 0) return null;
+  const now = Date.now();
+  const ts = timestamp || now;
+  for (const msg of targets) {
+    const thread = msg.thread || {};
+    const participantIds = Array.isArray(thread.participantIds) ? thread.participantIds : [];
+    msg.thread = {
+      replyCount: (thread.replyCount || 0) + 1,
+      lastReplyAt: Math.max(thread.lastReplyAt || 0, ts),
+      participantIds: participantIds.includes(userId) ? participantIds : [...participantIds, userId],
+    };
+    msg.updatedAt = now;
+  }
+  persist();
+  return getMessageSync(threadRootId);
+}
+
+function removeReactionSync(messageId, userId, emoji) {
+  const targets = getReactionTargetsSync(messageId);
+  if (targets.length === 0) return null;
+  const now = Date.now();
+  for (const msg of targets) {
+    const reactions = { ...(msg.reactions || {}) };
+    const userIds = Array.isArray(reactions[emoji]) ? reactions[emoji].filter((id) => id !== userId) : [];
+    if (userIds.length > 0) reactions[emoji] = userIds;
+    else delete reactions[emoji];
+    msg.reactions = reactions;
+    msg.updatedAt = now;
+  }
+  persist();
+  return getMessageSync(messageId);
+}
+
+function setPollVoteSync(messageId, userId, optionIds) {
+  const targets = getReactionTargetsSync(messageId).filter((msg) => msg.poll && typeof msg.poll === 'object');
+  if (targets.length === 0 || !Array.isArray(optionIds)) return null;
+  const now = Date.now();
+  for (const msg of targets) {
+    const votes = { ...(msg.poll.votes || {}) };
+    if (optionIds.length > 0) votes[userId] = [...optionIds];
+    else delete votes[userId];
+    msg.poll = { ...msg.poll, votes };
+    msg.updatedAt = now;
+  }
+  persist();
+  return getMessageSync(messageId);
+}
+
+function recordVoiceListenSync(messageId, userId, listenedAt) {
+  const targets = getReactionTargetsSync(messageId).filter((msg) => msg.contentType === 'voice');
+  if (targets.length === 0) return null;
+  for (const msg of targets) {
+    if (msg.listenedBy && msg.listenedBy[userId] != null) continue;
+    msg.listenedBy = { ...(msg.listenedBy || {}), [userId]: listenedAt };
+  }
+  persist();
+  return getMessageSync(messageId);
+}
+
+function addPinSync(chatId, messageId, userId) {
+  if (!chatId || !messageId || !userId) return false;
+  const list = pinsByChatId[chatId] || [];
+  if (list.some((p) => p.messageId === messageId)) return false;
+  pinsByChatId[chatId] = [...list, { messageId, pinnedBy: userId, pinnedAt: Date.now() }];
+  persist();
+  return true;
+}
+
+function removePinSync(chatId, messageId) {
+  const list = pinsByChatId[chatId] || [];
+  const next = list.filter((p) => p.messageId !== messageId);
+  if (next.length === list.length) return false;
+  if (next.length > 0) pinsByChatId[chatId] = next;
+  else delete pinsByChatId[chatId];
+  persist();
+  return true;
+}
+
+/** Pins of a chat, most recently pinned first (same order as message.mongo getPins). */
+function getPinsSync(chatId) {
+  const list = pinsByChatId[chatId] || [];
+  return list
+    .map((p) => ({ ...p }))
+    .sort((a, b) => (b.pinnedAt || 0) - (a.pinnedAt || 0) || a.messageId.localeCompare(b.messageId));
+}
+
+// Chat settings and disappearing messages: same semantics as message.mongo
+
+function getChatSettingsSync(chatId) {
+  const doc = settingsByChatId[chatId];
+  return doc ? { ...doc } : null;
+}
+
+function setChatEphemeralSync(chatId, mode, userId) {
+  const doc = { ...(settingsByChatId[chatId] || { chatId }), ephemeral: mode, updatedBy: userId, updatedAt: Date.now() };
+  settingsByChatId[chatId] = doc;
+  persist();
+  return { ...doc };
+}
+
+function deleteExpiredMessagesSync(now, limit) {
+  const expired = [];
+  for (const [, msg] of messageById) {
+    if (msg.expiresAt != null && msg.expiresAt <= now) expired.push(msg);
+  }
+  expired.sort((a, b) => a.expiresAt - b.expiresAt);
+  const deleted = [];
+  for (const msg of expired.slice(0, limit)) {
+    const { messageId, chatId, roomId, roomMessageId, senderId, recipientId, clientMessageId, attachments } = msg;
+    messageById.delete(messageId);
+    deliveryTracking.delete(messageId);
+    if (clientMessageId && clientMessageIdIndex.get(`${senderId}:${clientMessageId}`) === messageId) {
+      clientMessageIdIndex.delete(`${senderId}:${clientMessageId}`);
+    }
+    const pins = pinsByChatId[chatId];
+    if (pins && pins.some((p) => p.messageId === messageId)) {
+      const next = pins.filter((p) => p.messageId !== messageId);
+      if (next.length > 0) pinsByChatId[chatId] = next;
+      else delete pinsByChatId[chatId];
+    }
+    dropBookmarks([messageId]);
+    const attachmentIds = (attachments || []).map((a) => a.attachmentId).filter(Boolean);
+    deleted.push({ messageId, chatId, roomId, roomMessageId, senderId, recipientId, attachmentIds });
+  }
+  if (deleted.length === 0) return deleted;
+  const canonicalIds = deleted.map((d) => d.roomMessageId || d.messageId);
+  for (const doc of Object.values(attachmentsById)) {
+    if (doc.messageIds.some((id) => canonicalIds.includes(id))) {
+      doc.messageIds = doc.messageIds.filter((id) => !canonicalIds.includes(id));
+    }
+  }
+  persist();
+  return deleted;
+}
+
+// Bookmarks: same semantics as message.mongo (per-user, newest first, idempotent add)
+
+function addBookmarkSync(userId, chatId, messageId) {
+  if (!userId || !chatId || !messageId) return false;
+  const list = bookmarksByUserId[userId] || [];
+  if (list.some((b) => b.messageId === messageId)) return false;
+  bookmarksByUserId[userId] = [...list, { messageId, chatId, bookmarkedAt: Date.now() }];
+  persist();
+  return true;
+}
+
+function removeBookmarkSync(userId, messageId) {
+  const list = bookmarksByUserId[userId] || [];
+  const next = list.filter((b) => b.messageId !== messageId);
+  if (next.length === list.length) return false;
+  if (next.length > 0) bookmarksByUserId[userId] = next;
+  else delete bookmarksByUserId[userId];
+  persist();
+  return true;
+}
+
+function getBookmarksSync(userId) {
+  const list = bookmarksByUserId[userId] || [];
+  return list
+    .map((b) => ({ ...b }))
+    .sort((a, b) => (b.bookmarkedAt || 0) - (a.bookmarkedAt || 0) || a.messageId.localeCompare(b.messageId));
+}
+
+function countBookmarksSync(userId) {
+  return (bookmarksByUserId[userId] || []).length;
+}
+
+/** Drop all users' bookmarks of the given messages without persisting; returns how many were removed. */
+function dropBookmarks(messageIds) {
+  let removed = 0;
+  for (const [userId, list] of Object.entries(bookmarksByUserId)) {
+    const next = list.filter((b) => !messageIds.includes(b.messageId));
+    if (next.length === list.length) continue;
+    removed += list.length - next.length;
+    if (next.length > 0) bookmarksByUserId[userId] = next;
+    else delete bookmarksByUserId[userId];
+  }
+  return removed;
+}
+
+function removeBookmarksForMessagesSync(messageIds) {
+  const ids = (Array.isArray(messageIds) ? messageIds : []).filter(Boolean);
+  if (ids.length === 0) return 0;
+  const removed = dropBookmarks(ids);
+  if (removed > 0) persist();
+  return removed;
+}
+
+// Archived chats: same semantics as message.mongo (per-user, newest first, keepArchived opts out of auto-unarchive)
+
+function archiveChatsSync(userId, chatIds, keepArchived) {
+  const ids = (Array.isArray(chatIds) ? chatIds : []).filter(Boolean);
+  if (!userId || ids.length === 0) return 0;
+  const list = archivesByUserId[userId] || [];
+  const now = Date.now();
+  let changed = 0;
+  for (const chatId of ids) {
+    const existing = list.find((a) => a.chatId === chatId);
+    if (!existing) {
+      list.push({ chatId, archivedAt: now, keepArchived: keepArchived === true });
+      changed++;
+    } else if (existing.keepArchived !== (keepArchived === true)) {
+      existing.keepArchived = keepArchived === true;
+      changed++;
+    }
+  }
+  if (changed === 0) return 0;
+  archivesByUserId[userId] = list;
+  persist();
+  return changed;
+}
+
+function unarchiveChatsSync(userId, chatIds) {
+  const ids = (Array.isArray(chatIds) ? chatIds : []).filter(Boolean);
+  const list = archivesByUserId[userId] || [];
+  const next = list.filter((a) => !ids.includes(a.chatId));
+  if (next.length === list.length) return 0;
+  if (next.length > 0) archivesByUserId[userId] = next;
+  else delete archivesByUserId[userId];
+  persist();
+  return list.length - next.length;
+}
+
+function getArchivedChatsSync(userId) {
+  const list = archivesByUserId[userId] || [];
+  return list
+    .map((a) => ({ ...a }))
+    .sort((a, b) => (b.archivedAt || 0) - (a.archivedAt || 0) || a.chatId.localeCompare(b.chatId));
+}
+
+function releaseArchivedChatSync(chatId, userIds) {
+  const released = [];
+  // A repeated userId finds nothing left to release, so duplicates need no extra pass.
+  for (const userId of (Array.isArray(userIds) ? userIds : []).filter(Boolean)) {
+    const list = archivesByUserId[userId];
+    if (!list || !list.some((a) => a.chatId === chatId && !a.keepArchived)) continue;
+    const next = list.filter((a) => a.chatId !== chatId);
+    if (next.length > 0) archivesByUserId[userId] = next;
+    else delete archivesByUserId[userId];
+    released.push(userId);
+  }
+  if (released.length > 0) persist();
+  return released;
+}
+
+// Muted chats: same semantics as message.mongo (per-user, mutedUntil null = forever, expired mutes are not listed)
+
+function setChatMuteSync(userId, chatId, mutedUntil) {
+  if (!userId || !chatId) return null;
+  const list = (mutesByUserId[userId] || []).filter((m) => m.chatId !== chatId);
+  const mute = { chatId, mutedAt: Date.now(), mutedUntil: mutedUntil ?? null };
+  list.push(mute);
+  mutesByUserId[userId] = list;
+  persist();
+  return { ...mute };
+}
+
+function removeChatMuteSync(userId, chatId) {
+  const list = mutesByUserId[userId] || [];
+  const next = list.filter((m) => m.chatId !== chatId);
+  if (next.length === list.length) return false;
+  if (next.length > 0) mutesByUserId[userId] = next;
+  else delete mutesByUserId[userId];
+  persist();
+  return true;
+}
+
+function getChatMutesSync(userId, now = Date.now()) {
+  const list = mutesByUserId[userId] || [];
+  return list
+    .filter((m) => m.mutedUntil == null || m.mutedUntil > now)
+    .map((m) => ({ ...m }))
+    .sort((a, b) => a.chatId.localeCompare(b.chatId));
+}
+
+// Blocked users: same semantics as message.mongo (per blocker, newest first)
+
+function addBlockSync(userId, blockedUserId) {
+  if (!userId || !blockedUserId) return false;
+  const list = blocksByUserId[userId] || [];
+  if (list.some((b) => b.blockedUserId === blockedUserId)) return false;
+  list.push({ blockedUserId, blockedAt: Date.now() });
+  blocksByUserId[userId] = list;
+  persist();
+  return true;
+}
+
+function removeBlockSync(userId, blockedUserId) {
+  const list = blocksByUserId[userId] || [];
+  const next = list.filter((b) => b.blockedUserId !== blockedUserId);
+  if (next.length === list.length) return false;
+  if (next.length > 0) blocksByUserId[userId] = next;
+  else delete blocksByUserId[userId];
+  persist();
+  return true;
+}
+
+function getBlocksSync(userId) {
+  const list = blocksByUserId[userId] || [];
+  return list
+    .map((b) => ({ ...b }))
+    .sort((a, b) => (b.blockedAt || 0) - (a.blockedAt || 0) || a.blockedUserId.localeCompare(b.blockedUserId));
+}
+
+function listAllBlocksSync() {
+  const out = [];
+  for (const [userId, list] of Object.entries(blocksByUserId)) {
+    for (const b of list) out.push({ userId, ...b });
+  }
+  return out;
+}
+
+// Message requests: same semantics as message.mongo (one record per DM chat)
+
+function upsertMessageRequestSync(request) {
+  if (!request || !request.chatId) return null;
+  const doc = {
+    chatId: request.chatId,
+    requesterId: request.requesterId,
+    recipientId: request.recipientId,
+    status: request.status,
+    createdAt: request.createdAt,
+    respondedAt: request.respondedAt ?? null,
+  };
+  messageRequestsByChatId[doc.chatId] = doc;
+  persist();
+  return { ...doc };
+}
+
+function listAllMessageRequestsSync() {
+  return Object.values(messageRequestsByChatId).map((r) => ({ ...r }));
+}
+
+// Room invites: same semantics as message.mongo
+
+function isRoomInviteUsable(invite, now) {
+  return invite.revokedAt == null
+    && (invite.expiresAt == null || invite.expiresAt > now)
+    && (invite.maxUses == null || invite.uses < invite.maxUses);
+}
+
+function createRoomInviteSync(invite) {
+  if (!invite || !invite.token || !invite.roomId) return null;
+  const doc = {
+    token: invite.token,
+    roomId: invite.roomId,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt ?? null,
+    maxUses: invite.maxUses ?? null,
+    uses: 0,
+    revokedAt: null,
+  };
+  roomInvitesByToken[doc.token] = doc;
+  persist();
+  return { ...doc };
+}
+
+function getRoomInviteSync(token) {
+  const invite = roomInvitesByToken[token];
+  return invite ? { ...invite } : null;
+}
+
+function listRoomInvitesSync(roomId) {
+  return Object.values(roomInvitesByToken)
+    .filter((i) => i.roomId === roomId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map((i) => ({ ...i }));
+}
+
+function claimRoomInviteUseSync(token, now) {
+  const invite = roomInvitesByToken[token];
+  if (!invite || !isRoomInviteUsable(invite, now)) return null;
+  invite.uses += 1;
+  persist();
+  return { ...invite };
+}
+
+function releaseRoomInviteUseSync(token) {
+  const invite = roomInvitesByToken[token];
+  if (!invite || invite.uses <= 0) return null;
+  invite.uses -= 1;
+  persist();
+  return { ...invite };
+}
+
+function revokeRoomInviteSync(token, revokedAt) {
+  const invite = roomInvitesByToken[token];
+  if (!invite) return null;
+  if (invite.revokedAt == null) {
+    invite.revokedAt = revokedAt;
+    persist();
+  }
+  return { ...invite };
+}
+
+// Attachments: same semantics as message.mongo
+
+function copyAttachment(doc) {
+  return { ...doc, chatIds: [...doc.chatIds], messageIds: [...doc.messageIds] };
+}
+
+function createAttachmentSync(doc) {
+  const { attachmentId, uploaderId, chatId, name, size, mime, category, sha256, storageKey, derivedBytes, image, voice } = doc || {};
+  if (!attachmentId || !uploaderId || !chatId || !storageKey) {
+    throw new Error('Missing required fields for attachment');
+  }
+  const record = {
+    attachmentId,
+    uploaderId,
+    chatId,
+    chatIds: [chatId],
+    messageIds: [],
+    name,
+    size,
+    mime,
+    category,
+    sha256,
+    storageKey,
+    derivedBytes: derivedBytes || 0,
+    image: image || null,
+    voice: voice || null,
+    createdAt: Date.now(),
+  };
+  attachmentsById[attachmentId] = record;
+  persist();
+  return copyAttachment(record);
+}
+
+function getAttachmentSync(attachmentId) {
+  const doc = attachmentsById[attachmentId];
+  return doc ? copyAttachment(doc) : null;
+}
+
+function getAttachmentsSync(attachmentIds) {
+  const ids = Array.isArray(attachmentIds) ? attachmentIds : [];
+  return ids.filter((id) => attachmentsById[id]).map((id) => copyAttachment(attachmentsById[id]));
+}
+
+function linkAttachmentsSync(attachmentIds, messageId, chatId) {
+  const ids = (Array.isArray(attachmentIds) ? attachmentIds : []).filter(Boolean);
+  if (ids.length === 0 || !messageId || !chatId) return 0;
+  let updated = 0;
+  for (const id of ids) {
+    const doc = attachmentsById[id];
+    if (!doc) continue;
+    const before = doc.messageIds.length + doc.chatIds.length;
+    if (!doc.messageIds.includes(messageId)) doc.messageIds.push(messageId);
+    if (!doc.chatIds.includes(chatId)) doc.chatIds.push(chatId);
+    if (doc.messageIds.length + doc.chatIds.length !== before) updated++;
+  }
+  if (updated > 0) persist();
+  return updated;
+}
+
+function getAttachmentUsageSync(field, keys) {
+  const usage = {};
+  for (const key of Array.isArray(keys) ? keys : []) usage[key] = { bytes: 0, count: 0 };
+  if (field !== 'uploaderId' && field !== 'chatId') return usage;
+  for (const doc of Object.values(attachmentsById)) {
+    const entry = usage[doc[field]];
+    if (!entry) continue;
+    entry.bytes += (doc.size || 0) + (doc.derivedBytes || 0);
+    entry.count += 1;
+  }
+  return usage;
+}
+
+function listOrphanAttachmentsSync(before, limit) {
+  const orphans = [];
+  for (const doc of Object.values(attachmentsById)) {
+    if (orphans.length >= limit) break;
+    if (doc.messageIds.length === 0 && doc.createdAt < before) orphans.push(copyAttachment(doc));
+  }
+  return orphans;
+}
+
+function deleteOrphanAttachmentSync(attachmentId) {
+  const doc = attachmentsById[attachmentId];
+  if (!doc || doc.messageIds.length > 0) return false;
+  delete attachmentsById[attachmentId];
+  persist();
+  return true;
+}
+
+// Scheduled messages: same semantics as message.mongo (claim is trivially exclusive in one process)
+
+function createScheduledMessageSync(doc) {
+  const { scheduledId, senderId, chatId, content, sendAt, messageId } = doc || {};
+  if (!scheduledId || !senderId || !chatId || !content || sendAt == null || !messageId) {
+    throw new Error('Missing required fields for scheduled message');
+  }
+  const now = Date.now();
+  const row = {
+    scheduledId,
+    senderId,
+    chatId,
+    content,
+    sendAt,
+    messageId,
+    status: ScheduledStatus.PENDING,
+    attempts: 0,
+    claimedBy: null,
+    leaseUntil: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  scheduledById[scheduledId] = row;
+  persist();
+  return { ...row };
+}
+
+function getScheduledMessageSync(scheduledId) {
+  const item = scheduledById[scheduledId];
+  return item ? { ...item } : null;
+}
+
+function listScheduledMessagesSync(senderId, chatId = null) {
+  const list = [];
+  for (const item of Object.values(scheduledById)) {
+    if (item.senderId !== senderId || !VISIBLE_STATUSES.includes(item.status)) continue;
+    if (chatId && item.chatId !== chatId) continue;
+    list.push({ ...item });
+  }
+  return list.sort((a, b) => a.sendAt - b.sendAt || a.scheduledId.localeCompare(b.scheduledId));
+}
+
+function countPendingScheduledMessagesSync(senderId) {
+  let n = 0;
+  for (const item of Object.values(scheduledById)) {
+    if (item.senderId === senderId && item.status === ScheduledStatus.PENDING) n++;
+  }
+  return n;
+}
+
+function updateScheduledMessageSync(scheduledId, senderId, patch) {
+  const item = scheduledById[scheduledId];
+  if (!item || item.senderId !== senderId || item.status !== ScheduledStatus.PENDING) return null;
+  if (patch && patch.content != null) item.content = patch.content;
+  if (patch && patch.sendAt != null) item.sendAt = patch.sendAt;
+  item.updatedAt = Date.now();
+  persist();
+  return { ...item };
+}
+
+function cancelScheduledMessageSync(scheduledId, senderId) {
+  const item = scheduledById[scheduledId];
+  if (!item || item.senderId !== senderId) return null;
+  if (item.status !== ScheduledStatus.PENDING && item.status !== ScheduledStatus.FAILED) return null;
+  item.status = ScheduledStatus.CANCELLED;
+  item.updatedAt = Date.now();
+  persist();
+  return { ...item };
+}
+
+function claimDueScheduledMessageSync(now, ownerId, leaseMs) {
+  let next = null;
+  for (const item of Object.values(scheduledById)) {
+    const due = (item.status === ScheduledStatus.PENDING && item.sendAt <= now)
+      || (item.status === ScheduledStatus.SENDING && item.leaseUntil != null && item.leaseUntil <= now);
+    if (due && (!next || item.sendAt < next.sendAt)) next = item;
+  }
+  if (!next) return null;
+  next.status = ScheduledStatus.SENDING;
+  next.claimedBy = ownerId;
+  next.leaseUntil = now + leaseMs;
+  next.attempts = (next.attempts || 0) + 1;
+  next.updatedAt = now;
+  persist();
+  return { ...next };
+}
+
+function completeScheduledMessageSync(scheduledId, ownerId, outcome) {
+  const item = scheduledById[scheduledId];
+  if (!item || item.status !== ScheduledStatus.SENDING || item.claimedBy !== ownerId) return null;
+  const now = Date.now();
+  item.status = outcome.status;
+  item.claimedBy = null;
+  item.leaseUntil = null;
+  item.updatedAt = now;
+  if (outcome.status === ScheduledStatus.SENT) item.sentAt = now;
+  if (outcome.error) item.error = outcome.error;
+  persist();
+  return { ...item };
+}
+
 function clearStoreSync() {
   messageById.clear();
   clientMessageIdIndex.clear();
   deliveryTracking.clear();
+  clearTable(pinsByChatId);
+  clearTable(scheduledById);
+  clearTable(settingsByChatId);
+  clearTable(bookmarksByUserId);
+  clearTable(attachmentsById);
+  clearTable(archivesByUserId);
+  clearTable(mutesByUserId);
+  clearTable(blocksByUserId);
+  clearTable(messageRequestsByChatId);
+  clearTable(roomInvitesByToken);
   persist();
 }
 
@@ -336,7 +1114,7 @@ function getDeliveredRecipientIdsForRoomMessageSync(roomMessageId) {
   for (const [messageId, msg] of messageById) {
     if (msg.roomMessageId !== roomMessageId && msg.roomId !== roomMessageId) continue;
     const state = (msg.state || '').toLowerCase();
-    if (state === 'delivered' || state === 'read') {
+    if (state === 'delivered' || state === 'read' || msg.deliveredAt != null) {
       if (msg.recipientId) ids.add(msg.recipientId);
     }
     const set = deliveryTracking.get(messageId);
@@ -345,12 +1123,94 @@ function getDeliveredRecipientIdsForRoomMessageSync(roomMessageId) {
   return Array.from(ids);
 }
 
+/**
+ * Stamp deliveredAt on the per-recipient rows of a room message (first delivery wins).
+ * @param {string} roomMessageId
+ * @param {string[]} userIds - Members whose socket received the message
+ * @param {number} deliveredAt
+ * @returns {number} Rows stamped
+ */
+function recordRoomDeliverySync(roomMessageId, userIds, deliveredAt) {
+  if (!roomMessageId || !Array.isArray(userIds)) return 0;
+  let changed = 0;
+  for (const userId of userIds) {
+    const msg = messageById.get(`rm_${roomMessageId}_${userId}`);
+    if (!msg || msg.deliveredAt != null) continue;
+    msg.deliveredAt = deliveredAt;
+    changed++;
+  }
+  if (changed > 0) persist();
+  return changed;
+}
+
+/**
+ * Mark a member's rows in a room as read up to a timestamp: the newest `limit` rows from other senders without
+ * readAt (thread-only replies excluded) get readAt, and deliveredAt when it was missing.
+ * @param {string} roomId
+ * @param {string} userId - Reader
+ * @param {number} upToTimestamp - Timestamp of the newest message read
+ * @param {number} readAt
+ * @param {number} limit
+ * @returns {Array<{ roomMessageId: string, senderId: string }>} Messages that changed, newest first
+ */
+function markRoomMessagesReadSync(roomId, userId, upToTimestamp, readAt, limit) {
+  if (!roomId || !userId) return [];
+  const rows = [];
+  for (const msg of messageById.values()) {
+    if (msg.roomId !== roomId || msg.recipientId !== userId || msg.senderId === userId) continue;
+    if (msg.readAt != null || (msg.timestamp ?? 0) > upToTimestamp) continue;
+    if (msg.threadRootId && msg.alsoSendToRoom !== true) continue;
+    rows.push(msg);
+  }
+  rows.sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0));
+  const changed = rows.slice(0, limit);
+  for (const msg of changed) {
+    msg.readAt = readAt;
+    if (msg.deliveredAt == null) msg.deliveredAt = readAt;
+  }
+  if (changed.length > 0) persist();
+  return changed.map((msg) => ({ roomMessageId: msg.roomMessageId, senderId: msg.senderId }));
+}
+
+/**
+ * Receipts of a room message over its per-recipient rows (the sender's own row excluded). Counts are exact;
+ * each list holds at most `limit` members, most recent first. Delivered-only members are those not yet read.
+ * @param {string} roomMessageId
+ * @param {string} senderId
+ * @param {number} limit
+ * @returns {{ totalCount: number, deliveredCount: number, readCount: number, readBy: Array<{ userId: string, readAt: number }>, deliveredTo: Array<{ userId: string, deliveredAt: number|null }> }}
+ */
+function getRoomReceiptsSync(roomMessageId, senderId, limit) {
+  const readRows = [];
+  const deliveredRows = [];
+  let totalCount = 0;
+  for (const [messageId, msg] of messageById) {
+    if (msg.roomMessageId !== roomMessageId || messageId === roomMessageId || msg.recipientId === senderId) continue;
+    totalCount++;
+    const tracked = deliveryTracking.get(messageId);
+    if (msg.readAt != null) readRows.push(msg);
+    else if (msg.deliveredAt != null || msg.state === 'delivered' || msg.state === 'read' || (tracked && tracked.has(msg.recipientId))) {
+      deliveredRows.push(msg);
+    }
+  }
+  readRows.sort((a, b) => b.readAt - a.readAt);
+  deliveredRows.sort((a, b) => (b.deliveredAt ?? 0) - (a.deliveredAt ?? 0));
+  return {
+    totalCount,
+    deliveredCount: readRows.length + deliveredRows.length,
+    readCount: readRows.length,
+    readBy: readRows.slice(0, limit).map((msg) => ({ userId: msg.recipientId, readAt: msg.readAt })),
+    deliveredTo: deliveredRows.slice(0, limit).map((msg) => ({ userId: msg.recipientId, deliveredAt: msg.deliveredAt ?? null })),
+  };
+}
+
 module.exports = {
   hydrate,
   persist,
   persistMessageSync,
   updateMessageStateSync,
   getMessageSync,
+  getMessagesSync,
   markMessageDeliveredSync,
   isMessageDeliveredSync,
   getUndeliveredMessagesSync,
@@ -358,12 +1218,66 @@ module.exports = {
   getMessagesForRecipientSync,
   getMessagesForSenderSync,
   getMessagesByRoomIdSync,
+  getRoomActivitySync,
   getHistoryPaginatedSync,
   deleteMessageSync,
   clearStoreSync,
   getMessageCountSync,
   getMessagesByChatIdSync,
   getDeliveredRecipientIdsForRoomMessageSync,
+  recordRoomDeliverySync,
+  markRoomMessagesReadSync,
+  getRoomReceiptsSync,
   editMessageContentSync,
   softDeleteMessageSync,
+  addReactionSync,
+  removeReactionSync,
+  setPollVoteSync,
+  recordVoiceListenSync,
+  recordThreadReplySync,
+  addPinSync,
+  removePinSync,
+  getPinsSync,
+  addBookmarkSync,
+  removeBookmarkSync,
+  getBookmarksSync,
+  countBookmarksSync,
+  removeBookmarksForMessagesSync,
+  archiveChatsSync,
+  unarchiveChatsSync,
+  getArchivedChatsSync,
+  releaseArchivedChatSync,
+  setChatMuteSync,
+  removeChatMuteSync,
+  getChatMutesSync,
+  addBlockSync,
+  removeBlockSync,
+  getBlocksSync,
+  listAllBlocksSync,
+  upsertMessageRequestSync,
+  listAllMessageRequestsSync,
+  createRoomInviteSync,
+  getRoomInviteSync,
+  listRoomInvitesSync,
+  claimRoomInviteUseSync,
+  releaseRoomInviteUseSync,
+  revokeRoomInviteSync,
+  createAttachmentSync,
+  getAttachmentSync,
+  getAttachmentsSync,
+  linkAttachmentsSync,
+  getAttachmentUsageSync,
+  listOrphanAttachmentsSync,
+  deleteOrphanAttachmentSync,
+  createScheduledMessageSync,
+  getScheduledMessageSync,
+  listScheduledMessagesSync,
+  countPendingScheduledMessagesSync,
+  updateScheduledMessageSync,
+  cancelScheduledMessageSync,
+  claimDueScheduledMessageSync,
+  completeScheduledMessageSync,
+  getChatSettingsSync,
+  setChatEphemeralSync,
+  deleteExpiredMessagesSync,
 };
@@ -54,6 +54,7 @@ async function upsertRoom(roomObject) {
     joinedAtByUser: roomObject.joinedAtByUser && typeof roomObject.joinedAtByUser === 'object'
       ? { ...roomObject.joinedAtByUser }
       : {},
+    joinRequests: Array.isArray(roomObject.joinRequests) ? roomObject.joinRequests.map((r) => ({ ...r })) : [],
     version: typeof roomObject.version === 'number' ? roomObject.version : 1,
     updatedAt: typeof roomObject.updatedAt === 'number' ? roomObject.updatedAt : Date.now(),
   };
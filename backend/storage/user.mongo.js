@@ -80,6 +80,7 @@ async function create(user) {
     uiPreferences: {
       soundNotifications: true,
       desktopNotifications: false,
+      messageRequests: false,
     },
   };
   await col.insertOne(record);
@@ -142,6 +143,7 @@ async function createDevUser(userId, role, email) {
     uiPreferences: {
       soundNotifications: true,
       desktopNotifications: false,
+      messageRequests: false,
     },
   };
   await col.insertOne(record);
@@ -312,12 +314,13 @@ async function updateRole(userId, role) {
 const UI_PREFS_DEFAULTS = {
   soundNotifications: true,
   desktopNotifications: false,
+  messageRequests: false,
 };
 
 /**
  * Get UI preferences for a user (or defaults if missing).
  * @param {string} userId
- * @returns {Promise<{ soundNotifications: boolean, desktopNotifications: boolean }>}
+ * @returns {Promise<{ soundNotifications: boolean, desktopNotifications: boolean, messageRequests: boolean }>}
  */
 async function getUiPreferences(userId) {
   if (!userId || typeof userId !== 'string') return UI_PREFS_DEFAULTS;
@@ -329,13 +332,14 @@ async function getUiPreferences(userId) {
   return {
     soundNotifications: typeof doc.uiPreferences.soundNotifications === 'boolean' ? doc.uiPreferences.soundNotifications : UI_PREFS_DEFAULTS.soundNotifications,
     desktopNotifications: typeof doc.uiPreferences.desktopNotifications === 'boolean' ? doc.uiPreferences.desktopNotifications : UI_PREFS_DEFAULTS.desktopNotifications,
+    messageRequests: typeof doc.uiPreferences.messageRequests === 'boolean' ? doc.uiPreferences.messageRequests : UI_PREFS_DEFAULTS.messageRequests,
   };
 }
 
 /**
  * Patch UI preferences for a user (only known boolean keys allowed).
  * @param {string} userId
- * @param {Object} patch - { soundNotifications?: boolean, desktopNotifications?: boolean }
+ * @param {Object} patch - { soundNotifications?: boolean, desktopNotifications?: boolean, messageRequests?: boolean }
  * @returns {Promise<boolean>} - true if updated, false if user not found or invalid patch
  */
 async function patchUiPreferences(userId, patch) {
@@ -349,6 +353,10 @@ async function patchUiPreferences(userId, patch) {
     if (typeof patch.desktopNotifications !== 'boolean') return false;
     updates['uiPreferences.desktopNotifications'] = patch.desktopNotifications;
   }
+  if (patch.hasOwnProperty('messageRequests')) {
+    if (typeof patch.messageRequests !== 'boolean') return false;
+    updates['uiPreferences.messageRequests'] = patch.messageRequests;
+  }
   if (Object.keys(updates).length === 0) return true; // No changes
   updates.updatedAt = Date.now();
   const db = await getDb();
@@ -356,6 +364,18 @@ async function patchUiPreferences(userId, patch) {
   return r.matchedCount > 0;
 }
 
+/**
+ * Ids of users who turned on message requests (first DMs from non-contacts go to a Requests inbox).
+ * @returns {Promise<string[]>}
+ */
+async function listMessageRequestUserIds() {
+  const db = await getDb();
+  const docs = await db.collection(COLLECTION)
+    .find({ 'uiPreferences.messageRequests': true, ...notDeleted }, { projection: { _id: 0, id: 1 } })
+    .toArray();
+  return docs.map((d) => d.id);
+}
+
 /**
  * Clear all users from the collection except the root admin (so wipe/reset never locks us out).
  * Root is identified by ROOT_ADMIN_EMAIL or ROOT_ADMIN_USERNAME (same as isRootUser).
@@ -522,6 +542,7 @@ async function ensureRootAdminUser(emailNorm, passwordHash, rootUsername) {
     uiPreferences: {
       soundNotifications: true,
       desktopNotifications: false,
+      messageRequests: false,
     },
   };
 
@@ -586,5 +607,6 @@ module.exports = {
   softDeleteUser,
   getUiPreferences,
   patchUiPreferences,
+  listMessageRequestUserIds,
   clear,
 };
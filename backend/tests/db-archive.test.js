@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Archived chats: per-user archive state, POST /api/chats/archive | unarchive, GET /api/chats/archived,
+ * archived flags in GET /api/chats and auto-unarchive on new messages.
+ * Run with: node -r dotenv/config tests/db-archive.test.js
+ *
+ * Verifies:
+ * - Archiving is per user, bulk, idempotent, limited to chats the user is in and to ARCHIVE.maxBulk chats.
+ * - GET /api/chats still lists archived DMs, flagged archived / keepArchived.
+ * - A new DM or room message unarchives the chat for its recipients, never for the sender, and never when
+ *   the recipient chose "keep archived".
+ * - Unarchive removes chats from the archived list and ignores chats that were not archived.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, createMockSocket, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleRoomMessage } = require(path.join(backendRoot, 'websocket/handlers/room'));
+const readCursorStore = require(path.join(backendRoot, 'chat/readCursorStore.mongo'));
+const chatController = require(path.join(backendRoot, 'http/controllers/chat.controller'));
+const { ARCHIVE } = require(path.join(backendRoot, 'config/constants'));
+
+readCursorStore.bulkGetCursors = async () => new Map(); // ALLOW_MAP — TEST MOCK ONLY
+
+async function sendDm(senderId, receiverId, content) {
+  const intake = messageService.acceptIncomingMessage({ senderId, receiverId, content });
+  if (!intake.ok) fail('DM intake failed: ' + JSON.stringify(intake));
+  return messageService.persistAndReturnAck(intake.message);
+}
+
+async function archivedIds(userId) {
+  return (await messageService.getArchivedChats(userId)).map((a) => a.chatId).sort();
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('arc-room', 'arc-a');
+  await roomManager.joinRoom('arc-room', 'arc-b');
+  await roomManager.joinRoom('arc-room', 'arc-c');
+  await roomManager.createRoom('arc-private', 'arc-c');
+  const wsB = createMockSocket();
+  connectionManager.register('arc-a', createMockSocket());
+  connectionManager.register('arc-b', wsB);
+  const dmAB = 'direct:arc-a:arc-b';
+  const dmAC = 'direct:arc-a:arc-c';
+  await sendDm('arc-a', 'arc-b', 'hello b');
+  await sendDm('arc-c', 'arc-a', 'hello a');
+
+  // ─── Case 1: archive in bulk ───
+  const archived = await call(chatController.archiveChats, 'arc-a', { body: { chatIds: [dmAB, 'room:arc-room', dmAB] } });
+  if (archived.status !== 200 || archived.body?.data?.changed !== 2 || archived.body.data.chatIds.length !== 2 || archived.body.data.keepArchived !== false) {
+    fail('Archiving two chats (duplicates collapsed) succeeds: ' + JSON.stringify(archived.body));
+  }
+  const again = await call(chatController.archiveChats, 'arc-a', { body: { chatIds: [dmAB] } });
+  if (again.status !== 200 || again.body.data.changed !== 0) fail('Archiving again changes nothing: ' + JSON.stringify(again.body));
+  const forbidden = await call(chatController.archiveChats, 'arc-a', { body: { chatIds: [dmAC, 'room:arc-private'] } });
+  if (forbidden.status !== 403 || forbidden.body?.code !== 'FORBIDDEN') fail('Chats the user is not in cannot be archived: ' + JSON.stringify(forbidden.body));
+  const invalid = await call(chatController.archiveChats, 'arc-a', { body: { chatIds: [] } });
+  if (invalid.status !== 400 || invalid.body?.code !== 'INVALID_PAYLOAD') fail('chatIds is required: ' + JSON.stringify(invalid.body));
+  const tooMany = Array.from({ length: ARCHIVE.maxBulk + 1 }, (_, i) => `direct:arc-a:arc-x${i}`);
+  const bulk = await call(chatController.archiveChats, 'arc-a', { body: { chatIds: tooMany } });
+  if (bulk.status !== 400 || bulk.body?.code !== 'INVALID_PAYLOAD') fail('At most ARCHIVE.maxBulk chats per request: ' + JSON.stringify(bulk.body));
+  if ((await archivedIds('arc-a')).join() !== [dmAB, 'room:arc-room'].sort().join()) fail('Failed requests archive nothing');
+  if ((await archivedIds('arc-b')).length !== 0) fail('Archive state is per user');
+  const list = await call(chatController.getArchivedChats, 'arc-a');
+  if (list.status !== 200 || list.body.data.archived.length !== 2 || !list.body.data.archived.every((a) => a.archivedAt > 0 && a.keepArchived === false)) {
+    fail('GET /chats/archived lists the archived chats: ' + JSON.stringify(list.body));
+  }
+  console.log('PASS: Chats are archived per user, in bulk, only when the user is in them');
+
+  // ─── Case 2: chat list flags ───
+  const kept = await call(chatController.archiveChats, 'arc-c', { body: { chatIds: [dmAC, 'room:arc-room'], keepArchived: true } });
+  if (kept.status !== 200 || kept.body.data.keepArchived !== true) fail('keepArchived is accepted: ' + JSON.stringify(kept.body));
+  const chats = await call(chatController.getChats, 'arc-a');
+  const byId = Object.fromEntries((chats.body?.data?.chats || []).map((c) => [c.chatId, c]));
+  if (!byId[dmAB] || byId[dmAB].archived !== true || byId[dmAB].keepArchived !== false || !byId[dmAC] || byId[dmAC].archived !== false) {
+    fail('GET /chats keeps archived DMs, flagged: ' + JSON.stringify(chats.body));
+  }
+  const chatsC = await call(chatController.getChats, 'arc-c');
+  const dmForC = (chatsC.body?.data?.chats || []).find((c) => c.chatId === dmAC);
+  if (!dmForC || dmForC.archived !== true || dmForC.keepArchived !== true) fail('keepArchived is listed: ' + JSON.stringify(chatsC.body));
+  console.log('PASS: GET /api/chats lists archived DMs with archived / keepArchived');
+
+  // ─── Case 3: auto-unarchive ───
+  await call(chatController.archiveChats, 'arc-b', { body: { chatIds: [dmAB] } });
+  await sendDm('arc-a', 'arc-b', 'are you there?');
+  if ((await archivedIds('arc-b')).includes(dmAB)) fail('A new DM unarchives the chat for its recipient');
+  if (!(await archivedIds('arc-a')).includes(dmAB)) fail('Sending does not unarchive the chat for the sender');
+  await sendDm('arc-b', 'arc-a', 'yes');
+  if ((await archivedIds('arc-a')).includes(dmAB)) fail('The reply unarchives it for the other side');
+  await sendDm('arc-a', 'arc-c', 'ping c');
+  if (!(await archivedIds('arc-c')).includes(dmAC)) fail('"Keep archived" chats stay archived on new DMs');
+  await call(chatController.archiveChats, 'arc-b', { body: { chatIds: ['room:arc-room'] } });
+  const roomMsg = await handleRoomMessage(wsB, { roomId: 'arc-room', content: 'room news' });
+  if (!roomMsg.success) fail('Room message must be sent: ' + JSON.stringify(roomMsg));
+  const afterRoom = await Promise.all(['arc-a', 'arc-b', 'arc-c'].map(archivedIds));
+  if (afterRoom[0].includes('room:arc-room')) fail('A room message unarchives the room for its recipients');
+  if (!afterRoom[1].includes('room:arc-room')) fail('The room stays archived for its sender');
+  if (!afterRoom[2].includes('room:arc-room')) fail('"Keep archived" rooms stay archived');
+  console.log('PASS: New messages unarchive for recipients unless they keep the chat archived');
+
+  // ─── Case 4: unarchive ───
+  const unarchived = await call(chatController.unarchiveChats, 'arc-c', { body: { chatIds: ['room:arc-room', dmAC, 'room:never-archived'] } });
+  if (unarchived.status !== 200 || unarchived.body.data.changed !== 2 || unarchived.body.data.archived !== false) {
+    fail('Unarchive removes the archived chats, ignoring ones that were not archived: ' + JSON.stringify(unarchived.body));
+  }
+  if ((await archivedIds('arc-c')).length !== 0) fail('Nothing is left archived');
+  console.log('PASS: Unarchive is bulk and idempotent');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
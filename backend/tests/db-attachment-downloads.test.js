@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Attachment downloads: session + chat membership, signed expiring URLs, Range requests.
+ * Run with: node -r dotenv/config tests/db-attachment-downloads.test.js
+ *
+ * Verifies:
+ * - Only chat members get signed URLs; a signed URL downloads without a session until it expires.
+ * - Tampered, foreign (other attachment) and expired signatures are rejected.
+ * - Without a signature the request needs a session whose user belongs to one of the attachment's chats.
+ * - Single byte ranges are served as 206 with Content-Range; unsatisfiable ranges are 416.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Signing key for this process when the environment has none
+if (!process.env.ATTACHMENT_URL_SECRET && !process.env.JWT_SECRET) {
+  process.env.ATTACHMENT_URL_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+const { fail, requireDatabase, sleep, createMockResponse } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const attachmentService = require(path.join(backendRoot, 'services/attachment.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const { blobStore } = require(path.join(backendRoot, 'storage/blob.store'));
+const attachmentsController = require(path.join(backendRoot, 'http/controllers/attachments.controller'));
+const { ATTACHMENTS } = require(path.join(backendRoot, 'config/constants'));
+
+const TMP_DIR = attachmentService.UPLOAD_TMP_DIR;
+const PDF = Buffer.from('%PDF-1.7\n' + '0123456789'.repeat(20) + '\n%%EOF\n');
+
+async function download(attachmentId, { userId = null, query = {}, headers = {} } = {}) {
+  const res = createMockResponse();
+  await attachmentsController.downloadAttachment({ user: userId ? { userId } : undefined, params: { attachmentId }, query, headers }, res);
+  await res.done;
+  return res;
+}
+
+async function signedUrl(userId, attachmentId) {
+  let payload = null;
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { payload = b; } };
+  await attachmentsController.getSignedUrl({ user: { userId }, params: { attachmentId } }, res);
+  return { status: res.statusCode, body: payload };
+}
+
+function queryOf(url) {
+  return Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+}
+
+async function upload(uploaderId, chatId, buf, originalName) {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const tempPath = path.join(TMP_DIR, `test-${crypto.randomBytes(6).toString('hex')}`);
+  fs.writeFileSync(tempPath, buf);
+  const result = await attachmentService.storeUpload(uploaderId, { chatId, tempPath, originalName, size: buf.length });
+  if (!result.ok) fail('Upload must succeed: ' + JSON.stringify(result));
+  return result.attachment;
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('dl-room', 'dl-a');
+  await roomManager.joinRoom('dl-room', 'dl-b');
+  const roomFile = await upload('dl-a', 'room:dl-room', PDF, 'minutes.pdf');
+  const dmFile = await upload('dl-a', 'direct:dl-a:dl-c', PDF, 'private.pdf');
+  const created = [roomFile.attachmentId, dmFile.attachmentId];
+
+  // ─── Case 1: signed URLs ───
+  const outsiderUrl = await signedUrl('dl-c', roomFile.attachmentId);
+  if (outsiderUrl.status !== 403) fail('Non-members cannot get signed URLs: ' + JSON.stringify(outsiderUrl));
+  const issued = await signedUrl('dl-b', roomFile.attachmentId);
+  const url = issued.body?.data?.url;
+  if (issued.status !== 200 || !url?.startsWith(`/api/attachments/${roomFile.attachmentId}/download?`) || !(issued.body.data.expiresAt > Date.now())) {
+    fail('Members get a signed download URL: ' + JSON.stringify(issued));
+  }
+  const viaSigned = await download(roomFile.attachmentId, { query: queryOf(url) });
+  if (viaSigned.statusCode !== 200 || !viaSigned.content().equals(PDF)) fail('Signed URL downloads without a session: ' + viaSigned.statusCode);
+  if (viaSigned.headers['content-type'] !== 'application/pdf' || viaSigned.headers['x-content-type-options'] !== 'nosniff'
+    || !String(viaSigned.headers['content-disposition']).startsWith('attachment;') || viaSigned.headers['accept-ranges'] !== 'bytes') {
+    fail('Downloads send the detected type, nosniff, disposition and Accept-Ranges: ' + JSON.stringify(viaSigned.headers));
+  }
+  console.log('PASS: Members get signed URLs that work without a session');
+
+  // ─── Case 2: tampered, foreign and expired signatures ───
+  const q = queryOf(url);
+  const tampered = await download(roomFile.attachmentId, { query: { ...q, sig: q.sig.slice(0, -2) + (q.sig.endsWith('AA') ? 'BB' : 'AA') } });
+  if (tampered.statusCode !== 403 || tampered.body?.code !== 'INVALID_SIGNATURE') fail('Tampered signature must be rejected: ' + JSON.stringify(tampered.body));
+  const extended = await download(roomFile.attachmentId, { query: { ...q, expires: String(Number(q.expires) + 3600000) } });
+  if (extended.body?.code !== 'INVALID_SIGNATURE') fail('Expiry is covered by the signature');
+  const foreign = await download(dmFile.attachmentId, { query: q });
+  if (foreign.statusCode !== 403 || foreign.body?.code !== 'INVALID_SIGNATURE') fail('A signature is only valid for its own attachment');
+  const originalTtl = ATTACHMENTS.signedUrlTtlMs;
+  ATTACHMENTS.signedUrlTtlMs = 20;
+  const shortLived = (await signedUrl('dl-b', roomFile.attachmentId)).body.data.url;
+  ATTACHMENTS.signedUrlTtlMs = originalTtl;
+  await sleep(40);
+  const expired = await download(roomFile.attachmentId, { query: queryOf(shortLived) });
+  if (expired.statusCode !== 403 || expired.body?.code !== 'URL_EXPIRED') fail('Expired URLs must be rejected: ' + JSON.stringify(expired.body));
+  console.log('PASS: Tampered, foreign and expired signatures are rejected');
+
+  // ─── Case 3: session downloads ───
+  if ((await download(roomFile.attachmentId)).statusCode !== 401) fail('No session and no signature is 401');
+  if ((await download(dmFile.attachmentId, { userId: 'dl-b' })).statusCode !== 403) fail('Non-participants cannot download');
+  if ((await download(dmFile.attachmentId, { userId: 'dl-c' })).statusCode !== 200) fail('DM participants can download');
+  // Membership is removed in memory before the room store write (which needs Mongo in file-store runs)
+  await roomManager.leaveRoom('dl-room', 'dl-b').catch(() => {});
+  if ((await download(roomFile.attachmentId, { userId: 'dl-b' })).statusCode !== 403) fail('Former members cannot download');
+  if ((await signedUrl('dl-b', roomFile.attachmentId)).status !== 403) fail('Former members get no new signed URLs');
+  console.log('PASS: Session downloads require membership of a chat the file was posted to');
+
+  // ─── Case 4: Range requests ───
+  const first = await download(roomFile.attachmentId, { userId: 'dl-a', headers: { range: 'bytes=0-3' } });
+  if (first.statusCode !== 206 || first.content().toString() !== '%PDF' || first.headers['content-range'] !== `bytes 0-3/${PDF.length}` || first.headers['content-length'] !== '4') {
+    fail('bytes=0-3 is a 206 with the first 4 bytes: ' + JSON.stringify(first.headers));
+  }
+  const suffix = await download(roomFile.attachmentId, { userId: 'dl-a', headers: { range: 'bytes=-6' } });
+  if (suffix.statusCode !== 206 || suffix.content().toString() !== '%%EOF\n') fail('Suffix ranges serve the tail');
+  const open = await download(roomFile.attachmentId, { userId: 'dl-a', headers: { range: `bytes=${PDF.length - 2}-` } });
+  if (open.statusCode !== 206 || open.content().length !== 2) fail('Open-ended ranges run to the end');
+  const beyond = await download(roomFile.attachmentId, { userId: 'dl-a', headers: { range: `bytes=${PDF.length}-` } });
+  if (beyond.statusCode !== 416 || beyond.headers['content-range'] !== `bytes */${PDF.length}`) fail('Ranges past the end are 416');
+  const stale = await download(roomFile.attachmentId, { userId: 'dl-a', headers: { range: 'bytes=0-3', 'if-range': '"stale"' } });
+  if (stale.statusCode !== 200 || stale.content().length !== PDF.length) fail('If-Range mismatch serves the whole file');
+  const signedRange = await download(roomFile.attachmentId, { query: queryOf((await signedUrl('dl-a', roomFile.attachmentId)).body.data.url), headers: { range: 'bytes=5-7' } });
+  if (signedRange.statusCode !== 206 || signedRange.content().toString() !== '1.7') fail('Signed URLs support ranges');
+  console.log('PASS: Single byte ranges are served as 206; unsatisfiable ranges are 416');
+
+  await dbAdapter.clearStore();
+  for (const id of created) await blobStore.delete(attachmentService.toBlobKey(id));
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Generic file attachments: utils/fileType detection, attachmentService uploads/downloads, file messages.
+ * Run with: node -r dotenv/config tests/db-attachments.test.js
+ *
+ * Verifies:
+ * - Types come from magic bytes (client names/mimetypes never decide); unknown or spoofed files are rejected.
+ * - Uploads need chat membership and respect the per-category size caps; the record keeps name, size, mime, sha256.
+ * - DM and room file messages only accept the sender's own uploads to that chat and carry attachments in history.
+ * - Forwarding a file message links the file to the target chat; downloads are limited to those chats' members.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { fail, requireDatabase, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const attachmentService = require(path.join(backendRoot, 'services/attachment.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const { blobStore } = require(path.join(backendRoot, 'storage/blob.store'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageSend } = require(path.join(backendRoot, 'websocket/handlers/sendMessage'));
+const { handleRoomMessage } = require(path.join(backendRoot, 'websocket/handlers/room'));
+const { handleMessageForward } = require(path.join(backendRoot, 'websocket/handlers/messageForward'));
+const attachmentsController = require(path.join(backendRoot, 'http/controllers/attachments.controller'));
+const { detectFileType } = require(path.join(backendRoot, 'utils/fileType'));
+const { ATTACHMENTS } = require(path.join(backendRoot, 'config/constants'));
+
+const TMP_DIR = attachmentService.UPLOAD_TMP_DIR;
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n');
+const ZIP = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.alloc(60, 1)]);
+
+/** Same as multer: the upload lands in the upload tmp dir first. */
+function writeTemp(buf) {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const tempPath = path.join(TMP_DIR, `test-${crypto.randomBytes(6).toString('hex')}`);
+  fs.writeFileSync(tempPath, buf);
+  return tempPath;
+}
+
+async function upload(uploaderId, chatId, buf, originalName) {
+  const tempPath = writeTemp(buf);
+  const result = await attachmentService.storeUpload(uploaderId, { chatId, tempPath, originalName, size: buf.length });
+  if (fs.existsSync(tempPath)) fail('Temp file must be moved or deleted: ' + originalName);
+  return result;
+}
+
+/** GET /api/attachments/:attachmentId (same authorization as the download). */
+async function fetchAttachment(userId, attachmentId) {
+  let payload = null;
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { payload = b; } };
+  await attachmentsController.getAttachment({ user: { userId }, params: { attachmentId } }, res);
+  return { status: res.statusCode, body: payload };
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('att-room', 'att-a');
+  await roomManager.joinRoom('att-room', 'att-b');
+  await roomManager.createRoom('att-other-room', 'att-c');
+  const dmChat = 'direct:att-a:att-b';
+  const created = [];
+
+  // ─── Case 1: magic-byte detection ───
+  if (detectFileType(PDF, 'report.exe')?.mime !== 'application/pdf') fail('PDF is detected from content, not name');
+  if (detectFileType(ZIP, 'notes.docx')?.category !== 'document') fail('OOXML documents are ZIPs named .docx');
+  if (detectFileType(ZIP, 'bundle.zip')?.category !== 'archive') fail('Plain ZIPs are archives');
+  if (detectFileType(Buffer.from('plain notes\n'), 'notes.txt')?.mime !== 'text/plain') fail('UTF-8 .txt is plain text');
+  if (detectFileType(Buffer.from('<html><script>alert(1)</script>'), 'page.html') !== null) fail('HTML must be rejected');
+  if (detectFileType(Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'photo.png') !== null) fail('Executables must be rejected whatever the name');
+  if (detectFileType(Buffer.from([0x00, 0x01, 0x02, 0x03]), 'data.txt') !== null) fail('Binary content is not text');
+  console.log('PASS: File types come from magic bytes; unknown content is rejected');
+
+  // ─── Case 2: uploads ───
+  const pdf = await upload('att-a', 'direct:att-b:att-a', PDF, '../../Q3 report.pdf');
+  if (!pdf.ok) fail('PDF upload must succeed: ' + JSON.stringify(pdf));
+  created.push(pdf.attachment.attachmentId);
+  const expectedSha = crypto.createHash('sha256').update(PDF).digest('hex');
+  if (pdf.attachment.name !== 'Q3 report.pdf' || pdf.attachment.size !== PDF.length || pdf.attachment.mime !== 'application/pdf'
+    || pdf.attachment.sha256 !== expectedSha || pdf.attachment.uploaderId !== 'att-a' || pdf.attachment.chatId !== dmChat) {
+    fail('Record must keep sanitized name, size, mime, sha256, uploader and chat: ' + JSON.stringify(pdf.attachment));
+  }
+  const outsider = await upload('att-c', dmChat, PDF, 'x.pdf');
+  if (outsider.ok || outsider.code !== 'FORBIDDEN') fail('Non-participants cannot upload to a chat');
+  const spoofed = await upload('att-a', dmChat, Buffer.from('MZ\x90\x00 not really a pdf'), 'invoice.pdf');
+  if (spoofed.ok || spoofed.code !== 'INVALID_TYPE') fail('Spoofed extensions must be rejected: ' + JSON.stringify(spoofed));
+  const originalCap = ATTACHMENTS.maxBytesByCategory.document;
+  ATTACHMENTS.maxBytesByCategory.document = 16;
+  const tooLarge = await upload('att-a', dmChat, PDF, 'big.pdf');
+  const archiveStillFits = await upload('att-a', dmChat, ZIP, 'bundle.zip');
+  ATTACHMENTS.maxBytesByCategory.document = originalCap;
+  if (tooLarge.ok || tooLarge.code !== 'FILE_TOO_LARGE') fail('Document cap must apply: ' + JSON.stringify(tooLarge));
+  if (!archiveStillFits.ok) fail('Caps are per category: ' + JSON.stringify(archiveStillFits));
+  created.push(archiveStillFits.attachment.attachmentId);
+  console.log('PASS: Uploads need membership, are typed by content and capped per category');
+
+  // ─── Case 3: DM file message ───
+  const wsA = createMockSocket();
+  const wsB = createMockSocket();
+  connectionManager.register('att-a', wsA);
+  connectionManager.register('att-b', wsB);
+  const notMine = await handleMessageSend(wsB, { recipientId: 'att-a', content: 'steal', contentType: 'file', attachmentIds: [pdf.attachment.attachmentId] });
+  if (notMine.type !== 'MESSAGE_NACK' || notMine.code !== 'VALIDATION_ERROR') fail('Only the uploader can send an attachment: ' + JSON.stringify(notMine));
+  const wrongChat = await handleMessageSend(wsA, { recipientId: 'att-c', content: 'wrong chat', contentType: 'file', attachmentIds: [pdf.attachment.attachmentId] });
+  if (wrongChat.type !== 'MESSAGE_NACK') fail('Attachments belong to the chat they were uploaded to');
+  const sent = await handleMessageSend(wsA, {
+    recipientId: 'att-b',
+    content: 'Q3 report.pdf',
+    clientMessageId: 'att-c1',
+    contentType: 'file',
+    attachmentIds: [archiveStillFits.attachment.attachmentId, pdf.attachment.attachmentId],
+  });
+  if (sent.type !== 'MESSAGE_ACK' || sent.message?.contentType !== 'file') fail('File message must be acked: ' + JSON.stringify(sent));
+  if (sent.message.attachments.map((a) => a.name).join(',') !== 'bundle.zip,Q3 report.pdf') fail('Attachments keep the requested order');
+  const dmHistory = await historyService.getHistory('att-b', dmChat, { limit: 10 });
+  const dmMsg = dmHistory.messages.find((m) => m.messageId === sent.messageId);
+  if (!dmMsg || dmMsg.contentType !== 'file' || dmMsg.attachments[1]?.url !== `/api/attachments/${pdf.attachment.attachmentId}/download`) {
+    fail('History carries file attachments with urls: ' + JSON.stringify(dmMsg));
+  }
+  console.log('PASS: DM file messages accept only the sender\'s uploads to that chat');
+
+  // ─── Case 4: room file message ───
+  const PNG = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#3366cc' } }).png().toBuffer();
+  const roomFile = await upload('att-b', 'room:att-room', PNG, 'whiteboard.png');
+  if (!roomFile.ok) fail('Room upload must succeed');
+  created.push(roomFile.attachment.attachmentId);
+  const roomSent = await handleRoomMessage(wsB, { roomId: 'att-room', content: 'whiteboard', contentType: 'file', attachmentIds: [roomFile.attachment.attachmentId] });
+  if (!roomSent.success) fail('Room file message must succeed: ' + JSON.stringify(roomSent));
+  const crossChat = await handleRoomMessage(wsA, { roomId: 'att-room', content: 'x', contentType: 'file', attachmentIds: [pdf.attachment.attachmentId] });
+  if (crossChat.success || crossChat.code !== 'ATTACHMENT_NOT_FOUND') fail('DM uploads cannot be posted to a room: ' + JSON.stringify(crossChat));
+  const roomHistory = await historyService.getHistory('att-a', 'room:att-room', { limit: 10 });
+  const roomMsg = roomHistory.messages.find((m) => m.roomMessageId === roomSent.roomMessageId);
+  if (!roomMsg || roomMsg.contentType !== 'file' || roomMsg.attachments[0]?.category !== 'image') fail('Room history carries attachments: ' + JSON.stringify(roomMsg));
+  console.log('PASS: Room file messages persist attachments for every member');
+
+  // ─── Case 5: forwarding and download authorization ───
+  if ((await fetchAttachment('att-c', pdf.attachment.attachmentId)).status !== 403) fail('Non-participants cannot download');
+  if ((await fetchAttachment('att-b', pdf.attachment.attachmentId)).status !== 200) fail('Chat participants can download');
+  if ((await fetchAttachment('att-b', 'att_missing')).status !== 404) fail('Unknown attachments are 404');
+  await roomManager.joinRoom('att-other-room', 'att-b');
+  const forwarded = await handleMessageForward(wsB, { messageIds: [sent.messageId], targetChatIds: ['room:att-other-room'] });
+  if (!forwarded.success) fail('Forwarding a file message must succeed: ' + JSON.stringify(forwarded));
+  const copyHistory = await historyService.getHistory('att-c', 'room:att-other-room', { limit: 10 });
+  const copy = copyHistory.messages.find((m) => m.roomMessageId === forwarded.results[0].messageId);
+  if (!copy || copy.contentType !== 'file' || copy.attachments.length !== 2) fail('Forwarded copy keeps the attachments: ' + JSON.stringify(copy));
+  const meta = await fetchAttachment('att-c', pdf.attachment.attachmentId);
+  if (meta.status !== 200 || meta.body?.data?.attachment?.sha256 !== expectedSha) fail('Forward target members can download: ' + JSON.stringify(meta));
+  console.log('PASS: Forwarded files stay downloadable in the target chat only for its members');
+
+  await dbAdapter.clearStore();
+  for (const id of created) await blobStore.delete(attachmentService.toBlobKey(id));
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Blocked users: GET /api/users/blocked, POST|DELETE /api/users/:id/block and what a block cuts.
+ * Run with: node -r dotenv/config tests/db-blocks.test.js
+ *
+ * Verifies:
+ * - Blocking is idempotent, needs an existing other user and is listed newest first.
+ * - DMs are rejected with USER_BLOCKED in both directions over WS and HTTP, and cannot be scheduled.
+ * - Typing and presence are not sent between the two users, in DMs or shared rooms; others still get them.
+ * - The blocker's user search leaves the blocked user out; unblocking restores DMs.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket, ofType, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const userLookup = require(path.join(backendRoot, 'users/user.service'));
+const blockService = require(path.join(backendRoot, 'services/block.service'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageSend } = require(path.join(backendRoot, 'websocket/handlers/sendMessage'));
+const { handleTypingStart } = require(path.join(backendRoot, 'websocket/handlers/typing'));
+const { notifyPresenceChange } = require(path.join(backendRoot, 'websocket/connection/presence'));
+const blocksController = require(path.join(backendRoot, 'http/controllers/blocks.controller'));
+const userController = require(path.join(backendRoot, 'http/controllers/user.controller'));
+const chatController = require(path.join(backendRoot, 'http/controllers/chat.controller'));
+
+const KNOWN_USERS = ['blk-a', 'blk-b', 'blk-c'];
+const toUser = (id) => ({ id, username: id, displayName: id, email: '', avatarUrl: null, role: 'USER' });
+userLookup.getUserById = async (id) => (KNOWN_USERS.includes(id) ? toUser(id) : null);
+userLookup.searchUsers = async (q) => KNOWN_USERS.filter((id) => id.includes(q)).map(toUser);
+
+async function run() {
+  await dbAdapter.clearStore();
+  blockService.clear();
+  roomManager.clear();
+  await roomManager.createRoom('blk-room', 'blk-a');
+  await roomManager.joinRoom('blk-room', 'blk-b');
+  await roomManager.joinRoom('blk-room', 'blk-c');
+  const wsA = createMockSocket();
+  const wsB = createMockSocket();
+  const wsC = createMockSocket();
+  connectionManager.register('blk-a', wsA);
+  connectionManager.register('blk-b', wsB);
+  connectionManager.register('blk-c', wsC);
+
+  // ─── Case 1: block list ───
+  const blocked = await call(blocksController.blockUser, 'blk-a', { params: { id: 'blk-b' } });
+  if (blocked.status !== 201 || blocked.body?.data?.userId !== 'blk-b' || blocked.body.data.blocked !== true) fail('Blocking succeeds: ' + JSON.stringify(blocked.body));
+  const again = await call(blocksController.blockUser, 'blk-a', { params: { id: 'blk-b' } });
+  if (again.status !== 200) fail('Blocking again is a no-op: ' + JSON.stringify(again.body));
+  const self = await call(blocksController.blockUser, 'blk-a', { params: { id: 'blk-a' } });
+  if (self.status !== 400 || self.body?.code !== 'INVALID_PAYLOAD') fail('Users cannot block themselves: ' + JSON.stringify(self.body));
+  const unknown = await call(blocksController.blockUser, 'blk-a', { params: { id: 'blk-nobody' } });
+  if (unknown.status !== 404 || unknown.body?.code !== 'USER_NOT_FOUND') fail('Unknown users cannot be blocked: ' + JSON.stringify(unknown.body));
+  await sleep(5);
+  await call(blocksController.blockUser, 'blk-a', { params: { id: 'blk-c' } });
+  const list = await call(blocksController.listBlockedUsers, 'blk-a');
+  const listed = list.body?.data?.blocked || [];
+  if (list.status !== 200 || listed.map((b) => b.userId).join() !== 'blk-c,blk-b' || listed[0].user?.username !== 'blk-c' || !(listed[1].blockedAt > 0)) {
+    fail('GET /users/blocked lists blocked users newest first with profiles: ' + JSON.stringify(list.body));
+  }
+  await call(blocksController.unblockUser, 'blk-a', { params: { id: 'blk-c' } });
+  if ((await call(blocksController.listBlockedUsers, 'blk-b')).body.data.blocked.length !== 0) fail('Block lists are per user');
+  console.log('PASS: Users are blocked idempotently and listed');
+
+  // ─── Case 2: DMs ───
+  const fromBlocked = await handleMessageSend(wsB, { recipientId: 'blk-a', content: 'let me in', clientMessageId: 'blk-1' });
+  if (fromBlocked.type !== 'MESSAGE_NACK' || fromBlocked.code !== 'USER_BLOCKED') fail('A blocked sender gets USER_BLOCKED: ' + JSON.stringify(fromBlocked));
+  const toBlocked = await handleMessageSend(wsA, { recipientId: 'blk-b', content: 'hello?', clientMessageId: 'blk-2' });
+  if (toBlocked.type !== 'MESSAGE_NACK' || toBlocked.code !== 'USER_BLOCKED') fail('The blocker cannot DM the blocked user either: ' + JSON.stringify(toBlocked));
+  const overHttp = await call(chatController.sendMessage, 'blk-b', { body: { recipientId: 'blk-a', content: 'via http' } });
+  if (overHttp.status !== 403 || overHttp.body?.code !== 'USER_BLOCKED') fail('HTTP sends are rejected too: ' + JSON.stringify(overHttp.body));
+  const scheduled = await messageService.scheduleMessage('blk-b', { chatId: 'direct:blk-a:blk-b', content: 'later', sendAt: Date.now() + 60000 });
+  if (scheduled.ok || scheduled.code !== 'USER_BLOCKED') fail('DMs cannot be scheduled across a block: ' + JSON.stringify(scheduled));
+  await sleep(20);
+  if (ofType(wsA, 'MESSAGE_RECEIVE').length !== 0) fail('Nothing reaches the blocker');
+  const history = await dbAdapter.getMessagesForRecipient('blk-a');
+  if (history.length !== 0) fail('Nothing is persisted: ' + JSON.stringify(history));
+  const other = await handleMessageSend(wsC, { recipientId: 'blk-a', content: 'unaffected', clientMessageId: 'blk-3' });
+  if (other.type !== 'MESSAGE_ACK') fail('Other users can still DM the blocker: ' + JSON.stringify(other));
+  console.log('PASS: DMs are rejected with USER_BLOCKED both ways');
+
+  // ─── Case 3: typing and presence ───
+  for (const ws of [wsA, wsB, wsC]) ws.sent.length = 0;
+  handleTypingStart(wsB, { targetUserId: 'blk-a' });
+  handleTypingStart(wsB, { roomId: 'blk-room' });
+  handleTypingStart(wsA, { roomId: 'blk-room' });
+  notifyPresenceChange('blk-b', 'offline', 'online');
+  notifyPresenceChange('blk-a', 'away', 'online');
+  await sleep(20);
+  if (ofType(wsA, 'TYPING_START').length !== 0 || ofType(wsA, 'PRESENCE_UPDATE').length !== 0) fail('The blocker sees no typing or presence of the blocked user: ' + JSON.stringify(wsA.sent));
+  if (ofType(wsB, 'TYPING_START').length !== 0 || ofType(wsB, 'PRESENCE_UPDATE').length !== 0) fail('The blocked user sees no typing or presence of the blocker: ' + JSON.stringify(wsB.sent));
+  if (ofType(wsC, 'TYPING_START').length !== 2 || ofType(wsC, 'PRESENCE_UPDATE').length !== 2) fail('Other room members still get both: ' + JSON.stringify(wsC.sent));
+  console.log('PASS: Typing and presence are suppressed between the two users');
+
+  // ─── Case 4: search and unblock ───
+  const search = await call(userController.searchUsers, 'blk-a', { query: { q: 'blk' } });
+  if (search.status !== 200 || search.body.data.users.map((u) => u.id).sort().join() !== 'blk-a,blk-c') fail('Search hides blocked users: ' + JSON.stringify(search.body));
+  const searchB = await call(userController.searchUsers, 'blk-b', { query: { q: 'blk' } });
+  if (searchB.body.data.users.length !== 3) fail('Only the blocker\'s search is filtered');
+  const unblocked = await call(blocksController.unblockUser, 'blk-a', { params: { id: 'blk-b' } });
+  if (unblocked.status !== 200 || unblocked.body.data.blocked !== false) fail('Unblocking succeeds: ' + JSON.stringify(unblocked.body));
+  const afterUnblock = await handleMessageSend(wsB, { recipientId: 'blk-a', content: 'friends again', clientMessageId: 'blk-4' });
+  if (afterUnblock.type !== 'MESSAGE_ACK') fail('DMs work again after unblocking: ' + JSON.stringify(afterUnblock));
+  blockService.clear();
+  await blockService.loadFromStore();
+  if (blockService.isBlockedBetween('blk-a', 'blk-b')) fail('The mirror reloads from the store without the removed block');
+  console.log('PASS: Search hides blocked users and unblocking restores DMs');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
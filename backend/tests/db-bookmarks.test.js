@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Starred messages: per-user bookmarks across DMs and rooms + /api/bookmarks endpoints.
+ * Run with: node -r dotenv/config tests/db-bookmarks.test.js
+ *
+ * Verifies:
+ * - Any chat participant can star a message; per-recipient room ids resolve to the room message; starring is idempotent.
+ * - Non-participants are rejected; bookmarks are private to the user who starred.
+ * - The saved list spans chats, newest bookmark first, filters by content and hides chats the user left.
+ * - Deleting a message drops every user's bookmark of it; expired messages are pruned from the list.
+ * - BOOKMARKS.maxPerUser caps the list.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageDelete } = require(path.join(backendRoot, 'websocket/handlers/messageMutation'));
+const bookmarksController = require(path.join(backendRoot, 'http/controllers/bookmarks.controller'));
+const { BOOKMARKS } = require(path.join(backendRoot, 'config/constants'));
+
+function ids(list) {
+  return (list || []).map((b) => b.messageId).join(',');
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('bm-room', 'bm-a');
+  await roomManager.joinRoom('bm-room', 'bm-b');
+
+  const now = Date.now();
+  const dm = { senderId: 'bm-a', recipientId: 'bm-b', state: 'sent', messageType: 'direct', chatId: 'direct:bm-a:bm-b' };
+  await dbAdapter.persistMessage({ ...dm, messageId: 'bm-dm-1', content: 'Flight lands at 9:40', timestamp: now - 3000 });
+  await dbAdapter.persistMessage({ ...dm, messageId: 'bm-dm-2', content: 'Gate code 4411', timestamp: now - 2000 });
+  const roomBase = { senderId: 'bm-a', content: 'Offsite agenda draft', timestamp: now - 1000, state: 'sent', messageType: 'room', roomId: 'bm-room', roomMessageId: 'rm-bm-1', chatId: 'room:bm-room' };
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm-bm-1', recipientId: 'bm-room', clientMessageId: 'rm-bm-1' });
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm_rm-bm-1_bm-b', recipientId: 'bm-b' });
+
+  // ─── Case 1: star across chats, idempotent, participants only ───
+  const first = await call(bookmarksController.addBookmark, 'bm-b', { body: { messageId: 'bm-dm-1' } });
+  if (first.status !== 201 || first.body?.data?.chatId !== 'direct:bm-a:bm-b') fail('Recipient can star a DM: ' + JSON.stringify(first));
+  await sleep(5);
+  const again = await call(bookmarksController.addBookmark, 'bm-b', { body: { messageId: 'bm-dm-1' } });
+  if (again.status !== 200) fail('Starring twice is a no-op: ' + JSON.stringify(again));
+  await sleep(5);
+  const room = await messageService.setMessageBookmark('bm-b', 'rm_rm-bm-1_bm-b', true);
+  if (!room.ok || room.messageId !== 'rm-bm-1' || room.chatId !== 'room:bm-room') fail('Per-recipient ids resolve to the room message: ' + JSON.stringify(room));
+  const outsider = await call(bookmarksController.addBookmark, 'bm-c', { body: { messageId: 'bm-dm-2' } });
+  if (outsider.status !== 403 || outsider.body?.code !== 'FORBIDDEN') fail('Non-participants cannot star: ' + JSON.stringify(outsider));
+  const missing = await call(bookmarksController.addBookmark, 'bm-b', { body: { messageId: 'no-such-message' } });
+  if (missing.status !== 404) fail('Unknown messages are 404');
+
+  const listB = await call(bookmarksController.listBookmarks, 'bm-b');
+  const saved = listB.body?.data?.bookmarks;
+  if (listB.status !== 200 || ids(saved) !== 'rm-bm-1,bm-dm-1') fail('Saved list spans chats, newest first: ' + JSON.stringify(listB));
+  if (saved[0].roomId !== 'bm-room' || saved[0].content !== 'Offsite agenda draft' || saved[1].chatId !== 'direct:bm-a:bm-b' || typeof saved[1].bookmarkedAt !== 'number') {
+    fail('Entries carry chat, snippet and bookmark time: ' + JSON.stringify(saved));
+  }
+  if (ids((await call(bookmarksController.listBookmarks, 'bm-a')).body?.data?.bookmarks) !== '') fail('Bookmarks are private to the user');
+  const filtered = await call(bookmarksController.listBookmarks, 'bm-b', { query: { q: 'FLIGHT' } });
+  if (ids(filtered.body?.data?.bookmarks) !== 'bm-dm-1') fail('q filters by content: ' + JSON.stringify(filtered.body));
+  console.log('PASS: Participants star messages across chats; list is per user, newest first and searchable');
+
+  // ─── Case 2: unstar, leaving a room hides its bookmarks ───
+  const removed = await call(bookmarksController.removeBookmark, 'bm-b', { params: { messageId: 'bm-dm-1' } });
+  if (removed.status !== 200 || removed.body?.data?.bookmarked !== false) fail('Unstar must succeed: ' + JSON.stringify(removed));
+  // Membership is removed in memory before the room store write (which needs Mongo in file-store runs)
+  await roomManager.leaveRoom('bm-room', 'bm-b').catch(() => {});
+  if (ids((await call(bookmarksController.listBookmarks, 'bm-b')).body?.data?.bookmarks) !== '') fail('Chats the user left are hidden');
+  await roomManager.joinRoom('bm-room', 'bm-b');
+  if (ids((await call(bookmarksController.listBookmarks, 'bm-b')).body?.data?.bookmarks) !== 'rm-bm-1') fail('Bookmarks come back on rejoin');
+  console.log('PASS: Unstar removes the bookmark; chats the user left are hidden until rejoin');
+
+  // ─── Case 3: deleted and expired messages ───
+  await messageService.setMessageBookmark('bm-a', 'rm-bm-1', true);
+  const wsA = createMockSocket();
+  connectionManager.register('bm-a', wsA);
+  const del = await handleMessageDelete(wsA, { messageId: 'rm-bm-1' });
+  if (!del.success) fail('Sender delete must succeed: ' + JSON.stringify(del));
+  if ((await dbAdapter.countBookmarks('bm-a')) !== 0 || (await dbAdapter.countBookmarks('bm-b')) !== 0) fail('Deleting a message drops every bookmark of it');
+  const deletedStar = await messageService.setMessageBookmark('bm-b', 'rm-bm-1', true);
+  if (deletedStar.ok || deletedStar.code !== 'MESSAGE_DELETED') fail('Deleted messages cannot be starred: ' + JSON.stringify(deletedStar));
+
+  await dbAdapter.persistMessage({ ...dm, messageId: 'bm-dm-exp', content: 'temporary', timestamp: Date.now(), expiresAt: Date.now() + 50 });
+  const beforeExpiry = await messageService.setMessageBookmark('bm-b', 'bm-dm-exp', true);
+  await messageService.setMessageBookmark('bm-b', 'bm-dm-2', true);
+  if (!beforeExpiry.ok) fail('Disappearing messages can be starred until they expire');
+  await sleep(80);
+  const afterExpiry = await call(bookmarksController.listBookmarks, 'bm-b');
+  if (ids(afterExpiry.body?.data?.bookmarks) !== 'bm-dm-2') fail('Expired messages are not listed: ' + JSON.stringify(afterExpiry.body));
+  if ((await dbAdapter.getBookmarks('bm-b')).some((b) => b.messageId === 'bm-dm-exp')) fail('Expired bookmarks are pruned when listed');
+  console.log('PASS: Deleted messages drop all bookmarks; expired ones are pruned');
+
+  // ─── Case 4: per-user cap ───
+  const originalMax = BOOKMARKS.maxPerUser;
+  BOOKMARKS.maxPerUser = 1;
+  const capped = await call(bookmarksController.addBookmark, 'bm-b', { body: { messageId: 'bm-dm-1' } });
+  const existing = await call(bookmarksController.addBookmark, 'bm-b', { body: { messageId: 'bm-dm-2' } });
+  BOOKMARKS.maxPerUser = originalMax;
+  if (capped.status !== 409 || capped.body?.code !== 'BOOKMARK_LIMIT') fail('Cap must reject new bookmarks: ' + JSON.stringify(capped));
+  if (existing.status !== 200) fail('Re-starring at the cap stays a no-op: ' + JSON.stringify(existing));
+  console.log('PASS: BOOKMARKS.maxPerUser caps saved messages');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
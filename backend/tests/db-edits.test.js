@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Message edit history: revisions kept by editMessageContent + MESSAGE_EDIT window + revisions endpoint/admin trail.
+ * Run with: node -r dotenv/config tests/db-edits.test.js
+ *
+ * Verifies:
+ * - Each edit appends the replaced content (with the time it was written) to an append-only revision list.
+ * - Room edits update every row of the message; per-recipient ids resolve to the room message.
+ * - Only chat participants get the trail; deleted messages have none.
+ * - MESSAGE_EDIT is rejected with EDIT_WINDOW_EXPIRED once MESSAGE_EDITS.windowMs has passed.
+ * - Admin report details carry the full trail of the reported message.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageEdit } = require(path.join(backendRoot, 'websocket/handlers/messageMutation'));
+const reportsStore = require(path.join(backendRoot, 'storage/reports.store'));
+const { getReportDetails } = require(path.join(backendRoot, 'http/controllers/admin.controller'));
+const { MESSAGE_EDITS } = require(path.join(backendRoot, 'config/constants'));
+
+function createMockSocketFor(userId) {
+  const ws = createMockSocket();
+  connectionManager.register(userId, ws);
+  return ws;
+}
+
+function contents(trail) {
+  return (trail || []).map((r) => r.content).join(' > ');
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('edit-room', 'edit-a');
+  await roomManager.joinRoom('edit-room', 'edit-b');
+  const wsA = createMockSocket();
+  connectionManager.register('edit-a', wsA);
+
+  const t0 = Date.now() - 1000;
+  const dm = { senderId: 'edit-a', recipientId: 'edit-b', state: 'sent', messageType: 'direct', chatId: 'direct:edit-a:edit-b' };
+  await dbAdapter.persistMessage({ ...dm, messageId: 'edit-dm-1', content: 'see you at 5', timestamp: t0 });
+  const roomBase = { senderId: 'edit-a', content: 'agenda: budget', timestamp: t0, state: 'sent', messageType: 'room', roomId: 'edit-room', roomMessageId: 'rm-edit-1', chatId: 'room:edit-room' };
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm-edit-1', recipientId: 'edit-room', clientMessageId: 'rm-edit-1' });
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm_rm-edit-1_edit-b', recipientId: 'edit-b' });
+
+  // ─── Case 1: DM edits append revisions ───
+  const first = await handleMessageEdit(wsA, { messageId: 'edit-dm-1', content: 'see you at 6' });
+  await sleep(5);
+  const second = await handleMessageEdit(wsA, { messageId: 'edit-dm-1', content: 'see you at 7' });
+  if (!first.success || !second.success) fail('Sender edits must succeed: ' + JSON.stringify({ first, second }));
+  const dmTrail = await historyService.getMessageRevisions('edit-b', 'direct:edit-a:edit-b', 'edit-dm-1');
+  if (!dmTrail || contents(dmTrail.revisions) !== 'see you at 5 > see you at 6 > see you at 7') {
+    fail('Trail must list every version oldest first: ' + JSON.stringify(dmTrail));
+  }
+  const [original, middle, current] = dmTrail.revisions;
+  if (original.createdAt !== t0 || middle.createdAt !== first.editedAt || current.createdAt !== second.editedAt || !current.current || middle.current) {
+    fail('Each version must carry the time it was written: ' + JSON.stringify(dmTrail.revisions));
+  }
+  const stored = await dbAdapter.getMessage('edit-dm-1');
+  if (stored.content !== 'see you at 7' || stored.revisions.length !== 2 || stored.editedAt !== second.editedAt) fail('Stored message keeps the replaced contents');
+  console.log('PASS: DM edits append the replaced content to the revision list');
+
+  // ─── Case 2: room edits, participant access ───
+  const roomEdit = await handleMessageEdit(wsA, { messageId: 'rm-edit-1', content: 'agenda: budget, hiring' });
+  if (!roomEdit.success) fail('Room edit must succeed');
+  const recipientRow = await dbAdapter.getMessage('rm_rm-edit-1_edit-b');
+  if (recipientRow.content !== 'agenda: budget, hiring' || recipientRow.revisions.length !== 1) fail('Room edits update every row: ' + JSON.stringify(recipientRow));
+  const roomTrail = await historyService.getMessageRevisions('edit-b', 'room:edit-room', 'rm_rm-edit-1_edit-b');
+  if (!roomTrail || roomTrail.messageId !== 'rm-edit-1' || contents(roomTrail.revisions) !== 'agenda: budget > agenda: budget, hiring') {
+    fail('Per-recipient ids resolve to the room message trail: ' + JSON.stringify(roomTrail));
+  }
+  if (await historyService.getMessageRevisions('edit-c', 'room:edit-room', 'rm-edit-1')) fail('Non-members must not see the trail');
+  if (await historyService.getMessageRevisions('edit-b', 'direct:edit-a:edit-b', 'rm-edit-1')) fail('Trail is scoped to the chat the message belongs to');
+  if (await historyService.getMessageRevisions('edit-c', 'direct:edit-a:edit-c', 'edit-dm-1')) fail('Other DMs must not expose the trail');
+  const notSender = await handleMessageEdit(createMockSocketFor('edit-b'), { messageId: 'rm-edit-1', content: 'hijack' });
+  if (notSender.success || notSender.code !== 'FORBIDDEN') fail('Only the sender may edit');
+  console.log('PASS: Room edits update all rows; only participants of the chat see the trail');
+
+  // ─── Case 3: edit window ───
+  await dbAdapter.persistMessage({ ...dm, messageId: 'edit-dm-old', content: 'old news', timestamp: Date.now() - MESSAGE_EDITS.windowMs - 1000 });
+  const late = await handleMessageEdit(wsA, { messageId: 'edit-dm-old', content: 'rewritten' });
+  if (late.success || late.code !== 'EDIT_WINDOW_EXPIRED') fail('Edits after the window must be rejected: ' + JSON.stringify(late));
+  if ((await dbAdapter.getMessage('edit-dm-old')).content !== 'old news') fail('Rejected edit must not change content');
+  console.log('PASS: MESSAGE_EDIT rejected with EDIT_WINDOW_EXPIRED after the edit window');
+
+  // ─── Case 4: admin report details carry the trail; deleted messages have none ───
+  const originalGetReportById = reportsStore.getReportById;
+  const originalListReportsInWindow = reportsStore.listReportsInWindow;
+  reportsStore.getReportById = async (id) => ({
+    id,
+    createdAt: Date.now(),
+    reporterUserId: 'edit-b',
+    type: 'message',
+    messageId: 'edit-dm-1',
+    conversationId: 'direct:edit-a:edit-b',
+    senderId: 'edit-a',
+  });
+  reportsStore.listReportsInWindow = async () => [];
+  let body = null;
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { body = b; } };
+  await getReportDetails({ params: { id: 'rpt_0123456789ab' }, user: { userId: 'admin-1' } }, res);
+  reportsStore.getReportById = originalGetReportById;
+  reportsStore.listReportsInWindow = originalListReportsInWindow;
+  if (res.statusCode !== 200 || contents(body?.data?.message?.revisions) !== 'see you at 5 > see you at 6 > see you at 7') {
+    fail('Report details must include the full trail: ' + JSON.stringify(body));
+  }
+  await dbAdapter.softDeleteMessage('edit-dm-1', 'edit-a');
+  if (await historyService.getMessageRevisions('edit-b', 'direct:edit-a:edit-b', 'edit-dm-1')) fail('Deleted messages have no participant trail');
+  console.log('PASS: Admin report details include the trail; deleted messages hide it from participants');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
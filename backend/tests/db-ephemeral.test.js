@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Disappearing messages: message.service chat ephemeral mode + expiresAt + ephemeralSweeper.service.
+ * Run with: node -r dotenv/config tests/db-ephemeral.test.js
+ *
+ * Verifies:
+ * - Either DM participant or a room admin (MODIFY_ROOM) sets the mode; members, outsiders and unknown modes are rejected.
+ * - CHAT_SETTINGS_UPDATED goes to both DM participants; messages sent while the mode is on get expiresAt.
+ * - Expired content never comes back from replay, search or export, even before the sweep.
+ * - The sweeper hard-deletes expired rows (messages, deliveries, pins) and sends MESSAGES_EXPIRED per chat.
+ * - It deletes the attachments only expired messages referenced (record and file) and keeps ones still linked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fail, requireDatabase, sleep, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const messageStore = require(path.join(backendRoot, 'services/message.store'));
+const replayService = require(path.join(backendRoot, 'services/replay.service'));
+const attachmentService = require(path.join(backendRoot, 'services/attachment.service'));
+const { blobStore } = require(path.join(backendRoot, 'storage/blob.store'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const ephemeralSweeper = require(path.join(backendRoot, 'websocket/services/ephemeralSweeper.service'));
+const { handleChatEphemeralSet } = require(path.join(backendRoot, 'websocket/handlers/chatSettings'));
+const { exportChatJson } = require(path.join(backendRoot, 'http/controllers/export.controller'));
+
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n');
+
+async function uploadPdf(uploaderId, chatId) {
+  fs.mkdirSync(attachmentService.UPLOAD_TMP_DIR, { recursive: true });
+  const tempPath = path.join(attachmentService.UPLOAD_TMP_DIR, `test-${crypto.randomBytes(6).toString('hex')}`);
+  fs.writeFileSync(tempPath, PDF);
+  const result = await attachmentService.storeUpload(uploaderId, { chatId, tempPath, originalName: 'eph.pdf', size: PDF.length });
+  if (!result.ok) fail('Upload must succeed: ' + JSON.stringify(result));
+  return result.attachment;
+}
+
+async function exportMessages(userId, chatId) {
+  let body = null;
+  const res = { setHeader: () => {}, status: () => res, json: (b) => { body = b; }, send: (b) => { body = JSON.parse(b); } };
+  await exportChatJson({ params: { chatId: encodeURIComponent(chatId) }, user: { userId } }, res);
+  return body?.data?.messages || [];
+}
+
+async function sendDm(senderId, receiverId, content, overrides = {}) {
+  const intake = messageService.acceptIncomingMessage({ senderId, receiverId, content });
+  const message = { ...intake.message, ...overrides };
+  const ack = await messageService.persistAndReturnAck(message);
+  return { messageId: message.messageId, ack };
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('eph-room', 'eph-owner');
+  await roomManager.joinRoom('eph-room', 'eph-member');
+  const dmChatId = 'direct:eph-a:eph-b';
+
+  // ─── Case 1: who may set the mode ───
+  const outsider = await messageService.setChatEphemeral('eph-c', dmChatId, '24h');
+  if (outsider.ok || outsider.code !== 'FORBIDDEN') fail('Non-participant must not set the mode: ' + JSON.stringify(outsider));
+  const badMode = await messageService.setChatEphemeral('eph-a', dmChatId, '2h');
+  if (badMode.ok || badMode.code !== 'INVALID_PAYLOAD') fail('Unknown modes must be rejected');
+  const member = await messageService.setChatEphemeral('eph-member', 'room:eph-room', '1h');
+  if (member.ok || member.code !== 'FORBIDDEN') fail('Room members without MODIFY_ROOM must not set the mode');
+  const owner = await messageService.setChatEphemeral('eph-owner', 'room:eph-room', '7d');
+  if (!owner.ok || owner.settings.ephemeral !== '7d' || owner.settings.ephemeralTtlMs !== 7 * 24 * 60 * 60 * 1000) fail('Room owner must set the mode');
+  console.log('PASS: DM participants and room admins set the mode; others rejected');
+
+  // ─── Case 2: WS set broadcasts; new messages get expiresAt ───
+  const wsA = createMockSocket();
+  const wsB = createMockSocket();
+  connectionManager.register('eph-a', wsA);
+  connectionManager.register('eph-b', wsB);
+  const before = await sendDm('eph-a', 'eph-b', 'before the timer');
+  if (before.ack.expiresAt !== null) fail('Messages sent while the mode is off must not expire');
+  const setResponse = await handleChatEphemeralSet(wsB, { chatId: dmChatId, mode: '24h' });
+  if (!setResponse.success || !setResponse.changed || setResponse.settings.updatedBy !== 'eph-b') fail('WS set must succeed: ' + JSON.stringify(setResponse));
+  await sleep(20);
+  if (!wsA.sent.some((m) => m.type === 'CHAT_SETTINGS_UPDATED' && m.settings.ephemeral === '24h')) fail('Peer must get CHAT_SETTINGS_UPDATED');
+  const again = await handleChatEphemeralSet(wsB, { chatId: dmChatId, mode: '24h' });
+  if (!again.success || again.changed) fail('Setting the same mode must be a no-op');
+  const timed = await sendDm('eph-a', 'eph-b', 'after the timer');
+  const stored = await dbAdapter.getMessage(timed.messageId);
+  const expected = stored.timestamp + 24 * 60 * 60 * 1000;
+  if (timed.ack.expiresAt !== expected || stored.expiresAt !== expected) fail('New DM must expire 24h after sending: ' + JSON.stringify(stored));
+  console.log('PASS: CHAT_SETTINGS_UPDATED sent to the peer; new messages carry expiresAt');
+
+  // ─── Case 3: expired content is filtered before the sweep ───
+  const expired = await sendDm('eph-a', 'eph-b', 'secret expired', { expiresAt: Date.now() - 1 });
+  const replay = await replayService.replayMessages('eph-b', null);
+  if (replay.messages.some((m) => m.messageId === expired.messageId)) fail('Replay must skip expired messages');
+  if (!replay.messages.some((m) => m.messageId === timed.messageId && m.expiresAt === expected)) fail('Replay must keep unexpired messages with expiresAt');
+  const hits = await messageStore.searchMessagesInChats([dmChatId], 'secret', 20);
+  if (hits.length !== 0) fail('Search must not return expired content: ' + JSON.stringify(hits));
+  const exported = await exportMessages('eph-a', dmChatId);
+  if (exported.some((m) => m.content === 'secret expired') || exported.length !== 2) fail('Export must skip expired messages: ' + JSON.stringify(exported));
+  console.log('PASS: Replay, search and export never return expired content');
+
+  // ─── Case 4: sweeper hard-deletes and notifies ───
+  const roomBase = { roomId: 'eph-room', roomMessageId: 'rm-eph-1', senderId: 'eph-owner', content: 'room secret', timestamp: Date.now() - 5, expiresAt: Date.now() - 1 };
+  await messageService.persistRoomMessageCanonical(roomBase);
+  await messageService.persistRoomMessageForRecipient({ ...roomBase, messageId: 'rm_rm-eph-1_eph-member', recipientId: 'eph-member', messageType: 'room' });
+  await dbAdapter.addPin('room:eph-room', 'rm-eph-1', 'eph-owner');
+  const memberWs = createMockSocket();
+  connectionManager.register('eph-member', memberWs);
+  const deleted = await ephemeralSweeper.runOnce();
+  if (deleted !== 3) fail('Sweeper must delete the expired DM and both room rows: ' + deleted);
+  if (await dbAdapter.getMessage(expired.messageId) || await dbAdapter.getMessage('rm_rm-eph-1_eph-member')) fail('Expired rows must be hard-deleted');
+  if (await dbAdapter.isMessageDelivered(expired.messageId, 'eph-b')) fail('Delivery records must be deleted');
+  if ((await dbAdapter.getPins('room:eph-room')).length !== 0) fail('Pins of expired messages must be removed');
+  if (!(await dbAdapter.getMessage(timed.messageId))) fail('Unexpired messages must stay');
+  await sleep(20);
+  const dmEvent = wsB.sent.find((m) => m.type === 'MESSAGES_EXPIRED' && m.chatId === dmChatId);
+  if (!dmEvent || dmEvent.messageIds.join(',') !== expired.messageId) fail('DM peers must get MESSAGES_EXPIRED: ' + JSON.stringify(dmEvent));
+  const roomEvent = memberWs.sent.find((m) => m.type === 'MESSAGES_EXPIRED' && m.roomId === 'eph-room');
+  if (!roomEvent || roomEvent.messageIds.join(',') !== 'rm-eph-1') fail('Room members must get MESSAGES_EXPIRED with the roomMessageId: ' + JSON.stringify(roomEvent));
+  console.log('PASS: Sweeper hard-deletes expired rows, deliveries and pins and sends MESSAGES_EXPIRED');
+
+  // ─── Case 5: attachments of expired messages ───
+  const onlyExpired = await uploadPdf('eph-a', dmChatId);
+  const shared = await uploadPdf('eph-a', dmChatId);
+  const withFiles = await sendDm('eph-a', 'eph-b', 'files', { contentType: 'file', attachments: [onlyExpired, shared], expiresAt: Date.now() - 1 });
+  const kept = await sendDm('eph-a', 'eph-b', 'files', { contentType: 'file', attachments: [shared] });
+  if ((await ephemeralSweeper.runOnce()) !== 1) fail('Sweeper must delete the expired file message');
+  if (await dbAdapter.getAttachment(onlyExpired.attachmentId)) fail('Attachments only expired messages referenced must be deleted');
+  if (await blobStore.head(attachmentService.toBlobKey(onlyExpired.attachmentId))) fail('Their files must be deleted');
+  const sharedDoc = await dbAdapter.getAttachment(shared.attachmentId);
+  if (!sharedDoc || sharedDoc.messageIds.includes(withFiles.messageId) || !sharedDoc.messageIds.includes(kept.messageId)) {
+    fail('Attachments still referenced must stay, unlinked from the expired message: ' + JSON.stringify(sharedDoc));
+  }
+  if (!(await blobStore.head(attachmentService.toBlobKey(shared.attachmentId)))) fail('Files still referenced must stay');
+  console.log('PASS: Sweeper deletes attachments only expired messages referenced and keeps linked ones');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
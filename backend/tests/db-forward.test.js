@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * MESSAGE_FORWARD via message.service.resolveForwardRequest + messageForward handler.
+ * Run with: node -r dotenv/config tests/db-forward.test.js
+ *
+ * Verifies:
+ * - Sources and targets both go through validateChatOwnership (foreign source / target rejected).
+ * - Room per-recipient rows collapse to one source; sources come back oldest first.
+ * - Forwarded copies are persisted in every target with forwardedFrom (original sender + timestamp);
+ *   forwarding a forwarded message keeps the first origin.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageForward } = require(path.join(backendRoot, 'websocket/handlers/messageForward'));
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('fwd-room', 'user-a');
+  await roomManager.joinRoom('fwd-room', 'user-b');
+  await roomManager.createRoom('fwd-other-room', 'user-c');
+
+  const t0 = Date.now() - 1000;
+  const dm = { senderId: 'user-b', recipientId: 'user-a', state: 'sent', messageType: 'direct', chatId: 'direct:user-a:user-b' };
+  await dbAdapter.persistMessage({ ...dm, messageId: 'fwd-src-2', content: 'second', timestamp: t0 + 20 });
+  await dbAdapter.persistMessage({ ...dm, messageId: 'fwd-src-1', content: 'first', timestamp: t0 + 10 });
+  const roomBase = { senderId: 'user-b', content: 'room source', timestamp: t0, state: 'sent', messageType: 'room', roomId: 'fwd-room', roomMessageId: 'rm-fwd-1', chatId: 'room:fwd-room' };
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm-fwd-1', recipientId: 'fwd-room', clientMessageId: 'rm-fwd-1' });
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm_rm-fwd-1_user-a', recipientId: 'user-a' });
+  await dbAdapter.persistMessage({ senderId: 'user-c', recipientId: 'user-d', content: 'private', timestamp: t0, state: 'sent', messageType: 'direct', chatId: 'direct:user-c:user-d', messageId: 'fwd-foreign' });
+
+  // ─── Case 1: ownership on sources and targets ───
+  const foreignSource = await messageService.resolveForwardRequest('user-a', ['fwd-foreign'], ['direct:user-a:user-c']);
+  if (foreignSource.ok || foreignSource.code !== 'FORBIDDEN') fail('Source from a foreign chat must be rejected: ' + JSON.stringify(foreignSource));
+  const foreignTarget = await messageService.resolveForwardRequest('user-a', ['fwd-src-1'], ['room:fwd-other-room']);
+  if (foreignTarget.ok || foreignTarget.code !== 'FORBIDDEN') fail('Target room the user is not in must be rejected');
+  const selfTarget = await messageService.resolveForwardRequest('user-a', ['fwd-src-1'], ['direct:user-a:user-a']);
+  if (selfTarget.ok) fail('Forward to a chat with yourself must be rejected');
+  console.log('PASS: validateChatOwnership enforced on sources and targets');
+
+  // ─── Case 2: dedupe + oldest first ───
+  const resolved = await messageService.resolveForwardRequest('user-a', ['fwd-src-2', 'rm_rm-fwd-1_user-a', 'fwd-src-1', 'rm-fwd-1'], ['direct:user-a:user-c']);
+  const order = resolved.ok ? resolved.sources.map((s) => s.messageId) : [];
+  if (order.join(',') !== 'rm-fwd-1,fwd-src-1,fwd-src-2') fail('Sources must be deduped and oldest first: ' + JSON.stringify(order));
+  if (resolved.sources[0].forwardedFrom.senderId !== 'user-b' || resolved.sources[0].forwardedFrom.timestamp !== t0) {
+    fail('forwardedFrom must carry original sender and timestamp');
+  }
+  console.log('PASS: Sources deduped by canonical id and ordered oldest first');
+
+  // ─── Case 3: handler persists copies in DM + room targets ───
+  const ws = createMockSocket();
+  connectionManager.register('user-a', ws);
+  const response = await handleMessageForward(ws, { messageIds: ['fwd-src-1'], targetChatIds: ['direct:user-a:user-c', 'room:fwd-room'] });
+  if (!response.success || response.results.length !== 2 || response.results.some((r) => !r.success)) {
+    fail('Forward to DM and room must succeed: ' + JSON.stringify(response));
+  }
+  const dmCopy = await dbAdapter.getMessage(response.results.find((r) => r.chatId.startsWith('direct:')).messageId);
+  if (!dmCopy || dmCopy.senderId !== 'user-a' || dmCopy.recipientId !== 'user-c' || dmCopy.content !== 'first' || dmCopy.forwardedFrom?.senderId !== 'user-b') {
+    fail('DM copy must be sent by the forwarder with forwardedFrom: ' + JSON.stringify(dmCopy));
+  }
+  const roomHistory = await historyService.getHistory('user-b', 'room:fwd-room', { limit: 50 });
+  const roomCopy = roomHistory.messages.find((m) => m.roomMessageId === response.results.find((r) => r.chatId === 'room:fwd-room').messageId);
+  if (!roomCopy || roomCopy.forwardedFrom?.senderId !== 'user-b' || roomCopy.forwardedFrom?.timestamp !== t0 + 10) {
+    fail('Room copy must carry forwardedFrom in history: ' + JSON.stringify(roomCopy));
+  }
+  console.log('PASS: Forwarded copies persisted in DM and room with forwardedFrom');
+
+  // ─── Case 4: re-forward keeps the first origin ───
+  const again = await messageService.resolveForwardRequest('user-a', [dmCopy.messageId], ['room:fwd-room']);
+  if (!again.ok || again.sources[0].forwardedFrom.senderId !== 'user-b') fail('Re-forward must keep the original sender');
+  const rejected = await handleMessageForward(ws, { messageIds: ['fwd-src-1'], targetChatIds: ['room:fwd-other-room'] });
+  if (rejected.success || rejected.code !== 'FORBIDDEN') fail('Handler must reject foreign targets: ' + JSON.stringify(rejected));
+  console.log('PASS: Re-forward keeps first origin; handler rejects foreign targets');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -14,6 +14,7 @@
  */
 
 const path = require('path');
+const { requireDatabase } = require('./helpers/dbTest');
 const backendRoot = path.resolve(__dirname, '..');
 const dbAdapter = require(path.join(backendRoot, 'config/db'));
 
@@ -102,6 +103,7 @@ async function run() {
   process.exit(0);
 }
 
+requireDatabase();
 run().catch((err) => {
   console.log('FAIL:', err.message);
   process.exit(1);
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Server-side image processing: services/image.service and image attachments.
+ * Run with: node -r dotenv/config tests/db-images.test.js
+ *
+ * Verifies:
+ * - Stored images carry no EXIF/GPS, are auto-oriented first, and record width, height, blurhash and dominant color.
+ * - Thumbnails exist for each configured width smaller than the image, served with the file's authorization.
+ * - Image attachments in history carry the image info with thumbnail urls; undecodable images are rejected.
+ * - Public uploads get thumbnails; /uploads avatars are normalized to square crops once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+if (!process.env.ATTACHMENT_URL_SECRET && !process.env.JWT_SECRET) {
+  process.env.ATTACHMENT_URL_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+const { fail, requireDatabase, createMockSocket, createMockResponse } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const attachmentService = require(path.join(backendRoot, 'services/attachment.service'));
+const imageService = require(path.join(backendRoot, 'services/image.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const { blobStore } = require(path.join(backendRoot, 'storage/blob.store'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageSend } = require(path.join(backendRoot, 'websocket/handlers/sendMessage'));
+const attachmentsController = require(path.join(backendRoot, 'http/controllers/attachments.controller'));
+const uploadsController = require(path.join(backendRoot, 'http/controllers/uploads.controller'));
+const { IMAGES } = require(path.join(backendRoot, 'config/constants'));
+
+const TMP_DIR = attachmentService.UPLOAD_TMP_DIR;
+
+async function call(handler, req) {
+  const res = createMockResponse();
+  await handler({ query: {}, headers: {}, ...req }, res);
+  await res.done;
+  return res;
+}
+
+/** 600×300 landscape JPEG stored with EXIF orientation 6 (display rotated 90°) and GPS tags. */
+function photoWithExif() {
+  return sharp({ create: { width: 600, height: 300, channels: 3, background: '#c03020' } })
+    .composite([{ input: { create: { width: 300, height: 300, channels: 3, background: '#2040c0' } }, left: 300, top: 0 }])
+    .withMetadata({ orientation: 6 })
+    .withExifMerge({ IFD0: { Make: 'TestCam' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+    .jpeg()
+    .toBuffer();
+}
+
+async function upload(uploaderId, chatId, buf, originalName) {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const tempPath = path.join(TMP_DIR, `test-${crypto.randomBytes(6).toString('hex')}`);
+  fs.writeFileSync(tempPath, buf);
+  return attachmentService.storeUpload(uploaderId, { chatId, tempPath, originalName, size: buf.length });
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  const created = [];
+  const publicKeys = [];
+  const photo = await photoWithExif();
+  const photoMeta = await sharp(photo).metadata();
+  if (!photoMeta.exif || photoMeta.orientation !== 6) fail('Fixture must carry EXIF with orientation 6');
+
+  // ─── Case 1: processImage ───
+  const processed = await imageService.processImage(photo);
+  if (!processed.ok) fail('processImage must succeed: ' + JSON.stringify(processed));
+  const img = processed.image;
+  const outMeta = await sharp(img.data).metadata();
+  if (outMeta.exif || outMeta.orientation) fail('EXIF (incl. GPS and orientation) must be stripped');
+  if (img.width !== 300 || img.height !== 600 || outMeta.width !== 300) fail(`Orientation is applied before stripping: ${img.width}x${img.height}`);
+  if (img.mime !== 'image/jpeg' || !/^#[0-9a-f]{6}$/.test(img.dominantColor) || typeof img.blurhash !== 'string' || img.blurhash.length < 6) {
+    fail('Format, dominant color and blurhash are recorded: ' + JSON.stringify({ ...img, data: undefined, thumbnails: undefined }));
+  }
+  const expectedWidths = IMAGES.thumbnailWidths.filter((w) => w < 300);
+  if (img.thumbnails.map((t) => t.width).join() !== expectedWidths.join() || img.thumbnails[0].height !== Math.round(600 * expectedWidths[0] / 300)) {
+    fail('Thumbnails for each width smaller than the image: ' + JSON.stringify(img.thumbnails.map((t) => [t.width, t.height])));
+  }
+  if ((await sharp(img.thumbnails[0].data).metadata()).format !== 'webp') fail('Thumbnails are webp');
+  const junk = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(40, 2)]);
+  if ((await imageService.processImage(junk)).code !== 'INVALID_TYPE') fail('Undecodable images are INVALID_TYPE');
+  console.log('PASS: Images are auto-oriented, stripped of EXIF/GPS, measured and thumbnailed');
+
+  // ─── Case 2: image attachments ───
+  const stored = await upload('img-a', 'direct:img-a:img-b', photo, 'holiday.jpg');
+  if (!stored.ok) fail('Image upload must succeed: ' + JSON.stringify(stored));
+  created.push(stored.attachment);
+  const rec = stored.attachment;
+  if (rec.image?.width !== 300 || rec.image.height !== 600 || rec.image.thumbnails.length !== expectedWidths.length) {
+    fail('Record keeps image info: ' + JSON.stringify(rec.image));
+  }
+  const blob = await call(attachmentsController.downloadAttachment, { user: { userId: 'img-b' }, params: { attachmentId: rec.attachmentId } });
+  const blobMeta = await sharp(blob.content()).metadata();
+  if (blobMeta.exif || rec.size !== blob.content().length || rec.sha256 !== crypto.createHash('sha256').update(blob.content()).digest('hex')) {
+    fail('Stored bytes are the stripped image; size and sha256 describe them');
+  }
+  const width = expectedWidths[0];
+  const thumb = await call(attachmentsController.downloadThumbnail, { user: { userId: 'img-b' }, params: { attachmentId: rec.attachmentId, width: String(width) } });
+  if (thumb.statusCode !== 200 || thumb.headers['content-type'] !== 'image/webp' || (await sharp(thumb.content()).metadata()).width !== width) {
+    fail('Participants can load thumbnails: ' + thumb.statusCode);
+  }
+  const outsider = await call(attachmentsController.downloadThumbnail, { user: { userId: 'img-c' }, params: { attachmentId: rec.attachmentId, width: String(width) } });
+  if (outsider.statusCode !== 403) fail('Thumbnails need the same chat membership');
+  const noSuchWidth = await call(attachmentsController.downloadThumbnail, { user: { userId: 'img-b' }, params: { attachmentId: rec.attachmentId, width: '999' } });
+  if (noSuchWidth.statusCode !== 404) fail('Unknown thumbnail widths are 404');
+
+  let signed = null;
+  const signRes = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { signed = b; } };
+  await attachmentsController.getSignedUrl({ user: { userId: 'img-b' }, params: { attachmentId: rec.attachmentId }, query: { width: String(width) } }, signRes);
+  const signedUrl = signed?.data?.url;
+  if (!signedUrl?.startsWith(`/api/attachments/${rec.attachmentId}/thumbnails/${width}?`)) fail('Signed thumbnail URLs: ' + JSON.stringify(signed));
+  const query = Object.fromEntries(new URL(signedUrl, 'http://localhost').searchParams);
+  const viaSigned = await call(attachmentsController.downloadThumbnail, { params: { attachmentId: rec.attachmentId, width: String(width) }, query });
+  if (viaSigned.statusCode !== 200) fail('Signed thumbnail URLs work without a session');
+  const wrongPath = await call(attachmentsController.downloadAttachment, { params: { attachmentId: rec.attachmentId }, query });
+  if (wrongPath.body?.code !== 'INVALID_SIGNATURE') fail('A thumbnail signature does not unlock the full file');
+
+  const ws = createMockSocket();
+  connectionManager.register('img-a', ws);
+  const sent = await handleMessageSend(ws, { recipientId: 'img-b', content: 'holiday.jpg', clientMessageId: 'img-c1', contentType: 'file', attachmentIds: [rec.attachmentId] });
+  if (sent.type !== 'MESSAGE_ACK') fail('Image message must be acked: ' + JSON.stringify(sent));
+  const history = await historyService.getHistory('img-b', 'direct:img-a:img-b', { limit: 10 });
+  const att = history.messages.find((m) => m.messageId === sent.messageId)?.attachments?.[0];
+  if (att?.image?.blurhash !== rec.image.blurhash || att.image.thumbnails[0]?.url !== `/api/attachments/${rec.attachmentId}/thumbnails/${width}`) {
+    fail('History attachments carry image info and thumbnail urls: ' + JSON.stringify(att));
+  }
+  const corrupt = await upload('img-a', 'direct:img-a:img-b', junk, 'broken.png');
+  if (corrupt.ok || corrupt.code !== 'INVALID_TYPE') fail('Undecodable image uploads are rejected: ' + JSON.stringify(corrupt));
+  const pdf = await upload('img-a', 'direct:img-a:img-b', Buffer.from('%PDF-1.7\n%%EOF\n'), 'doc.pdf');
+  created.push(pdf.attachment);
+  if (pdf.attachment.image !== null) fail('Non-images have no image info');
+  console.log('PASS: Image attachments record dimensions and placeholders; thumbnails share the file authorization');
+
+  // ─── Case 3: public uploads ───
+  const pub = await imageService.storePublicImage(photo);
+  if (!pub.ok || !/^\/uploads\/[0-9a-f]{32}\.jpg$/.test(pub.upload.url) || pub.upload.thumbnails.length !== expectedWidths.length) {
+    fail('Public images get random names and thumbnails: ' + JSON.stringify(pub));
+  }
+  publicKeys.push(pub.upload.url, ...pub.upload.thumbnails.map((t) => t.url));
+  const served = await call(uploadsController.serveUpload, { params: { filename: pub.upload.thumbnails[0].url.slice('/uploads/'.length) } });
+  if (served.statusCode !== 200 || served.headers['content-type'] !== 'image/webp') fail('Public thumbnails are served: ' + served.statusCode);
+  const original = await call(uploadsController.serveUpload, { params: { filename: pub.upload.url.slice('/uploads/'.length) } });
+  if ((await sharp(original.content()).metadata()).exif) fail('Public images are stored without EXIF');
+  console.log('PASS: Public uploads are stripped and thumbnailed');
+
+  // ─── Case 4: avatars ───
+  const avatar = await imageService.normalizeAvatarUrl(pub.upload.url);
+  if (!avatar.ok || avatar.url === pub.upload.url) fail('Uploaded avatars become a new square upload: ' + JSON.stringify(avatar));
+  publicKeys.push(avatar.url);
+  const avatarFile = await call(uploadsController.serveUpload, { params: { filename: avatar.url.slice('/uploads/'.length) } });
+  const avatarMeta = await sharp(avatarFile.content()).metadata();
+  if (avatarMeta.width !== IMAGES.avatarSize || avatarMeta.height !== IMAGES.avatarSize || avatarMeta.format !== 'webp') {
+    fail(`Avatars are ${IMAGES.avatarSize}px webp squares: ${avatarMeta.width}x${avatarMeta.height} ${avatarMeta.format}`);
+  }
+  if ((await imageService.normalizeAvatarUrl(avatar.url)).url !== avatar.url) fail('Normalized avatars are kept as-is');
+  if ((await imageService.normalizeAvatarUrl('https://cdn.example.com/me.png')).url !== 'https://cdn.example.com/me.png') fail('External avatars are unchanged');
+  const missing = await imageService.normalizeAvatarUrl('/uploads/0000deadbeef.png');
+  if (missing.ok || missing.code !== 'INVALID_AVATAR_URL') fail('Unknown uploads are rejected as avatars');
+  console.log('PASS: Avatars from /uploads are normalized to square crops once');
+
+  await dbAdapter.clearStore();
+  for (const a of created) {
+    await blobStore.delete(attachmentService.toBlobKey(a.storageKey));
+    for (const t of a.image?.thumbnails || []) await blobStore.delete(attachmentService.toThumbnailBlobKey(a.storageKey, t.width));
+  }
+  for (const url of publicKeys) await blobStore.delete(url.slice(1));
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
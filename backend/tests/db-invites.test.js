@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Room invite links: GET|POST /api/invites, GET|DELETE /api/invites/:token, POST /api/invites/:token/accept.
+ * Run with: node -r dotenv/config tests/db-invites.test.js
+ *
+ * Verifies:
+ * - Only room owners and admins create, list and revoke invites; expiry and use limits are validated.
+ * - The public preview shows name, thumbnail and member count but never the roomId.
+ * - Accepting joins the room and notifies its members; members accepting again take no use.
+ * - Used up, expired and revoked invites are refused with 410 by preview and accept.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket, ofType, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const invitesController = require(path.join(backendRoot, 'http/controllers/invites.controller'));
+const { ROOM_INVITES } = require(path.join(backendRoot, 'config/constants'));
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('inv-room', 'inv-owner', { name: 'Invite room' });
+  await roomManager.joinRoom('inv-room', 'inv-admin');
+  await roomManager.joinRoom('inv-room', 'inv-member');
+  await roomManager.setMemberRole('inv-room', 'inv-owner', 'inv-admin', 'ADMIN').catch(() => {});
+  const wsOwner = createMockSocket();
+  const wsGuest = createMockSocket();
+  connectionManager.register('inv-owner', wsOwner);
+  connectionManager.register('inv-guest', wsGuest);
+
+  // ─── Case 1: create, list, revoke ───
+  const created = await call(invitesController.createInvite, 'inv-admin', { body: { roomId: 'inv-room', expiresInMs: 3600000, maxUses: 2 } });
+  const invite = created.body?.data?.invite;
+  if (created.status !== 201 || !invite?.token || invite.token.length < 20 || invite.roomId !== 'inv-room' || invite.uses !== 0 || invite.maxUses !== 2 || invite.status !== 'active' || !(invite.expiresAt > Date.now())) {
+    fail('Admins create invites with expiry and use limit: ' + JSON.stringify(created.body));
+  }
+  const byMember = await call(invitesController.createInvite, 'inv-member', { body: { roomId: 'inv-room' } });
+  if (byMember.status !== 403 || byMember.body?.code !== 'FORBIDDEN') fail('Members cannot create invites: ' + JSON.stringify(byMember.body));
+  const noRoom = await call(invitesController.createInvite, 'inv-owner', { body: { roomId: 'inv-nowhere' } });
+  if (noRoom.status !== 404 || noRoom.body?.code !== 'NOT_FOUND') fail('Invites need an existing room: ' + JSON.stringify(noRoom.body));
+  for (const body of [{ maxUses: 0 }, { maxUses: 1.5 }, { expiresInMs: -1 }, { expiresInMs: ROOM_INVITES.maxExpiryMs + 1 }, { maxUses: '3' }]) {
+    const bad = await call(invitesController.createInvite, 'inv-owner', { body: { roomId: 'inv-room', ...body } });
+    if (bad.status !== 400 || bad.body?.code !== 'INVALID_PAYLOAD') fail('Invalid limits are rejected: ' + JSON.stringify(body) + ' ' + JSON.stringify(bad.body));
+  }
+  await sleep(5);
+  const open = await call(invitesController.createInvite, 'inv-owner', { body: { roomId: 'inv-room' } });
+  const openInvite = open.body?.data?.invite;
+  if (open.status !== 201 || openInvite.expiresAt !== null || openInvite.maxUses !== null) fail('Invites can be unlimited: ' + JSON.stringify(open.body));
+  const list = await call(invitesController.listInvites, 'inv-owner', { query: { roomId: 'inv-room' } });
+  if (list.status !== 200 || list.body.data.invites.map((i) => i.token).join() !== [openInvite.token, invite.token].join()) fail('Invites are listed newest first: ' + JSON.stringify(list.body));
+  const listByMember = await call(invitesController.listInvites, 'inv-member', { query: { roomId: 'inv-room' } });
+  if (listByMember.status !== 403) fail('Members cannot list invites: ' + JSON.stringify(listByMember.body));
+  const revokeByMember = await call(invitesController.revokeInvite, 'inv-member', { params: { token: openInvite.token } });
+  if (revokeByMember.status !== 404 || revokeByMember.body?.code !== 'INVITE_NOT_FOUND') fail('Members cannot revoke invites: ' + JSON.stringify(revokeByMember.body));
+  const revoked = await call(invitesController.revokeInvite, 'inv-admin', { params: { token: openInvite.token } });
+  if (revoked.status !== 200 || revoked.body.data.invite.status !== 'revoked' || !(revoked.body.data.invite.revokedAt > 0)) fail('Admins revoke invites: ' + JSON.stringify(revoked.body));
+  console.log('PASS: Owners and admins create, list and revoke invites');
+
+  // ─── Case 2: preview and accept ───
+  const preview = await call(invitesController.previewInvite, null, { params: { token: invite.token } });
+  const shown = preview.body?.data?.invite;
+  if (preview.status !== 200 || shown?.name !== 'Invite room' || shown.memberCount !== 3 || shown.thumbnailUrl !== null || shown.expiresAt !== invite.expiresAt) {
+    fail('The preview shows the room: ' + JSON.stringify(preview.body));
+  }
+  if (JSON.stringify(preview.body).includes('inv-room')) fail('The preview does not leak the roomId: ' + JSON.stringify(preview.body));
+  const unknown = await call(invitesController.previewInvite, null, { params: { token: 'nope' } });
+  if (unknown.status !== 404 || unknown.body?.code !== 'INVITE_NOT_FOUND') fail('Unknown tokens are 404: ' + JSON.stringify(unknown.body));
+  const revokedPreview = await call(invitesController.previewInvite, null, { params: { token: openInvite.token } });
+  if (revokedPreview.status !== 410 || revokedPreview.body?.code !== 'INVITE_REVOKED') fail('Revoked invites are 410: ' + JSON.stringify(revokedPreview.body));
+
+  const accepted = await call(invitesController.acceptInvite, 'inv-guest', { params: { token: invite.token } });
+  if (accepted.status !== 200 || accepted.body?.data?.roomId !== 'inv-room' || accepted.body.data.alreadyMember !== false) fail('Accepting joins the room: ' + JSON.stringify(accepted.body));
+  if (!roomManager.isRoomMember('inv-room', 'inv-guest')) fail('The guest is a member after accepting');
+  await sleep(50);
+  const joined = ofType(wsOwner, 'ROOM_MEMBER_JOINED');
+  if (joined.length !== 1 || joined[0].userId !== 'inv-guest' || joined[0].roomId !== 'inv-room') fail('Members are told about the join: ' + JSON.stringify(wsOwner.sent));
+  if (ofType(wsGuest, 'ROOM_MEMBER_JOINED').length !== 0) fail('The joiner is not told about their own join');
+  const updated = ofType(wsGuest, 'ROOM_MEMBERS_UPDATED');
+  if (updated.length !== 1 || !updated[0].members.includes('inv-guest') || updated[0].name !== 'Invite room') fail('The joiner gets the member list: ' + JSON.stringify(wsGuest.sent));
+  const again = await call(invitesController.acceptInvite, 'inv-guest', { params: { token: invite.token } });
+  if (again.status !== 200 || again.body.data.alreadyMember !== true) fail('Accepting again opens the room: ' + JSON.stringify(again.body));
+  const afterAgain = (await call(invitesController.listInvites, 'inv-owner', { query: { roomId: 'inv-room' } })).body.data.invites.find((i) => i.token === invite.token);
+  if (afterAgain.uses !== 1) fail('Members accepting again take no use: ' + JSON.stringify(afterAgain));
+  const unauthenticated = await call(invitesController.acceptInvite, null, { params: { token: invite.token } });
+  if (unauthenticated.status !== 401) fail('Accepting needs a session: ' + JSON.stringify(unauthenticated.body));
+  console.log('PASS: The preview hides the roomId and accepting joins and notifies the room');
+
+  // ─── Case 3: used up, expired and revoked invites ───
+  await call(invitesController.acceptInvite, 'inv-guest2', { params: { token: invite.token } });
+  const usedUp = await call(invitesController.acceptInvite, 'inv-guest3', { params: { token: invite.token } });
+  if (usedUp.status !== 410 || usedUp.body?.code !== 'INVITE_USED_UP' || roomManager.isRoomMember('inv-room', 'inv-guest3')) fail('Used up invites are refused: ' + JSON.stringify(usedUp.body));
+  const usedUpPreview = await call(invitesController.previewInvite, null, { params: { token: invite.token } });
+  if (usedUpPreview.status !== 410 || usedUpPreview.body?.code !== 'INVITE_USED_UP') fail('Used up invites have no preview: ' + JSON.stringify(usedUpPreview.body));
+  const revokedAccept = await call(invitesController.acceptInvite, 'inv-guest3', { params: { token: openInvite.token } });
+  if (revokedAccept.status !== 410 || revokedAccept.body?.code !== 'INVITE_REVOKED') fail('Revoked invites are refused: ' + JSON.stringify(revokedAccept.body));
+  const short = (await call(invitesController.createInvite, 'inv-owner', { body: { roomId: 'inv-room', expiresInMs: 1 } })).body.data.invite;
+  await sleep(10);
+  const expired = await call(invitesController.acceptInvite, 'inv-guest3', { params: { token: short.token } });
+  if (expired.status !== 410 || expired.body?.code !== 'INVITE_EXPIRED') fail('Expired invites are refused: ' + JSON.stringify(expired.body));
+  const statuses = (await call(invitesController.listInvites, 'inv-owner', { query: { roomId: 'inv-room' } })).body.data.invites.map((i) => i.status);
+  if (statuses.join() !== 'expired,revoked,used_up') fail('The list reports each status: ' + statuses.join());
+  if (roomManager.isRoomMember('inv-room', 'inv-guest3')) fail('No refused accept joined the room');
+  console.log('PASS: Used up, expired and revoked invites are refused');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
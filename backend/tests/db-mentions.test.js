@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Room @mentions: message.service mention parsing + group.service MENTION delivery + room read cursor.
+ * Run with: node -r dotenv/config tests/db-mentions.test.js
+ *
+ * Users and read cursors live in Mongo; the test replaces those lookups on the store modules.
+ *
+ * Verifies:
+ * - @username tokens are extracted once each; e-mail addresses are not mentions.
+ * - Only room members (not the sender) are mentioned; mentions are stored and sent on ROOM_MESSAGE.
+ * - Each mentioned member gets MENTION and one unread mention; others get neither.
+ * - GET /chats/mentions only reports rooms the user is in; POST /chats/room:<id>/read moves the room cursor.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const groupService = require(path.join(backendRoot, 'websocket/services/group.service'));
+const userStore = require(path.join(backendRoot, 'storage/user.store'));
+const readCursorStore = require(path.join(backendRoot, 'chat/readCursorStore.mongo'));
+const { getMentionCounts, markChatRead } = require(path.join(backendRoot, 'http/controllers/chat.controller'));
+
+const USERS = { alice: 'men-alice', bob: 'men-bob', carol: 'men-carol', dave: 'men-dave' };
+const mentionCalls = [];
+const cursorCalls = [];
+userStore.findByUsername = async (username) => (USERS[username.toLowerCase()] ? { id: USERS[username.toLowerCase()], username } : null);
+readCursorStore.incrementMentionCount = async (userIds, chatId) => { mentionCalls.push({ userIds, chatId }); return { ok: true }; };
+readCursorStore.getMentionCounts = async () => ({ 'room:men-room': 2, 'room:other-room': 1 });
+readCursorStore.upsertCursor = async (userId, chatId, lastReadMessageId) => { cursorCalls.push({ userId, chatId, lastReadMessageId }); return { ok: true }; };
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('men-room', USERS.alice);
+  await roomManager.joinRoom('men-room', USERS.bob);
+  await roomManager.joinRoom('men-room', USERS.carol);
+
+  // ─── Case 1: token extraction ───
+  const tokens = messageService.extractMentionTokens('hi @Bob, ping @carol. and @bob again; mail a@b.com');
+  if (tokens.join(',') !== 'bob,carol') fail('Tokens must be distinct, lowercased, without punctuation or e-mails: ' + JSON.stringify(tokens));
+  if (messageService.extractMentionTokens('no mentions here').length !== 0) fail('Plain text has no mentions');
+  console.log('PASS: @username tokens extracted once each');
+
+  // ─── Case 2: resolved against room members, stored and delivered ───
+  const wsAlice = createMockSocket();
+  const wsBob = createMockSocket();
+  const wsCarol = createMockSocket();
+  connectionManager.register(USERS.alice, wsAlice);
+  connectionManager.register(USERS.bob, wsBob);
+  connectionManager.register(USERS.carol, wsCarol);
+  const response = await groupService.sendRoomMessage(USERS.alice, 'men-room', '@bob @dave @alice @nobody look', 'men-c1', 'text', {});
+  if (!response.success) fail('Room send must succeed: ' + JSON.stringify(response));
+  await sleep(50);
+  const canonical = await dbAdapter.getMessage(response.roomMessageId);
+  if (!canonical || JSON.stringify(canonical.mentions) !== JSON.stringify([USERS.bob])) fail('Only the member bob is mentioned: ' + JSON.stringify(canonical && canonical.mentions));
+  const bobRow = await dbAdapter.getMessage(`rm_${response.roomMessageId}_${USERS.bob}`);
+  if (JSON.stringify(bobRow.mentions) !== JSON.stringify([USERS.bob])) fail('Per-recipient rows must store mentions');
+  const roomMessage = wsCarol.sent.find((m) => m.type === 'ROOM_MESSAGE' && m.roomMessageId === response.roomMessageId);
+  if (!roomMessage || JSON.stringify(roomMessage.mentions) !== JSON.stringify([USERS.bob])) fail('ROOM_MESSAGE must carry mentions');
+  console.log('PASS: Mentions resolved against room members and stored on the message');
+
+  // ─── Case 3: MENTION notification + counter ───
+  const mention = wsBob.sent.find((m) => m.type === 'MENTION');
+  if (!mention || mention.roomMessageId !== response.roomMessageId || mention.chatId !== 'room:men-room' || mention.senderId !== USERS.alice) {
+    fail('Mentioned member must get MENTION: ' + JSON.stringify(mention));
+  }
+  if (wsCarol.sent.some((m) => m.type === 'MENTION') || wsAlice.sent.some((m) => m.type === 'MENTION')) fail('Only mentioned members get MENTION');
+  if (mentionCalls.length !== 1 || mentionCalls[0].chatId !== 'room:men-room' || mentionCalls[0].userIds.join(',') !== USERS.bob) {
+    fail('One unread mention must be counted for bob: ' + JSON.stringify(mentionCalls));
+  }
+  const plain = await groupService.sendRoomMessage(USERS.bob, 'men-room', 'no mention', 'men-c2', 'text', {});
+  await sleep(50);
+  if (mentionCalls.length !== 1 || (await dbAdapter.getMessage(plain.roomMessageId)).mentions.length !== 0) fail('Messages without mentions count nothing');
+  console.log('PASS: MENTION sent to mentioned members and counted');
+
+  // ─── Case 4: mention counts endpoint and room read cursor ───
+  const counts = await call(getMentionCounts, USERS.bob);
+  if (counts.status !== 200 || JSON.stringify(counts.body.data.mentions) !== JSON.stringify({ 'room:men-room': 2 })) {
+    fail('Mention counts must only include rooms the user is in: ' + JSON.stringify(counts.body));
+  }
+  const read = await call(markChatRead, USERS.bob, { params: { chatId: 'room:men-room' }, body: { lastReadMessageId: response.roomMessageId } });
+  if (read.status !== 200 || cursorCalls.length !== 1 || cursorCalls[0].chatId !== 'room:men-room') fail('Room read must move the room cursor: ' + JSON.stringify(read.body));
+  const outsider = await call(markChatRead, USERS.dave, { params: { chatId: 'room:men-room' }, body: { lastReadMessageId: response.roomMessageId } });
+  if (outsider.status !== 403) fail('Non-members cannot mark a room read');
+  const foreign = await call(markChatRead, USERS.bob, { params: { chatId: 'room:other-room' }, body: { lastReadMessageId: response.roomMessageId } });
+  if (foreign.status === 200) fail('A message of another room cannot move the cursor');
+  console.log('PASS: Mention counts filtered to member rooms; room read moves the cursor');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Message requests: uiPreferences.messageRequests, the Requests inbox and MESSAGE_REQUEST_RESPOND.
+ * Run with: node -r dotenv/config tests/db-message-requests.test.js
+ *
+ * Verifies:
+ * - With requests on, a first DM from a non-contact is a request: flagged on ACK / RECEIVE, and the sender gets
+ *   no DELIVERY_STATUS or delivered / read update; history shows their message as sent.
+ * - GET /api/chats flags the chat incoming / outgoing; replay flags the message.
+ * - Accepting notifies both users and restores receipts; replying accepts implicitly; pairs that already
+ *   talked are contacts.
+ * - Declining hides the chat from the recipient, can block the sender, and only the recipient may answer.
+ * - A declined chat becomes a normal chat when the sender writes again after the recipient turned requests off.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket, ofType, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const userStore = require(path.join(backendRoot, 'storage/user.store'));
+const userLookup = require(path.join(backendRoot, 'users/user.service'));
+const readCursorStore = require(path.join(backendRoot, 'chat/readCursorStore.mongo'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const messageRequestService = require(path.join(backendRoot, 'services/messageRequest.service'));
+const blockService = require(path.join(backendRoot, 'services/block.service'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const replayService = require(path.join(backendRoot, 'services/replay.service'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageSend } = require(path.join(backendRoot, 'websocket/handlers/sendMessage'));
+const { handleMessageRequestRespond } = require(path.join(backendRoot, 'websocket/handlers/messageRequest'));
+const chatController = require(path.join(backendRoot, 'http/controllers/chat.controller'));
+const uiPreferencesController = require(path.join(backendRoot, 'http/controllers/uiPreferences.controller'));
+
+const KNOWN_USERS = ['req-a', 'req-b', 'req-c', 'req-d'];
+const toUser = (id) => ({ id, username: id, displayName: id, email: '', avatarUrl: null, role: 'USER' });
+userLookup.getUserById = async (id) => (KNOWN_USERS.includes(id) ? toUser(id) : null);
+readCursorStore.bulkGetCursors = async () => new Map(); // ALLOW_MAP — TEST MOCK ONLY
+const prefs = {};
+userStore.getUiPreferences = async (id) => ({ soundNotifications: true, desktopNotifications: false, messageRequests: false, ...prefs[id] });
+userStore.patchUiPreferences = async (id, patch) => {
+  prefs[id] = { ...prefs[id], ...patch };
+  return true;
+};
+userStore.listMessageRequestUserIds = async () => Object.keys(prefs).filter((id) => prefs[id].messageRequests === true);
+
+async function chatFlag(userId, chatId) {
+  const chats = (await call(chatController.getChats, userId)).body?.data?.chats || [];
+  const chat = chats.find((c) => c.chatId === chatId);
+  return chat ? chat.messageRequest : undefined;
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  messageRequestService.clear();
+  blockService.clear();
+  const wsA = createMockSocket();
+  const wsB = createMockSocket();
+  const wsC = createMockSocket();
+  const wsD = createMockSocket();
+  connectionManager.register('req-a', wsA);
+  connectionManager.register('req-b', wsB);
+  connectionManager.register('req-c', wsC);
+  connectionManager.register('req-d', wsD);
+  const chatAB = 'direct:req-a:req-b';
+
+  // ─── Case 1: preference and first DM ───
+  const bad = await call(uiPreferencesController.patchMyUiPreferences, 'req-b', { body: { messageRequests: 'yes' } });
+  if (bad.status !== 400 || bad.body?.code !== 'INVALID_PREFERENCE') fail('messageRequests must be a boolean: ' + JSON.stringify(bad.body));
+  for (const id of ['req-b', 'req-d']) {
+    const on = await call(uiPreferencesController.patchMyUiPreferences, id, { body: { messageRequests: true } });
+    if (on.status !== 200 || on.body?.data?.uiPreferences?.messageRequests !== true) fail('Turning requests on succeeds: ' + JSON.stringify(on.body));
+  }
+  if (!messageRequestService.isRequestsEnabled('req-b')) fail('The preference is mirrored for delivery');
+
+  const first = await handleMessageSend(wsA, { recipientId: 'req-b', content: 'hi, we have not met', clientMessageId: 'req-1' });
+  if (first.type !== 'MESSAGE_ACK' || first.messageRequest !== true) fail('The first DM from a non-contact is a request: ' + JSON.stringify(first));
+  await sleep(50);
+  const received = ofType(wsB, 'MESSAGE_RECEIVE');
+  if (received.length !== 1 || received[0].messageRequest !== true) fail('The recipient gets it flagged as a request: ' + JSON.stringify(received));
+  if (ofType(wsA, 'DELIVERY_STATUS').length !== 0) fail('The requester gets no DELIVERY_STATUS: ' + JSON.stringify(wsA.sent));
+  const replay = await replayService.replayMessages('req-b', null);
+  const replayed = replay.messages.find((m) => m.messageId === first.messageId);
+  if (!replayed || replayed.messageRequest !== true) fail('Replay flags request messages: ' + JSON.stringify(replay.messages));
+  const delivered = await messageService.confirmDeliveredAndReturnAck(first.messageId, 'req-b');
+  const read = await messageService.confirmReadAndReturnAck(first.messageId, 'req-b');
+  if (!delivered.ok || delivered.senderNotification || !read.ok || read.senderNotification || read.senderStateUpdate) {
+    fail('Delivered / read confirms produce nothing for the requester: ' + JSON.stringify({ delivered, read }));
+  }
+  if ((await dbAdapter.getMessage(first.messageId)).state !== 'read') fail('The recipient\'s own state still advances');
+  const senderView = await historyService.getHistory('req-a', chatAB, { limit: 10 });
+  if (senderView.messages[0]?.state !== 'sent') fail('History shows the requester their message as sent: ' + JSON.stringify(senderView.messages));
+  const recipientView = await historyService.getHistory('req-b', chatAB, { limit: 10 });
+  if (recipientView.messages[0]?.state !== 'read') fail('The recipient sees the real state');
+  if (await chatFlag('req-b', chatAB) !== 'incoming' || await chatFlag('req-a', chatAB) !== 'outgoing') fail('GET /api/chats flags the request for both users');
+  const overHttp = await call(chatController.sendMessage, 'req-a', { body: { recipientId: 'req-b', content: 'still me' } });
+  if (overHttp.status !== 201 || overHttp.body?.data?.messageRequest !== true) fail('HTTP sends report the request too: ' + JSON.stringify(overHttp.body));
+  const open = await handleMessageSend(wsC, { recipientId: 'req-a', content: 'requests off', clientMessageId: 'req-2' });
+  if (open.messageRequest !== false) fail('Users without requests get plain DMs: ' + JSON.stringify(open));
+  console.log('PASS: First DMs from non-contacts are requests with receipts withheld');
+
+  // ─── Case 2: accept ───
+  const notRecipient = await handleMessageRequestRespond(wsA, { chatId: chatAB, action: 'accept' });
+  if (notRecipient.success || notRecipient.code !== 'REQUEST_NOT_FOUND') fail('Only the recipient can answer: ' + JSON.stringify(notRecipient));
+  const acceptBlock = await handleMessageRequestRespond(wsB, { chatId: chatAB, action: 'accept', block: true });
+  if (acceptBlock.success || acceptBlock.code !== 'INVALID_PAYLOAD') fail('block is only for declines: ' + JSON.stringify(acceptBlock));
+  wsA.sent.length = 0;
+  wsB.sent.length = 0;
+  const accepted = await handleMessageRequestRespond(wsB, { chatId: chatAB, action: 'accept' });
+  if (!accepted.success || accepted.status !== 'accepted') fail('Accepting succeeds: ' + JSON.stringify(accepted));
+  await sleep(50);
+  for (const ws of [wsA, wsB]) {
+    const updates = ofType(ws, 'MESSAGE_REQUEST_UPDATED');
+    if (updates.length !== 1 || updates[0].status !== 'accepted' || updates[0].requesterId !== 'req-a') fail('Both users get MESSAGE_REQUEST_UPDATED: ' + JSON.stringify(ws.sent));
+  }
+  const twice = await handleMessageRequestRespond(wsB, { chatId: chatAB, action: 'decline' });
+  if (twice.code !== 'REQUEST_NOT_FOUND') fail('An answered request cannot be answered again');
+  if (await chatFlag('req-b', chatAB) !== null || (await historyService.getHistory('req-a', chatAB, { limit: 10 })).messages.every((m) => m.state === 'sent')) {
+    fail('After accepting the chat is normal and the requester sees real states');
+  }
+  const after = await handleMessageSend(wsA, { recipientId: 'req-b', content: 'thanks', clientMessageId: 'req-3' });
+  await sleep(50);
+  if (after.messageRequest !== false || ofType(wsA, 'DELIVERY_STATUS').length !== 1) fail('Contacts get receipts: ' + JSON.stringify(wsA.sent));
+  console.log('PASS: Accepting notifies both users and restores receipts');
+
+  // ─── Case 3: implicit accept and existing conversations ───
+  const chatCD = 'direct:req-c:req-d';
+  const fromC = await handleMessageSend(wsC, { recipientId: 'req-d', content: 'hello d', clientMessageId: 'req-4' });
+  if (fromC.messageRequest !== true) fail('C -> D is a request');
+  const reply = await handleMessageSend(wsD, { recipientId: 'req-c', content: 'hello c', clientMessageId: 'req-5' });
+  if (reply.messageRequest !== false || messageRequestService.getRequest(chatCD).status !== 'accepted') fail('Replying accepts the request');
+  const fromB = await handleMessageSend(wsB, { recipientId: 'req-d', content: 'is d there?', clientMessageId: 'req-6' });
+  if (fromB.messageRequest !== true) fail('B -> D is a request');
+  await call(uiPreferencesController.patchMyUiPreferences, 'req-c', { body: { messageRequests: true } });
+  const known = await handleMessageSend(wsA, { recipientId: 'req-c', content: 'we talked before', clientMessageId: 'req-7' });
+  if (known.messageRequest !== false || messageRequestService.getRequest('direct:req-a:req-c')?.status !== 'accepted') fail('Pairs that already talked are contacts: ' + JSON.stringify(known));
+  console.log('PASS: Replying accepts and earlier conversations count as contacts');
+
+  // ─── Case 4: decline and block ───
+  const chatBD = 'direct:req-b:req-d';
+  const declined = await handleMessageRequestRespond(wsD, { chatId: chatBD, action: 'decline' });
+  if (!declined.success || declined.status !== 'declined' || declined.blocked !== false) fail('Declining succeeds: ' + JSON.stringify(declined));
+  await sleep(50);
+  if (await chatFlag('req-d', chatBD) !== undefined) fail('A declined request is hidden from the recipient');
+  if (await chatFlag('req-b', chatBD) !== 'outgoing') fail('The requester is not told');
+  if (ofType(wsB, 'MESSAGE_REQUEST_UPDATED').some((m) => m.chatId === chatBD)) fail('The requester gets no update on decline');
+  const reopen = await handleMessageSend(wsB, { recipientId: 'req-d', content: 'one more try', clientMessageId: 'req-8' });
+  if (reopen.messageRequest !== true || await chatFlag('req-d', chatBD) !== 'incoming') fail('A new message reopens a declined request');
+  const blocked = await handleMessageRequestRespond(wsD, { chatId: chatBD, action: 'decline', block: true });
+  if (!blocked.success || blocked.blocked !== true || !blockService.isBlockedBetween('req-d', 'req-b')) fail('Decline and block blocks the requester: ' + JSON.stringify(blocked));
+  const afterBlock = await handleMessageSend(wsB, { recipientId: 'req-d', content: 'blocked now', clientMessageId: 'req-9' });
+  if (afterBlock.code !== 'USER_BLOCKED') fail('The blocked requester cannot send again');
+  messageRequestService.clear();
+  await messageRequestService.loadFromStore();
+  if (messageRequestService.getRequest(chatBD)?.status !== 'declined' || !messageRequestService.isRequestsEnabled('req-d')) fail('The mirror reloads from the store');
+  console.log('PASS: Declining hides the request and can block the requester');
+
+  // ─── Case 5: decline, disable requests, sender messages again ───
+  const chatBC = 'direct:req-b:req-c';
+  const toC = await handleMessageSend(wsB, { recipientId: 'req-c', content: 'hello c', clientMessageId: 'req-10' });
+  if (toC.messageRequest !== true) fail('B -> C is a request');
+  await handleMessageRequestRespond(wsC, { chatId: chatBC, action: 'decline' });
+  await call(uiPreferencesController.patchMyUiPreferences, 'req-c', { body: { messageRequests: false } });
+  const afterOff = await handleMessageSend(wsB, { recipientId: 'req-c', content: 'hello again', clientMessageId: 'req-11' });
+  if (afterOff.messageRequest !== false || messageRequestService.getRequest(chatBC)?.status !== 'accepted') {
+    fail('With requests off a declined chat becomes a normal chat: ' + JSON.stringify(messageRequestService.getRequest(chatBC)));
+  }
+  if (messageRequestService.isUnaccepted(chatBC) || await chatFlag('req-c', chatBC) !== null) fail('The chat is listed again and receipts are no longer withheld');
+  console.log('PASS: Turning requests off turns a declined request into a normal chat');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Muted chats: per-user mutes with durations, CHAT_MUTE_SET / CHAT_MUTE_UPDATED and GET /api/chats/mutes.
+ * Run with: node -r dotenv/config tests/db-mutes.test.js
+ *
+ * Verifies:
+ * - Muting needs access to the chat and a known mode; mutes are per user and each one replaces the previous.
+ * - Every socket of the muting user gets CHAT_MUTE_UPDATED; nobody else hears about it.
+ * - Timed mutes end on their own: expired mutes are no longer listed.
+ * - Unmuting is idempotent (no push when nothing changed) and allowed for chats the user has left.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleChatMuteSet } = require(path.join(backendRoot, 'websocket/handlers/chatSettings'));
+const chatSettingsController = require(path.join(backendRoot, 'http/controllers/chatSettings.controller'));
+const { MUTE } = require(path.join(backendRoot, 'config/constants'));
+
+async function listMutes(userId) {
+  let payload = null;
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { payload = b; } };
+  await chatSettingsController.getChatMutes({ user: { userId }, params: {}, query: {} }, res);
+  return { status: res.statusCode, body: payload };
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('mute-room', 'mute-a');
+  await roomManager.joinRoom('mute-room', 'mute-b');
+  await roomManager.createRoom('mute-private', 'mute-c');
+  const wsA1 = createMockSocket();
+  const wsA2 = createMockSocket();
+  const wsB = createMockSocket();
+  connectionManager.register('mute-a', wsA1);
+  connectionManager.register('mute-a', wsA2);
+  connectionManager.register('mute-b', wsB);
+  const dmAB = 'direct:mute-a:mute-b';
+
+  // ─── Case 1: mute with a duration ───
+  const before = Date.now();
+  const muted = await handleChatMuteSet(wsA1, { chatId: dmAB, mode: '8h' });
+  if (muted.type !== 'CHAT_MUTE_RESPONSE' || !muted.success || !muted.changed || muted.mute.muted !== true) {
+    fail('Muting a DM succeeds: ' + JSON.stringify(muted));
+  }
+  if (muted.mute.mutedUntil < before + MUTE.durationMsByMode['8h'] || muted.mute.mutedUntil > Date.now() + MUTE.durationMsByMode['8h']) {
+    fail('mutedUntil is now + the mode duration: ' + JSON.stringify(muted.mute));
+  }
+  const forever = await handleChatMuteSet(wsA1, { chatId: 'room:mute-room', mode: 'forever' });
+  if (!forever.success || forever.mute.mutedUntil !== null) fail('"forever" mutes without an end: ' + JSON.stringify(forever));
+  const forbidden = await handleChatMuteSet(wsA1, { chatId: 'room:mute-private', mode: '1h' });
+  if (forbidden.success || forbidden.code !== 'FORBIDDEN') fail('Chats the user is not in cannot be muted: ' + JSON.stringify(forbidden));
+  const badMode = await handleChatMuteSet(wsA1, { chatId: dmAB, mode: '24h' });
+  if (badMode.success || badMode.code !== 'INVALID_PAYLOAD') fail('Unknown modes are rejected: ' + JSON.stringify(badMode));
+  const list = await listMutes('mute-a');
+  const mutes = list.body?.data?.mutes || [];
+  if (list.status !== 200 || mutes.map((m) => m.chatId).join() !== [dmAB, 'room:mute-room'].sort().join() || !mutes.every((m) => m.mutedAt > 0)) {
+    fail('GET /chats/mutes lists the active mutes: ' + JSON.stringify(list.body));
+  }
+  if ((await listMutes('mute-b')).body.data.mutes.length !== 0) fail('Mutes are per user');
+  const shorter = await handleChatMuteSet(wsA1, { chatId: dmAB, mode: '1h' });
+  const afterReplace = (await listMutes('mute-a')).body.data.mutes.find((m) => m.chatId === dmAB);
+  if (!shorter.success || afterReplace?.mutedUntil !== shorter.mute.mutedUntil) fail('A new mute replaces the previous one: ' + JSON.stringify(afterReplace));
+  console.log('PASS: Chats are muted per user for a mode duration or forever');
+
+  // ─── Case 2: pushed to every device ───
+  await sleep(20);
+  const updatesA1 = wsA1.sent.filter((m) => m.type === 'CHAT_MUTE_UPDATED');
+  const updatesA2 = wsA2.sent.filter((m) => m.type === 'CHAT_MUTE_UPDATED');
+  if (updatesA1.length !== 3 || updatesA2.length !== 3) fail('Each change reaches every socket of the user: ' + JSON.stringify(updatesA2));
+  if (updatesA2[0].chatId !== dmAB || updatesA2[0].mute.muted !== true || updatesA2[1].mute.mutedUntil !== null) {
+    fail('CHAT_MUTE_UPDATED carries the mute: ' + JSON.stringify(updatesA2));
+  }
+  if (wsB.sent.some((m) => m.type === 'CHAT_MUTE_UPDATED')) fail('The other participant is not told about the mute');
+  console.log('PASS: CHAT_MUTE_UPDATED syncs all of the user\'s devices');
+
+  // ─── Case 3: expiry ───
+  const originalHour = MUTE.durationMsByMode['1h'];
+  MUTE.durationMsByMode['1h'] = 30;
+  const brief = await handleChatMuteSet(wsB, { chatId: dmAB, mode: '1h' });
+  MUTE.durationMsByMode['1h'] = originalHour;
+  if (!brief.success) fail('Muting succeeds: ' + JSON.stringify(brief));
+  await sleep(60);
+  if ((await listMutes('mute-b')).body.data.mutes.length !== 0) fail('An expired mute is no longer listed');
+  console.log('PASS: Timed mutes expire without an unmute');
+
+  // ─── Case 4: unmute ───
+  wsA2.sent.length = 0;
+  const unmuted = await handleChatMuteSet(wsA1, { chatId: dmAB, mode: 'off' });
+  if (!unmuted.success || !unmuted.changed || unmuted.mute.muted !== false || unmuted.mute.mutedUntil !== null) {
+    fail('Unmuting succeeds: ' + JSON.stringify(unmuted));
+  }
+  const again = await handleChatMuteSet(wsA1, { chatId: dmAB, mode: 'off' });
+  if (!again.success || again.changed) fail('Unmuting again changes nothing: ' + JSON.stringify(again));
+  await handleChatMuteSet(wsA1, { chatId: 'room:mute-private', mode: 'off' });
+  await sleep(20);
+  if (wsA2.sent.filter((m) => m.type === 'CHAT_MUTE_UPDATED').length !== 1) fail('Only the real unmute is pushed: ' + JSON.stringify(wsA2.sent));
+  if ((await listMutes('mute-a')).body.data.mutes.map((m) => m.chatId).join() !== 'room:mute-room') fail('Only the room stays muted');
+  console.log('PASS: Unmute is idempotent and always allowed');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
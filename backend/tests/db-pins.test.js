@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Pinned messages: message.service.setMessagePin + history.service.getChatPins + MESSAGE_PIN handler.
+ * Run with: node -r dotenv/config tests/db-pins.test.js
+ *
+ * Verifies:
+ * - DMs: either participant can pin; outsiders cannot.
+ * - Rooms: PIN_MESSAGE (room.rbac) — OWNER/ADMIN can pin, MEMBER cannot; per-recipient rows pin the roomMessageId.
+ * - Per-chat limit (PIN_LIMIT), newest pin first, idempotent pin/unpin, deleted pins come back as tombstones.
+ */
+
+process.env.CHAT_PINS_MAX_PER_CHAT = '2';
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessagePin } = require(path.join(backendRoot, 'websocket/handlers/messageMutation'));
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('pin-room', 'pin-owner');
+  await roomManager.joinRoom('pin-room', 'pin-admin');
+  await roomManager.joinRoom('pin-room', 'pin-member');
+  // Role is applied in memory before the room store write (which needs Mongo in file-store runs)
+  await roomManager.setMemberRole('pin-room', 'pin-owner', 'pin-admin', 'ADMIN').catch(() => {});
+
+  const t0 = Date.now() - 1000;
+  const dm = { senderId: 'pin-a', recipientId: 'pin-b', state: 'sent', messageType: 'direct', chatId: 'direct:pin-a:pin-b' };
+  await dbAdapter.persistMessage({ ...dm, messageId: 'pin-dm-1', content: 'first', timestamp: t0 });
+  await dbAdapter.persistMessage({ ...dm, messageId: 'pin-dm-2', content: 'second', timestamp: t0 + 1 });
+  await dbAdapter.persistMessage({ ...dm, messageId: 'pin-dm-3', content: 'third', timestamp: t0 + 2 });
+  const roomBase = { senderId: 'pin-member', content: 'room message', timestamp: t0, state: 'sent', messageType: 'room', roomId: 'pin-room', roomMessageId: 'rm-pin-1', chatId: 'room:pin-room' };
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm-pin-1', recipientId: 'pin-room', clientMessageId: 'rm-pin-1' });
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm_rm-pin-1_pin-admin', recipientId: 'pin-admin' });
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm-pin-thread', roomMessageId: 'rm-pin-thread', recipientId: 'pin-room', clientMessageId: 'rm-pin-thread', threadRootId: 'rm-pin-1' });
+
+  // ─── Case 1: DM participants pin; outsiders cannot ───
+  const outsider = await messageService.setMessagePin('pin-c', 'pin-dm-1', true);
+  if (outsider.ok || outsider.code !== 'FORBIDDEN') fail('Non-participant must not pin: ' + JSON.stringify(outsider));
+  const byA = await messageService.setMessagePin('pin-a', 'pin-dm-1', true);
+  await sleep(5);
+  const byB = await messageService.setMessagePin('pin-b', 'pin-dm-2', true);
+  if (!byA.ok || !byA.changed || !byB.ok || byB.chatId !== 'direct:pin-a:pin-b') fail('Both DM participants must be able to pin');
+  console.log('PASS: DM participants pin, outsiders rejected');
+
+  // ─── Case 2: limit, ordering, idempotency ───
+  const again = await messageService.setMessagePin('pin-a', 'pin-dm-1', true);
+  if (!again.ok || again.changed !== false) fail('Re-pinning must be an idempotent no-op');
+  const overLimit = await messageService.setMessagePin('pin-a', 'pin-dm-3', true);
+  if (overLimit.ok || overLimit.code !== 'PIN_LIMIT') fail('Third pin must hit PIN_LIMIT: ' + JSON.stringify(overLimit));
+  const pins = await historyService.getChatPins('direct:pin-a:pin-b');
+  if (pins.map((p) => p.messageId).join(',') !== 'pin-dm-2,pin-dm-1') fail('Pins must be newest first: ' + JSON.stringify(pins));
+  if (pins[0].content !== 'second' || pins[0].pinnedBy !== 'pin-b' || pins[0].senderId !== 'pin-a') fail('Pin must carry snippet and pinnedBy');
+  const unpin = await messageService.setMessagePin('pin-b', 'pin-dm-1', false);
+  const unpinAgain = await messageService.setMessagePin('pin-b', 'pin-dm-1', false);
+  if (!unpin.ok || !unpin.changed || !unpinAgain.ok || unpinAgain.changed !== false) fail('Unpin must be idempotent');
+  console.log('PASS: Per-chat limit, newest-first order, idempotent pin/unpin');
+
+  // ─── Case 3: room PIN_MESSAGE permission ───
+  const member = await messageService.setMessagePin('pin-member', 'rm-pin-1', true);
+  if (member.ok || member.code !== 'FORBIDDEN') fail('MEMBER must not pin in rooms: ' + JSON.stringify(member));
+  const admin = await messageService.setMessagePin('pin-admin', 'rm_rm-pin-1_pin-admin', true);
+  if (!admin.ok || admin.messageId !== 'rm-pin-1' || admin.chatId !== 'room:pin-room') fail('ADMIN pins the canonical roomMessageId: ' + JSON.stringify(admin));
+  const threadReply = await messageService.setMessagePin('pin-owner', 'rm-pin-thread', true);
+  if (threadReply.ok) fail('Thread-only replies must not be pinnable');
+  console.log('PASS: Room pins require PIN_MESSAGE; per-recipient rows resolve to roomMessageId');
+
+  // ─── Case 4: handler broadcasts CHAT_PINS_UPDATED to room members ───
+  const ownerWs = createMockSocket();
+  const memberWs = createMockSocket();
+  connectionManager.register('pin-owner', ownerWs);
+  connectionManager.register('pin-member', memberWs);
+  const ack = await handleMessagePin(ownerWs, { messageId: 'rm-pin-1' });
+  if (!ack.success || ack.pins.length !== 1) fail('Idempotent room pin must ack with the pin list: ' + JSON.stringify(ack));
+  await dbAdapter.softDeleteMessage('rm-pin-1', 'pin-member');
+  const tombstone = (await historyService.getChatPins('room:pin-room'))[0];
+  if (!tombstone || tombstone.deleted !== true || tombstone.content !== null) fail('Deleted pinned message must come back as a tombstone');
+  await messageService.setMessagePin('pin-owner', 'rm-pin-1', false);
+  const repin = await messageService.setMessagePin('pin-owner', 'rm-pin-1', true);
+  if (repin.ok || repin.code !== 'MESSAGE_DELETED') fail('Deleted messages must not be pinnable');
+  await dbAdapter.persistMessage({ ...roomBase, messageId: 'rm-pin-2', roomMessageId: 'rm-pin-2', recipientId: 'pin-room', clientMessageId: 'rm-pin-2', content: 'pin me' });
+  const broadcastAck = await handleMessagePin(ownerWs, { messageId: 'rm-pin-2' });
+  await sleep(20);
+  const update = memberWs.sent.find((m) => m.type === 'CHAT_PINS_UPDATED');
+  if (!broadcastAck.success || !update || update.chatId !== 'room:pin-room' || update.pins[0]?.content !== 'pin me') {
+    fail('Room members must receive CHAT_PINS_UPDATED with the full list: ' + JSON.stringify(update));
+  }
+  console.log('PASS: MESSAGE_PIN broadcasts CHAT_PINS_UPDATED to room members');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Room polls: ROOM_MESSAGE with contentType 'poll' + POLL_VOTE handler + tallies in history/export.
+ * Run with: node -r dotenv/config tests/db-polls.test.js
+ *
+ * Verifies:
+ * - Poll definitions are validated (option count, duplicates, close time); option ids are assigned by the server.
+ * - A poll is stored with contentType 'poll' and ROOM_MESSAGE carries empty tallies.
+ * - Only room members vote; single-choice polls take one option; a vote replaces the previous one; POLL_UPDATED is broadcast.
+ * - Anonymous polls never expose voters, but history shows each reader their own selection.
+ * - Votes after closesAt are rejected and export includes the final tallies.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleRoomMessage } = require(path.join(backendRoot, 'websocket/handlers/room'));
+const { handlePollVote } = require(path.join(backendRoot, 'websocket/handlers/poll'));
+const { exportChatJson } = require(path.join(backendRoot, 'http/controllers/export.controller'));
+
+async function exportMessages(userId, chatId) {
+  let body = null;
+  const res = { setHeader: () => {}, status: () => res, json: (b) => { body = b; }, send: (b) => { body = JSON.parse(b); } };
+  await exportChatJson({ params: { chatId: encodeURIComponent(chatId) }, user: { userId } }, res);
+  return body?.data?.messages || [];
+}
+
+async function historyPoll(userId, roomMessageId) {
+  const { messages } = await historyService.getHistory(userId, 'room:poll-room', { limit: 50 });
+  const message = messages.find((m) => m.roomMessageId === roomMessageId);
+  return message ? message.poll : null;
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('poll-room', 'poll-owner');
+  await roomManager.joinRoom('poll-room', 'poll-a');
+  await roomManager.joinRoom('poll-room', 'poll-b');
+  const wsOwner = createMockSocket();
+  const wsA = createMockSocket();
+  const wsB = createMockSocket();
+  const wsOutsider = createMockSocket();
+  connectionManager.register('poll-owner', wsOwner);
+  connectionManager.register('poll-a', wsA);
+  connectionManager.register('poll-b', wsB);
+  connectionManager.register('poll-outsider', wsOutsider);
+
+  // ─── Case 1: poll definition validation ───
+  if (messageService.normalizePollDefinition({ options: ['Only one'] }).ok) fail('A poll needs at least two options');
+  if (messageService.normalizePollDefinition({ options: ['Yes', 'yes'] }).ok) fail('Options must be distinct');
+  if (messageService.normalizePollDefinition({ options: ['Yes', 'No'], closesAt: Date.now() - 1 }).ok) fail('closesAt must be in the future');
+  const valid = messageService.normalizePollDefinition({ options: [' Yes ', 'No'], anonymous: true });
+  if (!valid.ok || valid.poll.options.map((o) => `${o.id}=${o.text}`).join(',') !== 'o1=Yes,o2=No' || valid.poll.multiple || !valid.poll.anonymous) {
+    fail('Valid polls get server-assigned option ids: ' + JSON.stringify(valid));
+  }
+  const rejected = await handleRoomMessage(wsA, { roomId: 'poll-room', content: 'Bad poll', contentType: 'poll', poll: { options: ['x'] } });
+  if (rejected.success || rejected.code !== 'INVALID_PAYLOAD') fail('ROOM_MESSAGE with an invalid poll must be rejected');
+  console.log('PASS: Poll definitions validated; option ids assigned by the server');
+
+  // ─── Case 2: poll stored and delivered with empty tallies ───
+  const created = await handleRoomMessage(wsOwner, {
+    roomId: 'poll-room',
+    content: 'Lunch?',
+    clientMessageId: 'poll-c1',
+    contentType: 'poll',
+    poll: { options: ['Pizza', 'Sushi', 'Salad'] },
+  });
+  if (!created.success) fail('Poll send must succeed: ' + JSON.stringify(created));
+  const pollId = created.roomMessageId;
+  const canonical = await dbAdapter.getMessage(pollId);
+  if (canonical.contentType !== 'poll' || canonical.poll.options.length !== 3) fail('Poll must be stored with contentType poll: ' + JSON.stringify(canonical));
+  await sleep(50);
+  const live = wsA.sent.find((m) => m.type === 'ROOM_MESSAGE' && m.roomMessageId === pollId);
+  if (!live || live.contentType !== 'poll' || live.poll.totalVoters !== 0 || live.poll.options.some((o) => o.count !== 0)) {
+    fail('ROOM_MESSAGE must carry the poll with empty tallies: ' + JSON.stringify(live));
+  }
+  console.log('PASS: Poll stored with contentType poll and delivered with empty tallies');
+
+  // ─── Case 3: voting rules and live tallies ───
+  const outsider = await handlePollVote(wsOutsider, { messageId: pollId, optionIds: ['o1'] });
+  if (outsider.success || outsider.code !== 'FORBIDDEN') fail('Non-members must not vote');
+  const twoChoices = await handlePollVote(wsA, { messageId: pollId, optionIds: ['o1', 'o2'] });
+  if (twoChoices.success || twoChoices.code !== 'INVALID_OPTION') fail('Single-choice polls take one option');
+  const unknown = await handlePollVote(wsA, { messageId: pollId, optionIds: ['o9'] });
+  if (unknown.success || unknown.code !== 'INVALID_OPTION') fail('Unknown options must be rejected');
+  const notPoll = await handleRoomMessage(wsA, { roomId: 'poll-room', content: 'plain', clientMessageId: 'poll-c2' });
+  const notPollVote = await handlePollVote(wsA, { messageId: notPoll.roomMessageId, optionIds: ['o1'] });
+  if (notPollVote.success || notPollVote.code !== 'NOT_A_POLL') fail('Voting on a plain message must be rejected');
+
+  wsB.sent.length = 0;
+  const voteA = await handlePollVote(wsA, { messageId: pollId, optionIds: ['o1'] });
+  const voteB = await handlePollVote(wsB, { messageId: `rm_${pollId}_poll-b`, optionIds: ['o1'] });
+  if (!voteA.success || !voteB.success || voteB.messageId !== pollId) fail('Members must vote (per-recipient ids resolve to the poll)');
+  const revote = await handlePollVote(wsA, { messageId: pollId, optionIds: ['o2'] });
+  if (!revote.success || revote.poll.options[0].count !== 1 || revote.poll.options[1].count !== 1 || revote.poll.myOptionIds.join(',') !== 'o2') {
+    fail('A new vote replaces the previous one: ' + JSON.stringify(revote.poll));
+  }
+  await sleep(50);
+  const updates = wsB.sent.filter((m) => m.type === 'POLL_UPDATED' && m.messageId === pollId);
+  const lastUpdate = updates[updates.length - 1];
+  if (updates.length !== 3 || lastUpdate.poll.options[1].voterIds.join(',') !== 'poll-a' || lastUpdate.poll.myOptionIds !== undefined) {
+    fail('Room members must get POLL_UPDATED with named voters: ' + JSON.stringify(updates));
+  }
+  const retract = await handlePollVote(wsB, { messageId: pollId, optionIds: [] });
+  if (!retract.success || retract.poll.totalVoters !== 1) fail('An empty vote retracts: ' + JSON.stringify(retract.poll));
+  console.log('PASS: Only members vote; one option per single-choice poll; votes replace; POLL_UPDATED broadcast');
+
+  // ─── Case 4: anonymous polls ───
+  const anon = await handleRoomMessage(wsOwner, {
+    roomId: 'poll-room',
+    content: 'Rate the offsite',
+    clientMessageId: 'poll-c3',
+    contentType: 'poll',
+    poll: { options: ['Good', 'Bad', 'Meh'], multiple: true, anonymous: true },
+  });
+  const anonId = anon.roomMessageId;
+  const anonVote = await handlePollVote(wsA, { messageId: anonId, optionIds: ['o1', 'o3'] });
+  if (!anonVote.success || anonVote.poll.myOptionIds.join(',') !== 'o1,o3' || anonVote.poll.options.some((o) => o.voterIds)) {
+    fail('Anonymous vote response carries the own selection only: ' + JSON.stringify(anonVote.poll));
+  }
+  await sleep(50);
+  const anonUpdate = wsB.sent.find((m) => m.type === 'POLL_UPDATED' && m.messageId === anonId);
+  if (!anonUpdate || anonUpdate.poll.options.some((o) => o.voterIds) || anonUpdate.poll.options[0].count !== 1) fail('Anonymous POLL_UPDATED must not expose voters');
+  const forA = await historyPoll('poll-a', anonId);
+  const forB = await historyPoll('poll-b', anonId);
+  if (!forA || forA.myOptionIds.join(',') !== 'o1,o3' || forB.myOptionIds.length !== 0 || forB.options.some((o) => o.voterIds)) {
+    fail('History shows each reader their own selection: ' + JSON.stringify({ forA, forB }));
+  }
+  console.log('PASS: Anonymous polls hide voters; history shows the reader\'s own selection');
+
+  // ─── Case 5: close time and export ───
+  const timed = await handleRoomMessage(wsOwner, {
+    roomId: 'poll-room',
+    content: 'Quick vote',
+    clientMessageId: 'poll-c4',
+    contentType: 'poll',
+    poll: { options: ['A', 'B'], closesAt: Date.now() + 40 },
+  });
+  const early = await handlePollVote(wsB, { messageId: timed.roomMessageId, optionIds: ['o2'] });
+  if (!early.success) fail('Voting before closesAt must succeed');
+  await sleep(60);
+  const late = await handlePollVote(wsA, { messageId: timed.roomMessageId, optionIds: ['o1'] });
+  if (late.success || late.code !== 'POLL_CLOSED') fail('Votes after closesAt must be rejected');
+  const exported = await exportMessages('poll-owner', 'room:poll-room');
+  const exportedTimed = exported.find((m) => m.roomMessageId === timed.roomMessageId);
+  if (!exportedTimed || exportedTimed.contentType !== 'poll' || !exportedTimed.poll.closed || exportedTimed.poll.options[1].count !== 1) {
+    fail('Export must include final tallies: ' + JSON.stringify(exportedTimed));
+  }
+  const exportedLunch = exported.find((m) => m.roomMessageId === pollId);
+  if (exportedLunch.poll.options[1].voterIds.join(',') !== 'poll-a') fail('Export keeps named voters of named polls');
+  console.log('PASS: Closed polls reject votes; export includes final tallies');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
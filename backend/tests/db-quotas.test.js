@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * Storage quotas and orphaned uploads: attachmentService quota checks, usage, deleteOrphanAttachments and
+ * attachmentSweeper.service.
+ * Run with: node -r dotenv/config tests/db-quotas.test.js
+ *
+ * Verifies:
+ * - Uploads that would put the uploader over ATTACHMENTS.userQuotaBytes fail with QUOTA_EXCEEDED (413 over HTTP).
+ * - Uploads to a room count against ATTACHMENTS.roomQuotaBytes whoever uploads them; DMs have no room quota.
+ * - GET /api/uploads/usage reports the caller's stored bytes, file count and quota; image thumbnails count too.
+ * - The sweeper deletes uploads never sent with a message once older than orphanTtlMs (record, file and
+ *   thumbnails), keeps sent and recent ones, and deleting frees quota.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { fail, requireDatabase, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const attachmentService = require(path.join(backendRoot, 'services/attachment.service'));
+const attachmentSweeper = require(path.join(backendRoot, 'services/attachmentSweeper.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const { blobStore } = require(path.join(backendRoot, 'storage/blob.store'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageSend } = require(path.join(backendRoot, 'websocket/handlers/sendMessage'));
+const uploadsController = require(path.join(backendRoot, 'http/controllers/uploads.controller'));
+const ErrorCodes = require(path.join(backendRoot, 'utils/errorCodes'));
+const { ATTACHMENTS } = require(path.join(backendRoot, 'config/constants'));
+
+const TMP_DIR = attachmentService.UPLOAD_TMP_DIR;
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n');
+
+function writeTemp(buf) {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const tempPath = path.join(TMP_DIR, `test-${crypto.randomBytes(6).toString('hex')}`);
+  fs.writeFileSync(tempPath, buf);
+  return tempPath;
+}
+
+async function upload(uploaderId, chatId, buf, originalName) {
+  return attachmentService.storeUpload(uploaderId, { chatId, tempPath: writeTemp(buf), originalName, size: buf.length });
+}
+
+/** POST /api/uploads/file with multer's req.file already in place. */
+async function uploadOverHttp(userId, chatId, buf) {
+  let payload = null;
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { payload = b; } };
+  const file = { path: writeTemp(buf), originalname: 'over.pdf', size: buf.length };
+  await uploadsController.uploadFile({ user: { userId }, body: { chatId }, file }, res);
+  return { status: res.statusCode, body: payload };
+}
+
+async function fetchUsage(userId) {
+  let payload = null;
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { payload = b; } };
+  await uploadsController.getStorageUsage({ user: { userId } }, res);
+  return { status: res.statusCode, body: payload };
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('quota-room', 'quota-a');
+  await roomManager.joinRoom('quota-room', 'quota-b');
+  const dmChat = 'direct:quota-a:quota-b';
+  const original = { user: ATTACHMENTS.userQuotaBytes, room: ATTACHMENTS.roomQuotaBytes };
+  const created = [];
+
+  // ─── Case 1: per-user quota ───
+  ATTACHMENTS.userQuotaBytes = PDF.length * 2;
+  ATTACHMENTS.roomQuotaBytes = 0;
+  for (let i = 0; i < 2; i++) {
+    const ok = await upload('quota-a', dmChat, PDF, `doc${i}.pdf`);
+    if (!ok.ok) fail('Uploads within the quota must succeed: ' + JSON.stringify(ok));
+    created.push(ok.attachment);
+  }
+  const over = await upload('quota-a', dmChat, PDF, 'doc2.pdf');
+  if (over.ok || over.code !== ErrorCodes.QUOTA_EXCEEDED) fail('Uploads over the user quota must fail: ' + JSON.stringify(over));
+  if (fs.readdirSync(TMP_DIR).some((f) => f.startsWith('test-'))) fail('Rejected uploads must not leave temp files');
+  const overHttp = await uploadOverHttp('quota-a', dmChat, PDF);
+  if (overHttp.status !== 413 || overHttp.body?.code !== 'QUOTA_EXCEEDED') fail('HTTP uploads over quota are 413 QUOTA_EXCEEDED: ' + JSON.stringify(overHttp));
+  const otherUser = await upload('quota-b', dmChat, PDF, 'theirs.pdf');
+  if (!otherUser.ok) fail('Quotas are per user');
+  created.push(otherUser.attachment);
+  const usage = await fetchUsage('quota-a');
+  if (usage.status !== 200 || JSON.stringify(usage.body?.data?.usage) !== JSON.stringify({ bytes: PDF.length * 2, count: 2, quotaBytes: PDF.length * 2 })) {
+    fail('Usage reports stored bytes, count and quota: ' + JSON.stringify(usage.body));
+  }
+  console.log('PASS: Uploads over the per-user quota fail with QUOTA_EXCEEDED; usage is reported');
+
+  // ─── Case 2: per-room quota ───
+  ATTACHMENTS.userQuotaBytes = 0;
+  ATTACHMENTS.roomQuotaBytes = PDF.length * 2;
+  for (const uploader of ['quota-a', 'quota-b']) {
+    const ok = await upload(uploader, 'room:quota-room', PDF, 'room.pdf');
+    if (!ok.ok) fail('Room uploads within the quota must succeed');
+    created.push(ok.attachment);
+  }
+  const roomOver = await upload('quota-b', 'room:quota-room', PDF, 'room.pdf');
+  if (roomOver.ok || roomOver.code !== 'QUOTA_EXCEEDED') fail('Room uploads over the room quota must fail, whoever uploads: ' + JSON.stringify(roomOver));
+  const dmStillFine = await upload('quota-b', dmChat, PDF, 'dm.pdf');
+  if (!dmStillFine.ok) fail('The room quota does not apply to DMs');
+  created.push(dmStillFine.attachment);
+  console.log('PASS: Uploads to a room count against the room quota');
+
+  // ─── Case 3: orphaned uploads ───
+  ATTACHMENTS.userQuotaBytes = PDF.length * 2;
+  ATTACHMENTS.roomQuotaBytes = 0;
+  const wsA = createMockSocket();
+  connectionManager.register('quota-a', wsA);
+  const [sentDoc, orphanDoc] = created;
+  const sent = await handleMessageSend(wsA, { recipientId: 'quota-b', content: 'doc0.pdf', clientMessageId: 'quota-c1', contentType: 'file', attachmentIds: [sentDoc.attachmentId] });
+  if (sent.type !== 'MESSAGE_ACK') fail('File message must be acked: ' + JSON.stringify(sent));
+  const PNG = await sharp({ create: { width: 640, height: 480, channels: 3, background: '#cc3366' } }).png().toBuffer();
+  ATTACHMENTS.userQuotaBytes = 0;
+  const orphanImage = await upload('quota-b', dmChat, PNG, 'photo.png');
+  if (!orphanImage.ok || !orphanImage.attachment.image?.thumbnails?.length) fail('Image upload must succeed with thumbnails');
+  created.push(orphanImage.attachment);
+  let thumbnailBytes = 0;
+  for (const t of orphanImage.attachment.image.thumbnails) {
+    thumbnailBytes += (await blobStore.head(attachmentService.toThumbnailBlobKey(orphanImage.attachment.attachmentId, t.width))).size;
+  }
+  const withThumbnails = (await attachmentService.getUsersStorageUsage(['quota-b']))['quota-b'];
+  if (withThumbnails.bytes !== PDF.length * 3 + orphanImage.attachment.size + thumbnailBytes) {
+    fail('Usage must count image thumbnails: ' + JSON.stringify({ withThumbnails, thumbnailBytes }));
+  }
+
+  if ((await attachmentSweeper.runOnce(Date.now())) !== 0) fail('Recent uploads are not orphans yet');
+  const later = Date.now() + ATTACHMENTS.orphanTtlMs + 1000;
+  const deleted = await attachmentSweeper.runOnce(later);
+  if (deleted !== created.length - 1) fail(`Every unsent upload past the TTL is deleted (${deleted})`);
+  if (!(await dbAdapter.getAttachment(sentDoc.attachmentId))) fail('Sent attachments are kept');
+  if (!(await blobStore.head(attachmentService.toBlobKey(sentDoc.attachmentId)))) fail('Sent attachment files are kept');
+  if (await dbAdapter.getAttachment(orphanDoc.attachmentId)) fail('Orphan records are deleted');
+  if (await blobStore.head(attachmentService.toBlobKey(orphanDoc.attachmentId))) fail('Orphan files are deleted');
+  for (const t of orphanImage.attachment.image.thumbnails) {
+    if (await blobStore.head(attachmentService.toThumbnailBlobKey(orphanImage.attachment.attachmentId, t.width))) fail('Orphan thumbnails are deleted');
+  }
+  if ((await attachmentSweeper.runOnce(later)) !== 0) fail('A second sweep has nothing to delete');
+  ATTACHMENTS.userQuotaBytes = PDF.length * 2;
+  const freed = await upload('quota-a', dmChat, PDF, 'again.pdf');
+  if (!freed.ok) fail('Deleting orphans frees quota: ' + JSON.stringify(freed));
+  created.push(freed.attachment);
+  console.log('PASS: Unsent uploads are garbage-collected after the TTL; sent ones are kept');
+
+  ATTACHMENTS.userQuotaBytes = original.user;
+  ATTACHMENTS.roomQuotaBytes = original.room;
+  await dbAdapter.clearStore();
+  for (const doc of created) {
+    await blobStore.delete(attachmentService.toBlobKey(doc.attachmentId));
+    for (const t of doc.image?.thumbnails || []) await blobStore.delete(attachmentService.toThumbnailBlobKey(doc.attachmentId, t.width));
+  }
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
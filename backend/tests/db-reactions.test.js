@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Persisted message reactions via db adapter (addReaction / removeReaction).
+ * Run with: node -r dotenv/config tests/db-reactions.test.js
+ *
+ * Verifies:
+ * - addReaction is idempotent per (messageId, userId, emoji).
+ * - Room reactions land on the canonical row AND every per-recipient row of the roomMessageId.
+ * - removeReaction drops the user; an emoji with no users disappears from the API summary.
+ * - MESSAGE_REACT only accepts emoji sequences (no text, document-path characters or prototype keys).
+ */
+
+const path = require('path');
+const { fail, requireDatabase } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const { toReactionSummary } = require(path.join(backendRoot, 'models/Message.model'));
+const { validatePayload } = require(path.join(backendRoot, 'websocket/protocol/wsSchemas'));
+
+async function run() {
+  await dbAdapter.clearStore();
+
+  // ─── Case 1: DM reaction idempotency ───
+  await dbAdapter.persistMessage({
+    messageId: 'react-dm-1',
+    senderId: 'user-a',
+    recipientId: 'user-b',
+    content: 'hello',
+    timestamp: Date.now(),
+    state: 'sent',
+    messageType: 'direct',
+    chatId: 'direct:user-a:user-b',
+  });
+  await dbAdapter.addReaction('react-dm-1', 'user-b', '👍');
+  const twice = await dbAdapter.addReaction('react-dm-1', 'user-b', '👍');
+  const dmSummary = toReactionSummary(twice && twice.reactions);
+  if (dmSummary.length !== 1 || dmSummary[0].emoji !== '👍' || dmSummary[0].count !== 1) {
+    fail('Double addReaction must store the user once: ' + JSON.stringify(dmSummary));
+  }
+  if ((await dbAdapter.addReaction('react-missing', 'user-b', '👍')) !== null) {
+    fail('addReaction on unknown message must return null');
+  }
+  console.log('PASS: DM reaction is idempotent per (messageId, userId, emoji)');
+
+  // ─── Case 2: Room reaction fans out to all rows of the room message ───
+  const ts = Date.now();
+  const base = { senderId: 'user-a', content: 'room hi', timestamp: ts, state: 'sent', messageType: 'room', roomId: 'room-1', roomMessageId: 'rm-canon-1', chatId: 'room:room-1' };
+  await dbAdapter.persistMessage({ ...base, messageId: 'rm-canon-1', recipientId: 'room-1', clientMessageId: 'rm-canon-1' });
+  await dbAdapter.persistMessage({ ...base, messageId: 'rm_rm-canon-1_user-b', recipientId: 'user-b' });
+  await dbAdapter.addReaction('rm-canon-1', 'user-b', '🎉');
+  await dbAdapter.addReaction('rm-canon-1', 'user-a', '🎉');
+  const perRecipient = await dbAdapter.getMessage('rm_rm-canon-1_user-b');
+  const roomSummary = toReactionSummary(perRecipient && perRecipient.reactions);
+  if (roomSummary.length !== 1 || roomSummary[0].count !== 2) {
+    fail('Per-recipient room row must carry the room message reactions: ' + JSON.stringify(roomSummary));
+  }
+  console.log('PASS: Room reaction applied to canonical and per-recipient rows');
+
+  // ─── Case 3: Unreact ───
+  await dbAdapter.removeReaction('rm-canon-1', 'user-b', '🎉');
+  const afterOne = toReactionSummary((await dbAdapter.getMessage('rm-canon-1')).reactions);
+  if (afterOne.length !== 1 || afterOne[0].count !== 1 || afterOne[0].userIds[0] !== 'user-a') {
+    fail('removeReaction must drop only that user: ' + JSON.stringify(afterOne));
+  }
+  await dbAdapter.removeReaction('rm-canon-1', 'user-a', '🎉');
+  const afterAll = toReactionSummary((await dbAdapter.getMessage('rm-canon-1')).reactions);
+  if (afterAll.length !== 0) {
+    fail('Emoji with no users must not appear in summary: ' + JSON.stringify(afterAll));
+  }
+  console.log('PASS: removeReaction drops user; empty emoji removed from summary');
+
+  // ─── Case 4: MESSAGE_REACT emoji validation ───
+  const react = (emoji) => validatePayload({ type: 'MESSAGE_REACT', messageId: 'react-dm-1', emoji }).ok;
+  for (const emoji of ['👍', '❤️', '👍🏽', '👨‍👩‍👧', '🇫🇷', '1️⃣', '🏴󠁧󠁢󠁳󠁣󠁴󠁿']) {
+    if (!react(emoji)) fail('Emoji must be accepted: ' + emoji);
+  }
+  for (const emoji of ['__proto__', 'constructor', 'toString', 'a', 'a.b', '$set', '👍 ', '👍.x', '']) {
+    if (react(emoji)) fail('Non-emoji must be rejected: ' + JSON.stringify(emoji));
+  }
+  console.log('PASS: MESSAGE_REACT accepts emoji sequences and rejects text and prototype keys');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Room read receipts: per-member deliveredAt/readAt on room rows, ROOM_READ, ROOM_RECEIPTS_UPDATED and
+ * GET /api/chats/:chatId/messages/:messageId/receipts.
+ * Run with: node -r dotenv/config tests/db-receipts.test.js
+ *
+ * Verifies:
+ * - Live fan-out stamps deliveredAt for members whose socket got the message; offline members stay undelivered.
+ * - ROOM_READ marks the reader's rows up to a message (not their own, not thread-only replies), once, and at
+ *   most RECEIPTS.readBatchSize of them; outsiders and foreign messages are rejected.
+ * - Senders get one coalesced ROOM_RECEIPTS_UPDATED per changed message with exact counts.
+ * - The receipts endpoint is sender-only, lists at most RECEIPTS.maxListed members per state with exact counts,
+ *   and history summaries carry the read count.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleRoomMessage } = require(path.join(backendRoot, 'websocket/handlers/room'));
+const { handleRoomRead } = require(path.join(backendRoot, 'websocket/handlers/readAck'));
+const roomReceipts = require(path.join(backendRoot, 'websocket/services/roomReceipts.service'));
+const receiptController = require(path.join(backendRoot, 'http/controllers/receipt.controller'));
+const { RECEIPTS } = require(path.join(backendRoot, 'config/constants'));
+
+function getReceipts(userId, chatId, messageId) {
+  return call(receiptController.getMessageReceipts, userId, { params: { chatId, messageId } });
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  roomReceipts.reset();
+  await roomManager.createRoom('rcpt-room', 'rcpt-a');
+  for (const member of ['rcpt-b', 'rcpt-c', 'rcpt-d']) await roomManager.joinRoom('rcpt-room', member);
+  await roomManager.createRoom('rcpt-other', 'rcpt-b');
+  const chatId = 'room:rcpt-room';
+  const wsA = createMockSocket();
+  const wsB = createMockSocket();
+  const wsC = createMockSocket();
+  const wsE = createMockSocket();
+  connectionManager.register('rcpt-a', wsA);
+  connectionManager.register('rcpt-b', wsB);
+  connectionManager.register('rcpt-c', wsC);
+  connectionManager.register('rcpt-e', wsE);
+
+  // ─── Case 1: delivery on fan-out ───
+  const first = await handleRoomMessage(wsA, { roomId: 'rcpt-room', content: 'first', clientMessageId: 'rcpt-1' });
+  await sleep(5);
+  const second = await handleRoomMessage(wsA, { roomId: 'rcpt-room', content: 'second', clientMessageId: 'rcpt-2' });
+  await sleep(5);
+  await handleRoomMessage(wsB, { roomId: 'rcpt-room', content: 'joining the thread', threadRootId: first.roomMessageId });
+  const reply = await handleRoomMessage(wsA, { roomId: 'rcpt-room', content: 'thread only', threadRootId: first.roomMessageId });
+  await sleep(5);
+  const fromB = await handleRoomMessage(wsB, { roomId: 'rcpt-room', content: 'from b', clientMessageId: 'rcpt-3' });
+  if (!first.success || !second.success || !reply.success || !fromB.success) fail('Room messages must be sent');
+  const initial = await getReceipts('rcpt-a', chatId, first.roomMessageId);
+  const r0 = initial.body?.data?.receipts;
+  if (initial.status !== 200 || r0.totalCount !== 3 || r0.deliveredCount !== 2 || r0.readCount !== 0 || r0.readBy.length !== 0) {
+    fail('Sender sees 2 of 3 delivered, none read: ' + JSON.stringify(initial.body));
+  }
+  if (r0.deliveredTo.map((d) => d.userId).sort().join() !== 'rcpt-b,rcpt-c' || !r0.deliveredTo.every((d) => d.deliveredAt > 0)) {
+    fail('Online members are listed with their delivery time: ' + JSON.stringify(r0.deliveredTo));
+  }
+  console.log('PASS: Live fan-out records per-member delivery');
+
+  // ─── Case 2: ROOM_READ ───
+  const outsider = await handleRoomRead(wsE, { roomId: 'rcpt-room', messageId: second.roomMessageId });
+  if (outsider.success || outsider.code !== 'FORBIDDEN') fail('Outsiders cannot mark a room read: ' + JSON.stringify(outsider));
+  const foreign = await handleRoomRead(wsB, { roomId: 'rcpt-other', messageId: second.roomMessageId });
+  if (foreign.success || foreign.code !== 'NOT_FOUND') fail('The message must belong to the room: ' + JSON.stringify(foreign));
+  const readB = await handleRoomRead(wsB, { roomId: 'rcpt-room', messageId: `rm_${fromB.roomMessageId}_rcpt-b` });
+  if (readB.type !== 'ROOM_READ_RESPONSE' || !readB.success || readB.count !== 2 || readB.messageId !== fromB.roomMessageId) {
+    fail('Reading up to a row marks the two earlier messages from others (not own, not thread-only): ' + JSON.stringify(readB));
+  }
+  const replyRow = await dbAdapter.getMessage(`rm_${reply.roomMessageId}_rcpt-b`);
+  if (!replyRow || replyRow.readAt != null) fail('Thread-only replies are not read by reading the room');
+  const again = await handleRoomRead(wsB, { roomId: 'rcpt-room', messageId: fromB.roomMessageId });
+  if (!again.success || again.count !== 0) fail('Reading again changes nothing: ' + JSON.stringify(again));
+  const originalBatch = RECEIPTS.readBatchSize;
+  RECEIPTS.readBatchSize = 1;
+  const readD = await handleRoomRead(createMockSocketFor('rcpt-d'), { roomId: 'rcpt-room', messageId: second.roomMessageId });
+  RECEIPTS.readBatchSize = originalBatch;
+  if (!readD.success || readD.count !== 1) fail('A read marks at most readBatchSize messages: ' + JSON.stringify(readD));
+  const firstRowD = await dbAdapter.getMessage(`rm_${first.roomMessageId}_rcpt-d`);
+  const secondRowD = await dbAdapter.getMessage(`rm_${second.roomMessageId}_rcpt-d`);
+  if (firstRowD.readAt != null || !(secondRowD.readAt > 0) || secondRowD.deliveredAt !== secondRowD.readAt) {
+    fail('The newest rows are read first and count as delivered: ' + JSON.stringify([firstRowD, secondRowD]));
+  }
+  console.log('PASS: ROOM_READ marks the reader\'s earlier messages once, bounded, and only for members');
+
+  // ─── Case 3: coalesced pushes ───
+  await sleep(5);
+  await handleRoomRead(wsC, { roomId: 'rcpt-room', messageId: fromB.roomMessageId });
+  wsA.sent.length = 0;
+  wsB.sent.length = 0;
+  const pushed = await roomReceipts.flush();
+  await sleep(20);
+  const pushes = wsA.sent.filter((m) => m.type === 'ROOM_RECEIPTS_UPDATED');
+  if (pushed !== 3 || pushes.length !== 2) fail('One push per changed message to its sender: ' + JSON.stringify(pushes));
+  const pushSecond = pushes.find((m) => m.roomMessageId === second.roomMessageId);
+  if (!pushSecond || pushSecond.roomId !== 'rcpt-room' || pushSecond.totalCount !== 3 || pushSecond.readCount !== 3 || pushSecond.deliveredCount !== 3
+    || pushSecond.readBy.length !== 3) {
+    fail('The push carries exact counts and the newest readers: ' + JSON.stringify(pushSecond));
+  }
+  const pushFromB = wsB.sent.find((m) => m.type === 'ROOM_RECEIPTS_UPDATED' && m.roomMessageId === fromB.roomMessageId);
+  if (!pushFromB || pushFromB.readCount !== 1) fail('Every sender gets the pushes for its own messages: ' + JSON.stringify(wsB.sent));
+  if ((await roomReceipts.flush()) !== 0) fail('Nothing is pushed twice');
+  console.log('PASS: Senders get one coalesced ROOM_RECEIPTS_UPDATED per changed message');
+
+  // ─── Case 4: receipts endpoint and history ───
+  const notSender = await getReceipts('rcpt-b', chatId, first.roomMessageId);
+  if (notSender.status !== 403 || notSender.body?.code !== 'FORBIDDEN') fail('Only the sender sees receipts: ' + JSON.stringify(notSender.body));
+  const outsiderHttp = await getReceipts('rcpt-e', chatId, first.roomMessageId);
+  if (outsiderHttp.status !== 403 || outsiderHttp.body?.code !== 'CHAT_ACCESS_DENIED') fail('Outsiders are denied: ' + JSON.stringify(outsiderHttp.body));
+  const wrongChat = await getReceipts('rcpt-a', 'room:rcpt-other', first.roomMessageId);
+  if (wrongChat.status !== 403 && wrongChat.status !== 404) fail('The message must belong to the chat: ' + JSON.stringify(wrongChat.body));
+  const originalListed = RECEIPTS.maxListed;
+  RECEIPTS.maxListed = 1;
+  const bounded = await getReceipts('rcpt-a', chatId, `rm_${first.roomMessageId}_rcpt-a`);
+  RECEIPTS.maxListed = originalListed;
+  const r1 = bounded.body?.data?.receipts;
+  if (bounded.status !== 200 || r1.roomMessageId !== first.roomMessageId || r1.readCount !== 2 || r1.deliveredCount !== 2
+    || r1.readBy.length !== 1 || r1.maxListed !== 1 || r1.deliveredTo.length !== 0) {
+    fail('Lists are capped while counts stay exact: ' + JSON.stringify(bounded.body));
+  }
+  if (r1.readBy[0].userId !== 'rcpt-c') fail('Readers are listed most recent first: ' + JSON.stringify(r1.readBy));
+  const history = await historyService.getHistory('rcpt-a', chatId, { limit: 10 });
+  const summary = history.messages.find((m) => m.roomMessageId === second.roomMessageId)?.deliverySummary;
+  if (!summary || summary.readCount !== 3 || summary.readBy.length !== 3) fail('History summaries carry the read count: ' + JSON.stringify(summary));
+  console.log('PASS: Receipts are sender-only, bounded lists with exact counts, and in history');
+
+  roomReceipts.reset();
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+function createMockSocketFor(userId) {
+  const ws = createMockSocket();
+  connectionManager.register(userId, ws);
+  return ws;
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
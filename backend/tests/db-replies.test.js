@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Reply-to references via db adapter + message.service.resolveReplyTarget + history snippets.
+ * Run with: node -r dotenv/config tests/db-replies.test.js
+ *
+ * Verifies:
+ * - A reply may only reference a message in the same chat (unknown / other chat rejected).
+ * - Room replies normalize the parent to the canonical roomMessageId.
+ * - replyToMessageId is persisted; history snippet carries sender + truncated content.
+ * - A deleted parent yields a tombstone snippet.
+ * - Replay carries the same snippets (parents of the batch fetched together).
+ */
+
+const path = require('path');
+const { fail, requireDatabase } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const { attachReplySnippets } = require(path.join(backendRoot, 'services/history.service'));
+const replayService = require(path.join(backendRoot, 'services/replay.service'));
+const { REPLIES } = require(path.join(backendRoot, 'config/constants'));
+
+async function run() {
+  await dbAdapter.clearStore();
+
+  const dmChat = 'direct:user-a:user-b';
+  const longContent = 'x'.repeat(REPLIES.snippetMaxLength + 50);
+  await dbAdapter.persistMessage({
+    messageId: 'reply-parent-1',
+    senderId: 'user-a',
+    recipientId: 'user-b',
+    content: longContent,
+    timestamp: Date.now(),
+    state: 'sent',
+    messageType: 'direct',
+    chatId: dmChat,
+  });
+
+  // ─── Case 1: same-chat validation ───
+  const ok = await messageService.resolveReplyTarget('reply-parent-1', dmChat);
+  if (!ok.ok || ok.replyToMessageId !== 'reply-parent-1') {
+    fail('Reply to a message in the same DM must resolve: ' + JSON.stringify(ok));
+  }
+  const otherChat = await messageService.resolveReplyTarget('reply-parent-1', 'direct:user-a:user-c');
+  if (otherChat.ok || otherChat.code !== 'INVALID_PAYLOAD') {
+    fail('Reply to a message from another chat must be rejected');
+  }
+  const missing = await messageService.resolveReplyTarget('reply-missing', dmChat);
+  if (missing.ok) fail('Reply to an unknown message must be rejected');
+  const none = await messageService.resolveReplyTarget(undefined, dmChat);
+  if (!none.ok || none.replyToMessageId !== null) fail('No replyToMessageId must resolve to null');
+  console.log('PASS: replyToMessageId validated against the same chat');
+
+  // ─── Case 2: room per-recipient id normalizes to roomMessageId ───
+  const base = { senderId: 'user-a', content: 'room parent', timestamp: Date.now(), state: 'sent', messageType: 'room', roomId: 'room-1', roomMessageId: 'rm-parent-1', chatId: 'room:room-1' };
+  await dbAdapter.persistMessage({ ...base, messageId: 'rm-parent-1', recipientId: 'room-1', clientMessageId: 'rm-parent-1' });
+  await dbAdapter.persistMessage({ ...base, messageId: 'rm_rm-parent-1_user-b', recipientId: 'user-b' });
+  const roomReply = await messageService.resolveReplyTarget('rm_rm-parent-1_user-b', 'room:room-1');
+  if (!roomReply.ok || roomReply.replyToMessageId !== 'rm-parent-1') {
+    fail('Room reply must point at canonical roomMessageId: ' + JSON.stringify(roomReply));
+  }
+  console.log('PASS: Room reply parent normalized to roomMessageId');
+
+  // ─── Case 3: persisted reference + snippet, then tombstone ───
+  await dbAdapter.persistMessage({
+    messageId: 'reply-child-1',
+    senderId: 'user-b',
+    recipientId: 'user-a',
+    content: 'answer',
+    timestamp: Date.now(),
+    state: 'sent',
+    messageType: 'direct',
+    chatId: dmChat,
+    replyToMessageId: ok.replyToMessageId,
+  });
+  const child = await dbAdapter.getMessage('reply-child-1');
+  if (!child || child.replyToMessageId !== 'reply-parent-1') fail('replyToMessageId must be persisted');
+  const [withSnippet] = await attachReplySnippets([child]);
+  const snippet = withSnippet.replyTo;
+  if (!snippet || snippet.senderId !== 'user-a' || snippet.deleted !== false || snippet.content.length !== REPLIES.snippetMaxLength + 1) {
+    fail('Snippet must carry sender and truncated content: ' + JSON.stringify(snippet));
+  }
+  console.log('PASS: History snippet carries sender and truncated content');
+
+  await dbAdapter.softDeleteMessage('reply-parent-1', 'user-a');
+  const [tomb] = await attachReplySnippets([child]);
+  if (!tomb.replyTo || tomb.replyTo.deleted !== true || tomb.replyTo.content !== null) {
+    fail('Deleted parent must yield tombstone: ' + JSON.stringify(tomb.replyTo));
+  }
+  const deletedParent = await messageService.resolveReplyTarget('reply-parent-1', dmChat);
+  if (deletedParent.ok) fail('Reply to a deleted message must be rejected');
+  console.log('PASS: Deleted parent yields tombstone snippet');
+
+  // ─── Case 4: replay snippets ───
+  await dbAdapter.persistMessage({ messageId: 'reply-parent-2', senderId: 'user-b', recipientId: 'user-a', content: 'second parent', timestamp: Date.now(), state: 'sent', messageType: 'direct', chatId: dmChat });
+  await dbAdapter.persistMessage({ messageId: 'reply-child-2', senderId: 'user-b', recipientId: 'user-a', content: 'again', timestamp: Date.now(), state: 'sent', messageType: 'direct', chatId: dmChat, replyToMessageId: 'reply-parent-2' });
+  const replay = await replayService.replayMessages('user-a', null);
+  const replayedChild = replay.messages.find((m) => m.messageId === 'reply-child-1');
+  const replayedChild2 = replay.messages.find((m) => m.messageId === 'reply-child-2');
+  if (!replayedChild || !replayedChild.replyTo || replayedChild.replyTo.deleted !== true) {
+    fail('Replay must carry the tombstone snippet: ' + JSON.stringify(replayedChild));
+  }
+  if (!replayedChild2 || !replayedChild2.replyTo || replayedChild2.replyTo.content !== 'second parent' || replayedChild2.replyTo.senderId !== 'user-b') {
+    fail('Replay must carry the parent snippet: ' + JSON.stringify(replayedChild2));
+  }
+  console.log('PASS: Replay carries reply snippets');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
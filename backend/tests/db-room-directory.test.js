@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Room visibility and the public room directory: ROOM_UPDATE_META visibility / topic, GET /api/rooms/directory,
+ * POST /api/rooms/:roomId/join, unjoined public rooms in GET /api/search.
+ * Run with: node -r dotenv/config tests/db-room-directory.test.js
+ *
+ * Verifies:
+ * - Rooms are unlisted by default; owners and admins set visibility and topic, anything else is rejected.
+ * - The directory lists public rooms only, matches name or topic, ranks by recent activity then size, and pages.
+ * - Public and unlisted rooms are joined in one click (members notified), ROOM_JOIN by id included; rooms set to
+ *   private are 404, over HTTP and ROOM_JOIN alike, until an admin adds the user.
+ * - Global search appends public rooms the user has not joined, labelled joined: false.
+ */
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket, call } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const roomHandlers = require(path.join(backendRoot, 'websocket/handlers/room'));
+const roomsController = require(path.join(backendRoot, 'http/controllers/rooms.controller'));
+const searchController = require(path.join(backendRoot, 'http/controllers/search.controller'));
+const userLookup = require(path.join(backendRoot, 'users/user.service'));
+const roomStore = require(path.join(backendRoot, 'storage/room.mongo'));
+
+// Search reads the user's own rooms and contacts from Mongo; answer from memory instead
+userLookup.searchUsers = async () => [];
+roomStore.listRoomsForUser = async (userId) => roomManager.getAllRooms()
+  .filter((r) => roomManager.isRoomMember(r.roomId, userId))
+  .map((r) => ({ id: r.roomId, meta: { name: r.name, thumbnailUrl: r.thumbnailUrl ?? null } }));
+
+async function sendRoomMessages(roomId, senderId, count, timestamp) {
+  for (let i = 0; i < count; i++) {
+    const roomMessageId = `${roomId}-msg-${timestamp}-${i}`;
+    await dbAdapter.persistMessage({
+      messageId: roomMessageId,
+      roomMessageId,
+      roomId,
+      chatId: `room:${roomId}`,
+      senderId,
+      recipientId: senderId,
+      content: `hello ${i}`,
+      timestamp,
+      state: 'sent',
+    });
+  }
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  const wsOwner = createMockSocket();
+  const wsMember = createMockSocket();
+  connectionManager.register('dir-owner', wsOwner);
+  connectionManager.register('dir-member', wsMember);
+
+  // ─── Case 1: visibility and topic ───
+  await roomManager.createRoom('dir-hiking', 'dir-owner', { name: 'Hiking club' });
+  await roomManager.joinRoom('dir-hiking', 'dir-member');
+  if (roomManager.getVisibility('dir-hiking') !== 'unlisted' || roomManager.getVisibility('dir-missing') !== null) {
+    fail('Rooms are unlisted by default: ' + roomManager.getVisibility('dir-hiking'));
+  }
+  const invalid = await roomHandlers.handleRoomUpdateMeta(wsOwner, { roomId: 'dir-hiking', patch: { visibility: 'secret' } });
+  if (invalid?.code !== 'VALIDATION_ERROR' || roomManager.getVisibility('dir-hiking') !== 'unlisted') fail('Unknown visibilities are rejected: ' + JSON.stringify(invalid));
+  const byMember = await roomManager.updateRoomMeta('dir-hiking', 'dir-member', { visibility: 'public' });
+  if (byMember.success || roomManager.getVisibility('dir-hiking') !== 'unlisted') fail('Members cannot change visibility: ' + JSON.stringify(byMember));
+  await roomManager.updateRoomMeta('dir-hiking', 'dir-owner', { visibility: 'public', topic: '  Weekend trails and gear  ' }).catch(() => {});
+  const info = roomManager.getRoomInfo('dir-hiking');
+  if (info.visibility !== 'public' || info.topic !== 'Weekend trails and gear') fail('Owners set visibility and topic: ' + JSON.stringify(info));
+  console.log('PASS: Rooms are unlisted by default and owners set visibility and topic');
+
+  // ─── Case 2: directory listing, search, ranking, pagination ───
+  await roomManager.createRoom('dir-chess', 'dir-owner', { name: 'Chess', visibility: 'public' });
+  await roomManager.createRoom('dir-books', 'dir-owner', { name: 'Book club', topic: 'Monthly reads', visibility: 'public' });
+  await roomManager.joinRoom('dir-books', 'dir-member');
+  await roomManager.joinRoom('dir-books', 'dir-reader');
+  await roomManager.createRoom('dir-quiet', 'dir-owner', { name: 'Quiet unlisted', visibility: 'unlisted' });
+  await roomManager.createRoom('dir-secret', 'dir-owner', { name: 'Secret club', visibility: 'private' });
+  await roomManager.createRoom('dir-plain', 'dir-owner', { name: 'Plain room' });
+  await sendRoomMessages('dir-chess', 'dir-owner', 3, Date.now() - 1000);
+  await sendRoomMessages('dir-books', 'dir-owner', 5, Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const all = await call(roomsController.getDirectory, 'dir-member');
+  const ids = (all.body?.data?.rooms || []).map((r) => r.roomId);
+  if (all.status !== 200 || ids.join() !== 'dir-chess,dir-books,dir-hiking' || all.body.data.total !== 3 || all.body.data.nextCursor !== null) {
+    fail('Public rooms only, most recently active first, then by size: ' + JSON.stringify(all.body));
+  }
+  const [chess, books] = all.body.data.rooms;
+  if (chess.recentMessageCount !== 3 || chess.joined !== false || books.recentMessageCount !== 0 || books.memberCount !== 3 || books.joined !== true || !books.lastActivityAt) {
+    fail('Entries carry activity, member count and joined: ' + JSON.stringify(all.body.data.rooms));
+  }
+  const byTopic = await call(roomsController.getDirectory, 'dir-member', { query: { q: 'READS' } });
+  if (byTopic.body?.data?.rooms?.map((r) => r.roomId).join() !== 'dir-books') fail('q matches topics case-insensitively: ' + JSON.stringify(byTopic.body));
+  const page1 = await call(roomsController.getDirectory, 'dir-member', { query: { limit: '2' } });
+  const page2 = await call(roomsController.getDirectory, 'dir-member', { query: { limit: '2', cursor: page1.body?.data?.nextCursor } });
+  if (page1.body?.data?.nextCursor !== '2' || page2.body?.data?.rooms?.map((r) => r.roomId).join() !== 'dir-hiking' || page2.body.data.nextCursor !== null) {
+    fail('The directory pages with nextCursor: ' + JSON.stringify([page1.body, page2.body]));
+  }
+  const badLimit = await call(roomsController.getDirectory, 'dir-member', { query: { limit: '500' } });
+  if (badLimit.status !== 400 || badLimit.body?.code !== 'INVALID_PAYLOAD') fail('Oversized pages are rejected: ' + JSON.stringify(badLimit.body));
+  const anonymous = await call(roomsController.getDirectory, null);
+  if (anonymous.status !== 401) fail('The directory needs a session: ' + JSON.stringify(anonymous.body));
+  console.log('PASS: The directory lists, searches, ranks and pages public rooms');
+
+  // ─── Case 3: one-click join ───
+  const joined = await call(roomsController.joinRoom, 'dir-member', { params: { roomId: 'dir-chess' } });
+  if (joined.status !== 200 || joined.body?.data?.alreadyMember !== false || !roomManager.isRoomMember('dir-chess', 'dir-member')) {
+    fail('Public rooms are joined in one click: ' + JSON.stringify(joined.body));
+  }
+  await sleep(50);
+  if (!wsOwner.sent.some((m) => m.type === 'ROOM_MEMBER_JOINED' && m.roomId === 'dir-chess' && m.userId === 'dir-member')) fail('Members are told about the join');
+  if (!wsMember.sent.some((m) => m.type === 'ROOM_MEMBERS_UPDATED' && m.roomId === 'dir-chess' && m.members.includes('dir-member'))) fail('The joiner gets the member list');
+  const again = await call(roomsController.joinRoom, 'dir-member', { params: { roomId: 'dir-chess' } });
+  if (again.body?.data?.alreadyMember !== true) fail('Joining twice is a no-op: ' + JSON.stringify(again.body));
+  const unlisted = await call(roomsController.joinRoom, 'dir-member', { params: { roomId: 'dir-quiet' } });
+  if (unlisted.status !== 200 || !roomManager.isRoomMember('dir-quiet', 'dir-member')) fail('Unlisted rooms are joinable by id: ' + JSON.stringify(unlisted.body));
+  const plain = await roomHandlers.handleRoomJoin(wsMember, { roomId: 'dir-plain' });
+  if (plain?.type !== 'ROOM_JOIN_RESPONSE' || !roomManager.isRoomMember('dir-plain', 'dir-member')) {
+    fail('ROOM_JOIN by id opens rooms without a visibility setting: ' + JSON.stringify(plain));
+  }
+  const secret = await call(roomsController.joinRoom, 'dir-member', { params: { roomId: 'dir-secret' } });
+  const missing = await call(roomsController.joinRoom, 'dir-member', { params: { roomId: 'dir-nowhere' } });
+  if (secret.status !== 404 || secret.body?.code !== 'NOT_FOUND' || missing.status !== 404 || roomManager.isRoomMember('dir-secret', 'dir-member') || roomManager.getRoomInfo('dir-nowhere')) {
+    fail('Private and missing rooms are 404: ' + JSON.stringify([secret.body, missing.body]));
+  }
+  const wsSecret = await roomHandlers.handleRoomJoin(wsMember, { roomId: 'dir-secret' });
+  if (wsSecret?.type !== 'ERROR' || wsSecret.code !== 'NOT_FOUND' || roomManager.isRoomMember('dir-secret', 'dir-member')) {
+    fail('ROOM_JOIN does not open private rooms to non-members: ' + JSON.stringify(wsSecret));
+  }
+  await roomHandlers.handleRoomAddMembers(wsOwner, { roomId: 'dir-secret', userIds: ['dir-member'] });
+  const rejoin = await roomHandlers.handleRoomJoin(wsMember, { roomId: 'dir-secret' });
+  if (rejoin?.type !== 'ROOM_JOIN_RESPONSE' || rejoin.alreadyMember !== true) fail('Added members still ROOM_JOIN private rooms: ' + JSON.stringify(rejoin));
+  console.log('PASS: Public and unlisted rooms are joined in one click, private rooms only by adding or invite');
+
+  // ─── Case 4: global search ───
+  const search = await call(searchController.getSearch, 'dir-reader', { query: { q: 'club' } });
+  const groups = search.body?.data?.groups || [];
+  const labels = groups.map((g) => `${g.id}:${g.joined}`).join();
+  if (search.status !== 200 || labels !== 'dir-books:true,dir-hiking:false') fail('Search appends unjoined public rooms labelled joined: false: ' + JSON.stringify(groups));
+  const hiking = groups.find((g) => g.id === 'dir-hiking');
+  if (hiking.memberCount !== 2 || hiking.topic !== 'Weekend trails and gear') fail('Public results carry topic and member count: ' + JSON.stringify(hiking));
+  console.log('PASS: Global search includes public rooms the user has not joined');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Scheduled ("send later") messages: message.service schedule/edit/cancel + scheduledDelivery.service loop.
+ * Run with: node -r dotenv/config tests/db-scheduled.test.js
+ *
+ * Verifies:
+ * - Only chats the sender belongs to, only future sendAt; list is soonest first; edit/cancel only own pending items.
+ * - At sendAt the scheduler sends through the normal DM / room paths (MESSAGE_RECEIVE / ROOM_MESSAGE) under the
+ *   reserved messageId and pushes SCHEDULED_MESSAGE_UPDATED (sent) to the sender.
+ * - Claims are exclusive per instance; an expired lease (instance died mid-send) is re-claimed by another
+ *   instance and the message is still persisted once.
+ * - A sender who left the room gets a FAILED item (FORBIDDEN) instead of a message.
+ */
+
+process.env.SCHEDULED_LEASE_MS = '100';
+
+const path = require('path');
+const { fail, requireDatabase, sleep, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const scheduledDelivery = require(path.join(backendRoot, 'websocket/services/scheduledDelivery.service'));
+const { handleScheduledCreate } = require(path.join(backendRoot, 'websocket/handlers/scheduledMessage'));
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('sched-room', 'sched-a');
+  await roomManager.joinRoom('sched-room', 'sched-b');
+  await roomManager.joinRoom('sched-room', 'sched-leaver');
+  const dmChatId = 'direct:sched-a:sched-b';
+
+  // ─── Case 1: validation, list order, edit, cancel ───
+  const foreign = await messageService.scheduleMessage('sched-a', { chatId: 'direct:sched-b:sched-c', content: 'x', sendAt: Date.now() + 60000 });
+  if (foreign.ok || foreign.code !== 'FORBIDDEN') fail('Scheduling into a foreign chat must be rejected: ' + JSON.stringify(foreign));
+  const past = await messageService.scheduleMessage('sched-a', { chatId: dmChatId, content: 'x', sendAt: Date.now() - 1000 });
+  if (past.ok || past.code !== 'INVALID_PAYLOAD') fail('sendAt in the past must be rejected');
+  const later = await messageService.scheduleMessage('sched-a', { chatId: dmChatId, content: 'later', sendAt: Date.now() + 120000 });
+  const sooner = await messageService.scheduleMessage('sched-a', { chatId: dmChatId, content: 'sooner', sendAt: new Date(Date.now() + 60000).toISOString() });
+  if (!later.ok || !sooner.ok) fail('Valid schedules must succeed');
+  const listed = await messageService.listScheduledMessages('sched-a', dmChatId);
+  if (listed.map((s) => s.content).join(',') !== 'sooner,later') fail('List must be soonest first: ' + JSON.stringify(listed));
+  const foreignEdit = await messageService.updateScheduledMessage('sched-b', later.scheduled.scheduledId, { content: 'hijack' });
+  if (foreignEdit.ok || foreignEdit.code !== 'NOT_FOUND') fail('Only the sender may edit');
+  const edited = await messageService.updateScheduledMessage('sched-a', later.scheduled.scheduledId, { content: 'edited' });
+  if (!edited.ok || edited.scheduled.content !== 'edited') fail('Sender must be able to edit a pending item');
+  const cancelled = await messageService.cancelScheduledMessage('sched-a', sooner.scheduled.scheduledId);
+  const cancelledAgain = await messageService.cancelScheduledMessage('sched-a', sooner.scheduled.scheduledId);
+  if (!cancelled.ok || cancelledAgain.code !== 'NOT_FOUND') fail('Cancel must remove the item once');
+  await messageService.cancelScheduledMessage('sched-a', later.scheduled.scheduledId);
+  console.log('PASS: Validation, soonest-first list, own-item edit and cancel');
+
+  // ─── Case 2: due DM goes through the normal send path ───
+  const senderWs = createMockSocket();
+  const recipientWs = createMockSocket();
+  connectionManager.register('sched-a', senderWs);
+  connectionManager.register('sched-b', recipientWs);
+  const created = await handleScheduledCreate(senderWs, { chatId: dmChatId, content: 'hello later', sendAt: Date.now() + 30 });
+  if (!created.success || created.scheduled.status !== 'pending') fail('WS create must return the pending item: ' + JSON.stringify(created));
+  const notYet = await scheduledDelivery.runOnce({ ownerId: 'inst-a' });
+  if (notYet !== 0) fail('Items must not be sent before sendAt');
+  await sleep(50);
+  await scheduledDelivery.runOnce({ ownerId: 'inst-a' });
+  await sleep(20);
+  const reserved = (await dbAdapter.getScheduledMessage(created.scheduled.scheduledId)).messageId;
+  const receive = recipientWs.sent.find((m) => m.type === 'MESSAGE_RECEIVE' && m.content === 'hello later');
+  if (!receive || receive.messageId !== reserved || receive.senderId !== 'sched-a') fail('Recipient must get MESSAGE_RECEIVE under the reserved id: ' + JSON.stringify(receive));
+  const sentUpdate = senderWs.sent.find((m) => m.type === 'SCHEDULED_MESSAGE_UPDATED' && m.scheduled.status === 'sent');
+  if (!sentUpdate || sentUpdate.scheduled.messageId !== reserved) fail('Sender must be told the item was sent');
+  const persisted = await dbAdapter.getMessage(reserved);
+  if (!persisted || persisted.chatId !== dmChatId || persisted.content !== 'hello later') fail('Scheduled DM must be persisted');
+  console.log('PASS: Due DM sent via persist-and-deliver path with reserved messageId');
+
+  // ─── Case 3: exclusive claims, expired lease re-claimed, persisted once ───
+  const crash = await messageService.scheduleMessage('sched-a', { chatId: 'room:sched-room', content: 'after crash', sendAt: Date.now() + 20 });
+  await sleep(40);
+  const claimA = await messageService.claimDueScheduledMessage('inst-a');
+  const claimB = await messageService.claimDueScheduledMessage('inst-b');
+  if (!claimA || claimA.scheduledId !== crash.scheduled.scheduledId || claimB) fail('A due item must be claimed by exactly one instance');
+  // inst-a persists the canonical row and dies before completing
+  await messageService.persistRoomMessageCanonical({ roomId: 'sched-room', roomMessageId: claimA.messageId, senderId: 'sched-a', content: 'after crash', timestamp: Date.now() });
+  if (await messageService.completeScheduledMessage(claimA.scheduledId, 'inst-b', { status: 'sent' })) fail('Only the lease owner may complete');
+  await sleep(120);
+  await scheduledDelivery.runOnce({ ownerId: 'inst-b' });
+  const done = await dbAdapter.getScheduledMessage(crash.scheduled.scheduledId);
+  if (done.status !== 'sent' || done.attempts !== 2) fail('Expired lease must be re-claimed and sent: ' + JSON.stringify(done));
+  const roomRows = (await dbAdapter.getAllHistory('room:sched-room')).filter((m) => m.content === 'after crash' && m.messageId === m.roomMessageId);
+  if (roomRows.length !== 1) fail('Re-sent room message must be persisted once: ' + roomRows.length);
+  if (!recipientWs.sent.some((m) => m.type === 'ROOM_MESSAGE' && m.roomMessageId === claimA.messageId)) fail('Room members must get ROOM_MESSAGE');
+  console.log('PASS: Claims are exclusive; expired lease re-sent once under the reserved roomMessageId');
+
+  // ─── Case 4: membership lost before sendAt ───
+  const gone = await messageService.scheduleMessage('sched-leaver', { chatId: 'room:sched-room', content: 'never', sendAt: Date.now() + 20 });
+  // Membership is removed in memory before the room store write (which needs Mongo in file-store runs)
+  await roomManager.leaveRoom('sched-room', 'sched-leaver').catch(() => {});
+  await sleep(40);
+  await scheduledDelivery.runOnce({ ownerId: 'inst-a' });
+  const failed = await dbAdapter.getScheduledMessage(gone.scheduled.scheduledId);
+  if (failed.status !== 'failed' || failed.error !== 'FORBIDDEN') fail('Sender outside the room must get a FAILED item: ' + JSON.stringify(failed));
+  if ((await dbAdapter.getAllHistory('room:sched-room')).some((m) => m.content === 'never')) fail('No message may be sent for a failed item');
+  console.log('PASS: Lost membership fails the item without sending');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Room threads via db adapter + message.service + history.service + roomManager.getThreadAudience.
+ * Run with: node -r dotenv/config tests/db-threads.test.js
+ *
+ * Verifies:
+ * - threadRootId must be a live top-level message of the same room (no DM threads, no nesting).
+ * - A thread reply bumps the root summary (replyCount, lastReplyAt, participantIds) on every root row.
+ * - Room history hides thread replies unless alsoSendToRoom; the thread endpoint pages them.
+ * - Thread audience is root sender + repliers still in the room; unread counts use per-thread cursors.
+ */
+
+const path = require('path');
+const { fail, requireDatabase } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const messageService = require(path.join(backendRoot, 'services/message.service'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const { getThreadParticipantIds } = require(path.join(backendRoot, 'models/Message.model'));
+
+async function persistRoomRows({ roomMessageId, senderId, content, timestamp, threadRootId, alsoSendToRoom }, members) {
+  const root = await messageService.persistRoomMessageCanonical({
+    roomId: 'thread-room', roomMessageId, senderId, content, timestamp, threadRootId, alsoSendToRoom,
+  });
+  for (const memberId of members) {
+    await messageService.persistRoomMessageForRecipient({
+      messageId: `rm_${roomMessageId}_${memberId}`,
+      senderId, recipientId: memberId, content, timestamp,
+      roomId: 'thread-room', roomMessageId, messageType: 'room', threadRootId, alsoSendToRoom,
+    });
+  }
+  return root;
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('thread-room', 'user-a');
+  await roomManager.joinRoom('thread-room', 'user-b');
+  await roomManager.joinRoom('thread-room', 'user-c');
+  const chatId = 'room:thread-room';
+  const members = ['user-a', 'user-b', 'user-c'];
+  const t0 = Date.now();
+
+  await persistRoomRows({ roomMessageId: 'rm-root-1', senderId: 'user-a', content: 'root', timestamp: t0 }, members);
+
+  // ─── Case 1: root validation ───
+  const ok = await messageService.resolveThreadRoot('rm_rm-root-1_user-b', chatId);
+  if (!ok.ok || ok.threadRootId !== 'rm-root-1') fail('Per-recipient row must resolve to canonical root: ' + JSON.stringify(ok));
+  const dm = await messageService.resolveThreadRoot('rm-root-1', 'direct:user-a:user-b');
+  if (dm.ok || dm.code !== 'INVALID_PAYLOAD') fail('Threads must be rejected outside rooms');
+  const missing = await messageService.resolveThreadRoot('rm-missing', chatId);
+  if (missing.ok) fail('Unknown thread root must be rejected');
+  console.log('PASS: threadRootId validated against the room');
+
+  // ─── Case 2: reply bumps the root summary on every row ───
+  const updatedRoot = await persistRoomRows(
+    { roomMessageId: 'rm-reply-1', senderId: 'user-b', content: 'in thread', timestamp: t0 + 10, threadRootId: 'rm-root-1' },
+    ['user-a', 'user-b']
+  );
+  if (!updatedRoot || !updatedRoot.thread || updatedRoot.thread.replyCount !== 1 || updatedRoot.thread.lastReplyAt !== t0 + 10) {
+    fail('Root summary must be bumped: ' + JSON.stringify(updatedRoot && updatedRoot.thread));
+  }
+  const perRecipient = await dbAdapter.getMessage('rm_rm-root-1_user-c');
+  const participants = getThreadParticipantIds(perRecipient);
+  if (participants.length !== 2 || !participants.includes('user-a') || !participants.includes('user-b')) {
+    fail('Per-recipient root row must carry thread participants: ' + JSON.stringify(participants));
+  }
+  const nested = await messageService.resolveThreadRoot('rm-reply-1', chatId);
+  if (nested.ok) fail('A thread reply cannot be a thread root');
+  console.log('PASS: Thread reply bumps summary on canonical and per-recipient root rows');
+
+  // ─── Case 3: timeline hides replies unless alsoSendToRoom; thread endpoint pages them ───
+  await persistRoomRows(
+    { roomMessageId: 'rm-reply-2', senderId: 'user-a', content: 'also in room', timestamp: t0 + 20, threadRootId: 'rm-root-1', alsoSendToRoom: true },
+    members
+  );
+  const timeline = await historyService.getHistory('user-c', chatId, { limit: 50 });
+  const timelineIds = timeline.messages.map((m) => m.roomMessageId);
+  if (timelineIds.includes('rm-reply-1') || !timelineIds.includes('rm-reply-2') || !timelineIds.includes('rm-root-1')) {
+    fail('Timeline must hide thread-only replies: ' + JSON.stringify(timelineIds));
+  }
+  const rootInTimeline = timeline.messages.find((m) => m.roomMessageId === 'rm-root-1');
+  if (!rootInTimeline.thread || rootInTimeline.thread.replyCount !== 2) {
+    fail('Root in timeline must carry "N replies" summary: ' + JSON.stringify(rootInTimeline.thread));
+  }
+  const page1 = await historyService.getThreadHistory('user-c', chatId, 'rm-root-1', { limit: 1 });
+  if (!page1.root || page1.messages.length !== 1 || page1.messages[0].roomMessageId !== 'rm-reply-2' || !page1.hasMore) {
+    fail('Thread page 1 must be newest reply with hasMore: ' + JSON.stringify(page1.messages));
+  }
+  const page2 = await historyService.getThreadHistory('user-c', chatId, 'rm-root-1', { limit: 1, beforeId: page1.nextCursor });
+  if (page2.messages.length !== 1 || page2.messages[0].roomMessageId !== 'rm-reply-1' || page2.hasMore) {
+    fail('Thread page 2 must be the older reply: ' + JSON.stringify(page2.messages));
+  }
+  const outsider = await historyService.getThreadHistory('user-z', chatId, 'rm-root-1', { limit: 10 });
+  if (outsider.root) fail('Non-members must not read threads');
+  console.log('PASS: Timeline hides thread-only replies; thread history paginates');
+
+  // ─── Case 4: audience + per-thread unread ───
+  const audience = roomManager.getThreadAudience('thread-room', getThreadParticipantIds(await dbAdapter.getMessage('rm-root-1')));
+  if (audience.length !== 2 || audience.includes('user-c')) fail('Thread audience must be participants only: ' + JSON.stringify(audience));
+  if (roomManager.getThreadAudience('thread-room', ['user-a'], true).length !== 3) fail('alsoSendToRoom must reach every member');
+  const unreadB = await historyService.getThreadUnreadCounts('user-b', chatId);
+  if (unreadB.length !== 1 || unreadB[0].unreadCount !== 1) fail('user-b must have 1 unread reply: ' + JSON.stringify(unreadB));
+  const unreadAfterRead = await historyService.getThreadUnreadCounts('user-b', chatId, async () => ({ 'rm-root-1': { lastReadAt: t0 + 20 } }));
+  if (unreadAfterRead[0].unreadCount !== 0) fail('Thread cursor must clear unread count');
+  if ((await historyService.getThreadUnreadCounts('user-c', chatId)).length !== 0) fail('Non-participants follow no threads');
+  console.log('PASS: Thread audience and per-thread unread counts');
+
+  await dbAdapter.clearStore();
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * Voice notes: utils/audioContainer + voiceService analysis, voice uploads, contentType 'voice' messages and
+ * the MESSAGE_LISTENED ack.
+ * Run with: node -r dotenv/config tests/db-voice.test.js
+ *
+ * Verifies:
+ * - Opus in Ogg and in WebM (as MediaRecorder writes it: unknown-size Segment/Cluster) and PCM WAV are measured
+ *   the same way; the waveform follows loudness; other formats, video tracks and over-long clips are rejected.
+ * - Voice uploads are stored as audio attachments with duration and waveform; only voice messages may carry them.
+ * - DM and room voice messages keep contentType 'voice' (also when forwarded) with the voice info in history.
+ * - Recipients (not senders or outsiders) acknowledge playback once; the sender gets MESSAGE_LISTENED.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const OpusScript = require('opusscript');
+const { fail, requireDatabase, sleep, createMockSocket } = require('./helpers/dbTest');
+const backendRoot = path.resolve(__dirname, '..');
+const dbAdapter = require(path.join(backendRoot, 'config/db'));
+const historyService = require(path.join(backendRoot, 'services/history.service'));
+const attachmentService = require(path.join(backendRoot, 'services/attachment.service'));
+const { analyzeVoiceNote } = require(path.join(backendRoot, 'services/voice.service'));
+const roomManager = require(path.join(backendRoot, 'websocket/state/roomManager'));
+const { blobStore } = require(path.join(backendRoot, 'storage/blob.store'));
+const connectionManager = require(path.join(backendRoot, 'websocket/connection/connectionManager'));
+const { handleMessageSend } = require(path.join(backendRoot, 'websocket/handlers/sendMessage'));
+const { handleRoomMessage } = require(path.join(backendRoot, 'websocket/handlers/room'));
+const { handleMessageForward } = require(path.join(backendRoot, 'websocket/handlers/messageForward'));
+const { handleMessageListened } = require(path.join(backendRoot, 'websocket/handlers/readAck'));
+const { VOICE } = require(path.join(backendRoot, 'config/constants'));
+
+const TMP_DIR = attachmentService.UPLOAD_TMP_DIR;
+const RATE = 48000;
+const FRAME = 960; // 20 ms
+const PRE_SKIP = 312;
+
+/** Mono 16-bit PCM: `quietMs` of near-silence, then `loudMs` of a 440 Hz tone. */
+function pcmClip(rate, quietMs, loudMs) {
+  const quiet = Math.round((rate * quietMs) / 1000);
+  const total = quiet + Math.round((rate * loudMs) / 1000);
+  const pcm = Buffer.alloc(total * 2);
+  for (let i = 0; i < total; i++) {
+    const amplitude = i < quiet ? 30 : 12000;
+    pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 440 * i) / rate) * amplitude), i * 2);
+  }
+  return pcm;
+}
+
+function opusPackets(pcm) {
+  const encoder = new OpusScript(RATE, 1, OpusScript.Application.VOIP);
+  const packets = [];
+  for (let pos = 0; pos + FRAME * 2 <= pcm.length; pos += FRAME * 2) {
+    packets.push(Buffer.from(encoder.encode(pcm.subarray(pos, pos + FRAME * 2), FRAME)));
+  }
+  encoder.delete();
+  return packets;
+}
+
+function opusHead() {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'latin1');
+  head[8] = 1;
+  head[9] = 1;
+  head.writeUInt16LE(PRE_SKIP, 10);
+  head.writeUInt32LE(RATE, 12);
+  return head;
+}
+
+function oggPage(packets, serial, sequence, headerType) {
+  const lacing = [];
+  for (const p of packets) {
+    for (let n = p.length; n >= 0; n -= 255) lacing.push(Math.min(n, 255));
+  }
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header[5] = headerType;
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = lacing.length;
+  return Buffer.concat([header, Buffer.from(lacing), ...packets]);
+}
+
+/** Ogg Opus (RFC 7845) without CRCs, which the demuxer does not check. */
+function oggOpus(packets, serial = 7) {
+  const pages = [oggPage([opusHead()], serial, 0, 2), oggPage([Buffer.from('OpusTags\0\0\0\0\0\0\0\0', 'latin1')], serial, 1, 0)];
+  for (let i = 0; i < packets.length; i += 50) pages.push(oggPage(packets.slice(i, i + 50), serial, pages.length, 0));
+  return Buffer.concat(pages);
+}
+
+function ebmlId(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Buffer.from(bytes);
+}
+
+function ebml(id, data) {
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  size.writeUIntBE(data.length, 2, 6);
+  return Buffer.concat([ebmlId(id), size, data]);
+}
+
+/** Unknown-size master (what live recorders write for Segment and Cluster). */
+function ebmlOpen(id) {
+  return Buffer.concat([ebmlId(id), Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff])]);
+}
+
+function webmOpus(packets, { trackType = 2, codec = 'A_OPUS' } = {}) {
+  const blocks = packets.map((p, i) => ebml(0xa3, Buffer.concat([Buffer.from([0x81]), Buffer.from([(i * 20) >> 8 & 0xff, (i * 20) & 0xff, 0x80]), p])));
+  return Buffer.concat([
+    ebml(0x1a45dfa3, Buffer.concat([ebml(0x4282, Buffer.from('webm'))])),
+    ebmlOpen(0x18538067),
+    ebml(0x1549a966, ebml(0x2ad7b1, Buffer.from([0x0f, 0x42, 0x40]))),
+    ebml(0x1654ae6b, ebml(0xae, Buffer.concat([
+      ebml(0xd7, Buffer.from([1])),
+      ebml(0x83, Buffer.from([trackType])),
+      ebml(0x86, Buffer.from(codec)),
+      ebml(0x63a2, opusHead()),
+    ]))),
+    ebmlOpen(0x1f43b675),
+    ebml(0xe7, Buffer.from([0])),
+    ...blocks,
+  ]);
+}
+
+function wav(pcm, rate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVEfmt ', 8, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(rate, 24);
+  header.writeUInt32LE(rate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/** Quiet first half, loud second half. */
+function followsLoudness(waveform) {
+  const half = waveform.length / 2;
+  const quiet = Math.max(...waveform.slice(1, half - 1));
+  const loud = Math.min(...waveform.slice(half + 1, -1));
+  return waveform.length === VOICE.waveformBars && quiet < 30 && loud > 80;
+}
+
+async function upload(uploaderId, chatId, buf, originalName, voice = true) {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const tempPath = path.join(TMP_DIR, `test-${crypto.randomBytes(6).toString('hex')}`);
+  fs.writeFileSync(tempPath, buf);
+  const result = await attachmentService.storeUpload(uploaderId, { chatId, tempPath, originalName, size: buf.length, voice });
+  if (fs.existsSync(tempPath)) fail('Temp file must be deleted: ' + originalName);
+  return result;
+}
+
+async function run() {
+  await dbAdapter.clearStore();
+  roomManager.clear();
+  await roomManager.createRoom('voice-room', 'voice-a');
+  await roomManager.joinRoom('voice-room', 'voice-b');
+  const dmChat = 'direct:voice-a:voice-b';
+  const created = [];
+  const packets = opusPackets(pcmClip(RATE, 1000, 1000));
+  const OGG = oggOpus(packets);
+
+  // ─── Case 1: containers and analysis ───
+  const expectedMs = Math.round(((packets.length * FRAME - PRE_SKIP) / RATE) * 1000);
+  const ogg = analyzeVoiceNote(OGG);
+  const webm = analyzeVoiceNote(webmOpus(packets));
+  const pcm = analyzeVoiceNote(wav(pcmClip(16000, 1000, 1000), 16000));
+  if (!ogg.ok || ogg.voice.mime !== 'audio/ogg' || ogg.voice.durationMs !== expectedMs) fail('Ogg Opus is measured from its packets: ' + JSON.stringify(ogg));
+  if (!webm.ok || webm.voice.mime !== 'audio/webm' || webm.voice.durationMs !== expectedMs) fail('WebM Opus with unknown sizes is measured: ' + JSON.stringify(webm));
+  if (!pcm.ok || pcm.voice.mime !== 'audio/wav' || pcm.voice.durationMs !== 2000) fail('WAV is measured from its samples: ' + JSON.stringify(pcm));
+  for (const [label, result] of [['ogg', ogg], ['webm', webm], ['wav', pcm]]) {
+    if (!followsLoudness(result.voice.waveform)) fail(`${label}: waveform must follow loudness: ${result.voice.waveform}`);
+  }
+  if (analyzeVoiceNote(webmOpus(packets, { trackType: 1, codec: 'V_VP8' })).code !== 'INVALID_TYPE') fail('Video WebM is not a voice note');
+  if (analyzeVoiceNote(Buffer.from('ID3\x04\0\0\0\0\0\0not opus at all', 'latin1')).code !== 'INVALID_TYPE') fail('MP3 is not accepted');
+  if (analyzeVoiceNote(oggOpus(packets.slice(0, 5))).code !== 'VOICE_TOO_SHORT') fail('Clips under the minimum are rejected');
+  const originalMax = VOICE.maxDurationMs;
+  VOICE.maxDurationMs = 1000;
+  const tooLong = analyzeVoiceNote(OGG);
+  VOICE.maxDurationMs = originalMax;
+  if (tooLong.code !== 'VOICE_TOO_LONG') fail('Clips over the maximum duration are rejected: ' + JSON.stringify(tooLong));
+  console.log('PASS: Ogg/WebM Opus and WAV voice notes are measured alike; other audio and long clips are rejected');
+
+  // ─── Case 2: voice uploads ───
+  const note = await upload('voice-a', dmChat, OGG, 'recording.ogg');
+  if (!note.ok) fail('Voice upload must succeed: ' + JSON.stringify(note));
+  created.push(note.attachment.attachmentId);
+  const { attachment } = note;
+  if (attachment.category !== 'audio' || attachment.mime !== 'audio/ogg' || attachment.name !== 'voice-message.ogg'
+    || attachment.voice?.durationMs !== expectedMs || attachment.voice.waveform.length !== VOICE.waveformBars) {
+    fail('Voice notes are audio attachments with duration and waveform: ' + JSON.stringify(attachment));
+  }
+  if ((await upload('voice-c', dmChat, OGG, 'x.ogg')).code !== 'FORBIDDEN') fail('Only chat members upload voice notes');
+  if ((await upload('voice-a', dmChat, Buffer.from('%PDF-1.7\n%%EOF\n'), 'x.ogg')).code !== 'INVALID_TYPE') fail('Voice uploads must be audio');
+  const plainAudio = await upload('voice-a', dmChat, OGG, 'song.ogg', false);
+  if (!plainAudio.ok || plainAudio.attachment.voice) fail('The same file uploaded as a file has no voice info');
+  created.push(plainAudio.attachment.attachmentId);
+  console.log('PASS: Voice uploads are stored with their duration and waveform');
+
+  // ─── Case 3: voice messages ───
+  const wsA = createMockSocket();
+  const wsB = createMockSocket();
+  const wsC = createMockSocket();
+  connectionManager.register('voice-a', wsA);
+  connectionManager.register('voice-b', wsB);
+  connectionManager.register('voice-c', wsC);
+  const asFile = await handleMessageSend(wsA, { recipientId: 'voice-b', content: 'Voice message', contentType: 'file', attachmentIds: [attachment.attachmentId] });
+  if (asFile.type !== 'MESSAGE_NACK') fail('Voice notes are not sent as file messages');
+  const notVoice = await handleMessageSend(wsA, { recipientId: 'voice-b', content: 'Voice message', contentType: 'voice', attachmentIds: [plainAudio.attachment.attachmentId] });
+  if (notVoice.type !== 'MESSAGE_NACK') fail('Voice messages need a voice note');
+  const two = await handleMessageSend(wsA, { recipientId: 'voice-b', content: 'Voice message', contentType: 'voice', attachmentIds: [attachment.attachmentId, plainAudio.attachment.attachmentId] });
+  if (two.type !== 'MESSAGE_NACK') fail('Voice messages carry exactly one attachment');
+  const sent = await handleMessageSend(wsA, { recipientId: 'voice-b', content: 'Voice message', clientMessageId: 'voice-c1', contentType: 'voice', attachmentIds: [attachment.attachmentId] });
+  if (sent.type !== 'MESSAGE_ACK' || sent.message?.contentType !== 'voice' || sent.message.attachments[0]?.voice?.durationMs !== expectedMs) {
+    fail('Voice message must be acked with its voice note: ' + JSON.stringify(sent));
+  }
+  const dmHistory = await historyService.getHistory('voice-b', dmChat, { limit: 10 });
+  const dmMsg = dmHistory.messages.find((m) => m.messageId === sent.messageId);
+  if (!dmMsg || dmMsg.contentType !== 'voice' || dmMsg.attachments[0]?.voice?.waveform.length !== VOICE.waveformBars || dmMsg.listenedBy.length !== 0) {
+    fail('History carries the voice note, not yet listened: ' + JSON.stringify(dmMsg));
+  }
+  const forwarded = await handleMessageForward(wsA, { messageIds: [sent.messageId], targetChatIds: ['room:voice-room'] });
+  if (!forwarded.success) fail('Forwarding a voice message must succeed: ' + JSON.stringify(forwarded));
+  const roomMessageId = forwarded.results[0].messageId;
+  const roomHistory = await historyService.getHistory('voice-b', 'room:voice-room', { limit: 10 });
+  const roomMsg = roomHistory.messages.find((m) => m.roomMessageId === roomMessageId);
+  if (!roomMsg || roomMsg.contentType !== 'voice' || !roomMsg.attachments[0]?.voice) fail('Forwarded voice messages stay voice messages: ' + JSON.stringify(roomMsg));
+  const roomNote = await upload('voice-b', 'room:voice-room', webmOpus(packets), 'memo.webm');
+  if (!roomNote.ok) fail('Room voice upload must succeed: ' + JSON.stringify(roomNote));
+  created.push(roomNote.attachment.attachmentId);
+  const roomSent = await handleRoomMessage(wsB, { roomId: 'voice-room', content: 'Voice message', contentType: 'voice', attachmentIds: [roomNote.attachment.attachmentId] });
+  if (!roomSent.success) fail('Room voice message must succeed: ' + JSON.stringify(roomSent));
+  await sleep(50);
+  const live = wsA.sent.find((m) => m.type === 'ROOM_MESSAGE' && m.roomMessageId === roomSent.roomMessageId);
+  if (!live || live.contentType !== 'voice' || live.attachments[0]?.voice?.durationMs !== expectedMs) fail('ROOM_MESSAGE carries the voice note: ' + JSON.stringify(live));
+  console.log('PASS: DM and room voice messages carry one voice note, also when forwarded');
+
+  // ─── Case 4: listened acks ───
+  const own = await handleMessageListened(wsA, { messageId: sent.messageId });
+  if (own.success || own.code !== 'FORBIDDEN') fail('Senders do not acknowledge their own voice notes');
+  const outsider = await handleMessageListened(wsC, { messageId: sent.messageId });
+  if (outsider.success || outsider.code !== 'FORBIDDEN') fail('Outsiders cannot acknowledge');
+  const text = await handleMessageSend(wsA, { recipientId: 'voice-b', content: 'just text', clientMessageId: 'voice-c2' });
+  if ((await handleMessageListened(wsB, { messageId: text.messageId })).code !== 'NOT_A_VOICE_MESSAGE') fail('Only voice messages take listened acks');
+  wsA.sent.length = 0;
+  const listened = await handleMessageListened(wsB, { messageId: sent.messageId });
+  if (listened.type !== 'MESSAGE_LISTENED_RESPONSE' || !listened.success || !listened.listenedAt) fail('Recipient acknowledges playback: ' + JSON.stringify(listened));
+  const again = await handleMessageListened(wsB, { messageId: sent.messageId });
+  if (!again.success || again.listenedAt !== listened.listenedAt) fail('Later listens keep the first timestamp');
+  await sleep(20);
+  const notices = wsA.sent.filter((m) => m.type === 'MESSAGE_LISTENED');
+  if (notices.length !== 1 || notices[0].messageId !== sent.messageId || notices[0].userId !== 'voice-b' || notices[0].roomId !== null) {
+    fail('Sender gets one MESSAGE_LISTENED: ' + JSON.stringify(notices));
+  }
+  const afterHistory = await historyService.getHistory('voice-a', dmChat, { limit: 10 });
+  const heard = afterHistory.messages.find((m) => m.messageId === sent.messageId);
+  if (heard?.listenedBy?.[0]?.userId !== 'voice-b' || heard.listenedBy[0].listenedAt !== listened.listenedAt) fail('History shows who listened: ' + JSON.stringify(heard));
+  const roomRow = `rm_${roomSent.roomMessageId}_voice-a`;
+  const roomListen = await handleMessageListened(wsA, { messageId: roomRow });
+  if (!roomListen.success || roomListen.messageId !== roomSent.roomMessageId || roomListen.roomId !== 'voice-room') fail('Room members acknowledge by any row id: ' + JSON.stringify(roomListen));
+  await sleep(20);
+  if (!wsB.sent.some((m) => m.type === 'MESSAGE_LISTENED' && m.messageId === roomSent.roomMessageId && m.roomId === 'voice-room')) {
+    fail('Room sender gets MESSAGE_LISTENED with the roomMessageId');
+  }
+  console.log('PASS: Recipients acknowledge playback once; the sender is notified');
+
+  await dbAdapter.clearStore();
+  for (const id of created) await blobStore.delete(attachmentService.toBlobKey(id));
+  process.exit(0);
+}
+
+requireDatabase();
+run().catch((err) => {
+  console.log('FAIL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Shared fixtures for the tests/db-*.test.js scripts.
+ * The scripts print PASS:/FAIL: lines and exit non-zero on the first failure. They need a message store:
+ * MongoDB (DB_URI) or the dev file store (MESSAGE_STORE=file); without one they print SKIP: and exit 0.
+ */
+
+const path = require('path');
+const { Writable } = require('stream');
+
+function fail(msg) {
+  console.log('FAIL:', msg);
+  process.exit(1);
+}
+
+/**
+ * Exit 0 with a SKIP: line when no message store is configured. Call it before the test touches config/db.
+ */
+function requireDatabase() {
+  if (process.env.DB_URI || process.env.MESSAGE_STORE === 'file') return;
+  const name = require.main ? path.basename(require.main.filename) : 'db test';
+  console.log(`SKIP: ${name} needs a message store (set DB_URI, or MESSAGE_STORE=file for the dev file store)`);
+  process.exit(0);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** WebSocket stub: records every frame sent to it, parsed, in `sent`. */
+function createMockSocket() {
+  const sent = [];
+  const mock = {
+    readyState: 1,
+    isAlive: true,
+    sent,
+    on: () => {},
+    once: () => {},
+    ping: () => {},
+    terminate: () => { mock.readyState = 3; },
+    close: () => { mock.readyState = 3; },
+    send: (data, cb) => {
+      sent.push(JSON.parse(data));
+      if (typeof cb === 'function') cb();
+    },
+  };
+  return mock;
+}
+
+/** Frames of one type a mock socket received. */
+function ofType(ws, type) {
+  return ws.sent.filter((m) => m.type === type);
+}
+
+/**
+ * Call an HTTP controller that answers with res.status().json(). No userId means no session (req.user null).
+ * @returns {Promise<{ status: number, body: Object|null }>}
+ */
+async function call(handler, userId, { params = {}, query = {}, body = {} } = {}) {
+  let payload = null;
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { payload = b; } };
+  await handler({ user: userId ? { userId } : null, params, query, body }, res);
+  return { status: res.statusCode, body: payload };
+}
+
+/**
+ * Writable response for controllers that stream files or answer with json(). `done` resolves on either;
+ * content() is the streamed bytes, headers are lower-cased.
+ */
+function createMockResponse() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, _enc, cb) {
+      chunks.push(Buffer.from(chunk));
+      cb();
+    },
+  });
+  res.statusCode = 200;
+  res.headers = {};
+  res.body = null;
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.emit('done'); };
+  res.on('finish', () => res.emit('done'));
+  res.done = new Promise((resolve) => res.once('done', resolve));
+  res.content = () => Buffer.concat(chunks);
+  return res;
+}
+
+module.exports = {
+  fail,
+  requireDatabase,
+  sleep,
+  createMockSocket,
+  ofType,
+  call,
+  createMockResponse,
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Unit tests for chat.expired Redis bus subscriber handler.
+ * Uses Node.js built-in test runner (node:test).
+ * Run: node --test tests/redis/chatExpired.handler.test.js
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createOnChatExpired } = require('../../services/redisBusHandlers');
+
+const silentLogger = { warn: () => {}, info: () => {}, error: () => {} };
+
+function expiredEvent(overrides = {}) {
+  return {
+    type: 'chat.expired',
+    originInstanceId: 'B',
+    chatId: 'room:room-1',
+    roomId: 'room-1',
+    messageIds: ['rm-1', 'rm-2'],
+    ts: Date.now(),
+    ...overrides,
+  };
+}
+
+function recordingNotify() {
+  const calls = [];
+  const notify = (chatId, roomId, messageIds) => calls.push([chatId, roomId, messageIds]);
+  return { calls, notify };
+}
+
+describe('chat.expired handler', () => {
+  test('ignores self-origin', () => {
+    const { calls, notify } = recordingNotify();
+    const handler = createOnChatExpired({ instanceId: 'A', notifyLocalSockets: notify, logger: silentLogger });
+    handler(expiredEvent({ originInstanceId: 'A' }));
+    assert.deepStrictEqual(calls, []);
+  });
+
+  test('notifies local sockets of room and DM chats from other instances', () => {
+    const { calls, notify } = recordingNotify();
+    const handler = createOnChatExpired({ instanceId: 'A', notifyLocalSockets: notify, logger: silentLogger });
+    handler(expiredEvent());
+    handler(expiredEvent({ chatId: 'direct:user-1:user-2', roomId: null, messageIds: ['dm-1'] }));
+    assert.deepStrictEqual(calls, [
+      ['room:room-1', 'room-1', ['rm-1', 'rm-2']],
+      ['direct:user-1:user-2', null, ['dm-1']],
+    ]);
+  });
+
+  test('drops invalid events without throwing', () => {
+    const { calls, notify } = recordingNotify();
+    let warned = 0;
+    const handler = createOnChatExpired({ instanceId: 'A', notifyLocalSockets: notify, logger: { ...silentLogger, warn: () => { warned++; } } });
+    handler(null);
+    handler(expiredEvent({ messageIds: [] }));
+    handler(expiredEvent({ chatId: '' }));
+    handler(expiredEvent({ messageIds: ['rm-1', 7] }));
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual(warned, 4);
+  });
+});
@@ -5,7 +5,7 @@
  * Uses Node.js built-in test runner (node:test).
  * Run: node --test tests/redis/redisBus.publish.test.js
  *
- * Verifies: validation, channel names (chat.message / admin.kick), disabled/not-connected returns false.
+ * Verifies: validation, channel names (chat.message / admin.kick / state.sync), disabled/not-connected returns false.
  */
 
 const { test, describe } = require('node:test');
@@ -133,6 +133,50 @@ describe('redisBus publish wrappers', () => {
     }
   });
 
+  test('publishStateSync validates and publishes to state.sync when connected', async () => {
+    const publishCalls = [];
+    const mockAdapter = {
+      isConnected: () => true,
+      publish: async (channel, payload) => {
+        publishCalls.push({ channel, payload });
+        return true;
+      },
+    };
+    redisBus.__testables.setAdapter(mockAdapter);
+    try {
+      const event = { type: 'state.sync', originInstanceId: 'A', kind: 'block.added', userId: 'user-1', targetUserId: 'user-2', ts: Date.now() };
+      assert.strictEqual(await redisBus.publishStateSync({ ...event, kind: 'unknown' }), false);
+      assert.strictEqual(await redisBus.publishStateSync(event), true);
+      assert.strictEqual(publishCalls.length, 1);
+      assert.strictEqual(publishCalls[0].channel, 'state.sync');
+      assert.strictEqual(publishCalls[0].payload, event);
+    } finally {
+      redisBus.__testables.resetAdapter();
+    }
+  });
+
+  test('publishChatExpired validates and publishes to chat.expired when connected', async () => {
+    const publishCalls = [];
+    const mockAdapter = {
+      isConnected: () => true,
+      publish: async (channel, payload) => {
+        publishCalls.push({ channel, payload });
+        return true;
+      },
+    };
+    redisBus.__testables.setAdapter(mockAdapter);
+    try {
+      const event = { type: 'chat.expired', originInstanceId: 'A', chatId: 'direct:user-1:user-2', roomId: null, messageIds: ['dm-1'], ts: Date.now() };
+      assert.strictEqual(await redisBus.publishChatExpired({ ...event, messageIds: [] }), false);
+      assert.strictEqual(await redisBus.publishChatExpired(event), true);
+      assert.strictEqual(publishCalls.length, 1);
+      assert.strictEqual(publishCalls[0].channel, 'chat.expired');
+      assert.strictEqual(publishCalls[0].payload, event);
+    } finally {
+      redisBus.__testables.resetAdapter();
+    }
+  });
+
   test('when not connected, publish returns false and does not throw', async () => {
     const publishCalls = [];
     const mockAdapter = {
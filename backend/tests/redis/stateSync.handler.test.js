@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Unit tests for state.sync Redis bus subscriber handler.
+ * Uses Node.js built-in test runner (node:test).
+ * Run: node --test tests/redis/stateSync.handler.test.js
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createOnStateSync } = require('../../services/redisBusHandlers');
+
+const silentLogger = { warn: () => {}, info: () => {}, error: () => {} };
+
+function recordingBlockStore() {
+  const calls = [];
+  return {
+    calls,
+    add: (userId, blockedUserId) => calls.push(['add', userId, blockedUserId]),
+    remove: (userId, blockedUserId) => calls.push(['remove', userId, blockedUserId]),
+  };
+}
+
+function blockEvent(kind, originInstanceId = 'B') {
+  return { type: 'state.sync', originInstanceId, kind, userId: 'user-1', targetUserId: 'user-2', ts: Date.now() };
+}
+
+describe('state.sync handler', () => {
+  test('ignores self-origin', () => {
+    const blockStore = recordingBlockStore();
+    const handler = createOnStateSync({ instanceId: 'A', blockStore, logger: silentLogger });
+    handler(blockEvent('block.added', 'A'));
+    assert.deepStrictEqual(blockStore.calls, []);
+  });
+
+  test('applies block changes from other instances', () => {
+    const blockStore = recordingBlockStore();
+    const handler = createOnStateSync({ instanceId: 'A', blockStore, logger: silentLogger });
+    handler(blockEvent('block.added'));
+    handler(blockEvent('block.removed'));
+    assert.deepStrictEqual(blockStore.calls, [['add', 'user-1', 'user-2'], ['remove', 'user-1', 'user-2']]);
+  });
+
+  test('applies message request changes from other instances', () => {
+    const calls = [];
+    const messageRequestStore = {
+      setRequest: (request) => calls.push(['setRequest', request.chatId, request.status]),
+      setEnabled: (userId, enabled) => calls.push(['setEnabled', userId, enabled]),
+    };
+    const handler = createOnStateSync({ instanceId: 'A', messageRequestStore, logger: silentLogger });
+    const request = { chatId: 'direct:user-1:user-2', requesterId: 'user-2', recipientId: 'user-1', status: 'declined' };
+    handler({ type: 'state.sync', originInstanceId: 'B', kind: 'messageRequest.saved', userId: 'user-1', request, ts: Date.now() });
+    handler({ type: 'state.sync', originInstanceId: 'B', kind: 'messageRequests.enabled', userId: 'user-1', enabled: false, ts: Date.now() });
+    assert.deepStrictEqual(calls, [['setRequest', 'direct:user-1:user-2', 'declined'], ['setEnabled', 'user-1', false]]);
+  });
+
+  test('drops invalid events without throwing', () => {
+    const blockStore = recordingBlockStore();
+    let warned = 0;
+    const handler = createOnStateSync({ instanceId: 'A', blockStore, logger: { ...silentLogger, warn: () => { warned++; } } });
+    handler(null);
+    handler({ ...blockEvent('block.added'), targetUserId: '' });
+    handler({ ...blockEvent('block.added'), kind: 'unknown' });
+    assert.deepStrictEqual(blockStore.calls, []);
+    assert.strictEqual(warned, 3);
+  });
+});
@@ -5,9 +5,11 @@
  * Converts internal message/user shapes to stable API format.
  */
 
+const { toReactionSummary, toThreadSummary, toForwardedFrom } = require('../models/Message.model');
+
 /**
  * Convert internal message to API message shape.
- * Aligns with frontend normalizeMessage: id, messageId, roomMessageId, roomId, senderId, content, createdAt, state, messageType.
+ * Aligns with frontend normalizeMessage: id, messageId, roomMessageId, roomId, senderId, content, createdAt, state, messageType, reactions, replyTo, threadRootId, thread, forwardedFrom.
  * @param {Object} msg - Internal message (messageId, timestamp, roomMessageId, etc.)
  * @returns {Object|null} API message shape
  */
@@ -29,6 +31,13 @@ function toApiMessage(msg) {
     editedAt: msg.editedAt ?? null,
     deleted: msg.deleted === true,
     deletedAt: msg.deletedAt ?? null,
+    reactions: toReactionSummary(msg.reactions),
+    replyToMessageId: msg.replyToMessageId ?? null,
+    replyTo: msg.replyTo ?? null,
+    threadRootId: msg.threadRootId ?? null,
+    alsoSendToRoom: msg.alsoSendToRoom === true,
+    thread: toThreadSummary(msg.thread),
+    forwardedFrom: toForwardedFrom(msg.forwardedFrom),
   };
 }
 
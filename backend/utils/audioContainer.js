@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * Demuxers for voice notes: what browsers' MediaRecorder produces (Opus in WebM or Ogg) plus PCM WAV.
+ * Only the parts needed to get at the audio are parsed: Opus packets with the stream's channel count and
+ * pre-skip, or the raw PCM samples. Anything else (other codecs, video tracks, several streams) is null.
+ */
+
+const OPUS_HEAD = 'OpusHead';
+
+// EBML element ids (Matroska/WebM)
+const EBML = 0x1a45dfa3;
+const DOC_TYPE = 0x4282;
+const SEGMENT = 0x18538067;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const TRACK_NUMBER = 0xd7;
+const TRACK_TYPE = 0x83;
+const CODEC_ID = 0x86;
+const CODEC_PRIVATE = 0x63a2;
+const CLUSTER = 0x1f43b675;
+const BLOCK_GROUP = 0xa0;
+const BLOCK = 0xa1;
+const SIMPLE_BLOCK = 0xa3;
+/** Containers we step into; every other element is skipped by its size. */
+const EBML_MASTERS = [EBML, SEGMENT, TRACKS, TRACK_ENTRY, CLUSTER, BLOCK_GROUP];
+const TRACK_TYPE_AUDIO = 2;
+
+/** EBML variable-length integer at pos: { length, value, unknown } (unknown: all value bits set), or null. */
+function readVint(buf, pos, keepMarker = false) {
+  if (pos >= buf.length) return null;
+  const first = buf[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || pos + length > buf.length) return null;
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buf[pos + i];
+    if (buf[pos + i] !== 0xff) allOnes = false;
+  }
+  return { length, value, unknown: !keepMarker && allOnes };
+}
+
+function readUint(buf, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + buf[i];
+  return value;
+}
+
+/** Frames of a (Simple)Block body after the track number, timecode and flags; handles all lacing modes. */
+function splitLacedFrames(buf, pos, end, lacing) {
+  if (lacing === 0) return [buf.subarray(pos, end)];
+  const count = buf[pos] + 1;
+  pos += 1;
+  const sizes = [];
+  if (lacing === 1) {
+    // Xiph: each size is a run of 255s plus a final byte
+    for (let i = 0; i < count - 1; i++) {
+      let size = 0;
+      let byte;
+      do {
+        if (pos >= end) return null;
+        byte = buf[pos++];
+        size += byte;
+      } while (byte === 255);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    // EBML: first size as a vint, then signed differences
+    const first = readVint(buf, pos);
+    if (!first) return null;
+    pos += first.length;
+    sizes.push(first.value);
+    for (let i = 1; i < count - 1; i++) {
+      const diff = readVint(buf, pos);
+      if (!diff) return null;
+      pos += diff.length;
+      sizes.push(sizes[i - 1] + diff.value - (2 ** (7 * diff.length - 1) - 1));
+    }
+  } else {
+    const size = (end - pos) / count;
+    if (!Number.isInteger(size)) return null;
+    for (let i = 0; i < count - 1; i++) sizes.push(size);
+  }
+  const frames = [];
+  for (const size of sizes) {
+    if (size < 0 || pos + size > end) return null;
+    frames.push(buf.subarray(pos, pos + size));
+    pos += size;
+  }
+  frames.push(buf.subarray(pos, end));
+  return frames;
+}
+
+/** OpusHead fields we need (RFC 7845 §5.1), or null. */
+function parseOpusHead(head) {
+  if (!head || head.length < 19 || head.toString('latin1', 0, 8) !== OPUS_HEAD) return null;
+  return { channels: head[9], preSkip: head.readUInt16LE(10) };
+}
+
+/**
+ * WebM with exactly one track, an Opus audio track. Elements are walked flat (masters are entered rather
+ * than skipped), so the unknown-size Segment and Clusters live recorders write need no special casing.
+ */
+function parseWebm(buf) {
+  let docType = null;
+  const tracks = [];
+  const blocks = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    const id = readVint(buf, pos, true);
+    if (!id) return null;
+    const size = readVint(buf, pos + id.length);
+    if (!size) return null;
+    const dataStart = pos + id.length + size.length;
+    if (EBML_MASTERS.includes(id.value)) {
+      if (id.value === TRACK_ENTRY) tracks.push({});
+      pos = dataStart;
+      continue;
+    }
+    if (size.unknown) return null;
+    // A truncated last element (recording cut short) ends the walk
+    const dataEnd = Math.min(dataStart + size.value, buf.length);
+    const track = tracks[tracks.length - 1];
+    if (id.value === DOC_TYPE) docType = buf.toString('latin1', dataStart, dataEnd);
+    else if (track && id.value === TRACK_NUMBER) track.number = readUint(buf, dataStart, dataEnd);
+    else if (track && id.value === TRACK_TYPE) track.type = readUint(buf, dataStart, dataEnd);
+    else if (track && id.value === CODEC_ID) track.codec = buf.toString('latin1', dataStart, dataEnd);
+    else if (track && id.value === CODEC_PRIVATE) track.head = buf.subarray(dataStart, dataEnd);
+    else if ((id.value === SIMPLE_BLOCK || id.value === BLOCK) && dataEnd === dataStart + size.value) {
+      blocks.push({ start: dataStart, end: dataEnd });
+    }
+    pos = dataStart + size.value;
+  }
+  if (docType !== 'webm' || tracks.length !== 1) return null;
+  const [track] = tracks;
+  const head = parseOpusHead(track.head);
+  if (track.type !== TRACK_TYPE_AUDIO || track.codec !== 'A_OPUS' || !head) return null;
+
+  const packets = [];
+  for (const { start, end } of blocks) {
+    const trackNumber = readVint(buf, start);
+    if (!trackNumber || trackNumber.value !== track.number) continue;
+    const flagsPos = start + trackNumber.length + 2;
+    if (flagsPos >= end) return null;
+    const frames = splitLacedFrames(buf, flagsPos + 1, end, (buf[flagsPos] >> 1) & 3);
+    if (!frames) return null;
+    packets.push(...frames);
+  }
+  return { mime: 'audio/webm', ext: 'webm', codec: 'opus', channels: head.channels, preSkip: head.preSkip, packets };
+}
+
+/** Ogg with a single Opus logical stream (RFC 7845). Packets are reassembled across pages. */
+function parseOgg(buf) {
+  const packets = [];
+  let serial = null;
+  let partial = [];
+  let pos = 0;
+  while (pos + 27 <= buf.length) {
+    if (buf.toString('latin1', pos, pos + 4) !== 'OggS') return null;
+    const pageSerial = buf.readUInt32LE(pos + 14);
+    if (serial === null) serial = pageSerial;
+    else if (pageSerial !== serial) return null;
+    const segments = buf[pos + 26];
+    let dataPos = pos + 27 + segments;
+    if (dataPos > buf.length) break;
+    for (let i = 0; i < segments; i++) {
+      const lace = buf[pos + 27 + i];
+      partial.push(buf.subarray(dataPos, Math.min(dataPos + lace, buf.length)));
+      dataPos += lace;
+      if (lace < 255) {
+        packets.push(partial.length === 1 ? partial[0] : Buffer.concat(partial));
+        partial = [];
+      }
+    }
+    pos = dataPos;
+  }
+  const head = parseOpusHead(packets[0]);
+  if (!head || packets.length < 2 || packets[1].toString('latin1', 0, 8) !== 'OpusTags') return null;
+  return { mime: 'audio/ogg', ext: 'ogg', codec: 'opus', channels: head.channels, preSkip: head.preSkip, packets: packets.slice(2) };
+}
+
+/** RIFF/WAVE with 16-bit integer or 32-bit float PCM. */
+function parseWav(buf) {
+  let format = null;
+  let data = null;
+  let pos = 12;
+  while (pos + 8 <= buf.length) {
+    const chunkId = buf.toString('latin1', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const start = pos + 8;
+    if (chunkId === 'fmt ' && start + 16 <= buf.length) {
+      format = {
+        tag: buf.readUInt16LE(start),
+        channels: buf.readUInt16LE(start + 2),
+        sampleRate: buf.readUInt32LE(start + 4),
+        bitsPerSample: buf.readUInt16LE(start + 14),
+      };
+    } else if (chunkId === 'data') {
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF: take everything that is there
+      data = buf.subarray(start, size > 0 ? Math.min(start + size, buf.length) : buf.length);
+      break;
+    }
+    pos = start + size + (size % 2);
+  }
+  if (!format || !data || format.channels < 1 || format.sampleRate < 1) return null;
+  const float = format.tag === 3 && format.bitsPerSample === 32;
+  if (!float && !(format.tag === 1 && format.bitsPerSample === 16)) return null;
+  return {
+    mime: 'audio/wav',
+    ext: 'wav',
+    codec: 'pcm',
+    channels: format.channels,
+    sampleRate: format.sampleRate,
+    float,
+    data,
+  };
+}
+
+/**
+ * Demux a voice note.
+ * @param {Buffer} buf - Whole file
+ * @returns {{ mime: string, ext: string, codec: 'opus', channels: number, preSkip: number, packets: Buffer[] }
+ *   | { mime: string, ext: string, codec: 'pcm', channels: number, sampleRate: number, float: boolean, data: Buffer }
+ *   | null}
+ */
+function parseVoiceContainer(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+  if (buf.readUInt32BE(0) === EBML) return parseWebm(buf);
+  if (buf.toString('latin1', 0, 4) === 'OggS') return parseOgg(buf);
+  if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE') return parseWav(buf);
+  return null;
+}
+
+/**
+ * Samples (at 48 kHz, per channel) in an Opus packet, from its TOC byte (RFC 6716 §3.1); 0 if malformed.
+ * @param {Buffer} packet
+ * @returns {number}
+ */
+function opusPacketSamples(packet) {
+  if (!packet || packet.length < 1) return 0;
+  const config = packet[0] >> 3;
+  let frameSamples;
+  if (config < 12) frameSamples = [480, 960, 1920, 2880][config % 4];
+  else if (config < 16) frameSamples = [480, 960][config % 2];
+  else frameSamples = [120, 240, 480, 960][config % 4];
+  const code = packet[0] & 3;
+  let frames = 1;
+  if (code === 1 || code === 2) frames = 2;
+  else if (code === 3) {
+    if (packet.length < 2) return 0;
+    frames = packet[1] & 0x3f;
+  }
+  return frames * frameSamples;
+}
+
+module.exports = {
+  parseVoiceContainer,
+  opusPacketSamples,
+};
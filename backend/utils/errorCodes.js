@@ -36,6 +36,11 @@ const ErrorCodes = {
   BROADCAST_FAILED: 'BROADCAST_FAILED',
   INVALID_LAST_MESSAGE_ID: 'INVALID_LAST_MESSAGE_ID',
   CONNECTION_LIMIT: 'CONNECTION_LIMIT',
+  ATTACHMENT_NOT_FOUND: 'ATTACHMENT_NOT_FOUND',
+  /** Upload would exceed the uploader's or the room's storage quota (ATTACHMENTS.userQuotaBytes / roomQuotaBytes) */
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  /** DM between two users where one blocked the other (block.service) */
+  USER_BLOCKED: 'USER_BLOCKED',
   /** Phase 1: NACK contract codes (stable for client) */
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   FORBIDDEN: 'FORBIDDEN',
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Content-type detection for uploads from the file's leading bytes (magic numbers).
+ * The client-supplied mimetype is never trusted. The file name extension is only used to tell apart
+ * formats that share a container (OOXML documents are ZIPs, legacy Office files are OLE compound files)
+ * and for plain-text formats, which have no signature.
+ * Anything not recognized here is rejected, including HTML/SVG and executables.
+ */
+
+/** Bytes to read from the start of a file before calling detectFileType (tar's "ustar" sits at offset 257). */
+const SNIFF_BYTES = 4100;
+
+const OOXML_BY_EXT = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+};
+
+const CFB_BY_EXT = {
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+};
+
+const TEXT_BY_EXT = {
+  txt: 'text/plain',
+  log: 'text/plain',
+  csv: 'text/csv',
+  md: 'text/markdown',
+};
+
+function startsWith(buf, bytes, offset = 0) {
+  if (buf.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (buf[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+}
+
+function ascii(buf, start, end) {
+  return buf.length >= end ? buf.toString('latin1', start, end) : '';
+}
+
+/**
+ * Lowercase extension of a file name without the dot ('' when there is none).
+ * @param {string} name
+ * @returns {string}
+ */
+function extensionOf(name) {
+  const m = /\.([a-z0-9]{1,10})$/i.exec(String(name || ''));
+  return m ? m[1].toLowerCase() : '';
+}
+
+function looksLikeText(buf) {
+  if (buf.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buf.subarray(0, Math.max(0, buf.length - 4)));
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function result(mime, ext, category) {
+  return { mime, ext, category };
+}
+
+/**
+ * Detect the type of an uploaded file.
+ * @param {Buffer} head - First SNIFF_BYTES bytes of the file (fewer for small files)
+ * @param {string} [fileName] - Original file name (disambiguates containers and plain text only)
+ * @returns {{ mime: string, ext: string, category: 'image'|'document'|'archive'|'audio'|'video' }|null}
+ */
+function detectFileType(head, fileName) {
+  if (!Buffer.isBuffer(head) || head.length === 0) return null;
+  const ext = extensionOf(fileName);
+
+  // Images
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return result('image/jpeg', 'jpg', 'image');
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return result('image/png', 'png', 'image');
+  if (ascii(head, 0, 6) === 'GIF87a' || ascii(head, 0, 6) === 'GIF89a') return result('image/gif', 'gif', 'image');
+
+  // RIFF containers
+  if (ascii(head, 0, 4) === 'RIFF') {
+    const form = ascii(head, 8, 12);
+    if (form === 'WEBP') return result('image/webp', 'webp', 'image');
+    if (form === 'WAVE') return result('audio/wav', 'wav', 'audio');
+    if (form === 'AVI ') return result('video/x-msvideo', 'avi', 'video');
+    return null;
+  }
+
+  // Documents
+  if (ascii(head, 0, 5) === '%PDF-') return result('application/pdf', 'pdf', 'document');
+  if (ascii(head, 0, 5) === '{\\rtf') return result('application/rtf', 'rtf', 'document');
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06])) {
+    if (OOXML_BY_EXT[ext]) return result(OOXML_BY_EXT[ext], ext, 'document');
+    return result('application/zip', 'zip', 'archive');
+  }
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return CFB_BY_EXT[ext] ? result(CFB_BY_EXT[ext], ext, 'document') : null;
+  }
+
+  // Archives
+  if (startsWith(head, [0x1f, 0x8b])) return result('application/gzip', 'gz', 'archive');
+  if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return result('application/x-7z-compressed', '7z', 'archive');
+  if (ascii(head, 0, 6) === 'Rar!\x1a\x07') return result('application/vnd.rar', 'rar', 'archive');
+  if (ascii(head, 0, 3) === 'BZh') return result('application/x-bzip2', 'bz2', 'archive');
+  if (ascii(head, 257, 262) === 'ustar') return result('application/x-tar', 'tar', 'archive');
+
+  // ISO base media (MP4 / MOV / M4A): "ftyp" box at offset 4
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12);
+    if (brand === 'M4A ' || brand === 'M4B ') return result('audio/mp4', 'm4a', 'audio');
+    if (brand === 'qt  ') return result('video/quicktime', 'mov', 'video');
+    return result('video/mp4', 'mp4', 'video');
+  }
+  // Matroska / WebM (EBML header)
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return head.includes('webm') ? result('video/webm', 'webm', 'video') : result('video/x-matroska', 'mkv', 'video');
+  }
+
+  // Audio
+  if (ascii(head, 0, 4) === 'OggS') return result('audio/ogg', 'ogg', 'audio');
+  if (ascii(head, 0, 4) === 'fLaC') return result('audio/flac', 'flac', 'audio');
+  if (ascii(head, 0, 3) === 'ID3') return result('audio/mpeg', 'mp3', 'audio');
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xf6) === 0xf0) return result('audio/aac', 'aac', 'audio');
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return result('audio/mpeg', 'mp3', 'audio');
+
+  // Plain text has no signature: only for known text extensions, and only if it decodes as UTF-8
+  if (TEXT_BY_EXT[ext] && looksLikeText(head)) return result(TEXT_BY_EXT[ext], ext, 'document');
+
+  return null;
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  detectFileType,
+  extensionOf,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * HMAC-signed, expiring URLs for resources that must load without cookies (e.g. <img>/<video> src on a
+ * different origin than the API). The signature covers the path and the expiry, so a URL works for
+ * exactly one resource until it expires. Anyone holding it can use it: hand URLs out only after an
+ * authorization check and keep the TTL short.
+ *
+ * Key: ATTACHMENT_URL_SECRET, falling back to JWT_SECRET (the signed message format differs from JWTs).
+ */
+
+const crypto = require('crypto');
+
+function getSigningKey() {
+  const secret = process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET;
+  if (typeof secret !== 'string' || secret.trim() === '') {
+    throw new Error('ATTACHMENT_URL_SECRET or JWT_SECRET is required to sign URLs');
+  }
+  return secret;
+}
+
+function computeSignature(pathname, expiresAt) {
+  return crypto.createHmac('sha256', getSigningKey()).update(`signed-url\n${pathname}\n${expiresAt}`).digest('base64url');
+}
+
+/**
+ * Sign a path (no query string) for ttlMs.
+ * @param {string} pathname - e.g. /api/attachments/<id>/download
+ * @param {number} ttlMs
+ * @param {number} [now]
+ * @returns {{ url: string, expiresAt: number }} url = pathname?expires=<ms>&sig=<base64url>
+ */
+function signPath(pathname, ttlMs, now = Date.now()) {
+  const expiresAt = now + ttlMs;
+  return { url: `${pathname}?expires=${expiresAt}&sig=${computeSignature(pathname, expiresAt)}`, expiresAt };
+}
+
+/**
+ * Check the expires/sig query parameters of a signed path. The signature is compared in constant time
+ * before the expiry so both failures take the same path.
+ * @param {string} pathname
+ * @param {string|number} expires - Query value
+ * @param {string} sig - Query value
+ * @param {number} [now]
+ * @returns {{ ok: boolean, code?: 'INVALID_SIGNATURE'|'URL_EXPIRED' }}
+ */
+function verifySignedPath(pathname, expires, sig, now = Date.now()) {
+  const expiresAt = Number(expires);
+  if (!Number.isSafeInteger(expiresAt) || typeof sig !== 'string' || sig === '') {
+    return { ok: false, code: 'INVALID_SIGNATURE' };
+  }
+  const expected = Buffer.from(computeSignature(pathname, expiresAt));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, code: 'INVALID_SIGNATURE' };
+  }
+  if (expiresAt <= now) {
+    return { ok: false, code: 'URL_EXPIRED' };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  signPath,
+  verifySignedPath,
+};
@@ -10,6 +10,7 @@
 const socketSafety = require('../safety/socketSafety');
 const config = require('../../config/constants');
 const presenceStore = require('../state/presenceStore');
+const blockService = require('../../services/block.service');
 
 /** Lazy require to avoid circular dependency: connectionManager ← lifecycle ← presence ← connectionManager */
 function getConnectionManager() {
@@ -17,7 +18,7 @@ function getConnectionManager() {
 }
 
 /**
- * Notify all connected users about a presence change
+ * Notify all connected users about a presence change, except users in a block with userId
  * @param {string} userId - User whose presence changed
  * @param {string} newStatus - New presence status
  * @param {string|null} previousStatus - Previous presence status
@@ -33,7 +34,7 @@ function notifyPresenceChange(userId, newStatus, previousStatus) {
   };
   const connectionManager = getConnectionManager();
   for (const uid of connectionManager.getConnectedUsers()) {
-    if (uid === userId) continue;
+    if (uid === userId || blockService.isBlockedBetween(userId, uid)) continue;
     const sockets = connectionManager.getSockets(uid);
     for (const ws of sockets) {
       const result = socketSafety.sendMessage(ws, message);
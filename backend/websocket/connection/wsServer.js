@@ -20,6 +20,7 @@ const eventBus = require('../../diagnostics/eventBus');
 const userStore = require('../../storage/user.store');
 const { getClientIpFromWsRequest } = require('../../utils/ip');
 const adminActivityBuffer = require('../../observability/adminActivityBuffer');
+const blockService = require('../../services/block.service');
 
 const JWT_COOKIE_NAME = config.JWT_COOKIE_NAME;
 
@@ -299,8 +300,8 @@ async function setupConnection(ws, request, userId, userRole) {
     timestamp: Date.now(),
   });
 
-  // Presence hydration: send snapshot of currently-online users (exclude self) so UI does not default everyone to offline after refresh
-  const onlineUserIds = presenceEngine.getOnlineUsers().filter((uid) => uid !== userId);
+  // Presence hydration: send snapshot of currently-online users (exclude self and blocks) so UI does not default everyone to offline after refresh
+  const onlineUserIds = presenceEngine.getOnlineUsers().filter((uid) => uid !== userId && !blockService.isBlockedBetween(userId, uid));
   const presenceMap = presenceEngine.getPresenceBulk(onlineUserIds);
   const users = {};
   for (const [uid, p] of Object.entries(presenceMap)) {
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Handlers for CHAT_EPHEMERAL_SET (disappearing messages mode of a DM or room) and CHAT_MUTE_SET (per-user mute).
+ * THIN handlers: messageService.setChatEphemeral checks DM participation / room MODIFY_ROOM permission and persists.
+ * On change, CHAT_SETTINGS_UPDATED goes to DM peers or all room members; the caller gets CHAT_EPHEMERAL_RESPONSE.
+ * A mute only concerns the muting user: CHAT_MUTE_UPDATED goes to all of their sockets, so every device agrees.
+ */
+
+const connectionManager = require('../connection/connectionManager');
+const { sendToUserSocket } = require('../services/message.service');
+const messageService = require('../../services/message.service');
+const historyService = require('../../services/history.service');
+const MessageType = require('../protocol/types');
+const roomManager = require('../state/roomManager');
+const logger = require('../../utils/logger');
+
+/**
+ * Handle CHAT_EPHEMERAL_SET { chatId, mode } where mode is off | 1h | 24h | 7d.
+ */
+async function handleChatEphemeralSet(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  const serverTs = Date.now();
+  if (!userId) {
+    return { type: MessageType.CHAT_EPHEMERAL_RESPONSE, success: false, code: 'UNAUTHORIZED', error: 'Not authenticated', serverTs };
+  }
+
+  const result = await messageService.setChatEphemeral(userId, payload?.chatId, payload?.mode);
+  if (!result.ok) {
+    logger.info('ChatSettings', 'ephemeral_rejected', { code: result.code, correlationId: correlationId || undefined });
+    return {
+      type: MessageType.CHAT_EPHEMERAL_RESPONSE,
+      success: false,
+      chatId: payload?.chatId || null,
+      code: result.code,
+      error: result.error,
+      serverTs,
+    };
+  }
+
+  const { settings } = result;
+  if (result.changed) {
+    const updatedPayload = {
+      type: MessageType.CHAT_SETTINGS_UPDATED,
+      chatId: settings.chatId,
+      roomId: result.roomId,
+      settings,
+      actorId: userId,
+      serverTs,
+    };
+    if (result.roomId) {
+      roomManager.broadcastToRoom(result.roomId, updatedPayload);
+    } else {
+      for (const participantId of historyService.getDirectChatParticipants(settings.chatId)) {
+        sendToUserSocket(participantId, updatedPayload, { correlationId });
+      }
+    }
+    logger.info('ChatSettings', 'ephemeral_set', { chatId: settings.chatId, mode: settings.ephemeral, correlationId: correlationId || undefined });
+  }
+
+  return {
+    type: MessageType.CHAT_EPHEMERAL_RESPONSE,
+    success: true,
+    chatId: settings.chatId,
+    settings,
+    changed: result.changed,
+    serverTs,
+  };
+}
+
+/**
+ * Handle CHAT_MUTE_SET { chatId, mode } where mode is off | 1h | 8h | 1w | forever.
+ */
+async function handleChatMuteSet(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  const serverTs = Date.now();
+  if (!userId) {
+    return { type: MessageType.CHAT_MUTE_RESPONSE, success: false, code: 'UNAUTHORIZED', error: 'Not authenticated', serverTs };
+  }
+
+  const result = await messageService.setChatMute(userId, payload?.chatId, payload?.mode);
+  if (!result.ok) {
+    logger.info('ChatSettings', 'mute_rejected', { code: result.code, correlationId: correlationId || undefined });
+    return {
+      type: MessageType.CHAT_MUTE_RESPONSE,
+      success: false,
+      chatId: payload?.chatId || null,
+      code: result.code,
+      error: result.error,
+      serverTs,
+    };
+  }
+
+  const { mute } = result;
+  if (result.changed) {
+    sendToUserSocket(userId, { type: MessageType.CHAT_MUTE_UPDATED, chatId: mute.chatId, mute, serverTs }, { correlationId });
+  }
+
+  return {
+    type: MessageType.CHAT_MUTE_RESPONSE,
+    success: true,
+    chatId: mute.chatId,
+    mute,
+    changed: result.changed,
+    serverTs,
+  };
+}
+
+module.exports = {
+  handleChatEphemeralSet,
+  handleChatMuteSet,
+};
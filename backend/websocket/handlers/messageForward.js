@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Handler for MESSAGE_FORWARD: copy one or more messages into other DMs and rooms.
+ * THIN handler: messageService.resolveForwardRequest checks validateChatOwnership on sources and targets;
+ * each copy then goes through the normal send paths (DM: persistAndReturnAck + deliverDirectMessage,
+ * room: groupService.sendRoomMessage) marked with forwardedFrom (original sender + timestamp).
+ * Returns MESSAGE_FORWARD_RESPONSE with one result per (source, target) pair.
+ */
+
+const connectionManager = require('../connection/connectionManager');
+const ErrorCodes = require('../../utils/errorCodes');
+const MessageType = require('../protocol/types');
+const messageService = require('../../services/message.service');
+const groupService = require('../services/group.service');
+const { deliverDirectMessage } = require('./sendMessage');
+const logger = require('../../utils/logger');
+
+function forwardFailure(code, error, correlationId) {
+  return {
+    type: MessageType.MESSAGE_FORWARD_RESPONSE,
+    success: false,
+    code,
+    error,
+    correlationId: correlationId || undefined,
+    serverTs: Date.now(),
+  };
+}
+
+/**
+ * Forward one source into one DM. Same intake → persist → deliver order as MESSAGE_SEND.
+ * @returns {Promise<string>} New messageId
+ */
+async function forwardToDirect(userId, chatId, source, correlationId) {
+  const recipientId = chatId.split(':').slice(1).find((id) => id !== userId);
+  const intake = messageService.acceptIncomingMessage({
+    senderId: userId,
+    receiverId: recipientId,
+    content: source.content,
+    forwardedFrom: source.forwardedFrom,
+    attachments: source.attachments,
+  });
+  if (!intake.ok) throw new Error(intake.error || 'Invalid payload');
+  const ack = await messageService.persistAndReturnAck(intake.message, { correlationId });
+  deliverDirectMessage(intake.message, ack, {}, { correlationId });
+  return ack.messageId;
+}
+
+/**
+ * Forward one source into one room. No originSocket: every sender tab receives the ROOM_MESSAGE.
+ * @returns {Promise<string>} New roomMessageId
+ */
+async function forwardToRoom(userId, chatId, source, correlationId) {
+  const roomId = chatId.slice('room:'.length);
+  const result = await groupService.sendRoomMessage(userId, roomId, source.content, null, 'text', {
+    correlationId,
+    forwardedFrom: source.forwardedFrom,
+    attachments: source.attachments,
+  });
+  if (!result.success) throw new Error(result.error || 'Room send failed');
+  return result.roomMessageId;
+}
+
+/**
+ * Handle MESSAGE_FORWARD { messageIds, targetChatIds }.
+ * The whole request is rejected when any source or target fails validation; once validated, copies are
+ * sent one by one and a failed copy is reported per pair without undoing the others.
+ */
+async function handleMessageForward(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) {
+    return forwardFailure(ErrorCodes.UNAUTHORIZED, 'Not authenticated', correlationId);
+  }
+
+  const { messageIds, targetChatIds } = payload || {};
+  const resolved = await messageService.resolveForwardRequest(userId, messageIds, targetChatIds);
+  if (!resolved.ok) {
+    logger.info('MessageForward', 'forward_rejected', { userId, code: resolved.code, correlationId: correlationId || undefined });
+    return forwardFailure(resolved.code, resolved.error, correlationId);
+  }
+
+  const results = [];
+  for (const chatId of resolved.targetChatIds) {
+    for (const source of resolved.sources) {
+      try {
+        const messageId = chatId.startsWith('room:')
+          ? await forwardToRoom(userId, chatId, source, correlationId)
+          : await forwardToDirect(userId, chatId, source, correlationId);
+        results.push({ sourceMessageId: source.messageId, chatId, messageId, success: true });
+      } catch (err) {
+        logger.error('MessageForward', 'forward_copy_failed', { userId, chatId, sourceMessageId: source.messageId, error: err.message });
+        results.push({ sourceMessageId: source.messageId, chatId, success: false, code: ErrorCodes.PERSISTENCE_ERROR });
+      }
+    }
+  }
+
+  const forwardedCount = results.filter((r) => r.success).length;
+  logger.info('MessageForward', 'forward_ok', { userId, forwardedCount, total: results.length, correlationId: correlationId || undefined });
+  return {
+    type: MessageType.MESSAGE_FORWARD_RESPONSE,
+    success: forwardedCount > 0,
+    results,
+    correlationId: correlationId || undefined,
+    serverTs: Date.now(),
+  };
+}
+
+module.exports = {
+  handleMessageForward,
+};
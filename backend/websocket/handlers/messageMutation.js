@@ -1,16 +1,26 @@
 'use strict';
 
 /**
- * Handlers for MESSAGE_EDIT and MESSAGE_DELETE.
+ * Handlers for MESSAGE_EDIT, MESSAGE_DELETE, MESSAGE_REACT and MESSAGE_UNREACT.
  * Resolve message via getOrLoadMessage; validate sender; persist via db adapter;
  * broadcast MESSAGE_MUTATION to sender and recipient; return MESSAGE_MUTATION_ACK to client.
+ * Reactions: any chat participant may react; MESSAGE_REACTION goes to DM peers or all room members
+ * (thread replies: thread participants only, unless the reply was also sent to the room).
+ * Pins: messageService.setMessagePin checks DM participation / room PIN_MESSAGE permission;
+ * CHAT_PINS_UPDATED (full pin list) goes to DM peers or all room members.
+ * Deletes drop every user's bookmark of the message.
  */
 
 const connectionManager = require('../connection/connectionManager');
 const { sendToUserSocket, getOrLoadMessage } = require('../services/message.service');
 const dbAdapter = require('../../config/db');
+const messageService = require('../../services/message.service');
+const historyService = require('../../services/history.service');
 const logger = require('../../utils/logger');
 const MessageType = require('../protocol/types');
+const roomManager = require('../state/roomManager');
+const { toReactionSummary, getThreadParticipantIds } = require('../../models/Message.model');
+const { REACTIONS, MESSAGE_EDITS } = require('../../config/constants');
 
 function ackFailure(action, messageId, code, correlationId) {
   const serverTs = Date.now();
@@ -46,7 +56,9 @@ function ackSuccess(action, messageId, serverTs, extra = {}, correlationId) {
 }
 
 /**
- * Handle MESSAGE_EDIT: only sender may edit. Resolve message, validate, placeholder persist, broadcast MESSAGE_MUTATION, ACK.
+ * Handle MESSAGE_EDIT: only sender may edit, within MESSAGE_EDITS.windowMs of sending (EDIT_WINDOW_EXPIRED).
+ * Resolve message, validate, persist (all rows of a room message; the replaced content becomes a revision),
+ * broadcast MESSAGE_MUTATION, ACK.
  */
 async function handleMessageEdit(ws, payload, context = {}) {
   const correlationId = context.correlationId || null;
@@ -69,13 +81,16 @@ async function handleMessageEdit(ws, payload, context = {}) {
   }
 
   const serverTs = Date.now();
+  if (MESSAGE_EDITS.windowMs > 0 && message.timestamp != null && serverTs - message.timestamp > MESSAGE_EDITS.windowMs) {
+    return ackFailure('edit', messageId, 'EDIT_WINDOW_EXPIRED', correlationId);
+  }
   const existingContent = String((message.content ?? '').trim());
   const newContent = String((content ?? '').trim());
   if (existingContent === newContent) {
     return ackSuccess('edit', messageId, serverTs, { editedAt: message.editedAt ?? serverTs }, correlationId);
   }
 
-  const updated = await dbAdapter.editMessageContent(messageId, userId, content);
+  const updated = await dbAdapter.editMessageContent(message.roomMessageId || messageId, userId, content);
   if (!updated) {
     return ackFailure('edit', messageId, 'NOT_FOUND', correlationId);
   }
@@ -128,6 +143,7 @@ async function handleMessageDelete(ws, payload, context = {}) {
     return ackFailure('delete', messageId, 'NOT_FOUND', correlationId);
   }
   const deletedAt = updated.deletedAt ?? serverTs;
+  await messageService.removeMessageBookmarks([message.roomMessageId || messageId]);
 
   const mutationPayload = {
     type: MessageType.MESSAGE_MUTATION,
@@ -147,7 +163,164 @@ async function handleMessageDelete(ws, payload, context = {}) {
   return ackSuccess('delete', messageId, serverTs, { deletedAt }, correlationId);
 }
 
+/**
+ * True if user may see (and therefore react to) the message: DM sender/recipient, or current room member.
+ * @param {Object} message - Stored message (canonical row for rooms)
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isMessageParticipant(message, userId) {
+  if (message.roomId) return roomManager.isRoomMember(message.roomId, userId);
+  return message.senderId === userId || message.recipientId === userId;
+}
+
+/**
+ * Shared MESSAGE_REACT / MESSAGE_UNREACT flow. Rooms: client sends roomMessageId (its message id),
+ * which resolves to the canonical row; storage applies the change to every row of that room message.
+ */
+async function handleReaction(action, ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) {
+    return ackFailure(action, payload?.messageId || null, 'UNAUTHORIZED', correlationId);
+  }
+
+  const { messageId, emoji } = payload;
+  if (!messageId || !emoji) {
+    return ackFailure(action, messageId || null, 'INVALID_PAYLOAD', correlationId);
+  }
+
+  // Read from DB (not the in-memory delivery cache): current reactions are needed for the distinct cap
+  const message = await dbAdapter.getMessage(messageId);
+  if (!message) {
+    return ackFailure(action, messageId, 'NOT_FOUND', correlationId);
+  }
+  if (!isMessageParticipant(message, userId)) {
+    return ackFailure(action, messageId, 'FORBIDDEN', correlationId);
+  }
+  if (message.deleted === true) {
+    return ackFailure(action, messageId, 'MESSAGE_DELETED', correlationId);
+  }
+
+  // Per-recipient room rows (rm_*) resolve to their room message so all rows stay in sync
+  const targetId = message.roomId && message.roomMessageId ? message.roomMessageId : messageId;
+  let updated;
+  if (action === 'react') {
+    const existing = message.reactions && typeof message.reactions === 'object' ? message.reactions : {};
+    const isNewEmoji = !Array.isArray(existing[emoji]) || existing[emoji].length === 0;
+    if (isNewEmoji && toReactionSummary(existing).length >= REACTIONS.maxDistinctPerMessage) {
+      return ackFailure(action, messageId, 'REACTION_LIMIT', correlationId);
+    }
+    updated = await dbAdapter.addReaction(targetId, userId, emoji);
+  } else {
+    updated = await dbAdapter.removeReaction(targetId, userId, emoji);
+  }
+  if (!updated) {
+    return ackFailure(action, messageId, 'NOT_FOUND', correlationId);
+  }
+
+  const serverTs = Date.now();
+  const reactions = toReactionSummary(updated.reactions);
+  const reactionPayload = {
+    type: MessageType.MESSAGE_REACTION,
+    messageId: targetId,
+    roomId: message.roomId || null,
+    reactions,
+    actorId: userId,
+    emoji,
+    action,
+    serverTs,
+  };
+  if (message.roomId && message.threadRootId && message.alsoSendToRoom !== true) {
+    const root = await dbAdapter.getMessage(message.threadRootId);
+    const audience = roomManager.getThreadAudience(message.roomId, getThreadParticipantIds(root));
+    roomManager.broadcastToRoom(message.roomId, reactionPayload, null, { onlyUserIds: audience });
+  } else if (message.roomId) {
+    roomManager.broadcastToRoom(message.roomId, reactionPayload);
+  } else {
+    sendToUserSocket(message.senderId, reactionPayload, { correlationId });
+    if (message.recipientId !== message.senderId) {
+      sendToUserSocket(message.recipientId, reactionPayload, { correlationId });
+    }
+  }
+
+  return ackSuccess(action, targetId, serverTs, { reactions }, correlationId);
+}
+
+/**
+ * Handle MESSAGE_REACT: add the caller's emoji reaction (idempotent).
+ */
+async function handleMessageReact(ws, payload, context = {}) {
+  return handleReaction('react', ws, payload, context);
+}
+
+/**
+ * Handle MESSAGE_UNREACT: remove the caller's emoji reaction (idempotent).
+ */
+async function handleMessageUnreact(ws, payload, context = {}) {
+  return handleReaction('unreact', ws, payload, context);
+}
+
+/**
+ * Shared MESSAGE_PIN / MESSAGE_UNPIN flow. Rooms: client sends roomMessageId; pins are keyed by it.
+ * CHAT_PINS_UPDATED carries the full, ordered pin list so clients replace rather than merge.
+ */
+async function handlePin(action, ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) {
+    return ackFailure(action, payload?.messageId || null, 'UNAUTHORIZED', correlationId);
+  }
+
+  const result = await messageService.setMessagePin(userId, payload?.messageId, action === 'pin');
+  if (!result.ok) {
+    return ackFailure(action, payload?.messageId || null, result.code, correlationId);
+  }
+
+  const serverTs = Date.now();
+  const pins = await historyService.getChatPins(result.chatId);
+  if (result.changed) {
+    const pinsPayload = {
+      type: MessageType.CHAT_PINS_UPDATED,
+      chatId: result.chatId,
+      roomId: result.roomId,
+      pins,
+      actorId: userId,
+      messageId: result.messageId,
+      action,
+      serverTs,
+    };
+    if (result.roomId) {
+      roomManager.broadcastToRoom(result.roomId, pinsPayload);
+    } else {
+      for (const participantId of historyService.getDirectChatParticipants(result.chatId)) {
+        sendToUserSocket(participantId, pinsPayload, { correlationId });
+      }
+    }
+  }
+
+  return ackSuccess(action, result.messageId, serverTs, { chatId: result.chatId, pins }, correlationId);
+}
+
+/**
+ * Handle MESSAGE_PIN: pin a message in its chat (idempotent).
+ */
+async function handleMessagePin(ws, payload, context = {}) {
+  return handlePin('pin', ws, payload, context);
+}
+
+/**
+ * Handle MESSAGE_UNPIN: unpin a message (idempotent).
+ */
+async function handleMessageUnpin(ws, payload, context = {}) {
+  return handlePin('unpin', ws, payload, context);
+}
+
 module.exports = {
   handleMessageEdit,
   handleMessageDelete,
+  handleMessageReact,
+  handleMessageUnreact,
+  handleMessagePin,
+  handleMessageUnpin,
 };
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Handler for MESSAGE_REQUEST_RESPOND (accept or decline a message request).
+ * THIN handler: messageRequestService checks that the caller is the recipient of a pending request and persists.
+ * MESSAGE_REQUEST_UPDATED goes to all of the recipient's sockets; on accept the requester gets it too, so their
+ * client can load the delivered / read states it was not shown. A declined requester is not told.
+ */
+
+const connectionManager = require('../connection/connectionManager');
+const { sendToUserSocket } = require('../services/message.service');
+const messageRequestService = require('../../services/messageRequest.service');
+const MessageType = require('../protocol/types');
+const logger = require('../../utils/logger');
+
+/**
+ * Handle MESSAGE_REQUEST_RESPOND { chatId, action: 'accept' | 'decline', block? }.
+ */
+async function handleMessageRequestRespond(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  const serverTs = Date.now();
+  if (!userId) {
+    return { type: MessageType.MESSAGE_REQUEST_RESPONSE, success: false, code: 'UNAUTHORIZED', error: 'Not authenticated', serverTs };
+  }
+
+  const result = await messageRequestService.respondToRequest(userId, payload?.chatId, payload?.action, { block: payload?.block === true });
+  if (!result.ok) {
+    logger.info('MessageRequest', 'respond_rejected', { code: result.code, correlationId: correlationId || undefined });
+    return {
+      type: MessageType.MESSAGE_REQUEST_RESPONSE,
+      success: false,
+      chatId: payload?.chatId || null,
+      code: result.code,
+      error: result.error,
+      serverTs,
+    };
+  }
+
+  const { request } = result;
+  const updatedPayload = {
+    type: MessageType.MESSAGE_REQUEST_UPDATED,
+    chatId: request.chatId,
+    requesterId: request.requesterId,
+    status: request.status,
+    serverTs,
+  };
+  sendToUserSocket(userId, updatedPayload, { correlationId });
+  if (request.status === messageRequestService.RequestStatus.ACCEPTED) {
+    sendToUserSocket(request.requesterId, updatedPayload, { correlationId });
+  }
+  logger.info('MessageRequest', 'responded', { chatId: request.chatId, status: request.status, blocked: result.blocked, correlationId: correlationId || undefined });
+
+  return {
+    type: MessageType.MESSAGE_REQUEST_RESPONSE,
+    success: true,
+    chatId: request.chatId,
+    status: request.status,
+    blocked: result.blocked,
+    serverTs,
+  };
+}
+
+module.exports = {
+  handleMessageRequestRespond,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Handler for POLL_VOTE (vote on a room poll).
+ * THIN handler: messageService.castPollVote checks room membership, the close time and the options, and persists.
+ * POLL_UPDATED (live tallies) goes to all room members; the voter gets POLL_VOTE_RESPONSE with their selection.
+ */
+
+const connectionManager = require('../connection/connectionManager');
+const messageService = require('../../services/message.service');
+const MessageType = require('../protocol/types');
+const roomManager = require('../state/roomManager');
+const { toPollSummary } = require('../../models/Message.model');
+const logger = require('../../utils/logger');
+
+/**
+ * Handle POLL_VOTE { messageId, optionIds } where messageId is the poll's roomMessageId.
+ * An empty optionIds retracts the caller's vote.
+ */
+async function handlePollVote(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  const serverTs = Date.now();
+  if (!userId) {
+    return { type: MessageType.POLL_VOTE_RESPONSE, success: false, code: 'UNAUTHORIZED', error: 'Not authenticated', serverTs };
+  }
+
+  const result = await messageService.castPollVote(userId, payload?.messageId, payload?.optionIds);
+  if (!result.ok) {
+    logger.info('Poll', 'vote_rejected', { code: result.code, correlationId: correlationId || undefined });
+    return {
+      type: MessageType.POLL_VOTE_RESPONSE,
+      success: false,
+      messageId: payload?.messageId || null,
+      code: result.code,
+      error: result.error,
+      serverTs,
+    };
+  }
+
+  // Room-wide tallies have no viewer: anonymous polls only carry counts
+  roomManager.broadcastToRoom(result.roomId, {
+    type: MessageType.POLL_UPDATED,
+    roomId: result.roomId,
+    messageId: result.messageId,
+    poll: toPollSummary(result.poll),
+    serverTs,
+  });
+
+  return {
+    type: MessageType.POLL_VOTE_RESPONSE,
+    success: true,
+    roomId: result.roomId,
+    messageId: result.messageId,
+    poll: toPollSummary(result.poll, userId),
+    serverTs,
+  };
+}
+
+module.exports = {
+  handlePollVote,
+};
@@ -10,6 +10,8 @@ const ErrorCodes = require('../../utils/errorCodes');
 const dbFailureHelper = require('../safety/dbFailureHelper');
 const { sendToUserSocket, getOrLoadMessage } = require('../services/message.service');
 const messageService = require('../../services/message.service');
+const MessageType = require('../protocol/types');
+const roomReceipts = require('../services/roomReceipts.service');
 
 /**
  * Handle MESSAGE_READ: validate, call messageService.markRead, emit returned result.
@@ -74,6 +76,80 @@ async function handleMessageRead(ws, payload, context = {}) {
   }
 }
 
+/**
+ * Handle MESSAGE_LISTENED { messageId }: the caller played a voice message. The first listen is persisted
+ * and the sender gets MESSAGE_LISTENED { messageId, roomId, userId, listenedAt } (not for unaccepted message
+ * requests); the caller gets MESSAGE_LISTENED_RESPONSE. Independent of read state (a voice note can be read but not yet played).
+ */
+async function handleMessageListened(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) {
+    return { type: MessageType.MESSAGE_LISTENED_RESPONSE, success: false, code: ErrorCodes.AUTH_REQUIRED, error: 'Not authenticated' };
+  }
+  const result = await messageService.markVoiceListened(userId, payload?.messageId);
+  if (!result.ok) {
+    return {
+      type: MessageType.MESSAGE_LISTENED_RESPONSE,
+      success: false,
+      messageId: payload?.messageId || null,
+      code: result.code,
+      error: result.error,
+    };
+  }
+  if (result.changed && result.notifySender) {
+    sendToUserSocket(result.senderId, {
+      type: MessageType.MESSAGE_LISTENED,
+      messageId: result.messageId,
+      roomId: result.roomId,
+      userId,
+      listenedAt: result.listenedAt,
+    }, { correlationId, messageId: result.messageId });
+  }
+  return {
+    type: MessageType.MESSAGE_LISTENED_RESPONSE,
+    success: true,
+    messageId: result.messageId,
+    roomId: result.roomId,
+    listenedAt: result.listenedAt,
+  };
+}
+
+/**
+ * Handle ROOM_READ { roomId, messageId }: the caller has seen the room up to messageId. Their rows up to it are
+ * marked read and the senders of the messages that changed get a (coalesced) ROOM_RECEIPTS_UPDATED; the caller
+ * gets ROOM_READ_RESPONSE { count } with the number of messages newly read.
+ */
+async function handleRoomRead(ws, payload) {
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) {
+    return { type: MessageType.ROOM_READ_RESPONSE, success: false, code: ErrorCodes.AUTH_REQUIRED, error: 'Not authenticated' };
+  }
+  const result = await messageService.markRoomRead(userId, payload?.roomId, payload?.messageId);
+  if (!result.ok) {
+    return {
+      type: MessageType.ROOM_READ_RESPONSE,
+      success: false,
+      roomId: payload?.roomId || null,
+      messageId: payload?.messageId || null,
+      code: result.code,
+      error: result.error,
+    };
+  }
+  dbFailureHelper.resetDbFailureCount(ws);
+  for (const { roomMessageId, senderId } of result.changed) {
+    roomReceipts.schedulePush({ roomId: result.roomId, roomMessageId, senderId });
+  }
+  return {
+    type: MessageType.ROOM_READ_RESPONSE,
+    success: true,
+    roomId: result.roomId,
+    messageId: result.messageId,
+    readAt: result.readAt,
+    count: result.changed.length,
+  };
+}
+
 /**
  * Handle MESSAGE_READ_CONFIRM protocol message
  */
@@ -146,5 +222,7 @@ async function handleClientAck(ws, payload, context = {}) {
 module.exports = {
   handleMessageRead,
   handleMessageReadConfirm,
+  handleMessageListened,
+  handleRoomRead,
   handleClientAck,
 };
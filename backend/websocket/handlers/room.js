@@ -11,9 +11,12 @@ const connectionManager = require('../connection/connectionManager');
 const roomManager = require('../state/roomManager');
 const groupService = require('../services/group.service');
 const { sendToUserSocket } = require('../services/message.service');
+const messageService = require('../../services/message.service');
+const attachmentService = require('../../services/attachment.service');
+const { toRoomChatId } = require('../../utils/chatId');
 const logger = require('../../utils/logger');
 const ErrorCodes = require('../../utils/errorCodes');
-const { MAX_CONTENT_LENGTH, MAX_ROOM_NAME_LENGTH, MAX_THUMBNAIL_URL_LENGTH } = require('../../config/constants');
+const { MAX_CONTENT_LENGTH, MAX_ROOM_NAME_LENGTH, MAX_THUMBNAIL_URL_LENGTH, MAX_ROOM_TOPIC_LENGTH } = require('../../config/constants');
 const userStore = require('../../storage/user.store');
 const { ROLES } = require('../../auth/roles');
 
@@ -96,7 +99,9 @@ async function handleRoomCreate(ws, payload, context = {}) {
 }
 
 /**
- * Handle ROOM_JOIN message (existing; backward compatible).
+ * Handle ROOM_JOIN message (existing; backward compatible). Rooms without a visibility setting are unlisted and stay
+ * joinable by roomId. Only members rejoin rooms set to private (others get NOT_FOUND, like a missing room; invites and
+ * ROOM_ADD_MEMBERS add them). Knock rooms answer APPROVAL_REQUIRED to non-members.
  */
 async function handleRoomJoin(ws, payload, context = {}) {
   const userId = connectionManager.getUserId(ws);
@@ -110,6 +115,16 @@ async function handleRoomJoin(ws, payload, context = {}) {
   if (!roomId) {
     return errResponse(correlationId, 'VALIDATION_ERROR', 'Room ID is required');
   }
+  const visibility = roomManager.getVisibility(roomId);
+  if (visibility && !roomManager.isRoomMember(roomId, userId)) {
+    if (visibility === roomManager.VISIBILITY_PRIVATE) {
+      auditDenied('ROOM_JOIN', userId, roomId, 'NOT_FOUND', 'Private room');
+      return errResponse(correlationId, 'NOT_FOUND', 'Room not found');
+    }
+    if (visibility === roomManager.VISIBILITY_KNOCK) {
+      return errResponse(correlationId, 'APPROVAL_REQUIRED', 'This room requires approval to join; send ROOM_JOIN_REQUEST');
+    }
+  }
 
   const result = await roomManager.joinRoom(roomId, userId);
   if (!result.success) {
@@ -187,7 +202,7 @@ async function handleRoomMessage(ws, payload, context = {}) {
   if (!userId) {
     return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: 'Not authenticated', code: ErrorCodes.UNAUTHORIZED };
   }
-  const { roomId, content, clientMessageId, messageType } = payload;
+  const { roomId, content, clientMessageId, messageType, replyToMessageId, threadRootId, alsoSendToRoom, contentType, poll, attachmentIds } = payload;
   if (payload.recipientId != null || payload.toUserId != null || payload.peerUserId != null) {
     return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: 'Room message must not include recipientId/toUserId', code: ErrorCodes.INVALID_PAYLOAD, roomId };
   }
@@ -203,8 +218,45 @@ async function handleRoomMessage(ws, payload, context = {}) {
   if (!roomManager.isRoomMember(roomId, userId)) {
     return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: 'Not a member of this room', code: ErrorCodes.NOT_A_MEMBER, roomId };
   }
+  const reply = await messageService.resolveReplyTarget(replyToMessageId, toRoomChatId(roomId));
+  if (!reply.ok) {
+    return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: reply.error, code: ErrorCodes.INVALID_PAYLOAD, roomId };
+  }
+  const thread = await messageService.resolveThreadRoot(threadRootId, toRoomChatId(roomId));
+  if (!thread.ok) {
+    return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: thread.error, code: ErrorCodes.INVALID_PAYLOAD, roomId };
+  }
+  let pollDefinition = null;
+  if (contentType === 'poll') {
+    if (thread.threadRootId) {
+      return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: 'Polls cannot be posted in threads', code: ErrorCodes.INVALID_PAYLOAD, roomId };
+    }
+    const normalized = messageService.normalizePollDefinition(poll);
+    if (!normalized.ok) {
+      return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: normalized.error, code: ErrorCodes.INVALID_PAYLOAD, roomId };
+    }
+    pollDefinition = normalized.poll;
+  }
+  let attachments = null;
+  if (contentType === 'file' || contentType === 'voice') {
+    const resolved = await attachmentService.resolveMessageAttachments(userId, toRoomChatId(roomId), attachmentIds, contentType);
+    if (!resolved.ok) {
+      return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: resolved.error, code: resolved.code, roomId };
+    }
+    attachments = resolved.attachments;
+  }
   const correlationId = context.correlationId || null;
-  const result = await groupService.sendRoomMessage(userId, roomId, content, clientMessageId, messageType, { correlationId, originSocket: ws });
+  const result = await groupService.sendRoomMessage(userId, roomId, content, clientMessageId, messageType, {
+    correlationId,
+    originSocket: ws,
+    replyToMessageId: reply.replyToMessageId,
+    replyTo: reply.replyTo,
+    threadRootId: thread.threadRootId,
+    threadRoot: thread.root,
+    alsoSendToRoom: alsoSendToRoom === true,
+    poll: pollDefinition,
+    attachments,
+  });
   if (!result.success && result.error) {
     return { type: 'ROOM_MESSAGE_RESPONSE', success: false, error: result.error, code: ErrorCodes.BROADCAST_FAILED, roomId };
   }
@@ -297,7 +349,7 @@ function handleRoomMembers(ws, payload, context = {}) {
 }
 
 /**
- * Handle ROOM_UPDATE_META. RBAC: OWNER or ADMIN. Broadcasts ROOM_UPDATED.
+ * Handle ROOM_UPDATE_META { roomId, patch: { name?, thumbnailUrl?, topic?, visibility? } }. RBAC: OWNER or ADMIN. Broadcasts ROOM_UPDATED.
  */
 async function handleRoomUpdateMeta(ws, payload, context = {}) {
   const userId = connectionManager.getUserId(ws);
@@ -305,8 +357,11 @@ async function handleRoomUpdateMeta(ws, payload, context = {}) {
 
   if (!userId) return errResponse(correlationId, 'UNAUTHORIZED', 'Not authenticated');
   const { roomId, patch } = payload;
-  if (!roomId || !patch || (patch.name === undefined && patch.thumbnailUrl === undefined)) {
-    return errResponse(correlationId, 'VALIDATION_ERROR', 'roomId and patch (name or thumbnailUrl) required');
+  if (!roomId || !patch || (patch.name === undefined && patch.thumbnailUrl === undefined && patch.topic === undefined && patch.visibility === undefined)) {
+    return errResponse(correlationId, 'VALIDATION_ERROR', 'roomId and patch (name, thumbnailUrl, topic or visibility) required');
+  }
+  if (patch.visibility !== undefined && !roomManager.VISIBILITIES.includes(patch.visibility)) {
+    return errResponse(correlationId, 'VALIDATION_ERROR', `visibility must be one of ${roomManager.VISIBILITIES.join(', ')}`);
   }
   const sanitizedPatch = {};
   if (patch.name !== undefined) {
@@ -316,6 +371,10 @@ async function handleRoomUpdateMeta(ws, payload, context = {}) {
     const v = patch.thumbnailUrl;
     sanitizedPatch.thumbnailUrl = v == null ? null : String(v).trim().slice(0, MAX_THUMBNAIL_URL_LENGTH) || null;
   }
+  if (patch.topic !== undefined) {
+    sanitizedPatch.topic = patch.topic == null ? null : String(patch.topic).trim().slice(0, MAX_ROOM_TOPIC_LENGTH) || null;
+  }
+  if (patch.visibility !== undefined) sanitizedPatch.visibility = patch.visibility;
 
   const result = await roomManager.updateRoomMeta(roomId, userId, sanitizedPatch);
   if (!result.success) {
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Handlers for room join requests ("knock"): ROOM_JOIN_REQUEST, ROOM_JOIN_REQUESTS, ROOM_JOIN_REQUEST_REVIEW.
+ * THIN handlers: roomJoinRequestService checks visibility and permissions and keeps the queue on the room record.
+ * New requests (ROOM_JOIN_REQUESTED) go to every socket of the room's owners, admins and moderators; decisions
+ * (ROOM_JOIN_REQUEST_UPDATED) go to them and to the requester. Errors are ERROR frames, like the other room handlers.
+ */
+
+const connectionManager = require('../connection/connectionManager');
+const { sendToUserSocket } = require('../services/message.service');
+const roomJoinRequestService = require('../../services/roomJoinRequest.service');
+const MessageType = require('../protocol/types');
+const logger = require('../../utils/logger');
+
+function errResponse(correlationId, code, message) {
+  return { type: 'ERROR', correlationId: correlationId ?? null, code: code || 'ERROR', message: message || 'Error' };
+}
+
+function notifyReviewers(roomId, message, correlationId) {
+  for (const reviewerId of roomJoinRequestService.getReviewerIds(roomId)) {
+    sendToUserSocket(reviewerId, message, { correlationId });
+  }
+}
+
+/**
+ * Handle ROOM_JOIN_REQUEST { roomId, message? }. Asking again while pending returns the same request.
+ */
+async function handleRoomJoinRequest(ws, payload, context = {}) {
+  const userId = connectionManager.getUserId(ws);
+  const correlationId = payload.correlationId ?? context.correlationId ?? null;
+  if (!userId) return errResponse(correlationId, 'UNAUTHORIZED', 'Not authenticated');
+
+  const result = roomJoinRequestService.requestToJoin(userId, payload.roomId, payload.message);
+  if (!result.ok) {
+    logger.info('RoomJoinRequests', 'request_rejected', { code: result.code, correlationId: correlationId || undefined });
+    return errResponse(correlationId, result.code, result.error);
+  }
+  if (result.status === roomJoinRequestService.RequestStatus.PENDING && !result.alreadyPending) {
+    notifyReviewers(payload.roomId, {
+      type: MessageType.ROOM_JOIN_REQUESTED,
+      roomId: payload.roomId,
+      request: result.request,
+      timestamp: Date.now(),
+    }, correlationId);
+  }
+  return {
+    type: MessageType.ROOM_JOIN_REQUEST_RESPONSE,
+    success: true,
+    correlationId,
+    roomId: payload.roomId,
+    status: result.status,
+    request: result.request ?? null,
+    alreadyPending: result.alreadyPending === true,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Handle ROOM_JOIN_REQUESTS { roomId } — the pending queue, oldest first (owners, admins and moderators).
+ */
+async function handleRoomJoinRequests(ws, payload, context = {}) {
+  const userId = connectionManager.getUserId(ws);
+  const correlationId = payload.correlationId ?? context.correlationId ?? null;
+  if (!userId) return errResponse(correlationId, 'UNAUTHORIZED', 'Not authenticated');
+
+  const result = roomJoinRequestService.listRequests(userId, payload.roomId);
+  if (!result.ok) return errResponse(correlationId, result.code, result.error);
+  return {
+    type: MessageType.ROOM_JOIN_REQUESTS_RESPONSE,
+    success: true,
+    correlationId,
+    roomId: payload.roomId,
+    requests: result.requests,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Handle ROOM_JOIN_REQUEST_REVIEW { roomId, userId, action: 'approve' | 'deny', reason? } (owners, admins and moderators).
+ * An approved requester also gets ROOM_MEMBERS_UPDATED, like any new member.
+ */
+async function handleRoomJoinRequestReview(ws, payload, context = {}) {
+  const actorId = connectionManager.getUserId(ws);
+  const correlationId = payload.correlationId ?? context.correlationId ?? null;
+  if (!actorId) return errResponse(correlationId, 'UNAUTHORIZED', 'Not authenticated');
+
+  const result = await roomJoinRequestService.reviewRequest(actorId, payload.roomId, payload.userId, payload.action, payload.reason);
+  if (!result.ok) {
+    logger.info('RoomJoinRequests', 'review_rejected', { code: result.code, correlationId: correlationId || undefined });
+    return errResponse(correlationId, result.code, result.error);
+  }
+
+  const timestamp = Date.now();
+  const updated = {
+    type: MessageType.ROOM_JOIN_REQUEST_UPDATED,
+    roomId: payload.roomId,
+    userId: result.request.userId,
+    status: result.status,
+    reason: result.reason,
+    reviewedBy: actorId,
+    timestamp,
+  };
+  notifyReviewers(payload.roomId, updated, correlationId);
+  sendToUserSocket(result.request.userId, updated, { correlationId });
+  return {
+    type: MessageType.ROOM_JOIN_REQUEST_REVIEW_RESPONSE,
+    success: true,
+    correlationId,
+    roomId: payload.roomId,
+    userId: result.request.userId,
+    status: result.status,
+    timestamp,
+  };
+}
+
+module.exports = {
+  handleRoomJoinRequest,
+  handleRoomJoinRequests,
+  handleRoomJoinRequestReview,
+};
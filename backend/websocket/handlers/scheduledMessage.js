@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Handlers for SCHEDULED_MESSAGE_CREATE / _LIST / _UPDATE / _CANCEL ("send later").
+ * THIN handlers: messageService owns validation (chat membership, sendAt window, per-user limit) and storage.
+ * Each request gets one SCHEDULED_MESSAGE_RESPONSE; create/update/cancel also push SCHEDULED_MESSAGE_UPDATED to
+ * all of the sender's sockets so other tabs stay in sync. Sending at sendAt is done by scheduledDelivery.service.
+ */
+
+const connectionManager = require('../connection/connectionManager');
+const { sendToUserSocket } = require('../services/message.service');
+const messageService = require('../../services/message.service');
+const MessageType = require('../protocol/types');
+const { toScheduledMessageDto } = require('../../models/ScheduledMessage.model');
+const logger = require('../../utils/logger');
+
+function scheduledFailure(action, code, error, correlationId) {
+  logger.info('ScheduledMessage', `${action}_rejected`, { code, correlationId: correlationId || undefined });
+  return {
+    type: MessageType.SCHEDULED_MESSAGE_RESPONSE,
+    action,
+    success: false,
+    code,
+    error,
+    correlationId: correlationId || undefined,
+    serverTs: Date.now(),
+  };
+}
+
+/** Respond with the changed item and mirror it to the sender's other tabs. */
+function scheduledChanged(action, userId, scheduled, correlationId) {
+  const dto = toScheduledMessageDto(scheduled);
+  const serverTs = Date.now();
+  sendToUserSocket(userId, { type: MessageType.SCHEDULED_MESSAGE_UPDATED, scheduled: dto, serverTs }, { correlationId });
+  logger.info('ScheduledMessage', `${action}_ok`, { scheduledId: dto.scheduledId, correlationId: correlationId || undefined });
+  return {
+    type: MessageType.SCHEDULED_MESSAGE_RESPONSE,
+    action,
+    success: true,
+    scheduled: dto,
+    correlationId: correlationId || undefined,
+    serverTs,
+  };
+}
+
+/**
+ * Handle SCHEDULED_MESSAGE_CREATE { chatId, content, sendAt }.
+ */
+async function handleScheduledCreate(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) return scheduledFailure('create', 'UNAUTHORIZED', 'Not authenticated', correlationId);
+
+  const { chatId, content, sendAt } = payload || {};
+  const result = await messageService.scheduleMessage(userId, { chatId, content, sendAt });
+  if (!result.ok) return scheduledFailure('create', result.code, result.error, correlationId);
+  return scheduledChanged('create', userId, result.scheduled, correlationId);
+}
+
+/**
+ * Handle SCHEDULED_MESSAGE_LIST { chatId? }: the user's pending, sending and failed items, soonest first.
+ */
+async function handleScheduledList(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) return scheduledFailure('list', 'UNAUTHORIZED', 'Not authenticated', correlationId);
+
+  const items = await messageService.listScheduledMessages(userId, payload?.chatId || null);
+  return {
+    type: MessageType.SCHEDULED_MESSAGE_RESPONSE,
+    action: 'list',
+    success: true,
+    chatId: payload?.chatId || null,
+    items: items.map(toScheduledMessageDto),
+    correlationId: correlationId || undefined,
+    serverTs: Date.now(),
+  };
+}
+
+/**
+ * Handle SCHEDULED_MESSAGE_UPDATE { scheduledId, content?, sendAt? }: only while still pending.
+ */
+async function handleScheduledUpdate(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) return scheduledFailure('update', 'UNAUTHORIZED', 'Not authenticated', correlationId);
+
+  const { scheduledId, content, sendAt } = payload || {};
+  const result = await messageService.updateScheduledMessage(userId, scheduledId, { content, sendAt });
+  if (!result.ok) return scheduledFailure('update', result.code, result.error, correlationId);
+  return scheduledChanged('update', userId, result.scheduled, correlationId);
+}
+
+/**
+ * Handle SCHEDULED_MESSAGE_CANCEL { scheduledId }: pending or failed items only.
+ */
+async function handleScheduledCancel(ws, payload, context = {}) {
+  const correlationId = context.correlationId || null;
+  const userId = connectionManager.getUserId(ws);
+  if (!userId) return scheduledFailure('cancel', 'UNAUTHORIZED', 'Not authenticated', correlationId);
+
+  const result = await messageService.cancelScheduledMessage(userId, payload?.scheduledId);
+  if (!result.ok) return scheduledFailure('cancel', result.code, result.error, correlationId);
+  return scheduledChanged('cancel', userId, result.scheduled, correlationId);
+}
+
+module.exports = {
+  handleScheduledCreate,
+  handleScheduledList,
+  handleScheduledUpdate,
+  handleScheduledCancel,
+};
@@ -9,7 +9,10 @@
 const connectionManager = require('../connection/connectionManager');
 const ErrorCodes = require('../../utils/errorCodes');
 const { MAX_CONTENT_LENGTH } = require('../../config/constants');
+const { toDirectChatId } = require('../../utils/chatId');
 const messageService = require('../../services/message.service');
+const attachmentService = require('../../services/attachment.service');
+const { toMessageAttachments } = require('../../models/Attachment.model');
 const logger = require('../../utils/logger');
 const { transition, TRANSITION_EVENT } = require('../../utils/logger');
 const wsMessageService = require('../services/message.service');
@@ -21,8 +24,10 @@ const NACK_CODE_MAP = {
   [ErrorCodes.UNAUTHORIZED]: ErrorCodes.UNAUTHORIZED,
   [ErrorCodes.INVALID_PAYLOAD]: ErrorCodes.VALIDATION_ERROR,
   [ErrorCodes.CONTENT_TOO_LONG]: ErrorCodes.VALIDATION_ERROR,
+  [ErrorCodes.ATTACHMENT_NOT_FOUND]: ErrorCodes.VALIDATION_ERROR,
   [ErrorCodes.NOT_AUTHORIZED]: ErrorCodes.FORBIDDEN,
   [ErrorCodes.RATE_LIMIT_EXCEEDED]: ErrorCodes.RATE_LIMITED,
+  [ErrorCodes.USER_BLOCKED]: ErrorCodes.USER_BLOCKED,
   [ErrorCodes.PERSISTENCE_ERROR]: ErrorCodes.INTERNAL_ERROR,
 };
 
@@ -39,6 +44,80 @@ function toNack(code, errorMessage, clientMessageId) {
   };
 }
 
+/**
+ * Real-time path for a persisted DM: echo MESSAGE_RECEIVE to the sender's sockets (multi-tab sync),
+ * publish to Redis for other instances, attempt delivery to the recipient, then send DELIVERY_STATUS
+ * to the sender. Fire-and-forget after persist; never blocks the ACK.
+ * Message requests (ack.messageRequest) are delivered flagged messageRequest, without DELIVERY_STATUS.
+ * Shared by MESSAGE_SEND and MESSAGE_FORWARD.
+ *
+ * @param {Object} message - Persisted message domain object (acceptIncomingMessage)
+ * @param {Object} ack - Result of messageService.persistAndReturnAck
+ * @param {Object} [extra] - Resolved replyTo snippet
+ * @param {Object} [context] - { correlationId }
+ * @returns {Object} MESSAGE_RECEIVE payload
+ */
+function deliverDirectMessage(message, ack, extra = {}, context = {}) {
+  const correlationId = context.correlationId || null;
+  const { senderId, recipientId } = message;
+  // Frontend must handle MESSAGE_RECEIVE for realtime DM render.
+  const receivePayload = {
+    type: 'MESSAGE_RECEIVE',
+    messageId: ack.messageId,
+    senderId,
+    recipientId,
+    content: message.content,
+    timestamp: ack.timestamp,
+    state: ack.state,
+    replyToMessageId: message.replyToMessageId || null,
+    replyTo: extra.replyTo || null,
+    forwardedFrom: message.forwardedFrom || null,
+    expiresAt: ack.expiresAt ?? null,
+    contentType: message.contentType || 'text',
+    attachments: toMessageAttachments(message.attachments),
+    messageRequest: ack.messageRequest === true,
+  };
+  // Phase 2: Echo MESSAGE_RECEIVE to sender sockets for multi-tab sync (like group messages)
+  wsMessageService.sendToUserSocket(senderId, receivePayload, { correlationId, messageId: ack.messageId });
+  // Cross-instance: publish to Redis so other instances can deliver to recipient (fire-and-forget)
+  try {
+    redisBus.publishChatMessage({
+      type: 'chat.message',
+      originInstanceId: redisBus.getInstanceId(),
+      messageId: ack.messageId,
+      recipientId,
+      senderId,
+      ts: ack.timestamp,
+      receivePayload,
+    }).catch(() => {});
+  } catch (_) {}
+  // Deliver to recipient
+  wsMessageService.attemptDelivery(ack.messageId, receivePayload, { correlationId })
+    .then((delivered) => {
+      if (receivePayload.messageRequest) return;
+      const status = delivered ? 'DELIVERED' : 'RECIPIENT_OFFLINE';
+      wsMessageService.sendToUserSocket(senderId, {
+        type: 'DELIVERY_STATUS',
+        messageId: ack.messageId,
+        recipientId,
+        status,
+        ts: Date.now(),
+      }, { correlationId, messageId: ack.messageId });
+    })
+    .catch((err) => {
+      logger.error('SendMessage', 'delivery_attempt_error', { correlationId, messageId: ack.messageId, recipientId, error: err.message });
+      if (receivePayload.messageRequest) return;
+      wsMessageService.sendToUserSocket(senderId, {
+        type: 'DELIVERY_STATUS',
+        messageId: ack.messageId,
+        recipientId,
+        status: 'RECIPIENT_OFFLINE',
+        ts: Date.now(),
+      }, { correlationId, messageId: ack.messageId });
+    });
+  return receivePayload;
+}
+
 /** Handle MESSAGE_SEND: validate payload, delegate to message.service, return ACK or NACK, then DELIVERY_STATUS. */
 async function handleMessageSend(ws, payload, context = {}) {
   const correlationId = context.correlationId || null;
@@ -50,7 +129,7 @@ async function handleMessageSend(ws, payload, context = {}) {
     return toNack(ErrorCodes.AUTH_REQUIRED, 'Not authenticated', payload?.clientMessageId);
   }
 
-  const { recipientId, content, clientMessageId } = payload || {};
+  const { recipientId, content, clientMessageId, replyToMessageId, contentType, attachmentIds } = payload || {};
   if (payload.roomId != null || payload.groupId != null || payload.roomChatId != null) {
     return toNack(ErrorCodes.INVALID_PAYLOAD, 'DM must not include roomId/groupId', clientMessageId);
   }
@@ -64,11 +143,29 @@ async function handleMessageSend(ws, payload, context = {}) {
     return toNack(ErrorCodes.CONTENT_TOO_LONG, `content exceeds maximum length of ${MAX_CONTENT_LENGTH} characters`, clientMessageId);
   }
 
+  const chatId = toDirectChatId(senderId, recipientId);
+  const reply = await messageService.resolveReplyTarget(replyToMessageId, chatId);
+  if (!reply.ok) {
+    return toNack(reply.code, reply.error, clientMessageId);
+  }
+
+  // File/voice message: content is the caption; every attachment must be the sender's upload to this chat
+  let attachments;
+  if (contentType === 'file' || contentType === 'voice') {
+    const resolved = await attachmentService.resolveMessageAttachments(senderId, chatId, attachmentIds, contentType);
+    if (!resolved.ok) {
+      return toNack(resolved.code, resolved.error, clientMessageId);
+    }
+    attachments = resolved.attachments;
+  }
+
   const intake = messageService.acceptIncomingMessage({
     senderId,
     receiverId: recipientId,
     clientMessageId,
     content,
+    replyToMessageId: reply.replyToMessageId,
+    attachments,
   });
   if (!intake.ok) {
     return toNack(intake.code || ErrorCodes.INVALID_PAYLOAD, intake.error || 'Invalid payload', clientMessageId);
@@ -87,53 +184,9 @@ async function handleMessageSend(ws, payload, context = {}) {
       toState: 'PERSISTED',
     });
 
-    // Real-time: deliver to recipient if online; then send DELIVERY_STATUS to sender (do not block ACK)
-    // Frontend must handle MESSAGE_RECEIVE for realtime DM render.
-    const receivePayload = {
-      type: 'MESSAGE_RECEIVE',
-      messageId: ack.messageId,
-      senderId: intake.message.senderId,
-      recipientId: intake.message.recipientId,
-      content: intake.message.content,
-      timestamp: ack.timestamp,
-      state: ack.state,
-    };
-    // Phase 2: Echo MESSAGE_RECEIVE to sender sockets for multi-tab sync (like group messages)
-    wsMessageService.sendToUserSocket(senderId, receivePayload, { correlationId, messageId: ack.messageId });
-    // Cross-instance: publish to Redis so other instances can deliver to recipient (fire-and-forget)
-    try {
-      redisBus.publishChatMessage({
-        type: 'chat.message',
-        originInstanceId: redisBus.getInstanceId(),
-        messageId: ack.messageId,
-        recipientId: intake.message.recipientId,
-        senderId: intake.message.senderId,
-        ts: ack.timestamp,
-        receivePayload,
-      }).catch(() => {});
-    } catch (_) {}
-    // Deliver to recipient
-    wsMessageService.attemptDelivery(ack.messageId, receivePayload, { correlationId })
-      .then((delivered) => {
-        const status = delivered ? 'DELIVERED' : 'RECIPIENT_OFFLINE';
-        wsMessageService.sendToUserSocket(senderId, {
-          type: 'DELIVERY_STATUS',
-          messageId: ack.messageId,
-          recipientId: intake.message.recipientId,
-          status,
-          ts: Date.now(),
-        }, { correlationId, messageId: ack.messageId });
-      })
-      .catch((err) => {
-        logger.error('SendMessage', 'delivery_attempt_error', { correlationId, messageId: ack.messageId, recipientId, error: err.message });
-        wsMessageService.sendToUserSocket(senderId, {
-          type: 'DELIVERY_STATUS',
-          messageId: ack.messageId,
-          recipientId: intake.message.recipientId,
-          status: 'RECIPIENT_OFFLINE',
-          ts: Date.now(),
-        }, { correlationId, messageId: ack.messageId });
-      });
+    const receivePayload = deliverDirectMessage(intake.message, ack, {
+      replyTo: intake.message.replyToMessageId ? reply.replyTo : null,
+    }, { correlationId });
 
     return {
       type: 'MESSAGE_ACK',
@@ -145,6 +198,7 @@ async function handleMessageSend(ws, payload, context = {}) {
       timestamp: ack.timestamp,
       state: ack.state,
       recipientId: intake.message.recipientId,
+      messageRequest: ack.messageRequest === true,
       message: {
         id: ack.messageId,
         senderId: intake.message.senderId,
@@ -152,6 +206,11 @@ async function handleMessageSend(ws, payload, context = {}) {
         content: intake.message.content,
         createdAt: ack.timestamp,
         state: ack.state,
+        replyToMessageId: receivePayload.replyToMessageId,
+        replyTo: receivePayload.replyTo,
+        expiresAt: receivePayload.expiresAt,
+        contentType: receivePayload.contentType,
+        attachments: receivePayload.attachments,
       },
     };
   } catch (dbError) {
@@ -168,4 +227,5 @@ async function handleMessageSend(ws, payload, context = {}) {
 
 module.exports = {
   handleMessageSend,
+  deliverDirectMessage,
 };
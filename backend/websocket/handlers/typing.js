@@ -3,11 +3,13 @@
 /**
  * Tier-2: Typing handler. Best-effort UX signals.
  * Rate limiting enforced at router level before this handler runs.
+ * Never sent between two users when one blocked the other (DMs and rooms alike).
  */
 
 const connectionManager = require('../connection/connectionManager');
 const roomManager = require('../state/roomManager');
 const socketSafety = require('../safety/socketSafety');
+const blockService = require('../../services/block.service');
 
 function handleTypingStart(ws, payload, context = {}) {
   const userId = connectionManager.getUserId(ws);
@@ -17,14 +19,14 @@ function handleTypingStart(ws, payload, context = {}) {
   if (roomId) {
     const members = roomManager.getRoomMembers(roomId);
     for (const memberId of members) {
-      if (memberId === userId) continue;
+      if (memberId === userId || blockService.isBlockedBetween(userId, memberId)) continue;
       const sockets = connectionManager.getSockets(memberId);
       const msg = { type: 'TYPING_START', roomId, userId, timestamp: Date.now() };
       for (const targetWs of sockets) {
         socketSafety.sendMessage(targetWs, msg);
       }
     }
-  } else if (targetUserId) {
+  } else if (targetUserId && !blockService.isBlockedBetween(userId, targetUserId)) {
     const sockets = connectionManager.getSockets(targetUserId);
     const msg = { type: 'TYPING_START', targetUserId, userId, timestamp: Date.now() };
     for (const targetWs of sockets) {
@@ -43,14 +45,14 @@ function handleTypingStop(ws, payload, context = {}) {
   if (roomId) {
     const members = roomManager.getRoomMembers(roomId);
     for (const memberId of members) {
-      if (memberId === userId) continue;
+      if (memberId === userId || blockService.isBlockedBetween(userId, memberId)) continue;
       const sockets = connectionManager.getSockets(memberId);
       const msg = { type: 'TYPING_STOP', roomId, userId, timestamp: Date.now() };
       for (const targetWs of sockets) {
         socketSafety.sendMessage(targetWs, msg);
       }
     }
-  } else if (targetUserId) {
+  } else if (targetUserId && !blockService.isBlockedBetween(userId, targetUserId)) {
     const sockets = connectionManager.getSockets(targetUserId);
     const msg = { type: 'TYPING_STOP', targetUserId, userId, timestamp: Date.now() };
     for (const targetWs of sockets) {
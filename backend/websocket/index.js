@@ -395,10 +395,11 @@ function createPublicApi() {
      * @param {string} roomId - Room identifier
      * @param {Object} message - Message to broadcast
      * @param {string} [excludeUserId] - User ID to exclude
+     * @param {{ onlyUserIds?: string[] }} [options] - Restrict to these members (thread participants)
      * @returns {{success: boolean, sentCount: number, memberCount: number, error?: string}}
      */
-    broadcastToRoom(roomId, message, excludeUserId = null) {
-      return roomManager.broadcastToRoom(roomId, message, excludeUserId);
+    broadcastToRoom(roomId, message, excludeUserId = null, options = {}) {
+      return roomManager.broadcastToRoom(roomId, message, excludeUserId, options);
     },
 
     /**
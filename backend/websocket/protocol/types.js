@@ -18,6 +18,14 @@ const MessageType = {
   MESSAGE_READ: 'MESSAGE_READ',
   MESSAGE_READ_CONFIRM: 'MESSAGE_READ_CONFIRM',
   MESSAGE_DELIVERED_CONFIRM: 'MESSAGE_DELIVERED_CONFIRM',
+  // Voice messages: the recipient played it (client → server; server → sender), separate from read state
+  MESSAGE_LISTENED: 'MESSAGE_LISTENED',
+  MESSAGE_LISTENED_RESPONSE: 'MESSAGE_LISTENED_RESPONSE',
+  // Room read receipts: a member has seen the room up to a message (client → server); the sender's
+  // per-message counts and newest readers (server → sender, coalesced)
+  ROOM_READ: 'ROOM_READ',
+  ROOM_READ_RESPONSE: 'ROOM_READ_RESPONSE',
+  ROOM_RECEIPTS_UPDATED: 'ROOM_RECEIPTS_UPDATED',
   MESSAGE_REPLAY: 'MESSAGE_REPLAY',
   STATE_SYNC: 'STATE_SYNC',
   // Message mutations (edit/delete) — Phase 2 WS protocol
@@ -25,6 +33,43 @@ const MessageType = {
   MESSAGE_DELETE: 'MESSAGE_DELETE',
   MESSAGE_MUTATION: 'MESSAGE_MUTATION',
   MESSAGE_MUTATION_ACK: 'MESSAGE_MUTATION_ACK',
+  // Message reactions (persisted; broadcast to DM peers / room members)
+  MESSAGE_REACT: 'MESSAGE_REACT',
+  MESSAGE_UNREACT: 'MESSAGE_UNREACT',
+  MESSAGE_REACTION: 'MESSAGE_REACTION',
+  // Forward copies of existing messages into other DMs / rooms
+  MESSAGE_FORWARD: 'MESSAGE_FORWARD',
+  MESSAGE_FORWARD_RESPONSE: 'MESSAGE_FORWARD_RESPONSE',
+  // Pinned messages (persisted per chat; broadcast to DM peers / room members)
+  MESSAGE_PIN: 'MESSAGE_PIN',
+  MESSAGE_UNPIN: 'MESSAGE_UNPIN',
+  CHAT_PINS_UPDATED: 'CHAT_PINS_UPDATED',
+  // Scheduled ("send later") messages; sent at sendAt by the scheduler
+  SCHEDULED_MESSAGE_CREATE: 'SCHEDULED_MESSAGE_CREATE',
+  SCHEDULED_MESSAGE_LIST: 'SCHEDULED_MESSAGE_LIST',
+  SCHEDULED_MESSAGE_UPDATE: 'SCHEDULED_MESSAGE_UPDATE',
+  SCHEDULED_MESSAGE_CANCEL: 'SCHEDULED_MESSAGE_CANCEL',
+  SCHEDULED_MESSAGE_RESPONSE: 'SCHEDULED_MESSAGE_RESPONSE',
+  SCHEDULED_MESSAGE_UPDATED: 'SCHEDULED_MESSAGE_UPDATED',
+  // Disappearing messages: per-chat ephemeral mode; expired messages are hard-deleted by the sweeper
+  CHAT_EPHEMERAL_SET: 'CHAT_EPHEMERAL_SET',
+  CHAT_EPHEMERAL_RESPONSE: 'CHAT_EPHEMERAL_RESPONSE',
+  CHAT_SETTINGS_UPDATED: 'CHAT_SETTINGS_UPDATED',
+  MESSAGES_EXPIRED: 'MESSAGES_EXPIRED',
+  // Muted chats: per user, synced to all of the user's devices
+  CHAT_MUTE_SET: 'CHAT_MUTE_SET',
+  CHAT_MUTE_RESPONSE: 'CHAT_MUTE_RESPONSE',
+  CHAT_MUTE_UPDATED: 'CHAT_MUTE_UPDATED',
+  // Message requests: the recipient accepts or declines a first DM from a non-contact
+  MESSAGE_REQUEST_RESPOND: 'MESSAGE_REQUEST_RESPOND',
+  MESSAGE_REQUEST_RESPONSE: 'MESSAGE_REQUEST_RESPONSE',
+  MESSAGE_REQUEST_UPDATED: 'MESSAGE_REQUEST_UPDATED',
+  // @mentions: sent to each mentioned room member in addition to ROOM_MESSAGE
+  MENTION: 'MENTION',
+  // Room polls (ROOM_MESSAGE with contentType 'poll'); live tallies go to all room members
+  POLL_VOTE: 'POLL_VOTE',
+  POLL_VOTE_RESPONSE: 'POLL_VOTE_RESPONSE',
+  POLL_UPDATED: 'POLL_UPDATED',
   // Reconnect resync
   RESUME: 'RESUME',
   // Presence
@@ -45,12 +90,22 @@ const MessageType = {
   ROOM_REMOVE_MEMBER: 'ROOM_REMOVE_MEMBER',
   ROOM_SET_ROLE: 'ROOM_SET_ROLE',
   ROOM_DELETE: 'ROOM_DELETE',
+  // Join requests ("knock") for rooms with visibility 'knock'; owners and admins review them
+  ROOM_JOIN_REQUEST: 'ROOM_JOIN_REQUEST',
+  ROOM_JOIN_REQUEST_RESPONSE: 'ROOM_JOIN_REQUEST_RESPONSE',
+  ROOM_JOIN_REQUESTS: 'ROOM_JOIN_REQUESTS',
+  ROOM_JOIN_REQUESTS_RESPONSE: 'ROOM_JOIN_REQUESTS_RESPONSE',
+  ROOM_JOIN_REQUEST_REVIEW: 'ROOM_JOIN_REQUEST_REVIEW',
+  ROOM_JOIN_REQUEST_REVIEW_RESPONSE: 'ROOM_JOIN_REQUEST_REVIEW_RESPONSE',
+  ROOM_JOIN_REQUESTED: 'ROOM_JOIN_REQUESTED',
+  ROOM_JOIN_REQUEST_UPDATED: 'ROOM_JOIN_REQUEST_UPDATED',
   // Server → Client room events
   ROOM_CREATED: 'ROOM_CREATED',
   ROOM_UPDATED: 'ROOM_UPDATED',
   ROOM_MEMBERS_UPDATED: 'ROOM_MEMBERS_UPDATED',
   ROOM_DELETED: 'ROOM_DELETED',
   ROOMS_SNAPSHOT: 'ROOMS_SNAPSHOT',
+  ROOM_THREAD_UPDATED: 'ROOM_THREAD_UPDATED',
   TYPING_START: 'TYPING_START',
   TYPING_STOP: 'TYPING_STOP',
 };
@@ -7,11 +7,45 @@
  */
 
 const { z } = require('zod');
-const { MAX_CONTENT_LENGTH } = require('../../config/constants');
+const { MAX_CONTENT_LENGTH, MAX_ROOM_TOPIC_LENGTH, REACTIONS, FORWARD, POLLS, ATTACHMENTS, ROOM_JOIN_REQUESTS } = require('../../config/constants');
 
 const MAX_CONTENT = MAX_CONTENT_LENGTH;
 const MAX_ROOM_NAME_LENGTH = 200;
 const MAX_THUMBNAIL_URL_LENGTH = 2048;
+const MAX_MESSAGE_ID_LENGTH = 256;
+
+// Reaction emoji is stored as a document key (reactions.<emoji>), so only emoji sequences are accepted: a pictograph,
+// flag or keycap, then modifiers, variation selectors, ZWJ-joined pictographs or tag characters. Rules out '.', '$',
+// whitespace and prototype keys such as __proto__ or constructor.
+const EMOJI_SEQUENCE = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|[\u200D\uFE0F\u20E3]|[\u{E0020}-\u{E007F}])*$/u;
+const reactionEmoji = z
+  .string()
+  .min(1, 'emoji is required')
+  .max(REACTIONS.maxEmojiLength, `emoji exceeds ${REACTIONS.maxEmojiLength} characters`)
+  .regex(EMOJI_SEQUENCE, 'emoji must be an emoji');
+
+// File messages (contentType 'file'): ids from POST /api/uploads/file; content is the caption.
+// Voice messages (contentType 'voice'): the one id from POST /api/uploads/voice
+const attachmentIds = z
+  .array(z.string().min(1).max(MAX_MESSAGE_ID_LENGTH))
+  .min(1, 'attachmentIds is required for file messages')
+  .max(ATTACHMENTS.maxPerMessage, `at most ${ATTACHMENTS.maxPerMessage} attachments per message`);
+
+// Poll tallies (toPollSummary); voterIds only for named polls, myOptionIds only when shaped for the voter
+const pollSummary = z.object({
+  options: z.array(z.object({
+    id: z.string().min(1),
+    text: z.string().min(1),
+    count: z.number().int(),
+    voterIds: z.array(z.string()).optional(),
+  })),
+  multiple: z.boolean(),
+  anonymous: z.boolean(),
+  closesAt: z.number().nullable(),
+  closed: z.boolean(),
+  totalVoters: z.number().int(),
+  myOptionIds: z.array(z.string()).optional(),
+});
 
 // Payload schemas per type (validates { type, ...payload })
 const payloadSchemas = {
@@ -24,6 +58,9 @@ const payloadSchemas = {
     recipientId: z.string().min(1, 'recipientId is required'),
     content: z.string().min(1, 'content is required').max(MAX_CONTENT, `content exceeds ${MAX_CONTENT} characters`),
     clientMessageId: z.string().optional(),
+    replyToMessageId: z.string().min(1).max(MAX_MESSAGE_ID_LENGTH).nullable().optional(),
+    contentType: z.enum(['text', 'file', 'voice']).optional(),
+    attachmentIds: attachmentIds.optional(),
   }),
   MESSAGE_READ: z.object({
     type: z.literal('MESSAGE_READ'),
@@ -37,6 +74,15 @@ const payloadSchemas = {
     type: z.literal('MESSAGE_DELIVERED_CONFIRM'),
     messageId: z.string().min(1, 'messageId is required'),
   }),
+  MESSAGE_LISTENED: z.object({
+    type: z.literal('MESSAGE_LISTENED'),
+    messageId: z.string().min(1, 'messageId is required').max(MAX_MESSAGE_ID_LENGTH),
+  }),
+  ROOM_READ: z.object({
+    type: z.literal('ROOM_READ'),
+    roomId: z.string().min(1, 'roomId is required'),
+    messageId: z.string().min(1, 'messageId is required').max(MAX_MESSAGE_ID_LENGTH),
+  }),
   MESSAGE_REPLAY: z.object({
     type: z.literal('MESSAGE_REPLAY'),
     lastMessageId: z.string().optional(),
@@ -99,6 +145,17 @@ const payloadSchemas = {
     content: z.string().min(1, 'content is required').max(MAX_CONTENT, `content exceeds ${MAX_CONTENT} characters`),
     clientMessageId: z.string().optional(),
     messageType: z.string().optional(),
+    replyToMessageId: z.string().min(1).max(MAX_MESSAGE_ID_LENGTH).nullable().optional(),
+    threadRootId: z.string().min(1).max(MAX_MESSAGE_ID_LENGTH).nullable().optional(),
+    alsoSendToRoom: z.boolean().optional(),
+    contentType: z.enum(['text', 'poll', 'file', 'voice']).optional(),
+    attachmentIds: attachmentIds.optional(),
+    poll: z.object({
+      options: z.array(z.string().max(POLLS.maxOptionLength)).min(POLLS.minOptions).max(POLLS.maxOptions),
+      multiple: z.boolean().optional(),
+      anonymous: z.boolean().optional(),
+      closesAt: z.number().int().nullable().optional(),
+    }).optional(),
   }),
   ROOM_INFO: z.object({
     type: z.literal('ROOM_INFO'),
@@ -121,6 +178,8 @@ const payloadSchemas = {
     patch: z.object({
       name: z.string().max(MAX_ROOM_NAME_LENGTH).optional(),
       thumbnailUrl: z.string().max(MAX_THUMBNAIL_URL_LENGTH).nullable().optional(),
+      topic: z.string().max(MAX_ROOM_TOPIC_LENGTH).nullable().optional(),
+      visibility: z.enum(['private', 'unlisted', 'public', 'knock']).optional(),
     }),
     correlationId: z.string().optional(),
   }),
@@ -148,6 +207,25 @@ const payloadSchemas = {
     roomId: z.string().min(1, 'roomId is required'),
     correlationId: z.string().optional(),
   }),
+  ROOM_JOIN_REQUEST: z.object({
+    type: z.literal('ROOM_JOIN_REQUEST'),
+    roomId: z.string().min(1, 'roomId is required'),
+    message: z.string().max(ROOM_JOIN_REQUESTS.maxMessageLength).nullable().optional(),
+    correlationId: z.string().optional(),
+  }),
+  ROOM_JOIN_REQUESTS: z.object({
+    type: z.literal('ROOM_JOIN_REQUESTS'),
+    roomId: z.string().min(1, 'roomId is required'),
+    correlationId: z.string().optional(),
+  }),
+  ROOM_JOIN_REQUEST_REVIEW: z.object({
+    type: z.literal('ROOM_JOIN_REQUEST_REVIEW'),
+    roomId: z.string().min(1, 'roomId is required'),
+    userId: z.string().min(1, 'userId is required'),
+    action: z.enum(['approve', 'deny']),
+    reason: z.string().max(ROOM_JOIN_REQUESTS.maxMessageLength).nullable().optional(),
+    correlationId: z.string().optional(),
+  }),
   // Message mutations (edit/delete) — inbound from client
   MESSAGE_EDIT: z.object({
     type: z.literal('MESSAGE_EDIT'),
@@ -158,6 +236,76 @@ const payloadSchemas = {
     type: z.literal('MESSAGE_DELETE'),
     messageId: z.string().min(1, 'messageId is required'),
   }),
+  MESSAGE_REACT: z.object({
+    type: z.literal('MESSAGE_REACT'),
+    messageId: z.string().min(1, 'messageId is required'),
+    emoji: reactionEmoji,
+  }),
+  MESSAGE_UNREACT: z.object({
+    type: z.literal('MESSAGE_UNREACT'),
+    messageId: z.string().min(1, 'messageId is required'),
+    emoji: reactionEmoji,
+  }),
+  MESSAGE_FORWARD: z.object({
+    type: z.literal('MESSAGE_FORWARD'),
+    messageIds: z
+      .array(z.string().min(1).max(MAX_MESSAGE_ID_LENGTH))
+      .min(1, 'messageIds is required')
+      .max(FORWARD.maxMessages, `at most ${FORWARD.maxMessages} messages`),
+    targetChatIds: z
+      .array(z.string().min(1).max(MAX_MESSAGE_ID_LENGTH))
+      .min(1, 'targetChatIds is required')
+      .max(FORWARD.maxTargets, `at most ${FORWARD.maxTargets} chats`),
+  }),
+  MESSAGE_PIN: z.object({
+    type: z.literal('MESSAGE_PIN'),
+    messageId: z.string().min(1, 'messageId is required'),
+  }),
+  MESSAGE_UNPIN: z.object({
+    type: z.literal('MESSAGE_UNPIN'),
+    messageId: z.string().min(1, 'messageId is required'),
+  }),
+  SCHEDULED_MESSAGE_CREATE: z.object({
+    type: z.literal('SCHEDULED_MESSAGE_CREATE'),
+    chatId: z.string().min(1, 'chatId is required').max(MAX_MESSAGE_ID_LENGTH),
+    content: z.string().min(1, 'content is required').max(MAX_CONTENT, `content exceeds ${MAX_CONTENT} characters`),
+    sendAt: z.number().int().positive('sendAt must be epoch milliseconds'),
+  }),
+  SCHEDULED_MESSAGE_LIST: z.object({
+    type: z.literal('SCHEDULED_MESSAGE_LIST'),
+    chatId: z.string().min(1).max(MAX_MESSAGE_ID_LENGTH).nullable().optional(),
+  }),
+  SCHEDULED_MESSAGE_UPDATE: z.object({
+    type: z.literal('SCHEDULED_MESSAGE_UPDATE'),
+    scheduledId: z.string().min(1, 'scheduledId is required').max(MAX_MESSAGE_ID_LENGTH),
+    content: z.string().min(1).max(MAX_CONTENT, `content exceeds ${MAX_CONTENT} characters`).optional(),
+    sendAt: z.number().int().positive('sendAt must be epoch milliseconds').optional(),
+  }).refine((m) => m.content !== undefined || m.sendAt !== undefined, { message: 'content or sendAt is required' }),
+  SCHEDULED_MESSAGE_CANCEL: z.object({
+    type: z.literal('SCHEDULED_MESSAGE_CANCEL'),
+    scheduledId: z.string().min(1, 'scheduledId is required').max(MAX_MESSAGE_ID_LENGTH),
+  }),
+  CHAT_EPHEMERAL_SET: z.object({
+    type: z.literal('CHAT_EPHEMERAL_SET'),
+    chatId: z.string().min(1, 'chatId is required').max(MAX_MESSAGE_ID_LENGTH),
+    mode: z.enum(['off', '1h', '24h', '7d']),
+  }),
+  CHAT_MUTE_SET: z.object({
+    type: z.literal('CHAT_MUTE_SET'),
+    chatId: z.string().min(1, 'chatId is required').max(MAX_MESSAGE_ID_LENGTH),
+    mode: z.enum(['off', '1h', '8h', '1w', 'forever']),
+  }),
+  MESSAGE_REQUEST_RESPOND: z.object({
+    type: z.literal('MESSAGE_REQUEST_RESPOND'),
+    chatId: z.string().min(1, 'chatId is required').max(MAX_MESSAGE_ID_LENGTH),
+    action: z.enum(['accept', 'decline']),
+    block: z.boolean().optional(),
+  }),
+  POLL_VOTE: z.object({
+    type: z.literal('POLL_VOTE'),
+    messageId: z.string().min(1, 'messageId is required').max(MAX_MESSAGE_ID_LENGTH),
+    optionIds: z.array(z.string().min(1).max(MAX_MESSAGE_ID_LENGTH)).max(POLLS.maxOptions),
+  }),
   // Outbound (server → client) — for reference; not used for inbound validation
   MESSAGE_MUTATION: z.object({
     type: z.literal('MESSAGE_MUTATION'),
@@ -172,7 +320,7 @@ const payloadSchemas = {
   }),
   MESSAGE_MUTATION_ACK: z.object({
     type: z.literal('MESSAGE_MUTATION_ACK'),
-    action: z.enum(['edit', 'delete']),
+    action: z.enum(['edit', 'delete', 'react', 'unreact', 'pin', 'unpin']),
     messageId: z.string().min(1),
     success: z.boolean(),
     code: z.string().optional(),
@@ -180,6 +328,166 @@ const payloadSchemas = {
     editedAt: z.number().nullable().optional(),
     deletedAt: z.number().nullable().optional(),
   }),
+  MESSAGE_REACTION: z.object({
+    type: z.literal('MESSAGE_REACTION'),
+    messageId: z.string().min(1),
+    roomId: z.string().nullable().optional(),
+    reactions: z.array(z.object({
+      emoji: z.string().min(1),
+      count: z.number().int(),
+      userIds: z.array(z.string()),
+    })),
+    actorId: z.string().min(1),
+    emoji: z.string().min(1),
+    action: z.enum(['react', 'unreact']),
+    serverTs: z.number(),
+  }),
+  CHAT_PINS_UPDATED: z.object({
+    type: z.literal('CHAT_PINS_UPDATED'),
+    chatId: z.string().min(1),
+    roomId: z.string().nullable().optional(),
+    pins: z.array(z.object({
+      messageId: z.string().min(1),
+      senderId: z.string().nullable(),
+      content: z.string().nullable(),
+      deleted: z.boolean(),
+      timestamp: z.number().nullable(),
+      pinnedBy: z.string().min(1),
+      pinnedAt: z.number(),
+    })),
+    actorId: z.string().min(1),
+    messageId: z.string().min(1),
+    action: z.enum(['pin', 'unpin']),
+    serverTs: z.number(),
+  }),
+  SCHEDULED_MESSAGE_UPDATED: z.object({
+    type: z.literal('SCHEDULED_MESSAGE_UPDATED'),
+    scheduled: z.object({
+      scheduledId: z.string().min(1),
+      chatId: z.string().min(1),
+      content: z.string(),
+      sendAt: z.number(),
+      status: z.enum(['pending', 'sending', 'sent', 'failed', 'cancelled']),
+      messageId: z.string().nullable(),
+      createdAt: z.number(),
+      updatedAt: z.number(),
+      sentAt: z.number().nullable(),
+      error: z.string().nullable(),
+    }),
+    serverTs: z.number(),
+  }),
+  CHAT_SETTINGS_UPDATED: z.object({
+    type: z.literal('CHAT_SETTINGS_UPDATED'),
+    chatId: z.string().min(1),
+    roomId: z.string().nullable().optional(),
+    settings: z.object({
+      chatId: z.string().min(1),
+      ephemeral: z.enum(['off', '1h', '24h', '7d']),
+      ephemeralTtlMs: z.number().int(),
+      updatedBy: z.string().nullable(),
+      updatedAt: z.number().nullable(),
+    }),
+    actorId: z.string().min(1),
+    serverTs: z.number(),
+  }),
+  CHAT_MUTE_UPDATED: z.object({
+    type: z.literal('CHAT_MUTE_UPDATED'),
+    chatId: z.string().min(1),
+    mute: z.object({
+      chatId: z.string().min(1),
+      muted: z.boolean(),
+      mutedUntil: z.number().nullable(),
+    }),
+    serverTs: z.number(),
+  }),
+  MESSAGE_REQUEST_UPDATED: z.object({
+    type: z.literal('MESSAGE_REQUEST_UPDATED'),
+    chatId: z.string().min(1),
+    requesterId: z.string().min(1),
+    status: z.enum(['accepted', 'declined']),
+    serverTs: z.number(),
+  }),
+  ROOM_JOIN_REQUESTED: z.object({
+    type: z.literal('ROOM_JOIN_REQUESTED'),
+    roomId: z.string().min(1),
+    request: z.object({
+      userId: z.string().min(1),
+      requestedAt: z.number(),
+      message: z.string().nullable(),
+    }),
+    timestamp: z.number(),
+  }),
+  ROOM_JOIN_REQUEST_UPDATED: z.object({
+    type: z.literal('ROOM_JOIN_REQUEST_UPDATED'),
+    roomId: z.string().min(1),
+    userId: z.string().min(1),
+    status: z.enum(['approved', 'denied']),
+    reason: z.string().nullable(),
+    reviewedBy: z.string().min(1),
+    timestamp: z.number(),
+  }),
+  MESSAGES_EXPIRED: z.object({
+    type: z.literal('MESSAGES_EXPIRED'),
+    chatId: z.string().min(1),
+    roomId: z.string().nullable().optional(),
+    messageIds: z.array(z.string().min(1)),
+    serverTs: z.number(),
+  }),
+  MENTION: z.object({
+    type: z.literal('MENTION'),
+    roomId: z.string().min(1),
+    chatId: z.string().min(1),
+    roomMessageId: z.string().min(1),
+    senderId: z.string().min(1),
+    content: z.string(),
+    threadRootId: z.string().nullable(),
+    timestamp: z.number(),
+  }),
+  POLL_UPDATED: z.object({
+    type: z.literal('POLL_UPDATED'),
+    roomId: z.string().min(1),
+    messageId: z.string().min(1),
+    poll: pollSummary,
+    serverTs: z.number(),
+  }),
+  MESSAGE_LISTENED_RESPONSE: z.object({
+    type: z.literal('MESSAGE_LISTENED_RESPONSE'),
+    success: z.boolean(),
+    messageId: z.string().nullable().optional(),
+    roomId: z.string().nullable().optional(),
+    listenedAt: z.number().optional(),
+    code: z.string().optional(),
+    error: z.string().optional(),
+  }),
+  ROOM_READ_RESPONSE: z.object({
+    type: z.literal('ROOM_READ_RESPONSE'),
+    success: z.boolean(),
+    roomId: z.string().nullable().optional(),
+    messageId: z.string().nullable().optional(),
+    readAt: z.number().optional(),
+    count: z.number().int().optional(),
+    code: z.string().optional(),
+    error: z.string().optional(),
+  }),
+  ROOM_RECEIPTS_UPDATED: z.object({
+    type: z.literal('ROOM_RECEIPTS_UPDATED'),
+    roomId: z.string().min(1),
+    roomMessageId: z.string().min(1),
+    totalCount: z.number().int(),
+    deliveredCount: z.number().int(),
+    readCount: z.number().int(),
+    readBy: z.array(z.object({ userId: z.string(), readAt: z.number() })),
+  }),
+  POLL_VOTE_RESPONSE: z.object({
+    type: z.literal('POLL_VOTE_RESPONSE'),
+    success: z.boolean(),
+    roomId: z.string().optional(),
+    messageId: z.string().nullable().optional(),
+    poll: pollSummary.optional(),
+    code: z.string().optional(),
+    error: z.string().optional(),
+    serverTs: z.number(),
+  }),
 };
 
 /**
@@ -18,9 +18,15 @@ const sendMessage = require('./handlers/sendMessage');
 const deliveredAck = require('./handlers/deliveredAck');
 const readAck = require('./handlers/readAck');
 const messageMutation = require('./handlers/messageMutation');
+const messageForward = require('./handlers/messageForward');
+const scheduledMessage = require('./handlers/scheduledMessage');
+const chatSettings = require('./handlers/chatSettings');
+const messageRequest = require('./handlers/messageRequest');
+const poll = require('./handlers/poll');
 const reconnect = require('./handlers/reconnect');
 const presence = require('./handlers/presence');
 const room = require('./handlers/room');
+const roomJoinRequest = require('./handlers/roomJoinRequest');
 const ping = require('./handlers/ping');
 const typing = require('./handlers/typing');
 const unknownType = require('./handlers/unknownType');
@@ -336,6 +342,12 @@ function route(ws, type, payload, sendResponse, context = {}) {
     case MessageType.MESSAGE_READ_CONFIRM:
       return readAck.handleMessageReadConfirm(ws, payload, context);
 
+    case MessageType.MESSAGE_LISTENED:
+      return readAck.handleMessageListened(ws, payload, context);
+
+    case MessageType.ROOM_READ:
+      return readAck.handleRoomRead(ws, payload, context);
+
     case MessageType.MESSAGE_DELIVERED_CONFIRM:
       return deliveredAck.handleMessageDeliveredConfirm(ws, payload, context);
 
@@ -345,6 +357,45 @@ function route(ws, type, payload, sendResponse, context = {}) {
     case MessageType.MESSAGE_DELETE:
       return messageMutation.handleMessageDelete(ws, payload, context);
 
+    case MessageType.MESSAGE_REACT:
+      return messageMutation.handleMessageReact(ws, payload, context);
+
+    case MessageType.MESSAGE_UNREACT:
+      return messageMutation.handleMessageUnreact(ws, payload, context);
+
+    case MessageType.MESSAGE_PIN:
+      return messageMutation.handleMessagePin(ws, payload, context);
+
+    case MessageType.MESSAGE_UNPIN:
+      return messageMutation.handleMessageUnpin(ws, payload, context);
+
+    case MessageType.MESSAGE_FORWARD:
+      return messageForward.handleMessageForward(ws, payload, context);
+
+    case MessageType.SCHEDULED_MESSAGE_CREATE:
+      return scheduledMessage.handleScheduledCreate(ws, payload, context);
+
+    case MessageType.SCHEDULED_MESSAGE_LIST:
+      return scheduledMessage.handleScheduledList(ws, payload, context);
+
+    case MessageType.SCHEDULED_MESSAGE_UPDATE:
+      return scheduledMessage.handleScheduledUpdate(ws, payload, context);
+
+    case MessageType.SCHEDULED_MESSAGE_CANCEL:
+      return scheduledMessage.handleScheduledCancel(ws, payload, context);
+
+    case MessageType.CHAT_EPHEMERAL_SET:
+      return chatSettings.handleChatEphemeralSet(ws, payload, context);
+
+    case MessageType.CHAT_MUTE_SET:
+      return chatSettings.handleChatMuteSet(ws, payload, context);
+
+    case MessageType.MESSAGE_REQUEST_RESPOND:
+      return messageRequest.handleMessageRequestRespond(ws, payload, context);
+
+    case MessageType.POLL_VOTE:
+      return poll.handlePollVote(ws, payload, context);
+
     case MessageType.MESSAGE_REPLAY:
       return reconnect.handleMessageReplay(ws, payload, context);
 
@@ -406,6 +457,15 @@ function route(ws, type, payload, sendResponse, context = {}) {
     case MessageType.ROOM_DELETE:
       return room.handleRoomDelete(ws, payload, context);
 
+    case MessageType.ROOM_JOIN_REQUEST:
+      return roomJoinRequest.handleRoomJoinRequest(ws, payload, context);
+
+    case MessageType.ROOM_JOIN_REQUESTS:
+      return roomJoinRequest.handleRoomJoinRequests(ws, payload, context);
+
+    case MessageType.ROOM_JOIN_REQUEST_REVIEW:
+      return roomJoinRequest.handleRoomJoinRequestReview(ws, payload, context);
+
     default:
       return unknownType.handleUnknownType(type, context);
   }
@@ -42,13 +42,14 @@ const flowControl = require('./flowControl');
 const MAX_SEND_RATE = 60;
 const SEND_RATE_WINDOW_MS = 5000;
 
-/** Message types that are rate-limited more strictly (create/delete/promote/remove). */
+/** Message types that are rate-limited more strictly (create/delete/promote/remove, join requests). */
 const SENSITIVE_ROOM_ACTION_TYPES = new Set([
   'ROOM_CREATE',
   'ROOM_DELETE',
   'ROOM_SET_ROLE',
   'ROOM_REMOVE_MEMBER',
   'ROOM_ADD_MEMBERS',
+  'ROOM_JOIN_REQUEST',
 ]);
 
 /**
@@ -62,6 +63,8 @@ const NOISE_TYPES = new Set([
   'MESSAGE_DELIVERED_CONFIRM',
   'MESSAGE_READ_CONFIRM',
   'MESSAGE_READ',
+  'MESSAGE_LISTENED',
+  'ROOM_READ',
   'PRESENCE_PING',
   'RESUME',
   'STATE_SYNC',
@@ -81,8 +84,13 @@ const MESSAGE_SCHEMAS = {
       recipientId: 'string',
       content: 'string',
       clientMessageId: 'string',
+      replyToMessageId: 'string',
+      contentType: 'string',
+      attachmentIds: 'object',
+    },
+    enums: {
+      contentType: ['text', 'file', 'voice'],
     },
-    enums: {},
   },
   MESSAGE_READ: {
     required: ['messageId'],
@@ -120,6 +128,114 @@ const MESSAGE_SCHEMAS = {
     },
     enums: {},
   },
+  MESSAGE_PIN: {
+    required: ['messageId'],
+    types: {
+      messageId: 'string',
+    },
+    enums: {},
+  },
+  MESSAGE_UNPIN: {
+    required: ['messageId'],
+    types: {
+      messageId: 'string',
+    },
+    enums: {},
+  },
+  SCHEDULED_MESSAGE_CREATE: {
+    required: ['chatId', 'content', 'sendAt'],
+    types: {
+      chatId: 'string',
+      content: 'string',
+      sendAt: 'number',
+    },
+    enums: {},
+  },
+  SCHEDULED_MESSAGE_LIST: {
+    required: [],
+    types: {
+      chatId: 'string',
+    },
+    enums: {},
+  },
+  SCHEDULED_MESSAGE_UPDATE: {
+    required: ['scheduledId'],
+    types: {
+      scheduledId: 'string',
+      content: 'string',
+      sendAt: 'number',
+    },
+    enums: {},
+  },
+  SCHEDULED_MESSAGE_CANCEL: {
+    required: ['scheduledId'],
+    types: {
+      scheduledId: 'string',
+    },
+    enums: {},
+  },
+  CHAT_EPHEMERAL_SET: {
+    required: ['chatId', 'mode'],
+    types: {
+      chatId: 'string',
+      mode: 'string',
+    },
+    enums: {
+      mode: ['off', '1h', '24h', '7d'],
+    },
+  },
+  CHAT_MUTE_SET: {
+    required: ['chatId', 'mode'],
+    types: {
+      chatId: 'string',
+      mode: 'string',
+    },
+    enums: {
+      mode: ['off', '1h', '8h', '1w', 'forever'],
+    },
+  },
+  MESSAGE_REQUEST_RESPOND: {
+    required: ['chatId', 'action'],
+    types: {
+      chatId: 'string',
+      action: 'string',
+      block: 'boolean',
+    },
+    enums: {
+      action: ['accept', 'decline'],
+    },
+  },
+  MESSAGE_LISTENED: {
+    required: ['messageId'],
+    types: {
+      messageId: 'string',
+    },
+    enums: {},
+  },
+  ROOM_READ: {
+    required: ['roomId', 'messageId'],
+    types: {
+      roomId: 'string',
+      messageId: 'string',
+    },
+    enums: {},
+  },
+  POLL_VOTE: {
+    required: ['messageId', 'optionIds'],
+    types: {
+      messageId: 'string',
+      optionIds: 'object',
+    },
+    enums: {},
+  },
+  MESSAGE_FORWARD: {
+    required: ['messageIds', 'targetChatIds'],
+    types: {
+      messageIds: 'object',
+      targetChatIds: 'object',
+    },
+    enums: {},
+  },
   MESSAGE_REPLAY: {
     required: [],
     types: {
@@ -192,8 +308,16 @@ const MESSAGE_SCHEMAS = {
       content: 'string',
       clientMessageId: 'string',
       messageType: 'string',
+      replyToMessageId: 'string',
+      threadRootId: 'string',
+      alsoSendToRoom: 'boolean',
+      contentType: 'string',
+      poll: 'object',
+      attachmentIds: 'object',
+    },
+    enums: {
+      contentType: ['text', 'poll', 'file', 'voice'],
     },
-    enums: {},
   },
   ROOM_INFO: {
     required: ['roomId'],
@@ -216,6 +340,31 @@ const MESSAGE_SCHEMAS = {
     },
     enums: {},
   },
+  ROOM_JOIN_REQUEST: {
+    required: ['roomId'],
+    types: {
+      roomId: 'string',
+    },
+    enums: {},
+  },
+  ROOM_JOIN_REQUESTS: {
+    required: ['roomId'],
+    types: {
+      roomId: 'string',
+    },
+    enums: {},
+  },
+  ROOM_JOIN_REQUEST_REVIEW: {
+    required: ['roomId', 'userId', 'action'],
+    types: {
+      roomId: 'string',
+      userId: 'string',
+      action: 'string',
+    },
+    enums: {
+      action: ['approve', 'deny'],
+    },
+  },
   TYPING_START: {
     required: [],
     types: { roomId: 'string', targetUserId: 'string' },
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Disappearing messages sweeper.
+ *
+ * Every EPHEMERAL.sweepIntervalMs, hard-deletes messages whose expiresAt has passed (messages, deliveries and pins
+ * via messageService.deleteExpiredMessages), deletes the attachments no remaining message references (record, file
+ * and thumbnails) and tells connected clients with MESSAGES_EXPIRED, grouped per chat.
+ * Room events carry canonical roomMessageIds; DM events carry messageIds.
+ *
+ * Multi-instance: every instance runs the sweeper; each expired row is deleted by one of them, which announces it
+ * to the sockets it holds and publishes chat.expired on the Redis bus for the sockets held by the others
+ * (redisBusHandlers.createOnChatExpired). Clients also drop messages locally at expiresAt, and every read path
+ * (history, replay, search, export) filters expired rows, so content is never served between expiry and the sweep.
+ */
+
+const messageService = require('../../services/message.service');
+const historyService = require('../../services/history.service');
+const attachmentService = require('../../services/attachment.service');
+const redisBus = require('../../services/redisBus');
+const roomManager = require('../state/roomManager');
+const { sendToUserSocket } = require('./message.service');
+const MessageType = require('../protocol/types');
+const { EPHEMERAL } = require('../../config/constants');
+const logger = require('../../utils/logger');
+
+let intervalId = null;
+let running = false;
+
+/** Group deleted rows by chat: chatId -> { roomId, ids (canonical, deduped) } */
+function groupByChat(rows) {
+  const byChat = {};
+  for (const row of rows) {
+    if (!row.chatId) continue;
+    const entry = byChat[row.chatId] || (byChat[row.chatId] = { roomId: row.roomId || null, ids: [] });
+    const canonicalId = row.roomMessageId || row.messageId;
+    if (!entry.ids.includes(canonicalId)) entry.ids.push(canonicalId);
+  }
+  return byChat;
+}
+
+/**
+ * Send MESSAGES_EXPIRED to the chat's sockets on this instance: room members, or both DM participants.
+ * @param {string} chatId
+ * @param {string|null} roomId
+ * @param {string[]} messageIds - Canonical ids
+ */
+function notifyLocalSockets(chatId, roomId, messageIds) {
+  const payload = {
+    type: MessageType.MESSAGES_EXPIRED,
+    chatId,
+    roomId,
+    messageIds,
+    serverTs: Date.now(),
+  };
+  if (roomId) {
+    roomManager.broadcastToRoom(roomId, payload);
+    return;
+  }
+  for (const participantId of historyService.getDirectChatParticipants(chatId)) {
+    sendToUserSocket(participantId, payload, { correlationId: null });
+  }
+}
+
+function notifyChat(chatId, roomId, messageIds) {
+  notifyLocalSockets(chatId, roomId, messageIds);
+  try {
+    redisBus.publishChatExpired({
+      type: 'chat.expired',
+      originInstanceId: redisBus.getInstanceId(),
+      chatId,
+      roomId,
+      messageIds,
+      ts: Date.now(),
+    }).catch(() => {});
+  } catch (_) { /* bus is best-effort */ }
+}
+
+/**
+ * Delete expired messages until none are left (or a pass deletes nothing) and notify chats. Never throws.
+ * @param {number} [now]
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function runOnce(now = Date.now()) {
+  if (running) return 0;
+  running = true;
+  let total = 0;
+  try {
+    for (;;) {
+      const rows = await messageService.deleteExpiredMessages(now);
+      if (rows.length === 0) break;
+      total += rows.length;
+      for (const [chatId, { roomId, ids }] of Object.entries(groupByChat(rows))) {
+        notifyChat(chatId, roomId, ids);
+      }
+      // Unlinked by the delete; anything left if this fails is picked up by the orphan attachment sweep
+      await attachmentService.deleteUnreferencedAttachments(rows.flatMap((row) => row.attachmentIds || []));
+      if (rows.length < EPHEMERAL.batchSize) break;
+    }
+    if (total > 0) logger.info('EphemeralSweeper', 'messages_expired', { count: total });
+  } catch (err) {
+    logger.error('EphemeralSweeper', 'sweep_failed', { error: err.message });
+  } finally {
+    running = false;
+  }
+  return total;
+}
+
+function start() {
+  if (intervalId != null) return;
+  intervalId = setInterval(() => { runOnce().catch(() => {}); }, EPHEMERAL.sweepIntervalMs);
+  runOnce().catch(() => {});
+}
+
+function stop() {
+  if (intervalId != null) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  notifyLocalSockets,
+};
@@ -7,6 +7,7 @@
  */
 
 const roomManager = require('../state/roomManager');
+const MessageType = require('../protocol/types');
 const groupStore = require('../state/groupStore');
 const roomDeliveryStore = require('../state/roomDeliveryStore');
 // MOVED IN PHASE 4 — OWNERSHIP ONLY: use canonical deliveryStore
@@ -14,7 +15,10 @@ const deliveryStore = require('../state/deliveryStore');
 const connectionManager = require('../connection/connectionManager');
 const socketSafety = require('../safety/socketSafety');
 const messageService = require('../../services/message.service');
+const { toThreadSummary, getThreadParticipantIds, toReplySnippet, toPollSummary } = require('../../models/Message.model');
+const { toMessageAttachments, toAttachmentContentType } = require('../../models/Attachment.model');
 const { sendToUserSocket } = require('./message.service');
+const { toRoomChatId } = require('../../utils/chatId');
 const logger = require('../../utils/logger');
 const monitoring = require('../../utils/monitoring');
 
@@ -58,6 +62,30 @@ function sendToMember(memberId, messageId, payload, context = {}) {
   return queuedCount;
 }
 
+/**
+ * MENTION to each mentioned member (all their tabs), separate from ROOM_MESSAGE so clients can surface it even
+ * when the room itself is muted, and count it towards their unread mentions. Counter failures are only logged.
+ */
+function notifyMentions(roomId, roomMessageId, senderId, content, mentions, extra, context = {}) {
+  if (!Array.isArray(mentions) || mentions.length === 0) return;
+  const payload = {
+    type: MessageType.MENTION,
+    roomId,
+    chatId: toRoomChatId(roomId),
+    roomMessageId,
+    senderId,
+    content: toReplySnippet(roomMessageId, { senderId, content }).content,
+    threadRootId: extra.threadRootId || null,
+    timestamp: extra.timestamp,
+  };
+  for (const mentionedId of mentions) {
+    sendToUserSocket(mentionedId, payload, { correlationId: context.correlationId || null, messageId: roomMessageId });
+  }
+  messageService.recordMentions(roomId, mentions).catch((err) => {
+    logger.warn('GroupService', 'mention_count_failed', { roomId, roomMessageId, error: err.message });
+  });
+}
+
 /**
  * Send room message: persist per recipient, per-member send, mark SENT per member.
  *
@@ -70,11 +98,31 @@ function sendToMember(memberId, messageId, payload, context = {}) {
  * @param {string} content
  * @param {string} [clientMessageId]
  * @param {string} [messageType]
- * @param {Object} [context] - Context object with correlationId
+ * Thread replies (context.threadRootId) go only to the thread participants (root sender + repliers)
+ * unless context.alsoSendToRoom is set; the root's updated summary is broadcast as ROOM_THREAD_UPDATED
+ * to the whole room so timelines can show "N replies".
+ * @username tokens naming room members are stored as mentions and each mentioned member also gets MENTION.
+ * Recipients that archived the room get it back in their chat list unless they chose "keep archived".
+ * Polls (context.poll, validated upstream) are stored with contentType 'poll'; ROOM_MESSAGE carries the empty tallies.
+ * File messages (context.attachments, resolved upstream) are stored with contentType 'file' ('voice' for a voice note);
+ * content is the caption.
+ *
+ * @param {Object} [context] - Context object with correlationId, originSocket, resolved replyToMessageId/replyTo,
+ *   resolved threadRootId/threadRoot (+ alsoSendToRoom), poll, attachments, forwardedFrom (MESSAGE_FORWARD) and a reserved
+ *   roomMessageId (scheduled sends: a retried send persists the same message)
  * @returns {Promise<Object>} ROOM_MESSAGE_RESPONSE
  */
 async function sendRoomMessage(userId, roomId, content, clientMessageId, messageType, context = {}) {
   const correlationId = context.correlationId || null;
+  const replyToMessageId = context.replyToMessageId || null;
+  const replyTo = replyToMessageId ? context.replyTo || null : null;
+  const threadRootId = context.threadRootId || null;
+  const alsoSendToRoom = threadRootId ? context.alsoSendToRoom === true : false;
+  const forwardedFrom = context.forwardedFrom || null;
+  // Polls: context.poll is already validated (messageService.normalizePollDefinition); content is the question
+  const poll = context.poll || null;
+  const attachments = Array.isArray(context.attachments) && context.attachments.length > 0 ? context.attachments : null;
+  const contentType = poll ? 'poll' : attachments ? toAttachmentContentType(attachments) : 'text';
   if (clientMessageId) {
     const key = `${userId}:${roomId}:${clientMessageId}`;
     const existing = groupStore.getRoomIdempotency(key);
@@ -90,30 +138,46 @@ async function sendRoomMessage(userId, roomId, content, clientMessageId, message
     }
   }
 
-  const roomMessageId = generateMessageId();
+  const roomMessageId = context.roomMessageId || generateMessageId();
   const timestamp = Date.now();
+  const expiresAt = await messageService.resolveMessageExpiry(toRoomChatId(roomId), timestamp);
   const members = roomManager.getRoomMembers(roomId);
+  const mentions = await messageService.resolveMentions(roomId, userId, content);
+  const recipients = threadRootId
+    ? roomManager.getThreadAudience(roomId, [...getThreadParticipantIds(context.threadRoot), userId], alsoSendToRoom)
+    : members;
   const messageIds = [];
   let sentCount = 0;
+  let threadRoot = null;
 
   try {
-    await messageService.persistRoomMessageCanonical({
+    threadRoot = await messageService.persistRoomMessageCanonical({
       roomId,
       roomMessageId,
       senderId: userId,
       content,
       timestamp,
       clientMessageId,
+      replyToMessageId,
+      threadRootId,
+      alsoSendToRoom,
+      forwardedFrom,
+      expiresAt,
+      mentions,
+      contentType,
+      poll,
+      attachments,
     });
   } catch (err) {
     logger.error('GroupService', 'room_message_canonical_persist_failed', { correlationId, roomId, userId, error: err.message });
   }
 
-  const totalRecipients = members.filter((m) => m !== userId).length;
+  const totalRecipients = recipients.filter((m) => m !== userId).length;
   roomDeliveryStore.setTotal(roomMessageId, roomId, userId, totalRecipients);
 
   const originSocket = context.originSocket || null;
-  for (const memberId of members) {
+  const deliveredMemberIds = [];
+  for (const memberId of recipients) {
     const messageId = `rm_${roomMessageId}_${memberId}`;
     messageIds.push(messageId);
     try {
@@ -126,6 +190,15 @@ async function sendRoomMessage(userId, roomId, content, clientMessageId, message
         roomId,
         roomMessageId,
         messageType: 'room',
+        replyToMessageId,
+        threadRootId,
+        alsoSendToRoom,
+        forwardedFrom,
+        expiresAt,
+        mentions,
+        contentType,
+        poll,
+        attachments,
       });
     } catch (err) {
       logger.error('GroupService', 'room_message_persist_failed', { correlationId, roomId, userId, error: err.message });
@@ -140,6 +213,16 @@ async function sendRoomMessage(userId, roomId, content, clientMessageId, message
       content,
       timestamp,
       messageType: messageType || 'text',
+      replyToMessageId,
+      replyTo,
+      threadRootId,
+      alsoSendToRoom,
+      forwardedFrom,
+      expiresAt,
+      mentions,
+      contentType,
+      poll: toPollSummary(poll),
+      attachments: toMessageAttachments(attachments),
     };
 
     const socketsSent = sendToMember(memberId, messageId, payload, {
@@ -149,6 +232,7 @@ async function sendRoomMessage(userId, roomId, content, clientMessageId, message
     sentCount += socketsSent;
 
     if (memberId !== userId && socketsSent > 0) {
+      deliveredMemberIds.push(memberId);
       const { complete, deliveredCount, totalCount } = roomDeliveryStore.recordDelivery(roomMessageId, roomId, userId, memberId, totalRecipients);
       if (complete) {
         sendToUserSocket(userId, {
@@ -162,6 +246,25 @@ async function sendRoomMessage(userId, roomId, content, clientMessageId, message
     }
   }
 
+  try {
+    await messageService.recordRoomDelivered(roomMessageId, deliveredMemberIds);
+  } catch (err) {
+    logger.warn('GroupService', 'room_delivery_record_failed', { correlationId, roomId, roomMessageId, error: err.message });
+  }
+  await messageService.releaseArchivedChat(toRoomChatId(roomId), recipients.filter((m) => m !== userId));
+
+  if (threadRoot) {
+    roomManager.broadcastToRoom(roomId, {
+      type: MessageType.ROOM_THREAD_UPDATED,
+      roomId,
+      threadRootId,
+      thread: toThreadSummary(threadRoot.thread),
+      timestamp,
+    });
+  }
+
+  notifyMentions(roomId, roomMessageId, userId, content, mentions, { threadRootId, timestamp }, { correlationId });
+
   monitoring.increment('rooms', 'messages');
 
   logger.info('GroupService', 'room_message_broadcast_result', { roomId, recipientsSockets: sentCount });
@@ -181,6 +284,8 @@ async function sendRoomMessage(userId, roomId, content, clientMessageId, message
     sentCount,
     memberCount: members.length,
     timestamp,
+    threadRootId,
+    expiresAt,
   };
 }
 
@@ -43,6 +43,7 @@ async function getOrLoadMessage(messageId) {
     roomId: dbMessage.roomId,
     roomMessageId: dbMessage.roomMessageId,
     contentType: dbMessage.contentType,
+    attachments: dbMessage.attachments,
   };
   messageStore.syncMessage(messageId, data);
   return data;
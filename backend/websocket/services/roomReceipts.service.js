@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Room read receipts push.
+ *
+ * When members read a room message, its sender gets ROOM_RECEIPTS_UPDATED { roomId, roomMessageId, totalCount,
+ * deliveredCount, readCount, readBy } with exact counts and the newest RECEIPTS.previewCount readers. Changes are
+ * coalesced per message: the first change arms a RECEIPTS.pushThrottleMs timer and every change until it fires
+ * rides on the same push, so a message read by a whole large room costs its sender a handful of frames, not one
+ * per reader. The full lists are served by GET /api/chats/:chatId/messages/:messageId/receipts.
+ */
+
+const messageService = require('../../services/message.service');
+const { sendToUserSocket } = require('./message.service');
+const roomReceiptsStore = require('../state/roomReceiptsStore');
+const MessageType = require('../protocol/types');
+const { RECEIPTS } = require('../../config/constants');
+const logger = require('../../utils/logger');
+
+let timer = null;
+
+/**
+ * Queue a receipts push for the sender of a room message.
+ * @param {{ roomId: string, roomMessageId: string, senderId: string }} target
+ */
+function schedulePush({ roomId, roomMessageId, senderId }) {
+  if (!roomMessageId || !senderId) return;
+  roomReceiptsStore.queue(roomMessageId, { roomId, senderId });
+  if (timer) return;
+  timer = setTimeout(() => {
+    timer = null;
+    flush().catch((err) => logger.error('RoomReceipts', 'flush_failed', { error: err.message }));
+  }, RECEIPTS.pushThrottleMs);
+  if (typeof timer.unref === 'function') timer.unref();
+}
+
+/**
+ * Send every queued push now.
+ * @returns {Promise<number>} Pushes sent
+ */
+async function flush() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  const batch = roomReceiptsStore.drain();
+  let sent = 0;
+  for (const { roomMessageId, roomId, senderId } of batch) {
+    try {
+      const summary = await messageService.getRoomReceiptsSummary(roomMessageId, senderId, RECEIPTS.previewCount);
+      sendToUserSocket(senderId, {
+        type: MessageType.ROOM_RECEIPTS_UPDATED,
+        roomId,
+        roomMessageId,
+        totalCount: summary.totalCount,
+        deliveredCount: summary.deliveredCount,
+        readCount: summary.readCount,
+        readBy: summary.readBy,
+      }, { messageId: roomMessageId });
+      sent++;
+    } catch (err) {
+      logger.warn('RoomReceipts', 'push_failed', { roomMessageId, error: err.message });
+    }
+  }
+  return sent;
+}
+
+/** Drop queued pushes (shutdown and tests). */
+function reset() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  roomReceiptsStore.clear();
+}
+
+module.exports = {
+  schedulePush,
+  flush,
+  reset,
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Scheduled ("send later") message delivery loop.
+ *
+ * Polls due items of the scheduled_messages collection and sends each one through the same path as a live send:
+ * DM → messageService.persistAndReturnAck + deliverDirectMessage, room → groupService.sendRoomMessage.
+ * Acks, offline replay and delivery status therefore behave exactly as if the sender had pressed send at sendAt,
+ * whether or not the sender is online.
+ *
+ * Multi-instance: every instance behind redisBus runs the loop. Claiming is one atomic update on the shared
+ * collection (owner = redisBus instance id, with a lease), so each item is sent by one instance. If an instance dies
+ * mid-send the lease expires and another instance re-sends the item under its reserved messageId; persistence is
+ * idempotent on messageId, so the message is stored once.
+ */
+
+const messageService = require('../../services/message.service');
+const { validateChatOwnership } = require('../../services/history.service');
+const redisBus = require('../../services/redisBus');
+const groupService = require('./group.service');
+const { sendToUserSocket } = require('./message.service');
+const { deliverDirectMessage } = require('../handlers/sendMessage');
+const MessageType = require('../protocol/types');
+const { SCHEDULED_MESSAGES } = require('../../config/constants');
+const { ScheduledStatus, toScheduledMessageDto } = require('../../models/ScheduledMessage.model');
+const logger = require('../../utils/logger');
+
+let intervalId = null;
+let running = false;
+
+/**
+ * Send one claimed item as its sender.
+ * @returns {Promise<string|null>} null when sent; an error code when the item can never be sent (no retry)
+ * @throws on transient failures (persistence), which are retried after the lease expires
+ */
+async function sendScheduled(item) {
+  const { senderId, chatId, content, messageId } = item;
+  const correlationId = `sched_${item.scheduledId}`;
+  if (!validateChatOwnership(chatId, senderId)) return 'FORBIDDEN';
+
+  if (chatId.startsWith('room:')) {
+    const result = await groupService.sendRoomMessage(senderId, chatId.slice('room:'.length), content, null, 'text', {
+      correlationId,
+      roomMessageId: messageId,
+    });
+    if (!result.success) throw new Error(result.error || 'Room send failed');
+    return null;
+  }
+
+  const recipientId = chatId.split(':').slice(1).find((id) => id !== senderId);
+  const intake = messageService.acceptIncomingMessage({ senderId, receiverId: recipientId, content });
+  if (!intake.ok) return intake.code || 'INVALID_PAYLOAD';
+  const message = { ...intake.message, messageId };
+  const ack = await messageService.persistAndReturnAck(message, { correlationId });
+  deliverDirectMessage(message, ack, {}, { correlationId });
+  return null;
+}
+
+/** Tell the sender's sockets (all tabs) that a scheduled item changed. */
+function notifySender(scheduled) {
+  sendToUserSocket(scheduled.senderId, {
+    type: MessageType.SCHEDULED_MESSAGE_UPDATED,
+    scheduled: toScheduledMessageDto(scheduled),
+    serverTs: Date.now(),
+  }, { correlationId: `sched_${scheduled.scheduledId}` });
+}
+
+async function processItem(item, ownerId) {
+  let outcome;
+  try {
+    const errorCode = await sendScheduled(item);
+    outcome = errorCode ? { status: ScheduledStatus.FAILED, error: errorCode } : { status: ScheduledStatus.SENT };
+  } catch (err) {
+    logger.error('ScheduledDelivery', 'send_failed', { scheduledId: item.scheduledId, attempts: item.attempts, error: err.message });
+    // Leave it SENDING: the lease expiry is the retry backoff
+    if (item.attempts < SCHEDULED_MESSAGES.maxAttempts) return;
+    outcome = { status: ScheduledStatus.FAILED, error: 'PERSISTENCE_ERROR' };
+  }
+  const done = await messageService.completeScheduledMessage(item.scheduledId, ownerId, outcome);
+  if (!done) {
+    logger.warn('ScheduledDelivery', 'claim_lost', { scheduledId: item.scheduledId, ownerId });
+    return;
+  }
+  logger.info('ScheduledDelivery', 'scheduled_' + outcome.status, { scheduledId: item.scheduledId, chatId: item.chatId, error: outcome.error });
+  notifySender(done);
+}
+
+/**
+ * Claim and send due items until none are left or batchSize is reached. Never throws.
+ * @param {Object} [opts] - { ownerId } (defaults to the redisBus instance id)
+ * @returns {Promise<number>} Number of items claimed
+ */
+async function runOnce(opts = {}) {
+  if (running) return 0;
+  running = true;
+  const ownerId = opts.ownerId || redisBus.getInstanceId();
+  let claimed = 0;
+  try {
+    while (claimed < SCHEDULED_MESSAGES.batchSize) {
+      const item = await messageService.claimDueScheduledMessage(ownerId);
+      if (!item) break;
+      claimed += 1;
+      await processItem(item, ownerId);
+    }
+  } catch (err) {
+    logger.error('ScheduledDelivery', 'tick_failed', { error: err.message });
+  } finally {
+    running = false;
+  }
+  return claimed;
+}
+
+function start() {
+  if (intervalId != null) return;
+  intervalId = setInterval(() => { runOnce().catch(() => {}); }, SCHEDULED_MESSAGES.pollIntervalMs);
+  runOnce().catch(() => {});
+}
+
+function stop() {
+  if (intervalId != null) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Blocked users mirror (services/block.service.js owns the rules and the DB writes).
+ * blocker userId -> Set of userIds they blocked. Loaded at startup and kept in step with other instances
+ * through the Redis bus (state.sync), so DM sends and the typing / presence fan-outs check a pair in memory.
+ */
+
+const store = new Map();
+
+/**
+ * Record that userId blocked blockedUserId. Idempotent.
+ * @param {string} userId
+ * @param {string} blockedUserId
+ */
+function add(userId, blockedUserId) {
+  if (!userId || !blockedUserId) return;
+  let set = store.get(userId);
+  if (!set) {
+    set = new Set();
+    store.set(userId, set);
+  }
+  set.add(blockedUserId);
+}
+
+/**
+ * Drop a block. Idempotent.
+ * @param {string} userId
+ * @param {string} blockedUserId
+ */
+function remove(userId, blockedUserId) {
+  const set = store.get(userId);
+  if (!set) return;
+  set.delete(blockedUserId);
+  if (set.size === 0) store.delete(userId);
+}
+
+/**
+ * @param {string} userId
+ * @param {string} blockedUserId
+ * @returns {boolean} True when userId blocked blockedUserId (one direction)
+ */
+function has(userId, blockedUserId) {
+  return store.get(userId)?.has(blockedUserId) === true;
+}
+
+/**
+ * @param {string} userId
+ * @returns {number} Users blocked by userId
+ */
+function count(userId) {
+  return store.get(userId)?.size || 0;
+}
+
+/**
+ * Replace the whole mirror (startup load).
+ * @param {Array<{ userId: string, blockedUserId: string }>} blocks
+ */
+function replaceAll(blocks) {
+  store.clear();
+  for (const b of blocks || []) add(b.userId, b.blockedUserId);
+}
+
+function clear() {
+  store.clear();
+}
+
+module.exports = {
+  add,
+  remove,
+  has,
+  count,
+  replaceAll,
+  clear,
+};
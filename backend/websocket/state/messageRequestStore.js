@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Message requests mirror (services/messageRequest.service.js owns the rules and the DB writes).
+ * chatId -> request record, plus the users who turned message requests on. Loaded at startup and kept in step
+ * with other instances through the Redis bus (state.sync), so delivery, replay and history check a chat in memory.
+ */
+
+/** chatId -> { chatId, requesterId, recipientId, status, createdAt, respondedAt } */
+const requests = new Map();
+/** Users who turned message requests on */
+const enabledUserIds = new Set();
+
+/**
+ * @param {string} chatId
+ * @returns {Object|null} Copy of the request record
+ */
+function getRequest(chatId) {
+  const request = requests.get(chatId);
+  return request ? { ...request } : null;
+}
+
+/**
+ * Store (insert or replace) a request record.
+ * @param {Object} request
+ */
+function setRequest(request) {
+  if (!request || !request.chatId) return;
+  requests.set(request.chatId, { ...request });
+}
+
+/**
+ * @param {string} userId
+ * @param {boolean} enabled
+ */
+function setEnabled(userId, enabled) {
+  if (!userId) return;
+  if (enabled) enabledUserIds.add(userId);
+  else enabledUserIds.delete(userId);
+}
+
+/** @returns {boolean} */
+function isEnabled(userId) {
+  return enabledUserIds.has(userId);
+}
+
+/**
+ * Replace the whole mirror (startup load).
+ * @param {Object[]} allRequests
+ * @param {string[]} userIds - Users with requests on
+ */
+function replaceAll(allRequests, userIds) {
+  clear();
+  for (const r of allRequests || []) setRequest(r);
+  for (const id of userIds || []) enabledUserIds.add(id);
+}
+
+function clear() {
+  requests.clear();
+  enabledUserIds.clear();
+}
+
+module.exports = {
+  getRequest,
+  setRequest,
+  setEnabled,
+  isEnabled,
+  replaceAll,
+  clear,
+};
@@ -8,12 +8,17 @@
  * Data model per roomId:
  *   members: Set<userId>
  *   roles: Map<userId, "OWNER"|"ADMIN"|"MEMBER">
- *   meta: { name, thumbnailUrl?, createdAt, createdBy }
+ *   meta: { name, thumbnailUrl?, topic?, visibility?, createdAt, createdBy }
  *   updatedAt: number
  *   version: integer (monotonic)
  *   joinedAtByUser: Map<userId, number>  — join timestamp for "oldest" ordering
+ *   joinRequests: Map<userId, JoinRequest>  — pending "knock" requests, oldest first
  *
  * RBAC: OWNER (full), ADMIN (meta, add, remove MEMBER only), MEMBER (view, send, leave).
+ * Visibility: unlisted (default, also for rooms stored before visibility existed; joinable by roomId, not listed),
+ * private (joined only through an invite or by being added), public (listed in the directory and global search) or knock
+ * (not listed; users ask to join with ROOM_JOIN_REQUEST and an OWNER, ADMIN or moderator approves).
+ * Join request reviewers need PERMISSION.REVIEW_JOIN_REQUESTS (room.rbac); see roomJoinRequest.service.
  * Owner leave policy: transfer to oldest admin, else oldest member; if none left, room is deleted.
  *
  * See: backend/docs/ROOM_RBAC_MODEL.md
@@ -29,10 +34,18 @@ const ROLE_ADMIN = 'ADMIN';
 const ROLE_MEMBER = 'MEMBER';
 const ROLES = Object.freeze([ROLE_OWNER, ROLE_ADMIN, ROLE_MEMBER]);
 
+const VISIBILITY_PRIVATE = 'private';
+const VISIBILITY_UNLISTED = 'unlisted';
+const VISIBILITY_PUBLIC = 'public';
+const VISIBILITY_KNOCK = 'knock';
+const VISIBILITIES = Object.freeze([VISIBILITY_PRIVATE, VISIBILITY_UNLISTED, VISIBILITY_PUBLIC, VISIBILITY_KNOCK]);
+
 /**
  * @typedef {Object} RoomMeta
  * @property {string} name
  * @property {string|null} [thumbnailUrl]
+ * @property {string|null} [topic]
+ * @property {'private'|'unlisted'|'public'|'knock'} [visibility] - missing: unlisted
  * @property {number} createdAt
  * @property {string} createdBy
  */
@@ -45,6 +58,14 @@ const ROLES = Object.freeze([ROLE_OWNER, ROLE_ADMIN, ROLE_MEMBER]);
  * @property {number} updatedAt
  * @property {number} version
  * @property {Map<string, number>} joinedAtByUser
+ * @property {Map<string, JoinRequest>} joinRequests
+ */
+
+/**
+ * @typedef {Object} JoinRequest
+ * @property {string} userId
+ * @property {number} requestedAt
+ * @property {string|null} message - the requester's note to the reviewers
  */
 
 /** @type {Map<string, RoomState>} */
@@ -58,7 +79,7 @@ function now() {
 }
 
 /**
- * Serialize in-memory room to store record (id, meta, members, roles, joinedAtByUser, version, updatedAt).
+ * Serialize in-memory room to store record (id, meta, members, roles, joinedAtByUser, joinRequests, version, updatedAt).
  * @param {string} roomId
  * @returns {Object|null}
  */
@@ -75,6 +96,7 @@ function toRoomStoreRecord(roomId) {
     members: Array.from(room.members),
     roles: rolesObj,
     joinedAtByUser: joinedObj,
+    joinRequests: Array.from(room.joinRequests.values()),
     version: room.version,
     updatedAt: room.updatedAt,
   };
@@ -104,6 +126,12 @@ async function loadFromStore() {
     if (record.joinedAtByUser && typeof record.joinedAtByUser === 'object') {
       for (const [uid, ts] of Object.entries(record.joinedAtByUser)) joinedAtByUser.set(String(uid).trim(), ts);
     }
+    const joinRequests = new Map();
+    if (Array.isArray(record.joinRequests)) {
+      for (const r of record.joinRequests) {
+        if (r && r.userId) joinRequests.set(String(r.userId).trim(), { userId: String(r.userId).trim(), requestedAt: r.requestedAt || 0, message: r.message ?? null });
+      }
+    }
     const meta = record.meta && typeof record.meta === 'object'
       ? { ...record.meta }
       : { name: record.id, thumbnailUrl: null, createdAt: record.updatedAt || Date.now(), createdBy: '' };
@@ -114,6 +142,7 @@ async function loadFromStore() {
       updatedAt: typeof record.updatedAt === 'number' ? record.updatedAt : Date.now(),
       version: typeof record.version === 'number' ? record.version : 1,
       joinedAtByUser,
+      joinRequests,
     });
     for (const userId of members) {
       const u = String(userId).trim();
@@ -304,6 +333,8 @@ async function createRoom(roomId, creatorUserId, options = {}) {
   const meta = {
     name: options.name || roomId,
     thumbnailUrl: options.thumbnailUrl ?? null,
+    topic: options.topic ?? null,
+    visibility: VISIBILITIES.includes(options.visibility) ? options.visibility : VISIBILITY_UNLISTED,
     createdAt: ts,
     createdBy: creatorUserId,
   };
@@ -315,6 +346,7 @@ async function createRoom(roomId, creatorUserId, options = {}) {
     updatedAt: ts,
     version: 1,
     joinedAtByUser,
+    joinRequests: new Map(),
   });
 
   if (!userRooms.has(creator)) userRooms.set(creator, new Set());
@@ -377,6 +409,7 @@ async function joinRoom(roomId, userId) {
   room.members.add(u);
   room.roles.set(u, ROLE_MEMBER);
   room.joinedAtByUser.set(u, ts);
+  room.joinRequests.delete(u);
   bumpVersion(room);
 
   if (!userRooms.has(u)) userRooms.set(u, new Set());
@@ -491,12 +524,87 @@ function getRoomInfo(roomId) {
     createdBy: room.meta.createdBy,
     name: room.meta.name,
     thumbnailUrl: room.meta.thumbnailUrl ?? null,
+    topic: room.meta.topic ?? null,
+    visibility: getVisibility(roomId),
     memberCount: room.members.size,
     version: room.version,
     updatedAt: room.updatedAt,
   };
 }
 
+/**
+ * @param {string} roomId
+ * @returns {'private'|'unlisted'|'public'|'knock'|null} null if the room does not exist
+ */
+function getVisibility(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  return VISIBILITIES.includes(room.meta.visibility) ? room.meta.visibility : VISIBILITY_UNLISTED;
+}
+
+/**
+ * Pending join requests of a room, oldest first. Caller enforces who may see them.
+ * @param {string} roomId
+ * @returns {JoinRequest[]} empty if the room does not exist
+ */
+function getJoinRequests(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+  return Array.from(room.joinRequests.values()).sort((a, b) => a.requestedAt - b.requestedAt).map((r) => ({ ...r }));
+}
+
+/**
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {JoinRequest|null}
+ */
+function getJoinRequest(roomId, userId) {
+  const request = rooms.get(roomId)?.joinRequests.get(String(userId).trim());
+  return request ? { ...request } : null;
+}
+
+/**
+ * Record a pending join request (idempotent: an existing request is kept with its original time). Caller enforces
+ * visibility and membership.
+ * @param {string} roomId
+ * @param {string} userId
+ * @param {string|null} message
+ * @returns {{ success: boolean, request?: JoinRequest, alreadyPending?: boolean, error?: string }}
+ */
+function addJoinRequest(roomId, userId, message) {
+  const room = rooms.get(roomId);
+  if (!room) return { success: false, error: 'Room not found' };
+  const u = String(userId).trim();
+  const existing = room.joinRequests.get(u);
+  if (existing) return { success: true, request: { ...existing }, alreadyPending: true };
+  const max = config.ROOM_JOIN_REQUESTS.maxPendingPerRoom;
+  if (max > 0 && room.joinRequests.size >= max) return { success: false, error: 'Too many pending join requests' };
+  const request = { userId: u, requestedAt: now(), message: message || null };
+  room.joinRequests.set(u, request);
+  persistRoom(roomId).catch((err) => {
+    logger.error('RoomManager', 'persist_failed', { roomId, error: err?.message || String(err) });
+  });
+  return { success: true, request: { ...request }, alreadyPending: false };
+}
+
+/**
+ * Drop a pending join request (approved, denied or withdrawn).
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {JoinRequest|null} the removed request, null if there was none
+ */
+function removeJoinRequest(roomId, userId) {
+  const room = rooms.get(roomId);
+  const u = String(userId).trim();
+  const request = room?.joinRequests.get(u);
+  if (!request) return null;
+  room.joinRequests.delete(u);
+  persistRoom(roomId).catch((err) => {
+    logger.error('RoomManager', 'persist_failed', { roomId, error: err?.message || String(err) });
+  });
+  return { ...request };
+}
+
 /**
  * Full snapshot for UI: id, meta, version, updatedAt, members, roles.
  * @param {string} roomId
@@ -535,6 +643,8 @@ function listRoomsForUser(userId) {
       id,
       name: room.meta.name,
       thumbnailUrl: room.meta.thumbnailUrl ?? null,
+      topic: room.meta.topic ?? null,
+      visibility: getVisibility(id),
       memberCount: room.members.size,
       myRole,
       version: room.version,
@@ -545,10 +655,10 @@ function listRoomsForUser(userId) {
 }
 
 /**
- * Update room meta (name, thumbnailUrl). RBAC: OWNER or ADMIN.
+ * Update room meta (name, thumbnailUrl, topic, visibility). RBAC: OWNER or ADMIN.
  * @param {string} roomId
  * @param {string} actorUserId
- * @param {{ name?: string, thumbnailUrl?: string|null }} metaPatch
+ * @param {{ name?: string, thumbnailUrl?: string|null, topic?: string|null, visibility?: string }} metaPatch
  * @returns {{ success: boolean, error?: string }}
  */
 async function updateRoomMeta(roomId, actorUserId, metaPatch) {
@@ -561,10 +671,15 @@ async function updateRoomMeta(roomId, actorUserId, metaPatch) {
   }
   const room = rooms.get(roomId);
   if (!room) return { success: false, error: 'Room not found' };
+  if (metaPatch.visibility !== undefined && !VISIBILITIES.includes(metaPatch.visibility)) {
+    return { success: false, error: 'Invalid visibility' };
+  }
   const maxName = config.MAX_ROOM_NAME_LENGTH ?? 200;
   const maxUrl = config.MAX_THUMBNAIL_URL_LENGTH ?? 2048;
   if (metaPatch.name !== undefined) room.meta.name = String(metaPatch.name).trim().slice(0, maxName);
   if (metaPatch.thumbnailUrl !== undefined) room.meta.thumbnailUrl = metaPatch.thumbnailUrl == null ? null : String(metaPatch.thumbnailUrl).trim().slice(0, maxUrl) || null;
+  if (metaPatch.topic !== undefined) room.meta.topic = metaPatch.topic == null ? null : String(metaPatch.topic).trim().slice(0, config.MAX_ROOM_TOPIC_LENGTH ?? 500) || null;
+  if (metaPatch.visibility !== undefined) room.meta.visibility = metaPatch.visibility;
   bumpVersion(room);
   await persistRoom(roomId);
   return { success: true };
@@ -634,14 +749,30 @@ function getAllRooms() {
   return result;
 }
 
+/**
+ * Members who should receive a thread event: the thread participants still in the room,
+ * or every member when the reply was also sent to the room.
+ * @param {string} roomId
+ * @param {string[]} participantIds - Root sender + repliers
+ * @param {boolean} [alsoSendToRoom]
+ * @returns {string[]}
+ */
+function getThreadAudience(roomId, participantIds, alsoSendToRoom = false) {
+  const members = getRoomMembers(roomId);
+  if (alsoSendToRoom) return members;
+  const participants = new Set((participantIds || []).map(String));
+  return members.filter((userId) => participants.has(String(userId)));
+}
+
 /**
  * Broadcast message to room members.
  * @param {string} roomId
  * @param {Object} message
  * @param {string|null} [excludeUserId]
+ * @param {{ onlyUserIds?: string[] }} [options] - onlyUserIds: restrict to these members (e.g. getThreadAudience)
  * @returns {{ success: boolean, sentCount: number, memberCount: number, error?: string }}
  */
-function broadcastToRoom(roomId, message, excludeUserId = null) {
+function broadcastToRoom(roomId, message, excludeUserId = null, options = {}) {
   if (!rooms.has(roomId)) {
     return { success: false, error: 'Room not found' };
   }
@@ -652,8 +783,10 @@ function broadcastToRoom(roomId, message, excludeUserId = null) {
   const members = rooms.get(roomId).members;
   const memberCount = members.size;
   let sentCount = 0;
+  const only = Array.isArray(options.onlyUserIds) ? new Set(options.onlyUserIds.map(String)) : null;
   for (const userId of members) {
     if (excludeUserId && userId === excludeUserId) continue;
+    if (only && !only.has(String(userId))) continue;
     const sockets = connectionManager.getSockets(userId);
     for (const ws of sockets) {
       const result = backpressure.sendMessage(ws, message);
@@ -734,6 +867,11 @@ module.exports = {
   ROLE_ADMIN,
   ROLE_MEMBER,
   ROLES,
+  VISIBILITY_PRIVATE,
+  VISIBILITY_UNLISTED,
+  VISIBILITY_PUBLIC,
+  VISIBILITY_KNOCK,
+  VISIBILITIES,
   createRoom,
   deleteRoom,
   joinRoom,
@@ -743,10 +881,16 @@ module.exports = {
   isRoomMember,
   getRole,
   getRoomInfo,
+  getVisibility,
+  getJoinRequests,
+  getJoinRequest,
+  addJoinRequest,
+  removeJoinRequest,
   getRoomSnapshot,
   listRoomsForUser,
   getAllRooms,
   broadcastToRoom,
+  getThreadAudience,
   getStats,
   clear,
   loadFromStore,
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Room read receipts pushes waiting for the next coalesced flush (websocket/services/roomReceipts.service.js).
+ * roomMessageId -> { roomId, senderId }; one entry per message however many members read it meanwhile.
+ */
+
+const pending = new Map();
+
+/**
+ * Queue (or keep queued) the push for a room message.
+ * @param {string} roomMessageId
+ * @param {{ roomId: string, senderId: string }} target
+ */
+function queue(roomMessageId, target) {
+  pending.set(roomMessageId, target);
+}
+
+/**
+ * Take every queued push and empty the queue.
+ * @returns {Array<{ roomMessageId: string, roomId: string, senderId: string }>}
+ */
+function drain() {
+  const batch = [...pending.entries()].map(([roomMessageId, target]) => ({ roomMessageId, ...target }));
+  pending.clear();
+  return batch;
+}
+
+function clear() {
+  pending.clear();
+}
+
+module.exports = {
+  queue,
+  drain,
+  clear,
+};
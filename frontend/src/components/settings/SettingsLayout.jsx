@@ -1,5 +1,5 @@
 import { Link, useLocation } from "wouter";
-import { ChevronLeft, User, Shield, MonitorSmartphone, Settings2, AlertOctagon } from "lucide-react";
+import { ChevronLeft, User, Shield, MonitorSmartphone, HardDrive, Settings2, Ban, AlertOctagon } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { cn } from "@/utils/utils";
 
@@ -7,7 +7,9 @@ const NAV_ITEMS = [
   { icon: User, label: "Profile", path: "/settings/profile" },
   { icon: Shield, label: "Security", path: "/settings/security" },
   { icon: MonitorSmartphone, label: "Devices", path: "/settings/devices" },
+  { icon: HardDrive, label: "Storage", path: "/settings/storage" },
   { icon: Settings2, label: "Preferences", path: "/settings/preferences" },
+  { icon: Ban, label: "Blocked users", path: "/settings/blocked" },
   { icon: AlertOctagon, label: "Danger Zone", path: "/settings/danger", danger: true },
 ];
 
@@ -1,18 +1,22 @@
 /**
  * Settings module route constants.
- * P4: Profile, Security, Devices, Preferences, Danger Zone (Connection removed).
+ * P4: Profile, Security, Devices, Storage, Preferences, Blocked users, Danger Zone (Connection removed).
  */
 export const SETTINGS_BASE = "/settings";
 export const SETTINGS_PROFILE = "/settings/profile";
 export const SETTINGS_SECURITY = "/settings/security";
 export const SETTINGS_DEVICES = "/settings/devices";
+export const SETTINGS_STORAGE = "/settings/storage";
 export const SETTINGS_PREFERENCES = "/settings/preferences";
+export const SETTINGS_BLOCKED = "/settings/blocked";
 export const SETTINGS_DANGER = "/settings/danger";
 
 export const SETTINGS_SUB_ROUTES = [
   SETTINGS_PROFILE,
   SETTINGS_SECURITY,
   SETTINGS_DEVICES,
+  SETTINGS_STORAGE,
   SETTINGS_PREFERENCES,
+  SETTINGS_BLOCKED,
   SETTINGS_DANGER,
 ];
@@ -7,3 +7,22 @@
  * client-side before WS send: ChatWindow.jsx blocks submit, wsClient.sendMessage/sendRoomMessage return false.
  */
 export const MAX_CONTENT_LENGTH = 10000;
+
+/**
+ * How long after sending a message its sender may still edit it (0 = no limit).
+ * Must match backend config/constants.js MESSAGE_EDITS.windowMs (MESSAGE_EDIT_WINDOW_MINUTES); the server rejects
+ * later edits with EDIT_WINDOW_EXPIRED.
+ */
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Most files one message may carry.
+ * Must match backend config/constants.js ATTACHMENTS.maxPerMessage (ATTACHMENT_MAX_PER_MESSAGE).
+ */
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+/**
+ * Longest voice note the server accepts (ms).
+ * Must match backend config/constants.js VOICE.maxDurationMs (VOICE_MAX_DURATION_SECONDS).
+ */
+export const VOICE_MAX_DURATION_MS = 300_000;
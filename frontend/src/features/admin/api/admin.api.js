@@ -9,7 +9,7 @@ import { apiFetch } from "@/lib/http";
 
 /**
  * Normalize one user from GET /api/admin/users.
- * Ensures: numbers are numbers (default 0), avgLatencyMs null if missing, role lowercased.
+ * Ensures: numbers are numbers (default 0), avgLatencyMs / storageBytes null if missing, role lowercased.
  */
 function normalizeUser(u) {
   if (!u || typeof u !== "object") return null;
@@ -31,6 +31,7 @@ function normalizeUser(u) {
     lastSeen: u.lastSeen ?? null,
     email: u.email ?? null,
     isRootAdmin: Boolean(u.isRootAdmin),
+    storageBytes: typeof u.storageBytes === "number" ? u.storageBytes : null,
   };
 }
 
@@ -165,7 +166,7 @@ export async function fetchAdminUserSessions(userId, params = {}) {
 
 /**
  * GET /api/admin/users?q=...&cursor=...&limit=...
- * Returns { users, nextCursor, total, notAvailable } with each user normalized: id, username, role (lowercase), status, banned, flagged, messages, reconnects, failures, violations, avgLatencyMs, lastSeen, email.
+ * Returns { users, nextCursor, total, notAvailable } with each user normalized: id, username, role (lowercase), status, banned, flagged, messages, reconnects, failures, violations, avgLatencyMs, lastSeen, email, storageBytes.
  */
 export async function fetchAdminUsers(params = {}) {
   const { q = "", cursor, limit } = params;
@@ -16,6 +16,7 @@
  *   latency: string;
  *   role: string;
  *   email: string;
+ *   storageBytes: number | null;
  * }} AdminUser */
 
 /** @typedef {{
@@ -16,7 +16,28 @@
  */
 
 import React, { createContext, useContext, useState, useCallback, useMemo, useEffect, useRef } from "react";
-import { getChats as getChatsApi, getHistory as getHistoryApi, markChatRead } from "../api/chat.api.js";
+import {
+  getChats as getChatsApi,
+  getHistory as getHistoryApi,
+  getMessageContext as getMessageContextApi,
+  markChatRead,
+  getThreadHistory as getThreadHistoryApi,
+  getThreadUnread as getThreadUnreadApi,
+  markThreadRead as markThreadReadApi,
+  getPins as getPinsApi,
+  getMessageRevisions as getMessageRevisionsApi,
+  getMessageReceipts as getMessageReceiptsApi,
+  getScheduledMessages as getScheduledApi,
+  getChatSettings as getChatSettingsApi,
+  getMentionCounts as getMentionCountsApi,
+  getBookmarks as getBookmarksApi,
+  addBookmark as addBookmarkApi,
+  removeBookmark as removeBookmarkApi,
+  getArchivedChats as getArchivedChatsApi,
+  archiveChats as archiveChatsApi,
+  unarchiveChats as unarchiveChatsApi,
+  getChatMutes as getChatMutesApi,
+} from "../api/chat.api.js";
 import * as roomsApi from "../api/rooms.ws.js";
 import { apiFetch } from "@/lib/http.js";
 import { wsClient } from "@/transport/wsClient";
@@ -29,7 +50,7 @@ import { normalizeBackendError, toUserMessage } from "@/lib/errorMap";
 import { applyStateUpdate as applyStateUpdateFsm, isDeliveredOrRead as isDeliveredOrReadFsm, normalizeState as normalizeMessageState } from "@/lib/messageStateMachine";
 import { isDmId, isDirectId, isRoomId, toDirectIdFromUsers, toCanonicalChatId, getUiConversationKey, getServerConversationId } from "../utils/chatId.js";
 import { getUiPrefs } from "@/features/ui_prefs/store/uiPrefs.store";
-import { showDesktopNotification } from "@/utils/notificationUtils";
+import { showDesktopNotification, setMutedChats as setMutedChatsRegistry, isChatMuted } from "@/utils/notificationUtils";
 import { playMessageSound } from "@/utils/soundEffects";
 // Exported so feature entry points can detect if a provider is already present
 // (useful when hot-reload or embedding renders the chat UI without the expected wrapper).
@@ -37,6 +58,10 @@ export const ChatAdapterContext = createContext(null);
 
 const noop = () => {};
 
+/** Mirrors backend FORWARD limits (config/constants.js); the server rejects anything above them. */
+const FORWARD_MAX_MESSAGES = 20;
+const FORWARD_MAX_TARGETS = 5;
+
 /** True when the browser tab/window is focused and visible. Safe on older browsers (does not throw). */
 function isTabFocused() {
   try {
@@ -86,9 +111,70 @@ function normalizeMessage(m) {
     editedAt: m.editedAt ?? null,
     deleted: m.deleted === true,
     deletedAt: m.deletedAt ?? null,
+    reactions: Array.isArray(m.reactions) ? m.reactions : [],
+    replyToMessageId: m.replyToMessageId ?? null,
+    replyTo: m.replyTo ?? null,
+    forwardedFrom: m.forwardedFrom ?? null,
+    threadRootId: m.threadRootId ?? null,
+    alsoSendToRoom: m.alsoSendToRoom === true,
+    thread: m.thread ?? null,
+    expiresAt: m.expiresAt ?? null,
+    mentions: Array.isArray(m.mentions) ? m.mentions : [],
+    contentType: m.contentType ?? "text",
+    poll: m.poll ?? null,
+    attachments: Array.isArray(m.attachments) ? m.attachments : [],
+    listenedBy: Array.isArray(m.listenedBy) ? m.listenedBy : [],
+  };
+}
+
+/** Apply one user's reaction toggle to an aggregated reactions list ([{ emoji, count, userIds }]). Used for optimistic UI. */
+function applyReactionToggle(reactions, emoji, userId, add) {
+  const list = Array.isArray(reactions) ? reactions : [];
+  const uid = String(userId);
+  const existing = list.find((r) => r.emoji === emoji);
+  if (add) {
+    if (existing?.userIds?.map(String).includes(uid)) return list;
+    if (!existing) return [...list, { emoji, count: 1, userIds: [uid] }];
+    return list.map((r) => (r.emoji === emoji ? { ...r, count: r.userIds.length + 1, userIds: [...r.userIds, uid] } : r));
+  }
+  if (!existing) return list;
+  return list
+    .map((r) => {
+      if (r.emoji !== emoji) return r;
+      const userIds = r.userIds.filter((id) => String(id) !== uid);
+      return { ...r, count: userIds.length, userIds };
+    })
+    .filter((r) => r.count > 0);
+}
+
+/** Room delivery entry from a history deliverySummary or ROOM_RECEIPTS_UPDATED: counts plus the newest readers (readBy). */
+function toRoomDeliveryEntry(summary) {
+  return {
+    deliveredCount: summary.deliveredCount ?? 0,
+    totalCount: summary.totalCount ?? 0,
+    readCount: summary.readCount ?? 0,
+    readBy: Array.isArray(summary.readBy) ? summary.readBy : [],
   };
 }
 
+/** Archive: drop chatId from the archived map when a new message arrives, unless the user chose "keep archived". */
+function releaseArchivedEntry(archived, chatId) {
+  const entry = archived[chatId];
+  if (!entry || entry.keepArchived) return archived;
+  const next = { ...archived };
+  delete next[chatId];
+  return next;
+}
+
+/** Message requests: set (incoming | outgoing | declined) or clear (null) the request state of a DM chat. */
+function applyMessageRequestState(requests, chatId, state) {
+  if ((requests[chatId] ?? null) === state) return requests;
+  const next = { ...requests };
+  if (state) next[chatId] = state;
+  else delete next[chatId];
+  return next;
+}
+
 /** Identity for dedupe: same message if same messageId, roomMessageId, or clientMessageId/id. Rooms: dedupe by roomMessageId || id; DMs: by messageId/clientMessageId. */
 function sameMessageIdentity(a, b) {
   if (!a || !b) return false;
@@ -175,8 +261,36 @@ export function ChatAdapterProvider({ children }) {
   const [membersByRoomId, setMembersByRoomId] = useState({});
   /** Phase 3C: roomId -> myRole (OWNER|ADMIN|MEMBER) for RBAC UI */
   const [rolesByRoom, setRolesByRoom] = useState({});
-  /** roomMessageId -> { deliveredCount, totalCount } for group tick: delivered only when all other members received */
+  /** roomMessageId -> { deliveredCount, totalCount, readCount, readBy } for group tick (delivered only when all other members received) and "Seen by" */
   const [roomDeliveryByRoomMessageId, setRoomDeliveryByRoomMessageId] = useState({});
+  /** Threads: threadRootId -> { conversationId, root, messages (oldest first), nextCursor, hasMore, loading }. Only threads opened in this session. */
+  const [threadsByRootId, setThreadsByRootId] = useState({});
+  /** Threads: threadRootId -> unread reply count (server seed via loadThreadUnread, then incremented on ROOM_MESSAGE). */
+  const [threadUnreadByRootId, setThreadUnreadByRootId] = useState({});
+  /** Pins: canonical chatId -> pinned message snippets (most recently pinned first); replaced wholesale by CHAT_PINS_UPDATED. */
+  const [pinsByChatId, setPinsByChatId] = useState({});
+  /** Scheduled: canonical chatId -> own pending / sending / failed scheduled messages (soonest first). Sent and cancelled items are dropped. */
+  const [scheduledByChatId, setScheduledByChatId] = useState({});
+  /** Chat settings: canonical chatId -> { ephemeral, ephemeralTtlMs, updatedBy, updatedAt }; replaced by CHAT_SETTINGS_UPDATED. */
+  const [chatSettingsByChatId, setChatSettingsByChatId] = useState({});
+  /** Mentions: room chatId -> unread @mentions of me (server counter next to the room read cursor; reset by reading the room). */
+  const [mentionCountsByChatId, setMentionCountsByChatId] = useState({});
+  const mentionCountsRef = useRef(mentionCountsByChatId);
+  mentionCountsRef.current = mentionCountsByChatId;
+  /** Bookmarks: my starred messages across all chats (most recently starred first); null until loaded. */
+  const [bookmarks, setBookmarks] = useState(null);
+  /** Archive: canonical chatId -> { archivedAt, keepArchived } of my archived DMs and rooms (listed apart in the Sidebar). */
+  const [archivedChats, setArchivedChats] = useState({});
+  /** Mutes: canonical chatId -> { mutedUntil } (null = until unmuted) of chats I muted; mirrored into the notification registry. */
+  const [mutedChats, setMutedChats] = useState({});
+  /** Message requests: canonical chatId -> incoming | outgoing | declined for DMs that are unaccepted requests (Requests inbox). */
+  const [messageRequests, setMessageRequests] = useState({});
+  /** Join requests (knock rooms I own or admin): roomId -> pending [{ userId, requestedAt, message }], oldest first. */
+  const [joinRequestsByRoomId, setJoinRequestsByRoomId] = useState({});
+  /** My join requests: roomId -> { status: pending | approved | denied, reason? } for rooms I asked to join. */
+  const [myJoinRequests, setMyJoinRequests] = useState({});
+  /** Forward: { sourceConversationId, messageIds, targetChatIds } while the user picks targets in the Sidebar; null otherwise. */
+  const [forwardDraft, setForwardDraft] = useState(null);
   /** Apply delivery summaries from room history (e.g. getRoomHistory) so old messages show double tick when delivered to all. */
   const applyRoomDeliverySummaries = useCallback((messages) => {
     if (!Array.isArray(messages) || messages.length === 0) return;
@@ -184,10 +298,7 @@ export function ChatAdapterProvider({ children }) {
     messages.forEach((m) => {
       if (m.deliverySummary && typeof m.deliverySummary === 'object' && (m.roomMessageId || m.messageId)) {
         const rid = String(m.roomMessageId || m.messageId);
-        summaries[rid] = {
-          deliveredCount: m.deliverySummary.deliveredCount ?? 0,
-          totalCount: m.deliverySummary.totalCount ?? 0,
-        };
+        summaries[rid] = toRoomDeliveryEntry(m.deliverySummary);
       }
     });
     if (Object.keys(summaries).length > 0) {
@@ -216,10 +327,14 @@ export function ChatAdapterProvider({ children }) {
     lastSentAt: {}, // conversationId -> timestamp
   });
   const pendingRoomSendsRef = useRef({});
+  /** Thread panel currently open (replies there do not count as unread). */
+  const activeThreadRootIdRef = useRef(null);
   /** Idempotent: messageIds we've sent MESSAGE_DELIVERED_CONFIRM for (DM only). */
   const clientAckSentRef = useRef(new Set());
   /** B2: Pending outbox when send() returns false; flushed on HELLO_ACK with max retries. */
   const pendingOutboxRef = useRef([]);
+  /** Voice message ids already acked with MESSAGE_LISTENED this session. */
+  const listenedSentRef = useRef(new Set());
   /** B2: Single active flush timer to avoid overlapping flush chains. */
   const flushTimerRef = useRef(null);
   /** B2: After RATE_LIMIT_WARNING, slow down outbox flush (ms until we allow normal rate again). */
@@ -271,6 +386,11 @@ export function ChatAdapterProvider({ children }) {
   useEffect(() => {
     usersByIdRef.current = usersById;
   }, [usersById]);
+  /** Ref mirror of roomsById for WS notifications that name a room (join requests). */
+  const roomsByIdRef = useRef(roomsById);
+  useEffect(() => {
+    roomsByIdRef.current = roomsById;
+  }, [roomsById]);
 
   /** Phase 3: Keep refs in sync for WS handler (avoid stale closure). */
   useEffect(() => {
@@ -483,6 +603,12 @@ export function ChatAdapterProvider({ children }) {
         content: msg.content,
         createdAt: timestamp,
         state: msg.state,
+        replyToMessageId: msg.replyToMessageId,
+        replyTo: msg.replyTo,
+        forwardedFrom: msg.forwardedFrom,
+        expiresAt: msg.expiresAt,
+        contentType: msg.contentType,
+        attachments: msg.attachments,
       });
       
       // PROMPT 1: Dedupe by messageId/clientMessageId - merge fields instead of replacing
@@ -566,7 +692,7 @@ export function ChatAdapterProvider({ children }) {
           cooldownOk;
 
         if (allowSound) {
-          playMessageSound();
+          playMessageSound({ chatId });
         }
         if (cooldownOk && prefs.desktopNotifications && canNotifyContent && desktopModeOk) {
           showDesktopNotification({
@@ -574,6 +700,7 @@ export function ChatAdapterProvider({ children }) {
             body: notifBody,
             tag: chatId,
             data: { chatId },
+            chatId,
             onClick: () => {
               window.location.href = "/chat";
             },
@@ -609,6 +736,13 @@ export function ChatAdapterProvider({ children }) {
       [chatId]: timestamp,
     }));
 
+    // Archive: the server unarchived the chat for me as recipient (unless kept archived); mirror it
+    if (recipientId === meId && senderId !== meId) setArchivedChats((prev) => releaseArchivedEntry(prev, chatId));
+
+    // Message requests: the server flags every message of an unaccepted request; an unflagged one means the pair are contacts
+    const requestState = msg.messageRequest === true ? (senderId === meId ? "outgoing" : "incoming") : null;
+    setMessageRequests((prev) => applyMessageRequestState(prev, chatId, requestState));
+
     // Invariant: active conversation unread must stay 0; do not increment when conversationId === activeConversationId. Dedupe by messageId to avoid duplicate increments.
     const isRecipient = recipientId === meId;
     const isReplayMsg = !!msg.isReplay;
@@ -713,7 +847,7 @@ export function ChatAdapterProvider({ children }) {
           msg.rooms.forEach((r) => {
             const id = r?.id ?? r?.roomId;
             if (id) {
-              byId[id] = { id, name: r.name, thumbnailUrl: r.thumbnailUrl, memberCount: r.memberCount, myRole: r.myRole, version: r.version ?? 0, updatedAt: r.updatedAt ?? 0 };
+              byId[id] = { id, name: r.name, thumbnailUrl: r.thumbnailUrl, topic: r.topic ?? null, visibility: r.visibility ?? "unlisted", memberCount: r.memberCount, myRole: r.myRole, version: r.version ?? 0, updatedAt: r.updatedAt ?? 0 };
               ids.push(id);
             }
           });
@@ -823,10 +957,14 @@ export function ChatAdapterProvider({ children }) {
           setRoomDeliveryByRoomMessageId((prev) => ({
             ...prev,
             [rid]: {
+              ...prev[rid],
               deliveredCount,
               totalCount,
             },
           }));
+        } else if (msg.type === "ROOM_RECEIPTS_UPDATED" && msg.roomMessageId != null) {
+          const rid = String(msg.roomMessageId);
+          setRoomDeliveryByRoomMessageId((prev) => ({ ...prev, [rid]: toRoomDeliveryEntry(msg) }));
         } else if (msg.type === "ACK_RESPONSE" && (msg.messageId != null || msg.roomMessageId != null) && msg.state != null) {
           const id = msg.messageId ?? msg.roomMessageId;
           updateMessageStatusRef.current(id, msg.state, false, msg.roomMessageId ?? msg.messageId);
@@ -884,6 +1022,9 @@ export function ChatAdapterProvider({ children }) {
               deletedAt: msg.deletedAt ?? Date.now(),
             };
           }
+          if (action === "delete") {
+            setBookmarks((prev) => (prev ? prev.filter((b) => String(b.messageId) !== String(messageId)) : prev));
+          }
           if (Object.keys(patch).length > 0) {
             setMessagesByConversation((prev) => {
               const next = { ...prev };
@@ -906,12 +1047,255 @@ export function ChatAdapterProvider({ children }) {
               return next;
             });
           }
+        } else if (msg.type === "MESSAGE_REACTION" && msg.messageId && Array.isArray(msg.reactions)) {
+          // Server sends the full aggregated list: replace, never merge (idempotent, order-independent).
+          const messageId = String(msg.messageId);
+          const match = (m) =>
+            String(m.id) === messageId || String(m.messageId) === messageId || (m.roomMessageId != null && String(m.roomMessageId) === messageId);
+          setMessagesByConversation((prev) => {
+            const roomKey = msg.roomId ? `room:${msg.roomId}` : null;
+            const entries = roomKey ? [[roomKey, prev[roomKey] || []]] : Object.entries(prev);
+            let changed = false;
+            const next = { ...prev };
+            for (const [chatId, list] of entries) {
+              if (!list.some(match)) continue;
+              changed = true;
+              next[chatId] = list.map((m) => (match(m) ? { ...m, reactions: msg.reactions } : m));
+            }
+            return changed ? next : prev;
+          });
+          setThreadsByRootId((prev) => {
+            let changed = false;
+            const next = { ...prev };
+            for (const [rootId, thread] of Object.entries(prev)) {
+              const rootMatches = thread.root && match(thread.root);
+              if (!rootMatches && !thread.messages.some(match)) continue;
+              changed = true;
+              next[rootId] = {
+                ...thread,
+                root: rootMatches ? { ...thread.root, reactions: msg.reactions } : thread.root,
+                messages: thread.messages.map((m) => (match(m) ? { ...m, reactions: msg.reactions } : m)),
+              };
+            }
+            return changed ? next : prev;
+          });
+        } else if ((msg.type === "POLL_UPDATED" || (msg.type === "POLL_VOTE_RESPONSE" && msg.success)) && msg.roomId && msg.messageId && msg.poll) {
+          // Tallies replace the local poll. Room-wide updates carry no myOptionIds: derive it from named voters,
+          // keep the last known own selection for anonymous polls (POLL_VOTE_RESPONSE carries it).
+          const messageId = String(msg.messageId);
+          const me = String(getAuthState().user?.id ?? "");
+          const roomKey = `room:${msg.roomId}`;
+          const withPoll = (m) => {
+            let myOptionIds = msg.poll.myOptionIds;
+            if (!Array.isArray(myOptionIds)) {
+              myOptionIds = msg.poll.anonymous
+                ? m.poll?.myOptionIds ?? []
+                : msg.poll.options.filter((o) => Array.isArray(o.voterIds) && o.voterIds.includes(me)).map((o) => o.id);
+            }
+            return { ...m, poll: { ...msg.poll, myOptionIds } };
+          };
+          setMessagesByConversation((prev) => {
+            const list = prev[roomKey];
+            if (!list || !list.some((m) => String(m.roomMessageId ?? m.id) === messageId)) return prev;
+            return { ...prev, [roomKey]: list.map((m) => (String(m.roomMessageId ?? m.id) === messageId ? withPoll(m) : m)) };
+          });
+        } else if ((msg.type === "MESSAGE_LISTENED" || (msg.type === "MESSAGE_LISTENED_RESPONSE" && msg.success)) && msg.messageId) {
+          // MESSAGE_LISTENED: a recipient played our voice note for the first time. The response confirms our own listen.
+          const messageId = String(msg.messageId);
+          const entry = { userId: String(msg.userId ?? getAuthState().user?.id ?? ""), listenedAt: msg.listenedAt };
+          const withListen = (m) =>
+            (m.listenedBy || []).some((l) => String(l.userId) === entry.userId) ? m : { ...m, listenedBy: [...(m.listenedBy || []), entry] };
+          setMessagesByConversation((prev) => {
+            const keys = msg.roomId ? [`room:${msg.roomId}`] : Object.keys(prev);
+            let changed = false;
+            const next = { ...prev };
+            for (const key of keys) {
+              const list = prev[key];
+              if (!list || !list.some((m) => String(m.roomMessageId ?? m.messageId ?? m.id) === messageId)) continue;
+              next[key] = list.map((m) => (String(m.roomMessageId ?? m.messageId ?? m.id) === messageId ? withListen(m) : m));
+              changed = true;
+            }
+            return changed ? next : prev;
+          });
+        } else if (msg.type === "POLL_VOTE_RESPONSE" && !msg.success) {
+          showToast(TOAST_KIND.ERROR, { title: "Vote not counted", description: normalizeBackendError(msg).message });
+        } else if (msg.type === "MESSAGE_FORWARD_RESPONSE") {
+          // Copies arrive through MESSAGE_RECEIVE / ROOM_MESSAGE like any send; this only reports the outcome.
+          const results = Array.isArray(msg.results) ? msg.results : [];
+          const failed = results.filter((r) => !r.success).length;
+          if (msg.success === false) {
+            showToast(TOAST_KIND.ERROR, { title: "Forward failed", description: normalizeBackendError(msg).message });
+          } else if (failed > 0) {
+            showToast(TOAST_KIND.WARNING, { title: "Forwarded with errors", description: `${failed} of ${results.length} copies could not be sent.` });
+          } else {
+            showToast(TOAST_KIND.SUCCESS, { title: "Forwarded", description: results.length === 1 ? "1 message sent." : `${results.length} messages sent.` });
+          }
+        } else if (msg.type === "CHAT_PINS_UPDATED" && msg.chatId && Array.isArray(msg.pins)) {
+          // Server sends the full ordered pin list: replace, never merge.
+          const pinsKey = getUiConversationKey(msg.chatId, getAuthState().user?.id);
+          setPinsByChatId((prev) => ({ ...prev, [pinsKey]: msg.pins }));
+        } else if (msg.type === "SCHEDULED_MESSAGE_UPDATED" && msg.scheduled?.scheduledId && msg.scheduled.chatId) {
+          const item = msg.scheduled;
+          const scheduledKey = getUiConversationKey(item.chatId, getAuthState().user?.id);
+          const keep = item.status !== "sent" && item.status !== "cancelled";
+          setScheduledByChatId((prev) => {
+            const rest = (prev[scheduledKey] || []).filter((s) => s.scheduledId !== item.scheduledId);
+            const next = keep ? [...rest, item].sort((a, b) => a.sendAt - b.sendAt) : rest;
+            return { ...prev, [scheduledKey]: next };
+          });
+          if (item.status === "failed") {
+            showToast(TOAST_KIND.ERROR, { title: "Scheduled message not sent", description: item.error === "FORBIDDEN" ? "You are no longer a member of this chat" : item.error || "Unknown error" });
+          }
+        } else if (msg.type === "SCHEDULED_MESSAGE_RESPONSE" && msg.success === false) {
+          const code = msg.code || "UNKNOWN";
+          showToast(TOAST_KIND.ERROR, {
+            title: msg.action === "create" ? "Schedule failed" : msg.action === "cancel" ? "Cancel failed" : "Update failed",
+            description: code === "FORBIDDEN" ? "Not allowed" : code === "SCHEDULE_LIMIT" ? "Too many scheduled messages" : code === "SCHEDULE_LOCKED" ? "Message is already being sent" : code === "NOT_FOUND" ? "Scheduled message not found" : msg.error || code,
+          });
+        } else if (msg.type === "CHAT_SETTINGS_UPDATED" && msg.chatId && msg.settings) {
+          setChatSettingsByChatId((prev) => ({ ...prev, [getUiConversationKey(msg.chatId, getAuthState().user?.id)]: msg.settings }));
+        } else if (msg.type === "CHAT_MUTE_UPDATED" && msg.chatId && msg.mute) {
+          // Sent to all of my sockets, so a mute set on another device applies here too.
+          const mutedKey = toCanonicalChatId(msg.chatId, getAuthState().user?.id);
+          setMutedChats((prev) => {
+            const next = { ...prev };
+            if (msg.mute.muted) next[mutedKey] = { mutedUntil: msg.mute.mutedUntil ?? null };
+            else delete next[mutedKey];
+            return next;
+          });
+        } else if (msg.type === "MESSAGE_REQUEST_UPDATED" && msg.chatId) {
+          // Accepted: a normal chat for both users. Declined (only I am told): hidden until the requester writes again.
+          const requestKey = toCanonicalChatId(msg.chatId, getAuthState().user?.id);
+          setMessageRequests((prev) => applyMessageRequestState(prev, requestKey, msg.status === "declined" ? "declined" : null));
+          if (msg.status === "accepted" && String(msg.requesterId) === String(getAuthState().user?.id ?? "")) {
+            // Delivered / read states were withheld until now
+            loadMessagesRef.current?.(requestKey);
+          }
+        } else if (msg.type === "ROOM_JOIN_REQUESTED" && msg.roomId && msg.request?.userId) {
+          // Only owners and admins of the room get this
+          setJoinRequestsByRoomId((prev) => {
+            const list = (prev[msg.roomId] ?? []).filter((r) => String(r.userId) !== String(msg.request.userId));
+            return { ...prev, [msg.roomId]: [...list, msg.request] };
+          });
+          const requester = usersByIdRef.current[msg.request.userId];
+          const roomName = roomsByIdRef.current[msg.roomId]?.name || msg.roomId;
+          showToast(TOAST_KIND.INFO, {
+            title: `${requester?.displayName || requester?.username || "Someone"} asked to join ${roomName}`,
+            description: msg.request.message || "Review it in Group info.",
+          });
+        } else if (msg.type === "ROOM_JOIN_REQUEST_UPDATED" && msg.roomId && msg.userId) {
+          setJoinRequestsByRoomId((prev) => {
+            if (!prev[msg.roomId]) return prev;
+            return { ...prev, [msg.roomId]: prev[msg.roomId].filter((r) => String(r.userId) !== String(msg.userId)) };
+          });
+          if (String(msg.userId) === String(getAuthState().user?.id ?? "")) {
+            setMyJoinRequests((prev) => ({ ...prev, [msg.roomId]: { status: msg.status, reason: msg.reason ?? null } }));
+            if (msg.status === "approved") {
+              showToast(TOAST_KIND.SUCCESS, { title: "Join request approved", description: `You are now a member of ${msg.roomId}.` });
+              wsClient.sendRoomList();
+            } else {
+              showToast(TOAST_KIND.WARNING, { title: "Join request declined", description: msg.reason || `Your request to join ${msg.roomId} was declined.` });
+            }
+          }
+        } else if (msg.type === "MESSAGE_REQUEST_RESPONSE" && msg.success === false) {
+          const code = msg.code || "UNKNOWN";
+          showToast(TOAST_KIND.ERROR, {
+            title: "Message request not updated",
+            description: code === "REQUEST_NOT_FOUND" ? "This request was already answered" : msg.error || code,
+          });
+        } else if (msg.type === "CHAT_MUTE_RESPONSE" && msg.success === false) {
+          const code = msg.code || "UNKNOWN";
+          showToast(TOAST_KIND.ERROR, {
+            title: "Notifications not changed",
+            description: code === "FORBIDDEN" ? "You are not a member of this chat" : msg.error || code,
+          });
+        } else if (msg.type === "CHAT_EPHEMERAL_RESPONSE") {
+          if (msg.success === false) {
+            const code = msg.code || "UNKNOWN";
+            showToast(TOAST_KIND.ERROR, {
+              title: "Disappearing messages not changed",
+              description: code === "FORBIDDEN" ? "Only room admins can change this setting" : msg.error || code,
+            });
+          } else if (msg.chatId && msg.settings) {
+            setChatSettingsByChatId((prev) => ({ ...prev, [getUiConversationKey(msg.chatId, getAuthState().user?.id)]: msg.settings }));
+          }
+        } else if (msg.type === "MENTION" && msg.chatId && msg.roomMessageId) {
+          // Distinct from ROOM_MESSAGE: counted and surfaced even for rooms whose notifications are muted.
+          const mentionKey = getUiConversationKey(msg.chatId, getAuthState().user?.id);
+          setMentionCountsByChatId((prev) => ({ ...prev, [mentionKey]: (prev[mentionKey] || 0) + 1 }));
+          const isActive = activeConversationIdRef.current === mentionKey;
+          if (!isActive || document.visibilityState !== "visible") {
+            const sender = usersByIdRef.current[msg.senderId];
+            const title = `${sender?.displayName || sender?.username || "Someone"} mentioned you`;
+            showToast(TOAST_KIND.INFO, { title, description: msg.content || undefined });
+            // The ROOM_MESSAGE of a muted room stayed silent; the mention breaks through the mute.
+            if (isChatMuted(msg.chatId)) {
+              const prefs = getUiPrefs();
+              const notifMode = prefs.desktopNotificationMode ?? "background_only";
+              if (prefs.soundNotifications) playMessageSound({ chatId: msg.chatId, mention: true });
+              if (prefs.desktopNotifications && (notifMode !== "background_only" || isBackgrounded())) {
+                showDesktopNotification({
+                  title,
+                  body: (msg.content ?? "").toString().slice(0, 120),
+                  tag: mentionKey,
+                  data: { roomId: msg.roomId },
+                  chatId: msg.chatId,
+                  mention: true,
+                  onClick: () => {
+                    window.location.href = "/chat";
+                  },
+                });
+              }
+            }
+          }
+        } else if (msg.type === "MESSAGES_EXPIRED" && msg.chatId && Array.isArray(msg.messageIds)) {
+          // Server hard-deleted these (rooms: roomMessageIds); drop them everywhere they are rendered.
+          const expiredIds = new Set(msg.messageIds.map(String));
+          const match = (m) =>
+            expiredIds.has(String(m.id)) || expiredIds.has(String(m.messageId)) || (m.roomMessageId != null && expiredIds.has(String(m.roomMessageId)));
+          const expiredKey = getUiConversationKey(msg.chatId, getAuthState().user?.id);
+          setBookmarks((prev) => (prev ? prev.filter((b) => !expiredIds.has(String(b.messageId))) : prev));
+          setMessagesByConversation((prev) => {
+            const list = prev[expiredKey];
+            if (!list || !list.some(match)) return prev;
+            return { ...prev, [expiredKey]: list.filter((m) => !match(m)) };
+          });
+          setThreadsByRootId((prev) => {
+            let changed = false;
+            const next = { ...prev };
+            for (const [rootId, thread] of Object.entries(prev)) {
+              if (expiredIds.has(rootId)) {
+                delete next[rootId];
+                changed = true;
+              } else if (thread.messages.some(match)) {
+                next[rootId] = { ...thread, messages: thread.messages.filter((m) => !match(m)) };
+                changed = true;
+              }
+            }
+            return changed ? next : prev;
+          });
+          setPinsByChatId((prev) => {
+            const pins = prev[expiredKey];
+            if (!pins || !pins.some((p) => expiredIds.has(String(p.messageId)))) return prev;
+            return { ...prev, [expiredKey]: pins.filter((p) => !expiredIds.has(String(p.messageId))) };
+          });
+        } else if (msg.type === "MESSAGE_MUTATION_ACK" && (msg.action === "pin" || msg.action === "unpin")) {
+          if (msg.success === false) {
+            const code = msg.code || "UNKNOWN";
+            showToast(TOAST_KIND.ERROR, {
+              title: msg.action === "pin" ? "Pin failed" : "Unpin failed",
+              description: code === "FORBIDDEN" ? "Only room admins can pin messages" : code === "PIN_LIMIT" ? "Too many pinned messages in this chat" : code === "NOT_FOUND" ? "Message not found" : code,
+            });
+          } else if (msg.chatId && Array.isArray(msg.pins)) {
+            setPinsByChatId((prev) => ({ ...prev, [getUiConversationKey(msg.chatId, getAuthState().user?.id)]: msg.pins }));
+          }
         } else if (msg.type === "MESSAGE_MUTATION_ACK" && msg.success === false) {
           const messageId = msg.messageId;
           const code = msg.code || "UNKNOWN";
+          const isReaction = msg.action === "react" || msg.action === "unreact";
           showToast(TOAST_KIND.ERROR, {
-            title: msg.action === "edit" ? "Edit failed" : "Delete failed",
-            description: code === "FORBIDDEN" ? "Not allowed" : code === "NOT_FOUND" ? "Message not found" : code,
+            title: isReaction ? "Reaction failed" : msg.action === "edit" ? "Edit failed" : "Delete failed",
+            description: code === "FORBIDDEN" ? "Not allowed" : code === "NOT_FOUND" ? "Message not found" : code === "REACTION_LIMIT" ? "Too many different reactions on this message" : code === "EDIT_WINDOW_EXPIRED" ? "Messages can only be edited shortly after sending" : code,
           });
           setMessagesByConversation((prev) => {
             let chatIdToReload = null;
@@ -935,6 +1319,8 @@ export function ChatAdapterProvider({ children }) {
             return;
           }
           const errMsg = normalized.message ?? msg.message ?? msg.error ?? "Request failed";
+          // JoinRoomPopup offers a join request instead
+          if (code === "APPROVAL_REQUIRED") return;
           if (code === "INVALID_TRANSITION" && msg.messageId) {
             scheduleReadRetryRef.current(msg.messageId);
             return;
@@ -1124,7 +1510,7 @@ export function ChatAdapterProvider({ children }) {
           msg.rooms.forEach((r) => {
             const id = r?.id ?? r?.roomId;
             if (id) {
-              byId[id] = { id, name: r.name, thumbnailUrl: r.thumbnailUrl, memberCount: r.memberCount, myRole: r.myRole, version: r.version ?? 0, updatedAt: r.updatedAt ?? 0 };
+              byId[id] = { id, name: r.name, thumbnailUrl: r.thumbnailUrl, topic: r.topic ?? null, visibility: r.visibility ?? "unlisted", memberCount: r.memberCount, myRole: r.myRole, version: r.version ?? 0, updatedAt: r.updatedAt ?? 0 };
               ids.push(id);
             }
           });
@@ -1223,6 +1609,7 @@ export function ChatAdapterProvider({ children }) {
           const roomConversationId = `room:${msg.roomId}`;
           const me = getAuthState().user?.id;
           const meId = me != null ? String(me) : "";
+          if (String(msg.senderId) !== meId) setArchivedChats((prev) => releaseArchivedEntry(prev, roomConversationId));
           // Unread: increment only once per NEW message, when room is NOT active and sender is NOT self (see "not exists" branch + roomUnreadPendingRef below).
 
           // Phase 3: Notifications for incoming room messages (not replay, not from self)
@@ -1256,7 +1643,7 @@ export function ChatAdapterProvider({ children }) {
                 cooldownOk;
 
               if (allowSound) {
-                playMessageSound();
+                playMessageSound({ chatId: roomConversationId });
               }
               if (cooldownOk && prefs.desktopNotifications && canNotifyContent && desktopModeOk) {
                 showDesktopNotification({
@@ -1264,6 +1651,7 @@ export function ChatAdapterProvider({ children }) {
                   body: notifBody,
                   tag: roomConversationId,
                   data: { roomId: msg.roomId },
+                  chatId: roomConversationId,
                   onClick: () => {
                     window.location.href = "/chat";
                   },
@@ -1272,13 +1660,35 @@ export function ChatAdapterProvider({ children }) {
             }
           }
 
+          // Threads: replies go to the open thread; only alsoSendToRoom replies join the room timeline.
+          const threadRootId = msg.threadRootId ? String(msg.threadRootId) : null;
+          const isThreadOnly = threadRootId != null && msg.alsoSendToRoom !== true;
+          if (threadRootId) {
+            const reply = normalizeMessage({ ...msg, state: "delivered" });
+            setThreadsByRootId((prev) => {
+              const thread = prev[threadRootId];
+              if (!thread) return prev;
+              const known = thread.messages.some(
+                (x) => String(x.roomMessageId || x.id) === String(msg.roomMessageId)
+              );
+              if (known) return prev;
+              return { ...prev, [threadRootId]: { ...thread, messages: [...thread.messages, reply] } };
+            });
+            const threadUnreadKey = `thread:${threadRootId}:${msg.roomMessageId}`;
+            const isFromOther = String(msg.senderId || "") !== meId;
+            if (isFromOther && activeThreadRootIdRef.current !== threadRootId && !unreadIncrementedForRef.current.has(threadUnreadKey)) {
+              unreadIncrementedForRef.current.add(threadUnreadKey);
+              setThreadUnreadByRootId((prev) => ({ ...prev, [threadRootId]: (prev[threadRootId] || 0) + 1 }));
+            }
+          }
+
           setMessagesByConversation((prev) => {
             const list = prev[roomConversationId] || [];
             const exists = list.some((x) =>
               String(x.roomMessageId || x.id) === String(msg.roomMessageId) ||
               (msg.messageId && String(x.messageId || x.id) === String(msg.messageId))
             );
-            if (exists) return prev;
+            if (exists || isThreadOnly) return prev;
             const isRoomActive = activeConversationIdRef.current === roomConversationId;
             const isFromOther = String(msg.senderId || "") !== meId;
             if (!isRoomActive && isFromOther) {
@@ -1313,6 +1723,18 @@ export function ChatAdapterProvider({ children }) {
               createdAt: msg.timestamp,
               status: "delivered",
               messageType: msg.messageType || "text",
+              replyToMessageId: msg.replyToMessageId ?? null,
+              replyTo: msg.replyTo ?? null,
+              forwardedFrom: msg.forwardedFrom ?? null,
+              threadRootId,
+              alsoSendToRoom: msg.alsoSendToRoom === true,
+              thread: null,
+              expiresAt: msg.expiresAt ?? null,
+              mentions: Array.isArray(msg.mentions) ? msg.mentions : [],
+              contentType: msg.contentType ?? "text",
+              poll: msg.poll ?? null,
+              attachments: Array.isArray(msg.attachments) ? msg.attachments : [],
+              listenedBy: [],
             };
             return { ...prev, [roomConversationId]: [...list, normalized] };
           });
@@ -1340,12 +1762,46 @@ export function ChatAdapterProvider({ children }) {
             // Invariant: active conversation unread must stay 0. Guard: unread never negative. Dedupe by roomMessageId.
             setRoomUnreadCounts((prev) => ({ ...prev, [cid]: activeConversationIdRef.current === cid ? 0 : (shouldIncrementRoom ? Math.max(0, (prev[cid] || 0) + 1) : Math.max(0, prev[cid] || 0)) }));
           }
+        } else if (msg.type === "ROOM_THREAD_UPDATED" && msg.roomId && msg.threadRootId) {
+          // Root summary ("N replies, last reply at") is broadcast to the whole room on every reply.
+          const roomConversationId = `room:${msg.roomId}`;
+          const rootId = String(msg.threadRootId);
+          const isRoot = (m) => String(m.roomMessageId || m.id) === rootId;
+          setMessagesByConversation((prev) => {
+            const list = prev[roomConversationId];
+            if (!list || !list.some(isRoot)) return prev;
+            return { ...prev, [roomConversationId]: list.map((m) => (isRoot(m) ? { ...m, thread: msg.thread ?? null } : m)) };
+          });
+          setThreadsByRootId((prev) => {
+            const thread = prev[rootId];
+            if (!thread?.root) return prev;
+            return { ...prev, [rootId]: { ...thread, root: { ...thread.root, thread: msg.thread ?? null } } };
+          });
         } else if (msg.type === "ROOM_MESSAGE_RESPONSE" && msg.roomId) {
           const roomConversationId = `room:${msg.roomId}`;
           const pending = pendingRoomSendsRef.current[msg.roomId] || [];
           const head = pending[0];
           const clientMessageId = head?.clientMessageId;
           const roomMessageId = msg.roomMessageId;
+          if (head?.threadRootId) {
+            const rootId = String(head.threadRootId);
+            const reconcile = (m) =>
+              String(m.id) !== String(clientMessageId)
+                ? m
+                : msg.success && roomMessageId
+                  ? { ...m, id: roomMessageId, roomMessageId, messageId: msg.messageId ?? m.messageId, createdAt: msg.timestamp ?? m.createdAt, status: "sent" }
+                  : { ...m, status: "failed" };
+            setThreadsByRootId((prev) => {
+              const thread = prev[rootId];
+              if (!thread) return prev;
+              // ROOM_MESSAGE may have arrived first (sender is in the thread audience): drop the optimistic copy.
+              const serverAlreadyExists = msg.success && thread.messages.some((m) => String(m.roomMessageId || m.id) === String(roomMessageId));
+              const messages = serverAlreadyExists
+                ? thread.messages.filter((m) => String(m.id) !== String(clientMessageId))
+                : thread.messages.map(reconcile);
+              return { ...prev, [rootId]: { ...thread, messages } };
+            });
+          }
           if (msg.success && roomMessageId && head) {
             pendingRoomSendsRef.current[msg.roomId] = pending.slice(1);
             setMessagesByConversation((prev) => {
@@ -1376,6 +1832,7 @@ export function ChatAdapterProvider({ children }) {
                   createdAt: msg.timestamp ?? existing.createdAt,
                   status: "sent",
                   messageType: existing.messageType || "text",
+                  expiresAt: msg.expiresAt ?? existing.expiresAt ?? null,
                 };
                 return {
                   ...prev,
@@ -1733,6 +2190,11 @@ export function ChatAdapterProvider({ children }) {
     setMembersByRoomId({});
     setRolesByRoom({});
     setRoomDeliveryByRoomMessageId({});
+    setArchivedChats({});
+    setMutedChats({});
+    setMessageRequests({});
+    setJoinRequestsByRoomId({});
+    setMyJoinRequests({});
     setIsDirectoryHydrating(false);
     clearLastSeenMessageId();
   }, []);
@@ -1833,6 +2295,13 @@ export function ChatAdapterProvider({ children }) {
         const canonicalChatId = c.chatId != null ? normalizeConversationId(c.chatId) : c.chatId;
         return { ...c, fromApi: true, chatId: canonicalChatId ?? c.chatId };
       }));
+      const requests = {};
+      list.forEach((c) => {
+        if (c.chatId != null && (c.messageRequest === "incoming" || c.messageRequest === "outgoing")) {
+          requests[normalizeConversationId(c.chatId)] = c.messageRequest;
+        }
+      });
+      setMessageRequests(requests);
       setUnreadCounts((prev) => {
         const next = { ...prev };
         list.forEach((c) => {
@@ -1990,7 +2459,7 @@ export function ChatAdapterProvider({ children }) {
       (list || []).forEach((r) => {
         const id = r?.id ?? r?.roomId;
         if (id) {
-          byId[id] = { id, name: r.name, thumbnailUrl: r.thumbnailUrl, memberCount: r.memberCount, myRole: r.myRole, version: r.version, updatedAt: r.updatedAt };
+          byId[id] = { id, name: r.name, thumbnailUrl: r.thumbnailUrl, topic: r.topic ?? null, visibility: r.visibility ?? "unlisted", memberCount: r.memberCount, myRole: r.myRole, version: r.version, updatedAt: r.updatedAt };
           ids.push(id);
         }
       });
@@ -2049,9 +2518,16 @@ export function ChatAdapterProvider({ children }) {
     }
   }, []);
 
-  const sendRoomMessageViaWs = useCallback((roomId, content, clientMessageId) => {
+  const sendRoomMessageViaWs = useCallback((roomId, content, clientMessageId, replyToMessageId = null, attachmentIds = null, contentType = "file") => {
     if (!wsClient.isReady()) return false;
-    const sent = wsClient.sendRoomMessage({ roomId, content, clientMessageId, messageType: "text" });
+    const sent = wsClient.sendRoomMessage({
+      roomId,
+      content,
+      clientMessageId,
+      messageType: "text",
+      replyToMessageId,
+      ...(attachmentIds?.length ? { contentType, attachmentIds } : {}),
+    });
     if (sent) {
       const pending = pendingRoomSendsRef.current[roomId] || [];
       pendingRoomSendsRef.current[roomId] = [...pending, { clientMessageId }];
@@ -2059,16 +2535,20 @@ export function ChatAdapterProvider({ children }) {
     return sent;
   }, []);
 
-  const sendOrQueueMessage = useCallback((conversationId, content, clientMessageId, { roomId = null, recipientId = null } = {}) => {
+  /**
+   * attachmentIds (from uploadAttachment) make it a file message; content is then the caption.
+   * contentType "voice" sends the single attachment from uploadVoiceNote as a voice message instead.
+   */
+  const sendOrQueueMessage = useCallback((conversationId, content, clientMessageId, { roomId = null, recipientId = null, replyToMessageId = null, attachmentIds = null, contentType = "file" } = {}) => {
     const rawRoomId = roomId && typeof roomId === "string" ? (roomId.startsWith("room:") ? roomId.slice(5) : roomId.startsWith("group-") ? roomId.slice(7) : roomId) : roomId;
     const isRoom = rawRoomId != null && rawRoomId !== "";
     const isDm = recipientId != null && recipientId !== "";
     let sent = false;
     if (isRoom) {
-      sent = sendRoomMessageViaWs(rawRoomId, content, clientMessageId);
+      sent = sendRoomMessageViaWs(rawRoomId, content, clientMessageId, replyToMessageId, attachmentIds, contentType);
     } else if (isDm) {
       if (wsClient.isReady()) {
-        sent = wsClient.sendMessage(recipientId, content, clientMessageId);
+        sent = wsClient.sendMessage(recipientId, content, clientMessageId, replyToMessageId, attachmentIds, contentType);
       }
     } else {
       return false;
@@ -2080,6 +2560,9 @@ export function ChatAdapterProvider({ children }) {
       content,
       roomId: isRoom ? rawRoomId : null,
       recipientId: isDm ? recipientId : null,
+      replyToMessageId: replyToMessageId || null,
+      attachmentIds: attachmentIds?.length ? attachmentIds : null,
+      contentType,
       retryCount: 0,
       addedAt: Date.now(),
     };
@@ -2110,10 +2593,7 @@ export function ChatAdapterProvider({ children }) {
       rawMessages.forEach((m) => {
         if (m.deliverySummary && typeof m.deliverySummary === 'object' && (m.roomMessageId || m.messageId)) {
           const rid = String(m.roomMessageId || m.messageId);
-          deliverySummariesFromHistory[rid] = {
-            deliveredCount: m.deliverySummary.deliveredCount ?? 0,
-            totalCount: m.deliverySummary.totalCount ?? 0,
-          };
+          deliverySummariesFromHistory[rid] = toRoomDeliveryEntry(m.deliverySummary);
         }
       });
       if (Object.keys(deliverySummariesFromHistory).length > 0) {
@@ -2150,7 +2630,8 @@ export function ChatAdapterProvider({ children }) {
         normalized.forEach((m, i) => {
           const k = getDedupeKey(m, `n-${i}`);
           if (byKey.has(k)) {
-            byKey.set(k, mergeMessageState(byKey.get(k), m));
+            // Reactions and reply snippets are server-owned: history always wins over the cached copy.
+            byKey.set(k, { ...mergeMessageState(byKey.get(k), m), reactions: m.reactions, replyTo: m.replyTo });
           } else {
             byKey.set(k, m);
           }
@@ -2193,6 +2674,32 @@ export function ChatAdapterProvider({ children }) {
     loadMessagesRef.current = loadMessages;
   }, [loadMessages]);
 
+  // Disappearing messages: drop messages locally at expiresAt; the server sweep (MESSAGES_EXPIRED) may run later.
+  useEffect(() => {
+    let nextExpiry = Infinity;
+    for (const list of Object.values(messagesByConversation)) {
+      for (const m of list) {
+        if (m.expiresAt != null && m.expiresAt < nextExpiry) nextExpiry = m.expiresAt;
+      }
+    }
+    if (!Number.isFinite(nextExpiry)) return undefined;
+    const delay = Math.min(Math.max(0, nextExpiry - Date.now()), 2 ** 31 - 1);
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      setMessagesByConversation((prev) => {
+        let changed = false;
+        const next = { ...prev };
+        for (const [chatId, list] of Object.entries(prev)) {
+          if (!list.some((m) => m.expiresAt != null && m.expiresAt <= now)) continue;
+          changed = true;
+          next[chatId] = list.filter((m) => m.expiresAt == null || m.expiresAt > now);
+        }
+        return changed ? next : prev;
+      });
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [messagesByConversation]);
+
   /**
    * PHASE 2: Upsert message - if messageId or clientMessageId exists, replace; else append.
    * Prevents duplicate optimistic messages when user sends multiple times quickly.
@@ -2326,6 +2833,670 @@ export function ChatAdapterProvider({ children }) {
     }
   }, []);
 
+  /**
+   * Toggle the current user's emoji reaction on a rendered message (add if not mine yet, else remove).
+   * Optimistic update, then MESSAGE_REACT / MESSAGE_UNREACT; server MESSAGE_REACTION is authoritative.
+   * Rooms: message id is the roomMessageId.
+   */
+  const toggleReaction = useCallback((conversationId, message, emoji) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    assertCanonicalId(canonicalId, `toggleReaction(${conversationId})`);
+    const messageId = message?.roomMessageId ?? message?.messageId ?? message?.id;
+    if (!messageId || !emoji || !me) return;
+    const match = (m) => String(m.id) === String(messageId) || String(m.messageId) === String(messageId);
+    const mine = (message.reactions || []).find((r) => r.emoji === emoji)?.userIds?.map(String).includes(String(me));
+    const add = !mine;
+    setMessagesByConversation((prev) => {
+      const list = prev[canonicalId] || [];
+      return {
+        ...prev,
+        [canonicalId]: list.map((m) => (match(m) ? { ...m, reactions: applyReactionToggle(m.reactions, emoji, me, add) } : m)),
+      };
+    });
+    if (!wsClient.isReady()) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Reaction not sent. Reconnect and try again." });
+      loadMessagesRef.current?.(canonicalId);
+      return;
+    }
+    const sent = add ? wsClient.sendMessageReact(messageId, emoji) : wsClient.sendMessageUnreact(messageId, emoji);
+    if (!sent) {
+      showToast(TOAST_KIND.ERROR, { title: "Reaction failed", description: "Could not send. Restoring." });
+      loadMessagesRef.current?.(canonicalId);
+    }
+  }, []);
+
+  /**
+   * Load the messages around one message (getContextWindow on the backend) and merge them into the conversation.
+   * Used to jump to a replied-to parent that is older than the loaded history. Existing entries win (delivery state);
+   * pagination cursor is untouched so "load older" still fills the gap.
+   * @returns {Promise<string|null>} Anchor id to scroll to, or null when the message is not available
+   */
+  const loadMessageContext = useCallback(async (conversationId, messageId) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    assertCanonicalId(canonicalId, `loadMessageContext(${conversationId})`);
+    if (!messageId) return null;
+    try {
+      const { messages, anchorId } = await getMessageContextApi(getServerConversationId(canonicalId, me), messageId);
+      const normalized = (messages || []).map(normalizeMessage).filter(Boolean);
+      if (!anchorId || normalized.length === 0) return null;
+      const keyOf = (m) => String(m.roomMessageId || m.messageId || m.id || "");
+      const ts = (m) => Number(m.createdAt ?? m.timestamp ?? 0);
+      setMessagesByConversation((prev) => {
+        const list = prev[canonicalId] || [];
+        const known = new Set(list.map(keyOf));
+        const added = normalized.filter((m) => !known.has(keyOf(m)));
+        if (added.length === 0) return prev;
+        const merged = [...list, ...added].sort((a, b) => ts(a) - ts(b) || keyOf(a).localeCompare(keyOf(b), "en"));
+        return { ...prev, [canonicalId]: merged };
+      });
+      return String(anchorId);
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadMessageContext failed", e?.message || e);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Load one page of a room thread (root + replies). First call replaces the thread; beforeId prepends older replies.
+   * Replies are kept oldest first for rendering; the server pages newest first.
+   */
+  const loadThread = useCallback(async (conversationId, threadRootId, { beforeId } = {}) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    assertCanonicalId(canonicalId, `loadThread(${conversationId})`);
+    if (!threadRootId || !isRoomId(canonicalId)) return;
+    const rootId = String(threadRootId);
+    setThreadsByRootId((prev) => ({
+      ...prev,
+      [rootId]: { conversationId: canonicalId, root: null, messages: [], nextCursor: null, hasMore: false, ...prev[rootId], loading: true },
+    }));
+    try {
+      const { root, messages, nextCursor, hasMore } = await getThreadHistoryApi(getServerConversationId(canonicalId, me), rootId, { limit: 50, beforeId });
+      const page = (messages || []).map(normalizeMessage).filter(Boolean).reverse();
+      setThreadsByRootId((prev) => {
+        const current = prev[rootId];
+        const older = beforeId && current ? page : [];
+        const keyOf = (m) => String(m.roomMessageId || m.id);
+        const base = beforeId && current ? current.messages : page;
+        const known = new Set(base.map(keyOf));
+        return {
+          ...prev,
+          [rootId]: {
+            conversationId: canonicalId,
+            root: normalizeMessage(root) ?? current?.root ?? null,
+            messages: [...older.filter((m) => !known.has(keyOf(m))), ...base],
+            nextCursor: nextCursor ?? null,
+            hasMore: hasMore === true,
+            loading: false,
+          },
+        };
+      });
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadThread failed", e?.message || e);
+      setThreadsByRootId((prev) => (prev[rootId] ? { ...prev, [rootId]: { ...prev[rootId], loading: false } } : prev));
+      showToast(TOAST_KIND.ERROR, { title: "Thread unavailable", description: toUserMessage(e?.code) || "Could not load thread." });
+    }
+  }, []);
+
+  /** Mark the thread panel as open (its replies no longer count as unread) or closed (threadRootId null). */
+  const setActiveThread = useCallback((threadRootId) => {
+    const rootId = threadRootId ? String(threadRootId) : null;
+    activeThreadRootIdRef.current = rootId;
+    if (rootId) setThreadUnreadByRootId((prev) => (prev[rootId] ? { ...prev, [rootId]: 0 } : prev));
+  }, []);
+
+  /** Persist the per-thread read cursor. Skips optimistic (client-id) replies; the room cursor is untouched. */
+  const markThreadRead = useCallback((conversationId, threadRootId, lastReadMessageId) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!threadRootId || !lastReadMessageId || !isRoomId(canonicalId)) return;
+    setThreadUnreadByRootId((prev) => (prev[threadRootId] ? { ...prev, [threadRootId]: 0 } : prev));
+    markThreadReadApi(getServerConversationId(canonicalId, me), String(threadRootId), String(lastReadMessageId)).then((res) => {
+      if (!res?.ok && import.meta.env.DEV) console.warn("[chat] markThreadRead failed", res?.error);
+    });
+  }, []);
+
+  /** Seed thread unread counts for a room from the server (threads the user follows). */
+  const loadThreadUnread = useCallback(async (conversationId) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!isRoomId(canonicalId)) return;
+    try {
+      const threads = await getThreadUnreadApi(getServerConversationId(canonicalId, me));
+      setThreadUnreadByRootId((prev) => {
+        const next = { ...prev };
+        for (const t of threads || []) {
+          if (!t?.threadRootId) continue;
+          const rootId = String(t.threadRootId);
+          next[rootId] = activeThreadRootIdRef.current === rootId ? 0 : Math.max(0, t.unreadCount || 0);
+        }
+        return next;
+      });
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadThreadUnread failed", e?.message || e);
+    }
+  }, []);
+
+  /**
+   * Send a reply into a room thread. Optimistic insert into the thread (and the room timeline when alsoSendToRoom);
+   * ROOM_MESSAGE_RESPONSE reconciles it via pendingRoomSendsRef.
+   */
+  const sendThreadReply = useCallback((conversationId, threadRootId, content, { alsoSendToRoom = false } = {}) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    const text = typeof content === "string" ? content.trim() : "";
+    if (!threadRootId || !text || !me || !isRoomId(canonicalId)) return false;
+    const roomId = canonicalId.slice(5);
+    const rootId = String(threadRootId);
+    const clientMessageId = `c_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    const optimistic = {
+      id: clientMessageId,
+      messageId: clientMessageId,
+      clientMessageId,
+      roomId,
+      senderId: String(me),
+      content: text,
+      createdAt: Date.now(),
+      status: "sending",
+      reactions: [],
+      replyToMessageId: null,
+      replyTo: null,
+      threadRootId: rootId,
+      alsoSendToRoom: alsoSendToRoom === true,
+      thread: null,
+    };
+    setThreadsByRootId((prev) => {
+      const thread = prev[rootId];
+      if (!thread) return prev;
+      return { ...prev, [rootId]: { ...thread, messages: [...thread.messages, optimistic] } };
+    });
+    if (alsoSendToRoom === true) {
+      setMessagesByConversation((prev) => ({ ...prev, [canonicalId]: [...(prev[canonicalId] || []), optimistic] }));
+    }
+    const sent = wsClient.isReady() && wsClient.sendRoomMessage({
+      roomId,
+      content: text,
+      clientMessageId,
+      messageType: "text",
+      threadRootId: rootId,
+      alsoSendToRoom: alsoSendToRoom === true,
+    });
+    if (sent) {
+      const pending = pendingRoomSendsRef.current[roomId] || [];
+      pendingRoomSendsRef.current[roomId] = [...pending, { clientMessageId, threadRootId: rootId, alsoSendToRoom: alsoSendToRoom === true }];
+      return true;
+    }
+    const markFailed = (m) => (String(m.id) === clientMessageId ? { ...m, status: "failed" } : m);
+    setThreadsByRootId((prev) => (prev[rootId] ? { ...prev, [rootId]: { ...prev[rootId], messages: prev[rootId].messages.map(markFailed) } } : prev));
+    if (alsoSendToRoom === true) {
+      setMessagesByConversation((prev) => ({ ...prev, [canonicalId]: (prev[canonicalId] || []).map(markFailed) }));
+    }
+    showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Thread reply not sent. Reconnect and try again." });
+    return false;
+  }, []);
+
+  /** Pins: load the pinned messages of a conversation (GET /api/chats/:chatId/pins). */
+  const loadPins = useCallback(async (conversationId) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!canonicalId || !me) return;
+    try {
+      const pins = await getPinsApi(canonicalId);
+      setPinsByChatId((prev) => ({ ...prev, [canonicalId]: pins }));
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadPins failed", e?.message || e);
+    }
+  }, []);
+
+  /**
+   * Edit history: revisions of a rendered message (rooms: roomMessageId) for the "edited" popover. Not cached;
+   * the popover fetches on open so it always shows the latest edit.
+   * @returns {Promise<Array<{ content: string, createdAt: number|null, current: boolean }>|null>} null on failure
+   */
+  const loadMessageRevisions = useCallback(async (conversationId, message) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    const messageId = message?.roomMessageId ?? message?.messageId ?? message?.id;
+    if (!canonicalId || !me || !messageId) return null;
+    try {
+      return await getMessageRevisionsApi(canonicalId, messageId);
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadMessageRevisions failed", e?.message || e);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Room read receipts: "delivered to / read by" of my room message for the "Seen by" popover. Fetched on open;
+   * the counts in roomDeliveryByRoomMessageId stay live through ROOM_RECEIPTS_UPDATED.
+   * @returns {Promise<{ totalCount: number, deliveredCount: number, readCount: number, readBy: Array, deliveredTo: Array, maxListed: number }|null>} null on failure
+   */
+  const loadMessageReceipts = useCallback(async (conversationId, message) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    const roomMessageId = message?.roomMessageId ?? message?.id;
+    if (!canonicalId?.startsWith("room:") || !me || !roomMessageId) return null;
+    try {
+      const receipts = await getMessageReceiptsApi(canonicalId, roomMessageId);
+      if (receipts) {
+        setRoomDeliveryByRoomMessageId((prev) => ({ ...prev, [String(roomMessageId)]: toRoomDeliveryEntry(receipts) }));
+      }
+      return receipts;
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadMessageReceipts failed", e?.message || e);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Pins: pin or unpin a rendered message (rooms: roomMessageId). No optimistic update; CHAT_PINS_UPDATED / the ACK is authoritative.
+   * @returns {boolean} true when the request was sent
+   */
+  const togglePin = useCallback((message, pinned) => {
+    const messageId = message?.roomMessageId ?? message?.messageId ?? message?.id;
+    if (!messageId) return false;
+    const sent = wsClient.isReady() && (pinned ? wsClient.sendMessagePin(messageId) : wsClient.sendMessageUnpin(messageId));
+    if (!sent) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Pin not changed. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /**
+   * Polls: send a poll to a room (ROOM_MESSAGE with contentType "poll"; the question is the content).
+   * The caller adds the optimistic message; ROOM_MESSAGE_RESPONSE reconciles it like any room send.
+   */
+  const sendPoll = useCallback((roomId, question, poll, clientMessageId) => {
+    if (!roomId || !question || !poll || !wsClient.isReady()) return false;
+    const sent = wsClient.sendRoomMessage({ roomId, content: question, clientMessageId, messageType: "text", contentType: "poll", poll });
+    if (sent) {
+      const pending = pendingRoomSendsRef.current[roomId] || [];
+      pendingRoomSendsRef.current[roomId] = [...pending, { clientMessageId }];
+    }
+    return sent;
+  }, []);
+
+  /** Polls: vote (replaces the previous vote; [] retracts). Tallies arrive as POLL_VOTE_RESPONSE / POLL_UPDATED. */
+  const votePoll = useCallback((messageId, optionIds) => {
+    if (!messageId) return false;
+    if (!wsClient.isReady() || !wsClient.sendPollVote(String(messageId), optionIds)) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Vote not sent. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /**
+   * Voice notes: tell the server this user played the message (first play only matters; the server ignores repeats).
+   * Sent once per message per session.
+   */
+  const markVoiceListened = useCallback((messageId) => {
+    if (!messageId || listenedSentRef.current.has(String(messageId))) return;
+    if (wsClient.isReady() && wsClient.sendMessageListened(String(messageId))) {
+      listenedSentRef.current.add(String(messageId));
+    }
+  }, []);
+
+  /** Scheduled: load own scheduled messages of a conversation (GET /api/scheduled-messages?chatId=). */
+  const loadScheduled = useCallback(async (conversationId) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!canonicalId || !me) return;
+    try {
+      const items = await getScheduledApi(canonicalId);
+      setScheduledByChatId((prev) => ({ ...prev, [canonicalId]: items }));
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadScheduled failed", e?.message || e);
+    }
+  }, []);
+
+  /**
+   * Scheduled: send content at sendAt (epoch ms). The list updates from SCHEDULED_MESSAGE_UPDATED.
+   * @returns {boolean} true when the request was sent
+   */
+  const scheduleMessage = useCallback((conversationId, content, sendAt) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    const text = typeof content === "string" ? content.trim() : "";
+    if (!canonicalId || !text || !Number.isFinite(sendAt)) return false;
+    if (sendAt <= Date.now()) {
+      showToast(TOAST_KIND.WARNING, { title: "Pick a later time", description: "Scheduled messages must be sent in the future." });
+      return false;
+    }
+    if (!wsClient.isReady() || !wsClient.sendScheduledCreate(canonicalId, text, sendAt)) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Message not scheduled. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /** Scheduled: edit content and/or sendAt of a pending item. @returns {boolean} true when the request was sent */
+  const updateScheduled = useCallback((scheduledId, patch) => {
+    if (!scheduledId || !patch) return false;
+    if (!wsClient.isReady() || !wsClient.sendScheduledUpdate(scheduledId, patch)) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Scheduled message not changed. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /** Scheduled: cancel a pending or failed item. @returns {boolean} true when the request was sent */
+  const cancelScheduled = useCallback((scheduledId) => {
+    if (!scheduledId) return false;
+    if (!wsClient.isReady() || !wsClient.sendScheduledCancel(scheduledId)) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Scheduled message not cancelled. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /** Mentions: load unread mention counts for all my rooms (GET /api/chats/mentions). */
+  const loadMentionCounts = useCallback(async () => {
+    try {
+      const mentions = await getMentionCountsApi();
+      setMentionCountsByChatId(mentions);
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadMentionCounts failed", e?.message || e);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated && !authLoading && authUser?.id != null) loadMentionCounts();
+  }, [isAuthenticated, authLoading, authUser?.id, loadMentionCounts]);
+
+  /** Bookmarks: load my saved messages across all chats (GET /api/bookmarks). */
+  const loadBookmarks = useCallback(async () => {
+    try {
+      setBookmarks(await getBookmarksApi());
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadBookmarks failed", e?.message || e);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated && !authLoading && authUser?.id != null) loadBookmarks();
+  }, [isAuthenticated, authLoading, authUser?.id, loadBookmarks]);
+
+  /**
+   * Bookmarks: star or unstar a rendered message (rooms: roomMessageId). Bookmarks are private, so this is
+   * plain HTTP; the list is refetched after starring to pick up the server snippet.
+   * @returns {Promise<boolean>} true when the change was saved
+   */
+  const toggleBookmark = useCallback(async (message, bookmarked) => {
+    const messageId = message?.roomMessageId ?? message?.messageId ?? message?.id;
+    if (!messageId) return false;
+    try {
+      if (bookmarked) {
+        await addBookmarkApi(String(messageId));
+        await loadBookmarks();
+      } else {
+        await removeBookmarkApi(String(messageId));
+        setBookmarks((prev) => (prev ? prev.filter((b) => String(b.messageId) !== String(messageId)) : prev));
+      }
+      return true;
+    } catch (e) {
+      showToast(TOAST_KIND.ERROR, {
+        title: bookmarked ? "Message not saved" : "Message not removed",
+        description: e?.message || toUserMessage(e?.code),
+      });
+      return false;
+    }
+  }, [loadBookmarks]);
+
+  /** Archive: load my archived DMs and rooms (GET /api/chats/archived; rooms are not in GET /api/chats). */
+  const loadArchivedChats = useCallback(async () => {
+    const me = getAuthState().user?.id;
+    try {
+      const list = await getArchivedChatsApi();
+      const next = {};
+      for (const entry of list) {
+        const chatId = toCanonicalChatId(entry.chatId, me);
+        if (chatId) next[chatId] = { archivedAt: entry.archivedAt ?? null, keepArchived: entry.keepArchived === true };
+      }
+      setArchivedChats(next);
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadArchivedChats failed", e?.message || e);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated && !authLoading && authUser?.id != null) loadArchivedChats();
+  }, [isAuthenticated, authLoading, authUser?.id, loadArchivedChats]);
+
+  /**
+   * Archive: archive or unarchive chats in bulk (Sidebar selection). Applied optimistically and rolled back when
+   * the request fails. keepArchived (archiving only) keeps them archived when new messages arrive.
+   * @returns {Promise<boolean>} true when the change was saved
+   */
+  const setChatsArchived = useCallback(async (conversationIds, archived, { keepArchived = false } = {}) => {
+    const me = getAuthState().user?.id;
+    const ids = [...new Set((conversationIds || []).map((id) => toCanonicalChatId(id, me)).filter(Boolean))];
+    if (ids.length === 0) return false;
+    let previous = null;
+    setArchivedChats((prev) => {
+      previous = prev;
+      const next = { ...prev };
+      for (const id of ids) {
+        if (archived) next[id] = { archivedAt: prev[id]?.archivedAt ?? Date.now(), keepArchived: keepArchived === true };
+        else delete next[id];
+      }
+      return next;
+    });
+    try {
+      if (archived) await archiveChatsApi(ids, { keepArchived: keepArchived === true });
+      else await unarchiveChatsApi(ids);
+      return true;
+    } catch (e) {
+      if (previous) setArchivedChats(previous);
+      showToast(TOAST_KIND.ERROR, {
+        title: archived ? "Chats not archived" : "Chats not unarchived",
+        description: e?.message || toUserMessage(e?.code),
+      });
+      return false;
+    }
+  }, []);
+
+  /** Mutes: load my muted chats (GET /api/chats/mutes); later changes arrive as CHAT_MUTE_UPDATED. */
+  const loadChatMutes = useCallback(async () => {
+    const me = getAuthState().user?.id;
+    try {
+      const list = await getChatMutesApi();
+      const next = {};
+      for (const entry of list) {
+        const chatId = toCanonicalChatId(entry.chatId, me);
+        if (chatId) next[chatId] = { mutedUntil: entry.mutedUntil ?? null };
+      }
+      setMutedChats(next);
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadChatMutes failed", e?.message || e);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated && !authLoading && authUser?.id != null) loadChatMutes();
+  }, [isAuthenticated, authLoading, authUser?.id, loadChatMutes]);
+
+  // Mutes: keep the notification/sound registry in sync and drop each timed mute when it ends (no refresh needed).
+  useEffect(() => {
+    const registry = {};
+    let nextExpiry = Infinity;
+    for (const [chatId, { mutedUntil }] of Object.entries(mutedChats)) {
+      registry[chatId] = mutedUntil;
+      if (mutedUntil != null && mutedUntil < nextExpiry) nextExpiry = mutedUntil;
+    }
+    setMutedChatsRegistry(registry);
+    if (nextExpiry === Infinity) return undefined;
+    // setTimeout overflows past ~24.8 days; a 1-week mute fits, longer delays just re-arm
+    const delay = Math.min(Math.max(nextExpiry - Date.now(), 0), 2 ** 31 - 1);
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      setMutedChats((prev) => {
+        const expired = Object.keys(prev).filter((id) => prev[id].mutedUntil != null && prev[id].mutedUntil <= now);
+        if (expired.length === 0) return { ...prev };
+        const next = { ...prev };
+        for (const id of expired) delete next[id];
+        return next;
+      });
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [mutedChats]);
+
+  /**
+   * Mutes: mute a conversation for me on every device (1h | 8h | 1w | forever) or unmute it (off).
+   * State updates from CHAT_MUTE_UPDATED.
+   * @returns {boolean} true when the request was sent
+   */
+  const setChatMute = useCallback((conversationId, mode) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!canonicalId || !mode) return false;
+    if (!wsClient.isReady() || !wsClient.sendChatMuteSet(canonicalId, mode)) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Notifications not changed. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /**
+   * Message requests: accept or decline an incoming request (decline can also block the sender).
+   * State updates from MESSAGE_REQUEST_UPDATED.
+   * @returns {boolean} true when the request was sent
+   */
+  const respondToMessageRequest = useCallback((conversationId, action, { block = false } = {}) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!canonicalId || (action !== "accept" && action !== "decline")) return false;
+    if (!wsClient.isReady() || !wsClient.sendMessageRequestRespond(canonicalId, action, { block })) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Request not answered. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /** Join requests: load the pending queue of a knock room (owners and admins; ROOM_JOIN_REQUESTS). */
+  const loadJoinRequests = useCallback(async (roomId) => {
+    if (!roomId || !wsClient.isReady()) return;
+    try {
+      const { requests } = await roomsApi.listJoinRequests(roomId);
+      setJoinRequestsByRoomId((prev) => ({ ...prev, [roomId]: requests }));
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[rooms] loadJoinRequests failed", e?.message || e);
+    }
+  }, []);
+
+  /**
+   * Join requests: ask to join a knock room, with an optional note for the admins. Resolves the ROOM_JOIN_REQUEST
+   * result ({ status: pending | member }); rejects like roomsApi.
+   */
+  const requestToJoinRoom = useCallback(async (roomId, message) => {
+    const result = await roomsApi.requestToJoinRoom(roomId, message);
+    if (result.status === "pending") {
+      setMyJoinRequests((prev) => ({ ...prev, [roomId]: { status: "pending", requestedAt: result.request?.requestedAt ?? Date.now() } }));
+    }
+    return result;
+  }, []);
+
+  /** Join requests: approve or deny (optional reason for the requester). ROOM_JOIN_REQUEST_UPDATED updates every reviewer. */
+  const reviewJoinRequest = useCallback(async (roomId, userId, action, reason) => {
+    const result = await roomsApi.reviewJoinRequest(roomId, userId, action, reason);
+    setJoinRequestsByRoomId((prev) => {
+      if (!prev[roomId]) return prev;
+      return { ...prev, [roomId]: prev[roomId].filter((r) => String(r.userId) !== String(userId)) };
+    });
+    return result;
+  }, []);
+
+  /** Chat settings: load the disappearing messages mode of a conversation (GET /api/chats/:chatId/settings). */
+  const loadChatSettings = useCallback(async (conversationId) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!canonicalId || !me) return;
+    try {
+      const settings = await getChatSettingsApi(canonicalId);
+      if (settings) setChatSettingsByChatId((prev) => ({ ...prev, [canonicalId]: settings }));
+    } catch (e) {
+      if (import.meta.env.DEV) console.warn("[chat] loadChatSettings failed", e?.message || e);
+    }
+  }, []);
+
+  /**
+   * Chat settings: set the disappearing messages mode (off | 1h | 24h | 7d). Applies to messages sent afterwards.
+   * State updates from CHAT_EPHEMERAL_RESPONSE / CHAT_SETTINGS_UPDATED.
+   * @returns {boolean} true when the request was sent
+   */
+  const setChatEphemeral = useCallback((conversationId, mode) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    if (!canonicalId || !mode) return false;
+    if (!wsClient.isReady() || !wsClient.sendChatEphemeralSet(canonicalId, mode)) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Setting not changed. Reconnect and try again." });
+      return false;
+    }
+    return true;
+  }, []);
+
+  /**
+   * Forward: enter target picking with the selected messages (rooms: roomMessageIds). Unsent optimistic messages are skipped.
+   * @returns {boolean} false when nothing forwardable was selected
+   */
+  const startForward = useCallback((conversationId, messages) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(conversationId, me);
+    const messageIds = [];
+    for (const m of messages || []) {
+      if (!m || m.deleted || m.status === "sending" || m.status === "failed") continue;
+      const id = m.roomMessageId ?? m.messageId ?? m.id;
+      if (id != null && !messageIds.includes(String(id))) messageIds.push(String(id));
+    }
+    if (!canonicalId || messageIds.length === 0) return false;
+    if (messageIds.length > FORWARD_MAX_MESSAGES) {
+      showToast(TOAST_KIND.WARNING, { title: "Too many messages", description: `You can forward up to ${FORWARD_MAX_MESSAGES} messages at once.` });
+      return false;
+    }
+    setForwardDraft({ sourceConversationId: canonicalId, messageIds, targetChatIds: [] });
+    return true;
+  }, []);
+
+  /** Forward: add or remove one target chat (canonical direct:/room: id) while picking. */
+  const toggleForwardTarget = useCallback((chatId) => {
+    const me = getAuthState().user?.id;
+    const canonicalId = toCanonicalChatId(chatId, me);
+    if (!canonicalId) return;
+    setForwardDraft((prev) => {
+      if (!prev) return prev;
+      if (prev.targetChatIds.includes(canonicalId)) {
+        return { ...prev, targetChatIds: prev.targetChatIds.filter((id) => id !== canonicalId) };
+      }
+      if (prev.targetChatIds.length >= FORWARD_MAX_TARGETS) {
+        showToast(TOAST_KIND.WARNING, { title: "Too many chats", description: `You can forward to up to ${FORWARD_MAX_TARGETS} chats at once.` });
+        return prev;
+      }
+      return { ...prev, targetChatIds: [...prev.targetChatIds, canonicalId] };
+    });
+  }, []);
+
+  const cancelForward = useCallback(() => setForwardDraft(null), []);
+
+  /**
+   * Forward: send MESSAGE_FORWARD for the current draft. The draft is kept when the socket is down so the user can retry.
+   * @returns {boolean} true when the request was sent
+   */
+  const submitForward = useCallback(() => {
+    if (!forwardDraft || forwardDraft.targetChatIds.length === 0) return false;
+    const me = getAuthState().user?.id;
+    const targetChatIds = forwardDraft.targetChatIds.map((id) => getServerConversationId(id, me));
+    const sent = wsClient.isReady() && wsClient.sendMessageForward(forwardDraft.messageIds, targetChatIds);
+    if (!sent) {
+      showToast(TOAST_KIND.WARNING, { title: "Offline", description: "Messages not forwarded. Reconnect and try again." });
+      return false;
+    }
+    setForwardDraft(null);
+    return true;
+  }, [forwardDraft]);
+
   const updateMessageStatusByMessageId = useCallback((messageId, status, forceSync = false, alternateId = null) => {
     if (!messageId || !status) return;
     const mid = String(messageId);
@@ -2396,8 +3567,10 @@ export function ChatAdapterProvider({ children }) {
           content: item.content,
           clientMessageId: item.clientMessageId,
           messageType: "text",
+          replyToMessageId: item.replyToMessageId,
+          ...(item.attachmentIds ? { contentType: item.contentType || "file", attachmentIds: item.attachmentIds } : {}),
         })
-      : wsClient.sendMessage(item.recipientId, item.content, item.clientMessageId);
+      : wsClient.sendMessage(item.recipientId, item.content, item.clientMessageId, item.replyToMessageId, item.attachmentIds, item.contentType);
     if (sent) {
       if (item.roomId) {
         const pending = pendingRoomSendsRef.current[item.roomId] || [];
@@ -2429,6 +3602,7 @@ export function ChatAdapterProvider({ children }) {
     timer: null,
     lastSent: null,
     lastPersistedByChat: {},
+    lastRoomReadByChat: {},
     readRetry: { messageId: null, failures: 0, timer: null },
   });
 
@@ -2451,10 +3625,27 @@ export function ChatAdapterProvider({ children }) {
   });
 
   const markAsReadForConversation = useCallback((conversationId) => {
-    // Only DMs: MESSAGE_READ is for DM read receipts; backend requires message.recipientId === userId.
+    // DMs: MESSAGE_READ (backend requires message.recipientId === userId). Rooms: ROOM_READ.
     if (!conversationId || !wsClient.isReady()) return;
     const normalizedId = normalizeConversationId(conversationId);
-    if (normalizedId.startsWith("room:")) return;
+    if (normalizedId.startsWith("room:")) {
+      const roomList = messagesByConversation[normalizedId] || [];
+      const me = getAuthState().user;
+      // Room read receipts: ROOM_READ up to the newest message from someone else (once per message)
+      const latestFromOther = [...roomList].reverse().find((m) => m.roomMessageId && m.senderId !== me?.id);
+      const lastRoomRead = markAsReadForConversationRef.current.lastRoomReadByChat;
+      if (latestFromOther && lastRoomRead[normalizedId] !== String(latestFromOther.roomMessageId)) {
+        const sent = wsClient.sendRoomRead(normalizedId.slice(5), String(latestFromOther.roomMessageId));
+        if (sent) lastRoomRead[normalizedId] = String(latestFromOther.roomMessageId);
+      }
+      // Moving the room cursor clears unread mentions.
+      if (!(mentionCountsRef.current[normalizedId] > 0)) return;
+      const latestRoom = [...roomList].reverse().find((m) => m.roomMessageId && m.status !== "sending" && m.status !== "failed");
+      if (!latestRoom) return;
+      setMentionCountsByChatId((prev) => ({ ...prev, [normalizedId]: 0 }));
+      void markChatRead(normalizedId, String(latestRoom.roomMessageId));
+      return;
+    }
     const isDm = normalizedId.startsWith("direct:");
     if (!isDm) return;
     const me = getAuthState().user;
@@ -2779,6 +3970,54 @@ export function ChatAdapterProvider({ children }) {
       editMessage,
       replaceMessage,
       deleteMessage,
+      toggleReaction,
+      loadMessageContext,
+      threadsByRootId,
+      threadUnreadByRootId,
+      loadThread,
+      setActiveThread,
+      markThreadRead,
+      loadThreadUnread,
+      sendThreadReply,
+      pinsByChatId,
+      loadPins,
+      loadMessageRevisions,
+      loadMessageReceipts,
+      togglePin,
+      scheduledByChatId,
+      loadScheduled,
+      scheduleMessage,
+      updateScheduled,
+      cancelScheduled,
+      chatSettingsByChatId,
+      loadChatSettings,
+      setChatEphemeral,
+      mentionCountsByChatId,
+      loadMentionCounts,
+      bookmarks,
+      loadBookmarks,
+      toggleBookmark,
+      archivedChats,
+      loadArchivedChats,
+      setChatsArchived,
+      mutedChats,
+      loadChatMutes,
+      setChatMute,
+      messageRequests,
+      respondToMessageRequest,
+      joinRequestsByRoomId,
+      myJoinRequests,
+      loadJoinRequests,
+      requestToJoinRoom,
+      reviewJoinRequest,
+      sendPoll,
+      votePoll,
+      markVoiceListened,
+      forwardDraft,
+      startForward,
+      toggleForwardTarget,
+      cancelForward,
+      submitForward,
       isWsReady: wsReady,
       sendMessageViaWs: wsClient.sendMessage.bind(wsClient),
       clearMessages: noop,
@@ -2858,6 +4097,54 @@ export function ChatAdapterProvider({ children }) {
       editMessage,
       replaceMessage,
       deleteMessage,
+      toggleReaction,
+      loadMessageContext,
+      threadsByRootId,
+      threadUnreadByRootId,
+      loadThread,
+      setActiveThread,
+      markThreadRead,
+      loadThreadUnread,
+      sendThreadReply,
+      pinsByChatId,
+      loadPins,
+      loadMessageRevisions,
+      loadMessageReceipts,
+      togglePin,
+      scheduledByChatId,
+      loadScheduled,
+      scheduleMessage,
+      updateScheduled,
+      cancelScheduled,
+      chatSettingsByChatId,
+      loadChatSettings,
+      setChatEphemeral,
+      mentionCountsByChatId,
+      loadMentionCounts,
+      bookmarks,
+      loadBookmarks,
+      toggleBookmark,
+      archivedChats,
+      loadArchivedChats,
+      setChatsArchived,
+      mutedChats,
+      loadChatMutes,
+      setChatMute,
+      messageRequests,
+      respondToMessageRequest,
+      joinRequestsByRoomId,
+      myJoinRequests,
+      loadJoinRequests,
+      requestToJoinRoom,
+      reviewJoinRequest,
+      sendPoll,
+      votePoll,
+      markVoiceListened,
+      forwardDraft,
+      startForward,
+      toggleForwardTarget,
+      cancelForward,
+      submitForward,
     ]
   );
 
@@ -2940,6 +4227,54 @@ export function useChatStore() {
     editMessage: ctx.editMessage,
     replaceMessage: ctx.replaceMessage,
     deleteMessage: ctx.deleteMessage,
+    toggleReaction: ctx.toggleReaction,
+    loadMessageContext: ctx.loadMessageContext,
+    threadsByRootId: ctx.threadsByRootId,
+    threadUnreadByRootId: ctx.threadUnreadByRootId,
+    loadThread: ctx.loadThread,
+    setActiveThread: ctx.setActiveThread,
+    markThreadRead: ctx.markThreadRead,
+    loadThreadUnread: ctx.loadThreadUnread,
+    sendThreadReply: ctx.sendThreadReply,
+    pinsByChatId: ctx.pinsByChatId,
+    loadPins: ctx.loadPins,
+    loadMessageRevisions: ctx.loadMessageRevisions,
+    loadMessageReceipts: ctx.loadMessageReceipts,
+    togglePin: ctx.togglePin,
+    scheduledByChatId: ctx.scheduledByChatId,
+    loadScheduled: ctx.loadScheduled,
+    scheduleMessage: ctx.scheduleMessage,
+    updateScheduled: ctx.updateScheduled,
+    cancelScheduled: ctx.cancelScheduled,
+    chatSettingsByChatId: ctx.chatSettingsByChatId,
+    loadChatSettings: ctx.loadChatSettings,
+    setChatEphemeral: ctx.setChatEphemeral,
+    mentionCountsByChatId: ctx.mentionCountsByChatId,
+    loadMentionCounts: ctx.loadMentionCounts,
+    bookmarks: ctx.bookmarks,
+    loadBookmarks: ctx.loadBookmarks,
+    toggleBookmark: ctx.toggleBookmark,
+    archivedChats: ctx.archivedChats,
+    loadArchivedChats: ctx.loadArchivedChats,
+    setChatsArchived: ctx.setChatsArchived,
+    mutedChats: ctx.mutedChats,
+    loadChatMutes: ctx.loadChatMutes,
+    setChatMute: ctx.setChatMute,
+    messageRequests: ctx.messageRequests,
+    respondToMessageRequest: ctx.respondToMessageRequest,
+    joinRequestsByRoomId: ctx.joinRequestsByRoomId,
+    myJoinRequests: ctx.myJoinRequests,
+    loadJoinRequests: ctx.loadJoinRequests,
+    requestToJoinRoom: ctx.requestToJoinRoom,
+    reviewJoinRequest: ctx.reviewJoinRequest,
+    sendPoll: ctx.sendPoll,
+    votePoll: ctx.votePoll,
+    markVoiceListened: ctx.markVoiceListened,
+    forwardDraft: ctx.forwardDraft,
+    startForward: ctx.startForward,
+    toggleForwardTarget: ctx.toggleForwardTarget,
+    cancelForward: ctx.cancelForward,
+    submitForward: ctx.submitForward,
     isWsReady: ctx.isWsReady,
     sendMessageViaWs: ctx.sendMessageViaWs,
   };
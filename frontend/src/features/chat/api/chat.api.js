@@ -58,6 +58,236 @@ export async function getHistory(chatId, { limit = 50, beforeId } = {}) {
   return { messages, nextCursor, hasMore };
 }
 
+/**
+ * Get a bounded window of messages around one message (e.g. jump to a replied-to parent not yet loaded).
+ * Backend: GET /api/chat/:chatId/context/:messageId?before=&after= (uses getContextWindow).
+ * @returns {Promise<{ messages: Array, anchorId: string|null }>} messages oldest→newest
+ */
+export async function getMessageContext(chatId, messageId, { before = 10, after = 10 } = {}) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const params = new URLSearchParams({ before: String(before), after: String(after) });
+  const url = `/api/chat/${encodeURIComponent(serverChatId)}/context/${encodeURIComponent(messageId)}?${params.toString()}`;
+  const json = await apiFetch(url);
+  return { messages: json?.data?.messages ?? [], anchorId: json?.data?.anchorId ?? null };
+}
+
+/**
+ * Edit trail of one message for the "edited" popover: earlier versions oldest first, then the current content.
+ * Backend: GET /api/chat/:chatId/revisions/:messageId
+ * @returns {Promise<Array<{ content: string, createdAt: number|null, current: boolean }>>}
+ */
+export async function getMessageRevisions(chatId, messageId) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const json = await apiFetch(`/api/chat/${encodeURIComponent(serverChatId)}/revisions/${encodeURIComponent(messageId)}`);
+  return json?.data?.revisions ?? [];
+}
+
+/**
+ * Get paginated replies of a room thread (newest first) plus its root message.
+ * Backend: GET /api/chat/:chatId/threads/:threadRootId?limit=&beforeId=
+ * @returns {Promise<{ root: Object|null, messages: Array, nextCursor: string|null, hasMore: boolean }>}
+ */
+export async function getThreadHistory(chatId, threadRootId, { limit = 50, beforeId } = {}) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (beforeId) params.set("beforeId", beforeId);
+  const url = `/api/chat/${encodeURIComponent(serverChatId)}/threads/${encodeURIComponent(threadRootId)}?${params.toString()}`;
+  const json = await apiFetch(url);
+  return {
+    root: json?.data?.root ?? null,
+    messages: json?.data?.messages ?? [],
+    nextCursor: json?.data?.nextCursor ?? null,
+    hasMore: json?.data?.hasMore ?? false,
+  };
+}
+
+/**
+ * Unread reply counts for the threads the current user follows in a room.
+ * Backend: GET /api/chat/:chatId/threads/unread
+ * @returns {Promise<Array<{ threadRootId: string, unreadCount: number, lastReplyAt: number|null }>>}
+ */
+export async function getThreadUnread(chatId) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const json = await apiFetch(`/api/chat/${encodeURIComponent(serverChatId)}/threads/unread`);
+  return json?.data?.threads ?? [];
+}
+
+/**
+ * Persist a thread read cursor (POST /api/chats/:chatId/threads/:threadRootId/read). The room cursor is untouched.
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function markThreadRead(chatId, threadRootId, lastReadMessageId) {
+  if (!chatId || !threadRootId || !lastReadMessageId) return { ok: false, error: "Missing chatId, threadRootId or lastReadMessageId" };
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const url = `/api/chats/${encodeURIComponent(serverChatId)}/threads/${encodeURIComponent(threadRootId)}/read`;
+  try {
+    const json = await apiFetch(url, { method: "POST", body: { lastReadMessageId } });
+    return json?.data?.ok === true ? { ok: true } : { ok: false, error: json?.error || "Mark read failed" };
+  } catch (e) {
+    return { ok: false, error: e?.message || "Mark read failed" };
+  }
+}
+
+/**
+ * Pinned messages of a DM or room, most recently pinned first.
+ * Backend: GET /api/chats/:chatId/pins
+ * @returns {Promise<Array<{ messageId: string, senderId: string|null, content: string|null, deleted: boolean, timestamp: number|null, pinnedBy: string, pinnedAt: number }>>}
+ */
+export async function getPins(chatId) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const json = await apiFetch(`/api/chats/${encodeURIComponent(serverChatId)}/pins`);
+  return json?.data?.pins ?? [];
+}
+
+/**
+ * "Seen by" detail of my room message: exact counts plus at most maxListed members per state, most recent first.
+ * Backend: GET /api/chats/:chatId/messages/:messageId/receipts (sender only)
+ * @returns {Promise<{ roomMessageId: string, totalCount: number, deliveredCount: number, readCount: number, readBy: Array<{ userId: string, readAt: number }>, deliveredTo: Array<{ userId: string, deliveredAt: number|null }>, maxListed: number }|null>}
+ */
+export async function getMessageReceipts(chatId, messageId) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const json = await apiFetch(`/api/chats/${encodeURIComponent(serverChatId)}/messages/${encodeURIComponent(messageId)}/receipts`);
+  return json?.data?.receipts ?? null;
+}
+
+/**
+ * Own scheduled ("send later") messages of a chat that are pending, sending or failed; soonest first.
+ * Create / edit / cancel go over WebSocket (SCHEDULED_MESSAGE_*) so other tabs get SCHEDULED_MESSAGE_UPDATED.
+ * Backend: GET /api/scheduled-messages?chatId=
+ * @returns {Promise<Array<{ scheduledId: string, chatId: string, content: string, sendAt: number, status: string, error: string|null }>>}
+ */
+export async function getScheduledMessages(chatId) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const json = await apiFetch(`/api/scheduled-messages?chatId=${encodeURIComponent(serverChatId)}`);
+  return json?.data?.items ?? [];
+}
+
+/**
+ * Per-chat settings of a DM or room (disappearing messages mode). Changes go over WebSocket (CHAT_EPHEMERAL_SET).
+ * Backend: GET /api/chats/:chatId/settings
+ * @returns {Promise<{ chatId: string, ephemeral: "off"|"1h"|"24h"|"7d", ephemeralTtlMs: number, updatedBy: string|null, updatedAt: number|null }|null>}
+ */
+export async function getChatSettings(chatId) {
+  const currentUserId = getAuthState().user?.id;
+  const serverChatId = getServerConversationId(chatId, currentUserId);
+  const json = await apiFetch(`/api/chats/${encodeURIComponent(serverChatId)}/settings`);
+  return json?.data ?? null;
+}
+
+/**
+ * Unread @mention counts per room (server counter kept next to the room read cursor; reading the room resets it).
+ * Backend: GET /api/chats/mentions
+ * @returns {Promise<Record<string, number>>} room chatId -> unread mentions (rooms without mentions are omitted)
+ */
+export async function getMentionCounts() {
+  const json = await apiFetch("/api/chats/mentions");
+  return json?.data?.mentions ?? {};
+}
+
+/**
+ * Saved (starred) messages of the current user across all DMs and rooms, most recently starred first.
+ * Backend: GET /api/bookmarks?q=
+ * @param {string} [q] - Optional case-insensitive content filter
+ * @returns {Promise<Array<{ messageId: string, chatId: string, roomId: string|null, senderId: string|null, content: string|null, contentType: string, timestamp: number|null, bookmarkedAt: number }>>}
+ */
+export async function getBookmarks(q) {
+  const query = typeof q === "string" && q.trim() ? `?q=${encodeURIComponent(q.trim())}` : "";
+  const json = await apiFetch(`/api/bookmarks${query}`);
+  return json?.data?.bookmarks ?? [];
+}
+
+/**
+ * Star a message (idempotent). Room messages are stored under their roomMessageId.
+ * Backend: POST /api/bookmarks
+ * @returns {Promise<{ messageId: string, chatId: string, bookmarked: boolean }|null>}
+ */
+export async function addBookmark(messageId) {
+  const json = await apiFetch("/api/bookmarks", { method: "POST", body: { messageId } });
+  return json?.data ?? null;
+}
+
+/**
+ * Unstar a message (idempotent).
+ * Backend: DELETE /api/bookmarks/:messageId
+ * @returns {Promise<{ messageId: string, chatId: string, bookmarked: boolean }|null>}
+ */
+export async function removeBookmark(messageId) {
+  const json = await apiFetch(`/api/bookmarks/${encodeURIComponent(messageId)}`, { method: "DELETE" });
+  return json?.data ?? null;
+}
+
+/**
+ * My archived DMs and rooms, most recently archived first.
+ * Backend: GET /api/chats/archived
+ * @returns {Promise<Array<{ chatId: string, archivedAt: number, keepArchived: boolean }>>}
+ */
+export async function getArchivedChats() {
+  const json = await apiFetch("/api/chats/archived");
+  return json?.data?.archived ?? [];
+}
+
+/**
+ * Archive chats (idempotent). Without keepArchived a new message in a chat unarchives it again.
+ * Backend: POST /api/chats/archive
+ * @param {string[]} chatIds - Canonical conversation ids (direct:u1:u2 | room:<roomId>)
+ * @param {{ keepArchived?: boolean }} [options]
+ * @returns {Promise<{ chatIds: string[], archived: boolean, keepArchived: boolean, changed: number }|null>}
+ */
+export async function archiveChats(chatIds, { keepArchived = false } = {}) {
+  const me = getAuthState().user?.id;
+  const json = await apiFetch("/api/chats/archive", {
+    method: "POST",
+    body: { chatIds: chatIds.map((id) => getServerConversationId(id, me)), keepArchived },
+  });
+  return json?.data ?? null;
+}
+
+/**
+ * Unarchive chats (idempotent).
+ * Backend: POST /api/chats/unarchive
+ * @param {string[]} chatIds - Canonical conversation ids
+ * @returns {Promise<{ chatIds: string[], archived: boolean, changed: number }|null>}
+ */
+export async function unarchiveChats(chatIds) {
+  const me = getAuthState().user?.id;
+  const json = await apiFetch("/api/chats/unarchive", {
+    method: "POST",
+    body: { chatIds: chatIds.map((id) => getServerConversationId(id, me)) },
+  });
+  return json?.data ?? null;
+}
+
+/**
+ * My muted chats; expired mutes are not listed. Mutes are changed over WebSocket (CHAT_MUTE_SET).
+ * Backend: GET /api/chats/mutes
+ * @returns {Promise<Array<{ chatId: string, mutedAt: number, mutedUntil: number|null }>>}
+ */
+export async function getChatMutes() {
+  const json = await apiFetch("/api/chats/mutes");
+  return json?.data?.mutes ?? [];
+}
+
+/**
+ * Short-lived signed download URL for an attachment (works without cookies, e.g. in <img>/<video> src).
+ * Backend: GET /api/attachments/:attachmentId/signed-url[?width=]
+ * @param {string} attachmentId
+ * @param {number} [width] - Thumbnail width (one of attachment.image.thumbnails) instead of the full file
+ * @returns {Promise<{ url: string, expiresAt: number }|null>} url is relative to the API origin
+ */
+export async function getAttachmentSignedUrl(attachmentId, width) {
+  const query = width != null ? `?width=${encodeURIComponent(width)}` : "";
+  const json = await apiFetch(`/api/attachments/${encodeURIComponent(attachmentId)}/signed-url${query}`);
+  return json?.data?.url ? json.data : null;
+}
+
 /**
  * Export chat as JSON. Requires auth. Triggers browser download.
  * @param {string} chatId - Backend chatId (direct:u1:u2 or room:roomId)
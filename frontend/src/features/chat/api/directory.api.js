@@ -0,0 +1,36 @@
+/**
+ * Public room directory API. Uses lib/http apiFetch.
+ * Lists public rooms (searchable, most active first) and joins public or unlisted rooms in one click.
+ */
+
+import { apiFetch } from "@/lib/http";
+
+/**
+ * GET /api/rooms/directory?q=&limit=&cursor= - One page of public rooms.
+ * @param {{ q?: string, limit?: number, cursor?: string|null }} [options] - cursor: nextCursor of the previous page
+ * @returns {Promise<{ rooms: Array<{ roomId, name, topic, thumbnailUrl, memberCount, lastActivityAt, recentMessageCount, joined }>, nextCursor: string|null, total: number }>}
+ */
+export async function listRoomDirectory({ q, limit, cursor } = {}) {
+  const params = new URLSearchParams();
+  if (typeof q === "string" && q.trim()) params.set("q", q.trim());
+  if (limit != null) params.set("limit", String(limit));
+  if (cursor) params.set("cursor", cursor);
+  const qs = params.toString();
+  const json = await apiFetch(`/api/rooms/directory${qs ? `?${qs}` : ""}`, { method: "GET" });
+  const data = json.data ?? json ?? {};
+  return {
+    rooms: Array.isArray(data.rooms) ? data.rooms : [],
+    nextCursor: data.nextCursor ?? null,
+    total: data.total ?? 0,
+  };
+}
+
+/**
+ * POST /api/rooms/:roomId/join - Join a public or unlisted room.
+ * @param {string} roomId
+ * @returns {Promise<{ roomId: string, alreadyMember: boolean }>}
+ */
+export async function joinPublicRoom(roomId) {
+  const json = await apiFetch(`/api/rooms/${encodeURIComponent(roomId)}/join`, { method: "POST" });
+  return json.data ?? json;
+}
@@ -95,7 +95,7 @@ export async function createGroup(payload) {
 }
 
 /**
- * Update group (room) metadata. Patch: { name?, thumbnailUrl?, file?, thumbnail? }.
+ * Update group (room) metadata. Patch: { name?, thumbnailUrl?, topic?, visibility?, file?, thumbnail? }.
  * If file or thumbnail is a File, uploads it first and uses returned url as thumbnailUrl.
  */
 export async function updateGroupMeta(groupId, patch) {
@@ -110,7 +110,7 @@ export async function updateGroupMeta(groupId, patch) {
       return { ok: false, error: e?.message ?? "Upload failed" };
     }
   }
-  const metaPatch = { name: patch.name, thumbnailUrl };
+  const metaPatch = { name: patch.name, thumbnailUrl, topic: patch.topic, visibility: patch.visibility };
   const out = await safeCall(() => roomsApi.updateRoomMeta(String(groupId), metaPatch));
   if (!out.ok) return out;
   return { ok: true, data: out.data };
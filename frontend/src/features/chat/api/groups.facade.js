@@ -93,7 +93,7 @@ export async function deleteGroup(roomId) {
 /**
  * Update group (room) metadata. Uses rooms.ws ROOM_UPDATE_META.
  * @param {string} roomId - Raw room id or "room:xxx"
- * @param {{ name?: string, thumbnailUrl?: string | null }} patch
+ * @param {{ name?: string, thumbnailUrl?: string | null, topic?: string | null, visibility?: 'private' | 'unlisted' | 'public' | 'knock' }} patch
  */
 export async function updateGroupMeta(roomId, patch) {
   const raw = normalizeRoomId(roomId);
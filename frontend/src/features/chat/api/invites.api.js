@@ -0,0 +1,68 @@
+/**
+ * Room invites API - invite links for a room. Uses lib/http apiFetch.
+ * Owners and admins create, list and revoke; the preview is public; accepting joins the room.
+ */
+
+import { apiFetch } from "@/lib/http";
+
+/**
+ * Link to share for an invite token (opens the /invite/:token route).
+ * @param {string} token
+ * @returns {string}
+ */
+export function inviteUrl(token) {
+  const origin = typeof window !== "undefined" ? window.location.origin : "";
+  return `${origin}/invite/${encodeURIComponent(token)}`;
+}
+
+/**
+ * GET /api/invites?roomId= - A room's invites, newest first (owners / admins).
+ * @param {string} roomId
+ * @returns {Promise<Array<{ token, roomId, createdBy, createdAt, expiresAt, maxUses, uses, revokedAt, status: 'active'|'expired'|'used_up'|'revoked' }>>}
+ */
+export async function listInvites(roomId) {
+  const json = await apiFetch(`/api/invites?roomId=${encodeURIComponent(roomId)}`, { method: "GET" });
+  const invites = (json.data ?? json)?.invites;
+  return Array.isArray(invites) ? invites : [];
+}
+
+/**
+ * POST /api/invites - Create an invite. null expiresInMs / maxUses: never expires / unlimited.
+ * @param {string} roomId
+ * @param {{ expiresInMs?: number|null, maxUses?: number|null }} [options]
+ * @returns {Promise<Object>} The invite
+ */
+export async function createInvite(roomId, { expiresInMs = null, maxUses = null } = {}) {
+  const json = await apiFetch("/api/invites", { method: "POST", body: { roomId, expiresInMs, maxUses } });
+  return (json.data ?? json)?.invite;
+}
+
+/**
+ * DELETE /api/invites/:token - Revoke an invite. Idempotent.
+ * @param {string} token
+ * @returns {Promise<Object>} The revoked invite
+ */
+export async function revokeInvite(token) {
+  const json = await apiFetch(`/api/invites/${encodeURIComponent(token)}`, { method: "DELETE" });
+  return (json.data ?? json)?.invite;
+}
+
+/**
+ * GET /api/invites/:token - Public preview. Throws with code INVITE_NOT_FOUND, INVITE_EXPIRED, INVITE_USED_UP or INVITE_REVOKED.
+ * @param {string} token
+ * @returns {Promise<{ name: string, thumbnailUrl: string|null, memberCount: number, expiresAt: number|null }>}
+ */
+export async function previewInvite(token) {
+  const json = await apiFetch(`/api/invites/${encodeURIComponent(token)}`, { method: "GET" });
+  return (json.data ?? json)?.invite;
+}
+
+/**
+ * POST /api/invites/:token/accept - Join the room.
+ * @param {string} token
+ * @returns {Promise<{ roomId: string, alreadyMember: boolean }>}
+ */
+export async function acceptInvite(token) {
+  const json = await apiFetch(`/api/invites/${encodeURIComponent(token)}/accept`, { method: "POST", body: {} });
+  return json.data ?? json;
+}
@@ -78,6 +78,23 @@ function ensureSubscribed() {
         entry.resolve(normalizeRoomList(msg.rooms));
         return;
       }
+      if (msg.type === "ROOM_JOIN_REQUEST_RESPONSE" && msg.success) {
+        entry.resolve({
+          roomId: msg.roomId,
+          status: msg.status,
+          request: msg.request ?? null,
+          alreadyPending: msg.alreadyPending === true,
+        });
+        return;
+      }
+      if (msg.type === "ROOM_JOIN_REQUESTS_RESPONSE" && msg.success) {
+        entry.resolve({ roomId: msg.roomId, requests: Array.isArray(msg.requests) ? msg.requests : [] });
+        return;
+      }
+      if (msg.type === "ROOM_JOIN_REQUEST_REVIEW_RESPONSE" && msg.success) {
+        entry.resolve({ roomId: msg.roomId, userId: msg.userId, status: msg.status });
+        return;
+      }
     },
   });
 }
@@ -96,6 +113,8 @@ function normalizeRoomSnapshot(room) {
     meta: {
       name: meta.name ?? "",
       thumbnailUrl: meta.thumbnailUrl ?? null,
+      topic: meta.topic ?? null,
+      visibility: meta.visibility ?? "unlisted",
       createdAt: meta.createdAt,
       createdBy: meta.createdBy,
     },
@@ -115,6 +134,8 @@ function normalizeRoomList(rooms) {
     id: r.id ?? r.roomId,
     name: r.name ?? "",
     thumbnailUrl: r.thumbnailUrl ?? null,
+    topic: r.topic ?? null,
+    visibility: r.visibility ?? "unlisted",
     memberCount: r.memberCount ?? 0,
     myRole: r.myRole ?? "MEMBER",
     version: r.version ?? 0,
@@ -161,7 +182,7 @@ export async function updateRoomMeta(roomId, patch) {
   return sendAndWait({
     type: "ROOM_UPDATE_META",
     roomId: String(roomId),
-    patch: { name: patch.name, thumbnailUrl: patch.thumbnailUrl },
+    patch: { name: patch.name, thumbnailUrl: patch.thumbnailUrl, topic: patch.topic, visibility: patch.visibility },
   });
 }
 
@@ -196,6 +217,15 @@ export async function setRole(roomId, userId, role) {
   });
 }
 
+/** ROOM_JOIN awaited; rejects with code APPROVAL_REQUIRED for rooms that take join requests and NOT_FOUND for private rooms. */
+export async function joinRoom(roomId) {
+  if (!roomId) throw new Error("roomId required");
+  return sendAndWait({
+    type: "ROOM_JOIN",
+    roomId: String(roomId),
+  });
+}
+
 export async function leaveRoom(roomId) {
   if (!roomId) throw new Error("roomId required");
   return sendAndWait({
@@ -231,3 +261,35 @@ export async function getRoomMembers(roomId) {
   const snapshot = await sendAndWait({ type: "ROOM_MEMBERS", roomId: String(roomId) });
   return snapshot;
 }
+
+/**
+ * Ask to join a room that requires approval ("knock"). Resolves { status: 'pending' | 'member', request, alreadyPending }.
+ */
+export async function requestToJoinRoom(roomId, message) {
+  if (!roomId) throw new Error("roomId required");
+  const trimmed = typeof message === "string" ? message.trim() : "";
+  return sendAndWait({
+    type: "ROOM_JOIN_REQUEST",
+    roomId: String(roomId),
+    ...(trimmed ? { message: trimmed } : {}),
+  });
+}
+
+/** Pending join requests of a room, oldest first (owners and admins). */
+export async function listJoinRequests(roomId) {
+  if (!roomId) throw new Error("roomId required");
+  return sendAndWait({ type: "ROOM_JOIN_REQUESTS", roomId: String(roomId) });
+}
+
+export async function reviewJoinRequest(roomId, userId, action, reason) {
+  if (!roomId || !userId) throw new Error("roomId and userId required");
+  if (action !== "approve" && action !== "deny") throw new Error("action must be approve or deny");
+  const trimmed = typeof reason === "string" ? reason.trim() : "";
+  return sendAndWait({
+    type: "ROOM_JOIN_REQUEST_REVIEW",
+    roomId: String(roomId),
+    userId: String(userId),
+    action,
+    ...(trimmed ? { reason: trimmed } : {}),
+  });
+}
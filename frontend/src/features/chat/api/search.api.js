@@ -1,5 +1,6 @@
 /**
  * Global search API: groups, contacts, and message content.
+ * Groups are the user's own (joined: true) followed by matching public groups they have not joined (joined: false).
  * GET /api/search?q=<query>&includeClientMsgId=<id> (optional, for read-your-write).
  */
 import { apiFetch } from "@/lib/http";
@@ -7,7 +8,7 @@ import { apiFetch } from "@/lib/http";
 /**
  * @param {string} q - Search query
  * @param {{ includeClientMsgId?: string }} [opts] - optional; includeClientMsgId forces-include that message in results
- * @returns {Promise<{ groups: Array<{ id, name, thumbnailUrl }>, contacts: Array<APIUser>, messages: Array<{ messageId, chatId, chatType, senderId, preview, createdAt }> }>}
+ * @returns {Promise<{ groups: Array<{ id, name, thumbnailUrl, joined, topic?, memberCount? }>, contacts: Array<APIUser>, messages: Array<{ messageId, chatId, chatType, senderId, preview, createdAt }> }>}
  */
 export async function globalSearch(q, opts = {}) {
   const trimmed = typeof q === "string" ? q.trim() : "";
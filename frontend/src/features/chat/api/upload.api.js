@@ -1,13 +1,16 @@
 /**
- * Upload API — image upload for group thumbnails etc.
- * POST /api/uploads/image (multipart form "file"), returns { url }.
+ * Upload API — image upload for group thumbnails etc., chat file attachments.
+ * POST /api/uploads/image (multipart form "file"), returns { url, width, height, blurhash, dominantColor, thumbnails }.
+ * POST /api/uploads/file (multipart form "file" + "chatId"), returns { attachment }.
  */
 import { getApiOrigin } from "@/lib/http";
 
 /**
  * Upload an image file. Uses multipart/form-data.
  * @param {File} file - Image file (e.g. from input[type=file])
- * @returns {Promise<{ url: string }>} - { url: "/uploads/..." }
+ * The server strips EXIF metadata and generates thumbnails.
+ * @returns {Promise<{ url: string, width?: number, height?: number, blurhash?: string, dominantColor?: string,
+ *   thumbnails?: Array<{ width: number, height: number, url: string }> }>} - url: "/uploads/..."
  */
 export async function uploadImage(file) {
   if (!file || !(file instanceof File)) {
@@ -36,5 +39,80 @@ export async function uploadImage(file) {
   if (!url || typeof url !== "string") {
     throw new Error("Invalid response: missing url");
   }
-  return { url };
+  return { ...(json?.data ?? {}), url };
+}
+
+/**
+ * Upload a chat attachment (document, archive, audio, video or image). The server detects the type from
+ * the file content and applies per-type size limits; send the returned attachmentId with a file message.
+ * @param {File} file
+ * @param {string} chatId - direct:<u1>:<u2> | room:<roomId>
+ * @returns {Promise<{ attachmentId: string, name: string, size: number, mime: string, category: string, url: string }>}
+ */
+export async function uploadAttachment(file, chatId) {
+  if (!file || !(file instanceof File)) {
+    throw new Error("Invalid file");
+  }
+  const formData = new FormData();
+  formData.append("chatId", chatId);
+  formData.append("file", file);
+
+  const base = getApiOrigin();
+  const res = await fetch(base ? `${base}/api/uploads/file` : "/api/uploads/file", {
+    method: "POST",
+    credentials: "include", // Session cookie required
+    body: formData,
+  });
+
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(json?.error || json?.message || "Upload failed");
+    err.code = json?.code;
+    err.status = res.status;
+    throw err;
+  }
+
+  const attachment = json?.data?.attachment;
+  if (!attachment?.attachmentId) {
+    throw new Error("Invalid response: missing attachment");
+  }
+  return attachment;
+}
+
+/**
+ * Upload a recorded voice note (Opus in WebM/Ogg, or WAV). The server checks the length and computes the
+ * duration and waveform; send the returned attachmentId with a voice message.
+ * @param {Blob} blob
+ * @param {string} chatId - direct:<u1>:<u2> | room:<roomId>
+ * @returns {Promise<{ attachmentId: string, name: string, size: number, mime: string, category: string, url: string, voice: { durationMs: number, waveform: number[] } }>}
+ */
+export async function uploadVoiceNote(blob, chatId) {
+  if (!blob || !(blob instanceof Blob) || blob.size === 0) {
+    throw new Error("Invalid recording");
+  }
+  const ext = blob.type.includes("ogg") ? "ogg" : blob.type.includes("wav") ? "wav" : "webm";
+  const formData = new FormData();
+  formData.append("chatId", chatId);
+  formData.append("file", blob, `voice-message.${ext}`);
+
+  const base = getApiOrigin();
+  const res = await fetch(base ? `${base}/api/uploads/voice` : "/api/uploads/voice", {
+    method: "POST",
+    credentials: "include", // Session cookie required
+    body: formData,
+  });
+
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(json?.error || json?.message || "Upload failed");
+    err.code = json?.code;
+    err.status = res.status;
+    throw err;
+  }
+
+  const attachment = json?.data?.attachment;
+  if (!attachment?.attachmentId || !attachment.voice) {
+    throw new Error("Invalid response: missing voice note");
+  }
+  return attachment;
 }
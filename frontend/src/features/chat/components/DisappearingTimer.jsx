@@ -0,0 +1,66 @@
+import { useState } from "react";
+import { Timer, Check } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "../utils/utils";
+
+/** Backend modes (CHAT_EPHEMERAL_SET) in menu order. */
+export const EPHEMERAL_MODES = [
+  { mode: "off", label: "Off" },
+  { mode: "1h", label: "1 hour" },
+  { mode: "24h", label: "24 hours" },
+  { mode: "7d", label: "7 days" },
+];
+
+/**
+ * Disappearing messages control for the chat header: timer button with the active mode as a badge, and a menu
+ * to change it. Without canChange (room members who are not admins) the menu only shows the current mode.
+ * The mode applies to messages sent afterwards.
+ */
+export function DisappearingTimer({ mode = "off", canChange, onSelect, className }) {
+  const [open, setOpen] = useState(false);
+  const active = mode && mode !== "off";
+
+  return (
+    <div className={cn("relative", className)}>
+      <Button
+        variant="ghost"
+        size="icon"
+        className={cn("relative rounded-full", active ? "text-primary" : "text-muted-foreground")}
+        onClick={() => setOpen((v) => !v)}
+        title={active ? `Disappearing messages: ${mode}` : "Disappearing messages"}
+        data-testid="button-disappearing"
+      >
+        <Timer className="w-5 h-5" />
+        {active && (
+          <span className="absolute -bottom-0.5 -right-0.5 rounded-full bg-primary px-1 text-[9px] font-semibold leading-tight text-primary-foreground" data-testid="badge-disappearing">
+            {mode}
+          </span>
+        )}
+      </Button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-30 w-56 rounded-xl border border-border bg-card p-2 shadow-lg" data-testid="menu-disappearing">
+          <p className="px-2 pb-1 text-xs font-semibold">Disappearing messages</p>
+          <p className="px-2 pb-2 text-[11px] text-muted-foreground">
+            {canChange ? "New messages disappear for everyone after the selected time." : "Only room admins can change this setting."}
+          </p>
+          {EPHEMERAL_MODES.map((option) => (
+            <button
+              key={option.mode}
+              type="button"
+              disabled={!canChange}
+              onClick={() => {
+                setOpen(false);
+                if (option.mode !== mode) onSelect(option.mode);
+              }}
+              className="flex w-full items-center justify-between rounded-lg px-2 py-1.5 text-left text-sm hover:bg-muted disabled:cursor-default disabled:hover:bg-transparent"
+              data-testid={`option-disappearing-${option.mode}`}
+            >
+              <span>{option.label}</span>
+              {option.mode === (mode || "off") && <Check className="w-4 h-4 text-primary" />}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
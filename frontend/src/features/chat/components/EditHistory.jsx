@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from "react";
+import { X } from "lucide-react";
+import { cn } from "../utils/utils";
+
+function formatRevisionTime(ms) {
+  return ms != null ? new Date(ms).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "";
+}
+
+/**
+ * "edited" marker in a message footer; clicking it opens the edit history popover.
+ * onLoadRevisions() resolves to [{ content, createdAt, current }] oldest first (null on failure) and is called
+ * every time the popover opens, so a later edit shows up without reloading the chat.
+ */
+export function EditedLabel({ editedAt, onLoadRevisions, align = "left" }) {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setRevisions(null);
+    setFailed(false);
+    Promise.resolve(onLoadRevisions?.()).then((list) => {
+      if (cancelled) return;
+      if (Array.isArray(list)) setRevisions(list);
+      else setFailed(true);
+    });
+    const onPointerDown = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onPointerDown);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("mousedown", onPointerDown);
+    };
+    // onLoadRevisions is recreated on every render; only reload when the popover opens
+  }, [open]);
+
+  return (
+    <span ref={rootRef} className="relative ml-1">
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className="text-muted-foreground italic hover:underline"
+        title={editedAt ? new Date(editedAt).toLocaleString() : ""}
+        data-testid="button-edited"
+      >
+        edited
+      </button>
+      {open && (
+        <div
+          className={cn(
+            "absolute bottom-full mb-1 z-30 w-64 rounded-xl border border-border bg-card p-3 text-left text-xs text-foreground shadow-lg select-text",
+            align === "right" ? "right-0" : "left-0"
+          )}
+          data-testid="edit-history"
+        >
+          <div className="mb-2 flex items-center justify-between">
+            <p className="font-semibold not-italic">Edit history</p>
+            <button type="button" onClick={() => setOpen(false)} className="rounded-full p-1 text-muted-foreground hover:bg-muted" aria-label="Close">
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+          {failed ? (
+            <p className="text-muted-foreground">Could not load edit history.</p>
+          ) : !revisions ? (
+            <p className="text-muted-foreground">Loading…</p>
+          ) : (
+            <ol className="max-h-60 space-y-2 overflow-y-auto">
+              {revisions.map((rev, i) => (
+                <li key={i} className="border-l-2 border-border pl-2">
+                  <p className="text-[10px] text-muted-foreground">
+                    {i === 0 ? "Original" : rev.current ? "Current" : `Edit ${i}`} · {formatRevisionTime(rev.createdAt)}
+                  </p>
+                  <p className="whitespace-pre-wrap break-words">{rev.content}</p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </span>
+  );
+}
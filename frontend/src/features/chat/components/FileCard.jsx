@@ -0,0 +1,244 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { decode as decodeBlurhash } from "blurhash";
+import { Download, File, FileArchive, FileAudio, FileImage, FileText, FileVideo, Loader2 } from "lucide-react";
+import { cn } from "../utils/utils";
+import { resolveThumbnailUrl } from "../utils/avatarUrl";
+import { getAttachmentSignedUrl } from "../api/chat.api";
+import { formatFileSize } from "@/utils/fileSize";
+
+const ICON_BY_CATEGORY = {
+  document: FileText,
+  archive: FileArchive,
+  audio: FileAudio,
+  video: FileVideo,
+  image: FileImage,
+};
+
+/** Players shown inline (media elements cannot send the session cookie cross-origin, so they use signed URLs). */
+const PLAYER_CATEGORIES = new Set(["video", "audio"]);
+
+/** Inline images fit in this box (CSS px); thumbnails are picked for 2x screens. */
+const MAX_PREVIEW_PX = 320;
+
+/** Signed URLs are reused until shortly before they expire. */
+const SIGNED_URL_MARGIN_MS = 30_000;
+const signedUrlCache = new Map();
+
+function fetchSignedUrl(attachmentId, { width, force = false } = {}) {
+  const cacheKey = `${attachmentId}:${width ?? "file"}`;
+  const cached = signedUrlCache.get(cacheKey);
+  if (!force && cached && (cached.pending || cached.expiresAt - Date.now() > SIGNED_URL_MARGIN_MS)) {
+    return cached.pending || Promise.resolve(cached.url);
+  }
+  const pending = getAttachmentSignedUrl(attachmentId, width)
+    .then((data) => {
+      if (!data) throw new Error("Missing signed url");
+      const url = resolveThumbnailUrl(data.url);
+      signedUrlCache.set(cacheKey, { url, expiresAt: data.expiresAt });
+      return url;
+    })
+    .catch((err) => {
+      signedUrlCache.delete(cacheKey);
+      throw err;
+    });
+  signedUrlCache.set(cacheKey, { pending });
+  return pending;
+}
+
+/**
+ * Signed download URL of an attachment (or of one thumbnail width) for media elements. refresh() fetches a
+ * new one (e.g. after the element failed to load because the URL expired); gives up after one retry per mount.
+ */
+export function useSignedAttachmentUrl(attachmentId, enabled, width) {
+  const [state, setState] = useState({ url: null, failed: false, retried: false });
+
+  useEffect(() => {
+    if (!enabled || !attachmentId) return undefined;
+    let cancelled = false;
+    fetchSignedUrl(attachmentId, { width })
+      .then((url) => { if (!cancelled) setState((s) => ({ ...s, url })); })
+      .catch(() => { if (!cancelled) setState((s) => ({ ...s, failed: true })); });
+    return () => { cancelled = true; };
+  }, [attachmentId, enabled, width]);
+
+  const refresh = useCallback(() => {
+    if (state.retried) {
+      setState((s) => ({ ...s, failed: true }));
+      return;
+    }
+    setState((s) => ({ ...s, retried: true }));
+    fetchSignedUrl(attachmentId, { width, force: true })
+      .then((url) => setState((s) => ({ ...s, url })))
+      .catch(() => setState((s) => ({ ...s, failed: true })));
+  }, [attachmentId, width, state.retried]);
+
+  return { url: state.failed ? null : state.url, failed: state.failed, refresh };
+}
+
+/** Tiny data URL painted from a blurhash, or null (no hash, or no canvas, e.g. in tests). */
+function useBlurhashDataUrl(hash) {
+  return useMemo(() => {
+    if (!hash || typeof document === "undefined") return null;
+    try {
+      const size = 32;
+      const canvas = document.createElement("canvas");
+      canvas.width = size;
+      canvas.height = size;
+      const ctx = canvas.getContext("2d");
+      if (!ctx) return null;
+      const imageData = ctx.createImageData(size, size);
+      imageData.data.set(decodeBlurhash(hash, size, size));
+      ctx.putImageData(imageData, 0, 0);
+      return canvas.toDataURL();
+    } catch {
+      return null;
+    }
+  }, [hash]);
+}
+
+/** Smallest thumbnail at least minWidth wide (else the largest), or null when there are none. */
+function pickThumbnail(thumbnails, minWidth) {
+  if (!Array.isArray(thumbnails) || thumbnails.length === 0) return null;
+  const sorted = [...thumbnails].sort((a, b) => a.width - b.width);
+  return sorted.find((t) => t.width >= minWidth) || sorted[sorted.length - 1];
+}
+
+/**
+ * Inline image. With server image info the box is sized up front (no layout jump) and shows the blurhash /
+ * dominant color until the thumbnail has loaded; the link opens the full-size file.
+ */
+function ImagePreview({ attachment, canLoad }) {
+  const info = attachment.image;
+  const thumb = pickThumbnail(info?.thumbnails, MAX_PREVIEW_PX * 2);
+  const { url: src, failed, refresh } = useSignedAttachmentUrl(attachment.attachmentId, canLoad, thumb?.width);
+  const { url: full } = useSignedAttachmentUrl(attachment.attachmentId, canLoad && Boolean(thumb));
+  const [loaded, setLoaded] = useState(false);
+  const placeholder = useBlurhashDataUrl(info?.blurhash);
+  const testId = `file-preview-${attachment.attachmentId}`;
+
+  if (failed) return null;
+  if (!info?.width || !info?.height) {
+    if (!src) return <PreviewSpinner />;
+    return (
+      <a href={src} target="_blank" rel="noopener noreferrer" className="block max-w-[320px]">
+        <img src={src} alt={attachment.name} loading="lazy" onError={refresh} className="max-h-80 rounded-xl object-contain" data-testid={testId} />
+      </a>
+    );
+  }
+  const scale = Math.min(1, MAX_PREVIEW_PX / info.width, MAX_PREVIEW_PX / info.height);
+  const box = { width: Math.round(info.width * scale), height: Math.round(info.height * scale), backgroundColor: info.dominantColor };
+  return (
+    <a
+      href={full || src || undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="relative block overflow-hidden rounded-xl"
+      style={box}
+      data-testid={`${testId}-box`}
+    >
+      {placeholder && !loaded && <img src={placeholder} alt="" aria-hidden="true" className="absolute inset-0 h-full w-full object-cover" />}
+      {src ? (
+        <img
+          src={src}
+          alt={attachment.name}
+          loading="lazy"
+          onLoad={() => setLoaded(true)}
+          onError={refresh}
+          className={cn("absolute inset-0 h-full w-full object-cover transition-opacity duration-300", loaded ? "opacity-100" : "opacity-0")}
+          data-testid={testId}
+        />
+      ) : (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <Loader2 className="h-5 w-5 animate-spin text-white/80" />
+        </div>
+      )}
+    </a>
+  );
+}
+
+function PreviewSpinner() {
+  return (
+    <div className="flex h-24 w-full max-w-[320px] items-center justify-center rounded-xl bg-black/5">
+      <Loader2 className="h-5 w-5 animate-spin opacity-60" />
+    </div>
+  );
+}
+
+/** Inline video/audio player; falls back to nothing (the card below still offers the download). */
+function MediaPreview({ attachment }) {
+  const { url, failed, refresh } = useSignedAttachmentUrl(attachment.attachmentId, true);
+  if (failed) return null;
+  if (!url) return <PreviewSpinner />;
+  const testId = `file-preview-${attachment.attachmentId}`;
+  if (attachment.category === "video") {
+    return <video src={url} controls preload="metadata" onError={refresh} className="max-h-80 w-full max-w-[320px] rounded-xl bg-black" data-testid={testId} />;
+  }
+  return <audio src={url} controls preload="metadata" onError={refresh} className="w-full max-w-[320px]" data-testid={testId} />;
+}
+
+/**
+ * Caption of a file message, or null when the content is just the file names (sent without a caption).
+ * @param {{ content?: string, attachments?: Array<{ name: string }> }} msg
+ */
+export function getFileCaption(msg) {
+  const content = String(msg?.content ?? "").trim();
+  if (!content) return null;
+  const names = (msg.attachments || []).map((a) => a.name).join(", ");
+  return content === names ? null : content;
+}
+
+/**
+ * File attachments inside a message bubble: one card per file with type icon, name, size and a download link.
+ * attachments come from the server as [{ attachmentId, name, size, mime, category, url }]; optimistic sends
+ * have no url yet and show a spinner instead of the download link. Images, video and audio also get an
+ * inline preview loaded through a signed URL (Range requests let video/audio seek without a full download);
+ * images use a server thumbnail and reserve their size with a blurhash placeholder, even while still sending.
+ */
+export function FileCard({ attachments, isMe, className }) {
+  if (!Array.isArray(attachments) || attachments.length === 0) return null;
+  return (
+    <div className={cn("flex flex-col gap-1.5", className)} data-testid="file-attachments">
+      {attachments.map((a) => {
+        const Icon = ICON_BY_CATEGORY[a.category] || File;
+        const href = resolveThumbnailUrl(a.url);
+        return (
+          <div key={a.attachmentId} className="flex flex-col gap-1">
+            {a.category === "image" && (href || a.image) && <ImagePreview attachment={a} canLoad={Boolean(href)} />}
+            {href && PLAYER_CATEGORIES.has(a.category) && <MediaPreview attachment={a} />}
+            <div
+              className={cn(
+                "flex min-w-[200px] max-w-[320px] items-center gap-3 rounded-xl border px-3 py-2",
+                isMe ? "border-primary-foreground/20 bg-primary-foreground/10" : "border-border bg-background/60"
+              )}
+              data-testid={`file-card-${a.attachmentId}`}
+            >
+              <Icon className="h-8 w-8 flex-shrink-0 opacity-80" />
+              <div className="min-w-0 flex-1">
+                <p className="truncate text-sm font-medium" title={a.name}>{a.name}</p>
+                <p className={cn("text-[11px]", isMe ? "text-primary-foreground/70" : "text-muted-foreground")}>
+                  {formatFileSize(a.size)}
+                </p>
+              </div>
+              {href ? (
+                <a
+                  href={href}
+                  download={a.name}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="rounded-full p-1.5 hover:bg-black/10"
+                  aria-label={`Download ${a.name}`}
+                  title="Download"
+                  data-testid={`button-download-${a.attachmentId}`}
+                >
+                  <Download className="h-4 w-4" />
+                </a>
+              ) : (
+                <Loader2 className="h-4 w-4 animate-spin opacity-70" />
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
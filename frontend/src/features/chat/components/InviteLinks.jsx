@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback } from "react";
+import { Copy, Link2, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/useToast";
+import { listInvites, createInvite, revokeInvite, inviteUrl } from "../api/invites.api";
+import { cn } from "../utils/utils";
+
+/** Expiry choices for a new link; null never expires. */
+export const INVITE_EXPIRY_OPTIONS = [
+  { label: "1 hour", ms: 60 * 60 * 1000 },
+  { label: "1 day", ms: 24 * 60 * 60 * 1000 },
+  { label: "7 days", ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: "Never", ms: null },
+];
+
+/** Use limit choices for a new link; null is unlimited. */
+export const INVITE_USE_OPTIONS = [1, 5, 25, 100, null];
+
+const STATUS_LABELS = {
+  expired: "Expired",
+  used_up: "Used up",
+  revoked: "Revoked",
+};
+
+function describeInvite(invite) {
+  const uses = invite.maxUses != null ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`;
+  if (invite.status !== "active") return `${STATUS_LABELS[invite.status] ?? invite.status} · ${uses}`;
+  const expiry = invite.expiresAt
+    ? `expires ${new Date(invite.expiresAt).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}`
+    : "never expires";
+  return `${uses} · ${expiry}`;
+}
+
+/**
+ * Invite link manager for room owners and admins (group info panel): create a link with an expiry and use
+ * limit, copy active links, revoke them. Expired, used up and revoked links stay listed, greyed out.
+ */
+export function InviteLinks({ roomId, onClose }) {
+  const { toast } = useToast();
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [revokingToken, setRevokingToken] = useState(null);
+  const [expiryIndex, setExpiryIndex] = useState(1);
+  const [maxUses, setMaxUses] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setInvites(await listInvites(roomId));
+    } catch (err) {
+      toast({ title: "Could not load invite links", description: err?.message ?? "Request failed", variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId, toast]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(token));
+      toast({ title: "Invite link copied" });
+    } catch {
+      toast({ title: "Copy failed", description: inviteUrl(token), variant: "destructive" });
+    }
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const invite = await createInvite(roomId, { expiresInMs: INVITE_EXPIRY_OPTIONS[expiryIndex].ms, maxUses });
+      if (invite) {
+        setInvites((prev) => [invite, ...prev]);
+        await copyLink(invite.token);
+      }
+    } catch (err) {
+      toast({ title: "Could not create invite link", description: err?.message ?? "Request failed", variant: "destructive" });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    setRevokingToken(token);
+    try {
+      const revoked = await revokeInvite(token);
+      setInvites((prev) => prev.map((i) => (i.token === token ? { ...i, ...revoked } : i)));
+    } catch (err) {
+      toast({ title: "Could not revoke invite link", description: err?.message ?? "Request failed", variant: "destructive" });
+    } finally {
+      setRevokingToken(null);
+    }
+  };
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center bg-black/30 z-10 p-4">
+      <div className="bg-card rounded-xl shadow-xl p-5 max-w-[340px] w-full max-h-[70vh] overflow-hidden flex flex-col animate-in fade-in zoom-in-95" data-testid="panel-invite-links">
+        <p className="text-sm font-bold mb-3">Invite links</p>
+        <div className="grid grid-cols-2 gap-2 mb-3">
+          <label className="text-xs text-muted-foreground space-y-1">
+            <span>Expires after</span>
+            <select
+              className="w-full px-2 py-1.5 bg-muted/50 rounded-lg text-sm text-foreground border border-border"
+              value={expiryIndex}
+              onChange={(e) => setExpiryIndex(Number(e.target.value))}
+              data-testid="select-invite-expiry"
+            >
+              {INVITE_EXPIRY_OPTIONS.map((o, i) => <option key={o.label} value={i}>{o.label}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-muted-foreground space-y-1">
+            <span>Max uses</span>
+            <select
+              className="w-full px-2 py-1.5 bg-muted/50 rounded-lg text-sm text-foreground border border-border"
+              value={maxUses ?? ""}
+              onChange={(e) => setMaxUses(e.target.value ? Number(e.target.value) : null)}
+              data-testid="select-invite-uses"
+            >
+              {INVITE_USE_OPTIONS.map((n) => <option key={n ?? "unlimited"} value={n ?? ""}>{n ?? "No limit"}</option>)}
+            </select>
+          </label>
+        </div>
+        <Button size="sm" className="w-full gap-2 mb-3" onClick={handleCreate} disabled={creating} data-testid="button-create-invite">
+          <Link2 className="w-4 h-4" /> {creating ? "Creating..." : "Create and copy link"}
+        </Button>
+        <div className="flex-1 overflow-y-auto space-y-1 mb-4">
+          {loading ? (
+            <p className="text-xs text-muted-foreground">Loading...</p>
+          ) : invites.length === 0 ? (
+            <p className="text-xs text-muted-foreground">No invite links yet.</p>
+          ) : (
+            invites.map((invite) => {
+              const active = invite.status === "active";
+              return (
+                <div key={invite.token} className={cn("flex items-center gap-2 p-2 rounded-lg hover:bg-muted/50", !active && "opacity-60")} data-testid={`row-invite-${invite.token}`}>
+                  <div className="min-w-0 flex-1">
+                    <p className="text-xs font-mono truncate">…/invite/{invite.token.slice(0, 8)}</p>
+                    <p className="text-[11px] text-muted-foreground truncate">{describeInvite(invite)}</p>
+                  </div>
+                  {active && (
+                    <>
+                      <Button variant="ghost" size="icon" className="h-7 w-7" title="Copy link" onClick={() => copyLink(invite.token)}>
+                        <Copy className="w-3.5 h-3.5" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7 text-destructive"
+                        title="Revoke"
+                        disabled={revokingToken === invite.token}
+                        onClick={() => handleRevoke(invite.token)}
+                        data-testid={`button-revoke-invite-${invite.token}`}
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </Button>
+                    </>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+        <div className="flex justify-end">
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { cn } from "../utils/utils";
+import { resolveUserPrimary } from "../utils/userDisplay";
+
+/** Max suggestions shown under the composer. */
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * @-token being typed right before the caret, e.g. "hi @bo|" -> { query: "bo", start: 3 }.
+ * Mirrors the backend rule: "@" at the start or after a non-word character; e-mail addresses never match.
+ * @returns {{ query: string, start: number }|null}
+ */
+export function getMentionQuery(text, caret) {
+  const before = String(text ?? "").slice(0, caret ?? 0);
+  const match = /(^|[^\w@])@([\w.-]*)$/.exec(before);
+  if (!match) return null;
+  return { query: match[2].toLowerCase(), start: before.length - match[2].length - 1 };
+}
+
+/**
+ * Room members matching the @-query by username or display name (the current user excluded).
+ * Members whose profile has not loaded yet (no username) cannot be mentioned and are skipped.
+ */
+export function filterMentionCandidates(memberIds, usersById, query, currentUserId) {
+  const q = String(query ?? "").toLowerCase();
+  const out = [];
+  for (const id of memberIds || []) {
+    if (currentUserId != null && String(id) === String(currentUserId)) continue;
+    const u = usersById?.[id];
+    if (!u?.username) continue;
+    const username = String(u.username).toLowerCase();
+    const displayName = String(u.displayName ?? "").toLowerCase();
+    if (!q || username.startsWith(q) || displayName.split(/\s+/).some((part) => part.startsWith(q))) out.push(u);
+    if (out.length >= MAX_SUGGESTIONS) break;
+  }
+  return out;
+}
+
+/**
+ * Member autocomplete shown above the composer while an @-token is being typed in a room.
+ * Keyboard selection (arrows/Enter/Tab) is handled by the composer; this only renders and handles clicks.
+ */
+export function MentionSuggestions({ candidates, activeIndex, onSelect, className }) {
+  if (!candidates?.length) return null;
+  return (
+    <div className={cn("absolute bottom-full left-0 mb-1 z-30 w-64 rounded-xl border border-border bg-card p-1 shadow-lg", className)} role="listbox" data-testid="mention-suggestions">
+      {candidates.map((u, i) => (
+        <button
+          key={u.id}
+          type="button"
+          role="option"
+          aria-selected={i === activeIndex}
+          // mousedown keeps focus (and the caret) in the textarea
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onSelect(u);
+          }}
+          className={cn("flex w-full items-center gap-2 rounded-lg px-2 py-1.5 text-left text-sm", i === activeIndex ? "bg-muted" : "hover:bg-muted")}
+          data-testid={`mention-option-${u.id}`}
+        >
+          <span className="truncate font-medium">{resolveUserPrimary(u)}</span>
+          <span className="truncate text-xs text-muted-foreground">@{u.username}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
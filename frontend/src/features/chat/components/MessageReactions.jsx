@@ -0,0 +1,40 @@
+import { cn } from "../utils/utils";
+import { resolveUserPrimary } from "../utils/userDisplay";
+
+/**
+ * Aggregated reaction chips under a message bubble (emoji + count; hover lists who reacted).
+ * Reactions come from the server as [{ emoji, count, userIds }]. Clicking a chip toggles the current user's reaction.
+ */
+export function MessageReactions({ reactions, currentUserId, usersById, onToggle, align = "start", disabled = false }) {
+  const list = Array.isArray(reactions) ? reactions.filter((r) => r && r.count > 0) : [];
+  if (list.length === 0) return null;
+  const me = currentUserId != null ? String(currentUserId) : null;
+
+  return (
+    <div className={cn("flex flex-wrap gap-1 mt-1 px-1", align === "end" ? "justify-end" : "justify-start")} data-testid="message-reactions">
+      {list.map((r) => {
+        const userIds = Array.isArray(r.userIds) ? r.userIds.map(String) : [];
+        const mine = me != null && userIds.includes(me);
+        const names = userIds.map((id) => (id === me ? "You" : resolveUserPrimary(usersById?.[id])));
+        return (
+          <button
+            key={r.emoji}
+            type="button"
+            disabled={disabled}
+            onClick={() => onToggle?.(r.emoji)}
+            title={names.join(", ")}
+            className={cn(
+              "inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs shadow-sm transition-colors",
+              mine ? "border-primary/50 bg-primary/10 text-foreground" : "border-border bg-background/80 text-muted-foreground hover:bg-muted",
+              disabled && "opacity-60 cursor-default"
+            )}
+            data-testid={`reaction-chip-${r.emoji}`}
+          >
+            <span>{r.emoji}</span>
+            <span className="font-medium tabular-nums">{r.count}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
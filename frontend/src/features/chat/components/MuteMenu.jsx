@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { Bell, BellOff, Check } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "../utils/utils";
+
+/** Backend modes (CHAT_MUTE_SET) in menu order; "off" unmutes. */
+export const MUTE_MODES = [
+  { mode: "1h", label: "For 1 hour" },
+  { mode: "8h", label: "For 8 hours" },
+  { mode: "1w", label: "For 1 week" },
+  { mode: "forever", label: "Until I turn it back on" },
+];
+
+function formatMutedUntil(mutedUntil) {
+  if (mutedUntil == null) return "Muted until you unmute";
+  return `Muted until ${new Date(mutedUntil).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" })}`;
+}
+
+/**
+ * Mute control for the chat header: bell button (crossed out while muted) and a menu to mute for a while or
+ * unmute. mutedUntil is epoch ms, null for "forever"; pass muted={false} when the chat is not muted.
+ * A mute silences sounds and desktop notifications on all my devices; @mentions still come through.
+ */
+export function MuteMenu({ muted = false, mutedUntil = null, onSelect, className }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className={cn("relative", className)}>
+      <Button
+        variant="ghost"
+        size="icon"
+        className={cn("rounded-full", muted ? "text-primary" : "text-muted-foreground")}
+        onClick={() => setOpen((v) => !v)}
+        title={muted ? formatMutedUntil(mutedUntil) : "Mute notifications"}
+        data-testid="button-mute"
+      >
+        {muted ? <BellOff className="w-5 h-5" /> : <Bell className="w-5 h-5" />}
+      </Button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-30 w-56 rounded-xl border border-border bg-card p-2 shadow-lg" data-testid="menu-mute">
+          <p className="px-2 pb-1 text-xs font-semibold">Mute notifications</p>
+          <p className="px-2 pb-2 text-[11px] text-muted-foreground">
+            {muted ? formatMutedUntil(mutedUntil) : "No sounds or desktop notifications, except when you are @mentioned."}
+          </p>
+          {MUTE_MODES.map((option) => (
+            <button
+              key={option.mode}
+              type="button"
+              onClick={() => {
+                setOpen(false);
+                onSelect(option.mode);
+              }}
+              className="flex w-full items-center justify-between rounded-lg px-2 py-1.5 text-left text-sm hover:bg-muted"
+              data-testid={`option-mute-${option.mode}`}
+            >
+              <span>{option.label}</span>
+              {muted && option.mode === "forever" && mutedUntil == null && <Check className="w-4 h-4 text-primary" />}
+            </button>
+          ))}
+          {muted && (
+            <button
+              type="button"
+              onClick={() => {
+                setOpen(false);
+                onSelect("off");
+              }}
+              className="mt-1 flex w-full items-center rounded-lg border-t border-border px-2 py-1.5 text-left text-sm text-primary hover:bg-muted"
+              data-testid="option-mute-off"
+            >
+              Unmute
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
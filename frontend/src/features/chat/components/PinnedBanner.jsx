@@ -0,0 +1,68 @@
+import { useEffect, useState } from "react";
+import { Pin, PinOff } from "lucide-react";
+import { cn } from "../utils/utils";
+import { resolveUserPrimary } from "../utils/userDisplay";
+
+/**
+ * Pinned message banner: shows one pin at a time (most recently pinned first).
+ * Clicking jumps to the shown message and advances to the next pin, so repeated clicks cycle through all pins.
+ * pins come from the server as { messageId, senderId, content, deleted, timestamp, pinnedBy, pinnedAt }.
+ */
+export function PinnedBanner({ pins, currentUserId, usersById, onJump, onUnpin, className }) {
+  const [index, setIndex] = useState(0);
+  const count = Array.isArray(pins) ? pins.length : 0;
+
+  useEffect(() => {
+    if (index >= count) setIndex(0);
+  }, [index, count]);
+
+  if (count === 0) return null;
+  const pin = pins[Math.min(index, count - 1)];
+  const senderId = pin.senderId != null ? String(pin.senderId) : null;
+  const senderLabel = senderId == null
+    ? null
+    : currentUserId != null && senderId === String(currentUserId) ? "You" : resolveUserPrimary(usersById?.[senderId]);
+  const body = pin.deleted ? "This message was deleted" : pin.content || "";
+
+  const handleClick = () => {
+    if (!pin.deleted) onJump?.(pin.messageId);
+    setIndex((i) => (i + 1) % count);
+  };
+
+  return (
+    <div className={cn("flex items-center gap-2 border-b border-border bg-card/95 px-3 py-1.5", className)} data-testid="pinned-banner">
+      {count > 1 && (
+        <div className="flex flex-col gap-0.5 self-stretch py-0.5" aria-hidden>
+          {pins.map((p, i) => (
+            <span key={p.messageId} className={cn("w-0.5 flex-1 rounded-full", i === index ? "bg-primary" : "bg-primary/25")} />
+          ))}
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={handleClick}
+        className="min-w-0 flex-1 text-left"
+        title={pin.deleted ? undefined : "Jump to pinned message"}
+        data-testid="button-pinned-jump"
+      >
+        <p className="flex items-center gap-1 text-[10px] font-semibold text-primary leading-tight">
+          <Pin className="w-3 h-3" />
+          {count > 1 ? `Pinned message ${index + 1} of ${count}` : "Pinned message"}
+          {senderLabel && <span className="font-normal text-muted-foreground truncate">· {senderLabel}</span>}
+        </p>
+        <p className={cn("text-xs leading-snug truncate", pin.deleted ? "italic text-muted-foreground" : "text-foreground/80")}>{body}</p>
+      </button>
+      {onUnpin && (
+        <button
+          type="button"
+          onClick={() => onUnpin(pin)}
+          className="flex-shrink-0 rounded-full p-1 text-muted-foreground hover:bg-muted"
+          aria-label="Unpin message"
+          data-testid="button-unpin-banner"
+        >
+          <PinOff className="w-3.5 h-3.5" />
+        </button>
+      )}
+    </div>
+  );
+}
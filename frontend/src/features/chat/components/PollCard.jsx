@@ -0,0 +1,217 @@
+import { useState } from "react";
+import { BarChart3, Check, Plus, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "../utils/utils";
+import { resolveUserPrimary } from "../utils/userDisplay";
+import { toDateTimeLocalValue, fromDateTimeLocalValue } from "./ScheduledMessages";
+
+/** Must match backend config/constants.js POLLS. */
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 10;
+const POLL_MAX_OPTION_LENGTH = 100;
+
+function formatClosesAt(ms) {
+  return new Date(ms).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+/**
+ * Tallies shown for an optimistic poll until the server echoes it (same shape as the backend toPollSummary;
+ * option ids o1, o2, ... are assigned in order by the server too).
+ */
+export function toOptimisticPoll({ options, multiple, anonymous, closesAt }) {
+  return {
+    options: options.map((text, i) => ({ id: `o${i + 1}`, text, count: 0, ...(anonymous ? {} : { voterIds: [] }) })),
+    multiple: multiple === true,
+    anonymous: anonymous === true,
+    closesAt: closesAt ?? null,
+    closed: false,
+    totalVoters: 0,
+    myOptionIds: [],
+  };
+}
+
+/**
+ * Poll inside a room message bubble: question, options with live result bars and the viewer's selection.
+ * poll comes from the server as { options: [{ id, text, count, voterIds? }], multiple, anonymous, closesAt, closed, totalVoters, myOptionIds }.
+ * Single choice: picking an option votes for it, picking it again retracts. Multiple choice: options toggle.
+ * onVote(optionIds) sends the full new selection; without onVote (or once closed) the card is read-only.
+ */
+export function PollCard({ question, poll, onVote, usersById, className }) {
+  if (!poll || !Array.isArray(poll.options)) return null;
+  const closed = poll.closed === true || (poll.closesAt != null && poll.closesAt <= Date.now());
+  const mine = Array.isArray(poll.myOptionIds) ? poll.myOptionIds : [];
+  const canVote = !!onVote && !closed;
+  const maxCount = Math.max(1, ...poll.options.map((o) => o.count || 0));
+
+  const pick = (optionId) => {
+    if (!canVote) return;
+    if (poll.multiple) {
+      onVote(mine.includes(optionId) ? mine.filter((id) => id !== optionId) : [...mine, optionId]);
+    } else {
+      onVote(mine.length === 1 && mine[0] === optionId ? [] : [optionId]);
+    }
+  };
+
+  const details = [
+    poll.anonymous ? "Anonymous" : null,
+    poll.multiple ? "Multiple choice" : null,
+    `${poll.totalVoters} ${poll.totalVoters === 1 ? "vote" : "votes"}`,
+    closed ? "Final results" : poll.closesAt != null ? `Closes ${formatClosesAt(poll.closesAt)}` : null,
+  ].filter(Boolean);
+
+  return (
+    <div className={cn("min-w-[220px] max-w-sm", className)} data-testid="poll-card">
+      <div className="mb-2 flex items-start gap-2">
+        <BarChart3 className="mt-0.5 h-4 w-4 flex-shrink-0 opacity-70" />
+        <p className="text-sm font-semibold leading-snug break-words">{question}</p>
+      </div>
+      <div className="space-y-1.5">
+        {poll.options.map((option) => {
+          const selected = mine.includes(option.id);
+          const voters = Array.isArray(option.voterIds) ? option.voterIds.map((id) => resolveUserPrimary(usersById?.[id])).join(", ") : "";
+          return (
+            <button
+              key={option.id}
+              type="button"
+              disabled={!canVote}
+              onClick={() => pick(option.id)}
+              title={voters || undefined}
+              className={cn(
+                "relative w-full overflow-hidden rounded-lg border px-2.5 py-1.5 text-left text-sm disabled:cursor-default",
+                selected ? "border-primary" : "border-border",
+                canVote && "hover:bg-black/5 dark:hover:bg-white/5"
+              )}
+              data-testid={`poll-option-${option.id}`}
+            >
+              <span
+                className="absolute inset-y-0 left-0 bg-primary/15"
+                style={{ width: `${Math.round(((option.count || 0) / maxCount) * 100)}%` }}
+                aria-hidden
+              />
+              <span className="relative flex items-center justify-between gap-2">
+                <span className="flex min-w-0 items-center gap-1.5">
+                  {selected && <Check className="h-3.5 w-3.5 flex-shrink-0" />}
+                  <span className="truncate">{option.text}</span>
+                </span>
+                <span className="text-xs font-semibold tabular-nums">{option.count || 0}</span>
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      <p className="mt-1.5 text-[10px] opacity-70" data-testid="poll-details">{details.join(" · ")}</p>
+    </div>
+  );
+}
+
+/**
+ * Poll creator for the room composer: question, 2–10 options, multiple choice / anonymous and an optional close time.
+ * onSubmit({ question, poll: { options, multiple, anonymous, closesAt } }) — closesAt is epoch ms or null.
+ */
+export function PollComposer({ onSubmit, onClose }) {
+  const [question, setQuestion] = useState("");
+  const [options, setOptions] = useState(["", ""]);
+  const [multiple, setMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [closes, setCloses] = useState(false);
+  const [closesAtValue, setClosesAtValue] = useState(() => toDateTimeLocalValue(Date.now() + 24 * 60 * 60 * 1000));
+
+  const trimmed = options.map((o) => o.trim()).filter(Boolean);
+  const distinct = new Set(trimmed.map((o) => o.toLowerCase())).size === trimmed.length;
+  const closesAt = closes ? fromDateTimeLocalValue(closesAtValue) : null;
+  const valid =
+    question.trim().length > 0 &&
+    trimmed.length >= POLL_MIN_OPTIONS &&
+    distinct &&
+    (!closes || (Number.isFinite(closesAt) && closesAt > Date.now()));
+
+  const setOption = (index, value) => setOptions((prev) => prev.map((o, i) => (i === index ? value : o)));
+
+  return (
+    <div className="w-80 rounded-xl border border-border bg-card p-3 shadow-lg" data-testid="poll-composer">
+      <div className="mb-2 flex items-center justify-between">
+        <p className="text-xs font-semibold">Create poll</p>
+        <button type="button" onClick={onClose} className="rounded-full p-1 text-muted-foreground hover:bg-muted" aria-label="Close">
+          <X className="h-3.5 w-3.5" />
+        </button>
+      </div>
+      <input
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        placeholder="Ask a question"
+        className="mb-2 w-full rounded-lg border border-border bg-background px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+        data-testid="input-poll-question"
+      />
+      <div className="space-y-1.5">
+        {options.map((option, i) => (
+          <div key={i} className="flex items-center gap-1">
+            <input
+              value={option}
+              maxLength={POLL_MAX_OPTION_LENGTH}
+              onChange={(e) => setOption(i, e.target.value)}
+              placeholder={`Option ${i + 1}`}
+              className="min-w-0 flex-1 rounded-lg border border-border bg-background px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+              data-testid={`input-poll-option-${i}`}
+            />
+            {options.length > POLL_MIN_OPTIONS && (
+              <button
+                type="button"
+                onClick={() => setOptions((prev) => prev.filter((_, j) => j !== i))}
+                className="rounded-full p-1 text-muted-foreground hover:bg-muted"
+                aria-label="Remove option"
+              >
+                <X className="h-3.5 w-3.5" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {options.length < POLL_MAX_OPTIONS && (
+        <button
+          type="button"
+          onClick={() => setOptions((prev) => [...prev, ""])}
+          className="mt-1.5 flex items-center gap-1 text-xs text-primary hover:underline"
+          data-testid="button-poll-add-option"
+        >
+          <Plus className="h-3.5 w-3.5" /> Add option
+        </button>
+      )}
+      {!distinct && <p className="mt-1 text-[11px] text-destructive">Options must be different.</p>}
+      <div className="mt-2 space-y-1 text-xs">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={multiple} onChange={(e) => setMultiple(e.target.checked)} data-testid="checkbox-poll-multiple" />
+          Allow multiple answers
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={anonymous} onChange={(e) => setAnonymous(e.target.checked)} data-testid="checkbox-poll-anonymous" />
+          Anonymous voting
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={closes} onChange={(e) => setCloses(e.target.checked)} data-testid="checkbox-poll-closes" />
+          Close automatically
+        </label>
+        {closes && (
+          <input
+            type="datetime-local"
+            value={closesAtValue}
+            min={toDateTimeLocalValue(Date.now())}
+            onChange={(e) => setClosesAtValue(e.target.value)}
+            className="w-full rounded-lg border border-border bg-background px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+            data-testid="input-poll-closes-at"
+          />
+        )}
+      </div>
+      <div className="mt-3 flex justify-end gap-2">
+        <Button variant="ghost" size="sm" onClick={onClose}>Cancel</Button>
+        <Button
+          size="sm"
+          disabled={!valid}
+          onClick={() => onSubmit({ question: question.trim(), poll: { options: trimmed, multiple, anonymous, closesAt } })}
+          data-testid="button-poll-create"
+        >
+          Create poll
+        </Button>
+      </div>
+    </div>
+  );
+}
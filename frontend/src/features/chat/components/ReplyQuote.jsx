@@ -0,0 +1,47 @@
+import { X } from "lucide-react";
+import { cn } from "../utils/utils";
+import { resolveUserPrimary } from "../utils/userDisplay";
+
+/**
+ * Quoted header for a reply: parent sender + truncated content, or a tombstone when the parent was deleted.
+ * replyTo comes from the server as { messageId, senderId, content, deleted }.
+ * Used inside a message bubble (onClick jumps to the parent) and above the composer (onCancel clears the reply).
+ */
+export function ReplyQuote({ replyTo, currentUserId, usersById, onClick, onCancel, className }) {
+  if (!replyTo) return null;
+  const senderId = replyTo.senderId != null ? String(replyTo.senderId) : null;
+  const senderLabel = senderId == null
+    ? null
+    : currentUserId != null && senderId === String(currentUserId) ? "You" : resolveUserPrimary(usersById?.[senderId]);
+  const body = replyTo.deleted ? "Original message was deleted" : replyTo.content || "";
+  const Tag = onClick ? "button" : "div";
+
+  return (
+    <div className={cn("flex items-stretch gap-2", className)} data-testid="reply-quote">
+      <Tag
+        {...(onClick ? { type: "button", onClick } : {})}
+        className={cn(
+          "min-w-0 flex-1 rounded-md border-l-4 border-primary/60 bg-black/5 dark:bg-white/5 px-2 py-1 text-left",
+          onClick && "hover:bg-black/10 dark:hover:bg-white/10 cursor-pointer"
+        )}
+        title={onClick ? "Jump to original message" : undefined}
+      >
+        {senderLabel && <p className="text-[10px] font-semibold text-primary leading-tight truncate">{senderLabel}</p>}
+        <p className={cn("text-[11px] leading-snug line-clamp-2 break-words", replyTo.deleted ? "italic text-muted-foreground" : "text-foreground/80")}>
+          {body}
+        </p>
+      </Tag>
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-shrink-0 self-center rounded-full p-1 text-muted-foreground hover:bg-muted"
+          aria-label="Cancel reply"
+          data-testid="button-cancel-reply"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      )}
+    </div>
+  );
+}
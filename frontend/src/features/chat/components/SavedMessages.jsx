@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { Search, Star, StarOff, X } from "lucide-react";
+import { cn } from "../utils/utils";
+import { resolveUserPrimary } from "../utils/userDisplay";
+
+function formatSavedTime(ms) {
+  return ms != null ? new Date(ms).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "";
+}
+
+/** Sidebar label of the chat a bookmark lives in: room name, or the other participant of a DM. */
+function chatLabel(bookmark, { roomsById, usersById, myUserId }) {
+  if (bookmark.roomId) return roomsById?.[bookmark.roomId]?.name ?? "Group";
+  const [, a, b] = String(bookmark.chatId || "").split(":");
+  const otherId = String(a) === String(myUserId) ? b : a;
+  return resolveUserPrimary(usersById?.[otherId]);
+}
+
+/**
+ * "Saved messages": my starred messages across all chats, most recently starred first, with a search filter
+ * over content, sender and chat name. bookmarks come from the server as
+ * { messageId, chatId, roomId, senderId, content, contentType, timestamp, bookmarkedAt } (null while loading).
+ * onOpen(bookmark) opens the chat at the message; onUnstar(bookmark) removes it.
+ */
+export function SavedMessages({ bookmarks, usersById, roomsById, myUserId, onOpen, onUnstar, onClose, className }) {
+  const [query, setQuery] = useState("");
+  const needle = query.trim().toLowerCase();
+  const items = (bookmarks || []).map((b) => ({
+    bookmark: b,
+    chat: chatLabel(b, { roomsById, usersById, myUserId }),
+    sender: String(b.senderId) === String(myUserId) ? "You" : resolveUserPrimary(usersById?.[b.senderId]),
+  }));
+  const visible = needle
+    ? items.filter(({ bookmark, chat, sender }) => [bookmark.content, chat, sender].some((s) => String(s || "").toLowerCase().includes(needle)))
+    : items;
+
+  return (
+    <div className={cn("px-2 py-2", className)} data-testid="saved-messages">
+      <div className="mb-2 flex items-center justify-between px-1">
+        <p className="flex items-center gap-1.5 text-sm font-semibold">
+          <Star className="h-4 w-4" /> Saved messages
+        </p>
+        <button type="button" onClick={onClose} className="rounded-full p-1 text-muted-foreground hover:bg-muted" aria-label="Close" data-testid="button-saved-close">
+          <X className="h-3.5 w-3.5" />
+        </button>
+      </div>
+      <div className="relative mb-2">
+        <Search className="absolute left-2.5 top-1/2 h-3.5 w-3.5 -translate-y-1/2 text-muted-foreground" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search saved messages"
+          className="w-full rounded-lg bg-muted/50 py-1.5 pl-8 pr-3 text-sm placeholder:text-muted-foreground/70 focus:outline-none focus:ring-2 focus:ring-primary/20"
+          data-testid="input-search-saved"
+        />
+      </div>
+      {!bookmarks ? (
+        <p className="px-1 py-6 text-center text-sm text-muted-foreground">Loading…</p>
+      ) : visible.length === 0 ? (
+        <p className="px-1 py-6 text-center text-sm text-muted-foreground" data-testid="saved-empty">
+          {needle ? "No saved messages match your search." : "Star a message to find it here later."}
+        </p>
+      ) : (
+        <ul className="space-y-1">
+          {visible.map(({ bookmark, chat, sender }) => (
+            <li key={bookmark.messageId} className="group flex items-start gap-1 rounded-lg hover:bg-muted/60">
+              <button
+                type="button"
+                onClick={() => onOpen(bookmark)}
+                className="min-w-0 flex-1 px-2 py-1.5 text-left"
+                data-testid={`saved-item-${bookmark.messageId}`}
+              >
+                <p className="flex items-center justify-between gap-2 text-[11px] text-muted-foreground">
+                  <span className="truncate">{chat} · {sender}</span>
+                  <span className="flex-shrink-0">{formatSavedTime(bookmark.timestamp)}</span>
+                </p>
+                <p className="line-clamp-2 break-words text-sm">
+                  {bookmark.contentType === "poll" ? `Poll: ${bookmark.content || ""}` : bookmark.content || ""}
+                </p>
+              </button>
+              <button
+                type="button"
+                onClick={() => onUnstar(bookmark)}
+                className="mt-1 rounded-full p-1 text-muted-foreground opacity-0 hover:bg-muted group-hover:opacity-100"
+                aria-label="Unstar"
+                title="Unstar"
+                data-testid={`button-unstar-${bookmark.messageId}`}
+              >
+                <StarOff className="h-3.5 w-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { Clock, ChevronDown, ChevronUp, Edit2, X, AlertCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "../utils/utils";
+
+/** epoch ms -> value for <input type="datetime-local"> (local time, minute precision). */
+export function toDateTimeLocalValue(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/** <input type="datetime-local"> value -> epoch ms; NaN when empty or invalid. */
+export function fromDateTimeLocalValue(value) {
+  return value ? new Date(value).getTime() : NaN;
+}
+
+function formatSendAt(ms) {
+  return new Date(ms).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+/**
+ * Schedule picker for the composer: datetime-local input + confirm. Defaults to one hour from now.
+ * onConfirm(sendAt) receives epoch ms.
+ */
+export function SchedulePicker({ onConfirm, onClose, disabled }) {
+  const [value, setValue] = useState(() => toDateTimeLocalValue(Date.now() + 60 * 60 * 1000));
+  const sendAt = fromDateTimeLocalValue(value);
+  const valid = Number.isFinite(sendAt) && sendAt > Date.now();
+
+  return (
+    <div className="w-64 rounded-xl border border-border bg-card p-3 shadow-lg" data-testid="schedule-picker">
+      <p className="mb-2 text-xs font-semibold">Send later</p>
+      <input
+        type="datetime-local"
+        value={value}
+        min={toDateTimeLocalValue(Date.now())}
+        onChange={(e) => setValue(e.target.value)}
+        className="w-full rounded-lg border border-border bg-background px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+        data-testid="input-schedule-at"
+      />
+      <div className="mt-2 flex justify-end gap-2">
+        <Button variant="ghost" size="sm" onClick={onClose}>Cancel</Button>
+        <Button size="sm" disabled={disabled || !valid} onClick={() => onConfirm(sendAt)} data-testid="button-schedule-confirm">
+          Schedule
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Own scheduled messages of the open chat, above the composer. Collapsed to "N scheduled" by default.
+ * items come from the server as { scheduledId, content, sendAt, status, error } (pending / sending / failed, soonest first).
+ * Pending items can be edited (content and time); pending and failed items can be cancelled.
+ */
+export function ScheduledMessages({ items, onUpdate, onCancel, className }) {
+  const [expanded, setExpanded] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const count = Array.isArray(items) ? items.length : 0;
+  if (count === 0) return null;
+
+  const startEdit = (item) => setEditing({ scheduledId: item.scheduledId, content: item.content, at: toDateTimeLocalValue(item.sendAt) });
+  const saveEdit = (item) => {
+    const content = editing.content.trim();
+    const sendAt = fromDateTimeLocalValue(editing.at);
+    const patch = {};
+    if (content && content !== item.content) patch.content = content;
+    if (Number.isFinite(sendAt) && sendAt !== item.sendAt) patch.sendAt = sendAt;
+    if (Object.keys(patch).length === 0 || onUpdate(item.scheduledId, patch)) setEditing(null);
+  };
+
+  return (
+    <div className={cn("rounded-lg bg-muted/60 text-sm", className)} data-testid="scheduled-messages">
+      <button
+        type="button"
+        onClick={() => setExpanded((v) => !v)}
+        className="flex w-full items-center gap-2 px-3 py-1.5 text-left text-xs text-muted-foreground"
+        data-testid="button-scheduled-toggle"
+      >
+        <Clock className="w-3.5 h-3.5" />
+        <span className="flex-1">{count === 1 ? "1 scheduled message" : `${count} scheduled messages`}</span>
+        {expanded ? <ChevronDown className="w-3.5 h-3.5" /> : <ChevronUp className="w-3.5 h-3.5" />}
+      </button>
+      {expanded && (
+        <ul className="max-h-48 overflow-y-auto border-t border-border/60">
+          {items.map((item) => {
+            const isEditing = editing?.scheduledId === item.scheduledId;
+            return (
+              <li key={item.scheduledId} className="flex items-start gap-2 px-3 py-2" data-testid={`scheduled-item-${item.scheduledId}`}>
+                {isEditing ? (
+                  <div className="flex-1 space-y-1.5">
+                    <textarea
+                      value={editing.content}
+                      onChange={(e) => setEditing((prev) => ({ ...prev, content: e.target.value }))}
+                      rows={2}
+                      className="w-full resize-none rounded-lg border border-border bg-background px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+                    />
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="datetime-local"
+                        value={editing.at}
+                        onChange={(e) => setEditing((prev) => ({ ...prev, at: e.target.value }))}
+                        className="flex-1 rounded-lg border border-border bg-background px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-primary/20"
+                      />
+                      <Button variant="ghost" size="sm" onClick={() => setEditing(null)}>Cancel</Button>
+                      <Button size="sm" onClick={() => saveEdit(item)} disabled={!editing.content.trim()} data-testid="button-scheduled-save">Save</Button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <div className="min-w-0 flex-1">
+                      <p className={cn("flex items-center gap-1 text-[10px] font-semibold", item.status === "failed" ? "text-destructive" : "text-primary")}>
+                        {item.status === "failed" && <AlertCircle className="w-3 h-3" />}
+                        {item.status === "failed" ? `Not sent${item.error ? ` (${item.error})` : ""}` : item.status === "sending" ? "Sending…" : formatSendAt(item.sendAt)}
+                      </p>
+                      <p className="truncate text-xs text-foreground/80">{item.content}</p>
+                    </div>
+                    {item.status === "pending" && (
+                      <button type="button" onClick={() => startEdit(item)} className="rounded-full p-1 text-muted-foreground hover:bg-muted" aria-label="Edit scheduled message" data-testid="button-scheduled-edit">
+                        <Edit2 className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                    {item.status !== "sending" && (
+                      <button type="button" onClick={() => onCancel(item.scheduledId)} className="rounded-full p-1 text-muted-foreground hover:bg-muted" aria-label="Cancel scheduled message" data-testid="button-scheduled-cancel">
+                        <X className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from "react";
+import { X } from "lucide-react";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { resolveUserPrimary } from "../utils/userDisplay";
+import { avatarSrc } from "../utils/avatarUrl";
+import { cn } from "../utils/utils";
+
+const STACKED_AVATARS = 3;
+
+function formatReceiptTime(ms) {
+  return ms != null ? new Date(ms).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "";
+}
+
+function MemberAvatar({ user, className }) {
+  return (
+    <Avatar className={className}>
+      {user?.avatarUrl ? <AvatarImage src={avatarSrc(user.avatarUrl, user.updatedAt)} alt="" /> : null}
+      <AvatarFallback className={cn("text-[8px] text-white", user?.avatarColor || "bg-secondary")}>
+        {user ? (user.avatarInitials ?? resolveUserPrimary(user).slice(0, 2).toUpperCase()) : "?"}
+      </AvatarFallback>
+    </Avatar>
+  );
+}
+
+function ReceiptList({ title, entries, count, timeKey, usersById }) {
+  if (count === 0) return null;
+  return (
+    <div className="mt-2 first:mt-0">
+      <p className="mb-1 text-[10px] font-semibold uppercase tracking-wider text-muted-foreground">
+        {title} · {count}
+      </p>
+      <ul className="space-y-1.5">
+        {entries.map((entry) => {
+          const member = usersById?.[entry.userId];
+          return (
+            <li key={entry.userId} className="flex items-center gap-2">
+              <MemberAvatar user={member} className="h-6 w-6" />
+              <span className="min-w-0 flex-1 truncate">{member ? resolveUserPrimary(member) : entry.userId}</span>
+              <span className="shrink-0 text-[10px] text-muted-foreground">{formatReceiptTime(entry[timeKey])}</span>
+            </li>
+          );
+        })}
+      </ul>
+      {count > entries.length && (
+        <p className="mt-1 text-[10px] text-muted-foreground">and {count - entries.length} more</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * "Seen by N" footer of my room message: the newest readers as stacked avatars (from the live delivery entry),
+ * and on click a popover with who read it and who only received it, with times. onLoadReceipts() resolves to
+ * the server detail ({ readCount, readBy, deliveredCount, deliveredTo }, lists capped server-side; null on failure)
+ * and is called every time the popover opens. Renders nothing until someone has read the message.
+ */
+export function SeenByLabel({ delivery, usersById, onLoadReceipts, align = "right" }) {
+  const [open, setOpen] = useState(false);
+  const [receipts, setReceipts] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setReceipts(null);
+    setFailed(false);
+    Promise.resolve(onLoadReceipts?.()).then((result) => {
+      if (cancelled) return;
+      if (result) setReceipts(result);
+      else setFailed(true);
+    });
+    const onPointerDown = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onPointerDown);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("mousedown", onPointerDown);
+    };
+    // onLoadReceipts is recreated on every render; only reload when the popover opens
+  }, [open]);
+
+  const readCount = delivery?.readCount ?? 0;
+  if (readCount <= 0) return null;
+  const stacked = (delivery.readBy || []).slice(0, STACKED_AVATARS);
+
+  return (
+    <span ref={rootRef} className={cn("relative flex px-2 pb-1", align === "right" ? "justify-end" : "justify-start")}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className="flex items-center gap-1 text-[10px] text-muted-foreground hover:underline"
+        title={delivery.totalCount > 0 ? `Read by ${readCount} of ${delivery.totalCount}` : undefined}
+        data-testid="button-seen-by"
+      >
+        <span className="flex -space-x-1.5">
+          {stacked.map((entry) => (
+            <MemberAvatar key={entry.userId} user={usersById?.[entry.userId]} className="h-4 w-4 ring-1 ring-background" />
+          ))}
+        </span>
+        Seen by {readCount}
+      </button>
+      {open && (
+        <div
+          className={cn(
+            "absolute bottom-full mb-1 z-30 w-64 rounded-xl border border-border bg-card p-3 text-left text-xs text-foreground shadow-lg select-text",
+            align === "right" ? "right-0" : "left-0"
+          )}
+          data-testid="seen-by-detail"
+        >
+          <div className="mb-2 flex items-center justify-between">
+            <p className="font-semibold">Message info</p>
+            <button type="button" onClick={() => setOpen(false)} className="rounded-full p-1 text-muted-foreground hover:bg-muted" aria-label="Close">
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+          {failed ? (
+            <p className="text-muted-foreground">Could not load read receipts.</p>
+          ) : !receipts ? (
+            <p className="text-muted-foreground">Loading…</p>
+          ) : (
+            <div className="max-h-64 overflow-y-auto">
+              <ReceiptList title="Read by" entries={receipts.readBy} count={receipts.readCount} timeKey="readAt" usersById={usersById} />
+              <ReceiptList
+                title="Delivered to"
+                entries={receipts.deliveredTo}
+                count={receipts.deliveredCount - receipts.readCount}
+                timeKey="deliveredAt"
+                usersById={usersById}
+              />
+              {receipts.totalCount > receipts.deliveredCount && (
+                <p className="mt-2 text-[10px] text-muted-foreground">
+                  Not delivered yet to {receipts.totalCount - receipts.deliveredCount}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </span>
+  );
+}
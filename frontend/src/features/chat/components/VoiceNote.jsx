@@ -0,0 +1,305 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Loader2, Mic, Pause, Play, SendHorizontal, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "../utils/utils";
+import { useSignedAttachmentUrl } from "./FileCard";
+import { VOICE_MAX_DURATION_MS } from "@/config/wsContract";
+
+/** Containers the server accepts from MediaRecorder as-is, in order of preference. */
+const RECORDER_MIME_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus"];
+
+/** Recordings in any other format (e.g. Safari's MP4/AAC) are re-encoded as WAV at this rate. */
+const WAV_SAMPLE_RATE = 16000;
+
+/** 0:07, 1:23 */
+export function formatVoiceDuration(ms) {
+  const total = Math.max(0, Math.round((Number(ms) || 0) / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function pickRecorderMimeType() {
+  if (typeof MediaRecorder === "undefined" || typeof MediaRecorder.isTypeSupported !== "function") return null;
+  return RECORDER_MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) || null;
+}
+
+/** Mono 16-bit PCM WAV of a decoded recording, resampled to WAV_SAMPLE_RATE. */
+async function toWav(blob) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  let decoded;
+  try {
+    decoded = await ctx.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    ctx.close?.();
+  }
+  const length = Math.max(1, Math.ceil(decoded.duration * WAV_SAMPLE_RATE));
+  const offline = new OfflineAudioContext(1, length, WAV_SAMPLE_RATE);
+  const source = offline.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offline.destination);
+  source.start();
+  const samples = (await offline.startRendering()).getChannelData(0);
+
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  const writeAscii = (offset, text) => { for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i)); };
+  writeAscii(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeAscii(8, "WAVE");
+  writeAscii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, WAV_SAMPLE_RATE, true);
+  view.setUint32(28, WAV_SAMPLE_RATE * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeAscii(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
+
+/**
+ * Composer strip while recording a voice note: starts recording on mount, shows the elapsed time and offers
+ * cancel / send. Recording stops by itself at VOICE_MAX_DURATION_MS and the clip is sent.
+ * onSend(blob) receives Opus WebM/Ogg, or WAV when the browser records something else; onError(message)
+ * reports a denied microphone or an unusable recording (the strip then closes through onCancel).
+ */
+export function VoiceRecorder({ onSend, onCancel, onError, className }) {
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [processing, setProcessing] = useState(false);
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const chunksRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const sendOnStopRef = useRef(false);
+  const callbacksRef = useRef({ onSend, onCancel, onError });
+  callbacksRef.current = { onSend, onCancel, onError };
+
+  const stop = useCallback((send) => {
+    sendOnStopRef.current = send;
+    const recorder = recorderRef.current;
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+    else if (!send) callbacksRef.current.onCancel?.();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const release = () => streamRef.current?.getTracks().forEach((t) => t.stop());
+
+    (async () => {
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch {
+        if (!cancelled) {
+          callbacksRef.current.onError?.("Microphone access was denied");
+          callbacksRef.current.onCancel?.();
+        }
+        return;
+      }
+      if (cancelled) {
+        stream.getTracks().forEach((t) => t.stop());
+        return;
+      }
+      streamRef.current = stream;
+      const mimeType = pickRecorderMimeType();
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      recorderRef.current = recorder;
+      recorder.ondataavailable = (e) => { if (e.data?.size > 0) chunksRef.current.push(e.data); };
+      recorder.onstop = async () => {
+        release();
+        if (cancelled || !sendOnStopRef.current) {
+          if (!cancelled) callbacksRef.current.onCancel?.();
+          return;
+        }
+        setProcessing(true);
+        try {
+          const recorded = new Blob(chunksRef.current, { type: recorder.mimeType || mimeType || "" });
+          callbacksRef.current.onSend?.(mimeType ? recorded : await toWav(recorded));
+        } catch {
+          callbacksRef.current.onError?.("The recording could not be processed");
+          callbacksRef.current.onCancel?.();
+        }
+      };
+      startedAtRef.current = Date.now();
+      recorder.start(1000);
+    })();
+
+    return () => {
+      cancelled = true;
+      const recorder = recorderRef.current;
+      if (recorder && recorder.state !== "inactive") recorder.stop();
+      release();
+    };
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (!startedAtRef.current || recorderRef.current?.state !== "recording") return;
+      const ms = Date.now() - startedAtRef.current;
+      setElapsedMs(ms);
+      if (ms >= VOICE_MAX_DURATION_MS) stop(true);
+    }, 200);
+    return () => clearInterval(timer);
+  }, [stop]);
+
+  return (
+    <div className={cn("flex flex-1 items-center gap-2 rounded-xl border border-border bg-muted/50 px-2 py-1", className)} data-testid="voice-recorder">
+      <Button variant="ghost" size="icon" className="h-8 w-8 rounded-full text-muted-foreground" onClick={() => stop(false)} disabled={processing} title="Cancel recording" data-testid="button-voice-cancel">
+        <X className="w-4 h-4" />
+      </Button>
+      <span className="flex flex-1 items-center gap-2 text-sm">
+        {processing ? <Loader2 className="h-3 w-3 animate-spin" /> : <span className="h-2.5 w-2.5 animate-pulse rounded-full bg-destructive" />}
+        <span className="tabular-nums" data-testid="text-voice-elapsed">{formatVoiceDuration(elapsedMs)}</span>
+        <span className="text-xs text-muted-foreground">/ {formatVoiceDuration(VOICE_MAX_DURATION_MS)}</span>
+      </span>
+      <Button size="icon" className="h-8 w-8 rounded-full" onClick={() => stop(true)} disabled={processing} title="Send voice message" data-testid="button-voice-send">
+        <SendHorizontal className="w-4 h-4" />
+      </Button>
+    </div>
+  );
+}
+
+/** Composer button that opens the recorder; hidden where the browser cannot record. */
+export function VoiceRecordButton({ onClick, disabled }) {
+  if (typeof navigator === "undefined" || !navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === "undefined") return null;
+  return (
+    <Button variant="ghost" size="icon" className="flex-shrink-0 rounded-full h-9 w-9 text-muted-foreground" onClick={onClick} disabled={disabled} title="Record voice message" data-testid="button-record-voice">
+      <Mic className="w-4 h-4" />
+    </Button>
+  );
+}
+
+/**
+ * Voice message inside a bubble: play/pause, the server waveform as bars (click or drag to seek, arrow keys
+ * skip 5 s) and elapsed / total time. attachment is the message's single voice attachment
+ * ({ attachmentId, url, voice: { durationMs, waveform } }); optimistic sends have no url and cannot play yet.
+ * onFirstPlay fires once, the first time playback starts (recipients send the listened ack from it).
+ * unplayed marks a note the viewer has not listened to; listenedLabel is the sender's "Listened" note.
+ */
+export function VoiceNotePlayer({ attachment, isMe, unplayed = false, listenedLabel = null, onFirstPlay, className }) {
+  const voice = attachment?.voice;
+  const canLoad = Boolean(attachment?.url);
+  const { url, failed, refresh } = useSignedAttachmentUrl(attachment?.attachmentId, canLoad);
+  const audioRef = useRef(null);
+  const barsRef = useRef(null);
+  const draggingRef = useRef(false);
+  const firstPlayRef = useRef(false);
+  const [playing, setPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+
+  const durationMs = voice?.durationMs || 0;
+  const waveform = Array.isArray(voice?.waveform) ? voice.waveform : [];
+  const progress = durationMs > 0 ? Math.min(1, positionMs / durationMs) : 0;
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return undefined;
+    const onTime = () => { if (!draggingRef.current) setPositionMs(audio.currentTime * 1000); };
+    const onPlay = () => {
+      setPlaying(true);
+      if (!firstPlayRef.current) {
+        firstPlayRef.current = true;
+        onFirstPlay?.();
+      }
+    };
+    const onPause = () => setPlaying(false);
+    const onEnded = () => { setPlaying(false); setPositionMs(0); };
+    audio.addEventListener("timeupdate", onTime);
+    audio.addEventListener("play", onPlay);
+    audio.addEventListener("pause", onPause);
+    audio.addEventListener("ended", onEnded);
+    return () => {
+      audio.removeEventListener("timeupdate", onTime);
+      audio.removeEventListener("play", onPlay);
+      audio.removeEventListener("pause", onPause);
+      audio.removeEventListener("ended", onEnded);
+    };
+  }, [url, onFirstPlay]);
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) audio.play().catch(() => setPlaying(false));
+    else audio.pause();
+  };
+
+  const seekTo = (ms) => {
+    const clamped = Math.max(0, Math.min(durationMs, ms));
+    setPositionMs(clamped);
+    if (audioRef.current) audioRef.current.currentTime = clamped / 1000;
+  };
+
+  const seekToPointer = (e) => {
+    const rect = barsRef.current?.getBoundingClientRect();
+    if (!rect || rect.width === 0) return;
+    seekTo(((e.clientX - rect.left) / rect.width) * durationMs);
+  };
+
+  const ready = Boolean(url);
+  return (
+    <div className={cn("flex w-[260px] max-w-full items-center gap-2", className)} data-testid={`voice-note-${attachment?.attachmentId}`}>
+      {url && <audio ref={audioRef} src={url} preload="metadata" onError={refresh} />}
+      <Button
+        variant="ghost"
+        size="icon"
+        className={cn("h-9 w-9 flex-shrink-0 rounded-full", isMe ? "bg-primary-foreground/15 hover:bg-primary-foreground/25" : "bg-primary/10 hover:bg-primary/20")}
+        onClick={togglePlay}
+        disabled={!ready}
+        aria-label={playing ? "Pause voice message" : "Play voice message"}
+        data-testid="button-voice-play"
+      >
+        {!ready && !failed ? <Loader2 className="h-4 w-4 animate-spin" /> : playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+      </Button>
+      <div className="min-w-0 flex-1">
+        <div
+          ref={barsRef}
+          role="slider"
+          tabIndex={ready ? 0 : -1}
+          aria-label="Seek voice message"
+          aria-valuemin={0}
+          aria-valuemax={Math.round(durationMs / 1000)}
+          aria-valuenow={Math.round(positionMs / 1000)}
+          aria-valuetext={formatVoiceDuration(positionMs)}
+          className={cn("flex h-8 touch-none items-center gap-px", ready && "cursor-pointer")}
+          onPointerDown={(e) => {
+            if (!ready) return;
+            draggingRef.current = true;
+            e.currentTarget.setPointerCapture?.(e.pointerId);
+            seekToPointer(e);
+          }}
+          onPointerMove={(e) => { if (draggingRef.current) seekToPointer(e); }}
+          onPointerUp={() => { draggingRef.current = false; }}
+          onPointerCancel={() => { draggingRef.current = false; }}
+          onKeyDown={(e) => {
+            if (e.key === "ArrowRight") { e.preventDefault(); seekTo(positionMs + 5000); }
+            else if (e.key === "ArrowLeft") { e.preventDefault(); seekTo(positionMs - 5000); }
+          }}
+          data-testid="voice-waveform"
+        >
+          {waveform.map((level, i) => (
+            <span
+              key={i}
+              className={cn(
+                "flex-1 rounded-full",
+                (i + 0.5) / waveform.length <= progress
+                  ? isMe ? "bg-primary-foreground" : "bg-primary"
+                  : isMe ? "bg-primary-foreground/40" : "bg-muted-foreground/40"
+              )}
+              style={{ height: `${Math.max(12, level)}%` }}
+            />
+          ))}
+        </div>
+        <div className={cn("flex items-center gap-1.5 text-[11px] tabular-nums", isMe ? "text-primary-foreground/70" : "text-muted-foreground")}>
+          <span>{formatVoiceDuration(playing || positionMs > 0 ? positionMs : durationMs)}</span>
+          {unplayed && <span className="h-1.5 w-1.5 rounded-full bg-primary" title="Not played yet" data-testid="voice-unplayed" />}
+          {listenedLabel && <span data-testid="text-voice-listened">· {listenedLabel}</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
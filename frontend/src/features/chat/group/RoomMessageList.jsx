@@ -13,6 +13,10 @@ import { Button } from "@/components/ui/button";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Loader2, MessageCircle, AlertCircle, Check, CheckCheck } from "lucide-react";
 import { cn } from "../utils/utils";
+import { MessageReactions } from "../components/MessageReactions";
+import { ReplyQuote } from "../components/ReplyQuote";
+import { PollCard } from "../components/PollCard";
+import { SeenByLabel } from "../components/SeenBy";
 
 const DEFAULT_LIMIT = 50;
 
@@ -27,11 +31,16 @@ function normalizeMsg(m) {
     createdAt: m.createdAt ?? m.timestamp,
     timestamp: m.timestamp ?? m.createdAt,
     status: m.status ?? m.state ?? "delivered",
+    deleted: m.deleted === true,
+    reactions: Array.isArray(m.reactions) ? m.reactions : [],
+    replyTo: m.replyTo ?? null,
+    contentType: m.contentType ?? "text",
+    poll: m.poll ?? null,
   };
 }
 
 export function RoomMessageList({ roomIdRaw, onRefetch }) {
-  const { user, usersById, messagesByConversation, loadMessages, roomDeliveryByRoomMessageId, applyRoomDeliverySummaries } = useChatStore();
+  const { user, usersById, messagesByConversation, loadMessages, roomDeliveryByRoomMessageId, applyRoomDeliverySummaries, loadMessageReceipts, toggleReaction, votePoll } = useChatStore();
   const conversationId = roomIdRaw ? `room:${roomIdRaw}` : null;
 
   const [localMessages, setLocalMessages] = useState([]);
@@ -215,12 +224,44 @@ export function RoomMessageList({ roomIdRaw, onRefetch }) {
                   {msg.deleted === true ? (
                     <p className="whitespace-pre-wrap leading-relaxed break-words italic text-muted-foreground p-2">This message was deleted</p>
                   ) : (
-                    <p className="whitespace-pre-wrap leading-relaxed break-words p-2">{msg.content}</p>
+                    <>
+                      {msg.replyTo && (
+                        <ReplyQuote replyTo={msg.replyTo} currentUserId={user?.id} usersById={usersById} className="px-2 pt-2" />
+                      )}
+                      {msg.contentType === "poll" && msg.poll ? (
+                        <PollCard
+                          className="p-2"
+                          question={msg.content}
+                          poll={msg.poll}
+                          usersById={usersById}
+                          onVote={msg.roomMessageId ? (optionIds) => votePoll(msg.roomMessageId, optionIds) : undefined}
+                        />
+                      ) : (
+                        <p className="whitespace-pre-wrap leading-relaxed break-words p-2">{msg.content}</p>
+                      )}
+                    </>
                   )}
                   <div className={cn("text-[10px] mt-1 flex items-center gap-1 opacity-60 select-none px-2 pb-1", isMe ? "justify-end" : "justify-start")}>
                     {formatTimestamp(msg.timestamp ?? msg.createdAt)}
                     {isMe && <span className="ml-1">{getStatusIcon(displayStatus, isMe)}</span>}
                   </div>
+                  {isMe && !msg.deleted && (
+                    <SeenByLabel
+                      delivery={delivery}
+                      usersById={usersById}
+                      onLoadReceipts={msg.roomMessageId ? () => loadMessageReceipts(conversationId, msg) : undefined}
+                    />
+                  )}
+                  {!msg.deleted && (
+                    <MessageReactions
+                      reactions={msg.reactions}
+                      currentUserId={user?.id}
+                      usersById={usersById}
+                      onToggle={useContext ? (emoji) => toggleReaction(conversationId, msg, emoji) : undefined}
+                      align={isMe ? "end" : "start"}
+                      disabled={!useContext}
+                    />
+                  )}
                 </div>
               </div>
             </div>
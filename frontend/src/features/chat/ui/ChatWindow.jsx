@@ -48,7 +48,7 @@ import { getAuthState } from "@/state/auth.state";
 import { toDirectIdFromUsers, toCanonicalChatId } from "../utils/chatId.js";
 import { getDaySeparator, formatTimestamp, shouldGroupWithPrev as shouldGroupMessages, getStatusIconConfig } from "../domain/message";
 import { formatUserStatus, countOnlineUsers } from "../domain/user";
-import { SendHorizontal, Paperclip, Smile, MoreVertical, Loader2, MessageCircle, AlertCircle, Check, CheckCheck, Trash2, Edit2, Flag, X, Settings } from "lucide-react";
+import { SendHorizontal, Paperclip, Smile, MoreVertical, Loader2, MessageCircle, AlertCircle, Check, CheckCheck, Trash2, Edit2, Flag, X, Settings, Reply, MessagesSquare, Forward, Pin, PinOff, Star, StarOff, Clock, BarChart3, Ban } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { cn } from "../utils/utils";
@@ -56,13 +56,40 @@ import { resolveUserPrimary } from "../utils/userDisplay";
 import { avatarSrc, resolveThumbnailUrl } from "../utils/avatarUrl";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { GroupInfoPanel } from "./GroupInfoPanel";
+import { ThreadPanel } from "./ThreadPanel";
 import { EmojiPicker } from "../components/EmojiPicker";
+import { MessageReactions } from "../components/MessageReactions";
+import { ReplyQuote } from "../components/ReplyQuote";
+import { PinnedBanner } from "../components/PinnedBanner";
+import { ScheduledMessages, SchedulePicker } from "../components/ScheduledMessages";
+import { DisappearingTimer } from "../components/DisappearingTimer";
+import { MuteMenu } from "../components/MuteMenu";
+import { MentionSuggestions, getMentionQuery, filterMentionCandidates } from "../components/MentionSuggestions";
+import { PollCard, PollComposer, toOptimisticPoll } from "../components/PollCard";
+import { EditedLabel } from "../components/EditHistory";
+import { SeenByLabel } from "../components/SeenBy";
+import { FileCard, getFileCaption } from "../components/FileCard";
+import { VoiceNotePlayer, VoiceRecorder, VoiceRecordButton } from "../components/VoiceNote";
+import { uploadAttachment, uploadVoiceNote } from "../api/upload.api";
 import { useToast } from "@/hooks/useToast";
-import { MAX_CONTENT_LENGTH } from "@/config/wsContract";
+import { MAX_CONTENT_LENGTH, MESSAGE_EDIT_WINDOW_MS, MAX_ATTACHMENTS_PER_MESSAGE } from "@/config/wsContract";
 import { useLocation } from "wouter";
 import { createReport } from "../api/report.api";
+import { blockUser } from "@/features/settings/api/blocks.api";
 import { getServerConversationId } from "../utils/chatId.js";
 
+/** Id a reply points at: canonical roomMessageId for rooms, messageId for DMs. */
+function getReplyTargetId(msg) {
+  return msg?.roomMessageId ?? msg?.messageId ?? msg?.id ?? null;
+}
+
+/** Edit is offered only within the server's edit window (MESSAGE_EDIT_WINDOW_MS after sending; 0 = no limit). */
+function isWithinEditWindow(msg) {
+  if (!MESSAGE_EDIT_WINDOW_MS) return true;
+  const sentAt = new Date(msg?.timestamp ?? msg?.createdAt ?? Date.now()).getTime();
+  return !Number.isFinite(sentAt) || Date.now() - sentAt <= MESSAGE_EDIT_WINDOW_MS;
+}
+
 export function ChatWindow() {
   const [, setLocation] = useLocation();
   const { user } = useAuth();
@@ -91,6 +118,8 @@ export function ChatWindow() {
     editMessage,
     replaceMessage,
     deleteMessage,
+    toggleReaction,
+    loadMessageContext,
     loadMessages,
     historyCursor,
     historyLoading,
@@ -102,8 +131,36 @@ export function ChatWindow() {
     sendRoomMessageViaWs,
     sendOrQueueMessage,
     markAsReadForConversation,
+    mentionCountsByChatId,
+    sendPoll,
+    votePoll,
+    markVoiceListened,
+    loadMessageRevisions,
+    loadMessageReceipts,
     requestRoomMembers,
     roomDeliveryByRoomMessageId,
+    threadUnreadByRootId,
+    loadThreadUnread,
+    forwardDraft,
+    startForward,
+    rolesByRoom,
+    pinsByChatId,
+    loadPins,
+    togglePin,
+    bookmarks,
+    toggleBookmark,
+    scheduledByChatId,
+    loadScheduled,
+    scheduleMessage,
+    updateScheduled,
+    cancelScheduled,
+    chatSettingsByChatId,
+    loadChatSettings,
+    setChatEphemeral,
+    mutedChats,
+    setChatMute,
+    messageRequests,
+    respondToMessageRequest,
   } = useChatStore();
   const { reducedMotion, enterToSend, messageGrouping } = useSettingsStore();
   const { toast } = useToast();
@@ -152,6 +209,21 @@ export function ChatWindow() {
   const [inputValue, setInputValue] = useState("");
   const [showGroupInfo, setShowGroupInfo] = useState(false);
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [showSchedulePicker, setShowSchedulePicker] = useState(false);
+  const [showPollComposer, setShowPollComposer] = useState(false);
+  const [uploadingFiles, setUploadingFiles] = useState(false);
+  const [recordingVoice, setRecordingVoice] = useState(false);
+  /** @-token being typed in a room composer ({ query, start }) and the highlighted suggestion. */
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  /** Message id whose reaction picker is open (null = closed). */
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  /** Message being replied to (shown above the composer; sent as replyToMessageId). */
+  const [replyingTo, setReplyingTo] = useState(null);
+  /** Room thread open in ThreadPanel (canonical roomMessageId of the root). */
+  const [activeThreadRootId, setActiveThreadRootId] = useState(null);
+  /** Forward multi-select: ids (roomMessageId for rooms) of selected messages; null = not selecting. */
+  const [selectedMessageIds, setSelectedMessageIds] = useState(null);
   const [editingMessageId, setEditingMessageId] = useState(null);
   const [editingContent, setEditingContent] = useState("");
   const [showReportModal, setShowReportModal] = useState(null);
@@ -159,10 +231,13 @@ export function ChatWindow() {
   const [reportReason, setReportReason] = useState("");
   const [reportDetails, setReportDetails] = useState("");
   const [reportSubmitting, setReportSubmitting] = useState(false);
+  const [showBlockUserModal, setShowBlockUserModal] = useState(false);
+  const [blockSubmitting, setBlockSubmitting] = useState(false);
   const [showScrollButton, setShowScrollButton] = useState(false);
   const [groupThumbnailError, setGroupThumbnailError] = useState(false);
   const scrollRef = useRef(null);
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
   const prevActiveGroupIdRef = useRef(activeGroupId);
 
   useEffect(() => {
@@ -192,6 +267,10 @@ export function ChatWindow() {
       setEditingMessageId(null);
       setEditingContent("");
       setShowEmojiPicker(false);
+      setReactionPickerFor(null);
+      setReplyingTo(null);
+      setActiveThreadRootId(null);
+      setSelectedMessageIds(null);
       setSimulatedTypingUser(null);
       sendTypingIndicator(conversationIdNormalized, false);
     }
@@ -202,6 +281,27 @@ export function ChatWindow() {
     if (rawRoomId) requestRoomMembers(rawRoomId);
   }, [rawRoomId, requestRoomMembers]);
 
+  // Seed per-thread unread badges for threads the user follows in this room
+  useEffect(() => {
+    if (rawRoomId) loadThreadUnread(`room:${rawRoomId}`);
+  }, [rawRoomId, loadThreadUnread]);
+
+  // Pinned banner: fetch pins for the open chat; CHAT_PINS_UPDATED keeps them current afterwards
+  useEffect(() => {
+    if (conversationIdNormalized) loadPins(conversationIdNormalized);
+  }, [conversationIdNormalized, loadPins]);
+
+  // Scheduled messages: own pending items for the open chat; SCHEDULED_MESSAGE_UPDATED keeps them current afterwards
+  useEffect(() => {
+    setShowSchedulePicker(false);
+    if (conversationIdNormalized) loadScheduled(conversationIdNormalized);
+  }, [conversationIdNormalized, loadScheduled]);
+
+  // Disappearing messages mode of the open chat; CHAT_SETTINGS_UPDATED keeps it current afterwards
+  useEffect(() => {
+    if (conversationIdNormalized) loadChatSettings(conversationIdNormalized);
+  }, [conversationIdNormalized, loadChatSettings]);
+
   // Rehydrate message history when opening any conversation (DM or room) if not yet loaded. Survives refresh/relogin.
   // For rooms: do not fetch history until room exists in roomsById (avoids "Room not found" right after create).
   useEffect(() => {
@@ -221,7 +321,9 @@ export function ChatWindow() {
     if (!scrollToMessageId || !conversationIdNormalized || !setScrollToMessageId) return;
     let highlightTimeout;
     const timer = setTimeout(() => {
-      const el = document.querySelector(`[data-message-id="${scrollToMessageId}"]`);
+      const el =
+        document.querySelector(`[data-message-id="${scrollToMessageId}"]`) ??
+        document.querySelector(`[data-room-message-id="${scrollToMessageId}"]`);
       if (el) {
         el.scrollIntoView({ behavior: "smooth", block: "center" });
         setHighlightedMessageId(scrollToMessageId);
@@ -263,6 +365,19 @@ export function ChatWindow() {
     markAsReadForConversation(conversationIdNormalized);
   }, [conversationIdNormalized, messages, markAsReadForConversation, user?.id]);
 
+  // Rooms: a visible room sends its read receipt (ROOM_READ) for new messages; with unread @mentions it also
+  // moves the room read cursor, which clears the "@" badge
+  const activeMentionCount = (conversationIdNormalized && mentionCountsByChatId?.[conversationIdNormalized]) || 0;
+  useEffect(() => {
+    if (!conversationIdNormalized?.startsWith("room:") || !messages?.length) return;
+    if (document.visibilityState !== "visible") return;
+    markAsReadForConversation(conversationIdNormalized);
+  }, [conversationIdNormalized, messages, activeMentionCount, markAsReadForConversation]);
+
+  useEffect(() => {
+    setMentionQuery(null);
+  }, [conversationIdNormalized]);
+
   useEffect(() => {
     const chatId = conversationIdNormalized;
     const lastMsg = messages?.length ? messages[messages.length - 1] : null;
@@ -330,6 +445,8 @@ export function ChatWindow() {
     if (connectionStatus === "connecting") return;
     setInputValue("");
     sendTypingIndicator(conversationIdNormalized, false);
+    const replyToMessageId = replyingTo ? getReplyTargetId(replyingTo) : null;
+    setReplyingTo(null);
     // PHASE 2: Generate clientMessageId for optimistic send reconciliation
     const clientId = `c_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
     const message = {
@@ -341,6 +458,12 @@ export function ChatWindow() {
       status: "sending",
       createdAt: new Date(),
       ...(isActiveRoom && rawRoomId ? { roomId: rawRoomId } : {}),
+      ...(replyToMessageId
+        ? {
+            replyToMessageId,
+            replyTo: { messageId: replyToMessageId, senderId: replyingTo.senderId, content: replyingTo.content, deleted: false },
+          }
+        : {}),
     };
     addMessage(conversationIdNormalized, message);
     if (conversationIdNormalized) updateLastActivity(conversationIdNormalized);
@@ -348,7 +471,7 @@ export function ChatWindow() {
     inputRef.current?.focus();
 
     if (isActiveRoom && rawRoomId) {
-      const handled = sendOrQueueMessage(conversationIdNormalized, text, clientId, { roomId: conversationIdNormalized });
+      const handled = sendOrQueueMessage(conversationIdNormalized, text, clientId, { roomId: conversationIdNormalized, replyToMessageId });
       if (!handled) {
         toast({ title: "Send failed", description: "WebSocket not ready or message too long", variant: "destructive" });
         replaceMessage(conversationIdNormalized, clientId, { status: "failed" });
@@ -356,7 +479,7 @@ export function ChatWindow() {
     } else if (conversationIdNormalized?.startsWith("direct:")) {
       const recipientId = getRecipientFromDirectChat(conversationIdNormalized);
       if (recipientId) {
-        const handled = sendOrQueueMessage(conversationIdNormalized, text, clientId, { recipientId });
+        const handled = sendOrQueueMessage(conversationIdNormalized, text, clientId, { recipientId, replyToMessageId });
         if (!handled) {
           toast({ title: "Send failed", description: "WebSocket not ready or message too long", variant: "destructive" });
           replaceMessage(conversationIdNormalized, clientId, { status: "failed" });
@@ -365,7 +488,192 @@ export function ChatWindow() {
     }
   };
 
+  /**
+   * Files: upload every picked file to the chat first, then send one file message referencing them.
+   * The draft becomes the caption; without one the file names are the content (and are not shown twice).
+   */
+  const handleAttachFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0 || !conversationIdNormalized || !user || uploadingFiles) return;
+    if (files.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      toast({ title: "Too many files", description: `Send at most ${MAX_ATTACHMENTS_PER_MESSAGE} files at once`, variant: "destructive" });
+      return;
+    }
+    const chatId = getServerConversationId(conversationIdNormalized, user.id);
+    const recipientId = isActiveRoom ? null : getRecipientFromDirectChat(conversationIdNormalized);
+    if (!isActiveRoom && !recipientId) return;
+    setUploadingFiles(true);
+    let attachments;
+    try {
+      attachments = [];
+      for (const file of files) attachments.push(await uploadAttachment(file, chatId));
+    } catch (err) {
+      toast({ title: err?.code === "QUOTA_EXCEEDED" ? "Storage full" : "Upload failed", description: err?.message || "Could not upload the file", variant: "destructive" });
+      return;
+    } finally {
+      setUploadingFiles(false);
+    }
+    const caption = inputValue.trim();
+    const content = (caption || attachments.map((a) => a.name).join(", ")).slice(0, MAX_CONTENT_LENGTH);
+    setInputValue("");
+    const replyToMessageId = replyingTo ? getReplyTargetId(replyingTo) : null;
+    setReplyingTo(null);
+    const clientId = `c_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    addMessage(conversationIdNormalized, {
+      id: clientId,
+      messageId: null,
+      clientMessageId: clientId,
+      senderId: user.id,
+      content,
+      contentType: "file",
+      attachments,
+      status: "sending",
+      createdAt: new Date(),
+      ...(isActiveRoom && rawRoomId ? { roomId: rawRoomId } : {}),
+      ...(replyToMessageId ? { replyToMessageId } : {}),
+    });
+    updateLastActivity(conversationIdNormalized);
+    requestAnimationFrame(() => { if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight; });
+    const handled = sendOrQueueMessage(conversationIdNormalized, content, clientId, {
+      ...(isActiveRoom && rawRoomId ? { roomId: conversationIdNormalized } : { recipientId }),
+      replyToMessageId,
+      attachmentIds: attachments.map((a) => a.attachmentId),
+    });
+    if (!handled) {
+      toast({ title: "Send failed", description: "WebSocket not ready", variant: "destructive" });
+      replaceMessage(conversationIdNormalized, clientId, { status: "failed" });
+    }
+  };
+
+  /** Voice notes: upload the recording (the server measures it), then send a voice message referencing it. */
+  const handleSendVoice = async (blob) => {
+    if (!conversationIdNormalized || !user) return;
+    const chatId = getServerConversationId(conversationIdNormalized, user.id);
+    const recipientId = isActiveRoom ? null : getRecipientFromDirectChat(conversationIdNormalized);
+    if (!isActiveRoom && !recipientId) return;
+    let attachment;
+    try {
+      attachment = await uploadVoiceNote(blob, chatId);
+    } catch (err) {
+      toast({ title: err?.code === "QUOTA_EXCEEDED" ? "Storage full" : "Voice message not sent", description: err?.message || "Could not upload the recording", variant: "destructive" });
+      return;
+    } finally {
+      setRecordingVoice(false);
+    }
+    const content = "Voice message";
+    const replyToMessageId = replyingTo ? getReplyTargetId(replyingTo) : null;
+    setReplyingTo(null);
+    const clientId = `c_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    addMessage(conversationIdNormalized, {
+      id: clientId,
+      messageId: null,
+      clientMessageId: clientId,
+      senderId: user.id,
+      content,
+      contentType: "voice",
+      attachments: [attachment],
+      listenedBy: [],
+      status: "sending",
+      createdAt: new Date(),
+      ...(isActiveRoom && rawRoomId ? { roomId: rawRoomId } : {}),
+      ...(replyToMessageId ? { replyToMessageId } : {}),
+    });
+    updateLastActivity(conversationIdNormalized);
+    requestAnimationFrame(() => { if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight; });
+    const handled = sendOrQueueMessage(conversationIdNormalized, content, clientId, {
+      ...(isActiveRoom && rawRoomId ? { roomId: conversationIdNormalized } : { recipientId }),
+      replyToMessageId,
+      attachmentIds: [attachment.attachmentId],
+      contentType: "voice",
+    });
+    if (!handled) {
+      toast({ title: "Send failed", description: "WebSocket not ready", variant: "destructive" });
+      replaceMessage(conversationIdNormalized, clientId, { status: "failed" });
+    }
+  };
+
+  /** Polls (rooms only): optimistic poll message, reconciled by ROOM_MESSAGE_RESPONSE like a text send. */
+  const handleCreatePoll = ({ question, poll }) => {
+    if (!isActiveRoom || !rawRoomId || !user) return;
+    setShowPollComposer(false);
+    const clientId = `c_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    addMessage(conversationIdNormalized, {
+      id: clientId,
+      messageId: null,
+      clientMessageId: clientId,
+      senderId: user.id,
+      content: question,
+      contentType: "poll",
+      poll: toOptimisticPoll(poll),
+      status: "sending",
+      createdAt: new Date(),
+      roomId: rawRoomId,
+    });
+    updateLastActivity(conversationIdNormalized);
+    requestAnimationFrame(() => { if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight; });
+    if (!sendPoll(rawRoomId, question, poll, clientId)) {
+      toast({ title: "Poll not sent", description: "WebSocket not ready. Reconnect and try again.", variant: "destructive" });
+      replaceMessage(conversationIdNormalized, clientId, { status: "failed" });
+    }
+  };
+
+  /** Send later: schedule the draft instead of sending it (no optimistic message; it appears when sent at sendAt). */
+  const handleSchedule = (sendAt) => {
+    const text = inputValue.trim();
+    if (!conversationIdNormalized || !text) return;
+    if (text.length > MAX_CONTENT_LENGTH) {
+      toast({ title: "Message too long", description: `Max ${MAX_CONTENT_LENGTH.toLocaleString()} characters`, variant: "destructive" });
+      return;
+    }
+    if (!scheduleMessage(conversationIdNormalized, text, sendAt)) return;
+    setShowSchedulePicker(false);
+    setInputValue("");
+    setReplyingTo(null);
+    sendTypingIndicator(conversationIdNormalized, false);
+    toast({ title: "Message scheduled", description: new Date(sendAt).toLocaleString() });
+  };
+
+  const mentionCandidates = isActiveRoom && mentionQuery
+    ? filterMentionCandidates(membersByRoomId?.[rawRoomId]?.members, usersById, mentionQuery.query, user?.id)
+    : [];
+
+  const applyMention = (member) => {
+    if (!mentionQuery || !member?.username) return;
+    const el = inputRef.current;
+    const caret = el?.selectionStart ?? inputValue.length;
+    const insert = `@${member.username} `;
+    const next = inputValue.slice(0, mentionQuery.start) + insert + inputValue.slice(caret);
+    const nextCaret = mentionQuery.start + insert.length;
+    setInputValue(next);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      el?.focus();
+      el?.setSelectionRange(nextCaret, nextCaret);
+    });
+  };
+
   const handleKeyDown = (e) => {
+    if (mentionCandidates.length > 0) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setMentionIndex((i) => (i + step + mentionCandidates.length) % mentionCandidates.length);
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        applyMention(mentionCandidates[Math.min(mentionIndex, mentionCandidates.length - 1)]);
+        return;
+      }
+      if (e.key === "Escape") {
+        setMentionQuery(null);
+        return;
+      }
+    }
+    if (e.key === "Escape" && replyingTo) {
+      setReplyingTo(null);
+      return;
+    }
     if (enterToSend && e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       handleSend();
@@ -374,6 +682,10 @@ export function ChatWindow() {
 
   const handleInput = (e) => {
     setInputValue(e.target.value);
+    if (isActiveRoom) {
+      setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart));
+      setMentionIndex(0);
+    }
     if (!conversationIdNormalized || (!conversationIdNormalized.startsWith("direct:") && !isActiveRoom)) return;
     if (typingDebounceRef.current) clearTimeout(typingDebounceRef.current);
     typingDebounceRef.current = setTimeout(() => {
@@ -418,6 +730,89 @@ export function ChatWindow() {
     deleteMessage(conversationIdNormalized, messageId);
   };
 
+  const handleStartReply = (msg) => {
+    if (!msg || msg.deleted) return;
+    setReplyingTo(msg);
+    inputRef.current?.focus();
+  };
+
+  const handleOpenThread = (msg) => {
+    const rootId = msg?.threadRootId ?? msg?.roomMessageId;
+    if (!rootId || (!msg.threadRootId && msg.deleted)) return;
+    setActiveThreadRootId(String(rootId));
+  };
+
+  const getForwardId = (msg) => {
+    if (!msg || msg.deleted || msg.status === "sending" || msg.status === "failed") return null;
+    const id = msg.roomMessageId ?? msg.messageId;
+    return id != null ? String(id) : null;
+  };
+
+  /** Enter forward selection with this message selected, or toggle it when already selecting. */
+  const handleToggleForwardSelect = (msg) => {
+    const id = getForwardId(msg);
+    if (!id) return;
+    setSelectedMessageIds((prev) => {
+      const list = prev ?? [];
+      return list.includes(id) ? list.filter((x) => x !== id) : [...list, id];
+    });
+  };
+
+  /** Hand the selection to the Sidebar target picker (forwardDraft); the selection bar closes. */
+  const handleForwardSelected = () => {
+    if (!selectedMessageIds?.length) return;
+    const selected = (messages || []).filter((m) => selectedMessageIds.includes(getForwardId(m)));
+    if (startForward(conversationIdNormalized, selected)) setSelectedMessageIds(null);
+  };
+
+  /** Jump to a replied-to message; loads a context window around it when it is older than loaded history. */
+  const handleJumpToMessage = async (targetId) => {
+    if (!targetId || !conversationIdNormalized) return;
+    const id = String(targetId);
+    const loaded = (messages || []).some((m) => String(m.messageId) === id || String(m.roomMessageId) === id || String(m.id) === id);
+    if (loaded) {
+      setScrollToMessageId(id);
+      return;
+    }
+    const anchorId = await loadMessageContext(conversationIdNormalized, id);
+    if (anchorId) {
+      setScrollToMessageId(anchorId);
+    } else {
+      toast({ title: "Message unavailable", description: "The original message could not be loaded." });
+    }
+  };
+
+  const chatPins = (conversationIdNormalized && pinsByChatId[conversationIdNormalized]) || [];
+  const pinnedIds = new Set(chatPins.map((p) => String(p.messageId)));
+  // DMs: both participants pin; rooms: PIN_MESSAGE is granted to owners and admins
+  const myRoomRole = rawRoomId ? String(rolesByRoom?.[rawRoomId] ?? "MEMBER").toUpperCase() : null;
+  const canPin = !!conversationIdNormalized && (!rawRoomId || myRoomRole === "OWNER" || myRoomRole === "ADMIN");
+  // Disappearing messages: either DM participant; rooms need MODIFY_ROOM (owners and admins)
+  const ephemeralMode = (conversationIdNormalized && chatSettingsByChatId[conversationIdNormalized]?.ephemeral) || "off";
+  const canChangeEphemeral = canPin;
+  const mute = conversationIdNormalized ? mutedChats?.[conversationIdNormalized] : null;
+
+  /** Id a pin refers to (rooms: canonical roomMessageId); null for unsent, deleted or thread-only messages. */
+  const getPinId = (msg) => {
+    if (!msg || msg.deleted || (msg.threadRootId && !msg.alsoSendToRoom)) return null;
+    const id = msg.roomMessageId ?? msg.messageId;
+    return id != null ? String(id) : null;
+  };
+
+  const bookmarkedIds = new Set((bookmarks || []).map((b) => String(b.messageId)));
+  /** Id a bookmark refers to (rooms: canonical roomMessageId); null for unsent or deleted messages. */
+  const getBookmarkId = (msg) => {
+    if (!msg || msg.deleted) return null;
+    const id = msg.roomMessageId ?? msg.messageId;
+    return id != null ? String(id) : null;
+  };
+
+  const handleToggleReaction = (msg, emoji) => {
+    if (!conversationIdNormalized || !msg || msg.deleted) return;
+    toggleReaction(conversationIdNormalized, msg, emoji);
+    setReactionPickerFor(null);
+  };
+
   const handleRetryFailedMessage = (msg) => {
     if (!conversationIdNormalized || !user || !msg?.content) return;
     // PHASE 2: Generate new clientMessageId for retry (new optimistic message)
@@ -432,11 +827,13 @@ export function ChatWindow() {
       status: "sending",
       createdAt: new Date(),
       ...(isActiveRoom && rawRoomId ? { roomId: rawRoomId } : {}),
+      ...(msg.replyToMessageId ? { replyToMessageId: msg.replyToMessageId, replyTo: msg.replyTo ?? null } : {}),
     };
     addMessage(conversationIdNormalized, newMsg);
     const roomId = isActiveRoom && rawRoomId ? conversationIdNormalized : null;
     const recipientId = conversationIdNormalized?.startsWith("direct:") ? getRecipientFromDirectChat(conversationIdNormalized) : null;
-    sendOrQueueMessage(conversationIdNormalized, msg.content, clientId, roomId != null ? { roomId } : { recipientId });
+    const replyToMessageId = msg.replyToMessageId ?? null;
+    sendOrQueueMessage(conversationIdNormalized, msg.content, clientId, roomId != null ? { roomId, replyToMessageId } : { recipientId, replyToMessageId });
   };
 
   const getStatusIcon = (status, isMe) => {
@@ -462,6 +859,8 @@ export function ChatWindow() {
   const dmOtherUserId = conversationIdNormalized?.startsWith("direct:") ? getRecipientFromDirectChat(conversationIdNormalized) : null;
   const dmHeaderUser = dmOtherUserId ? (usersById[dmOtherUserId] ?? null) : dmUser;
   const isDmChat = !!dmOtherUserId;
+  /** Message requests: incoming | outgoing while this DM is an unaccepted request. */
+  const messageRequestState = isDmChat ? (messageRequests?.[conversationIdNormalized] ?? null) : null;
 
   const msgList = Array.isArray(messages) ? messages : [];
 
@@ -545,6 +944,20 @@ export function ChatWindow() {
           </div>
         </div>
         <div className="flex items-center gap-1">
+          {showChatHeader && (
+            <DisappearingTimer
+              mode={ephemeralMode}
+              canChange={canChangeEphemeral}
+              onSelect={(mode) => setChatEphemeral(conversationIdNormalized, mode)}
+            />
+          )}
+          {showChatHeader && (
+            <MuteMenu
+              muted={mute != null}
+              mutedUntil={mute?.mutedUntil ?? null}
+              onSelect={(mode) => setChatMute(conversationIdNormalized, mode)}
+            />
+          )}
           {showChatHeader && isDmChat && user?.id !== activeDmUser && (
             <Tooltip>
               <TooltipTrigger asChild>
@@ -555,6 +968,16 @@ export function ChatWindow() {
               <TooltipContent><p>Report user</p></TooltipContent>
             </Tooltip>
           )}
+          {showChatHeader && isDmChat && user?.id !== activeDmUser && (
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button variant="ghost" size="icon" className="text-muted-foreground rounded-full" onClick={() => setShowBlockUserModal(true)} data-testid="button-block-user">
+                  <Ban className="w-5 h-5" />
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent><p>Block user</p></TooltipContent>
+            </Tooltip>
+          )}
           <Button
             variant="ghost"
             size="icon"
@@ -570,6 +993,17 @@ export function ChatWindow() {
         </div>
       </div>
 
+      {conversationIdNormalized && (
+        <PinnedBanner
+          pins={chatPins}
+          currentUserId={user?.id}
+          usersById={usersById}
+          onJump={handleJumpToMessage}
+          onUnpin={canPin ? (pin) => togglePin(pin, false) : undefined}
+          className="z-10"
+        />
+      )}
+
       <div ref={scrollRef} onScroll={handleScroll} className="chat-root-pad flex-1 min-h-0 overflow-y-auto custom-scrollbar z-0 relative">
         {!conversationIdNormalized ? (
           <div className="flex flex-col h-full items-center justify-center text-muted-foreground">
@@ -606,10 +1040,13 @@ export function ChatWindow() {
             const senderUser = msg.senderId ? usersById[msg.senderId] : undefined;
 
             const msgId = msg.messageId ?? msg.id ?? msg.roomMessageId;
-            const isHighlighted = highlightedMessageId && String(highlightedMessageId) === String(msgId);
+            const isHighlighted = highlightedMessageId && (String(highlightedMessageId) === String(msgId) || (msg.roomMessageId != null && String(highlightedMessageId) === String(msg.roomMessageId)));
             const isRoomMsg = msg.roomId != null || msg.roomMessageId != null;
             const roomMsgId = msg.roomMessageId ?? msg.id;
             const delivery = roomDeliveryByRoomMessageId?.[String(roomMsgId)];
+            const forwardId = getForwardId(msg);
+            const isSelecting = selectedMessageIds != null;
+            const isSelected = isSelecting && forwardId != null && selectedMessageIds.includes(forwardId);
             const displayStatus = isMe && isRoomMsg && delivery && delivery.totalCount > 0 && delivery.deliveredCount === delivery.totalCount
               ? "delivered"
               : msg.status;
@@ -624,7 +1061,16 @@ export function ChatWindow() {
                       : `msg-${index}`
                 }
                 data-message-id={msgId ?? undefined}
-                className={cn("flex flex-col", grouped ? "mt-0.5" : "mt-3", isHighlighted && "rounded-lg ring-2 ring-primary/50 bg-primary/5 transition-colors")}
+                data-room-message-id={msg.roomMessageId ?? undefined}
+                className={cn(
+                  "flex flex-col",
+                  grouped ? "mt-0.5" : "mt-3",
+                  isHighlighted && "rounded-lg ring-2 ring-primary/50 bg-primary/5 transition-colors",
+                  isSelecting && forwardId && "cursor-pointer",
+                  isSelected && "rounded-lg bg-primary/10"
+                )}
+                onClick={isSelecting ? () => handleToggleForwardSelect(msg) : undefined}
+                data-testid={isSelecting && forwardId ? `select-msg-${msg.id}` : undefined}
               >
                 {daySeparator && (
                   <div className="flex justify-center my-6">
@@ -634,6 +1080,15 @@ export function ChatWindow() {
                   </div>
                 )}
                 <div className={cn("flex w-full max-w-3xl", isMe ? "ml-auto justify-end" : "justify-start")}>
+                  {isSelecting && (
+                    <div className="w-6 mr-1 flex-shrink-0 flex items-center">
+                      {forwardId && (
+                        <span className={cn("h-4 w-4 rounded border flex items-center justify-center", isSelected ? "bg-primary border-primary text-primary-foreground" : "border-muted-foreground/50")}>
+                          {isSelected && <Check className="w-3 h-3" />}
+                        </span>
+                      )}
+                    </div>
+                  )}
                   {!isMe && (
                     <div className="w-8 mr-2 flex-shrink-0 flex flex-col justify-end">
                       {showAvatar ? (
@@ -659,6 +1114,13 @@ export function ChatWindow() {
                         </span>
                       </p>
                     )}
+                    {msg.forwardedFrom && !msg.deleted && (
+                      <p className="flex items-center gap-1 text-[10px] italic text-muted-foreground px-2 pt-1" data-testid={`text-forwarded-${msg.id}`}>
+                        <Forward className="w-3 h-3" />
+                        Forwarded from {String(msg.forwardedFrom.senderId) === String(user?.id) ? "you" : resolveUserPrimary(usersById[msg.forwardedFrom.senderId])}
+                        {msg.forwardedFrom.timestamp != null && <span>· {formatTimestamp(msg.forwardedFrom.timestamp)}</span>}
+                      </p>
+                    )}
                     {editingMessageId === msg.id && !msg.deleted ? (
                       <div className="space-y-2 p-2">
                         <textarea
@@ -675,13 +1137,66 @@ export function ChatWindow() {
                       </div>
                     ) : msg.deleted === true ? (
                       <p className="whitespace-pre-wrap leading-relaxed break-words italic text-muted-foreground p-2">This message was deleted</p>
+                    ) : msg.contentType === "poll" && msg.poll ? (
+                      <PollCard
+                        className="p-2"
+                        question={msg.content}
+                        poll={msg.poll}
+                        usersById={usersById}
+                        onVote={msg.roomMessageId && msg.status !== "sending" && msg.status !== "failed" ? (optionIds) => votePoll(msg.roomMessageId, optionIds) : undefined}
+                      />
+                    ) : msg.contentType === "file" && msg.attachments?.length > 0 ? (
+                      <div className="p-2 pb-0 space-y-1.5">
+                        {msg.replyTo && (
+                          <ReplyQuote
+                            replyTo={msg.replyTo}
+                            currentUserId={user?.id}
+                            usersById={usersById}
+                            onClick={msg.replyTo.deleted ? undefined : () => handleJumpToMessage(msg.replyToMessageId ?? msg.replyTo.messageId)}
+                          />
+                        )}
+                        <FileCard attachments={msg.attachments} isMe={isMe} />
+                        {getFileCaption(msg) && <p className="whitespace-pre-wrap leading-relaxed break-words">{getFileCaption(msg)}</p>}
+                      </div>
+                    ) : msg.contentType === "voice" && msg.attachments?.length > 0 ? (
+                      <div className="p-2 pb-0 space-y-1.5">
+                        {msg.replyTo && (
+                          <ReplyQuote
+                            replyTo={msg.replyTo}
+                            currentUserId={user?.id}
+                            usersById={usersById}
+                            onClick={msg.replyTo.deleted ? undefined : () => handleJumpToMessage(msg.replyToMessageId ?? msg.replyTo.messageId)}
+                          />
+                        )}
+                        <VoiceNotePlayer
+                          attachment={msg.attachments[0]}
+                          isMe={isMe}
+                          unplayed={!isMe && !(msg.listenedBy || []).some((l) => String(l.userId) === String(user?.id))}
+                          listenedLabel={isMe && msg.listenedBy?.length > 0 ? (isActiveRoom ? `Listened by ${msg.listenedBy.length}` : "Listened") : null}
+                          onFirstPlay={isMe ? undefined : () => markVoiceListened(msg.roomMessageId ?? msg.messageId)}
+                        />
+                      </div>
+                    ) : msg.replyTo ? (
+                      <div className="p-2 pb-0 space-y-1">
+                        <ReplyQuote
+                          replyTo={msg.replyTo}
+                          currentUserId={user?.id}
+                          usersById={usersById}
+                          onClick={msg.replyTo.deleted ? undefined : () => handleJumpToMessage(msg.replyToMessageId ?? msg.replyTo.messageId)}
+                        />
+                        <p className="whitespace-pre-wrap leading-relaxed break-words">{msg.content}</p>
+                      </div>
                     ) : (
                       <p className="whitespace-pre-wrap leading-relaxed break-words p-2">{msg.content}</p>
                     )}
                     <div className={cn("text-[10px] mt-1 flex items-center gap-1 opacity-60 select-none px-2 pb-1", isMe ? "justify-end" : "justify-start")}>
                       {formatTimestamp(msg.timestamp || msg.createdAt)}
                       {msg.editedAt && !msg.deleted && (
-                        <span className="ml-1 text-muted-foreground italic" title={msg.editedAt ? new Date(msg.editedAt).toLocaleString() : ""}>edited</span>
+                        <EditedLabel
+                          editedAt={msg.editedAt}
+                          align={isMe ? "right" : "left"}
+                          onLoadRevisions={() => loadMessageRevisions(conversationIdNormalized, msg)}
+                        />
                       )}
                       {isMe && <span className="ml-1">{getStatusIcon(displayStatus, isMe)}</span>}
                       {isMe && isDmChat && (msg.status !== "delivered" && msg.status !== "read") && (() => {
@@ -699,22 +1214,105 @@ export function ChatWindow() {
                         </button>
                       )}
                     </div>
-                    <div className="absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                    {isMe && isRoomMsg && !msg.deleted && (
+                      <SeenByLabel
+                        delivery={delivery}
+                        usersById={usersById}
+                        onLoadReceipts={() => loadMessageReceipts(conversationIdNormalized, msg)}
+                      />
+                    )}
+                    {isRoomMsg && msg.threadRootId && msg.alsoSendToRoom && (
+                      <button
+                        type="button"
+                        className={cn("block text-[10px] text-muted-foreground hover:underline px-2 pb-1", isMe ? "ml-auto" : "")}
+                        onClick={() => handleOpenThread(msg)}
+                        data-testid={`button-thread-origin-${msg.id}`}
+                      >
+                        Replied to a thread
+                      </button>
+                    )}
+                    {isRoomMsg && !msg.threadRootId && msg.thread?.replyCount > 0 && (
+                      <button
+                        type="button"
+                        className={cn("flex items-center gap-1 text-[11px] font-medium text-primary hover:underline px-2 pb-1", isMe ? "ml-auto" : "")}
+                        onClick={() => handleOpenThread(msg)}
+                        data-testid={`button-thread-summary-${msg.id}`}
+                      >
+                        <MessagesSquare className="w-3 h-3" />
+                        {msg.thread.replyCount === 1 ? "1 reply" : `${msg.thread.replyCount} replies`}
+                        {msg.thread.lastReplyAt != null && (
+                          <span className="font-normal text-muted-foreground">· last reply {formatTimestamp(msg.thread.lastReplyAt)}</span>
+                        )}
+                        {threadUnreadByRootId?.[String(roomMsgId)] > 0 && (
+                          <span className="ml-1 rounded-full bg-primary px-1.5 text-[10px] text-primary-foreground" data-testid={`badge-thread-unread-${msg.id}`}>
+                            {threadUnreadByRootId[String(roomMsgId)]}
+                          </span>
+                        )}
+                      </button>
+                    )}
+                    {!msg.deleted && (
+                      <MessageReactions
+                        reactions={msg.reactions}
+                        currentUserId={user?.id}
+                        usersById={usersById}
+                        onToggle={(emoji) => handleToggleReaction(msg, emoji)}
+                        align={isMe ? "end" : "start"}
+                        disabled={!msg.messageId && !msg.roomMessageId}
+                      />
+                    )}
+                    {reactionPickerFor != null && String(reactionPickerFor) === String(msgId) && (
+                      <div className={cn("absolute top-full mt-1 z-50", isMe ? "right-0" : "left-0")}>
+                        <EmojiPicker onSelect={(emoji) => handleToggleReaction(msg, emoji)} onClose={() => setReactionPickerFor(null)} />
+                      </div>
+                    )}
+                    <div className={cn("absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity", isSelecting && "hidden")}>
                       <div className="relative group/menu">
                         <Button variant="ghost" size="icon" className="h-6 w-6 rounded-full bg-background/50">
                           <MoreVertical className="w-3 h-3" />
                         </Button>
                         <div className="absolute right-0 top-full hidden group-hover/menu:block bg-card border border-border shadow-lg rounded-lg z-50 min-w-[100px] overflow-hidden">
+                          {!msg.deleted && (msg.messageId || msg.roomMessageId) && (
+                            <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => handleStartReply(msg)} data-testid={`button-reply-msg-${msg.id}`}>
+                              <Reply className="w-3 h-3" /> Reply
+                            </button>
+                          )}
+                          {!msg.deleted && isRoomMsg && msg.roomMessageId && !msg.threadRootId && (
+                            <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => handleOpenThread(msg)} data-testid={`button-thread-msg-${msg.id}`}>
+                              <MessagesSquare className="w-3 h-3" /> Reply in thread
+                            </button>
+                          )}
+                          {!msg.deleted && (msg.messageId || msg.roomMessageId) && (
+                            <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => setReactionPickerFor(msgId)} data-testid={`button-react-msg-${msg.id}`}>
+                              <Smile className="w-3 h-3" /> React
+                            </button>
+                          )}
+                          {canPin && getPinId(msg) && (
+                            <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => togglePin(msg, !pinnedIds.has(getPinId(msg)))} data-testid={`button-pin-msg-${msg.id}`}>
+                              {pinnedIds.has(getPinId(msg)) ? <><PinOff className="w-3 h-3" /> Unpin</> : <><Pin className="w-3 h-3" /> Pin</>}
+                            </button>
+                          )}
+                          {getBookmarkId(msg) && (
+                            <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => toggleBookmark(msg, !bookmarkedIds.has(getBookmarkId(msg)))} data-testid={`button-star-msg-${msg.id}`}>
+                              {bookmarkedIds.has(getBookmarkId(msg)) ? <><StarOff className="w-3 h-3" /> Unstar</> : <><Star className="w-3 h-3" /> Star</>}
+                            </button>
+                          )}
+                          {forwardId && !forwardDraft && (
+                            <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => handleToggleForwardSelect(msg)} data-testid={`button-forward-msg-${msg.id}`}>
+                              <Forward className="w-3 h-3" /> Forward
+                            </button>
+                          )}
                           {isMe && !msg.deleted && (
                             <>
-                              {msg.status === "failed" && (
+                              {msg.status === "failed" && msg.contentType !== "poll" && (
                                 <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => handleRetryFailedMessage(msg)} data-testid={`button-retry-msg-${msg.id}`}>
                                   <SendHorizontal className="w-3 h-3" /> Retry
                                 </button>
                               )}
-                              <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => handleStartEdit(msg.id, msg.content)} data-testid={`button-edit-msg-${msg.id}`}>
-                                <Edit2 className="w-3 h-3" /> Edit
-                              </button>
+                              {msg.contentType !== "poll" && isWithinEditWindow(msg) && (
+                                <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent flex items-center gap-2" onClick={() => handleStartEdit(msg.id, msg.content)} data-testid={`button-edit-msg-${msg.id}`}>
+                                  <Edit2 className="w-3 h-3" /> Edit
+                                </button>
+                              )}
                               <button className="w-full px-3 py-1.5 text-left text-[11px] hover:bg-accent text-destructive flex items-center gap-2" onClick={() => handleDeleteMessage(msg.id)} data-testid={`button-delete-msg-${msg.id}`}>
                                 <Trash2 className="w-3 h-3" /> Delete
                               </button>
@@ -753,9 +1351,109 @@ export function ChatWindow() {
         {connectionStatus === "connecting" && (
           <p className="text-xs text-muted-foreground text-center mb-1" data-testid="text-connecting">Connecting…</p>
         )}
+        {messageRequestState === "incoming" && (
+          <div className="max-w-4xl mx-auto mb-2 space-y-2 rounded-lg bg-muted/60 px-3 py-2 text-sm" data-testid="message-request-bar">
+            <p>
+              <span className="font-medium">{headerTitle}</span> wants to message you. They won't see that you read their
+              messages unless you accept or reply.
+            </p>
+            <div className="flex justify-end gap-2">
+              <Button variant="ghost" size="sm" className="text-destructive" onClick={() => respondToMessageRequest(conversationIdNormalized, "decline", { block: true })} data-testid="button-request-decline-block">
+                Decline &amp; block
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => respondToMessageRequest(conversationIdNormalized, "decline")} data-testid="button-request-decline">
+                Decline
+              </Button>
+              <Button size="sm" onClick={() => respondToMessageRequest(conversationIdNormalized, "accept")} data-testid="button-request-accept">
+                Accept
+              </Button>
+            </div>
+          </div>
+        )}
+        {messageRequestState === "outgoing" && (
+          <p className="text-xs text-muted-foreground text-center mb-1" data-testid="text-request-sent">
+            Message request sent. You'll see delivery and read status once they accept.
+          </p>
+        )}
+        {selectedMessageIds != null && (
+          <div className="max-w-4xl mx-auto mb-2 flex items-center justify-between gap-2 rounded-lg bg-muted/60 px-3 py-2 text-sm" data-testid="forward-selection-bar">
+            <span>{selectedMessageIds.length === 1 ? "1 selected" : `${selectedMessageIds.length} selected`}</span>
+            <div className="flex items-center gap-2">
+              <Button variant="ghost" size="sm" onClick={() => setSelectedMessageIds(null)} data-testid="button-cancel-selection">Cancel</Button>
+              <Button size="sm" onClick={handleForwardSelected} disabled={selectedMessageIds.length === 0} data-testid="button-forward-selected">
+                <Forward className="w-4 h-4 mr-1" /> Forward
+              </Button>
+            </div>
+          </div>
+        )}
+        <ScheduledMessages
+          className="max-w-4xl mx-auto mb-2"
+          items={(conversationIdNormalized && scheduledByChatId[conversationIdNormalized]) || []}
+          onUpdate={updateScheduled}
+          onCancel={cancelScheduled}
+        />
+        {replyingTo && (
+          <div className="max-w-4xl mx-auto mb-2">
+            <ReplyQuote
+              replyTo={{ messageId: getReplyTargetId(replyingTo), senderId: replyingTo.senderId, content: replyingTo.content, deleted: false }}
+              currentUserId={user?.id}
+              usersById={usersById}
+              onCancel={() => setReplyingTo(null)}
+            />
+          </div>
+        )}
         <div className="max-w-4xl mx-auto flex items-end gap-2">
           <div className="relative flex-1 flex items-end gap-1">
-            <Button variant="ghost" size="icon" className="flex-shrink-0 rounded-full h-9 w-9 text-muted-foreground" disabled><Paperclip className="w-4 h-4" /></Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              className="hidden"
+              onChange={(e) => { handleAttachFiles(e.target.files); e.target.value = ""; }}
+              data-testid="input-attach-file"
+            />
+            <Button
+              variant="ghost"
+              size="icon"
+              className="flex-shrink-0 rounded-full h-9 w-9 text-muted-foreground"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={!conversationIdNormalized || !user || connectionStatus === "connecting" || uploadingFiles}
+              title="Attach files"
+              data-testid="button-attach-file"
+            >
+              {uploadingFiles ? <Loader2 className="w-4 h-4 animate-spin" /> : <Paperclip className="w-4 h-4" />}
+            </Button>
+            <VoiceRecordButton
+              onClick={() => setRecordingVoice(true)}
+              disabled={!conversationIdNormalized || !user || connectionStatus === "connecting" || recordingVoice}
+            />
+            {recordingVoice && (
+              <VoiceRecorder
+                className="absolute inset-0 z-10 bg-background"
+                onSend={handleSendVoice}
+                onCancel={() => setRecordingVoice(false)}
+                onError={(message) => toast({ title: "Recording failed", description: message, variant: "destructive" })}
+              />
+            )}
+            {isActiveRoom && (
+              <div className="relative flex-shrink-0">
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="rounded-full h-9 w-9 text-muted-foreground"
+                  onClick={() => setShowPollComposer((v) => !v)}
+                  title="Create poll"
+                  data-testid="button-create-poll"
+                >
+                  <BarChart3 className="w-4 h-4" />
+                </Button>
+                {showPollComposer && (
+                  <div className="absolute bottom-full left-0 mb-1 z-20">
+                    <PollComposer onSubmit={handleCreatePoll} onClose={() => setShowPollComposer(false)} />
+                  </div>
+                )}
+              </div>
+            )}
             <div className="relative flex-1 min-w-0">
               <textarea
                 ref={inputRef}
@@ -768,6 +1466,7 @@ export function ChatWindow() {
                 className="w-full min-h-[40px] max-h-[120px] resize-none rounded-xl border border-border bg-muted/50 px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20 placeholder:text-muted-foreground disabled:opacity-60 disabled:cursor-not-allowed"
                 data-testid="input-message"
               />
+              <MentionSuggestions candidates={mentionCandidates} activeIndex={mentionIndex} onSelect={applyMention} />
               <div className="absolute bottom-2 right-2">
                 <Button variant="ghost" size="icon" className="h-8 w-8 rounded-full text-muted-foreground" onClick={() => setShowEmojiPicker((v) => !v)} disabled={!conversationIdNormalized} data-testid="button-emoji-picker">
                   <Smile className="w-4 h-4" />
@@ -780,6 +1479,24 @@ export function ChatWindow() {
               </div>
             </div>
           </div>
+          <div className="relative flex-shrink-0">
+            <Button
+              variant="ghost"
+              size="icon"
+              className="rounded-full h-10 w-10 text-muted-foreground"
+              onClick={() => setShowSchedulePicker((v) => !v)}
+              disabled={isSendDisabled || !inputValue.trim()}
+              title="Send later"
+              data-testid="button-schedule"
+            >
+              <Clock className="w-4 h-4" />
+            </Button>
+            {showSchedulePicker && (
+              <div className="absolute bottom-full right-0 mb-1 z-20">
+                <SchedulePicker onConfirm={handleSchedule} onClose={() => setShowSchedulePicker(false)} disabled={!inputValue.trim()} />
+              </div>
+            )}
+          </div>
           <Tooltip>
             <TooltipTrigger asChild>
               <span className="inline-flex">
@@ -796,9 +1513,21 @@ export function ChatWindow() {
       </div>
 
       {showGroupInfo && conversationIdNormalized?.startsWith("room:") && activeGroupId != null && (
-        <GroupInfoPanel groupId={isActiveRoom ? rawRoomId : activeGroupId} open={showGroupInfo} onClose={() => setShowGroupInfo(false)} />
+        <GroupInfoPanel
+          groupId={isActiveRoom ? rawRoomId : activeGroupId}
+          open={showGroupInfo}
+          onClose={() => setShowGroupInfo(false)}
+          onJumpToMessage={(id) => { setShowGroupInfo(false); handleJumpToMessage(id); }}
+        />
       )}
 
+      <ThreadPanel
+        conversationId={conversationIdNormalized}
+        threadRootId={activeThreadRootId}
+        open={!!activeThreadRootId && !!rawRoomId}
+        onClose={() => setActiveThreadRootId(null)}
+      />
+
       {showReportModal && (
         <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm" onClick={() => !reportSubmitting && setShowReportModal(null)}>
           <div className={cn("bg-card w-full max-w-sm rounded-2xl shadow-2xl p-6")} onClick={(e) => e.stopPropagation()}>
@@ -920,6 +1649,40 @@ export function ChatWindow() {
           </div>
         </div>
       )}
+
+      {showBlockUserModal && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm" onClick={() => !blockSubmitting && setShowBlockUserModal(false)}>
+          <div className={cn("bg-card w-full max-w-sm rounded-2xl shadow-2xl p-6")} onClick={(e) => e.stopPropagation()}>
+            <h3 className="font-bold text-lg mb-1">Block {chatTitle}?</h3>
+            <p className="text-sm text-muted-foreground mb-4">
+              Neither of you can send direct messages to the other, and you won't see each other typing or online. They are not told. You can unblock them in Settings → Blocked users.
+            </p>
+            <div className="flex justify-end gap-3">
+              <Button variant="ghost" onClick={() => setShowBlockUserModal(false)} disabled={blockSubmitting}>Cancel</Button>
+              <Button
+                variant="destructive"
+                disabled={blockSubmitting || !activeDmUser}
+                onClick={async () => {
+                  if (blockSubmitting || !activeDmUser) return;
+                  setBlockSubmitting(true);
+                  try {
+                    await blockUser(activeDmUser);
+                    toast({ title: "User blocked", description: "Manage blocked users in Settings." });
+                    setShowBlockUserModal(false);
+                  } catch (e) {
+                    toast({ title: "Block failed", description: e?.message ?? "Try again", variant: "destructive" });
+                  } finally {
+                    setBlockSubmitting(false);
+                  }
+                }}
+                data-testid="button-confirm-block-user"
+              >
+                {blockSubmitting ? "Blocking…" : "Block"}
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -24,18 +24,28 @@ import {
 import { useToast } from "@/hooks/useToast";
 import { Button } from "@/components/ui/button";
 import { Avatar, AvatarFallback } from "@/components/ui/avatar";
-import { Search, X, Shield, ShieldOff, UserMinus, Crown, LogOut, UserPlus, Trash2 } from "lucide-react";
+import { Search, X, Shield, ShieldOff, UserMinus, Crown, LogOut, UserPlus, Trash2, Link2, Check } from "lucide-react";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { cn } from "../utils/utils";
+import { PinnedBanner } from "../components/PinnedBanner";
+import { InviteLinks } from "../components/InviteLinks";
 
 const BACKEND_ROLES = { OWNER: "OWNER", ADMIN: "ADMIN", MEMBER: "MEMBER" };
 
+/** Room visibility choices (ROOM_UPDATE_META patch.visibility). */
+const VISIBILITY_OPTIONS = [
+  { value: "private", label: "Private", hint: "Only people added or invited can join." },
+  { value: "unlisted", label: "Unlisted", hint: "Anyone with the group id can join; not listed." },
+  { value: "public", label: "Public", hint: "Listed in Browse groups and search; anyone can join." },
+  { value: "knock", label: "Ask to join", hint: "Anyone with the group id can ask to join; admins approve each request." },
+];
+
 function isForbidden(err) {
   const code = err?.code ?? err?.status;
   return code === "FORBIDDEN" || code === 403 || String(code).toUpperCase() === "FORBIDDEN";
 }
 
-export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }) {
+export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose, onJumpToMessage }) {
   const { user } = useAuth();
   const { reducedMotion } = useSettingsStore();
   const {
@@ -44,13 +54,23 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
     presenceUsers,
     users,
     usersById,
+    pinsByChatId,
+    loadPins,
+    togglePin,
+    roomsById,
+    joinRequestsByRoomId,
+    loadJoinRequests,
+    reviewJoinRequest,
   } = useChatStore();
   const { toast } = useToast();
 
   const roomIdRaw = toRawRoomId(roomId ?? activeGroupId ?? groupId);
+  const room = roomIdRaw ? roomsById?.[roomIdRaw] : null;
+  const visibility = room?.visibility ?? "unlisted";
 
   const [membersData, setMembersData] = useState({ members: [], roles: {} });
   const [groupName, setGroupName] = useState("");
+  const [topic, setTopic] = useState("");
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
@@ -59,7 +79,11 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [addMemberOpen, setAddMemberOpen] = useState(false);
   const [addMemberSelected, setAddMemberSelected] = useState([]);
+  const [invitesOpen, setInvitesOpen] = useState(false);
   const [actioning, setActioning] = useState(false);
+  /** Join request being denied (reason input shown) */
+  const [denyingUserId, setDenyingUserId] = useState(null);
+  const [denyReason, setDenyReason] = useState("");
 
   const currentUserId = user?.id ? String(user.id) : "";
 
@@ -94,8 +118,13 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
 
   useEffect(() => {
     if (!open || !roomIdRaw) return;
+    loadPins(`room:${roomIdRaw}`);
     refetch();
-  }, [open, roomIdRaw, refetch]);
+  }, [open, roomIdRaw, refetch, loadPins]);
+
+  useEffect(() => {
+    if (open) setTopic(room?.topic ?? "");
+  }, [open, room?.topic]);
 
   useEffect(() => {
     if (!open) return;
@@ -105,6 +134,7 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
         setConfirmLeave(false);
         setConfirmDelete(false);
         setAddMemberOpen(false);
+        setInvitesOpen(false);
         onClose();
       }
     };
@@ -116,6 +146,11 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
   const isOwner = myRole === BACKEND_ROLES.OWNER;
   const canManageMembers = myRole === BACKEND_ROLES.OWNER || myRole === BACKEND_ROLES.ADMIN;
   const canDelete = isOwner;
+  const joinRequests = (roomIdRaw && joinRequestsByRoomId?.[roomIdRaw]) || [];
+
+  useEffect(() => {
+    if (open && roomIdRaw && canManageMembers) loadJoinRequests(roomIdRaw);
+  }, [open, roomIdRaw, canManageMembers, loadJoinRequests]);
 
   const membersForDisplay = useMemo(() => {
     const uById = usersById ?? {};
@@ -151,8 +186,8 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
     if (!groupName.trim() || !roomIdRaw) return;
     setSaving(true);
     try {
-      await updateGroupMeta(roomIdRaw, { name: groupName.trim() });
-      toast({ title: "Group updated", description: "Name saved." });
+      await updateGroupMeta(roomIdRaw, { name: groupName.trim(), ...(canManageMembers ? { topic: topic.trim() || null } : {}) });
+      toast({ title: "Group updated", description: canManageMembers ? "Name and topic saved." : "Name saved." });
       const info = await getGroupInfo(roomIdRaw).catch(() => null);
       if (info?.meta?.name != null) setGroupName(info.meta.name);
     } catch (e) {
@@ -166,6 +201,47 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
     }
   };
 
+  const handleChangeVisibility = async (next) => {
+    if (!roomIdRaw || next === visibility) return;
+    setSaving(true);
+    try {
+      await updateGroupMeta(roomIdRaw, { visibility: next });
+      toast({ title: "Group updated", description: VISIBILITY_OPTIONS.find((o) => o.value === next)?.hint });
+    } catch (e) {
+      if (isForbidden(e)) {
+        toast({ title: "Not allowed", description: "You cannot edit this group.", variant: "destructive" });
+      } else {
+        toast({ title: "Update failed", description: e?.message ?? "Could not save.", variant: "destructive" });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReviewRequest = async (requesterId, action) => {
+    if (!roomIdRaw || !requesterId) return;
+    setActioning(true);
+    try {
+      await reviewJoinRequest(roomIdRaw, requesterId, action, action === "deny" ? denyReason : undefined);
+      setDenyingUserId(null);
+      setDenyReason("");
+      if (action === "approve") {
+        toast({ title: "Request approved", description: "User added to group." });
+        await refetch();
+      } else {
+        toast({ title: "Request declined" });
+      }
+    } catch (e) {
+      if (isForbidden(e)) {
+        toast({ title: "Not allowed", description: "You cannot review join requests.", variant: "destructive" });
+      } else {
+        toast({ title: "Failed", description: e?.message ?? "Could not review the request.", variant: "destructive" });
+      }
+    } finally {
+      setActioning(false);
+    }
+  };
+
   const handleChangeRole = async (memberId, isAdmin) => {
     if (!roomIdRaw || !memberId) return;
     setActioning(true);
@@ -314,6 +390,43 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
             </Button>
           </div>
 
+          {canManageMembers ? (
+            <div className="space-y-2">
+              <input
+                className="w-full px-3 py-2 bg-muted/50 rounded-lg text-sm border border-border"
+                placeholder="Topic (shown in Browse groups)"
+                maxLength={500}
+                value={topic}
+                onChange={(e) => setTopic(e.target.value)}
+                data-testid="input-group-topic"
+              />
+              <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                <span>Visibility</span>
+                <select
+                  className="flex-1 px-2 py-1.5 bg-muted/50 rounded-lg text-sm text-foreground border border-border"
+                  value={visibility}
+                  onChange={(e) => handleChangeVisibility(e.target.value)}
+                  disabled={saving}
+                  data-testid="select-group-visibility"
+                >
+                  {VISIBILITY_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+              </label>
+              <p className="text-[11px] text-muted-foreground">{VISIBILITY_OPTIONS.find((o) => o.value === visibility)?.hint}</p>
+            </div>
+          ) : (
+            room?.topic && <p className="text-sm text-muted-foreground">{room.topic}</p>
+          )}
+
+          <PinnedBanner
+            pins={roomIdRaw ? pinsByChatId[`room:${roomIdRaw}`] : null}
+            currentUserId={currentUserId}
+            usersById={usersById}
+            onJump={onJumpToMessage}
+            onUnpin={canManageMembers ? (pin) => togglePin(pin, false) : undefined}
+            className="rounded-lg border"
+          />
+
           <div className="relative">
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
             <input
@@ -335,6 +448,87 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
               >
                 <UserPlus className="w-4 h-4" /> Add member
               </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="w-full gap-2 mt-2"
+                onClick={() => setInvitesOpen(true)}
+                data-testid="button-invite-links"
+              >
+                <Link2 className="w-4 h-4" /> Invite links
+              </Button>
+            </div>
+          )}
+
+          {canManageMembers && (visibility === "knock" || joinRequests.length > 0) && (
+            <div data-testid="section-join-requests">
+              <h4 className="text-xs font-bold uppercase tracking-wider text-muted-foreground mb-2">
+                JOIN REQUESTS ({joinRequests.length})
+              </h4>
+              {joinRequests.length === 0 && <p className="text-xs text-muted-foreground px-2">No pending requests.</p>}
+              <div className="space-y-1">
+                {joinRequests.map((request) => {
+                  const requesterId = String(request.userId);
+                  const u = usersById?.[requesterId];
+                  const displayName = u?.displayName ?? u?.username ?? requesterId.slice(0, 8);
+                  return (
+                    <div key={requesterId} className="p-2 rounded-lg hover:bg-muted/30 transition-colors" data-testid={`row-join-request-${requesterId}`}>
+                      <div className="flex items-center gap-3">
+                        <Avatar className="h-9 w-9">
+                          <AvatarFallback>{displayName.slice(0, 2).toUpperCase()}</AvatarFallback>
+                        </Avatar>
+                        <div className="flex-1 min-w-0">
+                          <span className="text-sm font-medium truncate block">{displayName}</span>
+                          {request.message && <p className="text-xs text-muted-foreground break-words">{request.message}</p>}
+                        </div>
+                        <div className="flex items-center gap-1 shrink-0">
+                          <Button
+                            variant="secondary"
+                            size="icon"
+                            className="h-7 w-7"
+                            title="Approve"
+                            onClick={() => handleReviewRequest(requesterId, "approve")}
+                            disabled={actioning}
+                            data-testid={`button-approve-request-${requesterId}`}
+                          >
+                            <Check className="w-3.5 h-3.5" />
+                          </Button>
+                          <Button
+                            variant="secondary"
+                            size="icon"
+                            className="h-7 w-7 text-destructive hover:text-destructive"
+                            title="Deny"
+                            onClick={() => {
+                              setDenyingUserId(denyingUserId === requesterId ? null : requesterId);
+                              setDenyReason("");
+                            }}
+                            disabled={actioning}
+                            data-testid={`button-deny-request-${requesterId}`}
+                          >
+                            <X className="w-3.5 h-3.5" />
+                          </Button>
+                        </div>
+                      </div>
+                      {denyingUserId === requesterId && (
+                        <div className="flex gap-2 mt-2">
+                          <input
+                            className="flex-1 px-3 py-1.5 bg-muted/50 rounded-lg text-sm border border-border"
+                            placeholder="Reason (optional)"
+                            maxLength={500}
+                            value={denyReason}
+                            onChange={(e) => setDenyReason(e.target.value)}
+                            autoFocus
+                            data-testid="input-deny-reason"
+                          />
+                          <Button variant="destructive" size="sm" onClick={() => handleReviewRequest(requesterId, "deny")} disabled={actioning}>
+                            Deny
+                          </Button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
             </div>
           )}
 
@@ -489,6 +683,8 @@ export function GroupInfoPanel({ groupId, roomId, activeGroupId, open, onClose }
           </div>
         )}
 
+        {invitesOpen && roomIdRaw && <InviteLinks roomId={roomIdRaw} onClose={() => setInvitesOpen(false)} />}
+
         {addMemberOpen && (
           <div className="absolute inset-0 flex items-center justify-center bg-black/30 z-10 p-4">
             <div className="bg-card rounded-xl shadow-xl p-5 max-w-[320px] w-full max-h-[70vh] overflow-hidden flex flex-col animate-in fade-in zoom-in-95">
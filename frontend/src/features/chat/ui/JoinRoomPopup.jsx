@@ -1,24 +1,36 @@
 import { useState, useEffect } from "react";
 import { useChatStore, useSettingsStore } from "../adapters";
 import { Button } from "@/components/ui/button";
-import { X } from "lucide-react";
+import { X, Clock } from "lucide-react";
 import { cn } from "../utils/utils";
 import { useToast } from "@/hooks/useToast";
 
+/**
+ * Join a room by id. Rooms that require approval ("knock") answer APPROVAL_REQUIRED: the popup then offers a join
+ * request with an optional note, and shows it as pending until an owner or admin decides (myJoinRequests).
+ */
 export function JoinRoomPopup({ open, onClose, anchorRef }) {
   const { reducedMotion } = useSettingsStore();
-  const { joinRoom, upsertRoomOptimistic, isWsReady } = useChatStore();
+  const { roomsApi, requestToJoinRoom, myJoinRequests, isWsReady } = useChatStore();
   const { toast } = useToast();
   const [roomId, setRoomId] = useState("");
   const [isJoining, setIsJoining] = useState(false);
+  /** Room id that answered APPROVAL_REQUIRED; null while the user is still typing an id. */
+  const [knockRoomId, setKnockRoomId] = useState(null);
+  const [note, setNote] = useState("");
+
+  const myRequest = knockRoomId ? myJoinRequests?.[knockRoomId] : null;
+  const isPending = myRequest?.status === "pending";
 
   const handleClose = () => {
     setRoomId("");
     setIsJoining(false);
+    setKnockRoomId(null);
+    setNote("");
     onClose();
   };
 
-  const handleJoin = () => {
+  const handleJoin = async () => {
     const trimmedId = roomId.trim();
     if (!trimmedId) {
       toast({ title: "Room ID required", description: "Please enter a room ID to join.", variant: "destructive" });
@@ -29,14 +41,37 @@ export function JoinRoomPopup({ open, onClose, anchorRef }) {
       return;
     }
     setIsJoining(true);
-    const sent = joinRoom({ roomId: trimmedId });
-    if (!sent) {
+    try {
+      await roomsApi.joinRoom(trimmedId);
+      handleClose();
+    } catch (e) {
+      if (e?.code === "APPROVAL_REQUIRED") {
+        setKnockRoomId(trimmedId);
+      } else if (e?.code === "NOT_FOUND") {
+        toast({ title: "Room not found", description: "Check the room ID. Private rooms need an invite link or an admin to add you.", variant: "destructive" });
+      } else {
+        toast({ title: "Join room failed", description: e?.message ?? "Could not join.", variant: "destructive" });
+      }
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const handleRequest = async () => {
+    if (!knockRoomId) return;
+    setIsJoining(true);
+    try {
+      const result = await requestToJoinRoom(knockRoomId, note);
+      if (result.status === "member") {
+        handleClose();
+        return;
+      }
+      toast({ title: "Request sent", description: "An admin of the group will review it." });
+    } catch (e) {
+      toast({ title: "Request failed", description: e?.message ?? "Could not send the request.", variant: "destructive" });
+    } finally {
       setIsJoining(false);
-      toast({ title: "Send failed", description: "Could not send ROOM_JOIN.", variant: "destructive" });
-      return;
     }
-    upsertRoomOptimistic(trimmedId);
-    handleClose();
   };
 
   useEffect(() => {
@@ -57,30 +92,69 @@ export function JoinRoomPopup({ open, onClose, anchorRef }) {
         onClick={(e) => e.stopPropagation()}
       >
         <div className="flex justify-between items-center p-4 border-b border-border">
-          <h3 className="font-bold text-lg">Join room</h3>
+          <h3 className="font-bold text-lg">{knockRoomId ? "Ask to join" : "Join room"}</h3>
           <Button variant="ghost" size="icon" onClick={handleClose} data-testid="button-close-join-room">
             <X className="w-4 h-4" />
           </Button>
         </div>
 
-        <div className="p-4">
-          <label className="block text-sm font-medium mb-1">Room ID <span className="text-destructive">*</span></label>
-          <input
-            type="text"
-            placeholder="e.g. general, room-1"
-            value={roomId}
-            onChange={(e) => setRoomId(e.target.value)}
-            className="w-full px-4 py-2 bg-muted/50 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
-            data-testid="input-join-room-id"
-          />
-          <p className="text-xs text-muted-foreground mt-1">Enter the room ID to join</p>
-        </div>
+        {!knockRoomId ? (
+          <div className="p-4">
+            <label className="block text-sm font-medium mb-1">Room ID <span className="text-destructive">*</span></label>
+            <input
+              type="text"
+              placeholder="e.g. general, room-1"
+              value={roomId}
+              onChange={(e) => setRoomId(e.target.value)}
+              className="w-full px-4 py-2 bg-muted/50 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+              data-testid="input-join-room-id"
+            />
+            <p className="text-xs text-muted-foreground mt-1">Enter the room ID to join</p>
+          </div>
+        ) : isPending ? (
+          <div className="p-4 flex items-start gap-3" data-testid="status-join-request-pending">
+            <Clock className="w-5 h-5 text-muted-foreground flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="text-sm font-medium">Request pending</p>
+              <p className="text-xs text-muted-foreground">
+                An owner or admin of <span className="font-medium">{knockRoomId}</span> will approve or decline it. You will be notified.
+              </p>
+            </div>
+          </div>
+        ) : (
+          <div className="p-4 space-y-2">
+            <p className="text-sm text-muted-foreground">
+              <span className="font-medium text-foreground">{knockRoomId}</span> needs approval from an admin before you can join.
+            </p>
+            {myRequest?.status === "denied" && (
+              <p className="text-xs text-destructive" data-testid="text-join-request-denied">
+                Your last request was declined{myRequest.reason ? `: ${myRequest.reason}` : "."}
+              </p>
+            )}
+            <textarea
+              placeholder="Add a note for the admins (optional)"
+              maxLength={500}
+              rows={3}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              className="w-full px-4 py-2 bg-muted/50 rounded-lg text-sm resize-none focus:outline-none focus:ring-2 focus:ring-primary/20"
+              data-testid="input-join-request-note"
+            />
+          </div>
+        )}
 
         <div className="p-3 border-t border-border flex justify-end gap-2">
-          <Button variant="outline" onClick={handleClose}>Cancel</Button>
-          <Button onClick={handleJoin} disabled={isJoining || !roomId.trim()} data-testid="button-join-room">
-            {isJoining ? "Joining…" : "Join room"}
-          </Button>
+          <Button variant="outline" onClick={handleClose}>{isPending ? "Close" : "Cancel"}</Button>
+          {!knockRoomId && (
+            <Button onClick={handleJoin} disabled={isJoining || !roomId.trim()} data-testid="button-join-room">
+              {isJoining ? "Joining…" : "Join room"}
+            </Button>
+          )}
+          {knockRoomId && !isPending && (
+            <Button onClick={handleRequest} disabled={isJoining} data-testid="button-request-join">
+              {isJoining ? "Sending…" : "Ask to join"}
+            </Button>
+          )}
         </div>
       </div>
     </div>
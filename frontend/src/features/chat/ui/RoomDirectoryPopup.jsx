@@ -0,0 +1,159 @@
+// ============================================================================
+// Browse groups — public room directory (GET /api/rooms/directory), one-click join.
+// ============================================================================
+import { useState, useEffect, useCallback } from "react";
+import { Search, X, Users } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/hooks/useToast";
+import { useSettingsStore } from "../adapters";
+import { listRoomDirectory } from "../api/directory.api";
+import { resolveThumbnailUrl } from "../utils/avatarUrl";
+import { cn } from "../utils/utils";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+function describeRoom(room) {
+  const members = room.memberCount === 1 ? "1 member" : `${room.memberCount ?? 0} members`;
+  return room.recentMessageCount > 0 ? `${members} · ${room.recentMessageCount} recent messages` : members;
+}
+
+/**
+ * Public groups, most active first, searchable by name and topic. onJoin(roomId) joins (or opens, for groups the
+ * user is already in) and is expected to close the popup. onJoinById opens the join-by-id popup, which also covers
+ * unlisted groups and groups that take join requests.
+ */
+export function RoomDirectoryPopup({ open, onClose, onJoin, onJoinById }) {
+  const { reducedMotion } = useSettingsStore();
+  const { toast } = useToast();
+  const [query, setQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
+  const [rooms, setRooms] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [joiningId, setJoiningId] = useState(null);
+
+  useEffect(() => {
+    const t = setTimeout(() => setDebouncedQuery(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [query]);
+
+  const load = useCallback(async (cursor) => {
+    setLoading(true);
+    try {
+      const page = await listRoomDirectory({ q: debouncedQuery, cursor });
+      setRooms((prev) => (cursor ? [...prev, ...page.rooms] : page.rooms));
+      setNextCursor(page.nextCursor);
+      setTotal(page.total);
+    } catch (err) {
+      toast({ title: "Could not load groups", description: err?.message ?? "Request failed", variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedQuery, toast]);
+
+  useEffect(() => {
+    if (open) load(null);
+  }, [open, load]);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleEsc = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleEsc);
+    return () => document.removeEventListener("keydown", handleEsc);
+  }, [open, onClose]);
+
+  const handleClose = () => {
+    setQuery("");
+    onClose();
+  };
+
+  const handleJoin = async (roomId) => {
+    setJoiningId(roomId);
+    try {
+      await onJoin(roomId);
+      setQuery("");
+    } finally {
+      setJoiningId(null);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/30 p-4" onClick={handleClose}>
+      <div
+        className={cn(
+          "bg-card w-full max-w-md max-h-[80vh] rounded-2xl shadow-2xl overflow-hidden flex flex-col",
+          !reducedMotion && "animate-in fade-in zoom-in-95 duration-200"
+        )}
+        onClick={(e) => e.stopPropagation()}
+        data-testid="popup-room-directory"
+      >
+        <div className="flex items-center justify-between p-4 pb-2">
+          <h3 className="font-bold text-lg">Browse groups</h3>
+          <Button variant="ghost" size="icon" onClick={handleClose}>
+            <X className="w-5 h-5" />
+          </Button>
+        </div>
+        <div className="px-4 pb-2">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+            <input
+              className="w-full pl-9 pr-4 py-2 bg-muted/50 rounded-lg text-sm"
+              placeholder="Search by name or topic"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              autoFocus
+              data-testid="input-room-directory-search"
+            />
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto px-2 pb-2 custom-scrollbar">
+          {rooms.length === 0 && !loading && (
+            <p className="text-xs text-muted-foreground px-3 py-4">{debouncedQuery.trim() ? "No public groups match." : "No public groups yet."}</p>
+          )}
+          {rooms.map((room) => {
+            const thumbnail = resolveThumbnailUrl(room.thumbnailUrl);
+            return (
+              <div key={room.roomId} className="flex items-center gap-3 p-3 rounded-lg hover:bg-muted/50" data-testid={`row-directory-room-${room.roomId}`}>
+                <div className="h-10 w-10 rounded-full bg-primary/10 flex items-center justify-center text-primary flex-shrink-0">
+                  {thumbnail ? <img src={thumbnail} alt="" className="h-10 w-10 rounded-full object-cover" /> : <Users className="w-5 h-5" />}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-sm truncate">{room.name}</p>
+                  {room.topic && <p className="text-xs text-muted-foreground truncate">{room.topic}</p>}
+                  <p className="text-[11px] text-muted-foreground">{describeRoom(room)}</p>
+                </div>
+                <Button
+                  size="sm"
+                  variant={room.joined ? "outline" : "default"}
+                  disabled={joiningId != null}
+                  onClick={() => handleJoin(room.roomId)}
+                  data-testid={`button-directory-join-${room.roomId}`}
+                >
+                  {joiningId === room.roomId ? "Joining..." : room.joined ? "Open" : "Join"}
+                </Button>
+              </div>
+            );
+          })}
+          {loading && <p className="text-xs text-muted-foreground px-3 py-2">Loading...</p>}
+          {nextCursor && !loading && (
+            <Button variant="ghost" size="sm" className="w-full" onClick={() => load(nextCursor)} data-testid="button-directory-more">
+              Show more ({total - rooms.length} more)
+            </Button>
+          )}
+        </div>
+        {onJoinById && (
+          <div className="px-4 py-3 border-t border-border">
+            <Button variant="ghost" size="sm" className="w-full" onClick={onJoinById} data-testid="button-directory-join-by-id">
+              Have a group id? Join by id
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -10,15 +10,20 @@ import { avatarSrc, resolveThumbnailUrl } from "../utils/avatarUrl";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { ScrollArea } from "@/components/ui/scroll-area";
-import { LogOut, Users, Search, BarChart3, Plus, X } from "lucide-react";
+import { LogOut, Users, Search, BarChart3, Plus, X, Forward, Check, Star, Archive, ArchiveRestore, ListChecks, ChevronLeft, BellOff, Inbox, Compass } from "lucide-react";
 import { cn } from "../utils/utils";
 import { resolveUserPrimary, resolveUserSecondary } from "../utils/userDisplay";
 import { formatDistanceToNow } from "../utils/time";
 import { NewGroupPopup } from "./NewGroupPopup";
+import { RoomDirectoryPopup } from "./RoomDirectoryPopup";
+import { JoinRoomPopup } from "./JoinRoomPopup";
+import { SavedMessages } from "../components/SavedMessages";
+import { toast } from "@/hooks/useToast";
 import { wsClient } from "@/transport/wsClient";
 import { RequireRole } from "@/components/auth/RequireRole";
 import { searchUsers as searchUsersApi } from "../api/users.api";
 import { globalSearch } from "../api/search.api";
+import { joinPublicRoom } from "../api/directory.api";
 import { toDirectIdFromUsers, toCanonicalChatId } from "../utils/chatId.js";
 
 export function Sidebar() {
@@ -51,11 +56,33 @@ export function Sidebar() {
     loadMessages,
     mergeUsersFromSearch,
     addDirectChat,
+    forwardDraft,
+    toggleForwardTarget,
+    cancelForward,
+    submitForward,
+    mentionCountsByChatId,
+    bookmarks,
+    loadBookmarks,
+    toggleBookmark,
+    loadMessageContext,
+    archivedChats,
+    setChatsArchived,
+    mutedChats,
+    messageRequests,
+    loadRooms,
   } = useChatStore();
   const { reducedMotion } = useSettingsStore();
   const myUserId = user?.id ?? user?.userId ?? null;
 
   const [showNewGroup, setShowNewGroup] = useState(false);
+  const [showDirectory, setShowDirectory] = useState(false);
+  const [showJoinRoom, setShowJoinRoom] = useState(false);
+  const [showSaved, setShowSaved] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [showRequests, setShowRequests] = useState(false);
+  /** Archive selection: chatIds picked for bulk archive / unarchive; null when not selecting. */
+  const [selectedChatIds, setSelectedChatIds] = useState(null);
+  const [keepArchived, setKeepArchived] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [debouncedSearchQuery, setDebouncedSearchQuery] = useState("");
   const [searchResultUsers, setSearchResultUsers] = useState([]);
@@ -158,6 +185,19 @@ export function Sidebar() {
     } catch (_) {}
   };
 
+  /** One-click join of a public group (directory or search), then open it. */
+  const handleJoinPublicGroup = async (roomId) => {
+    try {
+      const { alreadyMember } = await joinPublicRoom(roomId);
+      if (!alreadyMember) await loadRooms();
+      setShowDirectory(false);
+      setSearchQuery("");
+      handleSelectChat(roomId);
+    } catch (err) {
+      toast({ title: "Could not join group", description: err?.message ?? "Request failed", variant: "destructive" });
+    }
+  };
+
   const handleSelectDirectChat = (chatId) => {
     // PHASE A2: Normalize to canonical before storing (ensure localStorage also stores canonical)
     const canonicalId = toCanonicalChatId(chatId, myUserId);
@@ -169,6 +209,78 @@ export function Sidebar() {
     loadMessages(canonicalId, { limit: 50 }).catch(() => {});
   };
 
+  /** Saved messages: open the chat, then load a context window around the starred message and scroll to it. */
+  const handleOpenBookmark = async (bookmark) => {
+    if (bookmark.roomId) {
+      handleSelectChat(bookmark.roomId);
+    } else {
+      handleSelectDirectChat(bookmark.chatId);
+    }
+    const chatId = bookmark.roomId ? `room:${bookmark.roomId}` : toCanonicalChatId(bookmark.chatId, myUserId);
+    const anchorId = await loadMessageContext(chatId, bookmark.messageId);
+    if (anchorId) {
+      setScrollToMessageId(anchorId);
+    } else {
+      toast({ title: "Message unavailable", description: "The saved message could not be loaded." });
+    }
+  };
+
+  const handleToggleSaved = () => {
+    if (!showSaved) loadBookmarks();
+    setShowSaved((v) => !v);
+  };
+
+  /**
+   * Picking chats: while forwardDraft is set (forward targets) or chats are being selected for archiving, chat rows
+   * toggle the pick instead of opening the chat. Forwarding wins when both are active.
+   */
+  const forwardTargets = forwardDraft?.targetChatIds ?? [];
+  const isPicking = Boolean(forwardDraft) || selectedChatIds != null;
+  const pickedChatIds = forwardDraft ? forwardTargets : (selectedChatIds ?? []);
+  const togglePicked = (chatId) => {
+    if (forwardDraft) {
+      toggleForwardTarget(chatId);
+      return;
+    }
+    setSelectedChatIds((prev) => (prev ?? []).includes(chatId) ? prev.filter((id) => id !== chatId) : [...(prev ?? []), chatId]);
+  };
+  const handleRowSelectChat = (id) => (isPicking ? togglePicked(`room:${id}`) : handleSelectChat(id));
+  const handleRowSelectDirectChat = (chatId) => (isPicking ? togglePicked(chatId) : handleSelectDirectChat(chatId));
+  const renderPickCheck = (chatId) => (
+    <span className={cn("h-5 w-5 rounded-full border flex items-center justify-center", pickedChatIds.includes(chatId) ? "bg-primary border-primary text-primary-foreground" : "border-muted-foreground/50")}>
+      {pickedChatIds.includes(chatId) && <Check className="w-3 h-3" />}
+    </span>
+  );
+
+  /** Archive: switch between the main list and the Archived section (drops any selection). */
+  const handleShowArchived = (value) => {
+    setShowArchived(value);
+    setShowRequests(false);
+    setSelectedChatIds((prev) => (prev == null ? prev : []));
+  };
+
+  /** Message requests: switch between the main list and the Requests inbox (ends any selection). */
+  const handleShowRequests = (value) => {
+    setShowRequests(value);
+    setShowArchived(false);
+    setSelectedChatIds(null);
+  };
+
+  const handleToggleSelecting = () => {
+    setSelectedChatIds((prev) => (prev == null ? [] : null));
+    setKeepArchived(false);
+  };
+
+  /** Archive: archive (main list) or unarchive (Archived section) the selected chats. */
+  const handleSubmitSelection = async () => {
+    if (!selectedChatIds?.length) return;
+    const saved = await setChatsArchived(selectedChatIds, !showArchived, { keepArchived });
+    if (saved) {
+      setSelectedChatIds(null);
+      setKeepArchived(false);
+    }
+  };
+
   const handleSelectUserForDm = (otherUserId, otherUser) => {
     if (!myUserId || !otherUserId) return;
     const [a, b] = [String(myUserId), String(otherUserId)].sort();
@@ -277,16 +389,27 @@ export function Sidebar() {
     return combined;
   }, [groups, directChats, lastActivityTimestamps, myUserId, usersById]);
 
+  // Message requests: incoming requests live in the Requests inbox only; declined ones are hidden everywhere
+  const requestItems = useMemo(() => sortedItems.filter((item) => messageRequests?.[item.chatId] === "incoming"), [sortedItems, messageRequests]);
+  const chatItems = useMemo(() => sortedItems.filter((item) => {
+    const request = messageRequests?.[item.chatId];
+    return request !== "incoming" && request !== "declined";
+  }), [sortedItems, messageRequests]);
+  // Archive: archived chats leave the main list for the Archived section (search still finds them)
+  const mainItems = useMemo(() => chatItems.filter((item) => !archivedChats?.[item.chatId]), [chatItems, archivedChats]);
+  const archivedItems = useMemo(() => chatItems.filter((item) => archivedChats?.[item.chatId]), [chatItems, archivedChats]);
+  const listedItems = showRequests ? requestItems : showArchived ? archivedItems : mainItems;
+
   useEffect(() => {
     if (sortedItems.length === 0 || didRestoreAfterHydrationRef.current) return;
     if (activeConversationId != null) return;
-    const first = sortedItems[0];
+    const first = mainItems[0] ?? sortedItems[0];
     const cid = first.type === "room" ? `room:${first.roomId}` : first.chatId;
     // PHASE A2: Ensure canonical (sortedItems already uses canonical, but normalize for safety)
     const canonicalId = toCanonicalChatId(cid, myUserId);
     setActiveConversationId(canonicalId);
     if (first.type === "direct") loadMessages(canonicalId, { limit: 50 }).catch(() => {});
-  }, [sortedItems, activeConversationId, setActiveConversationId, loadMessages, myUserId]);
+  }, [sortedItems, mainItems, activeConversationId, setActiveConversationId, loadMessages, myUserId]);
 
   const getPreviewTime = (ts) => {
     if (!ts) return "";
@@ -348,6 +471,42 @@ export function Sidebar() {
         </div>
       </div>
 
+      {forwardDraft && (
+        <div className="mx-3 mt-3 rounded-lg border border-primary/30 bg-primary/5 p-3 space-y-2" data-testid="forward-target-picker">
+          <p className="flex items-center gap-2 text-sm font-medium">
+            <Forward className="w-4 h-4" />
+            {forwardDraft.messageIds.length === 1 ? "Forward 1 message" : `Forward ${forwardDraft.messageIds.length} messages`}
+          </p>
+          <p className="text-xs text-muted-foreground">Pick chats below ({forwardTargets.length} selected).</p>
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={cancelForward} data-testid="button-cancel-forward">Cancel</Button>
+            <Button size="sm" onClick={submitForward} disabled={forwardTargets.length === 0} data-testid="button-submit-forward">Send</Button>
+          </div>
+        </div>
+      )}
+
+      {!forwardDraft && selectedChatIds != null && (
+        <div className="mx-3 mt-3 rounded-lg border border-primary/30 bg-primary/5 p-3 space-y-2" data-testid="archive-selection">
+          <p className="flex items-center gap-2 text-sm font-medium">
+            {showArchived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+            {showArchived ? "Unarchive chats" : "Archive chats"}
+          </p>
+          <p className="text-xs text-muted-foreground">Pick chats below ({selectedChatIds.length} selected).</p>
+          {!showArchived && (
+            <label className="flex items-center gap-2 text-xs text-muted-foreground">
+              <input type="checkbox" checked={keepArchived} onChange={(e) => setKeepArchived(e.target.checked)} data-testid="checkbox-keep-archived" />
+              Keep archived when new messages arrive
+            </label>
+          )}
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={handleToggleSelecting} data-testid="button-cancel-archive-selection">Cancel</Button>
+            <Button size="sm" onClick={handleSubmitSelection} disabled={selectedChatIds.length === 0} data-testid="button-submit-archive-selection">
+              {showArchived ? "Unarchive" : "Archive"}
+            </Button>
+          </div>
+        </div>
+      )}
+
       <div className="p-3">
         <div className="relative">
           <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
@@ -367,23 +526,67 @@ export function Sidebar() {
         </div>
       </div>
 
-      <div className="px-3 pb-2">
-        <Button ref={newGroupBtnRef} variant="outline" className="w-full justify-start gap-2 text-sm" onClick={() => setShowNewGroup(true)} data-testid="button-new-group">
+      <div className="px-3 pb-2 flex gap-2">
+        <Button ref={newGroupBtnRef} variant="outline" className="flex-1 justify-start gap-2 text-sm" onClick={() => setShowNewGroup(true)} data-testid="button-new-group">
           <Plus className="w-4 h-4" />
           New Group
         </Button>
+        <Button variant="outline" size="icon" onClick={() => setShowDirectory(true)} title="Browse groups" data-testid="button-browse-groups">
+          <Compass className="w-4 h-4" />
+        </Button>
+        <Button
+          variant={showSaved ? "secondary" : "outline"}
+          className="gap-2 text-sm"
+          onClick={handleToggleSaved}
+          title="Saved messages"
+          data-testid="button-saved-messages"
+        >
+          <Star className="w-4 h-4" />
+          Saved
+        </Button>
+        <Button
+          variant={selectedChatIds != null ? "secondary" : "outline"}
+          size="icon"
+          onClick={handleToggleSelecting}
+          disabled={Boolean(forwardDraft) || showSaved || showRequests}
+          title={showArchived ? "Select chats to unarchive" : "Select chats to archive"}
+          data-testid="button-select-chats"
+        >
+          <ListChecks className="w-4 h-4" />
+        </Button>
       </div>
 
       <NewGroupPopup open={showNewGroup} onClose={() => setShowNewGroup(false)} anchorRef={newGroupBtnRef} />
+      <RoomDirectoryPopup
+        open={showDirectory}
+        onClose={() => setShowDirectory(false)}
+        onJoin={handleJoinPublicGroup}
+        onJoinById={() => {
+          setShowDirectory(false);
+          setShowJoinRoom(true);
+        }}
+      />
+      <JoinRoomPopup open={showJoinRoom} onClose={() => setShowJoinRoom(false)} />
 
       <ScrollArea className="flex-1">
-        {debouncedSearchQuery.trim() ? (
+        {showSaved ? (
+          <SavedMessages
+            bookmarks={bookmarks}
+            usersById={usersById ?? {}}
+            roomsById={roomsById ?? {}}
+            myUserId={myUserId}
+            onOpen={handleOpenBookmark}
+            onUnstar={(bookmark) => toggleBookmark(bookmark, false)}
+            onClose={() => setShowSaved(false)}
+          />
+        ) : debouncedSearchQuery.trim() ? (
           <SearchResults
             searchQuery={debouncedSearchQuery.trim()}
             activeConversationId={activeConversationId}
             activeGroupId={activeGroupId}
-            onSelectChat={handleSelectChat}
-            onSelectDirectChat={handleSelectDirectChat}
+            onSelectChat={handleRowSelectChat}
+            onJoinPublicGroup={handleJoinPublicGroup}
+            onSelectDirectChat={handleRowSelectDirectChat}
             onSelectUserForDm={handleSelectUserForDm}
             onSelectMessageResult={({ chatId, chatType, groupId, messageId }) => {
               if (chatType === "room" && groupId) {
@@ -423,8 +626,59 @@ export function Sidebar() {
           </div>
         ) : (
           <div className="px-2 py-2 space-y-1">
-            {sortedItems.map((item) => {
+            {showRequests ? (
+              <button
+                type="button"
+                className="w-full flex items-center gap-2 px-3 py-2 rounded-lg hover-elevate text-sm font-medium"
+                onClick={() => handleShowRequests(false)}
+                data-testid="button-requests-back"
+              >
+                <ChevronLeft className="w-4 h-4" />
+                Requests
+              </button>
+            ) : !showArchived && requestItems.length > 0 && (
+              <button
+                type="button"
+                className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover-elevate text-sm text-muted-foreground"
+                onClick={() => handleShowRequests(true)}
+                data-testid="button-message-requests"
+              >
+                <Inbox className="w-4 h-4" />
+                <span className="flex-1 text-left font-medium">Requests</span>
+                <span className="text-xs">{requestItems.length}</span>
+              </button>
+            )}
+            {showRequests && requestItems.length === 0 && (
+              <p className="px-3 py-6 text-center text-sm text-muted-foreground" data-testid="sidebar-no-requests">No message requests.</p>
+            )}
+            {showRequests ? null : showArchived ? (
+              <button
+                type="button"
+                className="w-full flex items-center gap-2 px-3 py-2 rounded-lg hover-elevate text-sm font-medium"
+                onClick={() => handleShowArchived(false)}
+                data-testid="button-archived-back"
+              >
+                <ChevronLeft className="w-4 h-4" />
+                Archived
+              </button>
+            ) : archivedItems.length > 0 && (
+              <button
+                type="button"
+                className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover-elevate text-sm text-muted-foreground"
+                onClick={() => handleShowArchived(true)}
+                data-testid="button-archived-chats"
+              >
+                <Archive className="w-4 h-4" />
+                <span className="flex-1 text-left font-medium">Archived</span>
+                <span className="text-xs">{archivedItems.length}</span>
+              </button>
+            )}
+            {showArchived && archivedItems.length === 0 && (
+              <p className="px-3 py-6 text-center text-sm text-muted-foreground" data-testid="sidebar-no-archived">No archived chats.</p>
+            )}
+            {listedItems.map((item) => {
               const chatId = item.chatId;
+              const muted = mutedChats?.[chatId] != null;
               const messages = messagesByConversation?.[chatId] || [];
               const lastReadMessageId = lastReadMessageIdByConversation?.[chatId] || null;
               
@@ -483,8 +737,8 @@ export function Sidebar() {
                   <button
                     key={chatId}
                     type="button"
-                    className={cn("w-full flex items-center gap-3 p-3 rounded-lg hover-elevate sidebar-item", activeGroupId === group.id && "bg-accent/50")}
-                    onClick={() => handleSelectChat(group.id)}
+                    className={cn("w-full flex items-center gap-3 p-3 rounded-lg hover-elevate sidebar-item", !isPicking && activeGroupId === group.id && "bg-accent/50", pickedChatIds.includes(chatId) && "bg-primary/10")}
+                    onClick={() => handleRowSelectChat(group.id)}
                     data-testid={`button-group-${group.id}`}
                   >
                     <div className="h-12 w-12 rounded-full bg-primary/10 flex items-center justify-center text-primary overflow-hidden flex-shrink-0">
@@ -496,11 +750,20 @@ export function Sidebar() {
                     </div>
                     <div className="flex-1 text-left min-w-0">
                       <div className="flex justify-between items-center gap-1">
-                        <span className="font-semibold text-sm truncate">{group.name}</span>
+                        <span className="flex items-center gap-1 min-w-0">
+                          <span className="font-semibold text-sm truncate">{group.name}</span>
+                          {muted && <BellOff className="w-3.5 h-3.5 flex-shrink-0 text-muted-foreground" aria-label="Muted" data-testid={`icon-muted-room-${group.id}`} />}
+                        </span>
                         <div className="flex items-center gap-1.5 flex-shrink-0">
-                          {item.lastActivityAt > 0 && <span className="text-[10px] text-muted-foreground">{getPreviewTime(item.lastActivityAt)}</span>}
-                          {unread > 0 && (
-                            <Badge variant="default" className="h-5 min-w-[20px] px-1.5 text-[10px] font-bold rounded-full" data-testid={`badge-unread-room-${group.id}`}>
+                          {isPicking && renderPickCheck(chatId)}
+                          {!isPicking && item.lastActivityAt > 0 && <span className="text-[10px] text-muted-foreground">{getPreviewTime(item.lastActivityAt)}</span>}
+                          {!isPicking && mentionCountsByChatId?.[chatId] > 0 && (
+                            <Badge variant="default" className="h-5 min-w-[20px] px-1.5 text-[10px] font-bold rounded-full bg-amber-500 hover:bg-amber-500" title={`${mentionCountsByChatId[chatId]} unread mention${mentionCountsByChatId[chatId] === 1 ? "" : "s"}`} data-testid={`badge-mention-room-${group.id}`}>
+                              @
+                            </Badge>
+                          )}
+                          {!isPicking && unread > 0 && (
+                            <Badge variant={muted ? "secondary" : "default"} className={cn("h-5 min-w-[20px] px-1.5 text-[10px] font-bold rounded-full", muted && "bg-muted text-muted-foreground hover:bg-muted")} data-testid={`badge-unread-room-${group.id}`}>
                               {unread}
                             </Badge>
                           )}
@@ -530,8 +793,8 @@ export function Sidebar() {
                   <button
                     key={chatId}
                     type="button"
-                    className={cn("w-full flex items-center gap-3 p-3 rounded-lg hover-elevate sidebar-item", activeConversationId === chatId && "bg-accent/50")}
-                    onClick={() => handleSelectDirectChat(chatId)}
+                    className={cn("w-full flex items-center gap-3 p-3 rounded-lg hover-elevate sidebar-item", !isPicking && activeConversationId === chatId && "bg-accent/50", pickedChatIds.includes(chatId) && "bg-primary/10")}
+                    onClick={() => handleRowSelectDirectChat(chatId)}
                     data-testid={`button-dm-${du?.username ?? otherId ?? chatId}`}
                   >
                     <div className="relative flex-shrink-0">
@@ -543,11 +806,15 @@ export function Sidebar() {
                     </div>
                     <div className="flex-1 text-left min-w-0">
                       <div className="flex justify-between items-center gap-1">
-                        <span className="font-semibold text-sm truncate">{primary}</span>
+                        <span className="flex items-center gap-1 min-w-0">
+                          <span className="font-semibold text-sm truncate">{primary}</span>
+                          {muted && <BellOff className="w-3.5 h-3.5 flex-shrink-0 text-muted-foreground" aria-label="Muted" data-testid={`icon-muted-dm-${du?.username ?? otherId}`} />}
+                        </span>
                         <div className="flex items-center gap-1.5 flex-shrink-0">
-                          {item.lastActivityAt > 0 && <span className="text-[10px] text-muted-foreground">{getPreviewTime(item.lastActivityAt)}</span>}
-                          {unread > 0 && (
-                            <Badge variant="default" className="h-5 min-w-[20px] px-1.5 text-[10px] font-bold rounded-full" data-testid={`badge-unread-dm-${du?.username ?? otherId}`}>
+                          {isPicking && renderPickCheck(chatId)}
+                          {!isPicking && item.lastActivityAt > 0 && <span className="text-[10px] text-muted-foreground">{getPreviewTime(item.lastActivityAt)}</span>}
+                          {!isPicking && unread > 0 && (
+                            <Badge variant={muted ? "secondary" : "default"} className={cn("h-5 min-w-[20px] px-1.5 text-[10px] font-bold rounded-full", muted && "bg-muted text-muted-foreground hover:bg-muted")} data-testid={`badge-unread-dm-${du?.username ?? otherId}`}>
                               {unread}
                             </Badge>
                           )}
@@ -598,6 +865,7 @@ function SearchResults({
   activeConversationId,
   activeGroupId,
   onSelectChat,
+  onJoinPublicGroup = () => {},
   onSelectDirectChat,
   onSelectUserForDm,
   onSelectMessageResult,
@@ -780,6 +1048,28 @@ function SearchResults({
               groupUnread = fallbackUnread;
             }
             const previewText = getPreviewContent(messagePreview);
+            if (g.joined === false) {
+              return (
+                <button
+                  key={g.id}
+                  type="button"
+                  className="w-full flex items-center gap-3 p-3 rounded-lg hover-elevate sidebar-item"
+                  onClick={() => onJoinPublicGroup(g.id)}
+                  data-testid={`button-search-public-group-${g.id}`}
+                >
+                  <div className="h-10 w-10 rounded-full bg-primary/10 flex items-center justify-center text-primary flex-shrink-0">
+                    {resolveThumbnailUrl(g.thumbnailUrl) && !failedGroupThumbnailIds.has(g.id) ? <img src={resolveThumbnailUrl(g.thumbnailUrl)} alt="" className="h-10 w-10 rounded-full object-cover" onError={() => setFailedGroupThumbnailIds((prev) => new Set(prev).add(g.id))} /> : <Users className="w-5 h-5" />}
+                  </div>
+                  <div className="flex-1 text-left min-w-0">
+                    <span className="font-semibold text-sm truncate block">{g.name}</span>
+                    <span className="text-xs text-muted-foreground truncate block">
+                      Public · {g.memberCount === 1 ? "1 member" : `${g.memberCount ?? 0} members`}{g.topic ? ` · ${g.topic}` : ""}
+                    </span>
+                  </div>
+                  <span className="text-xs font-medium text-primary flex-shrink-0">Join</span>
+                </button>
+              );
+            }
             return (
               <button
                 key={g.id}
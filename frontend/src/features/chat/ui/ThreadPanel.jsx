@@ -0,0 +1,165 @@
+/**
+ * Thread panel: root message + its replies (GET /api/chat/:chatId/threads/:threadRootId), with a reply composer.
+ * Replies stay out of the room timeline unless "Also send to room" is checked.
+ * Opening the panel (and each new reply while open) moves the per-thread read cursor; the room cursor is untouched.
+ */
+import { useEffect, useState } from "react";
+import { useAuth, useChatStore, useSettingsStore } from "../adapters";
+import { formatTimestamp } from "../domain/message";
+import { Button } from "@/components/ui/button";
+import { X, Loader2, SendHorizontal } from "lucide-react";
+import { MessageReactions } from "../components/MessageReactions";
+import { cn } from "../utils/utils";
+import { resolveUserPrimary } from "../utils/userDisplay";
+
+function ThreadMessage({ msg, currentUserId, usersById, onToggleReaction, isRoot = false }) {
+  const senderLabel = String(msg.senderId) === String(currentUserId) ? "You" : resolveUserPrimary(usersById?.[msg.senderId]);
+  return (
+    <div className={cn("rounded-lg px-3 py-2", isRoot ? "bg-muted/60 border border-border" : "bg-muted/30")} data-testid={isRoot ? "thread-root" : `thread-reply-${msg.id}`}>
+      <div className="flex items-baseline justify-between gap-2">
+        <p className="text-[11px] font-semibold text-primary truncate">{senderLabel}</p>
+        <span className="text-[10px] text-muted-foreground flex-shrink-0">
+          {formatTimestamp(msg.createdAt ?? msg.timestamp)}
+          {msg.status === "failed" && <span className="ml-1 text-destructive">failed</span>}
+        </span>
+      </div>
+      {msg.deleted ? (
+        <p className="text-sm italic text-muted-foreground">This message was deleted</p>
+      ) : (
+        <p className="text-sm whitespace-pre-wrap break-words leading-relaxed">{msg.content}</p>
+      )}
+      {!msg.deleted && (
+        <MessageReactions
+          reactions={msg.reactions}
+          currentUserId={currentUserId}
+          usersById={usersById}
+          onToggle={(emoji) => onToggleReaction(msg, emoji)}
+          disabled={!msg.roomMessageId}
+        />
+      )}
+    </div>
+  );
+}
+
+export function ThreadPanel({ conversationId, threadRootId, open, onClose }) {
+  const { user } = useAuth();
+  const { reducedMotion } = useSettingsStore();
+  const { threadsByRootId, usersById, loadThread, setActiveThread, markThreadRead, sendThreadReply, toggleReaction } = useChatStore();
+  const [draft, setDraft] = useState("");
+  const [alsoSendToRoom, setAlsoSendToRoom] = useState(false);
+
+  const thread = threadRootId ? threadsByRootId[String(threadRootId)] : null;
+  const replies = thread?.messages ?? [];
+  const lastPersistedReplyId = [...replies].reverse().find((m) => m.roomMessageId)?.roomMessageId ?? null;
+
+  useEffect(() => {
+    if (!open || !threadRootId || !conversationId) return;
+    setActiveThread(threadRootId);
+    loadThread(conversationId, threadRootId);
+    setDraft("");
+    setAlsoSendToRoom(false);
+    return () => setActiveThread(null);
+  }, [open, conversationId, threadRootId, loadThread, setActiveThread]);
+
+  useEffect(() => {
+    if (!open || !lastPersistedReplyId) return;
+    markThreadRead(conversationId, threadRootId, lastPersistedReplyId);
+  }, [open, conversationId, threadRootId, lastPersistedReplyId, markThreadRead]);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleEsc = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleEsc);
+    return () => document.removeEventListener("keydown", handleEsc);
+  }, [open, onClose]);
+
+  if (!open || !threadRootId) return null;
+
+  const handleSend = () => {
+    const text = draft.trim();
+    if (!text) return;
+    if (sendThreadReply(conversationId, threadRootId, text, { alsoSendToRoom })) setDraft("");
+  };
+
+  const handleToggleReaction = (msg, emoji) => {
+    if (!msg.roomMessageId) return;
+    toggleReaction(conversationId, msg, emoji);
+  };
+
+  const replyCount = thread?.root?.thread?.replyCount ?? replies.length;
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-50 w-full max-w-sm bg-card border-l border-border shadow-xl flex flex-col" data-testid="thread-panel">
+      <div className={cn("p-4 border-b border-border", !reducedMotion && "animate-in slide-in-from-right duration-200")}>
+        <div className="flex justify-between items-center gap-2">
+          <div className="min-w-0">
+            <h3 className="font-bold text-lg truncate">Thread</h3>
+            <p className="text-xs text-muted-foreground">{replyCount === 1 ? "1 reply" : `${replyCount} replies`}</p>
+          </div>
+          <Button variant="ghost" size="icon" onClick={onClose} data-testid="button-close-thread">
+            <X className="w-5 h-5" />
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-2 custom-scrollbar">
+        {thread?.root ? (
+          <ThreadMessage msg={thread.root} currentUserId={user?.id} usersById={usersById} onToggleReaction={handleToggleReaction} isRoot />
+        ) : thread?.loading ? (
+          <div className="flex justify-center py-4"><Loader2 className="w-4 h-4 animate-spin" /></div>
+        ) : (
+          <p className="text-sm text-muted-foreground">Thread not available</p>
+        )}
+        {thread?.hasMore && (
+          <div className="flex justify-center">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={thread.loading}
+              onClick={() => loadThread(conversationId, threadRootId, { beforeId: thread.nextCursor ?? undefined })}
+              data-testid="button-thread-load-older"
+            >
+              {thread.loading ? <Loader2 className="w-4 h-4 animate-spin" /> : "Load older"}
+            </Button>
+          </div>
+        )}
+        {replies.map((msg) => (
+          <ThreadMessage key={msg.roomMessageId ?? msg.id} msg={msg} currentUserId={user?.id} usersById={usersById} onToggleReaction={handleToggleReaction} />
+        ))}
+      </div>
+
+      <div className="p-3 border-t border-border space-y-2">
+        <div className="flex items-end gap-2">
+          <textarea
+            className="flex-1 min-h-[40px] max-h-32 bg-muted/50 border border-border rounded-lg px-3 py-2 text-sm resize-none focus:outline-none focus:ring-1 focus:ring-primary"
+            placeholder="Reply in thread…"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && !e.shiftKey) {
+                e.preventDefault();
+                handleSend();
+              }
+            }}
+            disabled={!thread?.root}
+            data-testid="input-thread-reply"
+          />
+          <Button size="icon" onClick={handleSend} disabled={!draft.trim() || !thread?.root} data-testid="button-send-thread-reply">
+            <SendHorizontal className="w-4 h-4" />
+          </Button>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-muted-foreground select-none">
+          <input
+            type="checkbox"
+            checked={alsoSendToRoom}
+            onChange={(e) => setAlsoSendToRoom(e.target.checked)}
+            data-testid="checkbox-also-send-to-room"
+          />
+          Also send to room
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -9,4 +9,6 @@ export {
   showDesktopNotification,
   showNotification,
   testDesktopNotification,
+  setMutedChats,
+  isChatMuted,
 } from "@/utils/notificationUtils";
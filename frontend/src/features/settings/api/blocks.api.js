@@ -0,0 +1,33 @@
+/**
+ * Blocks API - the current user's blocked users. Uses lib/http apiFetch.
+ */
+
+import { apiFetch } from "@/lib/http";
+
+/**
+ * GET /api/users/blocked - Users I blocked, most recently blocked first.
+ * @returns {Promise<Array<{ userId: string, blockedAt: number, user: { id, username, displayName?, avatarUrl? } | null }>>}
+ */
+export async function getBlockedUsers() {
+  const json = await apiFetch("/api/users/blocked", { method: "GET" });
+  const blocked = (json.data ?? json)?.blocked;
+  return Array.isArray(blocked) ? blocked : [];
+}
+
+/**
+ * POST /api/users/:id/block - Block a user: no DMs, typing or presence either way. Idempotent.
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, data?: { userId: string, blocked: boolean } }>}
+ */
+export function blockUser(userId) {
+  return apiFetch(`/api/users/${encodeURIComponent(userId)}/block`, { method: "POST", body: {} });
+}
+
+/**
+ * DELETE /api/users/:id/block - Unblock a user. Idempotent.
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, data?: { userId: string, blocked: boolean } }>}
+ */
+export function unblockUser(userId) {
+  return apiFetch(`/api/users/${encodeURIComponent(userId)}/block`, { method: "DELETE" });
+}
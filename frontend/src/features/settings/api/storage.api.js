@@ -0,0 +1,19 @@
+/**
+ * Storage API - the current user's upload usage. Uses lib/http apiFetch.
+ */
+
+import { apiFetch } from "@/lib/http";
+
+/**
+ * GET /api/uploads/usage - Stored bytes of the current user's uploads and their quota.
+ * @returns {Promise<{ bytes: number, count: number, quotaBytes: number }>} quotaBytes 0 = unlimited
+ */
+export async function getStorageUsage() {
+  const json = await apiFetch("/api/uploads/usage", { method: "GET" });
+  const usage = (json.data ?? json)?.usage ?? {};
+  return {
+    bytes: typeof usage.bytes === "number" ? usage.bytes : 0,
+    count: typeof usage.count === "number" ? usage.count : 0,
+    quotaBytes: typeof usage.quotaBytes === "number" ? usage.quotaBytes : 0,
+  };
+}
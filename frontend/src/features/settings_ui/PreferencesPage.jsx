@@ -9,13 +9,14 @@ import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
 import { SettingsDialog } from "@/components/settings/SettingsDialog";
 import { Loader2, Moon, Sun, Monitor, Download, FileJson, FileText, Check } from "lucide-react";
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { cn } from "@/utils/utils";
 import { useToast } from "@/hooks/useToast";
 import { useAuth } from "@/hooks/useAuth";
 import { useChatStore } from "@/features/chat/adapters";
 import { getConversationId } from "@/utils/conversation";
 import { toBackendChatId, exportChatJson, exportChatPdf } from "@/features/chat/api/chat.api";
+import { fetchServerUiPrefs, updateServerUiPrefs } from "@/features/ui_prefs/uiPrefs.server";
 import {
   Tooltip,
   TooltipContent,
@@ -30,6 +31,33 @@ export default function PreferencesPage() {
   const [exportOpen, setExportOpen] = useState(false);
   const [exportFormat, setExportFormat] = useState("pdf");
   const [exporting, setExporting] = useState(false);
+  /** Message requests: server-side preference; null until loaded. */
+  const [messageRequests, setMessageRequests] = useState(null);
+  const [savingMessageRequests, setSavingMessageRequests] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchServerUiPrefs().then((serverPrefs) => {
+      if (!cancelled) setMessageRequests(serverPrefs?.messageRequests ?? false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleMessageRequestsChange = async (enabled) => {
+    const previous = messageRequests;
+    setMessageRequests(enabled);
+    setSavingMessageRequests(true);
+    try {
+      await updateServerUiPrefs({ messageRequests: enabled });
+    } catch (err) {
+      setMessageRequests(previous);
+      toast({ title: "Preference not saved", description: err?.message || "Try again", variant: "destructive" });
+    } finally {
+      setSavingMessageRequests(false);
+    }
+  };
 
   // Canonical source: use activeConversationId always; fallback only when no conversation selected
   const conversationId = activeConversationId ?? getConversationId(activeGroupId, activeDmUser);
@@ -216,6 +244,29 @@ export default function PreferencesPage() {
         </div>
       </section>
 
+      {/* Privacy */}
+      <section>
+        <h2 className="text-lg font-semibold mb-4 px-1">Privacy</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Widget>
+            <div className="flex items-center justify-between">
+              <div>
+                <Label className="text-base cursor-pointer">Message requests</Label>
+                <p className="text-sm text-muted-foreground">
+                  First messages from people you haven't chatted with go to Requests
+                </p>
+              </div>
+              <Switch
+                checked={!!messageRequests}
+                disabled={messageRequests == null || savingMessageRequests}
+                onCheckedChange={handleMessageRequestsChange}
+                data-testid="switch-message-requests"
+              />
+            </div>
+          </Widget>
+        </div>
+      </section>
+
       {/* Data */}
       <section>
         <h2 className="text-lg font-semibold mb-4 px-1">Data</h2>
@@ -10,7 +10,7 @@ const UI_PREFS_PATH = "/api/me/ui-preferences";
 
 /**
  * Fetch UI preferences from server.
- * @returns {Promise<{ soundNotifications: boolean, desktopNotifications: boolean } | null>}
+ * @returns {Promise<{ soundNotifications: boolean, desktopNotifications: boolean, messageRequests: boolean } | null>}
  * Returns null on failure (network error, 401, etc.).
  */
 export async function fetchServerUiPrefs() {
@@ -21,6 +21,7 @@ export async function fetchServerUiPrefs() {
       return {
         soundNotifications: typeof uiPreferences.soundNotifications === "boolean" ? uiPreferences.soundNotifications : null,
         desktopNotifications: typeof uiPreferences.desktopNotifications === "boolean" ? uiPreferences.desktopNotifications : null,
+        messageRequests: typeof uiPreferences.messageRequests === "boolean" ? uiPreferences.messageRequests : null,
       };
     }
     return null;
@@ -31,8 +32,9 @@ export async function fetchServerUiPrefs() {
 
 /**
  * Update UI preferences on the server (PATCH /api/me/ui-preferences).
- * Body: { soundNotifications?: boolean, desktopNotifications?: boolean }
- * @param {{ soundNotifications?: boolean, desktopNotifications?: boolean }} patch
+ * Body: { soundNotifications?: boolean, desktopNotifications?: boolean, messageRequests?: boolean }
+ * messageRequests is server-only (no local ui_prefs copy): the Preferences page reads and writes it directly.
+ * @param {{ soundNotifications?: boolean, desktopNotifications?: boolean, messageRequests?: boolean }} patch
  * @returns {Promise<void>} Resolves on success; rejects on non-2xx or network error.
  */
 export async function updateServerUiPrefs(patch) {
@@ -40,6 +42,7 @@ export async function updateServerUiPrefs(patch) {
   const body = {};
   if (typeof patch.soundNotifications === "boolean") body.soundNotifications = patch.soundNotifications;
   if (typeof patch.desktopNotifications === "boolean") body.desktopNotifications = patch.desktopNotifications;
+  if (typeof patch.messageRequests === "boolean") body.messageRequests = patch.messageRequests;
   if (Object.keys(body).length === 0) return;
   await apiFetch(UI_PREFS_PATH, { method: "PATCH", body });
 }
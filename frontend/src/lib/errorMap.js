@@ -39,6 +39,7 @@ const USER_MESSAGES = {
   BROADCAST_FAILED: "Message could not be sent. Try again.",
   INVALID_LAST_MESSAGE_ID: "Sync failed. Reconnecting…",
   CONNECTION_LIMIT: "Too many connections. Try again later.",
+  USER_BLOCKED: "You can't message this user.",
 };
 
 const SEVERITY_MAP = {
@@ -74,6 +75,7 @@ const SEVERITY_MAP = {
   BROADCAST_FAILED: "transient",
   INVALID_LAST_MESSAGE_ID: "transient",
   CONNECTION_LIMIT: "persistent",
+  USER_BLOCKED: "persistent",
 };
 
 /**
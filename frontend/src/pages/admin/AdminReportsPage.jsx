@@ -523,6 +523,24 @@ export default function AdminReportsPage() {
                           )}
                         </div>
                       </ScrollArea>
+                      {Array.isArray(reportedMsg?.revisions) && reportedMsg.revisions.length > 1 && (
+                        <div className="rounded-md border p-3 space-y-2" data-testid="report-revisions">
+                          <p className="text-[10px] font-bold uppercase tracking-widest text-muted-foreground">
+                            Edit history of the reported message ({reportedMsg.revisions.length - 1} edit{reportedMsg.revisions.length === 2 ? "" : "s"})
+                          </p>
+                          {reportedMsg.revisions.map((rev, idx) => (
+                            <div key={`rev-${idx}`} className="flex flex-col gap-0.5 border-l-2 border-muted pl-2">
+                              <div className="flex items-center justify-between gap-2">
+                                <span className="text-[10px] font-bold text-muted-foreground">
+                                  {idx === 0 ? "Original" : rev.current ? "Current" : `Edit ${idx}`}
+                                </span>
+                                <span className="text-[10px] text-muted-foreground shrink-0">{formatMessageTime(rev.createdAt)}</span>
+                              </div>
+                              <p className="text-sm break-words">{rev.content ?? "—"}</p>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -24,8 +24,10 @@ import {
   Laptop,
   Smartphone,
   Monitor,
+  HardDrive,
 } from "lucide-react";
 import { cn } from "@/utils/utils";
+import { formatFileSize } from "@/utils/fileSize";
 import { useToast } from "@/hooks/useToast";
 import { useAuth } from "@/hooks/useAuth";
 import { useAdminUsers, useAdminUserSessions } from "@/features/admin/adapters";
@@ -296,6 +298,14 @@ export default function AdminUsersPage() {
                           <span className="flex items-center gap-0.5 truncate">
                             <Clock className="w-2.5 h-2.5 shrink-0" /> {user.lastSeen ?? "—"}
                           </span>
+                          {user.storageBytes != null && (
+                            <>
+                              <span className="shrink-0">•</span>
+                              <span className="flex items-center gap-0.5 shrink-0" title="Stored uploads">
+                                <HardDrive className="w-2.5 h-2.5 shrink-0" /> {formatFileSize(user.storageBytes)}
+                              </span>
+                            </>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -333,6 +343,11 @@ export default function AdminUsersPage() {
                     </CardTitle>
                     <CardDescription className="flex items-center gap-2 truncate" title={selectedUser.email ?? selectedUser.id}>
                       {selectedUser.email ?? selectedUser.id}
+                      {selectedUser.storageBytes != null && (
+                        <span className="flex items-center gap-1 shrink-0" data-testid="text-admin-user-storage">
+                          <HardDrive className="w-3 h-3" /> {formatFileSize(selectedUser.storageBytes)} stored
+                        </span>
+                      )}
                     </CardDescription>
                   </div>
                 </div>
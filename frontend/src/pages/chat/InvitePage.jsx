@@ -0,0 +1,109 @@
+/**
+ * /invite/:token — room invite landing page.
+ * Shows the public preview (name, thumbnail, member count). Signed-in users join with one click and land in the
+ * room; others sign in first and come back here (login ?next=).
+ */
+import { useState, useEffect } from "react";
+import { Link, useLocation, useParams } from "wouter";
+import { Users } from "lucide-react";
+import { AuthLayout } from "@/components/auth/AuthLayout";
+import { AuthCard } from "@/components/auth/AuthCard";
+import { Button } from "@/components/ui/button";
+import { Spinner } from "@/components/ui/spinner";
+import { useAuth } from "@/hooks/useAuth";
+import { useChatStore } from "@/features/chat/adapters";
+import { previewInvite, acceptInvite } from "@/features/chat/api/invites.api";
+import { resolveThumbnailUrl } from "@/features/chat/utils/avatarUrl";
+
+/** Invite failure code -> what to tell the user */
+const UNUSABLE_MESSAGES = {
+  INVITE_NOT_FOUND: "This invite link is invalid, or the group no longer exists.",
+  INVITE_EXPIRED: "This invite link has expired.",
+  INVITE_USED_UP: "This invite link has reached its use limit.",
+  INVITE_REVOKED: "This invite link was revoked.",
+};
+
+function formatExpiry(ts) {
+  if (!ts) return null;
+  return `Expires ${new Date(ts).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}`;
+}
+
+export default function InvitePage() {
+  const { token } = useParams();
+  const [, setLocation] = useLocation();
+  const { isAuthenticated, isLoading: authLoading } = useAuth();
+  const { loadRooms, setActiveConversationId } = useChatStore();
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [joining, setJoining] = useState(false);
+  const [thumbFailed, setThumbFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    previewInvite(token)
+      .then((data) => { if (!cancelled) setPreview(data); })
+      .catch((err) => { if (!cancelled) setError(UNUSABLE_MESSAGES[err?.code] || err?.message || "Could not load this invite."); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const handleJoin = async () => {
+    setJoining(true);
+    try {
+      const { roomId } = await acceptInvite(token);
+      await loadRooms();
+      setActiveConversationId(`room:${roomId}`);
+      setLocation("/chat");
+    } catch (err) {
+      setError(UNUSABLE_MESSAGES[err?.code] || err?.message || "Could not join the group.");
+      setJoining(false);
+    }
+  };
+
+  const nextPath = `/invite/${encodeURIComponent(token)}`;
+  const thumbnail = !thumbFailed ? resolveThumbnailUrl(preview?.thumbnailUrl) : null;
+
+  return (
+    <AuthLayout>
+      <AuthCard title={error ? "Invite unavailable" : "You're invited"} subtitle={error ? null : "Join this group on Relay."}>
+        {loading || authLoading ? (
+          <div className="flex justify-center py-6"><Spinner size="lg" /></div>
+        ) : error ? (
+          <div className="space-y-4" data-testid="invite-error">
+            <p className="text-sm text-muted-foreground">{error}</p>
+            <Link href="/chat"><Button variant="outline" className="w-full">Go to Chat</Button></Link>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center gap-4" data-testid="invite-preview">
+              {thumbnail ? (
+                <img src={thumbnail} alt="" className="h-14 w-14 rounded-full object-cover" onError={() => setThumbFailed(true)} />
+              ) : (
+                <div className="h-14 w-14 rounded-full bg-primary/10 text-primary flex items-center justify-center"><Users className="w-6 h-6" /></div>
+              )}
+              <div className="min-w-0">
+                <p className="font-semibold text-lg truncate">{preview?.name || "Group"}</p>
+                <p className="text-sm text-muted-foreground">
+                  {preview?.memberCount === 1 ? "1 member" : `${preview?.memberCount ?? 0} members`}
+                  {preview?.expiresAt ? ` · ${formatExpiry(preview.expiresAt)}` : ""}
+                </p>
+              </div>
+            </div>
+            {isAuthenticated ? (
+              <Button className="w-full" onClick={handleJoin} disabled={joining} data-testid="button-accept-invite">
+                {joining ? <Spinner size="sm" /> : "Join group"}
+              </Button>
+            ) : (
+              <Link href={`/login?next=${encodeURIComponent(nextPath)}`}>
+                <Button className="w-full" data-testid="button-login-invite">Sign in to join</Button>
+              </Link>
+            )}
+          </div>
+        )}
+      </AuthCard>
+    </AuthLayout>
+  );
+}
@@ -0,0 +1,135 @@
+import { useState, useEffect, useCallback } from "react";
+import { useLocation } from "wouter";
+import { getBlockedUsers, unblockUser } from "@/features/settings/api/blocks.api";
+import { useAuth } from "@/hooks/useAuth";
+import { useToast } from "@/hooks/useToast";
+import { Widget } from "@/components/settings/Widget";
+import { ErrorBanner } from "@/components/settings/ErrorBanner";
+import { EmptyState } from "@/components/settings/EmptyState";
+import { Button } from "@/components/ui/button";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Loader2 } from "lucide-react";
+import { avatarSrc } from "@/features/chat/utils/avatarUrl";
+import { UnauthorizedError } from "@/lib/http";
+
+function Header() {
+  return (
+    <div>
+      <h1 className="text-3xl font-bold">Blocked users</h1>
+      <p className="text-muted-foreground mt-2">
+        Blocked users cannot message you, and you don't see each other typing or online. They are not told they are blocked.
+      </p>
+    </div>
+  );
+}
+
+function formatBlockedAt(ts) {
+  if (!ts) return "";
+  return `Blocked ${new Date(ts).toLocaleDateString([], { year: "numeric", month: "short", day: "numeric" })}`;
+}
+
+export default function BlockedUsersPage() {
+  const [blocked, setBlocked] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [unblockingId, setUnblockingId] = useState(null);
+  const { logout } = useAuth();
+  const { toast } = useToast();
+  const [, setLocation] = useLocation();
+
+  const handleUnauthorized = useCallback(async (err) => {
+    if (err instanceof UnauthorizedError || err?.status === 401) {
+      await logout();
+      setLocation("/login");
+      return true;
+    }
+    return false;
+  }, [logout, setLocation]);
+
+  const loadBlocked = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setBlocked(await getBlockedUsers());
+    } catch (err) {
+      if (await handleUnauthorized(err)) return;
+      setError(err?.message || "Could not load blocked users.");
+    } finally {
+      setLoading(false);
+    }
+  }, [handleUnauthorized]);
+
+  useEffect(() => {
+    loadBlocked();
+  }, [loadBlocked]);
+
+  const handleUnblock = async (entry) => {
+    setUnblockingId(entry.userId);
+    try {
+      await unblockUser(entry.userId);
+      setBlocked((prev) => prev.filter((b) => b.userId !== entry.userId));
+      toast({ title: "User unblocked", description: `${entry.user?.displayName || entry.user?.username || "They"} can message you again.` });
+    } catch (err) {
+      if (await handleUnauthorized(err)) return;
+      toast({ title: "Unblock failed", description: err?.message || "Try again", variant: "destructive" });
+    } finally {
+      setUnblockingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center p-12">
+        <Loader2 className="w-8 h-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="space-y-6">
+        <Header />
+        <ErrorBanner message={error} onRetry={loadBlocked} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Header />
+      {blocked.length === 0 ? (
+        <EmptyState message="You haven't blocked anyone. Block a user from the header of your direct chat with them." />
+      ) : (
+        <Widget className="divide-y divide-border/50 p-0" data-testid="list-blocked-users">
+          {blocked.map((entry) => {
+            const name = entry.user?.displayName || entry.user?.username || "Deleted user";
+            return (
+              <div key={entry.userId} className="flex items-center gap-4 px-4 py-3" data-testid={`row-blocked-${entry.userId}`}>
+                <Avatar className="h-10 w-10">
+                  {entry.user?.avatarUrl && <AvatarImage src={avatarSrc(entry.user.avatarUrl, entry.user.updatedAt)} alt="" />}
+                  <AvatarFallback className="bg-primary/10 text-primary font-bold">{name[0]}</AvatarFallback>
+                </Avatar>
+                <div className="min-w-0 flex-1">
+                  <p className="font-medium truncate">{name}</p>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {entry.user?.username ? `@${entry.user.username} · ` : ""}
+                    {formatBlockedAt(entry.blockedAt)}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={unblockingId === entry.userId}
+                  onClick={() => handleUnblock(entry)}
+                  data-testid={`button-unblock-${entry.userId}`}
+                >
+                  {unblockingId === entry.userId ? <Loader2 className="w-4 h-4 animate-spin" /> : "Unblock"}
+                </Button>
+              </div>
+            );
+          })}
+        </Widget>
+      )}
+    </div>
+  );
+}
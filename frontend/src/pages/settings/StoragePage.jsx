@@ -0,0 +1,110 @@
+import { useState, useEffect, useCallback } from "react";
+import { useLocation } from "wouter";
+import { getStorageUsage } from "@/features/settings/api/storage.api";
+import { useAuth } from "@/hooks/useAuth";
+import { Widget } from "@/components/settings/Widget";
+import { ErrorBanner } from "@/components/settings/ErrorBanner";
+import { Loader2, HardDrive } from "lucide-react";
+import { cn } from "@/utils/utils";
+import { formatFileSize } from "@/utils/fileSize";
+import { UnauthorizedError } from "@/lib/http";
+
+/** Usage bar turns amber, then red, as the quota fills up. */
+const WARN_RATIO = 0.8;
+const FULL_RATIO = 0.95;
+
+function Header() {
+  return (
+    <div>
+      <h1 className="text-3xl font-bold">Storage</h1>
+      <p className="text-muted-foreground mt-2">Files and voice messages you have uploaded to chats.</p>
+    </div>
+  );
+}
+
+export default function StoragePage() {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { logout } = useAuth();
+  const [, setLocation] = useLocation();
+
+  const loadUsage = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setUsage(await getStorageUsage());
+    } catch (err) {
+      if (err instanceof UnauthorizedError || err?.status === 401) {
+        await logout();
+        setLocation("/login");
+        return;
+      }
+      setError(err?.message || "Could not load storage usage.");
+    } finally {
+      setLoading(false);
+    }
+  }, [logout, setLocation]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center p-12">
+        <Loader2 className="w-8 h-8 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (error || !usage) {
+    return (
+      <div className="space-y-6">
+        <Header />
+        <ErrorBanner message={error} onRetry={loadUsage} />
+      </div>
+    );
+  }
+
+  const limited = usage.quotaBytes > 0;
+  const ratio = limited ? Math.min(1, usage.bytes / usage.quotaBytes) : 0;
+  return (
+    <div className="space-y-6">
+      <Header />
+      <Widget className="space-y-4" data-testid="widget-storage-usage">
+        <div className="flex items-start gap-4">
+          <div className="p-3 rounded-xl bg-secondary text-foreground">
+            <HardDrive className="w-6 h-6" />
+          </div>
+          <div className="min-w-0 flex-1">
+            <h3 className="font-bold text-lg" data-testid="text-storage-used">
+              {formatFileSize(usage.bytes)}
+              {limited && <span className="text-muted-foreground font-normal"> of {formatFileSize(usage.quotaBytes)}</span>}
+            </h3>
+            <p className="text-sm text-muted-foreground">
+              {usage.count === 1 ? "1 file" : `${usage.count} files`}
+              {!limited && " · no storage limit"}
+            </p>
+          </div>
+        </div>
+        {limited && (
+          <>
+            <div className="h-2 w-full overflow-hidden rounded-full bg-muted" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(ratio * 100)}>
+              <div
+                className={cn("h-full rounded-full transition-all", ratio >= FULL_RATIO ? "bg-destructive" : ratio >= WARN_RATIO ? "bg-amber-500" : "bg-primary")}
+                style={{ width: `${ratio * 100}%` }}
+              />
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {ratio >= FULL_RATIO
+                ? "Your storage is almost full. New uploads fail once it is."
+                : `${formatFileSize(Math.max(0, usage.quotaBytes - usage.bytes))} left.`}{" "}
+              Uploads that were never sent are removed automatically.
+            </p>
+          </>
+        )}
+      </Widget>
+    </div>
+  );
+}
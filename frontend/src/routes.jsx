@@ -15,7 +15,9 @@ import SettingsPage from "./pages/settings/SettingsPage";
 import ProfilePage from "./pages/settings/ProfilePage";
 import SecurityPage from "./pages/settings/SecurityPage";
 import DevicesPage from "./pages/settings/DevicesPage";
+import StoragePage from "./pages/settings/StoragePage";
 import PreferencesPage from "./pages/settings/PreferencesPage";
+import BlockedUsersPage from "./pages/settings/BlockedUsersPage";
 import DangerPage from "./pages/settings/DangerPage";
 import { SettingsLayout } from "./components/settings/SettingsLayout";
 import { RequireAuth } from "./components/auth/RequireAuth";
@@ -27,6 +29,7 @@ import Forgot from "./pages/auth/Forgot";
 import Reset from "./pages/auth/Reset";
 import VerifyOTP from "./pages/auth/VerifyOTP";
 import NotFound from "./pages/system/NotFound";
+import InvitePage from "./pages/chat/InvitePage";
 
 function SettingsRoute({ Page }) {
   return (
@@ -80,11 +83,21 @@ export function Routes() {
           <SettingsRoute Page={DevicesPage} />
         </RequireAuth>
       </Route>
+      <Route path="/settings/storage">
+        <RequireAuth>
+          <SettingsRoute Page={StoragePage} />
+        </RequireAuth>
+      </Route>
       <Route path="/settings/preferences">
         <RequireAuth>
           <SettingsRoute Page={PreferencesPage} />
         </RequireAuth>
       </Route>
+      <Route path="/settings/blocked">
+        <RequireAuth>
+          <SettingsRoute Page={BlockedUsersPage} />
+        </RequireAuth>
+      </Route>
       <Route path="/settings/connection">
         <Redirect to="/settings" />
       </Route>
@@ -125,6 +138,8 @@ export function Routes() {
       <Route path="/forgot" component={Forgot} />
       <Route path="/reset" component={Reset} />
       <Route path="/verify-otp" component={VerifyOTP} />
+      {/* Public: the preview works signed out; joining sends the user through /login?next= */}
+      <Route path="/invite/:token" component={InvitePage} />
       <Route path="/profile">
         <RequireAuth>
           <ProfilePlaceholder />
@@ -225,7 +225,7 @@ function connect(wsPath = DEFAULT_WS_PATH) {
         emit(msg);
         return;
       }
-      if (msg.type === "MESSAGE_ACK" || msg.type === "MESSAGE_RECEIVE" || msg.type === "MESSAGE_READ" || msg.type === "MESSAGE_STATE_UPDATE" || msg.type === "ACK_RESPONSE" || msg.type === "MESSAGE_MUTATION" || msg.type === "MESSAGE_MUTATION_ACK") {
+      if (msg.type === "MESSAGE_ACK" || msg.type === "MESSAGE_RECEIVE" || msg.type === "MESSAGE_READ" || msg.type === "MESSAGE_STATE_UPDATE" || msg.type === "ACK_RESPONSE" || msg.type === "MESSAGE_MUTATION" || msg.type === "MESSAGE_MUTATION_ACK" || msg.type === "MESSAGE_REACTION" || msg.type === "MESSAGE_FORWARD_RESPONSE" || msg.type === "CHAT_PINS_UPDATED" || msg.type === "SCHEDULED_MESSAGE_RESPONSE" || msg.type === "SCHEDULED_MESSAGE_UPDATED" || msg.type === "CHAT_EPHEMERAL_RESPONSE" || msg.type === "CHAT_SETTINGS_UPDATED" || msg.type === "CHAT_MUTE_RESPONSE" || msg.type === "CHAT_MUTE_UPDATED" || msg.type === "MESSAGE_REQUEST_RESPONSE" || msg.type === "MESSAGE_REQUEST_UPDATED" || msg.type === "MESSAGES_EXPIRED" || msg.type === "MENTION" || msg.type === "POLL_UPDATED" || msg.type === "POLL_VOTE_RESPONSE" || msg.type === "MESSAGE_LISTENED" || msg.type === "MESSAGE_LISTENED_RESPONSE" || msg.type === "ROOM_RECEIPTS_UPDATED") {
         emit(msg);
         return;
       }
@@ -241,7 +241,7 @@ function connect(wsPath = DEFAULT_WS_PATH) {
         emit(msg);
         return;
       }
-      if (msg.type === "ROOMS_SNAPSHOT" || msg.type === "ROOM_CREATED" || msg.type === "ROOM_UPDATED" || msg.type === "ROOM_MEMBERS_UPDATED" || msg.type === "ROOM_DELETED" || msg.type === "ROOM_LIST_RESPONSE" || msg.type === "ROOM_INFO_RESPONSE" || msg.type === "ROOM_MEMBERS_RESPONSE" || msg.type === "ROOM_CREATE_RESPONSE" || msg.type === "ROOM_JOIN_RESPONSE" || msg.type === "ROOM_LEAVE_RESPONSE" || msg.type === "ROOM_MESSAGE_RESPONSE" || msg.type === "ROOM_MESSAGE" || msg.type === "ROOM_MEMBER_JOINED" || msg.type === "ROOM_MEMBER_LEFT") {
+      if (msg.type === "ROOMS_SNAPSHOT" || msg.type === "ROOM_CREATED" || msg.type === "ROOM_UPDATED" || msg.type === "ROOM_MEMBERS_UPDATED" || msg.type === "ROOM_DELETED" || msg.type === "ROOM_LIST_RESPONSE" || msg.type === "ROOM_INFO_RESPONSE" || msg.type === "ROOM_MEMBERS_RESPONSE" || msg.type === "ROOM_CREATE_RESPONSE" || msg.type === "ROOM_JOIN_RESPONSE" || msg.type === "ROOM_LEAVE_RESPONSE" || msg.type === "ROOM_MESSAGE_RESPONSE" || msg.type === "ROOM_MESSAGE" || msg.type === "ROOM_MEMBER_JOINED" || msg.type === "ROOM_MEMBER_LEFT" || msg.type === "ROOM_JOIN_REQUESTED" || msg.type === "ROOM_JOIN_REQUEST_UPDATED") {
         emit(msg);
         return;
       }
@@ -508,14 +508,24 @@ function send(payload) {
   }
 }
 
-function sendMessage(recipientId, content, clientMessageId) {
+/**
+ * attachmentIds (POST /api/uploads/file) send a file message: content is the caption.
+ * contentType "voice" sends the one voice note from POST /api/uploads/voice instead.
+ */
+function sendMessage(recipientId, content, clientMessageId, replyToMessageId, attachmentIds, contentType) {
   if (typeof content !== "string" || content.length > MAX_CONTENT_LENGTH) return false;
-  return send({
+  const p = {
     type: "MESSAGE_SEND",
     recipientId,
     content,
     clientMessageId: clientMessageId || (typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : String(Date.now())),
-  });
+  };
+  if (replyToMessageId) p.replyToMessageId = String(replyToMessageId);
+  if (Array.isArray(attachmentIds) && attachmentIds.length > 0) {
+    p.contentType = contentType === "voice" ? "voice" : "file";
+    p.attachmentIds = attachmentIds.map(String);
+  }
+  return send(p);
 }
 
 function sendClientAck(messageId, ackType) {
@@ -535,6 +545,24 @@ function sendMessageRead(messageId) {
   return send({ type: "MESSAGE_READ", messageId });
 }
 
+/**
+ * MESSAGE_LISTENED: the user played a voice message (DM messageId or roomMessageId). Server replies with
+ * MESSAGE_LISTENED_RESPONSE; the sender gets MESSAGE_LISTENED on the first listen.
+ */
+function sendMessageListened(messageId) {
+  if (!messageId) return false;
+  return send({ type: "MESSAGE_LISTENED", messageId });
+}
+
+/**
+ * ROOM_READ: I have seen a room up to messageId (roomMessageId). Marks my earlier unread messages there as read;
+ * their senders get ROOM_RECEIPTS_UPDATED.
+ */
+function sendRoomRead(roomId, messageId) {
+  if (!roomId || !messageId) return false;
+  return send({ type: "ROOM_READ", roomId, messageId });
+}
+
 /** MESSAGE_EDIT: backend messageMutation handler. Payload: { messageId, content }. */
 function sendMessageEdit(messageId, content) {
   if (!messageId || typeof content !== "string") return false;
@@ -548,6 +576,102 @@ function sendMessageDelete(messageId) {
   return send({ type: "MESSAGE_DELETE", messageId });
 }
 
+/** MESSAGE_REACT: backend messageMutation handler. Payload: { messageId, emoji }. Rooms: messageId = roomMessageId. */
+function sendMessageReact(messageId, emoji) {
+  if (!messageId || !emoji) return false;
+  return send({ type: "MESSAGE_REACT", messageId, emoji });
+}
+
+/** MESSAGE_UNREACT: backend messageMutation handler. Payload: { messageId, emoji }. */
+function sendMessageUnreact(messageId, emoji) {
+  if (!messageId || !emoji) return false;
+  return send({ type: "MESSAGE_UNREACT", messageId, emoji });
+}
+
+/** MESSAGE_PIN: backend messageMutation handler. Payload: { messageId }. Rooms: messageId = roomMessageId. */
+function sendMessagePin(messageId) {
+  if (!messageId) return false;
+  return send({ type: "MESSAGE_PIN", messageId });
+}
+
+/** MESSAGE_UNPIN: backend messageMutation handler. Payload: { messageId }. */
+function sendMessageUnpin(messageId) {
+  if (!messageId) return false;
+  return send({ type: "MESSAGE_UNPIN", messageId });
+}
+
+/**
+ * MESSAGE_FORWARD: backend messageForward handler. Payload: { messageIds, targetChatIds }.
+ * Rooms: messageIds are roomMessageIds. Server replies with MESSAGE_FORWARD_RESPONSE.
+ */
+function sendMessageForward(messageIds, targetChatIds) {
+  if (!Array.isArray(messageIds) || messageIds.length === 0) return false;
+  if (!Array.isArray(targetChatIds) || targetChatIds.length === 0) return false;
+  return send({ type: "MESSAGE_FORWARD", messageIds, targetChatIds });
+}
+
+/**
+ * SCHEDULED_MESSAGE_CREATE: backend scheduledMessage handler. Payload: { chatId, content, sendAt } (sendAt epoch ms).
+ * Server replies with SCHEDULED_MESSAGE_RESPONSE and pushes SCHEDULED_MESSAGE_UPDATED to all own tabs.
+ */
+function sendScheduledCreate(chatId, content, sendAt) {
+  if (!chatId || !content || !sendAt) return false;
+  return send({ type: "SCHEDULED_MESSAGE_CREATE", chatId, content, sendAt });
+}
+
+/** SCHEDULED_MESSAGE_UPDATE: edit a pending item. Payload: { scheduledId, content?, sendAt? }. */
+function sendScheduledUpdate(scheduledId, patch) {
+  if (!scheduledId || !patch) return false;
+  const payload = { type: "SCHEDULED_MESSAGE_UPDATE", scheduledId };
+  if (patch.content != null) payload.content = patch.content;
+  if (patch.sendAt != null) payload.sendAt = patch.sendAt;
+  return send(payload);
+}
+
+/** SCHEDULED_MESSAGE_CANCEL: cancel a pending or failed item. Payload: { scheduledId }. */
+function sendScheduledCancel(scheduledId) {
+  if (!scheduledId) return false;
+  return send({ type: "SCHEDULED_MESSAGE_CANCEL", scheduledId });
+}
+
+/**
+ * CHAT_EPHEMERAL_SET: backend chatSettings handler. Payload: { chatId, mode } with mode off | 1h | 24h | 7d.
+ * Server replies with CHAT_EPHEMERAL_RESPONSE and pushes CHAT_SETTINGS_UPDATED to the chat when the mode changed.
+ */
+function sendChatEphemeralSet(chatId, mode) {
+  if (!chatId || !mode) return false;
+  return send({ type: "CHAT_EPHEMERAL_SET", chatId, mode });
+}
+
+/**
+ * CHAT_MUTE_SET: backend chatSettings handler. Payload: { chatId, mode } with mode off | 1h | 8h | 1w | forever.
+ * Server replies with CHAT_MUTE_RESPONSE and pushes CHAT_MUTE_UPDATED to all of my sockets when the mute changed.
+ */
+function sendChatMuteSet(chatId, mode) {
+  if (!chatId || !mode) return false;
+  return send({ type: "CHAT_MUTE_SET", chatId, mode });
+}
+
+/**
+ * MESSAGE_REQUEST_RESPOND: backend messageRequest handler. Payload: { chatId, action: accept | decline, block? }.
+ * Server replies with MESSAGE_REQUEST_RESPONSE and pushes MESSAGE_REQUEST_UPDATED to my sockets (and the requester's on accept).
+ */
+function sendMessageRequestRespond(chatId, action, { block = false } = {}) {
+  if (!chatId || !action) return false;
+  const payload = { type: "MESSAGE_REQUEST_RESPOND", chatId, action };
+  if (block) payload.block = true;
+  return send(payload);
+}
+
+/**
+ * POLL_VOTE: backend poll handler. Payload: { messageId, optionIds } (messageId = poll roomMessageId; [] retracts).
+ * Server replies with POLL_VOTE_RESPONSE and pushes POLL_UPDATED (tallies) to the room.
+ */
+function sendPollVote(messageId, optionIds) {
+  if (!messageId || !Array.isArray(optionIds)) return false;
+  return send({ type: "POLL_VOTE", messageId, optionIds });
+}
+
 /** RESUME: reconnect resync. Backend expects { lastSeenMessageId?, limit? }. */
 function sendResume(lastSeenMessageId, limit) {
   const payload = { type: "RESUME" };
@@ -640,13 +764,26 @@ function sendRoomLeave(payload) {
   return send({ type: "ROOM_LEAVE", roomId: String(payload.roomId).trim() });
 }
 
-/** ROOM_MESSAGE: send room message. Backend expects { roomId (required), content (required), clientMessageId?, messageType? }. Returns ROOM_MESSAGE_RESPONSE. */
+/** ROOM_MESSAGE: send room message. Backend expects { roomId (required), content (required), clientMessageId?, messageType?, replyToMessageId?, threadRootId?, alsoSendToRoom? }. Returns ROOM_MESSAGE_RESPONSE. */
 function sendRoomMessage(payload) {
   if (!payload?.roomId || typeof payload.content !== "string") return false;
   if (payload.content.length > MAX_CONTENT_LENGTH) return false;
   const p = { type: "ROOM_MESSAGE", roomId: String(payload.roomId).trim(), content: payload.content };
   if (payload.clientMessageId != null) p.clientMessageId = String(payload.clientMessageId);
   if (payload.messageType != null) p.messageType = payload.messageType;
+  if (payload.replyToMessageId) p.replyToMessageId = String(payload.replyToMessageId);
+  if (payload.threadRootId) {
+    p.threadRootId = String(payload.threadRootId);
+    if (payload.alsoSendToRoom === true) p.alsoSendToRoom = true;
+  }
+  if (payload.contentType === "poll" && payload.poll) {
+    p.contentType = "poll";
+    p.poll = payload.poll;
+  }
+  if ((payload.contentType === "file" || payload.contentType === "voice") && Array.isArray(payload.attachmentIds) && payload.attachmentIds.length > 0) {
+    p.contentType = payload.contentType;
+    p.attachmentIds = payload.attachmentIds.map(String);
+  }
   return send(p);
 }
 
@@ -674,8 +811,22 @@ export const wsClient = {
   sendClientAck,
   sendMessageDeliveredConfirm,
   sendMessageRead,
+  sendMessageListened,
+  sendRoomRead,
   sendMessageEdit,
   sendMessageDelete,
+  sendMessageReact,
+  sendMessageUnreact,
+  sendMessageForward,
+  sendMessagePin,
+  sendMessageUnpin,
+  sendScheduledCreate,
+  sendScheduledUpdate,
+  sendScheduledCancel,
+  sendChatEphemeralSet,
+  sendChatMuteSet,
+  sendMessageRequestRespond,
+  sendPollVote,
   sendResume,
   sendMessageReplay,
   sendStateSync,
@@ -81,6 +81,29 @@ export function canNotify() {
   return cap.supported && cap.secureContext && cap.permission === "granted";
 }
 
+/** Muted chats: canonical chatId -> mutedUntil (epoch ms; null = until unmuted). Replaced by the chat adapter. */
+let mutedUntilByChatId = {};
+
+/**
+ * Replace the muted chats consulted by showDesktopNotification and playMessageSound.
+ * @param {Record<string, number|null>} mutes - canonical chatId -> mutedUntil (null = forever)
+ */
+export function setMutedChats(mutes) {
+  mutedUntilByChatId = mutes && typeof mutes === "object" ? { ...mutes } : {};
+}
+
+/**
+ * True while chatId is muted. A timed mute counts as ended as soon as mutedUntil has passed.
+ * @param {string} chatId - Canonical chat id (direct:u1:u2 | room:<roomId>)
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isChatMuted(chatId, now = Date.now()) {
+  if (!chatId || !Object.prototype.hasOwnProperty.call(mutedUntilByChatId, chatId)) return false;
+  const mutedUntil = mutedUntilByChatId[chatId];
+  return mutedUntil == null || mutedUntil > now;
+}
+
 const AUTO_CLOSE_MS = 8000;
 
 /**
@@ -90,10 +113,13 @@ const AUTO_CLOSE_MS = 8000;
  * @param {string} [opts.tag]
  * @param {Record<string, unknown>} [opts.data]
  * @param {() => void} [opts.onClick]
- * @returns {boolean} true if notification was shown, false if not (cannot notify or threw after retry)
+ * @param {string} [opts.chatId] - Canonical chat id; nothing is shown while that chat is muted
+ * @param {boolean} [opts.mention] - An @mention of me: shown even when the chat is muted
+ * @returns {boolean} true if notification was shown, false if not (cannot notify, chat muted or threw after retry)
  */
-export function showDesktopNotification({ title, body, tag, data, onClick }) {
+export function showDesktopNotification({ title, body, tag, data, onClick, chatId, mention = false }) {
   if (!canNotify()) return false;
+  if (!mention && isChatMuted(chatId)) return false;
   const safeTitle = (title && String(title).trim()) || "New message";
   try {
     const opts = { body: body ?? "", tag, data };
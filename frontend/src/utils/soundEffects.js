@@ -7,6 +7,7 @@
  */
 
 import { NOTIFICATION_SOUND_DEBUG } from "@/lib/notificationSoundDebug";
+import { isChatMuted } from "@/utils/notificationUtils";
 
 const Ctx = typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext);
 
@@ -182,9 +183,12 @@ async function playMessageSoundAsync() {
  * Play a short pleasant beep (e.g. new message). No-op if context missing or blocked.
  * Deterministic across Chrome/Safari after backgrounding: awaits resume before playing.
  * On NotAllowedError, falls back to HTMLAudioElement beep.
+ * Silent for muted chats (isChatMuted) unless the message @mentions me.
+ * @param {{ chatId?: string, mention?: boolean }} [opts] - Canonical chat id of the message
  */
-export function playMessageSound() {
+export function playMessageSound({ chatId, mention = false } = {}) {
   if (typeof window === "undefined") return;
+  if (!mention && isChatMuted(chatId)) return;
   void playMessageSoundAsync();
 }
 